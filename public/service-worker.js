@@ -0,0 +1,114 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * Service worker - keeps the app shell available offline
+ *
+ * Pages are served network first so deploys show up right away, with the
+ * cached index.html as the offline fallback. Built assets have hashed file
+ * names and never change, so they are served from the cache once fetched.
+ * Supabase and other cross-origin requests are left alone; match writes made
+ * offline go to the app's sync outbox instead.
+ *
+ * The build's asset manifest is precached at install and again on every page
+ * load that reaches the network, since a deploy does not change this file and
+ * so does not reinstall the worker. Each time, /static/ files that are not in
+ * the current build are removed from the cache.
+ */
+
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `sport-wizard-shell-${CACHE_VERSION}`;
+const SHELL_URLS = ['/', '/index.html', '/manifest.json', '/favicon.png'];
+const ASSET_MANIFEST_URL = '/asset-manifest.json';
+
+// Hashed files of the build listed in the asset manifest, without source maps
+const getBuildAssetUrls = (manifest) => (
+  Object.values(manifest?.files || {})
+    .filter(path => typeof path === 'string' && path.startsWith('/static/') && !path.endsWith('.map'))
+);
+
+const precacheBuild = () => (
+  fetch(ASSET_MANIFEST_URL, { cache: 'no-store' })
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Asset manifest request failed: ${response.status}`);
+      }
+      return response.json();
+    })
+    .then(manifest => caches.open(SHELL_CACHE).then(cache => {
+      const assetUrls = getBuildAssetUrls(manifest);
+      return Promise.all(assetUrls.map(url => cache.match(url)))
+        .then(cached => cache.addAll(assetUrls.filter((url, index) => !cached[index])))
+        .then(() => cache.keys())
+        .then(requests => Promise.all(
+          requests
+            .filter(request => {
+              const { pathname } = new URL(request.url);
+              return pathname.startsWith('/static/') && !assetUrls.includes(pathname);
+            })
+            .map(request => cache.delete(request))
+        ));
+    }))
+);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_URLS))
+      .then(precacheBuild)
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('sport-wizard-shell-') && key !== SHELL_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+const cacheResponse = (request, response) => {
+  if (response && response.ok && response.type === 'basic') {
+    const copy = response.clone();
+    caches.open(SHELL_CACHE).then(cache => cache.put(request, copy));
+  }
+  return response;
+};
+
+const handleNavigation = (request) => (
+  fetch(request)
+    .then(response => cacheResponse('/index.html', response))
+    .catch(() => caches.match('/index.html'))
+);
+
+const handleAsset = (request) => (
+  caches.match(request).then(cached => (
+    cached || fetch(request).then(response => cacheResponse(request, response))
+  ))
+);
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') {
+    return;
+  }
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+    // Picks up the assets of a new deploy; fails quietly while offline
+    event.waitUntil(precacheBuild().catch(() => {}));
+    return;
+  }
+
+  if (url.pathname.startsWith('/static/') || SHELL_URLS.includes(url.pathname)) {
+    event.respondWith(handleAsset(request));
+  }
+});
@@ -4,12 +4,14 @@ import './App.css';
 import './locales/i18n'; // Initialize i18n
 import { useGameState } from './hooks/useGameState';
 import { useTimers } from './hooks/useTimers';
+import { useMatchAlerts } from './hooks/useMatchAlerts';
 import { useBrowserBackIntercept } from './hooks/useBrowserBackIntercept';
 import { useScreenNavigation } from './hooks/useNavigationHistory';
 import { useNavigationHistoryContext } from './contexts/NavigationHistoryContext';
 import { formatTime } from './utils/formatUtils';
 import { formatPlayerName } from './utils/formatUtils';
 import { calculateUndoTimerTarget } from './game/time/timeCalculator';
+import { getDefaultExtraTimeMinutes } from './game/logic/extraTime';
 import { initializePlayers, getSelectedSquadPlayers, getOutfieldPlayers, resetPlayersForNewMatch } from './utils/playerUtils';
 import { initialRoster } from './constants/defaultData';
 import { VIEWS } from './constants/viewConstants';
@@ -18,6 +20,7 @@ import { clearAllEvents } from './utils/gameEventLogger';
 import { ConfigurationScreen } from './components/setup/ConfigurationScreen';
 import { PeriodSetupScreen } from './components/setup/PeriodSetupScreen';
 import { GameScreen } from './components/game/GameScreen';
+import { PenaltyShootoutScreen } from './components/game/PenaltyShootoutScreen';
 import { GameFinishedScreen } from './components/stats/GameFinishedScreen';
 import { StatisticsScreen } from './components/statistics/StatisticsScreen';
 import { TacticalBoardScreen } from './components/tactical/TacticalBoardScreen';
@@ -25,8 +28,12 @@ import { LiveMatchScreen } from './components/live/LiveMatchScreen';
 import { ProfileScreen } from './components/profile/ProfileScreen';
 import { TeamManagement } from './components/team/TeamManagement';
 import { TeamMatchesList } from './components/team/TeamMatchesList';
+import { TeamCalendarScreen } from './components/team/TeamCalendarScreen';
+import { GoaliePlannerScreen } from './components/team/GoaliePlannerScreen';
+import { ParentHomeScreen } from './components/team/ParentHomeScreen';
 import { PlanMatchesScreen } from './components/team/PlanMatchesScreen';
 import { AbandonMatchModal } from './components/modals/AbandonMatchModal';
+import { ExtraTimeModal } from './components/modals/ExtraTimeModal';
 import { ConfirmationModal, ThreeOptionModal } from './components/shared/UI';
 import { HamburgerMenu } from './components/shared/HamburgerMenu';
 import { AddPlayerModal } from './components/shared/AddPlayerModal';
@@ -55,8 +62,13 @@ import { useTeamManagementRouting } from './hooks/useTeamManagementRouting';
 import { useTacticalBoardRouting } from './hooks/useTacticalBoardRouting';
 import { usePlanMatchesRouting } from './hooks/usePlanMatchesRouting';
 import { useProfileRouting } from './hooks/useProfileRouting';
-import { initializeEventPersistence } from './services/initializeServices';
+import { useMatchControl, applySharedMatchState } from './hooks/useMatchControl';
+import { initializeEventPersistence, initializeSyncOutbox } from './services/initializeServices';
 import { createMatch, formatMatchDataFromGameState } from './services/matchStateManager';
+import { getMatchControl } from './services/matchControlService';
+import { loadMatchForResume } from './services/matchRecoveryService';
+import { isSharedMatchStateUsable } from './game/logic/sharedMatchState';
+import { rebuildMatchFromDatabase } from './game/logic/matchResume';
 import { createPersistenceManager } from './utils/persistenceManager';
 import { STORAGE_KEYS, migrateStorageKeys } from './constants/storageKeys';
 
@@ -117,8 +129,10 @@ function AppContent() {
   
   // Set up navigation system using gameState.setView directly
   // Disable global browser back when GameScreen is active with pending or running match to avoid handler conflicts
-  const shouldDisableGlobalBrowserBack = gameState.view === VIEWS.GAME && 
-    (gameState.matchState === 'pending' || gameState.matchState === 'running');
+  // The shootout has no way back to the game, so browser back is disabled there as well
+  const shouldDisableGlobalBrowserBack = (gameState.view === VIEWS.GAME && 
+    (gameState.matchState === 'pending' || gameState.matchState === 'running')) ||
+    gameState.view === VIEWS.SHOOTOUT;
 
   const navigationHistory = useScreenNavigation(gameState.setView, {
     enableBrowserBack: !shouldDisableGlobalBrowserBack, // Disable when GameScreen handles it
@@ -149,13 +163,25 @@ function AppContent() {
   }, [navigationHistory]);
 
   const timers = useTimers(
-    gameState.periodDurationMinutes,
+    gameState.currentPeriodDurationMinutes,
     gameState.alertMinutes,
     gameState.playAlertSounds,
     gameState.currentPeriodNumber,
     gameState.view === VIEWS.GAME,
-    gameState.currentMatchId
+    gameState.currentMatchId,
+    gameState.announceMatchTimerAlert
   );
+  useMatchAlerts({
+    rules: gameState.matchAlertRules,
+    isPeriodActive: timers.isPeriodActive,
+    matchTimerSeconds: timers.matchTimerSeconds,
+    periodNumber: gameState.currentPeriodNumber,
+    periodDurationMinutes: gameState.currentPeriodDurationMinutes,
+    formation: gameState.formation,
+    teamConfig: gameState.getFormationAwareTeamConfig(),
+    playMatchAlert: gameState.playMatchAlert,
+    isActive: gameState.view === VIEWS.GAME
+  });
   const {
     showSessionWarning,
     sessionExpiry,
@@ -164,7 +190,8 @@ function AppContent() {
     signOut,
     loading: authLoading,
     needsProfileCompletion,
-    user
+    user,
+    userProfile
   } = useAuth();
 
   const {
@@ -173,6 +200,8 @@ function AppContent() {
     hasPendingRequests,
     pendingRequestsCount,
     canManageTeam,
+    isParent,
+    isPlayer,
     isMatchRunning
   } = useTeam();
 
@@ -199,6 +228,72 @@ function AppContent() {
 
   const { setView: setGameView } = gameState;
 
+  // Share the running match with other coaches' devices
+  const matchControl = useMatchControl({
+    matchId: gameState.currentMatchId,
+    enabled: Boolean(user && canManageTeam &&
+      (gameState.matchState === 'pending' || gameState.matchState === 'running')),
+    gameState,
+    timers,
+    deviceName: userProfile?.name || user?.email || null
+  });
+
+  // The clock holder ended the match on another device
+  useEffect(() => {
+    if (gameState.view === VIEWS.GAME && gameState.matchState === 'finished') {
+      setGameView(VIEWS.STATS);
+    }
+  }, [gameState.view, gameState.matchState, setGameView]);
+
+  // Parents land on their children's overview instead of match setup, once per team
+  const parentHomeTeamRef = useRef(null);
+  useEffect(() => {
+    if (!isParent || !currentTeam?.id || gameState.view !== VIEWS.CONFIG) return;
+    if (parentHomeTeamRef.current === currentTeam.id) return;
+    parentHomeTeamRef.current = currentTeam.id;
+    navigateToView(VIEWS.PARENT_HOME);
+  }, [isParent, currentTeam?.id, gameState.view, navigateToView]);
+
+  const handleJoinAsCoCoach = useCallback(async (matchId) => {
+    if (gameState.currentMatchId === matchId) {
+      setGameView(VIEWS.GAME);
+      return { success: true };
+    }
+
+    const result = await getMatchControl(matchId);
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+    if (!isSharedMatchStateUsable(result.state)) {
+      return { success: false, noSharedState: true };
+    }
+
+    applySharedMatchState(result.state, gameState, timers);
+    setGameView(VIEWS.GAME);
+    return { success: true };
+  }, [gameState, timers, setGameView]);
+
+  // Continue a running match on this device from the match log when the original device is gone
+  const handleResumeOnDevice = useCallback(async (matchId) => {
+    const result = await loadMatchForResume(matchId);
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+
+    const state = rebuildMatchFromDatabase({
+      match: result.match,
+      events: result.events,
+      players: gameState.allPlayers
+    });
+    if (!state) {
+      return { success: false, notResumable: true };
+    }
+
+    applySharedMatchState(state, gameState, timers);
+    setGameView(state.timers.isPeriodActive ? VIEWS.GAME : VIEWS.PERIOD_SETUP);
+    return { success: true };
+  }, [gameState, timers, setGameView]);
+
 
 
   // Check for password reset tokens or codes in URL on app load
@@ -246,6 +341,9 @@ function AppContent() {
     };
   }, []);
 
+  // Upload match writes made without a connection
+  useEffect(() => initializeSyncOutbox(), []);
+
 
   const [showSignOutConfirmModal, setShowSignOutConfirmModal] = useState(false);
   const [configSessionToken, setConfigSessionToken] = useState(0);
@@ -286,6 +384,7 @@ function AppContent() {
 
   const [showConfirmModal, setShowConfirmModal] = useState(false);
   const [confirmModalData, setConfirmModalData] = useState({ timeString: '' });
+  const [showExtraTimeModal, setShowExtraTimeModal] = useState(false);
   const [showAddPlayerModal, setShowAddPlayerModal] = useState(false);
   const [showNewGameModal, setShowNewGameModal] = useState(false);
   const closeNewGameModalRef = useRef(() => {
@@ -632,13 +731,14 @@ function AppContent() {
   }, [gameState.allPlayers, gameState.selectedSquadIds, gameState.formation.goalie]);
 
   const handleLiveMatchNavigateBack = useCallback(() => {
+    const returnView = liveMatchEntryPoint === VIEWS.PARENT_HOME ? VIEWS.PARENT_HOME : VIEWS.STATS;
     setLiveMatchEntryPoint(null);
-    const targetView = navigateBack(VIEWS.STATS);
+    const targetView = navigateBack(returnView);
 
-    if (targetView !== VIEWS.STATS) {
-      setGameView(VIEWS.STATS);
+    if (targetView !== returnView) {
+      setGameView(returnView);
     }
-  }, [navigateBack, setGameView]);
+  }, [liveMatchEntryPoint, navigateBack, setGameView]);
 
   // Enhanced game handlers that integrate with timers
   const handleStartGame = () => {
@@ -693,31 +793,57 @@ function AppContent() {
     }
     
     // Proceed with ending the period
-    const isMatchEnd = gameState.currentPeriodNumber >= gameState.numPeriods;
-    timers.stopTimers(
-      gameState.currentPeriodNumber,
-      isMatchEnd,
-      gameState.formation,
-      gameState.teamConfig
-    );
-    gameState.handleEndPeriod(timers.isSubTimerPaused);
+    endPeriodOrOfferExtraTime();
   };
 
   const handleConfirmEndPeriod = () => {
     setShowConfirmModal(false);
     removeFromNavigationStack();
-    const isMatchEnd = gameState.currentPeriodNumber >= gameState.numPeriods;
+    endPeriodOrOfferExtraTime();
+  };
+
+  const handleCancelEndPeriod = () => {
+    setShowConfirmModal(false);
+    removeFromNavigationStack();
+  };
+
+  // A level cup or tournament match can add extra time before the final period is closed
+  const endPeriodOrOfferExtraTime = () => {
+    if (gameState.canStartExtraTime) {
+      setShowExtraTimeModal(true);
+      pushNavigationState(() => {
+        setShowExtraTimeModal(false);
+      });
+      return;
+    }
+    endPeriod();
+  };
+
+  const endPeriod = (extraTime = null) => {
+    const isMatchEnd = !extraTime && gameState.currentPeriodNumber >= gameState.totalPeriods;
     timers.stopTimers(
       gameState.currentPeriodNumber,
       isMatchEnd,
       gameState.formation,
       gameState.teamConfig
     );
-    gameState.handleEndPeriod(timers.isSubTimerPaused);
+    gameState.handleEndPeriod(timers.isSubTimerPaused, extraTime);
   };
 
-  const handleCancelEndPeriod = () => {
-    setShowConfirmModal(false);
+  const handleStartExtraTime = (extraTime) => {
+    setShowExtraTimeModal(false);
+    removeFromNavigationStack();
+    endPeriod(extraTime);
+  };
+
+  const handleDeclineExtraTime = () => {
+    setShowExtraTimeModal(false);
+    removeFromNavigationStack();
+    endPeriod();
+  };
+
+  const handleCancelExtraTime = () => {
+    setShowExtraTimeModal(false);
     removeFromNavigationStack();
   };
 
@@ -786,6 +912,7 @@ function AppContent() {
       gameState.setEventSequenceNumber(0);
       gameState.setLastEventBackup(null);
       gameState.setRotationQueue([]);
+      gameState.setRotationPlan(null);
       gameState.setNextPlayerToSubOut(null, true);
       gameState.setNextPlayerIdToSubOut(null);
       gameState.setLastSubstitutionTimestamp(null);
@@ -1127,8 +1254,13 @@ function AppContent() {
             periodGoalieIds={gameState.periodGoalieIds}
             setPeriodGoalieIds={gameState.setPeriodGoalieIds}
             numPeriods={gameState.numPeriods}
+            periodDurationMinutes={gameState.periodDurationMinutes}
+            extraTimePeriodNumber={gameState.extraTimePeriodNumber}
+            alertMinutes={gameState.alertMinutes}
             teamConfig={gameState.teamConfig}
             selectedFormation={gameState.selectedFormation}
+            rotationPlan={gameState.rotationPlan}
+            setRotationPlan={gameState.setRotationPlan}
             onNavigateBack={navigateBack}
             pushNavigationState={pushNavigationState}
             removeFromNavigationStack={removeFromNavigationStack}
@@ -1193,12 +1325,33 @@ function AppContent() {
             matchState={gameState.matchState}
             currentMatchId={gameState.currentMatchId}
             handleActualMatchStart={handleActualMatchStartWithTimers}
-            periodDurationMinutes={gameState.periodDurationMinutes}
+            periodDurationMinutes={gameState.currentPeriodDurationMinutes}
+            extraTimePeriodNumber={gameState.extraTimePeriodNumber}
             trackGoalScorer={gameState.trackGoalScorer}
+            trackAssists={gameState.trackAssists}
+            substitutionLogic={gameState.substitutionLogic}
+            rotationPlan={gameState.rotationPlan}
+            setRotationPlan={gameState.setRotationPlan}
             getPlayerName={(playerId) => {
               const player = gameState.allPlayers.find(p => p.id === playerId);
               return player ? formatPlayerName(player) : t('common:errors.unknownPlayer');
             }}
+            matchControl={matchControl}
+          />
+        );
+      case VIEWS.SHOOTOUT:
+        return (
+          <PenaltyShootoutScreen
+            shootout={gameState.shootout}
+            setShootout={gameState.setShootout}
+            allPlayers={gameState.allPlayers}
+            selectedSquadIds={gameState.selectedSquadIds}
+            ownTeamName={ownTeamName}
+            opponentTeam={gameState.opponentTeam}
+            ownScore={gameState.ownScore}
+            opponentScore={gameState.opponentScore}
+            onCompleteShootout={gameState.completeShootout}
+            onSkipShootout={gameState.skipShootout}
           />
         );
       case VIEWS.STATS:
@@ -1236,6 +1389,7 @@ function AppContent() {
             formation={gameState.formation}
             ownTeamName={ownTeamName}
             matchType={gameState.matchType}
+            shootout={gameState.shootout}
           />
         );
       case VIEWS.PROFILE:
@@ -1274,6 +1428,34 @@ function AppContent() {
             onNavigateTo={navigateToView}
             pushNavigationState={pushNavigationState}
             removeFromNavigationStack={removeFromNavigationStack}
+            onJoinAsCoCoach={canManageTeam ? handleJoinAsCoCoach : undefined}
+            onResumeOnDevice={canManageTeam ? handleResumeOnDevice : undefined}
+          />
+        );
+      case VIEWS.TEAM_CALENDAR:
+        return (
+          <TeamCalendarScreen
+            onNavigateBack={navigateBack}
+            pushNavigationState={pushNavigationState}
+            removeFromNavigationStack={removeFromNavigationStack}
+          />
+        );
+      case VIEWS.GOALIE_PLANNER:
+        return (
+          <GoaliePlannerScreen
+            onNavigateBack={navigateBack}
+            pushNavigationState={pushNavigationState}
+            removeFromNavigationStack={removeFromNavigationStack}
+          />
+        );
+      case VIEWS.PARENT_HOME:
+        return (
+          <ParentHomeScreen
+            onNavigateBack={navigateBack}
+            onNavigateTo={navigateToView}
+            isPlayerView={isPlayer && !isParent}
+            pushNavigationState={pushNavigationState}
+            removeFromNavigationStack={removeFromNavigationStack}
           />
         );
       case VIEWS.PLAN_MATCHES:
@@ -1290,7 +1472,8 @@ function AppContent() {
         const matchId = navigationData?.matchId || liveMatchId;
         const entryPoint = navigationData?.entryPoint || liveMatchEntryPoint;
 
-        const showLiveMatchBackButton = Boolean(user) && entryPoint === VIEWS.STATS;
+        const showLiveMatchBackButton = Boolean(user) &&
+          (entryPoint === VIEWS.STATS || entryPoint === VIEWS.PARENT_HOME);
 
         return matchId ? (
           <LiveMatchScreen
@@ -1384,6 +1567,14 @@ function AppContent() {
         message={t('modals:endPeriodEarly.message', { timeString: confirmModalData.timeString })}
       />
 
+      <ExtraTimeModal
+        isOpen={showExtraTimeModal}
+        defaultMinutes={getDefaultExtraTimeMinutes(gameState.periodDurationMinutes)}
+        onStartExtraTime={handleStartExtraTime}
+        onDecline={handleDeclineExtraTime}
+        onCancel={handleCancelExtraTime}
+      />
+
       <ConfirmationModal
         isOpen={showSignOutConfirmModal}
         onConfirm={handleConfirmSignOut}
@@ -196,6 +196,10 @@ jest.mock('../services/playerService', () => ({
   getTemporaryPlayersForMatch: jest.fn(() => Promise.resolve({ success: true, players: [] }))
 }));
 
+jest.mock('../services/goalieRotationService', () => ({
+  getGoalieHistory: jest.fn(() => Promise.resolve({ success: true, history: new Map(), matchCount: 0 }))
+}));
+
 jest.mock('../components/match/PendingMatchResumeModal', () => ({
   PendingMatchResumeModal: () => null
 }));
@@ -3,7 +3,8 @@
  *
  * Centralizes jest.mock() factory implementations that are duplicated across
  * multiple integration test files. Each export returns a mock module object
- * suitable for use as a jest.mock() factory return value.
+ * suitable for use as a jest.mock() factory return value. The Supabase
+ * builders at the end are shared with the service unit tests.
  *
  * Usage in test files:
  *   jest.mock('../services/audioAlertService', () =>
@@ -225,3 +226,21 @@ exports.teamContext = {
 exports.playerRecommendationData = {
   usePlayerRecommendationData: jest.fn()
 };
+
+// ===================================================================
+// SUPABASE MOCK FACTORIES
+// ===================================================================
+
+/**
+ * Chainable Supabase query that resolves to the given result when awaited.
+ * Return it from a mocked supabase.from() to answer one table read.
+ * Used by: calendarService, goalieRotationService, parentPortalService, availabilityRequestService
+ */
+exports.buildQuery = (result) => {
+  const query = {};
+  ['select', 'eq', 'in', 'is', 'order', 'gt', 'gte', 'lte', 'not'].forEach(method => {
+    query[method] = jest.fn(() => query);
+  });
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return query;
+};
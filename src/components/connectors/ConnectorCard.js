@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useTranslation } from 'react-i18next';
 import { Button } from '../shared/UI';
 import { StatusBadge } from '../shared/StatusBadge';
@@ -12,13 +12,15 @@ import {
   RefreshCw,
   Unplug,
   Clock,
-  Calendar
+  Calendar,
+  Upload
 } from 'lucide-react';
 import {
   getProviderById,
   getStatusBadgeStyle,
   getSyncJobStatusStyle,
   CONNECTOR_STATUS,
+  CONNECTOR_SYNC_MODES,
   SYNC_JOB_STATUS
 } from '../../constants/connectorProviders';
 import { ProviderLogo } from './ProviderLogo';
@@ -38,14 +40,19 @@ const SYNC_JOB_ICON_MAP = {
   [SYNC_JOB_STATUS.WAITING]: Clock
 };
 
-export function ConnectorCard({ connector, onManualSync, onDisconnect, onRetry, loading, latestSyncJob }) {
+// Exports from file import providers: CSV variants and the HTML table saved as .xls
+const IMPORT_FILE_ACCEPT = '.csv,.tsv,.txt,.xls,text/csv,text/plain';
+
+export function ConnectorCard({ connector, onManualSync, onImportFile, onDisconnect, onRetry, loading, latestSyncJob }) {
   const { t } = useTranslation('connectors');
   const [isSyncing, setIsSyncing] = useState(false);
+  const fileInputRef = useRef(null);
 
   const provider = getProviderById(connector.provider);
   const statusStyle = getStatusBadgeStyle(connector.status, t);
   const syncJobStyle = latestSyncJob ? getSyncJobStatusStyle(latestSyncJob.status, t) : null;
   const statusIcon = STATUS_ICON_MAP[connector.status] || XCircle;
+  const isFileImport = provider?.syncMode === CONNECTOR_SYNC_MODES.FILE_IMPORT;
   const syncJobIcon = latestSyncJob ? SYNC_JOB_ICON_MAP[latestSyncJob.status] : null;
 
   useEffect(() => {
@@ -62,6 +69,19 @@ export function ConnectorCard({ connector, onManualSync, onDisconnect, onRetry,
     }
   };
 
+  const handleImportFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setIsSyncing(true);
+    try {
+      await onImportFile(file);
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+
   const formatDateTime = (dateString) => {
     if (!dateString) return t('connectorCard.never');
     const date = new Date(dateString);
@@ -152,6 +172,12 @@ export function ConnectorCard({ connector, onManualSync, onDisconnect, onRetry,
         </Alert>
       )}
 
+      {isFileImport && (
+        <p className="text-slate-400 text-xs mb-4">
+          {t('connectorCard.importHint', { provider: provider?.name })}
+        </p>
+      )}
+
       {/* Action Buttons */}
       <div className="flex space-x-2">
         {hasError && onRetry ? (
@@ -165,6 +191,27 @@ export function ConnectorCard({ connector, onManualSync, onDisconnect, onRetry,
           >
             {t('connectorCard.buttons.retryConnection')}
           </Button>
+        ) : isFileImport ? (
+          <>
+            <Button
+              onClick={() => fileInputRef.current?.click()}
+              variant="primary"
+              size="sm"
+              className="flex-1"
+              Icon={Upload}
+              disabled={!canSync}
+            >
+              {isSyncing ? t('connectorCard.buttons.importing') : t('connectorCard.buttons.importFile')}
+            </Button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept={IMPORT_FILE_ACCEPT}
+              className="hidden"
+              onChange={handleImportFile}
+              data-testid="connector-import-input"
+            />
+          </>
         ) : (
           <Button
             onClick={handleManualSync}
@@ -15,9 +15,17 @@ import { ProviderLogo } from './ProviderLogo';
 import { triggerScraperWorkflow } from '../../services/connectorService';
 import {
   getAllProviders,
-  CONNECTOR_PROVIDERS
+  CONNECTOR_PROVIDERS,
+  CONNECTOR_SYNC_MODES
 } from '../../constants/connectorProviders';
 
+const readFileAsText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
+
 export function ConnectorsSection({ team }) {
   const { t } = useTranslation('connectors');
   const { isTeamAdmin } = useTeam();
@@ -27,8 +35,10 @@ export function ConnectorsSection({ team }) {
     error,
     syncingConnectorId,
     connectProvider,
+    connectImportProvider,
     disconnectProvider,
     manualSync,
+    importConnectorFile,
     retryConnector,
     getLatestSyncJob,
     clearError
@@ -125,9 +135,20 @@ export function ConnectorsSection({ team }) {
   const connectedProviderIds = connectors.map(c => c.provider);
 
   // Handle connect provider
-  const handleConnect = (providerId) => {
-    // For now, only SportAdmin is supported
-    if (providerId === CONNECTOR_PROVIDERS.SPORTADMIN.id) {
+  const handleConnect = async (provider) => {
+    // File import providers need no credentials; data arrives with each imported file
+    if (provider.syncMode === CONNECTOR_SYNC_MODES.FILE_IMPORT) {
+      try {
+        await connectImportProvider(provider.id);
+        setSuccessMessage(t('connectorsSection.importConnectedSuccess', { provider: provider.name }));
+      } catch (err) {
+        // Error handled by hook
+        console.error('Connect provider error:', err);
+      }
+      return;
+    }
+
+    if (provider.id === CONNECTOR_PROVIDERS.SPORTADMIN.id) {
       setShowConnectModal(true);
     }
   };
@@ -176,6 +197,26 @@ export function ConnectorsSection({ team }) {
     }
   };
 
+  // Handle an uploaded export for a file import connector
+  const handleImportFile = async (connector, file) => {
+    try {
+      const text = await readFileAsText(file);
+      const result = await importConnectorFile(connector, {
+        fileName: file.name,
+        text,
+        teamName: team?.name
+      });
+      setSuccessMessage(t('connectorsSection.importSuccess', {
+        players: result.players,
+        attendance: result.attendance,
+        matches: result.matches
+      }));
+    } catch (err) {
+      // Error handled by hook
+      console.error('Import file error:', err);
+    }
+  };
+
   // Handle disconnect
   const handleDisconnect = (connector) => {
     setSelectedConnector(connector);
@@ -261,6 +302,7 @@ export function ConnectorsSection({ team }) {
               key={connector.id}
               connector={connector}
               onManualSync={() => handleManualSync(connector.id)}
+              onImportFile={(file) => handleImportFile(connector, file)}
               onDisconnect={() => handleDisconnect(connector)}
               onRetry={() => handleRetry(connector.id)}
               loading={syncingConnectorId === connector.id}
@@ -305,7 +347,7 @@ export function ConnectorsSection({ team }) {
                     )}
                     {!isConnected && !isComingSoon && (
                       <Button
-                        onClick={() => handleConnect(provider.id)}
+                        onClick={() => handleConnect(provider)}
                         variant="primary"
                         size="sm"
                         className="shrink-0"
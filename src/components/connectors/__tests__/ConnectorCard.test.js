@@ -1,5 +1,5 @@
 import React from 'react';
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import { RefreshCw } from 'lucide-react';
 import { ConnectorCard } from '../ConnectorCard';
 import { CONNECTOR_STATUS, SYNC_JOB_STATUS } from '../../../constants/connectorProviders';
@@ -97,4 +97,29 @@ describe('ConnectorCard', () => {
     expect(screen.getByText('SportAdmin')).toBeInTheDocument();
     expect(screen.queryByRole('img', { name: /sportadmin logo/i })).not.toBeInTheDocument();
   });
+
+  it('offers a file import instead of manual sync for file import providers', async () => {
+    const onImportFile = jest.fn().mockResolvedValue({});
+
+    render(
+      <ConnectorCard
+        connector={{ ...baseConnector, provider: 'myclub' }}
+        latestSyncJob={null}
+        onManualSync={jest.fn()}
+        onImportFile={onImportFile}
+        onDisconnect={jest.fn()}
+        onRetry={jest.fn()}
+        loading={false}
+      />
+    );
+
+    expect(screen.queryByRole('button', { name: /manual sync/i })).not.toBeInTheDocument();
+    expect(screen.getByText(/Export the roster, attendance or match list from MyClub/)).toBeInTheDocument();
+
+    const file = new File(['Namn\nAlva Berg'], 'trupp.csv', { type: 'text/csv' });
+    fireEvent.change(screen.getByTestId('connector-import-input'), { target: { files: [file] } });
+
+    expect(onImportFile).toHaveBeenCalledWith(file);
+    await waitFor(() => expect(screen.getByRole('button', { name: /import file/i })).toBeEnabled());
+  });
 });
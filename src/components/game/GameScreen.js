@@ -1,6 +1,6 @@
 import React, { useMemo, useCallback } from 'react';
 import { useTranslation } from 'react-i18next';
-import { Square, Pause, Play, SquarePlay, Undo2, RefreshCcw, ArrowLeft } from 'lucide-react';
+import { Square, Pause, Play, SquarePlay, Undo2, RefreshCcw, ArrowLeft, CalendarClock } from 'lucide-react';
 import { Button, FieldPlayerModal, SubstitutePlayerModal, GoalieModal, ScoreManagerModal, ConfirmationModal, SubstituteSelectionModal } from '../shared/UI';
 import GoalScorerModal from '../shared/GoalScorerModal';
 import { PLAYER_ROLES, PLAYER_STATUS } from '../../constants/playerConstants';
@@ -10,6 +10,10 @@ import { calculateCurrentStintDuration } from '../../game/time/timeCalculator';
 import { getCurrentTimestamp } from '../../utils/timeUtils';
 import { calculateMatchTime } from '../../utils/gameEventLogger';
 import { getExpectedOnFieldPlayerCount } from '../../game/logic/positionUtils';
+import { getRotationPlanStatus, recomputeRotationPlan } from '../../game/logic/rotationPlan';
+import { calculateAlignWithPlannedSubstitution } from '../../game/logic/gameStateLogic';
+import { getSinBinSecondsRemaining, getExpiredSinBinPlayerIds } from '../../game/logic/discipline';
+import { getFormationDefinition } from '../../utils/formationConfigUtils';
 import { createPersistenceManager } from '../../utils/persistenceManager';
 import { formatPlayerName } from '../../utils/formatUtils';
 
@@ -27,7 +31,9 @@ import { createScoreHandlers } from '../../game/handlers/scoreHandlers';
 import { createGoalieHandlers } from '../../game/handlers/goalieHandlers';
 import { sortPlayersByGoalScoringRelevance } from '../../utils/playerSortingUtils';
 import { SubstitutionCountInlineControl } from './SubstitutionCountControls';
+import { MatchControlBanner } from './MatchControlBanner';
 import { STORAGE_KEYS } from '../../constants/storageKeys';
+import { SUBSTITUTION_LOGIC_OPTIONS } from '../../types/preferences';
 
 // Create persistence manager for substitution count
 const substitutionCountPersistence = createPersistenceManager(STORAGE_KEYS.SUBSTITUTION_COUNT, { count: 1 });
@@ -83,10 +89,16 @@ export function GameScreen({
   currentMatchId,
   handleActualMatchStart,
   periodDurationMinutes,
+  extraTimePeriodNumber = null,
   trackGoalScorer = true,
+  trackAssists = false,
+  substitutionLogic = SUBSTITUTION_LOGIC_OPTIONS.EQUAL_TIME,
+  rotationPlan = null,
+  setRotationPlan,
   getPlayerName,
   setShowNewGameModal,
-  ownTeamName
+  ownTeamName,
+  matchControl = null
 }) {
   // Translation hook
   const { t } = useTranslation('game');
@@ -160,6 +172,7 @@ export function GameScreen({
       allPlayers,
       teamConfig,
       selectedFormation,
+      substitutionLogic,
       nextPlayerToSubOut,
       nextPlayerIdToSubOut,
       rotationQueue,
@@ -184,6 +197,7 @@ export function GameScreen({
     allPlayers,
     teamConfig,
     selectedFormation,
+    substitutionLogic,
     nextPlayerToSubOut,
     nextPlayerIdToSubOut,
     rotationQueue,
@@ -298,8 +312,12 @@ export function GameScreen({
     createScoreHandlers(
       stateUpdaters,
       modalHandlers,
-      { shouldTrackGoalScorer: trackGoalScorer, getPlayerNameById: getPlayerDisplayNameById }
-    ), [stateUpdaters, modalHandlers, trackGoalScorer, getPlayerDisplayNameById]
+      {
+        shouldTrackGoalScorer: trackGoalScorer,
+        shouldTrackAssists: trackAssists,
+        getPlayerNameById: getPlayerDisplayNameById
+      }
+    ), [stateUpdaters, modalHandlers, trackGoalScorer, trackAssists, getPlayerDisplayNameById]
   );
 
   const goalieHandlerCallbacks = React.useMemo(() =>
@@ -326,6 +344,11 @@ export function GameScreen({
     return hasActiveSubstitutes(allPlayers, teamConfig);
   }, [allPlayers, teamConfig]);
 
+  const isIndividualFieldPlayerModal = modalHandlers.modals.fieldPlayer.type === 'player';
+  const fieldPlayerModalPlayer = isIndividualFieldPlayerModal
+    ? findPlayerById(allPlayers, formation[modalHandlers.modals.fieldPlayer.target])
+    : null;
+
   const substitutionButtonLabel = React.useMemo(() => {
     if (substitutionCount === 1) {
       return t('substitution.buttonSingle');
@@ -341,18 +364,19 @@ export function GameScreen({
     }
     
     const stats = player.stats;
+    const sinBinSecondsRemaining = getSinBinSecondsRemaining(player, getCurrentTimestamp(), isSubTimerPaused);
     
     // When timer is paused, only use the stored stats without calculating current stint
     if (isSubTimerPaused) {
       const totalOutfieldTime = stats.timeOnFieldSeconds || 0;
       const attackDefenderDiff = (stats.timeAsAttackerSeconds || 0) - (stats.timeAsDefenderSeconds || 0);
       
-      return { totalOutfieldTime, attackDefenderDiff };
+      return { totalOutfieldTime, attackDefenderDiff, sinBinSecondsRemaining };
     }
     
-    // Calculate current stint time using time module
+    // Calculate current stint time using time module (sin-bin time is not field time)
     let currentStintTime = 0;
-    if (stats.currentStatus === PLAYER_STATUS.ON_FIELD) {
+    if (stats.currentStatus === PLAYER_STATUS.ON_FIELD && !stats.sinBin) {
       currentStintTime = calculateCurrentStintDuration(stats.lastStintStartTimeEpoch, getCurrentTimestamp());
     }
     
@@ -375,9 +399,77 @@ export function GameScreen({
     
     const attackDefenderDiff = attackerTime - defenderTime;
     
-    return { totalOutfieldTime, attackDefenderDiff };
+    return { totalOutfieldTime, attackDefenderDiff, sinBinSecondsRemaining };
   }, [allPlayers, isSubTimerPaused]);
 
+  // Rotation plan tracking - compare the live lineup with the planned schedule
+  const planFieldPositions = React.useMemo(
+    () => getFormationDefinition(teamConfig, selectedFormation)?.fieldPositions || [],
+    [teamConfig, selectedFormation]
+  );
+
+  const elapsedPeriodSeconds = matchState === 'running'
+    ? Math.min(periodDurationMinutes * 60, Math.max(0, periodDurationMinutes * 60 - matchTimerSeconds))
+    : 0;
+
+  const rotationPlanStatus = React.useMemo(() => {
+    if (!rotationPlan) {
+      return null;
+    }
+    return getRotationPlanStatus(rotationPlan, {
+      period: currentPeriodNumber,
+      elapsedSeconds: elapsedPeriodSeconds,
+      formation,
+      fieldPositions: planFieldPositions
+    });
+  }, [rotationPlan, currentPeriodNumber, elapsedPeriodSeconds, formation, planFieldPositions]);
+
+  const nextPlannedSubstitution = rotationPlanStatus?.nextSubstitution || null;
+  const lastAlignedSubstitutionRef = React.useRef(null);
+
+  // Line up the rotation queue and bench with the next planned substitution (once per planned substitution)
+  React.useEffect(() => {
+    if (!nextPlannedSubstitution || lastAlignedSubstitutionRef.current === nextPlannedSubstitution) {
+      return;
+    }
+    lastAlignedSubstitutionRef.current = nextPlannedSubstitution;
+
+    const alignedState = calculateAlignWithPlannedSubstitution(createGameState(), nextPlannedSubstitution);
+    setFormation(alignedState.formation);
+    setAllPlayers(alignedState.allPlayers);
+    setRotationQueue(alignedState.rotationQueue);
+    setNextPlayerIdToSubOut(alignedState.nextPlayerIdToSubOut);
+    setNextPlayerToSubOut(alignedState.nextPlayerToSubOut, true);
+    setSubstitutionCount(Math.max(1, nextPlannedSubstitution.playersOff.length));
+  }, [nextPlannedSubstitution, createGameState, setFormation, setAllPlayers, setRotationQueue, setNextPlayerIdToSubOut, setNextPlayerToSubOut]);
+
+  // End sin-bin suspensions as soon as they have been served
+  React.useEffect(() => {
+    if (matchState !== 'running') {
+      return;
+    }
+    const expiredPlayerIds = getExpiredSinBinPlayerIds(allPlayers, getCurrentTimestamp(), isSubTimerPaused);
+    if (expiredPlayerIds.length > 0) {
+      substitutionHandlers.handleEndSinBin(expiredPlayerIds);
+    }
+  }, [matchState, matchTimerSeconds, allPlayers, isSubTimerPaused, substitutionHandlers]);
+
+  const handleRecomputeRotationPlan = React.useCallback(() => {
+    const fieldSecondsByPlayerId = {};
+    selectedSquadPlayers.forEach(player => {
+      fieldSecondsByPlayerId[player.id] = getPlayerTimeStats(player.id).totalOutfieldTime;
+    });
+
+    setRotationPlan(recomputeRotationPlan(rotationPlan, {
+      period: currentPeriodNumber,
+      elapsedSeconds: elapsedPeriodSeconds,
+      secondsSinceLastSubstitution: subTimerSeconds,
+      formation,
+      fieldSecondsByPlayerId,
+      unavailablePlayerIds: allPlayers.filter(player => player.stats?.isInactive).map(player => player.id)
+    }));
+  }, [selectedSquadPlayers, getPlayerTimeStats, setRotationPlan, rotationPlan, currentPeriodNumber, elapsedPeriodSeconds, subTimerSeconds, formation, allPlayers]);
+
   // Handle substitution automation when shouldSubstituteNow is set
   React.useEffect(() => {
     if (uiState.shouldSubstituteNow) {
@@ -464,6 +556,9 @@ export function GameScreen({
     ? 0 
     : subTimerSeconds;
 
+  // With a co-coach, only the device holding the clock lease starts, pauses and ends periods
+  const canControlClock = matchControl?.canControlClock ?? true;
+
   return (
     <div className="relative space-y-4">
       {/* Start Match Overlay - shown when match is pending or during animation */}
@@ -477,8 +572,8 @@ export function GameScreen({
           <div className={`relative z-10 text-center transition-opacity duration-[2000ms] ${isStartAnimating ? 'opacity-0' : 'opacity-100'}`}>
             {/* Main Clickable Icon */}
             <div
-              onClick={handleAnimatedMatchStart}
-              className={`group relative inline-block select-none transition-opacity duration-[2000ms] ${isStartAnimating ? 'cursor-default opacity-0' : 'cursor-pointer opacity-100'}`}
+              onClick={canControlClock ? handleAnimatedMatchStart : undefined}
+              className={`group relative inline-block select-none transition-opacity duration-[2000ms] ${isStartAnimating ? 'cursor-default opacity-0' : canControlClock ? 'cursor-pointer opacity-100' : 'cursor-not-allowed opacity-50'}`}
             >
               {/* Multi-layer Glow Effects */}
               <div className="absolute inset-0 animate-pulse">
@@ -513,10 +608,14 @@ export function GameScreen({
             {/* Descriptive Text */}
             <div className={`mt-8 space-y-2 transition-opacity duration-[2000ms] ${isStartAnimating ? 'opacity-0' : 'opacity-100'}`}>
               <p className="text-3xl font-bold text-white drop-shadow-lg tracking-wide">
-                {currentPeriodNumber === 1 ? t('startScreen.startMatch') : t('startScreen.startPeriod', { ordinal: getOrdinalSuffix(currentPeriodNumber, t) })}
+                {currentPeriodNumber === 1
+                  ? t('startScreen.startMatch')
+                  : extraTimePeriodNumber
+                    ? t('startScreen.startExtraTime', { number: extraTimePeriodNumber })
+                    : t('startScreen.startPeriod', { ordinal: getOrdinalSuffix(currentPeriodNumber, t) })}
               </p>
               <p className="text-center text-sky-100/70 text-lg font-medium tracking-wide drop-shadow-sm">
-                {t('startScreen.instructions')}
+                {canControlClock ? t('startScreen.instructions') : t('coCoach.waitingForClockHolder')}
               </p>
             </div>
 
@@ -539,7 +638,19 @@ export function GameScreen({
         </div>
       )}
 
-      <h2 className="text-xl font-semibold text-sky-300 text-center">{t('period.label', { number: currentPeriodNumber })}</h2>
+      <h2 className="text-xl font-semibold text-sky-300 text-center">{extraTimePeriodNumber
+        ? t('period.extraTimeLabel', { number: extraTimePeriodNumber })
+        : t('period.label', { number: currentPeriodNumber })}</h2>
+
+      {matchControl && (
+        <MatchControlBanner
+          role={matchControl.role}
+          clockHolderName={matchControl.clockHolderName}
+          conflictCount={matchControl.conflicts?.length || 0}
+          onTakeOverClock={matchControl.takeOverClock}
+          onDismissConflicts={matchControl.dismissConflicts}
+        />
+      )}
 
 
 
@@ -559,8 +670,9 @@ export function GameScreen({
             </p>
             <button
               onClick={isSubTimerPaused ? timerHandlers.handleResumeTimer : timerHandlers.handlePauseTimer}
-              className="absolute right-0 p-1 hover:bg-slate-600 rounded-full transition-colors duration-150 flex-shrink-0"
-              title={isSubTimerPaused ? t('timers.resumeTooltip') : t('timers.pauseTooltip')}
+              disabled={!canControlClock}
+              className="absolute right-0 p-1 hover:bg-slate-600 disabled:opacity-40 disabled:hover:bg-transparent rounded-full transition-colors duration-150 flex-shrink-0"
+              title={!canControlClock ? t('coCoach.clockControlDisabled') : isSubTimerPaused ? t('timers.resumeTooltip') : t('timers.pauseTooltip')}
             >
               {isSubTimerPaused ? <Play className="h-4 w-4" /> : <Pause className="h-4 w-4" />}
             </button>
@@ -568,6 +680,31 @@ export function GameScreen({
         </div>
       </div>
 
+      {/* Rotation plan - next planned substitution or drift warning */}
+      {rotationPlanStatus && (rotationPlanStatus.hasDrift ? (
+        <div
+          data-testid="rotation-plan-drift"
+          className="p-2 bg-amber-700 border border-amber-500 rounded-lg flex items-center justify-between gap-2"
+        >
+          <p className="text-xs text-amber-100">{t('rotationPlan.drift')}</p>
+          {setRotationPlan && (
+            <Button size="sm" variant="secondary" onClick={handleRecomputeRotationPlan} Icon={CalendarClock}>
+              {t('rotationPlan.recompute')}
+            </Button>
+          )}
+        </div>
+      ) : nextPlannedSubstitution && (
+        <div data-testid="rotation-plan-next" className="p-2 bg-slate-700 rounded-lg text-center">
+          <p className="text-xs text-sky-200">
+            {t('rotationPlan.nextSubstitution', {
+              time: formatTime(nextPlannedSubstitution.atSeconds),
+              off: nextPlannedSubstitution.playersOff.map(getPlayerNameById).join(', '),
+              on: nextPlannedSubstitution.playersOn.map(getPlayerNameById).join(', ')
+            })}
+          </p>
+        </div>
+      ))}
+
       {/* Score Display */}
       <div className="p-2 bg-slate-700 rounded-lg text-center">
         <div ref={scoreRowRef} className="flex items-center justify-center space-x-2.5">
@@ -672,7 +809,14 @@ export function GameScreen({
       {/* Action Buttons */}
       <div className="flex flex-col gap-3 mt-4">
         {/* End Period Button */}
-        <Button onClick={handleEndPeriod} Icon={Square} variant="danger" className="w-full">
+        <Button
+          onClick={handleEndPeriod}
+          Icon={Square}
+          variant="danger"
+          className="w-full"
+          disabled={!canControlClock}
+          title={canControlClock ? undefined : t('coCoach.clockControlDisabled')}
+        >
           {t('actions.endPeriod')}
         </Button>
       </div>
@@ -683,6 +827,10 @@ export function GameScreen({
         onSetNext={() => substitutionHandlers.handleSetNextSubstitution(modalHandlers.modals.fieldPlayer)}
         onRemoveFromNext={() => substitutionHandlers.handleRemoveFromNextSubstitution(modalHandlers.modals.fieldPlayer)}
         onSubNow={() => substitutionHandlers.handleSubstituteNow(modalHandlers.modals.fieldPlayer)}
+        onInjure={() => substitutionHandlers.handleInjurePlayer(modalHandlers.modals.fieldPlayer)}
+        onYellowCard={isIndividualFieldPlayerModal ? () => substitutionHandlers.handleYellowCard(modalHandlers.modals.fieldPlayer) : undefined}
+        onSinBin={isIndividualFieldPlayerModal ? () => substitutionHandlers.handleSinBinPlayer(modalHandlers.modals.fieldPlayer) : undefined}
+        onRedCard={isIndividualFieldPlayerModal ? () => substitutionHandlers.handleRedCard(modalHandlers.modals.fieldPlayer) : undefined}
         onCancel={substitutionHandlers.handleCancelFieldPlayerModal}
         onChangePosition={substitutionHandlers.handleChangePosition}
         playerName={modalHandlers.modals.fieldPlayer.playerName}
@@ -691,6 +839,8 @@ export function GameScreen({
         showPositionOptions={modalHandlers.modals.fieldPlayer.showPositionOptions}
         showSubstitutionOptions={modalHandlers.modals.fieldPlayer.type === 'player'}
         canSubstitute={canSubstitute}
+        canInjure={canSubstitute}
+        isSinBinned={Boolean(fieldPlayerModalPlayer?.stats?.sinBin)}
         isPlayerAboutToSubOff={modalHandlers.modals.fieldPlayer.isPlayerAboutToSubOff || false}
       />
 
@@ -699,11 +849,13 @@ export function GameScreen({
         isOpen={modalHandlers.modals.substitute.isOpen}
         onInactivate={() => substitutionHandlers.handleInactivatePlayer(modalHandlers.modals.substitute, allPlayers, formation)}
         onActivate={() => substitutionHandlers.handleActivatePlayer(modalHandlers.modals.substitute)}
+        onReturnFromInjury={() => substitutionHandlers.handleReturnFromInjury(modalHandlers.modals.substitute)}
         onCancel={substitutionHandlers.handleCancelSubstituteModal}
         onSetAsNextToGoIn={() => substitutionHandlers.handleSetAsNextToGoIn(modalHandlers.modals.substitute, formation)}
         onChangeNextPosition={(targetPosition) => substitutionHandlers.handleChangeNextPosition(modalHandlers.modals.substitute, targetPosition)}
         playerName={modalHandlers.modals.substitute.playerName}
         isCurrentlyInactive={modalHandlers.modals.substitute.isCurrentlyInactive}
+        isCurrentlyInjured={findPlayerById(allPlayers, modalHandlers.modals.substitute.playerId)?.stats?.isInjured || false}
         canSetAsNextToGoIn={modalHandlers.modals.substitute.canSetAsNextToGoIn}
         canChangeNextPosition={modalHandlers.modals.substitute.canChangeNextPosition}
         availableNextPositions={modalHandlers.modals.substitute.availableNextPositions}
@@ -756,8 +908,8 @@ export function GameScreen({
       <GoalScorerModal
         isOpen={trackGoalScorer && modalHandlers.modals.goalScorer.isOpen}
         onClose={scoreHandlers.handleCancelGoalScorer}
-        onSelectScorer={(scorerId) => scoreHandlers.handleSelectGoalScorer(modalHandlers.modals.goalScorer.eventId, scorerId)}
-        onCorrectGoal={(eventId, scorerId) => scoreHandlers.handleCorrectGoalScorer(eventId, scorerId)}
+        onSelectScorer={(scorerId, assistId) => scoreHandlers.handleSelectGoalScorer(modalHandlers.modals.goalScorer.eventId, scorerId, assistId)}
+        onCorrectGoal={(eventId, scorerId, assistId) => scoreHandlers.handleCorrectGoalScorer(eventId, scorerId, assistId)}
         eligiblePlayers={eligiblePlayers}
         mode={modalHandlers.modals.goalScorer.mode}
         eventId={modalHandlers.modals.goalScorer.eventId}
@@ -765,6 +917,8 @@ export function GameScreen({
         existingGoalData={modalHandlers.modals.goalScorer.existingGoalData}
         matchTime={modalHandlers.modals.goalScorer.matchTime}
         goalType={modalHandlers.modals.goalScorer.team}
+        allowAssistSelection={trackAssists}
+        currentAssistId={modalHandlers.modals.goalScorer.currentAssistId}
       />
 
       {/* Substitute Selection Modal */}
@@ -786,7 +940,7 @@ const arePropsEqual = (prevProps, nextProps) => {
     'currentPeriodNumber', 'matchTimerSeconds', 'subTimerSeconds', 'isSubTimerPaused',
     'teamConfig', 'selectedFormation', 'nextPlayerToSubOut',
     'nextPlayerIdToSubOut', 'ownScore', 'opponentScore',
-    'trackGoalScorer'
+    'trackGoalScorer', 'trackAssists', 'substitutionLogic', 'rotationPlan'
   ];
   
   for (const prop of primitiveProps) {
@@ -828,6 +982,16 @@ const arePropsEqual = (prevProps, nextProps) => {
     }
   }
   
+  // Co-coach match control comparison
+  const prevControl = prevProps.matchControl;
+  const nextControl = nextProps.matchControl;
+  if (prevControl?.role !== nextControl?.role ||
+      prevControl?.canControlClock !== nextControl?.canControlClock ||
+      prevControl?.clockHolderName !== nextControl?.clockHolderName ||
+      prevControl?.conflicts !== nextControl?.conflicts) {
+    return false;
+  }
+
   // All props are equal
   return true;
 };
@@ -0,0 +1,54 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { Timer, AlertTriangle } from 'lucide-react';
+import { Button } from '../shared/UI';
+import { MATCH_CONTROL_ROLES } from '../../hooks/useMatchControl';
+
+/**
+ * Co-coach status on the game screen: who runs the match clock, a way to take
+ * it over, and changes that clashed with the other coach's and were undone
+ */
+export function MatchControlBanner({ role, clockHolderName, conflictCount = 0, onTakeOverClock, onDismissConflicts }) {
+  const { t } = useTranslation('game');
+
+  const isCoCoach = role === MATCH_CONTROL_ROLES.CO_COACH;
+  if (!isCoCoach && conflictCount === 0) {
+    return null;
+  }
+
+  return (
+    <div className="space-y-2" data-testid="match-control-banner">
+      {isCoCoach && (
+        <div className="p-2 bg-slate-700 border border-sky-600 rounded-lg flex items-center justify-between gap-2">
+          <div className="flex items-center gap-2 min-w-0">
+            <Timer className="h-4 w-4 text-sky-300 shrink-0" />
+            <p className="text-xs text-sky-100">
+              {clockHolderName
+                ? t('coCoach.clockHeldBy', { name: clockHolderName })
+                : t('coCoach.clockHeldByOther')}
+            </p>
+          </div>
+          {onTakeOverClock && (
+            <Button size="sm" variant="secondary" onClick={onTakeOverClock}>
+              {t('coCoach.takeOver')}
+            </Button>
+          )}
+        </div>
+      )}
+
+      {conflictCount > 0 && (
+        <div className="p-2 bg-amber-700 border border-amber-500 rounded-lg flex items-center justify-between gap-2">
+          <div className="flex items-center gap-2 min-w-0">
+            <AlertTriangle className="h-4 w-4 text-amber-100 shrink-0" />
+            <p className="text-xs text-amber-100">{t('coCoach.conflicts', { count: conflictCount })}</p>
+          </div>
+          {onDismissConflicts && (
+            <Button size="sm" variant="secondary" onClick={onDismissConflicts}>
+              {t('coCoach.dismiss')}
+            </Button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
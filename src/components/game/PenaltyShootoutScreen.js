@@ -0,0 +1,252 @@
+import React, { useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Target, Undo2, Flag } from 'lucide-react';
+import { Button } from '../shared/UI';
+import { Card } from '../shared/Card';
+import { formatPlayerName } from '../../utils/formatUtils';
+import { findPlayerById } from '../../utils/playerUtils';
+import { TEAM_CONFIG } from '../../constants/teamConstants';
+import {
+  startShootout,
+  recordShootoutKick,
+  undoLastShootoutKick,
+  getNextKick,
+  getShootoutScore,
+  getShootoutWinner,
+  getShootoutRounds,
+  SHOOTOUT_KICK_RESULTS,
+  SHOOTOUT_TEAMS
+} from '../../game/logic/penaltyShootout';
+
+const RESULT_STYLES = {
+  [SHOOTOUT_KICK_RESULTS.SCORED]: 'text-emerald-400',
+  [SHOOTOUT_KICK_RESULTS.SAVED]: 'text-rose-400',
+  [SHOOTOUT_KICK_RESULTS.MISSED]: 'text-rose-400'
+};
+
+/**
+ * PenaltyShootoutScreen - Decides a drawn cup or tournament match by penalties
+ *
+ * The coach first picks the kick order from the squad and which team kicks first,
+ * then records every kick for both teams until the shootout is decided.
+ */
+export function PenaltyShootoutScreen({
+  shootout,
+  setShootout,
+  allPlayers = [],
+  selectedSquadIds = [],
+  ownTeamName = TEAM_CONFIG.OWN_TEAM_NAME,
+  opponentTeam,
+  ownScore = 0,
+  opponentScore = 0,
+  onCompleteShootout,
+  onSkipShootout
+}) {
+  const { t } = useTranslation('game');
+  const [kickOrder, setKickOrder] = useState(shootout?.kickOrder || []);
+  const [ownKicksFirst, setOwnKicksFirst] = useState(shootout?.ownKicksFirst ?? true);
+  const [isFinishing, setIsFinishing] = useState(false);
+
+  const opponentName = opponentTeam || t('stats.opponent');
+  const squadPlayers = useMemo(
+    () => allPlayers.filter(player => selectedSquadIds.includes(player.id)),
+    [allPlayers, selectedSquadIds]
+  );
+
+  if (!shootout) {
+    return null;
+  }
+
+  const getPlayerName = (playerId) => {
+    const player = findPlayerById(allPlayers, playerId);
+    return player ? formatPlayerName(player) : '-';
+  };
+
+  const shootoutScore = getShootoutScore(shootout);
+  const winner = getShootoutWinner(shootout);
+  const nextKick = getNextKick(shootout);
+  const rounds = getShootoutRounds(shootout);
+
+  const toggleKicker = (playerId) => {
+    setKickOrder(prev => (
+      prev.includes(playerId) ? prev.filter(id => id !== playerId) : [...prev, playerId]
+    ));
+  };
+
+  const finish = async (handler) => {
+    setIsFinishing(true);
+    await handler();
+    setIsFinishing(false);
+  };
+
+  const renderKick = (kick) => {
+    if (!kick) {
+      return <span className="text-slate-500">-</span>;
+    }
+    return (
+      <span className={RESULT_STYLES[kick.result]}>
+        {t(`shootout.results.${kick.result}`)}
+        {kick.playerId && <span className="text-slate-400 ml-1">({getPlayerName(kick.playerId)})</span>}
+      </span>
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-2xl font-semibold text-sky-300 flex items-center">
+        <Target className="mr-2 h-6 w-6" />
+        {t('shootout.title')}
+      </h2>
+
+      {/* Scoreboard */}
+      <Card>
+        <div className="flex items-center justify-center space-x-6 text-center">
+          <div className="flex-1 text-right">
+            <div className="text-lg font-semibold text-slate-200 truncate">{ownTeamName}</div>
+            <div className="text-4xl font-bold font-mono text-sky-300" data-testid="shootout-own-score">
+              {shootoutScore.own}
+            </div>
+          </div>
+          <div className="text-2xl font-bold text-slate-500">-</div>
+          <div className="flex-1 text-left">
+            <div className="text-lg font-semibold text-slate-200 truncate">{opponentName}</div>
+            <div className="text-4xl font-bold font-mono text-sky-300" data-testid="shootout-opponent-score">
+              {shootoutScore.opponent}
+            </div>
+          </div>
+        </div>
+        <p className="mt-2 text-center text-sm text-slate-400">
+          {t('shootout.regulationScore', { ownScore, opponentScore })}
+        </p>
+      </Card>
+
+      {!shootout.isStarted ? (
+        <Card>
+          <h3 className="text-lg font-semibold text-sky-200">{t('shootout.kickOrder')}</h3>
+          <p className="text-sm text-slate-300 mb-3">{t('shootout.kickOrderHint')}</p>
+          <div className="grid grid-cols-2 gap-2" data-testid="shootout-kick-order">
+            {squadPlayers.map(player => {
+              const position = kickOrder.indexOf(player.id);
+              return (
+                <button
+                  key={player.id}
+                  type="button"
+                  onClick={() => toggleKicker(player.id)}
+                  className={`flex items-center justify-between rounded-md px-3 py-2 text-sm ${position >= 0 ? 'bg-sky-700 text-white' : 'bg-slate-800 text-slate-200 hover:bg-slate-600'}`}
+                >
+                  <span className="truncate">{formatPlayerName(player)}</span>
+                  {position >= 0 && <span className="font-mono font-semibold">{position + 1}</span>}
+                </button>
+              );
+            })}
+          </div>
+          {kickOrder.length > 0 && (
+            <button
+              type="button"
+              onClick={() => setKickOrder([])}
+              className="mt-2 text-xs text-slate-400 hover:text-slate-200"
+            >
+              {t('shootout.clearKickOrder')}
+            </button>
+          )}
+
+          <h3 className="text-lg font-semibold text-sky-200 mt-4 mb-2">{t('shootout.firstKick')}</h3>
+          <div className="grid grid-cols-2 gap-2">
+            <Button variant={ownKicksFirst ? 'primary' : 'secondary'} onClick={() => setOwnKicksFirst(true)}>
+              {ownTeamName}
+            </Button>
+            <Button variant={ownKicksFirst ? 'secondary' : 'primary'} onClick={() => setOwnKicksFirst(false)}>
+              {opponentName}
+            </Button>
+          </div>
+
+          <Button
+            className="w-full mt-4"
+            size="lg"
+            Icon={Target}
+            disabled={kickOrder.length === 0}
+            onClick={() => setShootout(startShootout(shootout, kickOrder, ownKicksFirst))}
+          >
+            {t('shootout.start')}
+          </Button>
+        </Card>
+      ) : (
+        <Card>
+          {nextKick && (
+            <div className="space-y-3" data-testid="shootout-next-kick">
+              <div className="flex items-center justify-between text-sm text-slate-300">
+                <span>{t('shootout.round', { round: nextKick.round })}</span>
+                {nextKick.isSuddenDeath && (
+                  <span className="text-amber-300 font-semibold">{t('shootout.suddenDeath')}</span>
+                )}
+              </div>
+              <p className="text-lg font-semibold text-slate-100">
+                {nextKick.team === SHOOTOUT_TEAMS.OWN
+                  ? t('shootout.ownKick', { player: getPlayerName(nextKick.playerId) })
+                  : t('shootout.opponentKick', { team: opponentName })}
+              </p>
+              <div className="grid grid-cols-3 gap-2">
+                <Button variant="accent" onClick={() => setShootout(recordShootoutKick(shootout, SHOOTOUT_KICK_RESULTS.SCORED))}>
+                  {t('shootout.results.scored')}
+                </Button>
+                <Button variant="secondary" onClick={() => setShootout(recordShootoutKick(shootout, SHOOTOUT_KICK_RESULTS.SAVED))}>
+                  {t('shootout.results.saved')}
+                </Button>
+                <Button variant="danger" onClick={() => setShootout(recordShootoutKick(shootout, SHOOTOUT_KICK_RESULTS.MISSED))}>
+                  {t('shootout.results.missed')}
+                </Button>
+              </div>
+            </div>
+          )}
+
+          {winner && (
+            <p className="text-lg font-semibold text-emerald-400 text-center" data-testid="shootout-winner">
+              {t('shootout.winner', { team: winner === SHOOTOUT_TEAMS.OWN ? ownTeamName : opponentName })}
+            </p>
+          )}
+
+          {rounds.length > 0 && (
+            <table className="w-full mt-4 text-sm">
+              <thead>
+                <tr className="text-slate-400 text-left">
+                  <th className="py-1 font-medium">#</th>
+                  <th className="py-1 font-medium">{ownTeamName}</th>
+                  <th className="py-1 font-medium">{opponentName}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rounds.map(round => (
+                  <tr key={round.round} className="border-t border-slate-600">
+                    <td className="py-1 text-slate-400 font-mono">{round.round}</td>
+                    <td className="py-1">{renderKick(round[SHOOTOUT_TEAMS.OWN])}</td>
+                    <td className="py-1">{renderKick(round[SHOOTOUT_TEAMS.OPPONENT])}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <Button
+            className="w-full mt-4"
+            variant="secondary"
+            Icon={Undo2}
+            disabled={shootout.kicks.length === 0 || isFinishing}
+            onClick={() => setShootout(undoLastShootoutKick(shootout))}
+          >
+            {t('shootout.undo')}
+          </Button>
+        </Card>
+      )}
+
+      {winner ? (
+        <Button size="lg" variant="accent" Icon={Flag} disabled={isFinishing} onClick={() => finish(onCompleteShootout)}>
+          {t('shootout.finishMatch')}
+        </Button>
+      ) : (
+        <Button variant="secondary" disabled={isFinishing} onClick={() => finish(onSkipShootout)}>
+          {t('shootout.skip')}
+        </Button>
+      )}
+    </div>
+  );
+}
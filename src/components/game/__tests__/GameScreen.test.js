@@ -482,6 +482,61 @@ describe('GameScreen', () => {
     });
   });
 
+  describe('Co-coach Match Control', () => {
+    const createMatchControl = (overrides = {}) => ({
+      role: 'co_coach',
+      canControlClock: false,
+      clockHolderName: 'Coach A',
+      conflicts: [],
+      takeOverClock: jest.fn(),
+      dismissConflicts: jest.fn(),
+      ...overrides
+    });
+
+    it('should disable pause and end period on a co-coach device', () => {
+      render(<GameScreen {...defaultProps} matchControl={createMatchControl()} />);
+
+      expect(screen.getByText('Coach A is running the match clock')).toBeInTheDocument();
+      const disabledControls = screen.getAllByTitle('Only the device running the match clock can do this');
+      expect(disabledControls).toHaveLength(2);
+      disabledControls.forEach(control => expect(control).toBeDisabled());
+    });
+
+    it('should let a co-coach take over the clock', async () => {
+      const matchControl = createMatchControl();
+      render(<GameScreen {...defaultProps} matchControl={matchControl} />);
+
+      await userInteractions.clickElement(screen.getByText('Take over clock'));
+
+      expect(matchControl.takeOverClock).toHaveBeenCalled();
+    });
+
+    it('should keep the clock controls on the clock holder device', () => {
+      render(
+        <GameScreen
+          {...defaultProps}
+          matchControl={createMatchControl({ role: 'clock_holder', canControlClock: true, clockHolderName: null })}
+        />
+      );
+
+      expect(screen.queryByTestId('match-control-banner')).not.toBeInTheDocument();
+      expect(screen.getByTitle(/pause/i)).not.toBeDisabled();
+    });
+
+    it('should report changes undone because of the other coach', async () => {
+      const matchControl = createMatchControl({
+        role: 'clock_holder',
+        canControlClock: true,
+        conflicts: [{ id: 'event-1' }, { id: 'event-2' }]
+      });
+      render(<GameScreen {...defaultProps} matchControl={matchControl} />);
+
+      expect(screen.getByText('2 change(s) clashed with the other coach and were undone')).toBeInTheDocument();
+      await userInteractions.clickElement(screen.getByText('Dismiss'));
+      expect(matchControl.dismissConflicts).toHaveBeenCalled();
+    });
+  });
+
   // Score Management tests removed - complex DOM selectors better covered in integration tests
 
   describe('Substitution Controls', () => {
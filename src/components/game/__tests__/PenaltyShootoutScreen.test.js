@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { PenaltyShootoutScreen } from '../PenaltyShootoutScreen';
+import { createShootoutState, startShootout } from '../../../game/logic/penaltyShootout';
+
+const players = [
+  { id: 'p1', displayName: 'Alice', firstName: 'Alice' },
+  { id: 'p2', displayName: 'Bob', firstName: 'Bob' },
+  { id: 'p3', displayName: 'Cleo', firstName: 'Cleo' }
+];
+
+const ShootoutHarness = ({ initialShootout, ...props }) => {
+  const [shootout, setShootout] = useState(initialShootout);
+  return (
+    <PenaltyShootoutScreen
+      shootout={shootout}
+      setShootout={setShootout}
+      allPlayers={players}
+      selectedSquadIds={['p1', 'p2', 'p3']}
+      ownTeamName="Djurgården"
+      opponentTeam="Hammarby"
+      ownScore={2}
+      opponentScore={2}
+      onCompleteShootout={jest.fn()}
+      onSkipShootout={jest.fn()}
+      {...props}
+    />
+  );
+};
+
+describe('PenaltyShootoutScreen', () => {
+  test('builds the kick order before starting', () => {
+    render(<ShootoutHarness initialShootout={createShootoutState({ regulationEndEpoch: 1000 })} />);
+
+    const startButton = screen.getByRole('button', { name: /Start shootout/i });
+    expect(startButton).toBeDisabled();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Bob' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Alice' }));
+    expect(screen.getByRole('button', { name: 'Bob 1' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Alice 2' })).toBeInTheDocument();
+
+    fireEvent.click(startButton);
+    expect(screen.getByText('Bob to kick')).toBeInTheDocument();
+  });
+
+  test('records kicks until a winner is decided', async () => {
+    const onCompleteShootout = jest.fn().mockResolvedValue({ success: true });
+    const started = startShootout(createShootoutState({ regulationEndEpoch: 1000 }), ['p1', 'p2', 'p3'], true);
+    render(<ShootoutHarness initialShootout={started} onCompleteShootout={onCompleteShootout} />);
+
+    // Own team scores three, opponent misses three
+    for (let i = 0; i < 3; i++) {
+      fireEvent.click(screen.getByRole('button', { name: 'Scored' }));
+      fireEvent.click(screen.getByRole('button', { name: 'Missed' }));
+    }
+
+    expect(screen.getByTestId('shootout-own-score')).toHaveTextContent('3');
+    expect(screen.getByTestId('shootout-opponent-score')).toHaveTextContent('0');
+    expect(screen.getByTestId('shootout-winner')).toHaveTextContent('Djurgården wins the shootout');
+    expect(screen.queryByTestId('shootout-next-kick')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: /Finish match/i }));
+    await waitFor(() => expect(onCompleteShootout).toHaveBeenCalledTimes(1));
+  });
+
+  test('undo removes the last kick', () => {
+    const started = startShootout(createShootoutState({ regulationEndEpoch: 1000 }), ['p1'], false);
+    render(<ShootoutHarness initialShootout={started} />);
+
+    expect(screen.getByText('Hammarby to kick')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Scored' }));
+    expect(screen.getByTestId('shootout-opponent-score')).toHaveTextContent('1');
+
+    fireEvent.click(screen.getByRole('button', { name: /Undo last kick/i }));
+    expect(screen.getByTestId('shootout-opponent-score')).toHaveTextContent('0');
+    expect(screen.getByText('Hammarby to kick')).toBeInTheDocument();
+  });
+
+  test('allows finishing without a shootout', async () => {
+    const onSkipShootout = jest.fn().mockResolvedValue({ success: true });
+    render(<ShootoutHarness initialShootout={createShootoutState({ regulationEndEpoch: 1000 })} onSkipShootout={onSkipShootout} />);
+
+    fireEvent.click(screen.getByRole('button', { name: /without shootout/i }));
+    await waitFor(() => expect(onSkipShootout).toHaveBeenCalledTimes(1));
+  });
+});
@@ -2,6 +2,7 @@ import React from 'react';
 import { ArrowUpCircle, ArrowDownCircle } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 import { findPlayerById } from '../../../utils/playerUtils';
+import { formatTime } from '../../../utils/formatUtils';
 import { getFieldPositions, getSubstitutePositions, getPositionRole } from '../../../game/logic/positionUtils';
 import { supportsInactiveUsers } from '../../../constants/gameModes';
 import {
@@ -135,6 +136,11 @@ export function IndividualFormation({
     const player = findPlayerById(allPlayers, playerId);
     // Check if player is inactive (only for modes that support it)
     const isInactive = modeSupportsInactive ? (player?.stats.isInactive || false) : false;
+    // Sin-binned players keep their slot but are shown as off the pitch
+    const isSinBinned = modeSupportsInactive && isFieldPosition && Boolean(player?.stats.sinBin);
+    const sinBinSecondsRemaining = isSinBinned && getPlayerTimeStats
+      ? getPlayerTimeStats(playerId).sinBinSecondsRemaining || 0
+      : 0;
 
     // Get indicator props using utility
     const { isNextOff, isNextOn } = getIndicatorProps(
@@ -155,7 +161,7 @@ export function IndividualFormation({
     const { animationClass, zIndexClass, styleProps } = getPlayerAnimation(playerId, animationState);
     const { bgColor, textColor, borderColor, glowClass } = getPlayerStyling({
       isFieldPosition,
-      isInactive,
+      isInactive: isInactive || isSinBinned,
       isNextOff,
       isNextOn,
       isRecentlySubstituted,
@@ -192,6 +198,11 @@ export function IndividualFormation({
               </span>
             )}
             {modeSupportsInactive && isInactive && <span className="text-xs text-slate-600">{inactiveLabel}</span>}
+            {isSinBinned && (
+              <span className="text-xs text-amber-400" data-testid={`sin-bin-${playerId}`}>
+                {t('formation.sinBin', { time: formatTime(sinBinSecondsRemaining) })}
+              </span>
+            )}
           </span>
           <div className="flex space-x-1">
             {/* Primary indicators (full opacity) - only show for active players */}
@@ -1,2 +1,2 @@
 // Game components barrel exports
-export { GameScreen } from './GameScreen';
\ No newline at end of file
+export { GameScreen } from './GameScreen';export { PenaltyShootoutScreen } from './PenaltyShootoutScreen';
@@ -9,9 +9,10 @@ import { GameEventTimeline } from '../report/GameEventTimeline';
 import { ReportSection } from '../report/ReportSection';
 import { EventToggleButton } from '../report/EventToggleButton';
 import { ReportNavigation } from '../report/ReportNavigation';
+import { LiveScoreboard } from './LiveScoreboard';
 import { useTeam } from '../../contexts/TeamContext';
 import { findUpcomingMatchByOpponent } from '../../services/matchIntegrationService';
-import { useMatchEvents } from '../../hooks/useMatchEvents';
+import { useMatchEvents, CONNECTION_MODES } from '../../hooks/useMatchEvents';
 import {
   buildPlayerNameMap,
   consolidateMatchEvents,
@@ -20,10 +21,12 @@ import {
   parseEventTime
 } from '../../utils/matchEventConsolidation';
 import { extractMatchMetadata } from '../../utils/matchMetadataExtractor';
+import { calculateEffectiveMatchDurationSeconds, createEffectiveTimeCalculator } from '../../utils/liveMatchState';
 import { createPersistenceManager } from '../../utils/persistenceManager';
 import { STORAGE_KEYS } from '../../constants/storageKeys';
 
 export { sortEventsByOrdinal } from '../../utils/matchEventConsolidation';
+export { createEffectiveTimeCalculator, calculateEffectiveMatchDurationSeconds } from '../../utils/liveMatchState';
 
 const formatMatchTime = seconds => {
   const mins = Math.floor(seconds / 60);
@@ -37,119 +40,23 @@ export const formatLiveMatchMinuteDisplay = (seconds) => {
   return `${Math.max(1, minute)}'`;
 };
 
-const buildEffectiveTimeSegments = (events = [], isLive = false, currentTimeMs = Date.now()) => {
-  if (!Array.isArray(events) || events.length === 0) return [];
-
-  const sortedEvents = [...events].sort((a, b) => {
-    const timeA = parseEventTime(a);
-    const timeB = parseEventTime(b);
-    if (timeA !== null && timeB !== null && timeA !== timeB) {
-      return timeA - timeB;
-    }
-
-    const ordinalA = typeof a?.ordinal === 'number' ? a.ordinal : 0;
-    const ordinalB = typeof b?.ordinal === 'number' ? b.ordinal : 0;
-    return ordinalA - ordinalB;
-  });
-
-  const segments = [];
-  let currentPeriodStart = null;
-  let lastEventTime = null;
-
-  const closeSegment = (endTime) => {
-    if (currentPeriodStart === null || !Number.isFinite(endTime)) return;
-    if (endTime > currentPeriodStart) {
-      segments.push({ start: currentPeriodStart, end: endTime });
-    }
-    currentPeriodStart = null;
-  };
-
-  sortedEvents.forEach(event => {
-    const eventTime = parseEventTime(event);
-    if (Number.isFinite(eventTime)) {
-      lastEventTime = eventTime;
-    } else {
-      return;
-    }
-
-    if ((event.event_type === 'match_started' || event.event_type === 'period_started') && currentPeriodStart === null) {
-      currentPeriodStart = eventTime;
-      return;
-    }
-
-    if (event.event_type === 'period_ended' || event.event_type === 'match_ended') {
-      closeSegment(eventTime);
-    }
-  });
-
-  if (currentPeriodStart !== null) {
-    const fallbackEnd = isLive ? currentTimeMs : lastEventTime;
-    if (Number.isFinite(fallbackEnd) && fallbackEnd > currentPeriodStart) {
-      segments.push({ start: currentPeriodStart, end: fallbackEnd });
-    }
-  }
-
-  return segments;
-};
-
-export const createEffectiveTimeCalculator = (events = [], isLive = false, currentTimeMs = Date.now()) => {
-  const segments = buildEffectiveTimeSegments(events, isLive, currentTimeMs);
-
-  return (timestampMs) => {
-    if (!Number.isFinite(timestampMs) || segments.length === 0) return null;
-
-    let totalMs = 0;
-    segments.forEach(({ start, end }) => {
-      if (!Number.isFinite(start)) return;
-
-      const segmentEnd = Number.isFinite(end)
-        ? end
-        : (isLive ? currentTimeMs : timestampMs);
-
-      if (timestampMs <= start) return;
-      const effectiveEnd = Math.min(timestampMs, segmentEnd);
-      if (effectiveEnd > start) {
-        totalMs += effectiveEnd - start;
-      }
-    });
-
-    return Math.max(0, Math.floor(totalMs / 1000));
-  };
-};
-
-/**
- * Calculate effective match duration (playing time only).
- * Sums active period time using start/end events and excludes intermissions.
- *
- * @param {Array} events - Raw match events from Supabase
- * @param {boolean} isLive - Whether the match is still in progress
- * @param {number} [currentTimeMs] - Override for "now" (primarily for tests)
- * @returns {number} Total active play time in seconds
- */
-export function calculateEffectiveMatchDurationSeconds(events = [], isLive = false, currentTimeMs = Date.now()) {
-  const segments = buildEffectiveTimeSegments(events, isLive, currentTimeMs);
-  if (!segments.length) return 0;
-
-  const totalMs = segments.reduce((sum, segment) => {
-    if (!Number.isFinite(segment?.start) || !Number.isFinite(segment?.end)) return sum;
-    return sum + Math.max(0, segment.end - segment.start);
-  }, 0);
-
-  return Math.max(0, Math.floor(totalMs / 1000));
-}
-
 // Preference store for finished matches (oldest first by default)
 const finishedTimelinePrefsManager = createPersistenceManager(
   STORAGE_KEYS.TIMELINE_PREFERENCES,
-  { sortOrder: 'asc', showSubstitutions: true }
+  { sortOrder: 'asc', showSubstitutions: true, viewMode: 'timeline' }
 );
 
 // Preference store for live/pending matches (newest first by default)
 const liveTimelinePrefsManager = createPersistenceManager(
   STORAGE_KEYS.TIMELINE_PREFERENCES_LIVE,
-  { sortOrder: 'desc', showSubstitutions: true }
+  { sortOrder: 'desc', showSubstitutions: true, viewMode: 'timeline' }
 );
 
+export const LIVE_VIEW_MODES = {
+  TIMELINE: 'timeline',
+  SCOREBOARD: 'scoreboard'
+};
+
 /**
  * LiveMatchScreen - Real-time match event display for public viewing
  *
@@ -164,7 +71,7 @@ export function LiveMatchScreen({ matchId, showBackButton = false, onNavigateBac
   const { t } = useTranslation('live');
   const { currentTeam } = useTeam();
   const [upcomingMatch, setUpcomingMatch] = useState(null);
-  const [pollingConfig, setPollingConfig] = useState({ enabled: false, intervalMs: 60000 });
+  const [pollingConfig, setPollingConfig] = useState({ enabled: false, intervalMs: 60000, streaming: true });
 
   // Lock match status at first meaningful data load so sort order never flips mid-session
   const isFinishedRef = useRef(null); // null = not yet determined
@@ -181,15 +88,18 @@ export function LiveMatchScreen({ matchId, showBackButton = false, onNavigateBac
   });
 
   const [timelineSortOrder, setTimelineSortOrder] = useState(null); // null until match status determined
+  const [viewMode, setViewMode] = useState(() => liveTimelinePrefsManager.loadState().viewMode || LIVE_VIEW_MODES.TIMELINE);
 
   const {
     events,
     isLoading,
     error,
-    lastUpdateTime
+    lastUpdateTime,
+    connectionMode
   } = useMatchEvents(matchId, {
     pollingEnabled: pollingConfig.enabled,
-    refreshIntervalMs: pollingConfig.intervalMs
+    refreshIntervalMs: pollingConfig.intervalMs,
+    streamingEnabled: pollingConfig.streaming
   });
 
   const renderBackNavigation = useCallback(() => {
@@ -221,8 +131,9 @@ export function LiveMatchScreen({ matchId, showBackButton = false, onNavigateBac
       : liveTimelinePrefsManager.loadState();
     setTimelineSortOrder(prefs.sortOrder);
 
-    // Also reload showSubstitutions from correct store
+    // Also reload showSubstitutions and view mode from correct store
     setShowSubstitutionEvents(prefs.showSubstitutions ?? true);
+    setViewMode(prefs.viewMode || LIVE_VIEW_MODES.TIMELINE);
   }, [matchMetadata]);
 
   // Handle sort order changes from the timeline component
@@ -240,11 +151,17 @@ export function LiveMatchScreen({ matchId, showBackButton = false, onNavigateBac
     const nextIntervalMs = isLive ? 30000 : (matchHasFinished ? 300000 : 60000);
     const nextConfig = {
       enabled: isLive || matchHasFinished,
-      intervalMs: nextIntervalMs
+      intervalMs: nextIntervalMs,
+      // Pushed updates only matter until the match is over
+      streaming: !matchHasFinished
     };
 
     setPollingConfig(prev => {
-      if (prev.enabled === nextConfig.enabled && prev.intervalMs === nextConfig.intervalMs) {
+      if (
+        prev.enabled === nextConfig.enabled &&
+        prev.intervalMs === nextConfig.intervalMs &&
+        prev.streaming === nextConfig.streaming
+      ) {
         return prev;
       }
       return nextConfig;
@@ -259,6 +176,15 @@ export function LiveMatchScreen({ matchId, showBackButton = false, onNavigateBac
     });
   }, [showSubstitutionEvents, getPrefsManager]);
 
+  const handleViewModeChange = useCallback((nextViewMode) => {
+    setViewMode(nextViewMode);
+    const manager = getPrefsManager();
+    manager.saveState({
+      ...manager.loadState(),
+      viewMode: nextViewMode
+    });
+  }, [getPrefsManager]);
+
   const effectiveMatchDurationSeconds = useMemo(() => {
     return calculateEffectiveMatchDurationSeconds(events, matchMetadata?.isLive);
   }, [events, matchMetadata?.isLive]);
@@ -457,6 +383,7 @@ export function LiveMatchScreen({ matchId, showBackButton = false, onNavigateBac
         occurredAtSeconds: occurredSeconds,
         matchTime: Number.isFinite(occurredSeconds) ? formatMatchTime(occurredSeconds) : '00:00',
         periodNumber: event.period,
+        ...(event.is_extra_time ? { isExtraTime: true } : {}),
         data: {
           ...normalizedData,
           playerId: event.player_id,
@@ -483,7 +410,11 @@ export function LiveMatchScreen({ matchId, showBackButton = false, onNavigateBac
           type === 'period_end' ||
           type === 'goal_scored' ||
           type === 'goal_conceded' ||
-          type === 'fair_play_award'
+          type === 'fair_play_award' ||
+          type === 'yellow_card' ||
+          type === 'red_card' ||
+          type === 'sin_bin_started' ||
+          type === 'sin_bin_ended'
         ) {
           return true;
         }
@@ -495,7 +426,9 @@ export function LiveMatchScreen({ matchId, showBackButton = false, onNavigateBac
           type === 'goalie_switch' ||
           type === 'position_change' ||
           type === 'player_inactivated' ||
-          type === 'player_activated'
+          type === 'player_activated' ||
+          type === 'player_injured' ||
+          type === 'player_returned'
         ) {
           return false;
         }
@@ -588,59 +521,88 @@ export function LiveMatchScreen({ matchId, showBackButton = false, onNavigateBac
           {lastUpdateTime && (
             <div className="text-xs text-slate-500">
               {t('info.lastUpdated', { time: lastUpdateTime.toLocaleTimeString() })}
+              {connectionMode === CONNECTION_MODES.STREAMING && !matchHasFinished && (
+                <span className="ml-2 text-emerald-500">{t('info.streaming')}</span>
+              )}
+            </div>
+          )}
+
+          {/* View Mode Toggle */}
+          {matchMetadata.matchHasStarted && (
+            <div className="mt-4 inline-flex rounded-lg border border-slate-600 overflow-hidden" role="group">
+              {[LIVE_VIEW_MODES.SCOREBOARD, LIVE_VIEW_MODES.TIMELINE].map(mode => (
+                <button
+                  key={mode}
+                  type="button"
+                  onClick={() => handleViewModeChange(mode)}
+                  aria-pressed={viewMode === mode}
+                  className={`px-3 py-1.5 text-sm transition-colors ${
+                    viewMode === mode
+                      ? 'bg-sky-600 text-white'
+                      : 'bg-slate-800 text-slate-300 hover:bg-slate-700'
+                  }`}
+                >
+                  {t(`view.${mode}`)}
+                </button>
+              ))}
             </div>
           )}
         </div>
 
-        {/* Match Summary */}
-        <div className="space-y-6">
-          <ReportSection icon={Clock} title={t('info.matchSummary')}>
-            <MatchSummaryHeader
-              ownTeamName={matchMetadata.ownTeamName}
-              opponentTeam={matchMetadata.opponentName}
-              ownScore={matchMetadata.ownScore}
-              opponentScore={matchMetadata.opponentScore}
-              matchStartTime={matchMetadata.matchStartTime}
-              scheduledStartTime={scheduledStartTime}
-              totalPeriods={matchMetadata.totalPeriods || matchMetadata.currentPeriod}
-              periodDurationMinutes={matchMetadata.periodDurationMinutes || 15}
-              matchDuration={matchMetadata.isLive ? matchMetadata.matchDurationSeconds || 0 : effectiveMatchDurationSeconds}
-              matchDurationDisplay={liveMatchMinuteDisplay}
-              matchHasStarted={matchMetadata.matchHasStarted}
-              matchHasFinished={matchHasFinished}
-            />
-          </ReportSection>
-
-          {/* Event Timeline */}
-          <ReportSection
-            icon={Clock}
-            title={t('info.gameEvents')}
-            headerExtra={
-              <EventToggleButton
-                isVisible={showSubstitutionEvents}
-                onToggle={() => setShowSubstitutionEvents(!showSubstitutionEvents)}
-                label={t('info.substitutions')}
+        {matchMetadata.matchHasStarted && viewMode === LIVE_VIEW_MODES.SCOREBOARD ? (
+          <LiveScoreboard events={events} matchMetadata={matchMetadata} />
+        ) : (
+          <div className="space-y-6">
+            <ReportSection icon={Clock} title={t('info.matchSummary')}>
+              <MatchSummaryHeader
+                ownTeamName={matchMetadata.ownTeamName}
+                opponentTeam={matchMetadata.opponentName}
+                ownScore={matchMetadata.ownScore}
+                opponentScore={matchMetadata.opponentScore}
+                ownShootoutScore={matchMetadata.ownShootoutScore}
+                opponentShootoutScore={matchMetadata.opponentShootoutScore}
+                matchStartTime={matchMetadata.matchStartTime}
+                scheduledStartTime={scheduledStartTime}
+                totalPeriods={matchMetadata.totalPeriods || matchMetadata.currentPeriod}
+                periodDurationMinutes={matchMetadata.periodDurationMinutes || 15}
+                matchDuration={matchMetadata.isLive ? matchMetadata.matchDurationSeconds || 0 : effectiveMatchDurationSeconds}
+                matchDurationDisplay={liveMatchMinuteDisplay}
+                matchHasStarted={matchMetadata.matchHasStarted}
+                matchHasFinished={matchHasFinished}
               />
-            }
-          >
-            <GameEventTimeline
-              events={filteredEvents}
-              ownTeamName={matchMetadata.ownTeamName}
-              opponentTeam={matchMetadata.opponentName}
-              matchStartTime={matchMetadata.matchStartTime}
-              showSubstitutions={showSubstitutionEvents}
-              goalScorers={goalScorers}
-              getPlayerName={getPlayerDisplayName}
-              onGoalClick={null}
-              selectedPlayerId={null}
-              availablePlayers={[]}
-              onPlayerFilterChange={null}
-              debugMode={false}
-              initialSortOrder={timelineSortOrder}
-              onSortOrderChange={handleSortOrderChange}
-            />
-          </ReportSection>
-        </div>
+            </ReportSection>
+
+            {/* Event Timeline */}
+            <ReportSection
+              icon={Clock}
+              title={t('info.gameEvents')}
+              headerExtra={
+                <EventToggleButton
+                  isVisible={showSubstitutionEvents}
+                  onToggle={() => setShowSubstitutionEvents(!showSubstitutionEvents)}
+                  label={t('info.substitutions')}
+                />
+              }
+            >
+              <GameEventTimeline
+                events={filteredEvents}
+                ownTeamName={matchMetadata.ownTeamName}
+                opponentTeam={matchMetadata.opponentName}
+                matchStartTime={matchMetadata.matchStartTime}
+                showSubstitutions={showSubstitutionEvents}
+                goalScorers={goalScorers}
+                getPlayerName={getPlayerDisplayName}
+                onGoalClick={null}
+                selectedPlayerId={null}
+                availablePlayers={[]}
+                onPlayerFilterChange={null}
+                debugMode={false}
+                initialSortOrder={timelineSortOrder}
+                onSortOrderChange={handleSortOrderChange}
+              />
+            </ReportSection>
+          </div>
+        )}
       </div>
     </div>
   );
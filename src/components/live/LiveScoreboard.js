@@ -0,0 +1,158 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Card } from '../shared/Card';
+import { formatTime } from '../../utils/formatUtils';
+import { deriveLiveLineup, getPeriodClock } from '../../utils/liveMatchState';
+import { groupFieldPositionsByRole } from '../../utils/positionDisplayOrder';
+import { getPositionDisplayName } from '../../game/ui/positionUtils';
+import { FORMATION_STYLES } from '../game/formations/constants';
+
+const CLOCK_TICK_MS = 1000;
+
+const formatMinutesPlayed = (seconds) => Math.floor(Math.max(0, seconds) / 60);
+
+/**
+ * LiveScoreboard - Spectator scoreboard for the live match link
+ *
+ * Shows the score, a running period clock and the current lineup on a pitch
+ * with the bench below. Everything is derived from the match event log.
+ *
+ * @param {Object} props
+ * @param {Array} props.events - Raw match events from Supabase
+ * @param {Object} props.matchMetadata - Result of extractMatchMetadata
+ */
+export function LiveScoreboard({ events = [], matchMetadata }) {
+  const { t } = useTranslation('live');
+  const { t: tGame } = useTranslation('game');
+  const isLive = Boolean(matchMetadata?.isLive);
+  const [now, setNow] = useState(() => Date.now());
+
+  const clock = useMemo(() => getPeriodClock(events, isLive, now), [events, isLive, now]);
+  const lineup = useMemo(() => deriveLiveLineup(events, { isLive, currentTimeMs: now }), [events, isLive, now]);
+
+  useEffect(() => {
+    setNow(Date.now());
+    if (!clock.isRunning) return undefined;
+
+    const intervalId = setInterval(() => setNow(Date.now()), CLOCK_TICK_MS);
+    return () => clearInterval(intervalId);
+  }, [clock.isRunning, events]);
+
+  const fieldRows = useMemo(() => {
+    const playersByPosition = new Map(lineup.onField.map(player => [player.position, player]));
+    const outfieldRows = groupFieldPositionsByRole(
+      lineup.onField.map(player => player.position).filter(position => position !== 'goalie')
+    ).map(({ role, positions }) => ({
+      key: role,
+      players: positions.map(position => playersByPosition.get(position))
+    }));
+    const goalie = playersByPosition.get('goalie');
+
+    return goalie ? [...outfieldRows, { key: 'goalie', players: [goalie] }] : outfieldRows;
+  }, [lineup.onField]);
+
+  const getClockLabel = () => {
+    if (!matchMetadata?.matchHasStarted) return t('scoreboard.notStarted');
+    if (!isLive) return t('scoreboard.fullTime');
+    if (!clock.isRunning) return t('scoreboard.breakAfterPeriod', { period: clock.period });
+    return clock.isExtraTime
+      ? t('scoreboard.extraTimePeriod', { period: clock.period })
+      : t('scoreboard.period', { period: clock.period });
+  };
+
+  const renderPlayerStatus = (player) => {
+    if (player.isSinBinned) return t('scoreboard.sinBinned');
+    if (player.isInjured) return t('scoreboard.injured');
+    if (player.isInactive) return t('scoreboard.inactive');
+    return null;
+  };
+
+  return (
+    <div className="space-y-4" data-testid="live-scoreboard">
+      <Card variant="dark" padding="lg">
+        <div className="grid grid-cols-3 items-center gap-2 text-center">
+          <div className="text-lg font-semibold text-sky-200 break-words">{matchMetadata?.ownTeamName}</div>
+          <div className="text-5xl font-bold text-slate-100 tabular-nums" data-testid="scoreboard-score">
+            {matchMetadata?.ownScore ?? 0} - {matchMetadata?.opponentScore ?? 0}
+          </div>
+          <div className="text-lg font-semibold text-slate-300 break-words">{matchMetadata?.opponentName}</div>
+        </div>
+        <div className="mt-4 text-center">
+          <div className="text-sm text-slate-400">{getClockLabel()}</div>
+          {matchMetadata?.matchHasStarted && isLive && (
+            <div
+              className={`text-3xl font-mono tabular-nums ${clock.isRunning ? 'text-emerald-400' : 'text-slate-400'}`}
+              data-testid="scoreboard-clock"
+            >
+              {formatTime(clock.elapsedSeconds)}
+            </div>
+          )}
+        </div>
+      </Card>
+
+      {lineup.hasLineup ? (
+        <>
+          <div
+            className="rounded-lg border-2 border-emerald-600 bg-emerald-800 p-3 space-y-3"
+            data-testid="scoreboard-pitch"
+          >
+            {fieldRows.map(row => (
+              <div key={row.key} className="flex justify-around gap-2">
+                {row.players.map(player => (
+                  <div
+                    key={player.position}
+                    className={`${FORMATION_STYLES.containerBase} border-transparent ${player.position === 'goalie' ? FORMATION_STYLES.bgColors.goalie : FORMATION_STYLES.bgColors.field} ${player.isSinBinned ? 'opacity-50' : ''} min-w-0 flex-1 max-w-[10rem] text-center`}
+                  >
+                    <div className="text-[11px] text-sky-200 truncate">
+                      {getPositionDisplayName(player.position, null, null, [], tGame)}
+                    </div>
+                    <div className="text-sm font-semibold text-slate-100 truncate">{player.name || t('scoreboard.unknownPlayer')}</div>
+                    <div className="text-xs text-slate-300">
+                      {t('scoreboard.minutesPlayed', { minutes: formatMinutesPlayed(player.secondsPlayed) })}
+                    </div>
+                    {renderPlayerStatus(player) && (
+                      <div className="text-[11px] text-amber-300">{renderPlayerStatus(player)}</div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+
+          <Card variant="dark" padding="sm">
+            <h3 className="text-sm font-semibold text-slate-300 mb-2">{t('scoreboard.bench')}</h3>
+            {lineup.bench.length === 0 && lineup.sentOff.length === 0 ? (
+              <p className="text-xs text-slate-500">{t('scoreboard.emptyBench')}</p>
+            ) : (
+              <ul className="divide-y divide-slate-700" data-testid="scoreboard-bench">
+                {lineup.bench.map(player => (
+                  <li key={player.id || player.name} className="flex items-center justify-between py-1.5 text-sm">
+                    <span className="text-slate-200">
+                      {player.name || t('scoreboard.unknownPlayer')}
+                      {renderPlayerStatus(player) && (
+                        <span className="ml-2 text-xs text-amber-300">{renderPlayerStatus(player)}</span>
+                      )}
+                    </span>
+                    <span className="text-xs text-slate-400">
+                      {t('scoreboard.minutesPlayed', { minutes: formatMinutesPlayed(player.secondsPlayed) })}
+                    </span>
+                  </li>
+                ))}
+                {lineup.sentOff.map(player => (
+                  <li key={player.id || player.name} className="flex items-center justify-between py-1.5 text-sm">
+                    <span className="text-slate-400 line-through">{player.name || t('scoreboard.unknownPlayer')}</span>
+                    <span className="text-xs text-rose-400">{t('scoreboard.sentOff')}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </Card>
+        </>
+      ) : (
+        <Card variant="dark">
+          <p className="text-slate-400 text-center text-sm">{t('scoreboard.noLineup')}</p>
+        </Card>
+      )}
+    </div>
+  );
+}
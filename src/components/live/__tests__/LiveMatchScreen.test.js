@@ -53,6 +53,10 @@ jest.mock('../../report/GameEventTimeline', () => ({
   }
 }));
 
+jest.mock('../LiveScoreboard', () => ({
+  LiveScoreboard: () => <div data-testid="live-scoreboard" />
+}));
+
 jest.mock('../../report/ReportSection', () => ({
   ReportSection: ({ children, headerExtra }) => (
     <div data-testid="report-section">
@@ -84,7 +88,8 @@ jest.mock('../../../contexts/TeamContext', () => ({
 }));
 
 jest.mock('../../../hooks/useMatchEvents', () => ({
-  useMatchEvents: jest.fn()
+  useMatchEvents: jest.fn(),
+  CONNECTION_MODES: { STREAMING: 'streaming', POLLING: 'polling' }
 }));
 
 describe('calculateEffectiveMatchDurationSeconds', () => {
@@ -208,7 +213,8 @@ describe('LiveMatchScreen polling configuration', () => {
 
     expect(pollingCalls[pollingCalls.length - 1]).toEqual({
       pollingEnabled: false,
-      refreshIntervalMs: 60000
+      refreshIntervalMs: 60000,
+      streamingEnabled: true
     });
 
     currentEvents = [
@@ -220,7 +226,8 @@ describe('LiveMatchScreen polling configuration', () => {
       const latest = pollingCalls[pollingCalls.length - 1];
       expect(latest).toEqual({
         pollingEnabled: true,
-        refreshIntervalMs: 30000
+        refreshIntervalMs: 30000,
+        streamingEnabled: true
       });
     });
   });
@@ -236,7 +243,8 @@ describe('LiveMatchScreen polling configuration', () => {
       const latest = pollingCalls[pollingCalls.length - 1];
       expect(latest).toEqual({
         pollingEnabled: true,
-        refreshIntervalMs: 30000
+        refreshIntervalMs: 30000,
+        streamingEnabled: true
       });
     });
 
@@ -250,7 +258,8 @@ describe('LiveMatchScreen polling configuration', () => {
       const latest = pollingCalls[pollingCalls.length - 1];
       expect(latest).toEqual({
         pollingEnabled: true,
-        refreshIntervalMs: 300000
+        refreshIntervalMs: 300000,
+        streamingEnabled: false
       });
     });
   });
@@ -262,10 +271,28 @@ describe('LiveMatchScreen polling configuration', () => {
       expect(pollingCalls).toHaveLength(1);
       expect(pollingCalls[0]).toEqual({
         pollingEnabled: false,
-        refreshIntervalMs: 60000
+        refreshIntervalMs: 60000,
+        streamingEnabled: true
       });
     });
   });
+
+  it('shows that live updates are pushed while the match is streaming', () => {
+    currentEvents = [
+      buildLiveEvent('match_started', 0, { ordinal: 1 })
+    ];
+    mockUseMatchEvents.mockImplementation(() => ({
+      events: currentEvents,
+      isLoading: false,
+      error: null,
+      lastUpdateTime: new Date(baseTime),
+      connectionMode: 'streaming'
+    }));
+
+    render(<LiveMatchScreen matchId="match-123" />);
+
+    expect(screen.getByText(/Live updates on/)).toBeInTheDocument();
+  });
 });
 
 describe('LiveMatchScreen timeline sort order defaults', () => {
@@ -505,6 +532,32 @@ describe('LiveMatchScreen event filtering', () => {
     });
   });
 
+  it('passes goal assists through to the timeline', () => {
+    mockUseMatchEvents.mockReturnValue({
+      events: [
+        buildLiveEvent('match_started', 0, {
+          ordinal: 1,
+          data: { ownTeamName: 'Team A', opponentTeamName: 'Team B' }
+        }),
+        buildLiveEvent('goal_scored', 2000, {
+          ordinal: 2,
+          player_id: 'p1',
+          data: { ownScore: 1, opponentScore: 0, display_name: 'Alice', assistId: 'p2', assistName: 'Bob' }
+        })
+      ],
+      isLoading: false,
+      error: null,
+      lastUpdateTime: new Date(baseTime)
+    });
+
+    render(<LiveMatchScreen matchId="match-123" />);
+
+    const props = mockTimelineRender.mock.calls[mockTimelineRender.mock.calls.length - 1][0];
+    const goalEvent = props.events.find(event => event.type === 'goal_scored');
+    expect(goalEvent.data).toEqual(expect.objectContaining({ scorerId: 'p1', assistId: 'p2' }));
+    expect(props.getPlayerName('p2')).toBe('Bob');
+  });
+
   it('persists toggle preference to localStorage', async () => {
     const events = createBaseEvents();
     mockUseMatchEvents.mockReturnValue({
@@ -594,4 +647,32 @@ describe('LiveMatchScreen event filtering', () => {
     fireEvent.click(backButton);
     expect(onNavigateBack).toHaveBeenCalled();
   });
+  it('switches to the scoreboard view and remembers the choice', async () => {
+    const events = createBaseEvents();
+    mockUseMatchEvents.mockReturnValue({
+      events,
+      isLoading: false,
+      error: null,
+      lastUpdateTime: new Date(baseTime)
+    });
+
+    const { unmount } = render(<LiveMatchScreen matchId="match-123" />);
+
+    expect(screen.queryByTestId('live-scoreboard')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Scoreboard' }));
+
+    expect(screen.getByTestId('live-scoreboard')).toBeInTheDocument();
+    expect(screen.queryByTestId('game-event-timeline')).not.toBeInTheDocument();
+    await waitFor(() => {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.TIMELINE_PREFERENCES));
+      expect(stored.viewMode).toBe('scoreboard');
+    });
+
+    unmount();
+    render(<LiveMatchScreen matchId="match-123" />);
+
+    expect(screen.getByTestId('live-scoreboard')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Events' }));
+    expect(screen.getByTestId('game-event-timeline')).toBeInTheDocument();
+  });
 });
@@ -0,0 +1,98 @@
+import React from 'react';
+import { render, screen, within } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { LiveScoreboard } from '../LiveScoreboard';
+
+const MINUTE = 60 * 1000;
+
+const buildEvent = (type, startTime, offsetMs, ordinal, overrides = {}) => ({
+  id: `${type}-${ordinal}`,
+  event_type: type,
+  created_at: new Date(startTime + offsetMs).toISOString(),
+  ordinal,
+  period: overrides.period ?? 1,
+  data: overrides.data || null,
+  player_id: overrides.player_id,
+  correlation_id: overrides.correlation_id
+});
+
+const startingLineup = [
+  { position: 'goalie', playerId: 'p1', name: 'Alice' },
+  { position: 'leftDefender', playerId: 'p2', name: 'Bea' },
+  { position: 'rightDefender', playerId: 'p3', name: 'Cleo' },
+  { position: 'leftAttacker', playerId: 'p4', name: 'Dina' },
+  { position: 'rightAttacker', playerId: 'p5', name: 'Ella' },
+  { position: 'substitute_1', playerId: 'p6', name: 'Fia' }
+];
+
+const metadata = (overrides = {}) => ({
+  ownTeamName: 'Djurgården',
+  opponentName: 'Hammarby',
+  ownScore: 2,
+  opponentScore: 1,
+  matchHasStarted: true,
+  isLive: true,
+  ...overrides
+});
+
+describe('LiveScoreboard', () => {
+  it('shows the score, the running clock, the pitch and the bench', () => {
+    // Started ten and a half minutes ago
+    const startTime = Date.now() - (10 * MINUTE + 30000);
+    const events = [
+      buildEvent('match_started', startTime, 0, 1, { data: { startingLineup } }),
+      buildEvent('substitution_out', startTime, 4 * MINUTE, 2, { player_id: 'p4', correlation_id: 'sub-1' }),
+      buildEvent('substitution_in', startTime, 4 * MINUTE, 3, { player_id: 'p6', correlation_id: 'sub-1' })
+    ];
+
+    render(<LiveScoreboard events={events} matchMetadata={metadata()} />);
+
+    expect(screen.getByTestId('scoreboard-score')).toHaveTextContent('2 - 1');
+    expect(screen.getByText('Period 1')).toBeInTheDocument();
+    expect(screen.getByTestId('scoreboard-clock')).toHaveTextContent(/^10:3\d$/);
+
+    const pitch = screen.getByTestId('scoreboard-pitch');
+    expect(within(pitch).getByText('Fia')).toBeInTheDocument();
+    expect(within(pitch).getByText('Goalie')).toBeInTheDocument();
+    expect(within(pitch).queryByText('Dina')).not.toBeInTheDocument();
+
+    const bench = screen.getByTestId('scoreboard-bench');
+    expect(within(bench).getByText('Dina')).toBeInTheDocument();
+    expect(within(bench).getByText('4 min')).toBeInTheDocument();
+  });
+
+  it('shows the break between periods', () => {
+    const startTime = Date.now() - 20 * MINUTE;
+    const events = [
+      buildEvent('match_started', startTime, 0, 1, { data: { startingLineup } }),
+      buildEvent('period_ended', startTime, 15 * MINUTE, 2)
+    ];
+
+    render(<LiveScoreboard events={events} matchMetadata={metadata()} />);
+
+    expect(screen.getByText('Break after period 1')).toBeInTheDocument();
+    expect(screen.getByTestId('scoreboard-clock')).toHaveTextContent('15:00');
+  });
+
+  it('shows full time without a clock once the match is over', () => {
+    const startTime = Date.now() - 60 * MINUTE;
+    const events = [
+      buildEvent('match_started', startTime, 0, 1, { data: { startingLineup } }),
+      buildEvent('match_ended', startTime, 30 * MINUTE, 2)
+    ];
+
+    render(<LiveScoreboard events={events} matchMetadata={metadata({ isLive: false })} />);
+
+    expect(screen.getByText('Full time')).toBeInTheDocument();
+    expect(screen.queryByTestId('scoreboard-clock')).not.toBeInTheDocument();
+    expect(within(screen.getByTestId('scoreboard-pitch')).getAllByText('30 min')).toHaveLength(5);
+  });
+
+  it('explains when the match log has no lineup', () => {
+    const events = [buildEvent('match_started', Date.now(), 0, 1)];
+
+    render(<LiveScoreboard events={events} matchMetadata={metadata({ ownScore: 0, opponentScore: 0 })} />);
+
+    expect(screen.getByText('The lineup is not available for this match')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,108 @@
+import React, { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Timer } from 'lucide-react';
+import { Button, Input } from '../shared/UI';
+import { ModalShell } from '../shared/ModalShell';
+import {
+  EXTRA_TIME_PERIOD_OPTIONS,
+  MIN_EXTRA_TIME_MINUTES,
+  MAX_EXTRA_TIME_MINUTES,
+  createExtraTimeConfig
+} from '../../game/logic/extraTime';
+
+/**
+ * Modal offered when a cup or tournament match is level as the final period ends
+ *
+ * @param {boolean} isOpen - Whether modal is visible
+ * @param {number} defaultMinutes - Suggested length of each extra-time period
+ * @param {function} onStartExtraTime - Called with { periods, periodDurationMinutes }
+ * @param {function} onDecline - Called when the match ends without extra time
+ * @param {function} onCancel - Called when the period should keep running
+ */
+export function ExtraTimeModal({
+  isOpen,
+  defaultMinutes,
+  onStartExtraTime,
+  onDecline,
+  onCancel
+}) {
+  const { t } = useTranslation('modals');
+  const [periods, setPeriods] = useState(EXTRA_TIME_PERIOD_OPTIONS[EXTRA_TIME_PERIOD_OPTIONS.length - 1]);
+  const [minutes, setMinutes] = useState(String(defaultMinutes));
+
+  useEffect(() => {
+    if (isOpen) {
+      setMinutes(String(defaultMinutes));
+    }
+  }, [isOpen, defaultMinutes]);
+
+  if (!isOpen) return null;
+
+  const extraTime = createExtraTimeConfig({ periods, periodDurationMinutes: Number(minutes) });
+
+  return (
+    <ModalShell
+      title={t('extraTime.title')}
+      icon={Timer}
+      iconColor="amber"
+      onClose={onCancel}
+    >
+      <p className="text-slate-200 mb-4 leading-relaxed">
+        {t('extraTime.message')}
+      </p>
+
+      <div className="space-y-4 mb-6">
+        <div>
+          <span className="block text-sm font-medium text-slate-300 mb-1">{t('extraTime.periods')}</span>
+          <div className="grid grid-cols-2 gap-2">
+            {EXTRA_TIME_PERIOD_OPTIONS.map(option => (
+              <Button
+                key={option}
+                variant={periods === option ? 'primary' : 'secondary'}
+                onClick={() => setPeriods(option)}
+              >
+                {option}
+              </Button>
+            ))}
+          </div>
+        </div>
+        <div>
+          <label htmlFor="extraTimeMinutes" className="block text-sm font-medium text-slate-300 mb-1">
+            {t('extraTime.minutes')}
+          </label>
+          <Input
+            id="extraTimeMinutes"
+            type="number"
+            min={MIN_EXTRA_TIME_MINUTES}
+            max={MAX_EXTRA_TIME_MINUTES}
+            value={minutes}
+            onChange={(e) => setMinutes(e.target.value)}
+            error={!extraTime}
+          />
+          {!extraTime && (
+            <p className="mt-1 text-xs text-rose-400">
+              {t('extraTime.invalidMinutes', { min: MIN_EXTRA_TIME_MINUTES, max: MAX_EXTRA_TIME_MINUTES })}
+            </p>
+          )}
+        </div>
+      </div>
+
+      <div className="flex flex-col gap-3">
+        <Button
+          onClick={() => onStartExtraTime(extraTime)}
+          variant="accent"
+          className="w-full"
+          disabled={!extraTime}
+        >
+          {t('extraTime.start')}
+        </Button>
+        <Button onClick={onDecline} variant="primary" className="w-full">
+          {t('extraTime.decline')}
+        </Button>
+        <Button onClick={onCancel} variant="secondary" className="w-full">
+          {t('extraTime.cancel')}
+        </Button>
+      </div>
+    </ModalShell>
+  );
+}
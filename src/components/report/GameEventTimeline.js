@@ -11,7 +11,10 @@ import {
   CheckCircle,
   XCircle,
   ChevronUp,
-  ChevronDown
+  ChevronDown,
+  HeartPulse,
+  RectangleVertical,
+  Hourglass
 } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 import { EVENT_TYPES, calculateMatchTime } from '../../utils/gameEventLogger';
@@ -28,6 +31,7 @@ const getSourceIndex = (event) => typeof event?.__sourceIndex === 'number' ? eve
 const ALWAYS_VISIBLE_EVENTS = [
   EVENT_TYPES.MATCH_START,
   EVENT_TYPES.MATCH_END,
+  EVENT_TYPES.SHOOTOUT_END,
   EVENT_TYPES.PERIOD_START,
   EVENT_TYPES.PERIOD_END,
   EVENT_TYPES.INTERMISSION
@@ -39,7 +43,15 @@ const SUBSTITUTION_EVENTS = [
   EVENT_TYPES.GOALIE_SWITCH,
   EVENT_TYPES.POSITION_CHANGE,
   EVENT_TYPES.PLAYER_INACTIVATED,
-  EVENT_TYPES.PLAYER_ACTIVATED
+  EVENT_TYPES.PLAYER_ACTIVATED,
+  EVENT_TYPES.PLAYER_INJURED,
+  EVENT_TYPES.PLAYER_RETURNED
+];
+const CARD_EVENTS = [
+  EVENT_TYPES.YELLOW_CARD,
+  EVENT_TYPES.RED_CARD,
+  EVENT_TYPES.SIN_BIN_STARTED,
+  EVENT_TYPES.SIN_BIN_ENDED
 ];
 
 export const compareEventsForSort = (a, b, sortOrder = 'asc') => {
@@ -164,7 +176,7 @@ export function GameEventTimeline({
         
         if (GOAL_EVENTS.includes(type)) {
           const scorerId = goalScorers[event.id] || eventData.scorerId;
-          return scorerId === selectedPlayerId;
+          return scorerId === selectedPlayerId || eventData.assistId === selectedPlayerId;
         }
         
         if (SUBSTITUTION_EVENTS.includes(type)) {
@@ -195,6 +207,14 @@ export function GameEventTimeline({
           if (type === EVENT_TYPES.PLAYER_INACTIVATED || type === EVENT_TYPES.PLAYER_ACTIVATED) {
             return event.playerId === selectedPlayerId;
           }
+
+          if (type === EVENT_TYPES.PLAYER_INJURED || type === EVENT_TYPES.PLAYER_RETURNED) {
+            return (event.playerId || eventData.playerId) === selectedPlayerId || eventData.replacementId === selectedPlayerId;
+          }
+        }
+
+        if (CARD_EVENTS.includes(type)) {
+          return (event.playerId || eventData.playerId) === selectedPlayerId || eventData.replacementId === selectedPlayerId;
         }
 
         if (type === EVENT_TYPES.FAIR_PLAY_AWARD) {
@@ -212,12 +232,28 @@ export function GameEventTimeline({
     return filtered;
   }, [events, sortOrder, selectedPlayerId, goalScorers, debugMode]);
 
+  // Extra-time periods continue the period numbering; the first flagged period is extra time 1
+  const firstExtraTimePeriod = useMemo(() => {
+    const extraTimePeriods = events
+      .filter(event => event.isExtraTime)
+      .map(event => event.periodNumber || event.data?.periodNumber)
+      .filter(Boolean);
+    return extraTimePeriods.length > 0 ? Math.min(...extraTimePeriods) : null;
+  }, [events]);
+
+  const getExtraTimeNumber = (periodNumber) => (
+    firstExtraTimePeriod && Number(periodNumber) >= firstExtraTimePeriod
+      ? Number(periodNumber) - firstExtraTimePeriod + 1
+      : null
+  );
+
   // Group events by periods and process intermissions
   const groupedEventsByPeriod = useMemo(() => {
     const groups = {};
     let intermissionEvents = [];
     let matchStartEvent = null;
     let matchEndEvent = null;
+    let shootoutEndEvent = null;
     let fairPlayAwardEvent = null;
     
     filteredAndSortedEvents.forEach(event => {
@@ -232,6 +268,11 @@ export function GameEventTimeline({
         return;
       }
 
+      if (event.type === EVENT_TYPES.SHOOTOUT_END) {
+        shootoutEndEvent = event;
+        return;
+      }
+
       if (event.type === EVENT_TYPES.FAIR_PLAY_AWARD) {
         fairPlayAwardEvent = event;
         return;
@@ -275,7 +316,7 @@ export function GameEventTimeline({
       }
     });
     
-    return { groups, intermissions: processedIntermissions, matchStartEvent, matchEndEvent, fairPlayAwardEvent };
+    return { groups, intermissions: processedIntermissions, matchStartEvent, matchEndEvent, shootoutEndEvent, fairPlayAwardEvent };
   }, [filteredAndSortedEvents]);
 
   // Get event icon based on type
@@ -291,6 +332,7 @@ export function GameEventTimeline({
         return Clock;
       case EVENT_TYPES.GOAL_SCORED:
       case EVENT_TYPES.GOAL_CONCEDED:
+      case EVENT_TYPES.SHOOTOUT_END:
         return Trophy;
       case EVENT_TYPES.SUBSTITUTION:
       case EVENT_TYPES.GOALIE_SWITCH:
@@ -312,6 +354,15 @@ export function GameEventTimeline({
         return XCircle;
       case EVENT_TYPES.FAIR_PLAY_AWARD:
         return Award;
+      case EVENT_TYPES.PLAYER_INJURED:
+      case EVENT_TYPES.PLAYER_RETURNED:
+        return HeartPulse;
+      case EVENT_TYPES.YELLOW_CARD:
+      case EVENT_TYPES.RED_CARD:
+        return RectangleVertical;
+      case EVENT_TYPES.SIN_BIN_STARTED:
+      case EVENT_TYPES.SIN_BIN_ENDED:
+        return Hourglass;
       case EVENT_TYPES.TECHNICAL_TIMEOUT:
         return AlertCircle;
       default:
@@ -326,6 +377,7 @@ export function GameEventTimeline({
     switch (eventType) {
       case EVENT_TYPES.MATCH_START:
       case EVENT_TYPES.MATCH_END:
+      case EVENT_TYPES.SHOOTOUT_END:
         return 'text-sky-400';
       case EVENT_TYPES.PERIOD_START:
       case EVENT_TYPES.PERIOD_END:
@@ -343,6 +395,17 @@ export function GameEventTimeline({
         return 'text-purple-400';
       case EVENT_TYPES.FAIR_PLAY_AWARD:
         return 'text-emerald-300';
+      case EVENT_TYPES.PLAYER_INJURED:
+        return 'text-rose-400';
+      case EVENT_TYPES.PLAYER_RETURNED:
+        return 'text-green-400';
+      case EVENT_TYPES.YELLOW_CARD:
+      case EVENT_TYPES.SIN_BIN_STARTED:
+        return 'text-amber-400';
+      case EVENT_TYPES.RED_CARD:
+        return 'text-red-500';
+      case EVENT_TYPES.SIN_BIN_ENDED:
+        return 'text-green-400';
       case EVENT_TYPES.TIMER_PAUSED:
       case EVENT_TYPES.PERIOD_PAUSED:
         return 'text-orange-400';
@@ -377,6 +440,11 @@ export function GameEventTimeline({
         return 'bg-purple-900/20 border-purple-700/30';
       case EVENT_TYPES.FAIR_PLAY_AWARD:
         return 'bg-emerald-800/30 border-emerald-500/60';
+      case EVENT_TYPES.YELLOW_CARD:
+      case EVENT_TYPES.SIN_BIN_STARTED:
+        return 'bg-amber-900/20 border-amber-600/40';
+      case EVENT_TYPES.RED_CARD:
+        return 'bg-red-900/30 border-red-600/50';
       default:
         return 'bg-slate-700/30 border-slate-600/30';
     }
@@ -402,12 +470,20 @@ export function GameEventTimeline({
         return t('events.matchStarted');
       case EVENT_TYPES.MATCH_END:
         return t('events.matchEnded');
+      case EVENT_TYPES.SHOOTOUT_END:
+        return t('events.shootoutEnded', { ownScore: eventData.ownScore ?? 0, opponentScore: eventData.opponentScore ?? 0 });
       case EVENT_TYPES.PERIOD_START:
         const periodStartNumber = eventData.periodNumber || event.periodNumber || eventData.period || event.period || t('events.unknown');
-        return t('events.periodStarted', { period: periodStartNumber });
+        const extraTimeStartNumber = getExtraTimeNumber(periodStartNumber);
+        return extraTimeStartNumber
+          ? t('events.extraTimeStarted', { period: extraTimeStartNumber })
+          : t('events.periodStarted', { period: periodStartNumber });
       case EVENT_TYPES.PERIOD_END:
         const periodEndNumber = eventData.periodNumber || event.periodNumber || eventData.period || event.period || t('events.unknown');
-        return t('events.periodEnded', { period: periodEndNumber });
+        const extraTimeEndNumber = getExtraTimeNumber(periodEndNumber);
+        return extraTimeEndNumber
+          ? t('events.extraTimeEnded', { period: extraTimeEndNumber })
+          : t('events.periodEnded', { period: periodEndNumber });
       case EVENT_TYPES.GOAL_SCORED:
         // Extract score data for new format: "3-2 - Own Team Scored - PlayerName"
         const ownScore = eventData.ownScore;
@@ -416,10 +492,17 @@ export function GameEventTimeline({
           ? (getPlayerName ? (getPlayerName(goalScorers[event.id]) || null) : null)
           : (eventData.scorerId ? (getPlayerName ? (getPlayerName(eventData.scorerId) || null) : null) : null);
 
-        // Format with score and team, optionally include scorer
+        const assistName = eventData.assistId
+          ? ((getPlayerName ? getPlayerName(eventData.assistId) : null) || eventData.assistName || null)
+          : null;
+        const scorerWithAssist = ownScorer && assistName
+          ? `${ownScorer} (${t('events.assistBy', { name: assistName })})`
+          : ownScorer;
+
+        // Format with score and team, optionally include scorer and assist
         if (ownScore !== undefined && opponentScore !== undefined) {
           const baseFormat = t('events.goalScoredWithScore', { ownScore, opponentScore, team: ownTeamName });
-          return ownScorer ? `${baseFormat} - ${ownScorer}` : baseFormat;
+          return scorerWithAssist ? `${baseFormat} - ${scorerWithAssist}` : baseFormat;
         } else {
           // Fallback to old format if score data missing
           const fallbackScorer = ownScorer || t('events.unknownScorer');
@@ -587,6 +670,51 @@ export function GameEventTimeline({
           (event.playerId && getPlayerName ? (getPlayerName(event.playerId) || null) : null) ||
           t('events.unknown');
         return t('events.playerActivated', { name: activatedPlayerName });
+      case EVENT_TYPES.PLAYER_INJURED:
+        const injuredPlayerName =
+          eventData.display_name ||
+          eventData.playerName ||
+          (event.playerId && getPlayerName ? (getPlayerName(event.playerId) || null) : null) ||
+          t('events.unknown');
+        const replacementName =
+          (eventData.replacementId && getPlayerName ? (getPlayerName(eventData.replacementId) || null) : null) ||
+          eventData.replacementName ||
+          null;
+        return replacementName
+          ? t('events.playerInjuredReplaced', { name: injuredPlayerName, replacement: replacementName })
+          : t('events.playerInjured', { name: injuredPlayerName });
+      case EVENT_TYPES.PLAYER_RETURNED:
+        const returnedPlayerName =
+          eventData.display_name ||
+          eventData.playerName ||
+          (event.playerId && getPlayerName ? (getPlayerName(event.playerId) || null) : null) ||
+          t('events.unknown');
+        return t('events.playerReturned', { name: returnedPlayerName });
+      case EVENT_TYPES.YELLOW_CARD:
+      case EVENT_TYPES.RED_CARD:
+      case EVENT_TYPES.SIN_BIN_STARTED:
+      case EVENT_TYPES.SIN_BIN_ENDED:
+        const cardedPlayerName =
+          eventData.display_name ||
+          eventData.playerName ||
+          (event.playerId && getPlayerName ? (getPlayerName(event.playerId) || null) : null) ||
+          t('events.unknown');
+        if (type === EVENT_TYPES.YELLOW_CARD) {
+          return t('events.yellowCard', { name: cardedPlayerName });
+        }
+        if (type === EVENT_TYPES.SIN_BIN_STARTED) {
+          return t('events.sinBinStarted', { name: cardedPlayerName });
+        }
+        if (type === EVENT_TYPES.SIN_BIN_ENDED) {
+          return t('events.sinBinEnded', { name: cardedPlayerName });
+        }
+        const sentOffReplacementName =
+          (eventData.replacementId && getPlayerName ? (getPlayerName(eventData.replacementId) || null) : null) ||
+          eventData.replacementName ||
+          null;
+        return sentOffReplacementName
+          ? t('events.redCardReplaced', { name: cardedPlayerName, replacement: sentOffReplacementName })
+          : t('events.redCard', { name: cardedPlayerName });
       case EVENT_TYPES.FAIR_PLAY_AWARD:
         const fairPlayName =
           eventData.display_name ||
@@ -759,7 +887,7 @@ export function GameEventTimeline({
     const eventData = data || {};
     const details = [];
 
-    if (event.periodNumber && event.type !== EVENT_TYPES.MATCH_END && event.type !== EVENT_TYPES.FAIR_PLAY_AWARD) {
+    if (event.periodNumber && event.type !== EVENT_TYPES.MATCH_END && event.type !== EVENT_TYPES.SHOOTOUT_END && event.type !== EVENT_TYPES.FAIR_PLAY_AWARD) {
       details.push(`${t('details.period')}: ${event.periodNumber}`);
     }
 
@@ -877,6 +1005,7 @@ export function GameEventTimeline({
         {sortOrder === 'desc' && (
           <>
             {groupedEventsByPeriod.fairPlayAwardEvent && renderBoundaryEvent(groupedEventsByPeriod.fairPlayAwardEvent)}
+            {groupedEventsByPeriod.shootoutEndEvent && renderBoundaryEvent(groupedEventsByPeriod.shootoutEndEvent)}
             {groupedEventsByPeriod.matchEndEvent && renderBoundaryEvent(groupedEventsByPeriod.matchEndEvent)}
           </>
         )}
@@ -889,11 +1018,14 @@ export function GameEventTimeline({
             const periodEvents = groupedEventsByPeriod.groups[periodNumber];
             const nextPeriod = parseInt(periodNumber) + 1;
             const intermission = groupedEventsByPeriod.intermissions[nextPeriod];
+            const extraTimeNumber = getExtraTimeNumber(periodNumber);
             const periodHeader = (periodNumber > 1 || (periodNumber === 1 && !groupedEventsByPeriod.matchStartEvent)) ? (
               <div className="flex items-center space-x-2 mb-4">
                 <div className="h-px bg-slate-600 flex-1"></div>
                 <h3 className="text-sm font-medium text-slate-300 px-3">
-                  {t('controls.periodLabel', { period: periodNumber })}
+                  {extraTimeNumber
+                    ? t('controls.extraTimeLabel', { period: extraTimeNumber })
+                    : t('controls.periodLabel', { period: periodNumber })}
                 </h3>
                 <div className="h-px bg-slate-600 flex-1"></div>
               </div>
@@ -927,6 +1059,7 @@ export function GameEventTimeline({
         {sortOrder === 'asc' && (
           <>
             {groupedEventsByPeriod.matchEndEvent && renderBoundaryEvent(groupedEventsByPeriod.matchEndEvent)}
+            {groupedEventsByPeriod.shootoutEndEvent && renderBoundaryEvent(groupedEventsByPeriod.shootoutEndEvent)}
             {groupedEventsByPeriod.fairPlayAwardEvent && renderBoundaryEvent(groupedEventsByPeriod.fairPlayAwardEvent)}
           </>
         )}
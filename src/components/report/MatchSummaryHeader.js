@@ -18,6 +18,8 @@ import { TEAM_CONFIG } from '../../constants/teamConstants';
  * @param {number} props.totalPeriods - Total number of periods played
  * @param {number} props.periodDurationMinutes - Duration of each period in minutes
  * @param {boolean} props.matchHasFinished - Whether the match has ended (controls outcome display)
+ * @param {number|null} props.ownShootoutScore - Own team penalty shootout goals, null without a shootout
+ * @param {number|null} props.opponentShootoutScore - Opponent penalty shootout goals, null without a shootout
  */
 export function MatchSummaryHeader({
   ownTeamName = TEAM_CONFIG.OWN_TEAM_NAME,
@@ -31,9 +33,15 @@ export function MatchSummaryHeader({
   totalPeriods = 0,
   periodDurationMinutes = 12,
   matchHasStarted = true,
-  matchHasFinished = matchHasStarted
+  matchHasFinished = matchHasStarted,
+  ownShootoutScore = null,
+  opponentShootoutScore = null
 }) {
   const { t } = useTranslation('statistics');
+  const hasShootout = typeof ownShootoutScore === 'number' && typeof opponentShootoutScore === 'number';
+  // A drawn match decided by penalties is won by the shootout winner
+  const ownDecidingScore = hasShootout && ownScore === opponentScore ? ownShootoutScore : ownScore;
+  const opponentDecidingScore = hasShootout && ownScore === opponentScore ? opponentShootoutScore : opponentScore;
   
   // Format match start time
   const formatMatchStartTime = () => {
@@ -80,8 +88,8 @@ export function MatchSummaryHeader({
 
   // Determine winning team styling
   const getTeamScoreStyle = (isOwnTeam) => {
-    const isWinner = isOwnTeam ? ownScore > opponentScore : opponentScore > ownScore;
-    const isTie = ownScore === opponentScore;
+    const isWinner = isOwnTeam ? ownDecidingScore > opponentDecidingScore : opponentDecidingScore > ownDecidingScore;
+    const isTie = ownDecidingScore === opponentDecidingScore;
     
     if (isTie) {
       return "text-sky-300"; // Neutral color for ties
@@ -127,6 +135,13 @@ export function MatchSummaryHeader({
           </div>
         </div>
 
+        {/* Penalty shootout result */}
+        {hasShootout && (
+          <div className="text-sm font-mono text-slate-300" data-testid="shootout-score">
+            {t('matchSummary.shootoutScore', { ownScore: ownShootoutScore, opponentScore: opponentShootoutScore })}
+          </div>
+        )}
+
         {/* Result indicator - only show when match has finished */}
         {matchHasFinished && (
           <div className="flex items-center justify-center space-x-2 text-sm">
@@ -134,6 +149,8 @@ export function MatchSummaryHeader({
             <span className="text-slate-300">
               {ownScore > opponentScore ? t('matchSummary.wins', { teamName: ownTeamName }) :
                opponentScore > ownScore ? t('matchSummary.wins', { teamName: opponentTeam }) :
+               ownDecidingScore > opponentDecidingScore ? t('matchSummary.winsOnPenalties', { teamName: ownTeamName }) :
+               opponentDecidingScore > ownDecidingScore ? t('matchSummary.winsOnPenalties', { teamName: opponentTeam }) :
                t('matchSummary.tied')}
             </span>
           </div>
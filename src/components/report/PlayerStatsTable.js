@@ -12,7 +12,7 @@ import { EVENT_TYPES } from '../../utils/gameEventLogger';
  * @param {Object} props - Component props
  * @param {Array} props.players - Array of player objects with stats
  * @param {Object} props.formation - Formation data for starting role determination
- * @param {Array} props.matchEvents - Array of match events for goal counting
+ * @param {Array} props.matchEvents - Array of match events for goal, assist and card counting
  * @param {Object} props.goalScorers - Object mapping event IDs to player IDs for goal attribution
  */
 export function PlayerStatsTable({
@@ -42,11 +42,54 @@ export function PlayerStatsTable({
     
     return goals;
   }, [matchEvents, goalScorers]);
+
+  // Calculate assists for each player from goal event data
+  const playerAssists = useMemo(() => {
+    const assists = {};
+
+    matchEvents.forEach(event => {
+      if (event.type === EVENT_TYPES.GOAL_SCORED && !event.undone && event.data?.assistId) {
+        const assistId = event.data.assistId;
+        assists[assistId] = (assists[assistId] || 0) + 1;
+      }
+    });
+
+    return assists;
+  }, [matchEvents]);
+
+  // Calculate yellow cards, sin-bins and red cards for each player from card events
+  const playerCards = useMemo(() => {
+    const cards = {};
+
+    matchEvents.forEach(event => {
+      const playerId = event.playerId || event.data?.playerId;
+      if (!playerId || event.undone) {
+        return;
+      }
+      const counts = cards[playerId] || { yellowCards: 0, sinBins: 0, redCards: 0 };
+      if (event.type === EVENT_TYPES.YELLOW_CARD) {
+        counts.yellowCards += 1;
+      } else if (event.type === EVENT_TYPES.SIN_BIN_STARTED) {
+        counts.sinBins += 1;
+      } else if (event.type === EVENT_TYPES.RED_CARD) {
+        counts.redCards = 1;
+      } else {
+        return;
+      }
+      cards[playerId] = counts;
+    });
+
+    return cards;
+  }, [matchEvents]);
   // Define column configuration
   const columns = useMemo(() => {
     const showDefenderColumn = players.some(p => p.stats?.timeAsDefenderSeconds > 0);
     const showMidfielderColumn = players.some(p => p.stats?.timeAsMidfielderSeconds > 0);
     const showAttackerColumn = players.some(p => p.stats?.timeAsAttackerSeconds > 0);
+    const showAssistsColumn = players.some(p => playerAssists[p.id] > 0);
+    const showInjuredColumn = players.some(p => p.stats?.timeInjuredSeconds > 0);
+    const showSinBinnedColumn = players.some(p => p.stats?.timeSinBinnedSeconds > 0);
+    const showCardsColumn = players.some(p => playerCards[p.id]);
 
     const allColumns = [
     {
@@ -142,6 +185,26 @@ export function PlayerStatsTable({
         return time > 0 ? formatTime(time) : '--';
       }
     },
+    {
+      key: 'timeInjured',
+      label: t('table.columns.injured'),
+      sortable: true,
+      className: 'text-center text-rose-300 font-mono',
+      render: (player) => {
+        const time = player.stats?.timeInjuredSeconds || 0;
+        return time > 0 ? formatTime(time) : '--';
+      }
+    },
+    {
+      key: 'timeSinBinned',
+      label: t('table.columns.sinBinned'),
+      sortable: true,
+      className: 'text-center text-amber-300 font-mono',
+      render: (player) => {
+        const time = player.stats?.timeSinBinnedSeconds || 0;
+        return time > 0 ? formatTime(time) : '--';
+      }
+    },
     {
       key: 'goalsScored',
       label: t('table.columns.goals'),
@@ -151,6 +214,45 @@ export function PlayerStatsTable({
         const goals = playerGoals[player.id] || 0;
         return goals > 0 ? goals : '--';
       }
+    },
+    {
+      key: 'assists',
+      label: t('table.columns.assists'),
+      sortable: true,
+      className: 'text-center text-slate-300',
+      render: (player) => {
+        const assists = playerAssists[player.id] || 0;
+        return assists > 0 ? assists : '--';
+      }
+    },
+    {
+      key: 'cards',
+      label: t('table.columns.cards'),
+      sortable: true,
+      className: 'text-center text-slate-300',
+      render: (player) => {
+        const cards = playerCards[player.id];
+        if (!cards) return '--';
+        return (
+          <span className="inline-flex items-center justify-center gap-1">
+            {cards.yellowCards > 0 && (
+              <span className="px-1 rounded-sm bg-yellow-400 text-slate-900 text-xs font-semibold" title={t('table.cards.yellow')}>
+                {cards.yellowCards}
+              </span>
+            )}
+            {cards.sinBins > 0 && (
+              <span className="px-1 rounded-sm bg-amber-600 text-slate-900 text-xs font-semibold" title={t('table.cards.sinBin')}>
+                {cards.sinBins}
+              </span>
+            )}
+            {cards.redCards > 0 && (
+              <span className="px-1 rounded-sm bg-red-600 text-white text-xs font-semibold" title={t('table.cards.red')}>
+                {cards.redCards}
+              </span>
+            )}
+          </span>
+        );
+      }
     }
   ];
 
@@ -159,14 +261,24 @@ export function PlayerStatsTable({
       if (column.key === 'timeAsDefender' && !showDefenderColumn) return false;
       if (column.key === 'timeAsMidfielder' && !showMidfielderColumn) return false;
       if (column.key === 'timeAsAttacker' && !showAttackerColumn) return false;
+      if (column.key === 'assists' && !showAssistsColumn) return false;
+      if (column.key === 'timeInjured' && !showInjuredColumn) return false;
+      if (column.key === 'timeSinBinned' && !showSinBinnedColumn) return false;
+      if (column.key === 'cards' && !showCardsColumn) return false;
       return true;
     });
-  }, [playerGoals, players, t]);
+  }, [playerGoals, playerAssists, playerCards, players, t]);
 
   // Sort players based on current sort settings
   const sortedPlayers = useMemo(() => {
     if (!players.length) return [];
 
+    // Red cards weigh more than sin-bins, which weigh more than yellow cards
+    const getCardSortValue = (playerId) => {
+      const cards = playerCards[playerId];
+      return cards ? cards.redCards * 100 + cards.sinBins * 10 + cards.yellowCards : 0;
+    };
+
     const sorted = [...players].sort((a, b) => {
       let aValue, bValue;
       
@@ -222,10 +334,26 @@ export function PlayerStatsTable({
           aValue = a.stats?.timeAsSubSeconds || 0;
           bValue = b.stats?.timeAsSubSeconds || 0;
           break;
+        case 'timeInjured':
+          aValue = a.stats?.timeInjuredSeconds || 0;
+          bValue = b.stats?.timeInjuredSeconds || 0;
+          break;
+        case 'timeSinBinned':
+          aValue = a.stats?.timeSinBinnedSeconds || 0;
+          bValue = b.stats?.timeSinBinnedSeconds || 0;
+          break;
         case 'goalsScored':
           aValue = playerGoals[a.id] || 0;
           bValue = playerGoals[b.id] || 0;
           break;
+        case 'assists':
+          aValue = playerAssists[a.id] || 0;
+          bValue = playerAssists[b.id] || 0;
+          break;
+        case 'cards':
+          aValue = getCardSortValue(a.id);
+          bValue = getCardSortValue(b.id);
+          break;
         default:
           aValue = a.name || '';
           bValue = b.name || '';
@@ -241,7 +369,7 @@ export function PlayerStatsTable({
     });
     
     return sorted;
-  }, [players, sortBy, sortOrder, playerGoals, t]);
+  }, [players, sortBy, sortOrder, playerGoals, playerAssists, playerCards, t]);
 
   useEffect(() => {
     const availableColumns = columns.map(c => c.key);
@@ -19,6 +19,7 @@ jest.mock('lucide-react', () => ({
   XCircle: () => <div data-testid="x-icon" />,
   ChevronUp: () => <div data-testid="chevron-up-icon" />,
   ChevronDown: () => <div data-testid="chevron-down-icon" />,
+  HeartPulse: () => <div data-testid="heart-pulse-icon" />,
 }));
 
 describe('GameEventTimeline', () => {
@@ -156,6 +157,79 @@ describe('GameEventTimeline', () => {
     expect(screen.getByText('Goal for Opponent')).toBeInTheDocument();
   });
 
+  it('shows the assist next to the goal scorer', () => {
+    mockGetPlayerName.mockImplementation((playerId) => ({ player1: 'Alice', player2: 'Bob' }[playerId] || null));
+
+    const goalEvents = [
+      {
+        id: 'goal-with-assist',
+        type: EVENT_TYPES.GOAL_SCORED,
+        timestamp: 1000000060000,
+        matchTime: '01:00',
+        sequence: 1,
+        data: { ownScore: 1, opponentScore: 0, scorerId: 'player1', assistId: 'player2' },
+        undone: false
+      },
+      {
+        id: 'goal-with-unknown-assist',
+        type: EVENT_TYPES.GOAL_SCORED,
+        timestamp: 1000000120000,
+        matchTime: '02:00',
+        sequence: 2,
+        data: { ownScore: 2, opponentScore: 0, scorerId: 'player1', assistId: 'player9', assistName: 'Dag' },
+        undone: false
+      }
+    ];
+
+    render(
+      <GameEventTimeline
+        events={goalEvents}
+        getPlayerName={mockGetPlayerName}
+        ownTeamName="Own Team"
+        opponentTeam="Opponent"
+      />
+    );
+
+    expect(screen.getByText('1-0 Own Team Scored - Alice (assist Bob)')).toBeInTheDocument();
+    expect(screen.getByText('2-0 Own Team Scored - Alice (assist Dag)')).toBeInTheDocument();
+  });
+
+  it('keeps goals assisted by the selected player', () => {
+    const goalEvents = [
+      {
+        id: 'assisted-goal',
+        type: EVENT_TYPES.GOAL_SCORED,
+        timestamp: 1000000060000,
+        matchTime: '01:00',
+        sequence: 1,
+        data: { ownScore: 1, opponentScore: 0, scorerId: 'player1', assistId: 'player2' },
+        undone: false
+      },
+      {
+        id: 'other-goal',
+        type: EVENT_TYPES.GOAL_SCORED,
+        timestamp: 1000000120000,
+        matchTime: '02:00',
+        sequence: 2,
+        data: { ownScore: 2, opponentScore: 0, scorerId: 'player3' },
+        undone: false
+      }
+    ];
+
+    render(
+      <GameEventTimeline
+        events={goalEvents}
+        getPlayerName={(playerId) => ({ player1: 'Alice', player2: 'Bob', player3: 'Charlie' }[playerId])}
+        ownTeamName="Own Team"
+        opponentTeam="Opponent"
+        selectedPlayerId="player2"
+      />
+    );
+
+    expect(screen.getByText('1-0 Own Team Scored - Alice (assist Bob)')).toBeInTheDocument();
+    expect(screen.queryByText('2-0 Own Team Scored - Charlie')).not.toBeInTheDocument();
+  });
+
   it('filters out undone events by default', () => {
     // Set up fresh mock implementation
     mockGetPlayerName.mockImplementation((playerId) => {
@@ -1730,6 +1804,153 @@ describe('GameEventTimeline', () => {
     });
   });
 
+  describe('Player injury events', () => {
+    it('displays injury with the replacement and the return from injury', () => {
+      const events = [
+        {
+          id: 'player-injured-1',
+          type: EVENT_TYPES.PLAYER_INJURED,
+          timestamp: 1000000100000,
+          matchTime: '01:40',
+          sequence: 1,
+          data: { display_name: 'Isabelle', replacementId: 'player2', replacementName: 'Bob' },
+          playerId: 'player1',
+          undone: false
+        },
+        {
+          id: 'player-returned-1',
+          type: EVENT_TYPES.PLAYER_RETURNED,
+          timestamp: 1000000400000,
+          matchTime: '06:40',
+          sequence: 2,
+          data: { display_name: 'Isabelle' },
+          playerId: 'player1',
+          undone: false
+        }
+      ];
+
+      render(<GameEventTimeline events={events} />);
+
+      expect(screen.getByText('Isabelle injured, replaced by Bob')).toBeInTheDocument();
+      expect(screen.getByText('Isabelle returned from injury')).toBeInTheDocument();
+    });
+
+    it('keeps injuries for the replacement player when filtering', () => {
+      const events = [
+        {
+          id: 'player-injured-1',
+          type: EVENT_TYPES.PLAYER_INJURED,
+          timestamp: 1000000100000,
+          matchTime: '01:40',
+          sequence: 1,
+          data: { display_name: 'Alice', replacementId: 'player2' },
+          playerId: 'player1',
+          undone: false
+        },
+        {
+          id: 'player-injured-2',
+          type: EVENT_TYPES.PLAYER_INJURED,
+          timestamp: 1000000200000,
+          matchTime: '03:20',
+          sequence: 2,
+          data: { display_name: 'Charlie', replacementId: 'player4' },
+          playerId: 'player3',
+          undone: false
+        }
+      ];
+
+      render(
+        <GameEventTimeline
+          events={events}
+          getPlayerName={(playerId) => ({ player1: 'Alice', player2: 'Bob', player3: 'Charlie', player4: 'Dana' }[playerId])}
+          selectedPlayerId="player2"
+        />
+      );
+
+      expect(screen.getByText('Alice injured, replaced by Bob')).toBeInTheDocument();
+      expect(screen.queryByText('Charlie injured, replaced by Dana')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Penalty shootout events', () => {
+    it('shows the shootout result after the match end, also when filtering by player', () => {
+      const events = [
+        {
+          id: 'match-end-1',
+          type: EVENT_TYPES.MATCH_END,
+          timestamp: 1000000100000,
+          matchTime: '30:00',
+          sequence: 1,
+          data: {},
+          undone: false
+        },
+        {
+          id: 'shootout-end-1',
+          type: EVENT_TYPES.SHOOTOUT_END,
+          timestamp: 1000000400000,
+          matchTime: '35:00',
+          sequence: 2,
+          data: { ownScore: 4, opponentScore: 3 },
+          undone: false
+        }
+      ];
+
+      render(<GameEventTimeline events={events} selectedPlayerId="player1" initialSortOrder="asc" />);
+
+      const matchEnded = screen.getByText('Match ended');
+      const shootoutEnded = screen.getByText('Penalty shootout 4-3');
+      expect(matchEnded.compareDocumentPosition(shootoutEnded) & Node.DOCUMENT_POSITION_FOLLOWING).toBeTruthy();
+    });
+  });
+
+  describe('Extra time events', () => {
+    it('labels extra-time periods separately from regular periods', () => {
+      const events = [
+        {
+          id: 'period-start-2',
+          type: EVENT_TYPES.PERIOD_START,
+          timestamp: 1000000100000,
+          matchTime: '15:00',
+          periodNumber: 2,
+          sequence: 1,
+          data: { periodNumber: 2 },
+          undone: false
+        },
+        {
+          id: 'period-start-3',
+          type: EVENT_TYPES.PERIOD_START,
+          timestamp: 1000000200000,
+          matchTime: '30:00',
+          periodNumber: 3,
+          isExtraTime: true,
+          sequence: 2,
+          data: { periodNumber: 3 },
+          undone: false
+        },
+        {
+          id: 'period-end-3',
+          type: EVENT_TYPES.PERIOD_END,
+          timestamp: 1000000500000,
+          matchTime: '35:00',
+          periodNumber: 3,
+          isExtraTime: true,
+          sequence: 3,
+          data: { periodNumber: 3 },
+          undone: false
+        }
+      ];
+
+      render(<GameEventTimeline events={events} initialSortOrder="asc" />);
+
+      expect(screen.getByText('Period 2')).toBeInTheDocument();
+      expect(screen.getByText('Period 2 started')).toBeInTheDocument();
+      expect(screen.getByText('Extra Time 1')).toBeInTheDocument();
+      expect(screen.getByText('Extra time 1 started')).toBeInTheDocument();
+      expect(screen.getByText('Extra time 1 ended')).toBeInTheDocument();
+      expect(screen.queryByText('Period 3')).not.toBeInTheDocument();
+    });
+  });
+
   describe('Player inactivation and activation events', () => {
     it('displays player inactivation event with player name', () => {
       const events = [
@@ -374,6 +374,33 @@ describe('MatchSummaryHeader', () => {
       });
     });
 
+    it('decides a drawn match by the penalty shootout', () => {
+      render(
+        <MatchSummaryHeader
+          {...defaultProps}
+          ownScore={1}
+          opponentScore={1}
+          ownShootoutScore={3}
+          opponentShootoutScore={4}
+        />
+      );
+
+      expect(screen.getByTestId('shootout-score')).toHaveTextContent('Penalties 3-4');
+      expect(screen.getByText('Hammarby wins on penalties')).toBeInTheDocument();
+      expect(screen.queryByText('Match tied')).not.toBeInTheDocument();
+
+      const [ownScoreElement, opponentScoreElement] = screen.getAllByText('1');
+      expect(ownScoreElement).toHaveClass('text-slate-300');
+      expect(opponentScoreElement).toHaveClass('text-emerald-400');
+    });
+
+    it('does not show a shootout without shootout scores', () => {
+      render(<MatchSummaryHeader {...defaultProps} ownScore={1} opponentScore={1} />);
+
+      expect(screen.queryByTestId('shootout-score')).not.toBeInTheDocument();
+      expect(screen.getByText('Match tied')).toBeInTheDocument();
+    });
+
     it('handles high scores correctly', () => {
       render(
         <MatchSummaryHeader 
@@ -35,6 +35,8 @@ import { checkForPendingMatches, createResumeDataForConfiguration } from '../../
 import { discardPendingMatch, getPlayerStats } from '../../services/matchStateManager';
 import { getPlayerConnectionDetails } from '../../services/connectorService';
 import { getTemporaryPlayersForMatch } from '../../services/playerService';
+import { getGoalieHistory } from '../../services/goalieRotationService';
+import { proposeGoalieAssignments } from '../../utils/goalieRotation';
 import { PendingMatchResumeModal } from '../match/PendingMatchResumeModal';
 import { suggestUpcomingOpponent } from '../../services/opponentPrefillService';
 import { STORAGE_KEYS } from '../../constants/storageKeys';
@@ -125,6 +127,7 @@ export function ConfigurationScreen({
   const [isResumedMatch, setIsResumedMatch] = useState(false);
   const [teamPreferences, setTeamPreferences] = useState(null);
   const [captainHistoryCounts, setCaptainHistoryCounts] = useState({});
+  const [goalieHistory, setGoalieHistory] = useState(null);
 
   // Track connection details to determine if connector onboarding should show
   const [connectionDetails, setConnectionDetails] = useState({
@@ -324,6 +327,45 @@ export function ConfigurationScreen({
       isActive = false;
     };
   }, [isAuthenticated, currentTeam?.id]);
+
+  // Load goalie periods this season for goalie suggestions
+  React.useEffect(() => {
+    let isActive = true;
+
+    if (!isAuthenticated || !currentTeam?.id) {
+      setGoalieHistory(null);
+      return;
+    }
+
+    const fetchGoalieHistory = async () => {
+      try {
+        const result = await getGoalieHistory(currentTeam.id);
+        if (!isActive) {
+          return;
+        }
+
+        if (result?.success) {
+          setGoalieHistory(result.history);
+        } else {
+          if (result?.error) {
+            console.error('Failed to load goalie history:', result.error);
+          }
+          setGoalieHistory(null);
+        }
+      } catch (error) {
+        if (isActive) {
+          setGoalieHistory(null);
+        }
+        console.error('Goalie history load error:', error);
+      }
+    };
+
+    fetchGoalieHistory();
+
+    return () => {
+      isActive = false;
+    };
+  }, [isAuthenticated, currentTeam?.id]);
   
   // Function to load pending matches with error handling
   const loadPendingMatches = React.useCallback(async (teamId, showLoadingState = false) => {
@@ -1386,6 +1428,39 @@ export function ConfigurationScreen({
     });
   };
 
+  const willingGoalieIds = React.useMemo(() => (
+    (teamPlayers || []).filter(player => player.willing_goalie).map(player => player.id)
+  ), [teamPlayers]);
+
+  // Goalie rotation proposal, only offered once there is history or willing goalies to go on
+  const goalieProposal = React.useMemo(() => {
+    if (!goalieHistory || !withinFormatBounds) return null;
+    const squadIds = new Set(selectedSquadPlayers.map(player => player.id));
+    const hasGoalieData = goalieHistory.size > 0 || willingGoalieIds.some(id => squadIds.has(id));
+    if (!hasGoalieData) return null;
+    return proposeGoalieAssignments({
+      squadPlayers: selectedSquadPlayers,
+      numPeriods,
+      history: goalieHistory,
+      willingIds: willingGoalieIds
+    });
+  }, [goalieHistory, withinFormatBounds, selectedSquadPlayers, numPeriods, willingGoalieIds]);
+
+  // Prefill the goalie selectors while none of them has been set
+  React.useEffect(() => {
+    if (!goalieProposal) return;
+    setPeriodGoalieIds(prev => {
+      const hasAssignments = Array.from({ length: numPeriods }, (_, i) => prev[i + 1]).some(Boolean);
+      return hasAssignments ? prev : { ...prev, ...goalieProposal };
+    });
+  }, [goalieProposal, numPeriods, setPeriodGoalieIds]);
+
+  const handleApplyGoalieProposal = () => {
+    if (!goalieProposal) return;
+    setHasActiveConfiguration(true);
+    setPeriodGoalieIds(prev => ({ ...prev, ...goalieProposal }));
+  };
+
   const handleCaptainChange = (playerId) => {
     // Empty string means no captain selected
     const captainId = playerId === "" ? null : playerId;
@@ -1498,9 +1573,10 @@ export function ConfigurationScreen({
     setCaptain(null);
 
     // Determine format and squad size based on current format selection
-    const isCurrently7v7 = currentFormat === FORMATS.FORMAT_7V7;
-    const squadSize = isCurrently7v7 ? 10 : 7;
-    const format = isCurrently7v7 ? FORMATS.FORMAT_7V7 : FORMATS.FORMAT_5V5;
+    // 5v5 keeps a 7-player squad, larger formats get three substitutes
+    const isCurrently5v5 = currentFormat === FORMATS.FORMAT_5V5 || !FORMAT_CONFIGS[currentFormat];
+    const format = isCurrently5v5 ? FORMATS.FORMAT_5V5 : currentFormat;
+    const squadSize = isCurrently5v5 ? 7 : FORMAT_CONFIGS[format].fieldPlayers + 4;
 
     // Randomly select players based on format
     const randomPlayers = getRandomPlayers(playersToShow, squadSize);
@@ -1510,15 +1586,15 @@ export function ConfigurationScreen({
     // Select formation based on format
     let randomFormation;
 
-    if (isCurrently7v7) {
-      // 7v7: Randomly select between available 7v7 formations
-      const formations7v7 = [FORMATIONS.FORMATION_2_2_2, FORMATIONS.FORMATION_2_3_1]
+    if (!isCurrently5v5) {
+      // Larger formats: Randomly select between available formations for the format
+      const formatFormations = getValidFormations(format, squadSize)
         .filter(formation => FORMATION_DEFINITIONS[formation]?.status === 'available');
 
       // Fallback to first available formation if filtering yields no results
-      randomFormation = formations7v7.length > 0
-        ? formations7v7[Math.floor(Math.random() * formations7v7.length)]
-        : FORMAT_CONFIGS[FORMATS.FORMAT_7V7].defaultFormation;
+      randomFormation = formatFormations.length > 0
+        ? formatFormations[Math.floor(Math.random() * formatFormations.length)]
+        : FORMAT_CONFIGS[format].defaultFormation;
     } else {
       // 5v5: Always select 2-2 formation (single substitution system)
       randomFormation = FORMATIONS.FORMATION_2_2;
@@ -2129,7 +2205,17 @@ export function ConfigurationScreen({
       {/* Goalie Assignment */}
       {withinFormatBounds && (
         <Card padding="sm">
-          <h3 className="text-base font-medium text-sky-200 mb-2">{t('configuration:goalies.header')}</h3>
+          <div className="flex items-center justify-between gap-2 mb-2">
+            <h3 className="text-base font-medium text-sky-200">{t('configuration:goalies.header')}</h3>
+            {goalieProposal && (
+              <Button onClick={handleApplyGoalieProposal} variant="secondary" size="sm">
+                {t('configuration:goalies.suggest')}
+              </Button>
+            )}
+          </div>
+          {goalieProposal && (
+            <p className="text-xs text-slate-400 mb-2">{t('configuration:goalies.suggestionHint')}</p>
+          )}
           <div className="space-y-2">
             {Array.from({ length: numPeriods }, (_, i) => i + 1).map(period => (
               <div key={period}>
@@ -50,6 +50,59 @@ export function FormationPreview({ formation, className = '' }) {
           ]
         };
 
+      case FORMATIONS.FORMATION_1_3:
+        return {
+          name: t('formationPreview.formations.1-3.name'),
+          description: t('formationPreview.formations.1-3.description'),
+          positions: [
+            { name: t('formationPreview.positions.leftAttacker'), icon: Sword, x: 28, y: 25, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.centerAttacker'), icon: Sword, x: 50, y: 20, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightAttacker'), icon: Sword, x: 72, y: 25, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.defender'), icon: Shield, x: 50, y: 60, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.goalie'), icon: Hand, x: 50, y: 88, color: 'text-blue-400' }
+          ],
+          roles: [
+            { role: t('formationPreview.roles.defender'), count: 1, color: 'text-blue-400' },
+            { role: t('formationPreview.roles.attackers'), count: 3, color: 'text-red-400' }
+          ]
+        };
+
+      case FORMATIONS.FORMATION_1_1_2:
+        return {
+          name: t('formationPreview.formations.1-1-2.name'),
+          description: t('formationPreview.formations.1-1-2.description'),
+          positions: [
+            { name: t('formationPreview.positions.leftAttacker'), icon: Sword, x: 38, y: 20, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightAttacker'), icon: Sword, x: 62, y: 20, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.centerMidfielder'), icon: ArrowDownUp, x: 50, y: 42, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.defender'), icon: Shield, x: 50, y: 65, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.goalie'), icon: Hand, x: 50, y: 88, color: 'text-blue-400' }
+          ],
+          roles: [
+            { role: t('formationPreview.roles.defender'), count: 1, color: 'text-blue-400' },
+            { role: t('formationPreview.roles.midfielder'), count: 1, color: 'text-yellow-400' },
+            { role: t('formationPreview.roles.attackers'), count: 2, color: 'text-red-400' }
+          ]
+        };
+
+      case FORMATIONS.FORMATION_2_1_1:
+        return {
+          name: t('formationPreview.formations.2-1-1.name'),
+          description: t('formationPreview.formations.2-1-1.description'),
+          positions: [
+            { name: t('formationPreview.positions.attacker'), icon: Sword, x: 50, y: 20, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.centerMidfielder'), icon: ArrowDownUp, x: 50, y: 42, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftDefender'), icon: Shield, x: 35, y: 62, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightDefender'), icon: Shield, x: 65, y: 62, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.goalie'), icon: Hand, x: 50, y: 88, color: 'text-blue-400' }
+          ],
+          roles: [
+            { role: t('formationPreview.roles.defenders'), count: 2, color: 'text-blue-400' },
+            { role: t('formationPreview.roles.midfielder'), count: 1, color: 'text-yellow-400' },
+            { role: t('formationPreview.roles.attacker'), count: 1, color: 'text-red-400' }
+          ]
+        };
+
       case FORMATIONS.FORMATION_2_2_2:
         return {
           name: t('formationPreview.formations.2-2-2.name'),
@@ -90,6 +143,306 @@ export function FormationPreview({ formation, className = '' }) {
           ]
         };
 
+      case FORMATIONS.FORMATION_3_3:
+        return {
+          name: t('formationPreview.formations.3-3.name'),
+          description: t('formationPreview.formations.3-3.description'),
+          positions: [
+            { name: t('formationPreview.positions.leftAttacker'), icon: Sword, x: 28, y: 22, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.centerAttacker'), icon: Sword, x: 50, y: 18, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightAttacker'), icon: Sword, x: 72, y: 22, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftDefender'), icon: Shield, x: 28, y: 58, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.centerDefender'), icon: Shield, x: 50, y: 62, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightDefender'), icon: Shield, x: 72, y: 58, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.goalie'), icon: Hand, x: 50, y: 88, color: 'text-blue-400' }
+          ],
+          roles: [
+            { role: t('formationPreview.roles.defenders'), count: 3, color: 'text-blue-400' },
+            { role: t('formationPreview.roles.attackers'), count: 3, color: 'text-red-400' }
+          ]
+        };
+
+      case FORMATIONS.FORMATION_1_3_2:
+        return {
+          name: t('formationPreview.formations.1-3-2.name'),
+          description: t('formationPreview.formations.1-3-2.description'),
+          positions: [
+            { name: t('formationPreview.positions.leftAttacker'), icon: Sword, x: 38, y: 18, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightAttacker'), icon: Sword, x: 62, y: 18, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftMidfielder'), icon: ArrowDownUp, x: 28, y: 38, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.centerMidfielder'), icon: ArrowDownUp, x: 50, y: 42, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightMidfielder'), icon: ArrowDownUp, x: 72, y: 38, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.defender'), icon: Shield, x: 50, y: 65, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.goalie'), icon: Hand, x: 50, y: 88, color: 'text-blue-400' }
+          ],
+          roles: [
+            { role: t('formationPreview.roles.defender'), count: 1, color: 'text-blue-400' },
+            { role: t('formationPreview.roles.midfielders'), count: 3, color: 'text-yellow-400' },
+            { role: t('formationPreview.roles.attackers'), count: 2, color: 'text-red-400' }
+          ]
+        };
+
+      case FORMATIONS.FORMATION_2_1_3:
+        return {
+          name: t('formationPreview.formations.2-1-3.name'),
+          description: t('formationPreview.formations.2-1-3.description'),
+          positions: [
+            { name: t('formationPreview.positions.leftAttacker'), icon: Sword, x: 28, y: 22, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.centerAttacker'), icon: Sword, x: 50, y: 18, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightAttacker'), icon: Sword, x: 72, y: 22, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.centerMidfielder'), icon: ArrowDownUp, x: 50, y: 42, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftDefender'), icon: Shield, x: 35, y: 63, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightDefender'), icon: Shield, x: 65, y: 63, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.goalie'), icon: Hand, x: 50, y: 88, color: 'text-blue-400' }
+          ],
+          roles: [
+            { role: t('formationPreview.roles.defenders'), count: 2, color: 'text-blue-400' },
+            { role: t('formationPreview.roles.midfielder'), count: 1, color: 'text-yellow-400' },
+            { role: t('formationPreview.roles.attackers'), count: 3, color: 'text-red-400' }
+          ]
+        };
+
+      case FORMATIONS.FORMATION_3_2_1:
+        return {
+          name: t('formationPreview.formations.3-2-1.name'),
+          description: t('formationPreview.formations.3-2-1.description'),
+          positions: [
+            { name: t('formationPreview.positions.attacker'), icon: Sword, x: 50, y: 18, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftMidfielder'), icon: ArrowDownUp, x: 35, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightMidfielder'), icon: ArrowDownUp, x: 65, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftDefender'), icon: Shield, x: 28, y: 60, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.centerDefender'), icon: Shield, x: 50, y: 64, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightDefender'), icon: Shield, x: 72, y: 60, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.goalie'), icon: Hand, x: 50, y: 88, color: 'text-blue-400' }
+          ],
+          roles: [
+            { role: t('formationPreview.roles.defenders'), count: 3, color: 'text-blue-400' },
+            { role: t('formationPreview.roles.midfielders'), count: 2, color: 'text-yellow-400' },
+            { role: t('formationPreview.roles.attacker'), count: 1, color: 'text-red-400' }
+          ]
+        };
+
+      case FORMATIONS.FORMATION_3_1_2:
+        return {
+          name: t('formationPreview.formations.3-1-2.name'),
+          description: t('formationPreview.formations.3-1-2.description'),
+          positions: [
+            { name: t('formationPreview.positions.leftAttacker'), icon: Sword, x: 38, y: 18, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightAttacker'), icon: Sword, x: 62, y: 18, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.centerMidfielder'), icon: ArrowDownUp, x: 50, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftDefender'), icon: Shield, x: 28, y: 60, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.centerDefender'), icon: Shield, x: 50, y: 64, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightDefender'), icon: Shield, x: 72, y: 60, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.goalie'), icon: Hand, x: 50, y: 88, color: 'text-blue-400' }
+          ],
+          roles: [
+            { role: t('formationPreview.roles.defenders'), count: 3, color: 'text-blue-400' },
+            { role: t('formationPreview.roles.midfielder'), count: 1, color: 'text-yellow-400' },
+            { role: t('formationPreview.roles.attackers'), count: 2, color: 'text-red-400' }
+          ]
+        };
+
+      case FORMATIONS.FORMATION_3_3_1:
+        return {
+          name: t('formationPreview.formations.3-3-1.name'),
+          description: t('formationPreview.formations.3-3-1.description'),
+          positions: [
+            { name: t('formationPreview.positions.attacker'), icon: Sword, x: 50, y: 18, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftMidfielder'), icon: ArrowDownUp, x: 28, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.centerMidfielder'), icon: ArrowDownUp, x: 50, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightMidfielder'), icon: ArrowDownUp, x: 72, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftDefender'), icon: Shield, x: 28, y: 60, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.centerDefender'), icon: Shield, x: 50, y: 64, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightDefender'), icon: Shield, x: 72, y: 60, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.goalie'), icon: Hand, x: 50, y: 88, color: 'text-blue-400' }
+          ],
+          roles: [
+            { role: t('formationPreview.roles.defenders'), count: 3, color: 'text-blue-400' },
+            { role: t('formationPreview.roles.midfielders'), count: 3, color: 'text-yellow-400' },
+            { role: t('formationPreview.roles.attacker'), count: 1, color: 'text-red-400' }
+          ]
+        };
+
+      case FORMATIONS.FORMATION_3_2_2:
+        return {
+          name: t('formationPreview.formations.3-2-2.name'),
+          description: t('formationPreview.formations.3-2-2.description'),
+          positions: [
+            { name: t('formationPreview.positions.leftAttacker'), icon: Sword, x: 38, y: 18, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightAttacker'), icon: Sword, x: 62, y: 18, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftMidfielder'), icon: ArrowDownUp, x: 38, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightMidfielder'), icon: ArrowDownUp, x: 62, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftDefender'), icon: Shield, x: 28, y: 60, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.centerDefender'), icon: Shield, x: 50, y: 64, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightDefender'), icon: Shield, x: 72, y: 60, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.goalie'), icon: Hand, x: 50, y: 88, color: 'text-blue-400' }
+          ],
+          roles: [
+            { role: t('formationPreview.roles.defenders'), count: 3, color: 'text-blue-400' },
+            { role: t('formationPreview.roles.midfielders'), count: 2, color: 'text-yellow-400' },
+            { role: t('formationPreview.roles.attackers'), count: 2, color: 'text-red-400' }
+          ]
+        };
+
+      case FORMATIONS.FORMATION_2_3_2:
+        return {
+          name: t('formationPreview.formations.2-3-2.name'),
+          description: t('formationPreview.formations.2-3-2.description'),
+          positions: [
+            { name: t('formationPreview.positions.leftAttacker'), icon: Sword, x: 38, y: 18, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightAttacker'), icon: Sword, x: 62, y: 18, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftMidfielder'), icon: ArrowDownUp, x: 28, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.centerMidfielder'), icon: ArrowDownUp, x: 50, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightMidfielder'), icon: ArrowDownUp, x: 72, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftDefender'), icon: Shield, x: 38, y: 62, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightDefender'), icon: Shield, x: 62, y: 62, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.goalie'), icon: Hand, x: 50, y: 88, color: 'text-blue-400' }
+          ],
+          roles: [
+            { role: t('formationPreview.roles.defenders'), count: 2, color: 'text-blue-400' },
+            { role: t('formationPreview.roles.midfielders'), count: 3, color: 'text-yellow-400' },
+            { role: t('formationPreview.roles.attackers'), count: 2, color: 'text-red-400' }
+          ]
+        };
+
+      case FORMATIONS.FORMATION_3_3_2:
+        return {
+          name: t('formationPreview.formations.3-3-2.name'),
+          description: t('formationPreview.formations.3-3-2.description'),
+          positions: [
+            { name: t('formationPreview.positions.leftAttacker'), icon: Sword, x: 38, y: 18, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightAttacker'), icon: Sword, x: 62, y: 18, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftMidfielder'), icon: ArrowDownUp, x: 28, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.centerMidfielder'), icon: ArrowDownUp, x: 50, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightMidfielder'), icon: ArrowDownUp, x: 72, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftDefender'), icon: Shield, x: 28, y: 60, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.centerDefender'), icon: Shield, x: 50, y: 64, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightDefender'), icon: Shield, x: 72, y: 60, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.goalie'), icon: Hand, x: 50, y: 88, color: 'text-blue-400' }
+          ],
+          roles: [
+            { role: t('formationPreview.roles.defenders'), count: 3, color: 'text-blue-400' },
+            { role: t('formationPreview.roles.midfielders'), count: 3, color: 'text-yellow-400' },
+            { role: t('formationPreview.roles.attackers'), count: 2, color: 'text-red-400' }
+          ]
+        };
+
+      case FORMATIONS.FORMATION_3_2_3:
+        return {
+          name: t('formationPreview.formations.3-2-3.name'),
+          description: t('formationPreview.formations.3-2-3.description'),
+          positions: [
+            { name: t('formationPreview.positions.leftAttacker'), icon: Sword, x: 28, y: 22, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.centerAttacker'), icon: Sword, x: 50, y: 18, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightAttacker'), icon: Sword, x: 72, y: 22, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftMidfielder'), icon: ArrowDownUp, x: 38, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightMidfielder'), icon: ArrowDownUp, x: 62, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftDefender'), icon: Shield, x: 28, y: 60, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.centerDefender'), icon: Shield, x: 50, y: 64, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightDefender'), icon: Shield, x: 72, y: 60, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.goalie'), icon: Hand, x: 50, y: 88, color: 'text-blue-400' }
+          ],
+          roles: [
+            { role: t('formationPreview.roles.defenders'), count: 3, color: 'text-blue-400' },
+            { role: t('formationPreview.roles.midfielders'), count: 2, color: 'text-yellow-400' },
+            { role: t('formationPreview.roles.attackers'), count: 3, color: 'text-red-400' }
+          ]
+        };
+
+      case FORMATIONS.FORMATION_3_4_1:
+        return {
+          name: t('formationPreview.formations.3-4-1.name'),
+          description: t('formationPreview.formations.3-4-1.description'),
+          positions: [
+            { name: t('formationPreview.positions.attacker'), icon: Sword, x: 50, y: 18, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftMidfielder'), icon: ArrowDownUp, x: 20, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftCenterMidfielder'), icon: ArrowDownUp, x: 40, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightCenterMidfielder'), icon: ArrowDownUp, x: 60, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightMidfielder'), icon: ArrowDownUp, x: 80, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftDefender'), icon: Shield, x: 28, y: 60, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.centerDefender'), icon: Shield, x: 50, y: 64, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightDefender'), icon: Shield, x: 72, y: 60, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.goalie'), icon: Hand, x: 50, y: 88, color: 'text-blue-400' }
+          ],
+          roles: [
+            { role: t('formationPreview.roles.defenders'), count: 3, color: 'text-blue-400' },
+            { role: t('formationPreview.roles.midfielders'), count: 4, color: 'text-yellow-400' },
+            { role: t('formationPreview.roles.attacker'), count: 1, color: 'text-red-400' }
+          ]
+        };
+
+      case FORMATIONS.FORMATION_4_4_2:
+        return {
+          name: t('formationPreview.formations.4-4-2.name'),
+          description: t('formationPreview.formations.4-4-2.description'),
+          positions: [
+            { name: t('formationPreview.positions.leftAttacker'), icon: Sword, x: 38, y: 18, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightAttacker'), icon: Sword, x: 62, y: 18, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftMidfielder'), icon: ArrowDownUp, x: 20, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftCenterMidfielder'), icon: ArrowDownUp, x: 40, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightCenterMidfielder'), icon: ArrowDownUp, x: 60, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightMidfielder'), icon: ArrowDownUp, x: 80, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftDefender'), icon: Shield, x: 20, y: 60, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftCenterDefender'), icon: Shield, x: 40, y: 64, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightCenterDefender'), icon: Shield, x: 60, y: 64, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightDefender'), icon: Shield, x: 80, y: 60, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.goalie'), icon: Hand, x: 50, y: 88, color: 'text-blue-400' }
+          ],
+          roles: [
+            { role: t('formationPreview.roles.defenders'), count: 4, color: 'text-blue-400' },
+            { role: t('formationPreview.roles.midfielders'), count: 4, color: 'text-yellow-400' },
+            { role: t('formationPreview.roles.attackers'), count: 2, color: 'text-red-400' }
+          ]
+        };
+
+      case FORMATIONS.FORMATION_4_3_3:
+        return {
+          name: t('formationPreview.formations.4-3-3.name'),
+          description: t('formationPreview.formations.4-3-3.description'),
+          positions: [
+            { name: t('formationPreview.positions.leftAttacker'), icon: Sword, x: 28, y: 22, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.centerAttacker'), icon: Sword, x: 50, y: 18, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightAttacker'), icon: Sword, x: 72, y: 22, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftMidfielder'), icon: ArrowDownUp, x: 28, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.centerMidfielder'), icon: ArrowDownUp, x: 50, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightMidfielder'), icon: ArrowDownUp, x: 72, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftDefender'), icon: Shield, x: 20, y: 60, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftCenterDefender'), icon: Shield, x: 40, y: 64, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightCenterDefender'), icon: Shield, x: 60, y: 64, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightDefender'), icon: Shield, x: 80, y: 60, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.goalie'), icon: Hand, x: 50, y: 88, color: 'text-blue-400' }
+          ],
+          roles: [
+            { role: t('formationPreview.roles.defenders'), count: 4, color: 'text-blue-400' },
+            { role: t('formationPreview.roles.midfielders'), count: 3, color: 'text-yellow-400' },
+            { role: t('formationPreview.roles.attackers'), count: 3, color: 'text-red-400' }
+          ]
+        };
+
+      case FORMATIONS.FORMATION_3_5_2:
+        return {
+          name: t('formationPreview.formations.3-5-2.name'),
+          description: t('formationPreview.formations.3-5-2.description'),
+          positions: [
+            { name: t('formationPreview.positions.leftAttacker'), icon: Sword, x: 38, y: 18, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightAttacker'), icon: Sword, x: 62, y: 18, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftMidfielder'), icon: ArrowDownUp, x: 16, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftCenterMidfielder'), icon: ArrowDownUp, x: 33, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.centerMidfielder'), icon: ArrowDownUp, x: 50, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightCenterMidfielder'), icon: ArrowDownUp, x: 67, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightMidfielder'), icon: ArrowDownUp, x: 84, y: 40, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.leftDefender'), icon: Shield, x: 28, y: 60, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.centerDefender'), icon: Shield, x: 50, y: 64, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.rightDefender'), icon: Shield, x: 72, y: 60, color: 'text-blue-400' },
+            { name: t('formationPreview.positions.goalie'), icon: Hand, x: 50, y: 88, color: 'text-blue-400' }
+          ],
+          roles: [
+            { role: t('formationPreview.roles.defenders'), count: 3, color: 'text-blue-400' },
+            { role: t('formationPreview.roles.midfielders'), count: 5, color: 'text-yellow-400' },
+            { role: t('formationPreview.roles.attackers'), count: 2, color: 'text-red-400' }
+          ]
+        };
+
       default:
         return null;
     }
@@ -4,7 +4,7 @@ import { Select, Button, ConfirmationModal } from '../shared/UI';
 import { Alert } from '../shared/Alert';
 import { getPlayerLabel } from '../../utils/formatUtils';
 import { scrollToTopSmooth } from '../../utils/scrollUtils';
-import { getPlayerDisplayName as getPlayerDisplayNameUtil, getPlayerDisplayNameById as getPlayerDisplayNameByIdUtil } from '../../utils/playerUtils';
+import { getPlayerDisplayName as getPlayerDisplayNameUtil, getPlayerDisplayNameById as getPlayerDisplayNameByIdUtil, countSentOffPlayers } from '../../utils/playerUtils';
 import { randomizeFormationPositions } from '../../utils/debugUtils';
 import { getOutfieldPositions, getModeDefinition } from '../../constants/gameModes';
 import { TEAM_CONFIG } from '../../constants/teamConstants';
@@ -15,8 +15,16 @@ import { PositionRecommendationCard } from './PositionRecommendationCard';
 import { usePlayerRecommendationData } from '../../hooks/usePlayerRecommendationData';
 import { groupFieldPositionsByRole } from '../../utils/positionDisplayOrder';
 import { PLAYER_ROLES } from '../../constants/playerConstants';
+import { RotationPlanCard } from './RotationPlanCard';
+import { generateRotationPlan, isRotationPlanCurrent, getPlannedPeriodFormation } from '../../game/logic/rotationPlan';
+import { printRotationPlan } from '../../utils/rotationPlanPrint';
+import { createPersistenceManager } from '../../utils/persistenceManager';
+import { STORAGE_KEYS } from '../../constants/storageKeys';
 import { useTranslation } from 'react-i18next';
 
+// Substitution count chosen on the game screen, used as players per planned substitution
+const substitutionCountPersistence = createPersistenceManager(STORAGE_KEYS.SUBSTITUTION_COUNT, { count: 1 });
+
 const humanizePositionKey = (positionKey) => {
   return positionKey
     .replace(/_/g, ' ')
@@ -126,8 +134,13 @@ export function PeriodSetupScreen({
   periodGoalieIds,
   setPeriodGoalieIds,
   numPeriods,
+  periodDurationMinutes,
+  extraTimePeriodNumber = null,
+  alertMinutes,
   teamConfig,
   selectedFormation,
+  rotationPlan = null,
+  setRotationPlan,
   onNavigateBack,
   pushNavigationState,
   removeFromNavigationStack,
@@ -260,6 +273,12 @@ export function PeriodSetupScreen({
   }, [modeDefinition]);
 
   const substitutePositions = modeDefinition?.substitutePositions || [];
+
+  // Players sent off with a red card cannot be picked again and their slots stay empty
+  const sentOffCount = countSentOffPlayers(selectedSquadPlayers);
+  const assignablePlayers = useMemo(() => {
+    return availableForAssignment.filter(player => !player.stats?.isSentOff);
+  }, [availableForAssignment]);
   
   // Flag to track when we're replacing an inactive goalie (vs active goalie)
   const [isReplacingInactiveGoalie, setIsReplacingInactiveGoalie] = useState(false);
@@ -573,6 +592,75 @@ export function PeriodSetupScreen({
     setRecommendationState(prev => ({ ...prev, positionHandled: true }));
   }, []);
 
+  const rotationPlanSettings = useMemo(() => ({
+    teamConfig,
+    selectedFormation,
+    squadIds: (selectedSquadPlayers || []).map(player => player.id),
+    periodGoalieIds,
+    numPeriods,
+    periodDurationMinutes,
+    alertMinutes
+  }), [teamConfig, selectedFormation, selectedSquadPlayers, periodGoalieIds, numPeriods, periodDurationMinutes, alertMinutes]);
+
+  const isRotationPlanUpToDate = useMemo(
+    () => isRotationPlanCurrent(rotationPlan, rotationPlanSettings),
+    [rotationPlan, rotationPlanSettings]
+  );
+
+  const canGenerateRotationPlan = rotationPlanSettings.squadIds.length > 0 &&
+    Array.from({ length: numPeriods || 0 }, (_, index) => periodGoalieIds?.[index + 1]).every(Boolean);
+
+  const getPlanPlayerName = useCallback(
+    (playerId) => getPlayerDisplayNameByIdUtil(allPlayers, playerId) || t('periodSetup.fallbacks.unknownPlayer'),
+    [allPlayers, t]
+  );
+
+  const getPlanPositionName = useCallback(
+    (position) => getTranslatedPositionTitle(position, getPositionConfig(position), t),
+    [t]
+  );
+
+  const handleGenerateRotationPlan = useCallback(() => {
+    const stored = substitutionCountPersistence.loadState();
+    const substitutionCount = parseInt(stored.count, 10);
+
+    setRotationPlan(generateRotationPlan({
+      ...rotationPlanSettings,
+      substitutionCount: !isNaN(substitutionCount) && substitutionCount >= 1 ? substitutionCount : 1
+    }));
+  }, [rotationPlanSettings, setRotationPlan]);
+
+  const handlePrintRotationPlan = useCallback(() => {
+    const printed = printRotationPlan({
+      plan: rotationPlan,
+      getPlayerName: getPlanPlayerName,
+      getPositionName: getPlanPositionName,
+      labels: {
+        title: t('rotationPlan.printTitle', { team: ownTeamName, opponent: opponentTeam || t('periodSetup.score.opponent') }),
+        period: (period) => t('rotationPlan.period', { period }),
+        goalie: t('rotationPlan.goalieLabel'),
+        startingLineup: t('rotationPlan.startingLineup'),
+        time: t('rotationPlan.columns.time'),
+        off: t('rotationPlan.columns.off'),
+        on: t('rotationPlan.columns.on'),
+        position: t('rotationPlan.columns.position'),
+        expectedTime: t('rotationPlan.expectedTime'),
+        noSubstitutions: t('rotationPlan.noSubstitutions')
+      }
+    });
+
+    if (!printed) {
+      alert(t('rotationPlan.printBlocked'));
+    }
+  }, [rotationPlan, getPlanPlayerName, getPlanPositionName, ownTeamName, opponentTeam, t]);
+
+  const handleApplyPlannedLineup = useCallback(() => {
+    const plannedFormation = getPlannedPeriodFormation(rotationPlan, currentPeriodNumber, modeDefinition?.substitutePositions);
+    if (plannedFormation) {
+      setFormation(prev => ({ ...prev, ...plannedFormation }));
+    }
+  }, [rotationPlan, currentPeriodNumber, modeDefinition, setFormation]);
+
   // Handle resume formation data from pending match
   useEffect(() => {
     if (resumeFormationData) {
@@ -612,7 +700,10 @@ export function PeriodSetupScreen({
     return position === 'leftDefender' || position === 'rightDefender' ||
            position === 'leftAttacker' || position === 'rightAttacker' ||
            position === 'defender' || position === 'left' || position === 'right' || position === 'attacker' ||
-           position === 'leftMidfielder' || position === 'rightMidfielder' || position === 'centerMidfielder';
+           position === 'leftMidfielder' || position === 'rightMidfielder' || position === 'centerMidfielder' ||
+           position === 'centerDefender' || position === 'centerAttacker' ||
+           position === 'leftCenterDefender' || position === 'rightCenterDefender' ||
+           position === 'leftCenterMidfielder' || position === 'rightCenterMidfielder';
   };
 
   // Helper function to find where a player is currently positioned
@@ -699,7 +790,8 @@ export function PeriodSetupScreen({
             ...player,
             stats: {
               ...player.stats,
-              isInactive: false
+              isInactive: false,
+              isInjured: false
             }
           };
         }
@@ -978,7 +1070,7 @@ export function PeriodSetupScreen({
   const getAvailableForIndividualSelect = (currentPosition) => {
     // If formation is complete, show all players except goalie
     if (isFormationComplete()) {
-      return availableForAssignment;
+      return assignablePlayers;
     }
 
     // Original logic for incomplete formation - works for both 6 and 7 player modes
@@ -988,15 +1080,18 @@ export function PeriodSetupScreen({
         assignedElsewhereIds.add(formation[pos]);
       }
     });
-    return availableForAssignment.filter(p => !assignedElsewhereIds.has(p.id));
+    return assignablePlayers.filter(p => !assignedElsewhereIds.has(p.id));
   };
 
   const isFormationComplete = () => {
     // Individual modes (6 or 7 players) - use configuration-driven validation
     const outfieldPositions = getOutfieldPositions(teamConfig);
     const outfielders = outfieldPositions.map(pos => formation[pos]).filter(Boolean);
-    const expectedCount = outfieldPositions.length;
-    return formation.goalie && outfielders.length === expectedCount && new Set(outfielders).size === expectedCount;
+    const expectedCount = outfieldPositions.length - sentOffCount;
+    const fieldPositions = modeDefinition?.fieldPositions || [];
+    const fieldPlayerCount = fieldPositions.filter(pos => formation[pos]).length;
+    return formation.goalie && outfielders.length === expectedCount && new Set(outfielders).size === expectedCount &&
+      fieldPlayerCount <= fieldPositions.length - sentOffCount;
   };
 
   const randomizeFormation = () => {
@@ -1006,7 +1101,7 @@ export function PeriodSetupScreen({
     }
 
     // Get players available for positioning (excluding goalie)
-    const availablePlayers = availableForAssignment;
+    const availablePlayers = assignablePlayers;
 
     if (availablePlayers.length === 0) {
       alert(t('periodSetup.alerts.noPlayersAvailable'));
@@ -1078,7 +1173,9 @@ export function PeriodSetupScreen({
   return (
     <div className="space-y-3">
       <h2 className="text-xl font-semibold text-sky-300 flex items-center">
-        <Users className="mr-2 h-6 w-6" />{t('periodSetup.header.title', { period: currentPeriodNumber })}
+        <Users className="mr-2 h-6 w-6" />{extraTimePeriodNumber
+          ? t('periodSetup.header.extraTimeTitle', { period: extraTimePeriodNumber })
+          : t('periodSetup.header.title', { period: currentPeriodNumber })}
       </h2>
       
       {/* Current Score Display */}
@@ -1161,6 +1258,20 @@ export function PeriodSetupScreen({
         />
       )}
 
+      {setRotationPlan && (
+        <RotationPlanCard
+          plan={rotationPlan}
+          isCurrent={isRotationPlanUpToDate}
+          currentPeriodNumber={currentPeriodNumber}
+          canGenerate={canGenerateRotationPlan}
+          onGenerate={handleGenerateRotationPlan}
+          onPrint={handlePrintRotationPlan}
+          onApplyLineup={handleApplyPlannedLineup}
+          getPlayerName={getPlanPlayerName}
+          getPositionName={getPlanPositionName}
+        />
+      )}
+
       {/* Save Period Configuration Status Messages */}
       {savePeriodConfigStatus.message && (
         <Alert variant="success">{savePeriodConfigStatus.message}</Alert>
@@ -1191,15 +1302,19 @@ export function PeriodSetupScreen({
         return (
           <div className={`p-2 ${sectionBgColor} rounded-md`}>
             <h3 className={`text-sm font-medium ${headerColor} mb-1`}>
-              {isGoalieInactive
-                ? t('periodSetup.goalie.headerInactive', { period: currentPeriodNumber })
-                : t('periodSetup.goalie.header', { period: currentPeriodNumber })
+              {extraTimePeriodNumber
+                ? (isGoalieInactive
+                  ? t('periodSetup.goalie.extraTimeHeaderInactive', { period: extraTimePeriodNumber })
+                  : t('periodSetup.goalie.extraTimeHeader', { period: extraTimePeriodNumber }))
+                : (isGoalieInactive
+                  ? t('periodSetup.goalie.headerInactive', { period: currentPeriodNumber })
+                  : t('periodSetup.goalie.header', { period: currentPeriodNumber }))
               }
             </h3>
             <Select
               value={formation.goalie || ""}
               onChange={value => handleGoalieChangeForCurrentPeriod(value)}
-              options={[...selectedSquadPlayers].sort((a, b) => {
+              options={selectedSquadPlayers.filter(p => !p.stats?.isSentOff).sort((a, b) => {
                 const aInactive = a.stats?.isInactive || false;
                 const bInactive = b.stats?.isInactive || false;
                 if (aInactive && !bInactive) return 1;
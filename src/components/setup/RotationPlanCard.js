@@ -0,0 +1,112 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useTranslation } from 'react-i18next';
+import { CalendarClock, Printer } from 'lucide-react';
+import { Button } from '../shared/UI';
+import { formatTime } from '../../utils/formatUtils';
+
+export function RotationPlanCard({
+  plan,
+  isCurrent,
+  currentPeriodNumber,
+  canGenerate,
+  onGenerate,
+  onPrint,
+  onApplyLineup,
+  getPlayerName,
+  getPositionName
+}) {
+  const { t } = useTranslation('configuration');
+  const currentPeriodPlan = plan?.periods?.find(periodPlan => periodPlan.period === currentPeriodNumber);
+  const names = (playerIds) => playerIds.map(getPlayerName).join(', ');
+
+  return (
+    <div
+      data-testid="rotation-plan"
+      className="p-2 bg-slate-700 rounded-lg space-y-2"
+    >
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-medium text-sky-200">{t('rotationPlan.title')}</h3>
+        {plan && !isCurrent && (
+          <span className="text-xs text-amber-300">{t('rotationPlan.outdated')}</span>
+        )}
+      </div>
+
+      {!plan ? (
+        <p className="text-xs text-slate-300">{t('rotationPlan.description')}</p>
+      ) : (
+        <ul className="space-y-2" data-testid="rotation-plan-periods">
+          {plan.periods.map(periodPlan => (
+            <li
+              key={periodPlan.period}
+              className={`rounded-md px-2 py-1 text-sm text-slate-100 ${periodPlan.period === currentPeriodNumber ? 'bg-slate-800 border border-sky-500' : 'bg-slate-800/60'}`}
+            >
+              <div className="flex items-center justify-between">
+                <span className="font-medium">{t('rotationPlan.period', { period: periodPlan.period })}</span>
+                <span className="text-xs text-slate-300">
+                  {t('rotationPlan.goalie', { name: periodPlan.goalieId ? getPlayerName(periodPlan.goalieId) : '-' })}
+                </span>
+              </div>
+              <p className="text-xs text-slate-300">
+                {t('rotationPlan.startingLineup')}: {Object.entries(periodPlan.startingLineup)
+                  .map(([position, playerId]) => `${getPositionName(position)} ${getPlayerName(playerId)}`)
+                  .join(', ')}
+              </p>
+              {periodPlan.substitutions.length === 0 ? (
+                <p className="text-xs text-slate-400">{t('rotationPlan.noSubstitutions')}</p>
+              ) : (
+                <ul className="text-xs text-slate-200">
+                  {periodPlan.substitutions.map(substitution => (
+                    <li key={substitution.atSeconds} className="flex space-x-2">
+                      <span className="font-mono text-sky-300">{formatTime(substitution.atSeconds)}</span>
+                      <span>
+                        {t('rotationPlan.substitution', {
+                          off: names(substitution.playersOff),
+                          on: names(substitution.playersOn)
+                        })}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex items-center justify-end space-x-2 pt-1">
+        {plan && (
+          <Button variant="secondary" onClick={onPrint} Icon={Printer}>
+            {t('rotationPlan.print')}
+          </Button>
+        )}
+        {plan && isCurrent && currentPeriodPlan && (
+          <Button variant="secondary" onClick={onApplyLineup}>
+            {t('rotationPlan.applyLineup')}
+          </Button>
+        )}
+        <Button variant="accent" onClick={onGenerate} disabled={!canGenerate} Icon={CalendarClock}>
+          {plan ? t('rotationPlan.regenerate') : t('rotationPlan.generate')}
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+RotationPlanCard.propTypes = {
+  plan: PropTypes.object,
+  isCurrent: PropTypes.bool,
+  currentPeriodNumber: PropTypes.number.isRequired,
+  canGenerate: PropTypes.bool,
+  onGenerate: PropTypes.func.isRequired,
+  onPrint: PropTypes.func.isRequired,
+  onApplyLineup: PropTypes.func.isRequired,
+  getPlayerName: PropTypes.func.isRequired,
+  getPositionName: PropTypes.func.isRequired
+};
+
+RotationPlanCard.defaultProps = {
+  plan: null,
+  isCurrent: false,
+  canGenerate: true
+};
@@ -9,6 +9,7 @@ import { VIEWS } from '../../../constants/viewConstants';
 import { STORAGE_KEYS } from '../../../constants/storageKeys';
 import { checkForPendingMatches } from '../../../services/pendingMatchService';
 import { getPlayerStats } from '../../../services/matchStateManager';
+import { getGoalieHistory } from '../../../services/goalieRotationService';
 import { DETECTION_TYPES } from '../../../services/sessionDetectionService';
 
 const mockUseAuth = jest.fn(() => ({
@@ -189,6 +190,10 @@ jest.mock('../../../services/playerService', () => ({
   getTemporaryPlayersForMatch: jest.fn(() => Promise.resolve({ success: true, players: [] }))
 }));
 
+jest.mock('../../../services/goalieRotationService', () => ({
+  getGoalieHistory: jest.fn(() => Promise.resolve({ success: true, history: new Map(), matchCount: 0 }))
+}));
+
 jest.mock('../../match/PendingMatchResumeModal', () => ({
   PendingMatchResumeModal: () => null
 }));
@@ -213,6 +218,7 @@ beforeEach(() => {
 
   checkForPendingMatches.mockResolvedValue({ shouldShow: false, pendingMatches: [] });
   getPlayerStats.mockResolvedValue({ success: true, players: [] });
+  getGoalieHistory.mockResolvedValue({ success: true, history: new Map(), matchCount: 0 });
 
   mockUseOpponentNameSuggestions.mockReset();
   mockUseOpponentNameSuggestions.mockReturnValue({
@@ -398,7 +404,7 @@ describe('ConfigurationScreen team preferences', () => {
   it('falls back to default formation when preference formation is unavailable', async () => {
     const loadTeamPreferences = jest.fn(() => Promise.resolve({
       matchFormat: FORMATS.FORMAT_5V5,
-      formation: '1-3',
+      formation: FORMATIONS.FORMATION_3_3,
       numPeriods: 3,
       periodLength: 15
     }));
@@ -1080,6 +1086,106 @@ describe('ConfigurationScreen venue selection', () => {
   });
 });
 
+describe('ConfigurationScreen goalie suggestions', () => {
+  const roster = Array.from({ length: 6 }, (_, index) => ({
+    id: `player-${index + 1}`,
+    display_name: `Player ${index + 1}`,
+    first_name: `Player ${index + 1}`,
+    willing_goalie: index < 3
+  }));
+
+  const squadProps = (overrides = {}) => buildProps({
+    selectedSquadIds: roster.map(player => player.id),
+    selectedSquadPlayers: roster.map(player => ({ id: player.id, displayName: player.display_name })),
+    syncPlayersFromTeamRoster: jest.fn(() => ({ success: true, message: 'No sync needed' })),
+    ...overrides
+  });
+
+  const buildTeamContextValue = (teamPlayers) => ({
+    currentTeam: { id: 'team-1' },
+    teamPlayers,
+    hasTeams: true,
+    hasClubs: true,
+    loading: false,
+    loadTeamPreferences: jest.fn(() => Promise.resolve({}))
+  });
+
+  beforeEach(() => {
+    const teamContextValue = buildTeamContextValue(roster);
+    mockUseTeam.mockImplementation(() => teamContextValue);
+
+    getGoalieHistory.mockResolvedValue({
+      success: true,
+      history: new Map([
+        ['player-1', { goaliePeriods: 3, goalieMatches: 2, goalieSeconds: 2700 }],
+        ['player-2', { goaliePeriods: 1, goalieMatches: 1, goalieSeconds: 900 }],
+        ['player-4', { goaliePeriods: 0, goalieMatches: 0, goalieSeconds: 0 }]
+      ]),
+      matchCount: 3
+    });
+  });
+
+  it('prefills empty goalie selectors with willing players who have kept goal the least', async () => {
+    const props = squadProps();
+    renderConfigurationScreen(props);
+
+    await waitFor(() => {
+      expect(props.setPeriodGoalieIds).toHaveBeenCalledWith(expect.any(Function));
+    });
+
+    const updater = props.setPeriodGoalieIds.mock.calls.find(([arg]) => typeof arg === 'function')[0];
+    expect(updater({})).toEqual({ 1: 'player-3', 2: 'player-2', 3: 'player-3' });
+    expect(getGoalieHistory).toHaveBeenCalledWith('team-1');
+  });
+
+  it('keeps goalies that have already been chosen', async () => {
+    const props = squadProps({ periodGoalieIds: { 1: 'player-5' } });
+    renderConfigurationScreen(props);
+
+    await waitFor(() => {
+      expect(props.setPeriodGoalieIds).toHaveBeenCalledWith(expect.any(Function));
+    });
+
+    const updater = props.setPeriodGoalieIds.mock.calls.find(([arg]) => typeof arg === 'function')[0];
+    const current = { 1: 'player-5' };
+    expect(updater(current)).toBe(current);
+  });
+
+  it('applies the suggestion over existing goalies when requested', async () => {
+    const props = squadProps({ periodGoalieIds: { 1: 'player-5', 2: 'player-5', 3: 'player-5' } });
+    renderConfigurationScreen(props);
+
+    const suggestButton = await screen.findByRole('button', { name: 'Suggest goalies' });
+    props.setPeriodGoalieIds.mockClear();
+
+    fireEvent.click(suggestButton);
+
+    expect(props.setHasActiveConfiguration).toHaveBeenCalledWith(true);
+    const updater = props.setPeriodGoalieIds.mock.calls[0][0];
+    expect(updater({ 1: 'player-5', 2: 'player-5', 3: 'player-5' })).toEqual({
+      1: 'player-3',
+      2: 'player-2',
+      3: 'player-3'
+    });
+  });
+
+  it('does not offer suggestions without goalie history or willing players', async () => {
+    const teamContextValue = buildTeamContextValue(roster.map(player => ({ ...player, willing_goalie: false })));
+    mockUseTeam.mockImplementation(() => teamContextValue);
+    getGoalieHistory.mockResolvedValue({ success: true, history: new Map(), matchCount: 0 });
+
+    const props = squadProps();
+    renderConfigurationScreen(props);
+
+    await waitFor(() => {
+      expect(getGoalieHistory).toHaveBeenCalled();
+    });
+
+    expect(screen.queryByRole('button', { name: 'Suggest goalies' })).not.toBeInTheDocument();
+    expect(props.setPeriodGoalieIds).not.toHaveBeenCalledWith(expect.any(Function));
+  });
+});
+
 describe('ConfigurationScreen formation visibility', () => {
   beforeEach(() => {
     mockUseAuth.mockImplementation(() => ({
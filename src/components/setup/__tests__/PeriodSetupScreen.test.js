@@ -16,6 +16,8 @@ import { render, screen, fireEvent, waitFor, within, act } from '@testing-librar
 import { PeriodSetupScreen } from '../PeriodSetupScreen';
 import { TEAM_CONFIGS } from '../../../game/testUtils';
 import { FORMATS, FORMATIONS } from '../../../constants/teamConfiguration';
+import { calculatePlayerSentOff } from '../../../game/logic/gameStateLogic';
+import { generateIndividualFormationRecommendation } from '../../../utils/formationGenerator';
 import {
   createMockPlayers,
   createMockFormation,
@@ -28,7 +30,9 @@ jest.mock('lucide-react', () => ({
   Play: ({ className, ...props }) => <div data-testid="play-icon" className={className} {...props} />,
   ArrowLeft: ({ className, ...props }) => <div data-testid="arrow-left-icon" className={className} {...props} />,
   Shuffle: ({ className, ...props }) => <div data-testid="shuffle-icon" className={className} {...props} />,
-  Save: ({ className, ...props }) => <div data-testid="save-icon" className={className} {...props} />
+  Save: ({ className, ...props }) => <div data-testid="save-icon" className={className} {...props} />,
+  CalendarClock: ({ className, ...props }) => <div data-testid="calendar-clock-icon" className={className} {...props} />,
+  Printer: ({ className, ...props }) => <div data-testid="printer-icon" className={className} {...props} />
 }));
 
 // Mock UI components
@@ -76,7 +80,8 @@ jest.mock('../../shared/UI', () => ({
 
 // Mock utility functions
 jest.mock('../../../utils/formatUtils', () => ({
-  getPlayerLabel: jest.fn((player, periodNumber) => `${player.displayName} (P${periodNumber})`)
+  getPlayerLabel: jest.fn((player, periodNumber) => `${player.displayName} (P${periodNumber})`),
+  formatTime: jest.fn((seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`)
 }));
 
 jest.mock('../../../utils/debugUtils', () => ({
@@ -677,6 +682,65 @@ describe('PeriodSetupScreen', () => {
 
       expect(mockProps.handleStartGame).toHaveBeenCalled();
     });
+
+    it('keeps the slot of a player sent off in period 1 empty in period 2 setup', () => {
+      const period1Formation = {
+        goalie: '7',
+        leftDefender: '1',
+        rightDefender: '2',
+        leftAttacker: '3',
+        rightAttacker: '4',
+        substitute_1: '5',
+        substitute_2: '6'
+      };
+
+      // Red card for the left attacker in period 1
+      const afterRedCard = calculatePlayerSentOff({
+        allPlayers: mockPlayers,
+        formation: period1Formation,
+        rotationQueue: mockProps.rotationQueue,
+        nextPlayerIdToSubOut: '1',
+        teamConfig: TEAM_CONFIGS.INDIVIDUAL_7,
+        selectedFormation: '2-2',
+        isSubTimerPaused: true
+      }, '3');
+
+      // Period 2 setup starts from the recommendation built from the period 1 log
+      const { formation: period2Formation } = generateIndividualFormationRecommendation(
+        '7',
+        afterRedCard.allPlayers,
+        afterRedCard.allPlayers,
+        TEAM_CONFIGS.INDIVIDUAL_7,
+        '2-2',
+        afterRedCard.formation
+      );
+      expect(period2Formation.leftAttacker).toBeNull();
+
+      const props = {
+        ...mockProps,
+        currentPeriodNumber: 2,
+        formation: period2Formation,
+        allPlayers: afterRedCard.allPlayers,
+        selectedSquadPlayers: afterRedCard.allPlayers,
+        availableForAssignment: afterRedCard.allPlayers.filter(player => player.id !== '7'),
+        periodGoalieIds: { 1: '7', 2: '7' }
+      };
+      const { rerender } = render(<PeriodSetupScreen {...props} />);
+
+      expect(screen.getByText('Enter Game')).not.toBeDisabled();
+      expect(screen.queryByRole('option', { name: 'Player 3 (P2)' })).not.toBeInTheDocument();
+
+      // Filling the sent-off slot from the bench would put the team back to full strength
+      const benchPosition = ['substitute_1', 'substitute_2'].find(position => period2Formation[position]);
+      rerender(
+        <PeriodSetupScreen
+          {...props}
+          formation={{ ...period2Formation, leftAttacker: period2Formation[benchPosition], [benchPosition]: null }}
+        />
+      );
+
+      expect(screen.getByText('Enter Game')).toBeDisabled();
+    });
   });
 
   describe('Edge Cases and Error Handling', () => {
@@ -911,4 +975,85 @@ describe('PeriodSetupScreen', () => {
       expect(screen.getAllByTestId('select')).toHaveLength(7);
     });
   });
+
+  describe('Rotation Plan', () => {
+    const planProps = () => ({
+      ...mockProps,
+      periodGoalieIds: { 1: '7', 2: '6' },
+      periodDurationMinutes: 10,
+      alertMinutes: 2,
+      setRotationPlan: jest.fn()
+    });
+
+    it('does not render the rotation plan card without a plan setter', () => {
+      render(<PeriodSetupScreen {...mockProps} />);
+
+      expect(screen.queryByTestId('rotation-plan')).not.toBeInTheDocument();
+    });
+
+    it('generates a plan for all periods', () => {
+      const props = planProps();
+      render(<PeriodSetupScreen {...props} />);
+
+      fireEvent.click(screen.getByText('Generate Plan'));
+
+      expect(props.setRotationPlan).toHaveBeenCalledTimes(1);
+      const plan = props.setRotationPlan.mock.calls[0][0];
+      expect(plan.periods.map(period => period.goalieId)).toEqual(['7', '6']);
+    });
+
+    it('disables generation until every period has a goalie', () => {
+      render(<PeriodSetupScreen {...planProps()} periodGoalieIds={{ 1: '7' }} />);
+
+      expect(screen.getByText('Generate Plan')).toBeDisabled();
+    });
+
+    it('shows the plan and applies the planned lineup', () => {
+      const { generateRotationPlan } = require('../../../game/logic/rotationPlan');
+      const props = planProps();
+      const plan = generateRotationPlan({
+        teamConfig: props.teamConfig,
+        selectedFormation: props.selectedFormation,
+        squadIds: props.selectedSquadPlayers.map(player => player.id),
+        periodGoalieIds: props.periodGoalieIds,
+        numPeriods: props.numPeriods,
+        periodDurationMinutes: props.periodDurationMinutes,
+        alertMinutes: props.alertMinutes
+      });
+
+      render(<PeriodSetupScreen {...props} rotationPlan={plan} />);
+
+      expect(screen.getByTestId('rotation-plan-periods')).toBeInTheDocument();
+      expect(screen.queryByText('Settings changed since the plan was made')).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByText('Use Planned Lineup'));
+
+      const updater = props.setFormation.mock.calls[props.setFormation.mock.calls.length - 1][0];
+      const updated = updater(props.formation);
+      expect(updated.goalie).toBe('7');
+      Object.entries(plan.periods[0].startingLineup).forEach(([position, playerId]) => {
+        expect(updated[position]).toBe(playerId);
+      });
+      expect(updated.substitute_1).toBe(plan.periods[0].substitutions[0].playersOn[0]);
+    });
+
+    it('marks the plan as outdated when the settings change', () => {
+      const { generateRotationPlan } = require('../../../game/logic/rotationPlan');
+      const props = planProps();
+      const plan = generateRotationPlan({
+        teamConfig: props.teamConfig,
+        selectedFormation: props.selectedFormation,
+        squadIds: props.selectedSquadPlayers.map(player => player.id),
+        periodGoalieIds: props.periodGoalieIds,
+        numPeriods: props.numPeriods,
+        periodDurationMinutes: props.periodDurationMinutes,
+        alertMinutes: 3
+      });
+
+      render(<PeriodSetupScreen {...props} rotationPlan={plan} />);
+
+      expect(screen.getByText('Settings changed since the plan was made')).toBeInTheDocument();
+      expect(screen.queryByText('Use Planned Lineup')).not.toBeInTheDocument();
+    });
+  });
 });
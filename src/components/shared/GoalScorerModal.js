@@ -24,7 +24,9 @@ const GoalScorerModal = ({
   currentScorerId = null,   // Direct currentScorerId prop (new approach)
   existingGoalData = null,  // Keep for backward compatibility
   matchTime = '00:00',
-  goalType = 'scored'
+  goalType = 'scored',
+  allowAssistSelection = false,
+  currentAssistId = null
 }) => {
   const { t } = useTranslation(['modals', 'common', 'shared']);
 
@@ -34,13 +36,18 @@ const GoalScorerModal = ({
     mode === 'new' ? null : (currentScorerId ?? existingGoalData?.scorerId ?? null)
   );
 
+  const [selectedAssistId, setSelectedAssistId] = useState(
+    mode === 'new' ? null : (currentAssistId ?? existingGoalData?.assistId ?? null)
+  );
+
   // Reset selection when modal opens or when props change
   useEffect(() => {
     if (isOpen) {
       const newSelection = mode === 'new' ? null : (currentScorerId ?? existingGoalData?.scorerId ?? null);
       setSelectedPlayerId(newSelection);
+      setSelectedAssistId(mode === 'new' ? null : (currentAssistId ?? existingGoalData?.assistId ?? null));
     }
-  }, [isOpen, currentScorerId, existingGoalData, mode]);
+  }, [isOpen, currentScorerId, currentAssistId, existingGoalData, mode]);
   // Note: eligiblePlayers is intentionally excluded to prevent selection reset when player list updates
 
   // Get position icon for a player
@@ -118,8 +125,14 @@ const GoalScorerModal = ({
 
   const handlePlayerSelect = (playerId) => {
     setSelectedPlayerId(playerId);
+    // A player cannot assist their own goal, and an assist needs a scorer
+    if (!playerId || playerId === selectedAssistId) {
+      setSelectedAssistId(null);
+    }
   };
 
+  const recordedAssistId = currentAssistId ?? existingGoalData?.assistId ?? null;
+
   const handlePrimaryAction = () => {
     if (mode === 'view') {
       onClose();
@@ -127,7 +140,12 @@ const GoalScorerModal = ({
     }
 
     if (mode === 'new') {
-      onSelectScorer(selectedPlayerId); // Can be null ("No specific scorer") or player ID
+      // Can be null ("No specific scorer") or player ID
+      if (allowAssistSelection) {
+        onSelectScorer(selectedPlayerId, selectedAssistId);
+      } else {
+        onSelectScorer(selectedPlayerId);
+      }
     } else if (mode === 'correct') {
       // Use direct eventId prop first, fall back to existingGoalData for backward compatibility
       const actualEventId = eventId || existingGoalData?.eventId;
@@ -135,7 +153,11 @@ const GoalScorerModal = ({
         console.error('No eventId provided for goal correction');
         return;
       }
-      onCorrectGoal(actualEventId, selectedPlayerId);
+      if (allowAssistSelection) {
+        onCorrectGoal(actualEventId, selectedPlayerId, selectedAssistId);
+      } else {
+        onCorrectGoal(actualEventId, selectedPlayerId);
+      }
     }
 
     onClose();
@@ -168,6 +190,11 @@ const GoalScorerModal = ({
                   : t('modals:goalScorer.noScorerRecorded')
                 }
               </p>
+              {allowAssistSelection && recordedAssistId && (
+                <p className="text-sm text-slate-300 mt-1">
+                  {t('modals:goalScorer.assist')}: {getPlayerName(eligiblePlayers, recordedAssistId)}
+                </p>
+              )}
             </Card>
           )}
 
@@ -223,6 +250,55 @@ const GoalScorerModal = ({
                   </div>
                 </button>
               )}
+
+              {/* Optional assist selection once a scorer is chosen */}
+              {allowAssistSelection && selectedPlayerId && (
+                <div data-testid="assist-selection">
+                  <h3 className="text-sm font-medium text-slate-100 mt-4 mb-3">
+                    {t('modals:goalScorer.selectAssist')}
+                  </h3>
+
+                  <div className="space-y-2 max-h-48 overflow-y-auto">
+                    {eligiblePlayers
+                      .filter(player => player.id !== selectedPlayerId)
+                      .map((player) => (
+                        <button
+                          key={player.id}
+                          onClick={() => setSelectedAssistId(player.id)}
+                          aria-label={t('modals:goalScorer.assistBy', { name: getPlayerName([player], player.id) })}
+                          className={`w-full text-left p-2 rounded-lg border transition-colors focus:outline-none focus:ring-2 focus:ring-emerald-400 focus:ring-offset-2 focus:ring-offset-slate-800 ${
+                            selectedAssistId === player.id
+                              ? 'bg-emerald-500 bg-opacity-20 border-emerald-400 text-slate-100'
+                              : 'bg-slate-700 border-slate-600 text-slate-100 hover:bg-slate-600 hover:border-slate-500'
+                          }`}
+                        >
+                          <div className="flex items-center space-x-3">
+                            <div className={`w-3 h-3 rounded-full ${
+                              selectedAssistId === player.id ? 'bg-emerald-400' : 'bg-slate-500'
+                            }`} />
+                            <span className="font-medium">{getPlayerName([player], player.id)}</span>
+                          </div>
+                        </button>
+                      ))}
+                  </div>
+
+                  <button
+                    onClick={() => setSelectedAssistId(null)}
+                    className={`w-full text-left p-2 rounded-lg border transition-colors mt-2 focus:outline-none focus:ring-2 focus:ring-emerald-400 focus:ring-offset-2 focus:ring-offset-slate-800 ${
+                      selectedAssistId === null
+                        ? 'bg-slate-500 bg-opacity-30 border-slate-500 text-slate-100'
+                        : 'bg-slate-700 border-slate-600 text-slate-300 hover:bg-slate-600 hover:border-slate-500'
+                    }`}
+                  >
+                    <div className="flex items-center space-x-3">
+                      <div className={`w-3 h-3 rounded-full ${
+                        selectedAssistId === null ? 'bg-slate-400' : 'bg-slate-500'
+                      }`} />
+                      <span className="italic">{t('modals:goalScorer.noAssist')}</span>
+                    </div>
+                  </button>
+                </div>
+              )}
             </>
           )}
 
@@ -241,6 +317,11 @@ const GoalScorerModal = ({
                       : t('modals:goalScorer.noScorerRecorded')
                     }
                   </span></div>
+                  {allowAssistSelection && recordedAssistId && (
+                    <div>{t('modals:goalScorer.assist')}: <span className="font-medium text-slate-100">
+                      {getPlayerName(eligiblePlayers, recordedAssistId)}
+                    </span></div>
+                  )}
                 </div>
               </div>
 
@@ -288,6 +369,8 @@ GoalScorerModal.propTypes = {
   existingGoalData: PropTypes.object,
   matchTime: PropTypes.string,
   goalType: PropTypes.oneOf(['scored', 'conceded']),
+  allowAssistSelection: PropTypes.bool,
+  currentAssistId: PropTypes.string,
 };
 
 export default GoalScorerModal;
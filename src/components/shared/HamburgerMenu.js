@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import PropTypes from 'prop-types';
-import { Users, UserPen, Dice5, Settings, Share2, Calendar } from 'lucide-react';
+import { Users, UserPen, Dice5, Settings, Share2, Calendar, CalendarDays, Shield, Heart } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 import { useAuth } from '../../contexts/AuthContext';
 import { useTeam } from '../../contexts/TeamContext';
@@ -8,13 +8,18 @@ import { VIEWS } from '../../constants/viewConstants';
 import { NotificationModal } from './UI';
 import { Avatar } from './Avatar';
 import { copyLiveMatchUrlToClipboard } from '../../utils/liveMatchLinkUtils';
+import { useSyncOutbox } from '../../hooks/useSyncOutbox';
+import { SyncStatusSection } from './SyncStatusSection';
 
 export function HamburgerMenu({ onRestartMatch, onAddPlayer, onNavigateToTacticalBoard, currentView, teamConfig, allPlayers, selectedSquadIds, onNavigateTo, authModal, onOpenTeamAdminModal, onOpenPreferencesModal, onSignOut, currentMatchId, matchState }) {
   const { t } = useTranslation(['navigation', 'shared']);
   const [isOpen, setIsOpen] = useState(false);
   const [notification, setNotification] = useState({ isOpen: false, title: '', message: '' });
   const { isAuthenticated, user, userProfile } = useAuth();
-  const { hasTeams, canManageTeam, hasPendingRequests, pendingRequestsCount, canViewStatistics } = useTeam();
+  const { hasTeams, canManageTeam, hasPendingRequests, pendingRequestsCount, canViewStatistics, isParent, isPlayer } = useTeam();
+  const syncStatus = useSyncOutbox();
+  const hasUnsyncedChanges = syncStatus.entries.length > 0 || syncStatus.failedEntries.length > 0;
+  const showSyncStatus = isAuthenticated && (hasUnsyncedChanges || !syncStatus.isOnline);
 
   const toggleMenu = () => {
     setIsOpen(!isOpen);
@@ -75,6 +80,27 @@ export function HamburgerMenu({ onRestartMatch, onAddPlayer, onNavigateToTactica
     }
   };
 
+  const handleTeamCalendar = () => {
+    setIsOpen(false);
+    if (onNavigateTo) {
+      onNavigateTo(VIEWS.TEAM_CALENDAR);
+    }
+  };
+
+  const handleParentHome = () => {
+    setIsOpen(false);
+    if (onNavigateTo && (isParent || isPlayer)) {
+      onNavigateTo(VIEWS.PARENT_HOME);
+    }
+  };
+
+  const handleGoaliePlanner = () => {
+    setIsOpen(false);
+    if (onNavigateTo) {
+      onNavigateTo(VIEWS.GOALIE_PLANNER);
+    }
+  };
+
   const handleMatchHistory = () => {
     setIsOpen(false);
     if (onNavigateTo && canViewStatistics) {
@@ -172,6 +198,12 @@ export function HamburgerMenu({ onRestartMatch, onAddPlayer, onNavigateToTactica
             </span>
           </div>
         )}
+        {showSyncStatus && (
+          <div
+            className={`absolute -bottom-0.5 -right-0.5 w-3 h-3 rounded-full border-2 border-slate-900 ${hasUnsyncedChanges ? 'bg-amber-400' : 'bg-slate-400'}`}
+            data-testid="sync-status-badge"
+          />
+        )}
       </button>
 
       {isOpen && (
@@ -202,6 +234,19 @@ export function HamburgerMenu({ onRestartMatch, onAddPlayer, onNavigateToTactica
                     </div>
                   </div>
 
+                  {/* Sync Status - match writes waiting for a connection */}
+                  {showSyncStatus && (
+                    <SyncStatusSection
+                      entries={syncStatus.entries}
+                      failedEntries={syncStatus.failedEntries}
+                      isOnline={syncStatus.isOnline}
+                      isSyncing={syncStatus.isSyncing}
+                      onSyncNow={syncStatus.syncNow}
+                      onRetry={syncStatus.retry}
+                      onDiscard={syncStatus.discard}
+                    />
+                  )}
+
                   {/* Profile Button */}
                   <button
                     onClick={handleProfile}
@@ -256,6 +301,19 @@ export function HamburgerMenu({ onRestartMatch, onAddPlayer, onNavigateToTactica
                     </button>
                   )}
 
+                  {/* My Children / My Matches - Parents and players */}
+                  {(isParent || isPlayer) && (
+                    <button
+                      onClick={handleParentHome}
+                      className="block w-full text-left px-4 py-2 text-sm text-slate-100 hover:bg-slate-600 hover:text-sky-400 transition-colors duration-200"
+                    >
+                      <div className="flex items-center space-x-2">
+                        <Heart className="w-4 h-4" />
+                        <span>{isParent ? t('menu.parentHome') : t('menu.playerHome')}</span>
+                      </div>
+                    </button>
+                  )}
+
                   {/* Team Matches - Protected Feature */}
                   {hasTeams && (
                     <button
@@ -269,6 +327,32 @@ export function HamburgerMenu({ onRestartMatch, onAddPlayer, onNavigateToTactica
                     </button>
                   )}
 
+                  {/* Team Calendar - Protected Feature */}
+                  {hasTeams && (
+                    <button
+                      onClick={handleTeamCalendar}
+                      className="block w-full text-left px-4 py-2 text-sm text-slate-100 hover:bg-slate-600 hover:text-sky-400 transition-colors duration-200"
+                    >
+                      <div className="flex items-center space-x-2">
+                        <CalendarDays className="w-4 h-4" />
+                        <span>{t('menu.teamCalendar')}</span>
+                      </div>
+                    </button>
+                  )}
+
+                  {/* Goalie Planner - Protected Feature */}
+                  {hasTeams && (
+                    <button
+                      onClick={handleGoaliePlanner}
+                      className="block w-full text-left px-4 py-2 text-sm text-slate-100 hover:bg-slate-600 hover:text-sky-400 transition-colors duration-200"
+                    >
+                      <div className="flex items-center space-x-2">
+                        <Shield className="w-4 h-4" />
+                        <span>{t('menu.goaliePlanner')}</span>
+                      </div>
+                    </button>
+                  )}
+
                   {/* Statistics - Protected Feature */}
                   {canViewStatistics && (
                     <button
@@ -2,7 +2,7 @@
  * Preferences Modal Component
  *
  * Provides UI for managing user preferences including audio alert settings.
- * Features sound selection, volume control, and preview functionality.
+ * Features sound selection, volume control, preview functionality and spoken announcements.
  * All changes are auto-saved immediately to the preferences context.
  */
 
@@ -14,6 +14,7 @@ import { ModalShell } from './ModalShell';
 import { usePreferences } from '../../contexts/PreferencesContext';
 import { AUDIO_ALERT_OPTIONS, LANGUAGE_OPTIONS, THEME_OPTIONS } from '../../constants/audioAlerts';
 import { audioAlertService } from '../../services/audioAlertService';
+import { speechAnnouncementService } from '../../services/speechAnnouncementService';
 import { Select, Slider } from './UI';
 
 export function PreferencesModal({ isOpen, onClose }) {
@@ -168,6 +169,8 @@ export function PreferencesModal({ isOpen, onClose }) {
     label: option.label
   }));
 
+  const speechSupported = speechAnnouncementService.isSupported();
+
   return (
     <ModalShell
       title={t('preferences.title')}
@@ -271,6 +274,28 @@ export function PreferencesModal({ isOpen, onClose }) {
                   <span>100%</span>
                 </div>
               </div>
+
+              {/* Spoken Announcements Toggle */}
+              <div className="flex items-center justify-between">
+                <div>
+                  <label className="text-sm font-medium text-slate-100">{t('preferences.spokenAnnouncements')}</label>
+                  <p className="text-xs text-slate-400 mt-1">
+                    {speechSupported ? t('preferences.spokenAnnouncementsDescription') : t('preferences.spokenAnnouncementsUnsupported')}
+                  </p>
+                </div>
+                <button
+                  onClick={() => handleAudioChange({ spokenAnnouncements: !preferences.audio.spokenAnnouncements })}
+                  disabled={!preferences.audio.enabled || !speechSupported}
+                  className={`relative inline-flex flex-shrink-0 items-center h-6 rounded-full w-11 transition-colors focus:outline-none focus:ring-2 focus:ring-sky-400 focus:ring-offset-2 focus:ring-offset-slate-800 disabled:cursor-not-allowed ${
+                    preferences.audio.spokenAnnouncements ? 'bg-sky-600' : 'bg-slate-600'
+                  }`}
+                  aria-label={preferences.audio.spokenAnnouncements ? t('preferences.disableSpokenLabel') : t('preferences.enableSpokenLabel')}
+                >
+                  <span className={`inline-block w-4 h-4 transform bg-white rounded-full transition-transform ${
+                    preferences.audio.spokenAnnouncements ? 'translate-x-6' : 'translate-x-1'
+                  }`} />
+                </button>
+              </div>
             </div>
 
             {/* Additional Info */}
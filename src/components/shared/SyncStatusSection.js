@@ -0,0 +1,161 @@
+import React, { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { CloudOff, RefreshCw, UploadCloud } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { OUTBOX_OPERATIONS } from '../../services/syncOutbox';
+
+// Match events are many and alike, so consecutive ones are shown as one row
+const groupEntries = (entries) => entries.reduce((rows, entry) => {
+  const previous = rows[rows.length - 1];
+  if (entry.type === OUTBOX_OPERATIONS.MATCH_EVENT && previous?.type === OUTBOX_OPERATIONS.MATCH_EVENT && !previous.entry.lastError) {
+    previous.count += 1;
+    return rows;
+  }
+  rows.push({ key: entry.id, type: entry.type, entry, count: 1 });
+  return rows;
+}, []);
+
+// Failed writes are retried or discarded one at a time, so they are never grouped
+const toFailedRows = (entries) => entries.map(entry => ({ key: entry.id, type: entry.type, entry, count: 1 }));
+
+/**
+ * Sync status shown in the menu: connection state, the match writes that
+ * have not been uploaded yet and the ones the server rejected
+ */
+export function SyncStatusSection({
+  entries,
+  failedEntries = [],
+  isOnline,
+  isSyncing,
+  onSyncNow,
+  onRetry,
+  onDiscard
+}) {
+  const { t } = useTranslation('navigation');
+  const { t: tCommon } = useTranslation('common');
+  const rows = useMemo(() => groupEntries(entries), [entries]);
+  const failedRows = useMemo(() => toFailedRows(failedEntries), [failedEntries]);
+
+  const getRowLabel = (row) => {
+    if (row.type === OUTBOX_OPERATIONS.MATCH_EVENT) {
+      return t('syncStatus.operations.match_event', { count: row.count });
+    }
+    if (row.type === OUTBOX_OPERATIONS.CREATE_MATCH && row.entry.label) {
+      return t('syncStatus.operations.create_match_vs', { opponent: row.entry.label });
+    }
+    return t(`syncStatus.operations.${row.type}`, { defaultValue: row.type });
+  };
+
+  const renderError = (entry) => (
+    <p className="text-rose-300 truncate">
+      {t('syncStatus.failed', { error: tCommon(entry.lastError, { defaultValue: entry.lastError }) })}
+    </p>
+  );
+
+  return (
+    <div className="px-4 py-3 border-b border-slate-600" data-testid="sync-status">
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center space-x-2 text-sm">
+          {isOnline ? (
+            <UploadCloud className="w-4 h-4 text-amber-300" />
+          ) : (
+            <CloudOff className="w-4 h-4 text-slate-400" />
+          )}
+          <span className="text-slate-100">
+            {isOnline ? t('syncStatus.title') : t('syncStatus.offline')}
+          </span>
+        </div>
+        {isOnline && entries.length > 0 && (
+          <button
+            type="button"
+            onClick={onSyncNow}
+            disabled={isSyncing}
+            className="flex items-center space-x-1 text-xs text-sky-400 hover:text-sky-300 disabled:text-slate-500"
+          >
+            <RefreshCw className={`w-3 h-3 ${isSyncing ? 'animate-spin' : ''}`} />
+            <span>{isSyncing ? t('syncStatus.syncing') : t('syncStatus.syncNow')}</span>
+          </button>
+        )}
+      </div>
+
+      {(entries.length > 0 || !isOnline || failedRows.length === 0) && (
+        <p className="mt-1 text-xs text-slate-400">
+          {entries.length > 0
+            ? t('syncStatus.waiting', { count: entries.length })
+            : t('syncStatus.offlineHint')}
+        </p>
+      )}
+
+      {rows.length > 0 && (
+        <ul className="mt-2 space-y-1">
+          {rows.map(row => (
+            <li key={row.key} className="text-xs text-slate-300" data-testid="sync-status-item">
+              <div className="flex items-center justify-between gap-2">
+                <span className="truncate">{getRowLabel(row)}</span>
+                {row.entry.lastError && onDiscard && (
+                  <button
+                    type="button"
+                    onClick={() => onDiscard(row.entry.id)}
+                    className="text-rose-300 hover:text-rose-200 shrink-0"
+                  >
+                    {t('syncStatus.discard')}
+                  </button>
+                )}
+              </div>
+              {row.entry.lastError && renderError(row.entry)}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {failedRows.length > 0 && (
+        <>
+          <p className="mt-2 text-xs text-rose-300">
+            {t('syncStatus.rejected', { count: failedRows.length })}
+          </p>
+          <ul className="mt-1 space-y-1">
+            {failedRows.map(row => (
+              <li key={row.key} className="text-xs text-slate-300" data-testid="sync-status-failed-item">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="truncate">{getRowLabel(row)}</span>
+                  <span className="flex items-center gap-2 shrink-0">
+                    {isOnline && onRetry && (
+                      <button
+                        type="button"
+                        onClick={() => onRetry(row.entry.id)}
+                        disabled={isSyncing}
+                        className="text-sky-400 hover:text-sky-300 disabled:text-slate-500"
+                      >
+                        {t('syncStatus.retry')}
+                      </button>
+                    )}
+                    {onDiscard && (
+                      <button
+                        type="button"
+                        onClick={() => onDiscard(row.entry.id)}
+                        className="text-rose-300 hover:text-rose-200"
+                      >
+                        {t('syncStatus.discard')}
+                      </button>
+                    )}
+                  </span>
+                </div>
+                {row.entry.lastError && renderError(row.entry)}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+SyncStatusSection.propTypes = {
+  entries: PropTypes.array.isRequired,
+  failedEntries: PropTypes.array,
+  isOnline: PropTypes.bool.isRequired,
+  isSyncing: PropTypes.bool,
+  onSyncNow: PropTypes.func,
+  onRetry: PropTypes.func,
+  onDiscard: PropTypes.func,
+};
@@ -445,6 +445,10 @@ export function FieldPlayerModal({
   onSetNext,
   onRemoveFromNext,
   onSubNow,
+  onInjure,
+  onYellowCard,
+  onSinBin,
+  onRedCard,
   onCancel,
   onChangePosition,
   playerName,
@@ -453,6 +457,8 @@ export function FieldPlayerModal({
   showPositionOptions = false,
   showSubstitutionOptions = true,
   canSubstitute = true,
+  canInjure = false,
+  isSinBinned = false,
   isPlayerAboutToSubOff = false
 }) {
   const { t } = useTranslation(['modals', 'game']);
@@ -494,7 +500,7 @@ export function FieldPlayerModal({
             <Button onClick={onCancel} variant="secondary">
               {t('fieldPlayer.cancel')}
             </Button>
-            {showSubstitutionOptions && (
+            {showSubstitutionOptions && !isSinBinned && (
               <>
                 {isPlayerAboutToSubOff ? (
                   <Button
@@ -523,8 +529,41 @@ export function FieldPlayerModal({
                 >
                   {t('fieldPlayer.substituteNow')}
                 </Button>
+                {onInjure && (
+                  <Button
+                    onClick={onInjure}
+                    variant="danger"
+                    disabled={!canInjure}
+                    title={canInjure ? t('fieldPlayer.injured') : t('fieldPlayer.tooltipCannotInjure')}
+                  >
+                    {t('fieldPlayer.injured')}
+                  </Button>
+                )}
               </>
             )}
+            {onYellowCard && (
+              <div className="grid grid-cols-3 gap-2">
+                <Button onClick={onYellowCard} variant="accent" title={t('fieldPlayer.yellowCard')}>
+                  {t('fieldPlayer.yellowCard')}
+                </Button>
+                <Button
+                  onClick={onSinBin}
+                  variant="secondary"
+                  disabled={!onSinBin || isSinBinned}
+                  title={isSinBinned ? t('fieldPlayer.tooltipAlreadySinBinned') : t('fieldPlayer.sinBin')}
+                >
+                  {t('fieldPlayer.sinBin')}
+                </Button>
+                <Button
+                  onClick={onRedCard}
+                  variant="danger"
+                  disabled={!onRedCard}
+                  title={t('fieldPlayer.redCard')}
+                >
+                  {t('fieldPlayer.redCard')}
+                </Button>
+              </div>
+            )}
             {showPositionChange && (
               <Button onClick={() => onChangePosition && onChangePosition('show-options')} variant="accent">
                 {t('fieldPlayer.changePosition')}
@@ -542,6 +581,10 @@ FieldPlayerModal.propTypes = {
   onSetNext: PropTypes.func.isRequired,
   onRemoveFromNext: PropTypes.func.isRequired,
   onSubNow: PropTypes.func.isRequired,
+  onInjure: PropTypes.func,
+  onYellowCard: PropTypes.func,
+  onSinBin: PropTypes.func,
+  onRedCard: PropTypes.func,
   onCancel: PropTypes.func.isRequired,
   onChangePosition: PropTypes.func.isRequired,
   playerName: PropTypes.string.isRequired,
@@ -550,6 +593,8 @@ FieldPlayerModal.propTypes = {
   showPositionOptions: PropTypes.bool,
   showSubstitutionOptions: PropTypes.bool,
   canSubstitute: PropTypes.bool,
+  canInjure: PropTypes.bool,
+  isSinBinned: PropTypes.bool,
   isPlayerAboutToSubOff: PropTypes.bool,
 };
 
@@ -557,11 +602,13 @@ export function SubstitutePlayerModal({
   isOpen,
   onInactivate,
   onActivate,
+  onReturnFromInjury,
   onCancel,
   onSetAsNextToGoIn,
   onChangeNextPosition,
   playerName,
   isCurrentlyInactive,
+  isCurrentlyInjured = false,
   canSetAsNextToGoIn = false,
   canChangeNextPosition = false,
   availableNextPositions = [],
@@ -616,7 +663,11 @@ export function SubstitutePlayerModal({
                 {t('substitute.setToGoInNext')}
               </Button>
             )}
-            {isCurrentlyInactive ? (
+            {isCurrentlyInjured && onReturnFromInjury ? (
+              <Button onClick={onReturnFromInjury} variant="primary">
+                {t('substitute.returnFromInjury', { playerName })}
+              </Button>
+            ) : isCurrentlyInactive ? (
               <Button onClick={onActivate} variant="primary">
                 {t('substitute.putBackInRotation', { playerName })}
               </Button>
@@ -636,11 +687,13 @@ SubstitutePlayerModal.propTypes = {
   isOpen: PropTypes.bool.isRequired,
   onInactivate: PropTypes.func.isRequired,
   onActivate: PropTypes.func.isRequired,
+  onReturnFromInjury: PropTypes.func,
   onCancel: PropTypes.func.isRequired,
   onSetAsNextToGoIn: PropTypes.func.isRequired,
   onChangeNextPosition: PropTypes.func.isRequired,
   playerName: PropTypes.string.isRequired,
   isCurrentlyInactive: PropTypes.bool.isRequired,
+  isCurrentlyInjured: PropTypes.bool,
   canSetAsNextToGoIn: PropTypes.bool,
   canChangeNextPosition: PropTypes.bool,
   availableNextPositions: PropTypes.array,
@@ -4,7 +4,7 @@
  */
 
 import React from 'react';
-import { render, screen, fireEvent } from '@testing-library/react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
 import GoalScorerModal from '../GoalScorerModal';
 
 // Mock the playerUtils functions
@@ -297,4 +297,67 @@ describe('GoalScorerModal', () => {
       });
     });
   });
+
+  describe('Assist Selection', () => {
+    it('should not show the assist picker unless enabled', () => {
+      render(<GoalScorerModal {...defaultProps} />);
+      fireEvent.click(screen.getByRole('button', { name: 'Player 1' }));
+
+      expect(screen.queryByTestId('assist-selection')).not.toBeInTheDocument();
+    });
+
+    it('should offer assists from other players once a scorer is chosen', () => {
+      render(<GoalScorerModal {...defaultProps} allowAssistSelection />);
+      expect(screen.queryByTestId('assist-selection')).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Player 1' }));
+
+      const assistSelection = screen.getByTestId('assist-selection');
+      expect(within(assistSelection).queryByLabelText('Assist by Player 1')).not.toBeInTheDocument();
+      expect(within(assistSelection).getByLabelText('Assist by Player 2')).toBeInTheDocument();
+      expect(within(assistSelection).getByText('No assist')).toBeInTheDocument();
+    });
+
+    it('should pass the selected assist when confirming a new goal', () => {
+      render(<GoalScorerModal {...defaultProps} allowAssistSelection />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Player 1' }));
+      fireEvent.click(screen.getByLabelText('Assist by Player 3'));
+      fireEvent.click(screen.getByText('Confirm Scorer'));
+
+      expect(defaultProps.onSelectScorer).toHaveBeenCalledWith('1', '3');
+    });
+
+    it('should clear the assist when the assisting player becomes the scorer', () => {
+      render(<GoalScorerModal {...defaultProps} allowAssistSelection />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Player 1' }));
+      fireEvent.click(screen.getByLabelText('Assist by Player 2'));
+      fireEvent.click(screen.getByRole('button', { name: 'Player 2' }));
+      fireEvent.click(screen.getByText('Confirm Scorer'));
+
+      expect(defaultProps.onSelectScorer).toHaveBeenCalledWith('2', null);
+    });
+
+    it('should preselect and correct the recorded assist', () => {
+      render(
+        <GoalScorerModal
+          {...defaultProps}
+          mode="correct"
+          eventId="goal-123"
+          currentScorerId="1"
+          currentAssistId="2"
+          allowAssistSelection
+        />
+      );
+
+      expect(screen.getByText('Assist: Player 2')).toBeInTheDocument();
+      expect(screen.getByLabelText('Assist by Player 2')).toHaveClass('bg-emerald-500');
+
+      fireEvent.click(screen.getByRole('button', { name: 'No assist' }));
+      fireEvent.click(screen.getByText('Update Scorer'));
+
+      expect(defaultProps.onCorrectGoal).toHaveBeenCalledWith('goal-123', '1', null);
+    });
+  });
 });
@@ -115,6 +115,30 @@ describe('PreferencesModal', () => {
       expect(slider).toHaveAttribute('step', '0.05');
     });
 
+    test('should disable spoken announcements when the browser has no speech synthesis', () => {
+      render(<ModalTestHarness />);
+
+      expect(screen.getByText('Spoken announcements are not supported by this browser')).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'Enable spoken announcements' })).toBeDisabled();
+    });
+
+    test('should toggle spoken announcements when speech synthesis is available', () => {
+      window.speechSynthesis = { speak: jest.fn(), cancel: jest.fn(), getVoices: jest.fn(() => []) };
+      window.SpeechSynthesisUtterance = jest.fn();
+
+      try {
+        render(<ModalTestHarness />);
+
+        expect(screen.getByText('Spoken Announcements')).toBeInTheDocument();
+        fireEvent.click(screen.getByRole('button', { name: 'Enable spoken announcements' }));
+
+        expect(screen.getByRole('button', { name: 'Disable spoken announcements' })).toBeInTheDocument();
+      } finally {
+        delete window.speechSynthesis;
+        delete window.SpeechSynthesisUtterance;
+      }
+    });
+
     test('should have preview button for testing sound', () => {
       render(<ModalTestHarness />);
 
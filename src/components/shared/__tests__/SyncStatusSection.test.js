@@ -0,0 +1,121 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { SyncStatusSection } from '../SyncStatusSection';
+import { OUTBOX_OPERATIONS } from '../../../services/syncOutbox';
+
+const entry = (id, type, overrides = {}) => ({
+  id,
+  type,
+  matchId: 'match-1',
+  label: null,
+  payload: {},
+  createdAt: 0,
+  attempts: 0,
+  lastError: null,
+  ...overrides
+});
+
+describe('SyncStatusSection', () => {
+  it('lists writes waiting to upload with consecutive events grouped', () => {
+    render(
+      <SyncStatusSection
+        entries={[
+          entry('1', OUTBOX_OPERATIONS.CREATE_MATCH, { label: 'Rivals' }),
+          entry('2', OUTBOX_OPERATIONS.START_MATCH),
+          entry('3', OUTBOX_OPERATIONS.MATCH_EVENT),
+          entry('4', OUTBOX_OPERATIONS.MATCH_EVENT),
+          entry('5', OUTBOX_OPERATIONS.FINISH_MATCH)
+        ]}
+        isOnline={true}
+        isSyncing={false}
+      />
+    );
+
+    expect(screen.getByText('Waiting to upload (5)')).toBeInTheDocument();
+    expect(screen.getAllByTestId('sync-status-item')).toHaveLength(4);
+    expect(screen.getByText('New match vs Rivals')).toBeInTheDocument();
+    expect(screen.getByText('Match events (2)')).toBeInTheDocument();
+  });
+
+  it('shows the offline state without a sync button', () => {
+    render(
+      <SyncStatusSection
+        entries={[entry('1', OUTBOX_OPERATIONS.MATCH_EVENT)]}
+        isOnline={false}
+        isSyncing={false}
+        onSyncNow={jest.fn()}
+      />
+    );
+
+    expect(screen.getByText('Offline')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Sync now' })).not.toBeInTheDocument();
+  });
+
+  it('explains that writes are kept while offline with nothing queued', () => {
+    render(<SyncStatusSection entries={[]} isOnline={false} />);
+
+    expect(screen.getByText(/saved on this device/i)).toBeInTheDocument();
+    expect(screen.queryByTestId('sync-status-item')).not.toBeInTheDocument();
+  });
+
+  it('syncs on request when online', () => {
+    const onSyncNow = jest.fn();
+    render(
+      <SyncStatusSection
+        entries={[entry('1', OUTBOX_OPERATIONS.START_MATCH)]}
+        isOnline={true}
+        isSyncing={false}
+        onSyncNow={onSyncNow}
+      />
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: 'Sync now' }));
+
+    expect(onSyncNow).toHaveBeenCalled();
+  });
+
+  it('shows failed uploads with a discard option', () => {
+    const onDiscard = jest.fn();
+    render(
+      <SyncStatusSection
+        entries={[entry('1', OUTBOX_OPERATIONS.FINISH_MATCH, { lastError: 'errors.matchUpdateFailed', attempts: 2 })]}
+        isOnline={true}
+        isSyncing={false}
+        onDiscard={onDiscard}
+      />
+    );
+
+    expect(screen.getByText(/Upload failed: Match update failed/)).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Discard' }));
+
+    expect(onDiscard).toHaveBeenCalledWith('1');
+  });
+
+  it('lists writes the server rejected with retry and discard options', () => {
+    const onRetry = jest.fn();
+    const onDiscard = jest.fn();
+    render(
+      <SyncStatusSection
+        entries={[]}
+        failedEntries={[
+          entry('1', OUTBOX_OPERATIONS.START_MATCH, { lastError: 'errors.matchUpdateFailed', attempts: 1 }),
+          entry('2', OUTBOX_OPERATIONS.MATCH_EVENT, { lastError: 'Rejected', attempts: 1 })
+        ]}
+        isOnline={true}
+        isSyncing={false}
+        onRetry={onRetry}
+        onDiscard={onDiscard}
+      />
+    );
+
+    expect(screen.getByText('Not accepted by the server (2)')).toBeInTheDocument();
+    expect(screen.getAllByTestId('sync-status-failed-item')).toHaveLength(2);
+    expect(screen.queryByText(/saved on this device/i)).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getAllByRole('button', { name: 'Retry' })[0]);
+    fireEvent.click(screen.getAllByRole('button', { name: 'Discard' })[1]);
+
+    expect(onRetry).toHaveBeenCalledWith('1');
+    expect(onDiscard).toHaveBeenCalledWith('2');
+  });
+});
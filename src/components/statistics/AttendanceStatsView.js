@@ -266,13 +266,16 @@ export function AttendanceStatsView({ startDate, endDate, onNavigateTo }) {
     };
   }, [attendanceData]);
 
-  const handleConnectNow = () => {
-    teamManagementTabCacheManager.saveState({ tab: 'connectors' });
+  const openTeamManagementTab = (tab) => {
+    teamManagementTabCacheManager.saveState({ tab });
     if (typeof onNavigateTo === 'function') {
       onNavigateTo(VIEWS.TEAM_MANAGEMENT);
     }
   };
 
+  const handleConnectNow = () => openTeamManagementTab('connectors');
+  const handleRecordTraining = () => openTeamManagementTab('training');
+
   // Show loading state
   if (loading || connectorsLoading) {
     return <StatsLoadingState message={t('attendanceStats.loading')} />;
@@ -286,8 +289,8 @@ export function AttendanceStatsView({ startDate, endDate, onNavigateTo }) {
   // Check if team has any connected connectors
   const hasConnectedProvider = connectors.some(c => c.status === 'connected');
 
-  // Show empty state if no connectors
-  if (!hasConnectedProvider) {
+  // Show empty state if there is no connector and no training sessions have been recorded
+  if (!hasConnectedProvider && attendanceData.length === 0) {
     return (
       <StatsEmptyState
         icon={Calendar}
@@ -302,12 +305,20 @@ export function AttendanceStatsView({ startDate, endDate, onNavigateTo }) {
               <li>{t('attendanceStats.noConnector.platforms.svenskalag')}</li>
               <li>{t('attendanceStats.noConnector.platforms.myclub')}</li>
             </ul>
+            <p className="text-slate-400 text-sm mb-6">
+              {t('attendanceStats.noConnector.trainingDescription')}
+            </p>
           </>
         }
         actions={
-          <Button onClick={handleConnectNow}>
-            {t('attendanceStats.noConnector.connectButton')}
-          </Button>
+          <div className="flex flex-wrap justify-center gap-2">
+            <Button onClick={handleConnectNow}>
+              {t('attendanceStats.noConnector.connectButton')}
+            </Button>
+            <Button onClick={handleRecordTraining} variant="secondary">
+              {t('attendanceStats.noConnector.trainingButton')}
+            </Button>
+          </div>
         }
       />
     );
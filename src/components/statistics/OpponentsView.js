@@ -0,0 +1,407 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { ArrowLeft, Shield, Calendar, Trophy, TrendingUp, TrendingDown, Clock, Target, MapPin, Pencil, GitMerge } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { useTeam } from '../../contexts/TeamContext';
+import { getFinishedMatches } from '../../services/matchStateManager';
+import { getTeamOpponents, updateOpponent, mergeOpponents } from '../../services/opponentService';
+import {
+  buildHeadToHead,
+  findSimilarOpponents,
+  getMatchesAgainstOpponent
+} from '../../utils/opponentUtils';
+import { getOutcomeBadgeClasses } from '../../utils/badgeUtils';
+import { StatsLoadingState } from './shared/StatsLoadingState';
+import { StatsErrorState } from './shared/StatsErrorState';
+import { StatsEmptyState } from './shared/StatsEmptyState';
+import { StatCard } from './shared/StatCard';
+import { Card } from '../shared/Card';
+import { SectionHeader } from '../shared/SectionHeader';
+import { Button, Input, Textarea, Select } from '../shared/UI';
+
+const createDraft = (opponent) => ({
+  name: opponent?.name || '',
+  aliases: (opponent?.aliases || []).join(', '),
+  homeGround: opponent?.homeGround || '',
+  notes: opponent?.notes || ''
+});
+
+export function OpponentsView({ startDate, endDate, onMatchSelect }) {
+  const { t } = useTranslation('statistics');
+  const { t: tCommon } = useTranslation('common');
+  const { currentTeam, canManageTeam } = useTeam();
+  const [opponents, setOpponents] = useState([]);
+  const [matches, setMatches] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [selectedOpponentId, setSelectedOpponentId] = useState(null);
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(createDraft(null));
+  const [mergeSourceId, setMergeSourceId] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [actionError, setActionError] = useState(null);
+
+  useEffect(() => {
+    async function fetchOpponents() {
+      if (!currentTeam?.id) {
+        setOpponents([]);
+        setMatches([]);
+        return;
+      }
+
+      setLoading(true);
+      setError(null);
+
+      const [opponentResult, matchResult] = await Promise.all([
+        getTeamOpponents(currentTeam.id),
+        getFinishedMatches(currentTeam.id, startDate, endDate)
+      ]);
+
+      if (opponentResult.success && matchResult.success) {
+        setOpponents(opponentResult.opponents || []);
+        setMatches(matchResult.matches || []);
+      } else {
+        setError(opponentResult.error || matchResult.error || t('opponents.failedToLoad'));
+        setOpponents([]);
+        setMatches([]);
+      }
+
+      setLoading(false);
+    }
+
+    fetchOpponents();
+  }, [currentTeam?.id, startDate, endDate, reloadKey, t]);
+
+  // Head-to-head per opponent, most played first
+  const opponentSummaries = useMemo(() => (
+    opponents
+      .map(opponent => ({
+        opponent,
+        headToHead: buildHeadToHead(getMatchesAgainstOpponent(matches, opponent))
+      }))
+      .sort((a, b) => b.headToHead.played - a.headToHead.played || a.opponent.name.localeCompare(b.opponent.name))
+  ), [opponents, matches]);
+
+  const selectedSummary = opponentSummaries.find(summary => summary.opponent.id === selectedOpponentId) || null;
+  const selectedOpponent = selectedSummary?.opponent || null;
+
+  const similarOpponents = useMemo(
+    () => findSimilarOpponents(selectedOpponent, opponents),
+    [selectedOpponent, opponents]
+  );
+
+  const handleSelectOpponent = (opponentId) => {
+    setSelectedOpponentId(opponentId);
+    setIsEditing(false);
+    setMergeSourceId('');
+    setActionError(null);
+  };
+
+  const handleStartEdit = () => {
+    setDraft(createDraft(selectedOpponent));
+    setIsEditing(true);
+    setActionError(null);
+  };
+
+  const handleSave = async () => {
+    if (!draft.name.trim()) {
+      setActionError(tCommon('errors.opponentNameRequired'));
+      return;
+    }
+
+    setSaving(true);
+    setActionError(null);
+
+    const result = await updateOpponent(selectedOpponent.id, {
+      name: draft.name,
+      aliases: draft.aliases.split(','),
+      homeGround: draft.homeGround,
+      notes: draft.notes
+    });
+
+    setSaving(false);
+
+    if (!result.success) {
+      setActionError(tCommon(result.error, { defaultValue: result.error }));
+      return;
+    }
+
+    setOpponents(prev => prev.map(opponent => (
+      opponent.id === result.opponent.id ? result.opponent : opponent
+    )));
+    setIsEditing(false);
+  };
+
+  const handleMerge = async (sourceOpponentId) => {
+    if (!sourceOpponentId) return;
+
+    setSaving(true);
+    setActionError(null);
+
+    const result = await mergeOpponents(selectedOpponent.id, sourceOpponentId);
+
+    setSaving(false);
+
+    if (!result.success) {
+      setActionError(result.error || t('opponents.mergeFailed'));
+      return;
+    }
+
+    setMergeSourceId('');
+    setReloadKey(prev => prev + 1);
+  };
+
+  const getResultBadge = (result) => getOutcomeBadgeClasses(result, {
+    baseClasses: 'px-2 py-1 rounded text-xs font-medium w-12 text-center'
+  });
+
+  const getResultLabel = (result) => (
+    result === 'W' ? t('teamStats.outcomes.win') : result === 'D' ? t('teamStats.outcomes.draw') : t('teamStats.outcomes.loss')
+  );
+
+  if (loading) {
+    return <StatsLoadingState message={t('opponents.loading')} />;
+  }
+
+  if (error) {
+    return <StatsErrorState title={t('opponents.error')} message={error} />;
+  }
+
+  if (opponents.length === 0) {
+    return <StatsEmptyState title={t('opponents.noOpponents')} message={t('opponents.noOpponentsMessage')} />;
+  }
+
+  if (!selectedSummary) {
+    return (
+      <div className="space-y-3">
+        {opponentSummaries.map(({ opponent, headToHead }) => (
+          <div
+            key={opponent.id}
+            className="bg-slate-800 p-3 rounded-lg border border-slate-600 hover:bg-slate-750 transition-colors cursor-pointer"
+            onClick={() => handleSelectOpponent(opponent.id)}
+          >
+            <div className="flex items-center justify-between">
+              <div>
+                <div className="text-slate-200 font-medium">{opponent.name}</div>
+                {opponent.aliases.length > 0 && (
+                  <div className="text-slate-400 text-xs">
+                    {t('opponents.alsoKnownAs', { aliases: opponent.aliases.join(', ') })}
+                  </div>
+                )}
+              </div>
+              <div className="text-right">
+                <div className="text-slate-100 font-mono font-semibold">
+                  {t('teamStats.summaryRecord', headToHead)}
+                </div>
+                <div className="text-slate-400 text-xs">
+                  {t('opponents.playedGoals', headToHead)}
+                </div>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  const { headToHead } = selectedSummary;
+  const winPercentage = headToHead.played > 0
+    ? ((headToHead.wins / headToHead.played) * 100).toFixed(1)
+    : '0.0';
+  const mergeOptions = opponents
+    .filter(opponent => opponent.id !== selectedOpponent.id)
+    .map(opponent => ({ value: opponent.id, label: opponent.name }));
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <Button onClick={() => handleSelectOpponent(null)} Icon={ArrowLeft} variant="secondary" size="sm">
+          {t('opponents.allOpponents')}
+        </Button>
+        {canManageTeam && !isEditing && (
+          <Button onClick={handleStartEdit} Icon={Pencil} variant="secondary" size="sm">
+            {t('opponents.edit')}
+          </Button>
+        )}
+      </div>
+
+      {/* Opponent details */}
+      <Card>
+        {isEditing ? (
+          <div className="space-y-3">
+            <div>
+              <label htmlFor="opponent-name" className="block text-sm text-slate-300 mb-1">{t('opponents.fields.name')}</label>
+              <Input
+                id="opponent-name"
+                value={draft.name}
+                onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+              />
+            </div>
+            <div>
+              <label htmlFor="opponent-aliases" className="block text-sm text-slate-300 mb-1">{t('opponents.fields.aliases')}</label>
+              <Input
+                id="opponent-aliases"
+                value={draft.aliases}
+                placeholder={t('opponents.fields.aliasesPlaceholder')}
+                onChange={(e) => setDraft(prev => ({ ...prev, aliases: e.target.value }))}
+              />
+            </div>
+            <div>
+              <label htmlFor="opponent-home-ground" className="block text-sm text-slate-300 mb-1">{t('opponents.fields.homeGround')}</label>
+              <Input
+                id="opponent-home-ground"
+                value={draft.homeGround}
+                onChange={(e) => setDraft(prev => ({ ...prev, homeGround: e.target.value }))}
+              />
+            </div>
+            <div>
+              <label htmlFor="opponent-notes" className="block text-sm text-slate-300 mb-1">{t('opponents.fields.notes')}</label>
+              <Textarea
+                id="opponent-notes"
+                value={draft.notes}
+                onChange={(e) => setDraft(prev => ({ ...prev, notes: e.target.value }))}
+              />
+            </div>
+            <div className="flex justify-end gap-2">
+              <Button variant="secondary" onClick={() => setIsEditing(false)} disabled={saving}>
+                {t('opponents.cancel')}
+              </Button>
+              <Button onClick={handleSave} disabled={saving}>
+                {t('opponents.save')}
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <div className="space-y-2">
+            <SectionHeader title={selectedOpponent.name} icon={Shield} />
+            {selectedOpponent.aliases.length > 0 && (
+              <p className="text-slate-400 text-sm">
+                {t('opponents.alsoKnownAs', { aliases: selectedOpponent.aliases.join(', ') })}
+              </p>
+            )}
+            {selectedOpponent.homeGround && (
+              <p className="text-slate-300 text-sm flex items-center gap-1">
+                <MapPin className="h-4 w-4 text-slate-400" />
+                {selectedOpponent.homeGround}
+              </p>
+            )}
+            {selectedOpponent.notes && (
+              <p className="text-slate-300 text-sm whitespace-pre-line">{selectedOpponent.notes}</p>
+            )}
+          </div>
+        )}
+        {actionError && <p className="text-rose-400 text-sm mt-3">{actionError}</p>}
+      </Card>
+
+      {/* Head-to-head overview */}
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+        <StatCard
+          icon={Calendar}
+          title={t('opponents.headToHead.played')}
+          value={headToHead.played}
+          subtitle={t('teamStats.summaryRecord', headToHead)}
+        />
+        <StatCard
+          icon={Trophy}
+          title={t('teamStats.winRate')}
+          value={`${winPercentage}%`}
+        />
+        <StatCard
+          icon={TrendingUp}
+          title={t('opponents.headToHead.goalsFor')}
+          value={headToHead.goalsFor}
+        />
+        <StatCard
+          icon={TrendingDown}
+          title={t('opponents.headToHead.goalsAgainst')}
+          value={headToHead.goalsAgainst}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Last meetings */}
+        <Card>
+          <SectionHeader title={t('opponents.headToHead.lastMeetings')} icon={Clock} className="mb-4" />
+          {headToHead.lastMeetings.length === 0 ? (
+            <p className="text-slate-400 text-sm">{t('opponents.headToHead.noMeetings')}</p>
+          ) : (
+            <div className="space-y-3">
+              {headToHead.lastMeetings.map(match => (
+                <div
+                  key={match.id}
+                  className={`bg-slate-800 p-3 rounded-lg border border-slate-600 ${
+                    onMatchSelect ? 'hover:bg-slate-750 transition-colors cursor-pointer' : ''
+                  }`}
+                  onClick={onMatchSelect ? () => onMatchSelect(match.id) : undefined}
+                >
+                  <div className="flex items-center justify-between">
+                    <div className="text-slate-400 text-sm font-mono">
+                      {new Date(match.date).toISOString().split('T')[0]}
+                    </div>
+                    <div className="flex items-center space-x-3">
+                      <div className="text-slate-100 font-mono font-semibold">
+                        {match.goalsScored}-{match.goalsConceded}
+                      </div>
+                      <span className={getResultBadge(match.outcome)}>
+                        {getResultLabel(match.outcome)}
+                      </span>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </Card>
+
+        {/* Scorers against this opponent */}
+        <Card>
+          <SectionHeader title={t('opponents.headToHead.scorers')} icon={Target} className="mb-4" />
+          {headToHead.scorers.length === 0 ? (
+            <p className="text-slate-400 text-sm">{t('opponents.headToHead.noScorers')}</p>
+          ) : (
+            <div className="space-y-2">
+              {headToHead.scorers.map(scorer => (
+                <div key={scorer.playerId} className="flex items-center justify-between">
+                  <span className="text-slate-300">{scorer.name}</span>
+                  <span className="text-slate-100 font-semibold tabular-nums">{scorer.goals}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </Card>
+      </div>
+
+      {/* Merge duplicates */}
+      {canManageTeam && mergeOptions.length > 0 && (
+        <Card>
+          <SectionHeader title={t('opponents.merge.title')} icon={GitMerge} className="mb-2" />
+          <p className="text-slate-400 text-sm mb-3">{t('opponents.merge.description', { name: selectedOpponent.name })}</p>
+          {similarOpponents.length > 0 && (
+            <div className="space-y-2 mb-3">
+              {similarOpponents.map(opponent => (
+                <div key={opponent.id} className="flex items-center justify-between">
+                  <span className="text-slate-300">{t('opponents.merge.suggestion', { name: opponent.name })}</span>
+                  <Button size="sm" variant="secondary" onClick={() => handleMerge(opponent.id)} disabled={saving}>
+                    {t('opponents.merge.action')}
+                  </Button>
+                </div>
+              ))}
+            </div>
+          )}
+          <div className="flex items-center gap-2">
+            <Select
+              value={mergeSourceId}
+              onChange={setMergeSourceId}
+              options={mergeOptions}
+              placeholder={t('opponents.merge.placeholder')}
+              className="flex-1"
+            />
+            <Button onClick={() => handleMerge(mergeSourceId)} disabled={saving || !mergeSourceId}>
+              {t('opponents.merge.action')}
+            </Button>
+          </div>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -22,6 +22,7 @@ const SORT_COLUMNS = {
   NAME: 'displayName',
   MATCHES: 'matchesPlayed',
   GOALS: 'goalsScored',
+  ASSISTS: 'assists',
   AVG_TIME: 'averageTimePerMatch',
   TOTAL_TIME: 'totalFieldTimeSeconds',
   SUB_START: 'percentStartedAsSubstitute',
@@ -31,6 +32,9 @@ const SORT_COLUMNS = {
   GOALKEEPER: 'percentTimeAsGoalkeeper',
   CAPTAIN: 'matchesAsCaptain',
   FAIR_PLAY: 'fairPlayAwards',
+  YELLOW_CARDS: 'yellowCards',
+  SIN_BINS: 'sinBins',
+  RED_CARDS: 'redCards',
   LOAN_MATCHES: 'loanMatches'
 };
 
@@ -200,6 +204,7 @@ export function PlayerStatsView({ startDate, endDate }) {
         displayName,
         matchesPlayed: 0,
         goalsScored: 0,
+        assists: 0,
         totalFieldTimeSeconds: 0,
         averageTimePerMatch: 0,
         percentStartedAsSubstitute: 0,
@@ -208,7 +213,10 @@ export function PlayerStatsView({ startDate, endDate }) {
         percentTimeAsAttacker: 0,
         percentTimeAsGoalkeeper: 0,
         matchesAsCaptain: 0,
-        fairPlayAwards: 0
+        fairPlayAwards: 0,
+        yellowCards: 0,
+        sinBins: 0,
+        redCards: 0
       });
     });
 
@@ -305,6 +313,15 @@ export function PlayerStatsView({ startDate, endDate }) {
           <span className="text-slate-300 font-mono">{player.goalsScored}</span>
         )
       },
+      {
+        key: SORT_COLUMNS.ASSISTS,
+        label: t('playerStats.columns.assists'),
+        sortable: true,
+        className: 'text-center',
+        render: (player) => (
+          <span className="text-slate-300 font-mono">{player.assists || 0}</span>
+        )
+      },
       {
         key: SORT_COLUMNS.AVG_TIME,
         label: t('playerStats.columns.avgTime'),
@@ -387,6 +404,33 @@ export function PlayerStatsView({ startDate, endDate }) {
         render: (player) => (
           <span className="text-slate-300 font-mono">{player.fairPlayAwards}</span>
         )
+      },
+      {
+        key: SORT_COLUMNS.YELLOW_CARDS,
+        label: t('playerStats.columns.yellowCards'),
+        sortable: true,
+        className: 'text-center',
+        render: (player) => (
+          <span className="text-slate-300 font-mono">{player.yellowCards || 0}</span>
+        )
+      },
+      {
+        key: SORT_COLUMNS.SIN_BINS,
+        label: t('playerStats.columns.sinBins'),
+        sortable: true,
+        className: 'text-center',
+        render: (player) => (
+          <span className="text-slate-300 font-mono">{player.sinBins || 0}</span>
+        )
+      },
+      {
+        key: SORT_COLUMNS.RED_CARDS,
+        label: t('playerStats.columns.redCards'),
+        sortable: true,
+        className: 'text-center',
+        render: (player) => (
+          <span className="text-slate-300 font-mono">{player.redCards || 0}</span>
+        )
       }
     ],
     [formatMatchCount, t]
@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useMemo, useRef } from 'react';
-import { ArrowLeft, BarChart3, Users, History, Calendar } from 'lucide-react';
+import { ArrowLeft, BarChart3, Users, History, Calendar, Shield } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 import { Button } from '../shared/UI';
 import { LoadingSpinner } from '../shared/LoadingSpinner';
@@ -8,20 +8,24 @@ import { TabBar } from '../shared/TabBar';
 import { useAuth } from '../../contexts/AuthContext';
 import { useTeam } from '../../contexts/TeamContext';
 import { useAuthModalIntegration } from '../../hooks/useAuthModalIntegration';
+import { useTeamSeasons } from '../../hooks/useTeamSeasons';
 import { TeamStatsView } from './TeamStatsView';
 import { PlayerStatsView } from './PlayerStatsView';
 import { MatchHistoryView } from './MatchHistoryView';
 import { MatchDetailsView } from './MatchDetailsView';
 import { AttendanceStatsView } from './AttendanceStatsView';
+import { OpponentsView } from './OpponentsView';
 import { TimeFilter } from './TimeFilter';
 import { createPersistenceManager } from '../../utils/persistenceManager';
 import { STORAGE_KEYS } from '../../constants/storageKeys';
 import { TIME_PRESETS } from '../../constants/timePresets';
+import { isSeasonPresetId } from '../../utils/seasonUtils';
 
 const STATS_TABS = {
   TEAM: 'team',
   PLAYER: 'player',
   ATTENDANCE: 'attendance',
+  OPPONENTS: 'opponents',
   HISTORY: 'history'
 };
 
@@ -29,7 +33,8 @@ const getInitialTimeRange = (timeRangePersistence) => {
   const stored = timeRangePersistence.loadState();
   const presetId = stored?.presetId || 'all-time';
 
-  if (presetId === 'custom') {
+  // Custom ranges and seasons are restored from their stored dates
+  if (presetId === 'custom' || isSeasonPresetId(presetId)) {
     const parseDate = (value) => {
       if (!value) return null;
       const parsed = new Date(value);
@@ -38,7 +43,7 @@ const getInitialTimeRange = (timeRangePersistence) => {
     return {
       start: parseDate(stored?.customStartDate),
       end: parseDate(stored?.customEndDate),
-      presetId: 'custom'
+      presetId
     };
   }
 
@@ -94,6 +99,7 @@ export function StatisticsScreen({ onNavigateBack, authModal: authModalProp, onN
     teamPlayers
   } = useTeam();
   const authModal = useAuthModalIntegration(authModalProp);
+  const { seasons } = useTeamSeasons(currentTeam?.id);
 
   // Register browser back handler
   useEffect(() => {
@@ -115,10 +121,10 @@ export function StatisticsScreen({ onNavigateBack, authModal: authModalProp, onN
   }, [activeTab, tabPersistence]);
 
   useEffect(() => {
-    if (selectedPresetId === 'custom') {
-      // For custom ranges, save the actual dates
+    if (selectedPresetId === 'custom' || isSeasonPresetId(selectedPresetId)) {
+      // For custom ranges and seasons, save the actual dates
       timeRangePersistence.saveState({
-        presetId: 'custom',
+        presetId: selectedPresetId,
         customStartDate: timeRangeStart ? timeRangeStart.toISOString() : null,
         customEndDate: timeRangeEnd ? timeRangeEnd.toISOString() : null
       });
@@ -199,6 +205,12 @@ export function StatisticsScreen({ onNavigateBack, authModal: authModalProp, onN
       icon: Calendar,
       description: tStats('screen.tabs.attendanceStatsDescription')
     },
+    {
+      id: STATS_TABS.OPPONENTS,
+      label: tStats('screen.tabs.opponents'),
+      icon: Shield,
+      description: tStats('screen.tabs.opponentsDescription')
+    },
     {
       id: STATS_TABS.HISTORY,
       label: tStats('screen.tabs.matchHistory'),
@@ -236,6 +248,8 @@ export function StatisticsScreen({ onNavigateBack, authModal: authModalProp, onN
             onNavigateTo={onNavigateTo}
           />
         );
+      case STATS_TABS.OPPONENTS:
+        return <OpponentsView startDate={timeRangeStart} endDate={timeRangeEnd} onMatchSelect={handleMatchSelect} />;
       case STATS_TABS.HISTORY:
         return (
           <MatchHistoryView
@@ -375,6 +389,7 @@ export function StatisticsScreen({ onNavigateBack, authModal: authModalProp, onN
             endDate={timeRangeEnd}
             selectedPresetId={selectedPresetId}
             onTimeRangeChange={handleTimeRangeChange}
+            seasons={seasons}
             className="flex-shrink-0 hidden sm:block"
           />
         </div>
@@ -388,6 +403,7 @@ export function StatisticsScreen({ onNavigateBack, authModal: authModalProp, onN
             endDate={timeRangeEnd}
             selectedPresetId={selectedPresetId}
             onTimeRangeChange={handleTimeRangeChange}
+            seasons={seasons}
             className="w-full"
           />
         </div>
@@ -116,12 +116,27 @@ export function TeamStatsView({ startDate, endDate, onMatchSelect }) {
       losses: awayMatches.filter(m => m.outcome === 'L').length
     };
 
+    // Penalty shootouts (the match itself stays a draw)
+    const hasShootout = (match) => (
+      typeof match.shootoutGoalsScored === 'number' && typeof match.shootoutGoalsConceded === 'number'
+    );
+    const shootoutMatches = filteredMatches.filter(hasShootout);
+
+    const shootoutRecord = {
+      total: shootoutMatches.length,
+      wins: shootoutMatches.filter(m => m.shootoutGoalsScored > m.shootoutGoalsConceded).length,
+      losses: shootoutMatches.filter(m => m.shootoutGoalsScored < m.shootoutGoalsConceded).length
+    };
+
     // Recent matches (last 5)
     const recentMatches = filteredMatches.slice(0, 5).map(match => ({
       id: match.id,
       date: new Date(match.date).toISOString().split('T')[0],
       opponent: match.opponent,
       score: `${match.goalsScored}-${match.goalsConceded}`,
+      shootout: hasShootout(match)
+        ? { ownScore: match.shootoutGoalsScored, opponentScore: match.shootoutGoalsConceded }
+        : null,
       result: match.outcome
     }));
 
@@ -138,6 +153,7 @@ export function TeamStatsView({ startDate, endDate, onMatchSelect }) {
       cleanSheetPercentage,
       homeRecord,
       awayRecord,
+      shootoutRecord,
       recentMatches
     };
   }, [filteredMatches]);
@@ -199,6 +215,7 @@ export function TeamStatsView({ startDate, endDate, onMatchSelect }) {
     cleanSheetPercentage,
     homeRecord,
     awayRecord,
+    shootoutRecord,
     recentMatches
   } = teamStats;
 
@@ -370,6 +387,11 @@ export function TeamStatsView({ startDate, endDate, onMatchSelect }) {
                 <div className="flex items-center space-x-3">
                   <div className="text-slate-100 font-mono font-semibold">
                     {match.score}
+                    {match.shootout && (
+                      <span className="text-slate-400 text-sm font-normal ml-1">
+                        {t('teamStats.recentShootout', match.shootout)}
+                      </span>
+                    )}
                   </div>
                   <span className={getResultBadge(match.result)}>
                     {match.result === 'W' ? t('teamStats.outcomes.win') : match.result === 'D' ? t('teamStats.outcomes.draw') : t('teamStats.outcomes.loss')}
@@ -382,7 +404,7 @@ export function TeamStatsView({ startDate, endDate, onMatchSelect }) {
       </Card>
 
       {/* Additional Stats */}
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <div className={`grid grid-cols-1 ${shootoutRecord.total > 0 ? 'md:grid-cols-4' : 'md:grid-cols-3'} gap-4`}>
         <Card>
           <h4 className="text-slate-300 font-medium mb-2">{t('teamStats.sections.homeRecord')}</h4>
           <div className="text-slate-100">
@@ -415,6 +437,20 @@ export function TeamStatsView({ startDate, endDate, onMatchSelect }) {
           </div>
           <div className="text-slate-400 text-sm">{cleanSheetPercentage}% {t('teamStats.labels.ofTotal')}</div>
         </Card>
+
+        {shootoutRecord.total > 0 && (
+          <Card>
+            <h4 className="text-slate-300 font-medium mb-2">{t('teamStats.sections.shootouts')}</h4>
+            <div className="text-slate-100">
+              <span className="text-xl font-semibold">{shootoutRecord.wins}</span>
+              <span className="text-slate-400 text-sm ml-1">{t('teamStats.record.wins')}</span>
+            </div>
+            <div className="text-slate-400 text-sm">
+              {shootoutRecord.losses} {shootoutRecord.losses === 1 ? t('teamStats.record.loss') : t('teamStats.record.losses')}
+              {` (${shootoutRecord.total} ${t('teamStats.labels.total')})`}
+            </div>
+          </Card>
+        )}
       </div>
     </div>
   );
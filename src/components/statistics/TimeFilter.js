@@ -4,6 +4,7 @@ import { Calendar, Clock, ChevronDown, Check } from 'lucide-react';
 import { Button, Input } from '../shared/UI';
 import { FormGroup } from '../shared/FormGroup';
 import { TIME_PRESETS, getTimePresets } from '../../constants/timePresets';
+import { getSeasonIdFromPresetId, getSeasonPresetId, getSeasonRange, SEASON_STATUS } from '../../utils/seasonUtils';
 
 const formatDateForInput = (date) => {
   if (!date) return '';
@@ -15,6 +16,7 @@ export function TimeFilter({
   endDate,
   selectedPresetId = 'all-time',
   onTimeRangeChange,
+  seasons = [],
   className = ''
 }) {
   const { t, i18n } = useTranslation('statistics');
@@ -65,13 +67,22 @@ export function TimeFilter({
     }
   }, [isOpen]);
 
+  const selectedSeason = useMemo(() => {
+    const seasonId = getSeasonIdFromPresetId(selectedPreset);
+    return seasonId ? seasons.find(season => season.id === seasonId) || null : null;
+  }, [selectedPreset, seasons]);
+
   const currentPresetLabel = useMemo(() => {
     if (selectedPreset === 'custom') {
       return t('timeFilter.custom');
     }
+    if (getSeasonIdFromPresetId(selectedPreset)) {
+      // Seasons load asynchronously; show the stored dates until they arrive
+      return selectedSeason ? selectedSeason.name : null;
+    }
     const preset = translatedPresets.find(p => p.id === selectedPreset);
     return preset ? preset.label : t('timeFilter.allTime');
-  }, [selectedPreset, t, translatedPresets]);
+  }, [selectedPreset, selectedSeason, t, translatedPresets]);
 
   const displayLabel = useMemo(() => {
     if (currentPresetLabel && selectedPreset !== 'custom') {
@@ -121,6 +132,15 @@ export function TimeFilter({
     }
   };
 
+  const handleSeasonSelect = (season) => {
+    const presetId = getSeasonPresetId(season.id);
+    const range = getSeasonRange(season);
+    setSelectedPreset(presetId);
+    setShowCustomRange(false);
+    onTimeRangeChange(range.start, range.end, presetId);
+    setIsOpen(false);
+  };
+
   const handleCustomRangeApply = () => {
     let start = null;
     let end = null;
@@ -230,6 +250,39 @@ export function TimeFilter({
               <h3 className="text-sm font-medium text-sky-400">{t('timeFilter.selectTimeRange')}</h3>
             </div>
 
+            {/* Season Options */}
+            {seasons.length > 0 && (
+              <div className="space-y-1 mb-3 pb-3 border-b border-slate-600">
+                <div className="px-3 text-xs font-medium uppercase tracking-wide text-slate-400">
+                  {t('timeFilter.seasons')}
+                </div>
+                {seasons.map((season) => {
+                  const presetId = getSeasonPresetId(season.id);
+                  return (
+                    <button
+                      key={season.id}
+                      onClick={() => handleSeasonSelect(season)}
+                      className={`w-full px-3 py-2 text-left text-sm rounded-md transition-colors flex items-center justify-between ${
+                        selectedPreset === presetId
+                          ? 'bg-sky-900/50 text-sky-300 border border-sky-600'
+                          : 'text-slate-300 hover:bg-slate-700 hover:text-slate-200'
+                      }`}
+                    >
+                      <span>
+                        {season.name}
+                        {season.status === SEASON_STATUS.ACTIVE && (
+                          <span className="ml-2 text-xs text-emerald-300">{t('timeFilter.currentSeason')}</span>
+                        )}
+                      </span>
+                      {selectedPreset === presetId && (
+                        <Check className="h-4 w-4" />
+                      )}
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+
             {/* Preset Options */}
             <div className="space-y-1 mb-4">
               {translatedPresets.map((preset) => (
@@ -0,0 +1,155 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { OpponentsView } from '../OpponentsView';
+import { useTeam } from '../../../contexts/TeamContext';
+import { getFinishedMatches } from '../../../services/matchStateManager';
+import { getTeamOpponents, updateOpponent, mergeOpponents } from '../../../services/opponentService';
+
+jest.mock('../../../contexts/TeamContext');
+jest.mock('../../../services/matchStateManager');
+jest.mock('../../../services/opponentService');
+
+const mockOpponents = [
+  { id: 'o1', name: 'IFK Stockholm', aliases: [], homeGround: 'Östermalms IP', notes: null },
+  { id: 'o2', name: 'IFK Sthlm', aliases: [], homeGround: null, notes: null },
+  { id: 'o3', name: 'AIK', aliases: [], homeGround: null, notes: null }
+];
+
+const mockMatches = [
+  {
+    id: 'm1',
+    date: '2025-01-20T15:00:00Z',
+    opponent: 'IFK Stockholm',
+    opponentId: 'o1',
+    goalsScored: 3,
+    goalsConceded: 1,
+    outcome: 'W',
+    scorers: [{ playerId: 'p1', name: 'Alice', goals: 2 }, { playerId: 'p2', name: 'Bob', goals: 1 }]
+  },
+  {
+    id: 'm2',
+    date: '2025-01-10T15:00:00Z',
+    opponent: 'IFK Stockholm',
+    opponentId: 'o1',
+    goalsScored: 0,
+    goalsConceded: 2,
+    outcome: 'L',
+    scorers: []
+  },
+  {
+    id: 'm3',
+    date: '2025-01-05T15:00:00Z',
+    opponent: 'AIK',
+    opponentId: 'o3',
+    goalsScored: 1,
+    goalsConceded: 1,
+    outcome: 'D',
+    scorers: []
+  }
+];
+
+describe('OpponentsView', () => {
+  const mockOnMatchSelect = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    useTeam.mockReturnValue({
+      currentTeam: { id: 'team-123', name: 'Test Team' },
+      canManageTeam: true
+    });
+
+    getTeamOpponents.mockResolvedValue({ success: true, opponents: mockOpponents });
+    getFinishedMatches.mockResolvedValue({ success: true, matches: mockMatches });
+  });
+
+  it('lists opponents with their head-to-head record', async () => {
+    render(<OpponentsView onMatchSelect={mockOnMatchSelect} />);
+
+    expect(await screen.findByText('IFK Stockholm')).toBeInTheDocument();
+    expect(screen.getByText('1W 0D 1L')).toBeInTheDocument();
+    expect(screen.getByText('0W 1D 0L')).toBeInTheDocument();
+    expect(getTeamOpponents).toHaveBeenCalledWith('team-123');
+  });
+
+  it('shows the head-to-head details for a selected opponent', async () => {
+    render(<OpponentsView onMatchSelect={mockOnMatchSelect} />);
+
+    fireEvent.click(await screen.findByText('IFK Stockholm'));
+
+    expect(screen.getByText('Östermalms IP')).toBeInTheDocument();
+    expect(screen.getByText('Matches played')).toBeInTheDocument();
+    expect(screen.getByText('Alice')).toBeInTheDocument();
+    expect(screen.getByText('Bob')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('3-1'));
+    expect(mockOnMatchSelect).toHaveBeenCalledWith('m1');
+  });
+
+  it('suggests similar opponents and merges them', async () => {
+    mergeOpponents.mockResolvedValue({ success: true, matchesMoved: 1 });
+
+    render(<OpponentsView onMatchSelect={mockOnMatchSelect} />);
+
+    fireEvent.click(await screen.findByText('IFK Stockholm'));
+
+    expect(screen.getByText('Looks like IFK Sthlm')).toBeInTheDocument();
+    fireEvent.click(screen.getAllByText('Merge')[0]);
+
+    await waitFor(() => {
+      expect(mergeOpponents).toHaveBeenCalledWith('o1', 'o2');
+    });
+    await waitFor(() => {
+      expect(getTeamOpponents).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  it('saves edited opponent details', async () => {
+    updateOpponent.mockResolvedValue({
+      success: true,
+      opponent: { ...mockOpponents[0], aliases: ['IFK Sthlm'], notes: 'Strong in the air' }
+    });
+
+    render(<OpponentsView onMatchSelect={mockOnMatchSelect} />);
+
+    fireEvent.click(await screen.findByText('IFK Stockholm'));
+    fireEvent.click(screen.getByText('Edit'));
+    fireEvent.change(screen.getByLabelText('Aliases'), { target: { value: 'IFK Sthlm' } });
+    fireEvent.change(screen.getByLabelText('Notes'), { target: { value: 'Strong in the air' } });
+    fireEvent.click(screen.getByText('Save'));
+
+    await waitFor(() => {
+      expect(updateOpponent).toHaveBeenCalledWith('o1', {
+        name: 'IFK Stockholm',
+        aliases: ['IFK Sthlm'],
+        homeGround: 'Östermalms IP',
+        notes: 'Strong in the air'
+      });
+    });
+    await waitFor(() => {
+      expect(screen.getByText('Strong in the air')).toBeInTheDocument();
+    });
+  });
+
+  it('hides editing and merging from parents', async () => {
+    useTeam.mockReturnValue({
+      currentTeam: { id: 'team-123', name: 'Test Team' },
+      canManageTeam: false
+    });
+
+    render(<OpponentsView onMatchSelect={mockOnMatchSelect} />);
+
+    fireEvent.click(await screen.findByText('IFK Stockholm'));
+
+    expect(screen.queryByText('Edit')).not.toBeInTheDocument();
+    expect(screen.queryByText('Merge duplicates')).not.toBeInTheDocument();
+  });
+
+  it('shows an empty state when the team has no opponents', async () => {
+    getTeamOpponents.mockResolvedValue({ success: true, opponents: [] });
+
+    render(<OpponentsView />);
+
+    expect(await screen.findByText('No opponents yet')).toBeInTheDocument();
+  });
+});
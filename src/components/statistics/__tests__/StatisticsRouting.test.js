@@ -19,6 +19,10 @@ jest.mock('../../../hooks/useAuthModalIntegration', () => ({
   useAuthModalIntegration: (modal) => mockUseAuthModalIntegration(modal)
 }));
 
+jest.mock('../../../hooks/useTeamSeasons', () => ({
+  useTeamSeasons: () => ({ seasons: [], loading: false, error: null, refresh: jest.fn() })
+}));
+
 describe('Statistics Routing', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -37,6 +37,15 @@ jest.mock('../AttendanceStatsView', () => ({
   )
 }));
 
+jest.mock('../OpponentsView', () => ({
+  OpponentsView: ({ onMatchSelect }) => (
+    <div data-testid="opponents-view">
+      Opponents View
+      <button onClick={() => onMatchSelect?.('match-4')}>Select Meeting</button>
+    </div>
+  )
+}));
+
 jest.mock('../MatchHistoryView', () => ({
   MatchHistoryView: ({ onMatchSelect, onCreateMatch, startDate, endDate }) => (
     <div data-testid="match-history-view">
@@ -86,6 +95,10 @@ jest.mock('../../../hooks/useAuthModalIntegration', () => ({
   useAuthModalIntegration: (modal) => mockUseAuthModalIntegration(modal)
 }));
 
+jest.mock('../../../hooks/useTeamSeasons', () => ({
+  useTeamSeasons: () => ({ seasons: [], loading: false, error: null, refresh: jest.fn() })
+}));
+
 // Mock persistence manager
 jest.mock('../../../utils/persistenceManager', () => {
   const mockPersistenceManager = {
@@ -322,6 +335,7 @@ describe('StatisticsScreen', () => {
       expect(screen.getByText('Team Stats')).toBeInTheDocument();
       expect(screen.getByText('Player Match Stats')).toBeInTheDocument();
       expect(screen.getByText('Attendance Stats')).toBeInTheDocument();
+      expect(screen.getByText('Opponents')).toBeInTheDocument();
       expect(screen.getByText('Match History')).toBeInTheDocument();
     });
 
@@ -352,6 +366,16 @@ describe('StatisticsScreen', () => {
       expect(screen.getByTestId('attendance-stats-view')).toBeInTheDocument();
     });
 
+    test('should switch to Opponents tab and open a meeting', () => {
+      render(<StatisticsScreen {...defaultProps} />);
+
+      fireEvent.click(screen.getByText('Opponents'));
+      expect(screen.getByTestId('opponents-view')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByText('Select Meeting'));
+      expect(screen.getByText(/Match Details View - view - match-4/)).toBeInTheDocument();
+    });
+
     test('should switch to History tab when clicked', () => {
       render(<StatisticsScreen {...defaultProps} />);
 
@@ -804,10 +828,10 @@ describe('StatisticsScreen', () => {
       render(<StatisticsScreen {...defaultProps} />);
 
       const tabs = screen.getAllByRole('button').filter(button =>
-        ['Team Stats', 'Player Match Stats', 'Attendance Stats', 'Match History'].includes(button.textContent)
+        ['Team Stats', 'Player Match Stats', 'Attendance Stats', 'Opponents', 'Match History'].includes(button.textContent)
       );
 
-      expect(tabs).toHaveLength(4);
+      expect(tabs).toHaveLength(5);
     });
 
     test('should show tab icons for visual context', () => {
@@ -154,6 +154,29 @@ describe('TeamStatsView', () => {
     });
   });
 
+  test('shows the penalty shootout record and results', async () => {
+    getFinishedMatches.mockResolvedValue({
+      success: true,
+      matches: [
+        { ...mockMatches[0], id: 5, type: 'Cup', goalsScored: 1, goalsConceded: 1, outcome: 'D', shootoutGoalsScored: 4, shootoutGoalsConceded: 2 },
+        ...mockMatches
+      ]
+    });
+
+    render(<TeamStatsView onMatchSelect={mockOnMatchSelect} />);
+
+    await screen.findByText('Penalty Shootouts');
+    expect(screen.getByText('(4-2 pen.)')).toBeInTheDocument();
+    expect(screen.getByText(/^0 losses \(1 total\)$/)).toBeInTheDocument();
+  });
+
+  test('hides the shootout record when no shootouts were played', async () => {
+    render(<TeamStatsView onMatchSelect={mockOnMatchSelect} />);
+
+    await screen.findByText('Total Matches');
+    expect(screen.queryByText('Penalty Shootouts')).not.toBeInTheDocument();
+  });
+
   test('shows empty state when filters result in no matches', async () => {
     render(<TeamStatsView onMatchSelect={mockOnMatchSelect} />);
 
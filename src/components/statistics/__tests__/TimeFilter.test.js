@@ -723,6 +723,59 @@ describe('TimeFilter', () => {
     });
   });
 
+  describe('Seasons', () => {
+    const seasons = [
+      { id: 'season-2', name: '2025/2026', start_date: '2025-08-01', end_date: '2026-06-30', status: 'active' },
+      { id: 'season-1', name: '2024/2025', start_date: '2024-08-01', end_date: '2025-06-30', status: 'archived' }
+    ];
+
+    test('should not show a seasons section without seasons', () => {
+      render(<TimeFilter {...defaultProps} />);
+
+      fireEvent.click(screen.getByRole('button'));
+
+      expect(screen.queryByText('Seasons')).not.toBeInTheDocument();
+    });
+
+    test('should list seasons and mark the current one', () => {
+      render(<TimeFilter {...defaultProps} seasons={seasons} />);
+
+      fireEvent.click(screen.getByRole('button'));
+
+      expect(screen.getByText('Seasons')).toBeInTheDocument();
+      expect(screen.getByText('2025/2026')).toBeInTheDocument();
+      expect(screen.getByText('2024/2025')).toBeInTheDocument();
+      expect(screen.getAllByText('Current')).toHaveLength(1);
+    });
+
+    test('should select the full date range of a season', () => {
+      render(<TimeFilter {...defaultProps} seasons={seasons} />);
+
+      fireEvent.click(screen.getByRole('button'));
+      fireEvent.click(screen.getByText('2024/2025'));
+
+      expect(mockOnTimeRangeChange).toHaveBeenCalledWith(
+        new Date(2024, 7, 1),
+        new Date(2025, 5, 30, 23, 59, 59, 999),
+        'season:season-1'
+      );
+    });
+
+    test('should display the selected season name', () => {
+      render(
+        <TimeFilter
+          {...defaultProps}
+          seasons={seasons}
+          selectedPresetId="season:season-2"
+          startDate={new Date(2025, 7, 1)}
+          endDate={new Date(2026, 5, 30)}
+        />
+      );
+
+      expect(screen.getByText('2025/2026')).toBeInTheDocument();
+    });
+  });
+
   describe('Edge Cases and Error Handling', () => {
     test('should handle unmounting gracefully', () => {
       const { unmount } = render(<TimeFilter {...defaultProps} />);
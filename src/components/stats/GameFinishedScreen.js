@@ -16,6 +16,8 @@ import { TEAM_CONFIG } from '../../constants/teamConstants';
 import { FAIR_PLAY_AWARD_OPTIONS } from '../../types/preferences';
 import { MATCH_TYPES } from '../../constants/matchTypes';
 import { VIEWS } from '../../constants/viewConstants';
+import { EVENT_TYPES } from '../../utils/gameEventLogger';
+import { getShootoutScore, getShootoutWinner } from '../../game/logic/penaltyShootout';
 
 export function GameFinishedScreen({
   allPlayers,
@@ -51,7 +53,8 @@ export function GameFinishedScreen({
   periodDurationMinutes = 12,
   formation = {},
   ownTeamName = TEAM_CONFIG.OWN_TEAM_NAME,
-  matchType = null
+  matchType = null,
+  shootout = null
 }) {
   const { t } = useTranslation('game');
   const [saveError, setSaveError] = useState(null);
@@ -88,8 +91,10 @@ export function GameFinishedScreen({
       return 0;
     }
 
-    const endTime = matchEvents && matchEvents.length > 0
-      ? Math.max(...matchEvents.map(e => e.timestamp))
+    // The shootout is logged after the final whistle and is not part of the playing time
+    const playedEvents = (matchEvents || []).filter(e => e.type !== EVENT_TYPES.SHOOTOUT_END);
+    const endTime = playedEvents.length > 0
+      ? Math.max(...playedEvents.map(e => e.timestamp))
       : Date.now();
 
     const duration = Math.floor((endTime - matchStartTime) / 1000);
@@ -97,6 +102,11 @@ export function GameFinishedScreen({
     return duration;
   }, [matchEvents, matchStartTime]);
 
+  const shootoutScore = useMemo(
+    () => (shootout && getShootoutWinner(shootout) ? getShootoutScore(shootout) : null),
+    [shootout]
+  );
+
   const totalPeriods = useMemo(() => {
     return gameLog.length;
   }, [gameLog]);
@@ -379,6 +389,8 @@ export function GameFinishedScreen({
           matchDuration={matchDuration}
           totalPeriods={totalPeriods}
           periodDurationMinutes={periodDurationMinutes}
+          ownShootoutScore={shootoutScore?.own ?? null}
+          opponentShootoutScore={shootoutScore?.opponent ?? null}
         />
       </Card>
 
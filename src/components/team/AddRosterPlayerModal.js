@@ -38,10 +38,10 @@ export function AddRosterPlayerModal({ team, onClose, onPlayerAdded, getAvailabl
     const loadTeamMembers = async () => {
       if (team?.id && getTeamMembers) {
         const members = await getTeamMembers(team.id);
-        const coachesAndAdmins = members.filter(
-          m => m.role === 'admin' || m.role === 'coach'
+        const linkableMembers = members.filter(
+          m => m.role === 'parent' || m.role === 'player' || m.role === 'admin' || m.role === 'coach'
         );
-        setTeamMembers(coachesAndAdmins);
+        setTeamMembers(linkableMembers);
       }
     };
     loadTeamMembers();
@@ -12,6 +12,7 @@ export function EditPlayerModal({ player, team, onClose, onPlayerUpdated, getAva
     first_name: player?.first_name || '',
     last_name: player?.last_name || '',
     display_name: player?.display_name || '',
+    phonetic_name: player?.phonetic_name || '',
     jersey_number: player?.jersey_number?.toString() || '',
     related_to: player?.related_to || '',
     on_roster: player?.on_roster ?? true
@@ -37,10 +38,10 @@ export function EditPlayerModal({ player, team, onClose, onPlayerUpdated, getAva
     const loadTeamMembers = async () => {
       if (team?.id && getTeamMembers) {
         const members = await getTeamMembers(team.id);
-        const coachesAndAdmins = members.filter(
-          m => m.role === 'admin' || m.role === 'coach'
+        const linkableMembers = members.filter(
+          m => m.role === 'parent' || m.role === 'player' || m.role === 'admin' || m.role === 'coach'
         );
-        setTeamMembers(coachesAndAdmins);
+        setTeamMembers(linkableMembers);
       }
     };
     loadTeamMembers();
@@ -70,6 +71,10 @@ export function EditPlayerModal({ player, team, onClose, onPlayerUpdated, getAva
       newErrors.display_name = t('editRosterPlayerModal.validation.displayNameMaxLength');
     }
 
+    if (playerData.phonetic_name.trim().length > 50) {
+      newErrors.phonetic_name = t('editRosterPlayerModal.validation.phoneticNameMaxLength');
+    }
+
     if (playerData.jersey_number) {
       const jerseyNum = parseInt(playerData.jersey_number);
       if (jerseyNum < 1 || jerseyNum > 99) {
@@ -95,6 +100,7 @@ export function EditPlayerModal({ player, team, onClose, onPlayerUpdated, getAva
         first_name: playerData.first_name.trim(),
         last_name: playerData.last_name ? playerData.last_name.trim() : null,
         display_name: playerData.display_name.trim(),
+        phonetic_name: playerData.phonetic_name.trim() || null,
         jersey_number: playerData.jersey_number ? parseInt(playerData.jersey_number) : null,
         related_to: playerData.related_to || null,
         on_roster: playerData.on_roster
@@ -203,6 +209,21 @@ export function EditPlayerModal({ player, team, onClose, onPlayerUpdated, getAva
             </p>
           </FormGroup>
 
+          {/* Pronunciation */}
+          <FormGroup label={t('editRosterPlayerModal.form.labels.phoneticName')} error={errors.phonetic_name}>
+            <Input
+              name="phonetic_name"
+              value={playerData.phonetic_name}
+              onChange={(e) => handleInputChange('phonetic_name', e.target.value)}
+              placeholder={t('editRosterPlayerModal.form.placeholders.phoneticName')}
+              disabled={loading}
+              error={!!errors.phonetic_name}
+            />
+            <p className="mt-1 text-xs text-slate-400">
+              {t('editRosterPlayerModal.form.helperText.phoneticName')}
+            </p>
+          </FormGroup>
+
           {/* Jersey Number */}
           <FormGroup label={t('editRosterPlayerModal.form.labels.jerseyNumber')} error={errors.jersey_number}>
             <Select
@@ -0,0 +1,201 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { AlertCircle, Shield } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { Button } from '../shared/UI';
+import { Alert } from '../shared/Alert';
+import { LoadingSpinner } from '../shared/LoadingSpinner';
+import { EmptyState } from '../shared/EmptyState';
+import { useTeam } from '../../contexts/TeamContext';
+import { getGoalieHistory } from '../../services/goalieRotationService';
+import { proposeGoalieAssignments } from '../../utils/goalieRotation';
+
+const formatPeriods = (value) => (value % 1 === 0 ? value.toString() : value.toFixed(1));
+
+/**
+ * Goalie Planner Screen
+ * Shows each roster player's goalie periods this season and lets coaches mark
+ * who is willing to play goalie. The same rotation prefills the period goalie
+ * selectors in ConfigurationScreen.
+ */
+export function GoaliePlannerScreen({ onNavigateBack, pushNavigationState, removeFromNavigationStack }) {
+  const { t } = useTranslation('team');
+  const { t: tCommon } = useTranslation('common');
+  const { currentTeam, teamPlayers, canManageTeam, updateRosterPlayer } = useTeam();
+  const [history, setHistory] = useState(new Map());
+  const [matchCount, setMatchCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [savingPlayerId, setSavingPlayerId] = useState(null);
+
+  const translateError = useCallback((message, fallbackKey) => {
+    if (!message) return t(fallbackKey);
+    return tCommon(message, { defaultValue: message });
+  }, [t, tCommon]);
+
+  const fetchHistory = useCallback(async () => {
+    if (!currentTeam?.id) {
+      setHistory(new Map());
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    const result = await getGoalieHistory(currentTeam.id);
+
+    if (result.success) {
+      setHistory(result.history);
+      setMatchCount(result.matchCount || 0);
+    } else {
+      setHistory(new Map());
+      setError(translateError(result.error, 'goaliePlanner.errors.loadFailed'));
+    }
+
+    setLoading(false);
+  }, [currentTeam?.id, translateError]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  // Register browser back handler
+  useEffect(() => {
+    if (pushNavigationState) {
+      pushNavigationState(() => {
+        onNavigateBack();
+      });
+    }
+
+    return () => {
+      if (removeFromNavigationStack) {
+        removeFromNavigationStack();
+      }
+    };
+  }, [pushNavigationState, removeFromNavigationStack, onNavigateBack]);
+
+  const players = useMemo(() => {
+    return (teamPlayers || [])
+      .filter(player => player.on_roster !== false)
+      .map(player => ({
+        id: player.id,
+        name: player.display_name || player.first_name,
+        jerseyNumber: player.jersey_number,
+        willing: Boolean(player.willing_goalie),
+        goaliePeriods: history.get(player.id)?.goaliePeriods || 0,
+        goalieMatches: history.get(player.id)?.goalieMatches || 0
+      }))
+      .sort((a, b) => {
+        const diff = a.goaliePeriods - b.goaliePeriods;
+        if (diff !== 0) return diff;
+        return (a.name || '').localeCompare(b.name || '');
+      });
+  }, [teamPlayers, history]);
+
+  const hasWilling = players.some(player => player.willing);
+
+  const nextUpId = useMemo(() => {
+    const proposal = proposeGoalieAssignments({
+      squadPlayers: players,
+      numPeriods: 1,
+      history,
+      willingIds: players.filter(player => player.willing).map(player => player.id)
+    });
+    return proposal[1] || null;
+  }, [players, history]);
+
+  const handleToggleWilling = async (player) => {
+    setSavingPlayerId(player.id);
+    setError(null);
+    try {
+      await updateRosterPlayer(player.id, { willing_goalie: !player.willing });
+    } catch (err) {
+      console.error('Failed to update goalie willingness:', err);
+      setError(translateError('errors.goalieWillingFailed', 'goaliePlanner.errors.updateFailed'));
+    } finally {
+      setSavingPlayerId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-sky-300">{t('goaliePlanner.title')}</h1>
+        <Button onClick={onNavigateBack} variant="secondary" size="sm">
+          {t('goaliePlanner.back')}
+        </Button>
+      </div>
+
+      <p className="text-sm text-slate-300">{t('goaliePlanner.description')}</p>
+
+      {error && (
+        <Alert variant="error" icon={AlertCircle}>
+          <div className="flex items-center justify-between gap-4">
+            <span>{error}</span>
+            <Button onClick={fetchHistory} variant="secondary" size="sm">
+              {t('goaliePlanner.retry')}
+            </Button>
+          </div>
+        </Alert>
+      )}
+
+      {!hasWilling && players.length > 0 && (
+        <Alert variant="info">{t('goaliePlanner.noWilling')}</Alert>
+      )}
+
+      {loading ? (
+        <div className="bg-slate-700 rounded-lg border border-slate-600 p-8">
+          <LoadingSpinner size="sm" message={t('goaliePlanner.loading')} />
+        </div>
+      ) : players.length === 0 ? (
+        <EmptyState icon={Shield} title={t('goaliePlanner.empty')} />
+      ) : (
+        <div className="bg-slate-800 rounded-lg border border-slate-600 overflow-hidden">
+          <div className="px-4 py-2 text-xs text-slate-400 border-b border-slate-600">
+            {t('goaliePlanner.matchesCounted', { count: matchCount })}
+          </div>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-slate-400">
+                <th className="px-4 py-2 font-medium">{t('goaliePlanner.columns.player')}</th>
+                <th className="px-4 py-2 font-medium text-right">{t('goaliePlanner.columns.periods')}</th>
+                <th className="px-4 py-2 font-medium text-right">{t('goaliePlanner.columns.matches')}</th>
+                <th className="px-4 py-2 font-medium text-center">{t('goaliePlanner.columns.willing')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {players.map(player => (
+                <tr key={player.id} className="border-t border-slate-700" data-testid="goalie-planner-row">
+                  <td className="px-4 py-2 text-slate-100">
+                    <div className="flex items-center gap-2">
+                      {player.jerseyNumber && (
+                        <span className="text-xs text-slate-400">#{player.jerseyNumber}</span>
+                      )}
+                      <span>{player.name}</span>
+                      {player.id === nextUpId && (
+                        <span className="rounded bg-sky-900/50 px-2 py-0.5 text-xs text-sky-200">
+                          {t('goaliePlanner.nextUp')}
+                        </span>
+                      )}
+                    </div>
+                  </td>
+                  <td className="px-4 py-2 text-right font-mono text-slate-200">{formatPeriods(player.goaliePeriods)}</td>
+                  <td className="px-4 py-2 text-right font-mono text-slate-200">{player.goalieMatches}</td>
+                  <td className="px-4 py-2 text-center">
+                    <input
+                      type="checkbox"
+                      checked={player.willing}
+                      disabled={!canManageTeam || savingPlayerId === player.id}
+                      onChange={() => handleToggleWilling(player)}
+                      aria-label={t('goaliePlanner.willingLabel', { name: player.name })}
+                      className="h-4 w-4 rounded border-slate-500 text-sky-500 focus:ring-sky-500"
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useTranslation } from 'react-i18next';
+import { CheckCircle, Trash2 } from 'lucide-react';
+import { Select } from '../shared/UI';
+import { IconButton } from '../shared/IconButton';
+import { AUDIO_ALERT_OPTIONS, VIBRATION_PATTERNS } from '../../constants/audioAlerts';
+import {
+  MATCH_ALERT_TYPES,
+  MATCH_ALERT_TYPE_CONFIG,
+  MAX_MATCH_ALERT_RULES,
+  createMatchAlertRule,
+  hasMinutesThreshold
+} from '../../game/logic/matchAlerts';
+
+/**
+ * MatchAlertRulesEditor Component
+ *
+ * Edits the team's match alert rules: per rule an on/off toggle, the minutes
+ * threshold for timed rules, and the sound and vibration pattern to play.
+ *
+ * @param {Array} rules - Normalized match alert rules
+ * @param {Function} onChange - Called with the updated rule list
+ */
+export function MatchAlertRulesEditor({ rules, onChange }) {
+  const { t } = useTranslation('team');
+
+  const updateRule = (ruleId, updates) => {
+    onChange(rules.map(rule => (rule.id === ruleId ? { ...rule, ...updates } : rule)));
+  };
+
+  const removeRule = (ruleId) => {
+    onChange(rules.filter(rule => rule.id !== ruleId));
+  };
+
+  const addRule = (type) => {
+    if (!type) return;
+    onChange([...rules, createMatchAlertRule(type)]);
+  };
+
+  const soundOptions = AUDIO_ALERT_OPTIONS.map(option => ({ value: option.value, label: option.label }));
+  const vibrationOptions = Object.keys(VIBRATION_PATTERNS).map(pattern => ({
+    value: pattern,
+    label: t(`teamManagement.preferences.matchAlerts.vibrationOptions.${pattern}`)
+  }));
+  const typeOptions = Object.values(MATCH_ALERT_TYPES).map(type => ({
+    value: type,
+    label: t(`teamManagement.preferences.matchAlerts.types.${type}`)
+  }));
+
+  const getMinuteOptions = (type) => {
+    const { minMinutes, maxMinutes } = MATCH_ALERT_TYPE_CONFIG[type];
+    return Array.from({ length: maxMinutes - minMinutes + 1 }, (_, index) => {
+      const minutes = minMinutes + index;
+      return { value: String(minutes), label: t('teamManagement.preferences.matchAlerts.minutes', { minutes }) };
+    });
+  };
+
+  return (
+    <div className="space-y-3">
+      {rules.length === 0 && (
+        <p className="text-sm text-slate-400">{t('teamManagement.preferences.matchAlerts.noRules')}</p>
+      )}
+
+      {rules.map(rule => {
+        const typeLabel = t(`teamManagement.preferences.matchAlerts.types.${rule.type}`);
+
+        return (
+          <div key={rule.id} className="p-3 bg-slate-700/50 rounded-md border border-slate-600 space-y-3">
+            <div className="flex items-center justify-between">
+              <label className="flex items-center cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={rule.enabled}
+                  onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+                  className="sr-only"
+                  aria-label={typeLabel}
+                />
+                <div className={`w-4 h-4 rounded border-2 mr-3 flex items-center justify-center ${
+                  rule.enabled
+                    ? 'bg-sky-600 border-sky-600'
+                    : 'border-slate-400'
+                }`}>
+                  {rule.enabled && (
+                    <CheckCircle className="w-3 h-3 text-white" />
+                  )}
+                </div>
+                <span className="text-slate-300">{typeLabel}</span>
+              </label>
+              <IconButton
+                onClick={() => removeRule(rule.id)}
+                icon={Trash2}
+                label={t('teamManagement.preferences.matchAlerts.removeRule', { type: typeLabel })}
+                variant="danger"
+                size="sm"
+              />
+            </div>
+
+            <div className={`grid grid-cols-1 gap-3 ${hasMinutesThreshold(rule.type) ? 'md:grid-cols-3' : 'md:grid-cols-2'}`}>
+              {hasMinutesThreshold(rule.type) && (
+                <Select
+                  value={String(rule.minutes)}
+                  onChange={(value) => updateRule(rule.id, { minutes: parseInt(value, 10) })}
+                  options={getMinuteOptions(rule.type)}
+                  disabled={!rule.enabled}
+                />
+              )}
+              <Select
+                value={rule.sound}
+                onChange={(value) => updateRule(rule.id, { sound: value })}
+                options={soundOptions}
+                disabled={!rule.enabled}
+              />
+              <Select
+                value={rule.vibration}
+                onChange={(value) => updateRule(rule.id, { vibration: value })}
+                options={vibrationOptions}
+                disabled={!rule.enabled}
+              />
+            </div>
+          </div>
+        );
+      })}
+
+      {rules.length < MAX_MATCH_ALERT_RULES && (
+        <Select
+          value=""
+          onChange={addRule}
+          options={typeOptions}
+          placeholder={t('teamManagement.preferences.matchAlerts.addRule')}
+        />
+      )}
+    </div>
+  );
+}
+
+MatchAlertRulesEditor.propTypes = {
+  rules: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    type: PropTypes.string.isRequired,
+    enabled: PropTypes.bool.isRequired,
+    minutes: PropTypes.number,
+    sound: PropTypes.string.isRequired,
+    vibration: PropTypes.string.isRequired
+  })).isRequired,
+  onChange: PropTypes.func.isRequired
+};
@@ -0,0 +1,339 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { AlertCircle, Radio, Users } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { Button } from '../shared/UI';
+import { Alert } from '../shared/Alert';
+import { LoadingSpinner } from '../shared/LoadingSpinner';
+import { EmptyState } from '../shared/EmptyState';
+import { useAuth } from '../../contexts/AuthContext';
+import { getParentOverview } from '../../services/parentPortalService';
+import { respondToAvailabilityRequest } from '../../services/availabilityRequestService';
+import { isAvailabilityRequestOpen } from '../../utils/availabilityRequests';
+import { parseDateKey } from '../../utils/trainingUtils';
+import { VIEWS } from '../../constants/viewConstants';
+
+const toMinutes = (seconds) => Math.round((seconds || 0) / 60);
+
+/**
+ * Parent Home Screen
+ * Overview for team members with the parent role: each player linked to them
+ * through player.related_to with their minutes, goals and positions from
+ * finished matches, the team's upcoming matches and a live link while a match
+ * is running. Coaches' availability requests are answered from the upcoming
+ * list. Players linked to their own account get the same view as My Matches.
+ */
+export function ParentHomeScreen({
+  onNavigateBack,
+  onNavigateTo,
+  pushNavigationState,
+  removeFromNavigationStack,
+  isPlayerView = false
+}) {
+  const { t, i18n } = useTranslation('team');
+  const { t: tCommon } = useTranslation('common');
+  const { user } = useAuth();
+  const [children, setChildren] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [answeringKey, setAnsweringKey] = useState(null);
+
+  const translateError = useCallback((message, fallbackKey) => {
+    if (!message) return t(fallbackKey);
+    return tCommon(message, { defaultValue: message });
+  }, [t, tCommon]);
+
+  const fetchOverview = useCallback(async () => {
+    if (!user?.id) {
+      setChildren([]);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    const result = await getParentOverview(user.id);
+
+    if (result.success) {
+      setChildren(result.children || []);
+    } else {
+      setChildren([]);
+      setError(translateError(result.error, 'parentHome.errors.loadFailed'));
+    }
+
+    setLoading(false);
+  }, [user?.id, translateError]);
+
+  useEffect(() => {
+    fetchOverview();
+  }, [fetchOverview]);
+
+  // Register browser back handler
+  useEffect(() => {
+    if (pushNavigationState) {
+      pushNavigationState(() => {
+        onNavigateBack();
+      });
+    }
+
+    return () => {
+      if (removeFromNavigationStack) {
+        removeFromNavigationStack();
+      }
+    };
+  }, [pushNavigationState, removeFromNavigationStack, onNavigateBack]);
+
+  const handleWatchLive = (matchId) => {
+    onNavigateTo(VIEWS.LIVE_MATCH, {
+      matchId,
+      entryPoint: VIEWS.PARENT_HOME
+    });
+  };
+
+  const handleAnswer = async (child, match, available) => {
+    setAnsweringKey(`${child.id}:${match.id}`);
+    setError(null);
+
+    const result = await respondToAvailabilityRequest(match.id, child.id, available);
+
+    if (result.success) {
+      setChildren(prev => prev.map(item => (item.id !== child.id ? item : {
+        ...item,
+        upcomingMatches: item.upcomingMatches.map(entry => (entry.id !== match.id ? entry : {
+          ...entry,
+          availabilityRequest: {
+            ...entry.availabilityRequest,
+            availability: result.availability,
+            respondedAt: result.respondedAt
+          }
+        }))
+      })));
+    } else {
+      setError(translateError(result.error, 'parentHome.availability.failed'));
+    }
+
+    setAnsweringKey(null);
+  };
+
+  const formatDeadline = (timestamp) => new Date(timestamp).toLocaleString(i18n.language, {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  const renderAvailabilityRequest = (child, match) => {
+    const request = match.availabilityRequest;
+    const isOpen = isAvailabilityRequestOpen(request);
+    const isAnswering = answeringKey === `${child.id}:${match.id}`;
+    const answerLabel = request.availability === 'available'
+      ? t('parentHome.availability.canPlay')
+      : request.availability === 'unavailable'
+        ? t('parentHome.availability.cannotPlay')
+        : null;
+
+    return (
+      <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-slate-400" data-testid="parent-home-availability">
+        <span>
+          {answerLabel
+            ? t('parentHome.availability.answered', { answer: answerLabel })
+            : isOpen
+              ? t('parentHome.availability.question')
+              : t('parentHome.availability.notAnswered')}
+          {request.deadline && ` · ${t(isOpen ? 'parentHome.availability.deadline' : 'parentHome.availability.closed', {
+            deadline: formatDeadline(request.deadline)
+          })}`}
+        </span>
+        {isOpen && (
+          <div className="flex gap-2">
+            <Button
+              onClick={() => handleAnswer(child, match, true)}
+              variant={request.availability === 'available' ? 'primary' : 'secondary'}
+              size="sm"
+              disabled={isAnswering}
+            >
+              {t('parentHome.availability.canPlay')}
+            </Button>
+            <Button
+              onClick={() => handleAnswer(child, match, false)}
+              variant={request.availability === 'unavailable' ? 'danger' : 'secondary'}
+              size="sm"
+              disabled={isAnswering}
+            >
+              {t('parentHome.availability.cannotPlay')}
+            </Button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const formatEntryDate = (entry) => {
+    const date = parseDateKey(entry.date);
+    const label = date
+      ? date.toLocaleDateString(i18n.language, { weekday: 'short', day: 'numeric', month: 'short' })
+      : entry.date;
+    return entry.time ? `${label} ${entry.time}` : label;
+  };
+
+  const formatPlayedAt = (timestamp) => {
+    if (!timestamp) return '';
+    return new Date(timestamp).toLocaleDateString(i18n.language, { day: 'numeric', month: 'short' });
+  };
+
+  const opponentName = (opponent) => opponent || t('parentHome.internalMatch');
+
+  const renderChild = (child) => {
+    const { stats } = child;
+
+    return (
+      <div key={child.id} className="bg-slate-700 rounded-lg border border-slate-600 p-4 space-y-4" data-testid="parent-home-child">
+        <div className="flex items-baseline justify-between gap-2">
+          <h2 className="text-lg font-semibold text-slate-100">
+            {child.jerseyNumber && (
+              <span className="mr-2 text-sm text-slate-400">#{child.jerseyNumber}</span>
+            )}
+            {child.name}
+          </h2>
+          {child.teamName && <span className="text-xs text-slate-400">{child.teamName}</span>}
+        </div>
+
+        {child.liveMatches.map(match => (
+          <div
+            key={match.id}
+            className="flex items-center justify-between gap-3 rounded-md border border-emerald-600 bg-emerald-900/30 px-3 py-2"
+          >
+            <div className="flex items-center gap-2 text-sm text-emerald-100">
+              <Radio className="h-4 w-4 animate-pulse" />
+              <span>{t('parentHome.live.match', { opponent: opponentName(match.opponent) })}</span>
+            </div>
+            <Button onClick={() => handleWatchLive(match.id)} variant="primary" size="sm">
+              {t('parentHome.live.watch')}
+            </Button>
+          </div>
+        ))}
+
+        <div className="grid grid-cols-3 gap-2 text-center">
+          <div className="rounded-md bg-slate-800 px-2 py-3">
+            <div className="text-xl font-bold text-sky-300">{stats.matchesPlayed}</div>
+            <div className="text-xs text-slate-400">{t('parentHome.stats.matches')}</div>
+          </div>
+          <div className="rounded-md bg-slate-800 px-2 py-3">
+            <div className="text-xl font-bold text-sky-300">{toMinutes(stats.secondsPlayed)}</div>
+            <div className="text-xs text-slate-400">{t('parentHome.stats.minutes')}</div>
+          </div>
+          <div className="rounded-md bg-slate-800 px-2 py-3">
+            <div className="text-xl font-bold text-sky-300">{stats.goals}</div>
+            <div className="text-xs text-slate-400">{t('parentHome.stats.goals')}</div>
+          </div>
+        </div>
+
+        {stats.positions.length > 0 && (
+          <div className="space-y-1">
+            <h3 className="text-sm font-medium text-slate-300">{t('parentHome.positions.title')}</h3>
+            {stats.positions.map(({ position, seconds, percent }) => (
+              <div key={position} className="flex items-center gap-2 text-xs text-slate-300">
+                <span className="w-24 shrink-0">{t(`parentHome.positions.${position}`)}</span>
+                <div className="h-2 flex-1 rounded bg-slate-800">
+                  <div className="h-2 rounded bg-sky-500" style={{ width: `${percent}%` }} />
+                </div>
+                <span className="w-24 shrink-0 text-right">
+                  {t('parentHome.positions.share', { percent, minutes: toMinutes(seconds) })}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="space-y-1">
+          <h3 className="text-sm font-medium text-slate-300">{t('parentHome.upcoming.title')}</h3>
+          {child.upcomingMatches.length === 0 ? (
+            <p className="text-xs text-slate-400">{t('parentHome.upcoming.none')}</p>
+          ) : (
+            <ul className="space-y-1">
+              {child.upcomingMatches.map(match => (
+                <li key={match.id} className="space-y-1">
+                  <div className="flex items-center justify-between gap-2 text-sm text-slate-200">
+                    <span>{t('parentHome.upcoming.match', { opponent: opponentName(match.opponent) })}</span>
+                    <span className="text-xs text-slate-400">{formatEntryDate(match)}</span>
+                  </div>
+                  {match.availabilityRequest && renderAvailabilityRequest(child, match)}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="space-y-1">
+          <h3 className="text-sm font-medium text-slate-300">{t('parentHome.recent.title')}</h3>
+          {stats.recentMatches.length === 0 ? (
+            <p className="text-xs text-slate-400">{t('parentHome.recent.none')}</p>
+          ) : (
+            <ul className="space-y-1">
+              {stats.recentMatches.map(match => (
+                <li key={match.matchId} className="flex items-center justify-between gap-2 text-sm text-slate-200">
+                  <span>
+                    {match.goalsScored !== null && match.goalsConceded !== null
+                      ? t('parentHome.recent.result', {
+                        opponent: opponentName(match.opponent),
+                        scored: match.goalsScored,
+                        conceded: match.goalsConceded
+                      })
+                      : t('parentHome.upcoming.match', { opponent: opponentName(match.opponent) })}
+                  </span>
+                  <span className="text-xs text-slate-400">
+                    {t('parentHome.recent.played', { minutes: toMinutes(match.secondsPlayed) })}
+                    {match.goals > 0 && ` · ${t('parentHome.recent.goals', { count: match.goals })}`}
+                    {match.playedAt && ` · ${formatPlayedAt(match.playedAt)}`}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-sky-300">{isPlayerView ? t('parentHome.playerTitle') : t('parentHome.title')}</h1>
+        <Button onClick={onNavigateBack} variant="secondary" size="sm">
+          {t('parentHome.back')}
+        </Button>
+      </div>
+
+      <p className="text-sm text-slate-300">{isPlayerView ? t('parentHome.playerDescription') : t('parentHome.description')}</p>
+
+      {error && (
+        <Alert variant="error" icon={AlertCircle}>
+          <div className="flex items-center justify-between gap-4">
+            <span>{error}</span>
+            <Button onClick={fetchOverview} variant="secondary" size="sm">
+              {t('parentHome.retry')}
+            </Button>
+          </div>
+        </Alert>
+      )}
+
+      {loading ? (
+        <div className="bg-slate-700 rounded-lg border border-slate-600 p-8">
+          <LoadingSpinner size="sm" message={t('parentHome.loading')} />
+        </div>
+      ) : children.length === 0 ? (
+        !error && (
+          <EmptyState
+            icon={Users}
+            title={t('parentHome.empty.title')}
+            message={t('parentHome.empty.message')}
+          />
+        )
+      ) : (
+        <div className="space-y-4">
+          {children.map(renderChild)}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -6,8 +6,10 @@ import { useTranslation } from 'react-i18next';
 import { getMinimumPlayersForFormat } from '../../constants/teamConfiguration';
 import { planUpcomingMatch } from '../../services/matchPlanningService';
 import { getSquadSelectionsForMatches } from '../../services/matchStateManager';
+import { requestMatchAvailability } from '../../services/availabilityRequestService';
 import { useAutoSelectPreferences } from '../../hooks/useAutoSelectPreferences';
 import { useAttendanceStats } from '../../hooks/useAttendanceStats';
+import { useSeasonMatchLoad } from '../../hooks/useSeasonMatchLoad';
 import { usePlanProgress } from '../../hooks/usePlanProgress';
 import { usePlanningDefaults } from '../../hooks/usePlanningDefaults';
 import { useUnavailablePlayersByMatch } from '../../hooks/useUnavailablePlayersByMatch';
@@ -16,7 +18,14 @@ import { useCrossMatchDrag } from '../../hooks/useCrossMatchDrag';
 import { MatchCard } from './planMatches/MatchCard';
 import { AutoSelectModal } from './planMatches/AutoSelectModal';
 import { PlanMatchesToolbar } from './planMatches/PlanMatchesToolbar';
-import { autoSelectMultipleMatches, autoSelectSingleMatch, buildSortedRoster } from '../../utils/autoSelectAlgorithms';
+import { FairnessReport } from './planMatches/FairnessReport';
+import { AUTO_SELECT_STRATEGY } from '../../constants/planMatchesConstants';
+import {
+  autoSelectFairMatches,
+  autoSelectMultipleMatches,
+  autoSelectSingleMatch,
+  buildSortedRoster
+} from '../../utils/autoSelectAlgorithms';
 
 const DEBUG_ENABLED = process.env.NODE_ENV !== 'production';
 
@@ -31,6 +40,7 @@ export function PlanMatchesScreen({
   const [notification, setNotification] = useState({ isOpen: false, title: '', message: '' });
   const [showAutoSelectModal, setShowAutoSelectModal] = useState(false);
   const [autoSelectMatchId, setAutoSelectMatchId] = useState(null);
+  const [fairnessReport, setFairnessReport] = useState(null);
 
   const {
     unavailablePlayersByMatch,
@@ -111,7 +121,14 @@ export function PlanMatchesScreen({
     }
     return matches;
   }, [autoSelectMatchId, matches]);
-  const { providerUnavailableByMatch, providerResponseByMatch, providerInvitedByMatch, providerAvailabilityLoading } = useProviderAvailability(matches);
+  const {
+    providerUnavailableByMatch,
+    providerResponseByMatch,
+    providerInvitedByMatch,
+    providerAvailabilityLoading,
+    availabilityRequestsByMatch = {},
+    reloadAvailabilityRequests
+  } = useProviderAvailability(matches);
   const mergedUnavailableByMatch = useMemo(() => {
     const merged = {};
     const allMatchIds = new Set([
@@ -143,6 +160,7 @@ export function PlanMatchesScreen({
   }, []);
 
   const { attendanceStats, statsLoading, statsError } = useAttendanceStats(currentTeam?.id, startDate, endDate);
+  const { seasonLoadByPlayerId, seasonLoadLoading, seasonLoadError } = useSeasonMatchLoad(currentTeam?.id, loadTeamPreferences);
   const { defaults, defaultsError } = usePlanningDefaults(currentTeam?.id, loadTeamPreferences);
 
   useEffect(() => {
@@ -249,7 +267,8 @@ export function PlanMatchesScreen({
         firstName: player.first_name || null,
         lastName: player.last_name || null,
         jerseyNumber: player.jersey_number,
-        relatedUser: player.related_user || null
+        relatedUser: player.related_user || null,
+        relatedTo: player.related_to || null
       }));
   }, [teamPlayers, t]);
 
@@ -296,13 +315,16 @@ export function PlanMatchesScreen({
   const rosterWithStats = useMemo(() => {
     return rosterPlayers.map(player => {
       const stats = statsByPlayerId.get(player.id);
+      const seasonLoad = seasonLoadByPlayerId.get(player.id);
       return {
         ...player,
         practicesPerMatch: stats?.practicesPerMatch ?? 0,
-        attendanceRate: stats?.attendanceRate ?? 0
+        attendanceRate: stats?.attendanceRate ?? 0,
+        seasonMatches: seasonLoad?.seasonMatches ?? 0,
+        goalieMatches: seasonLoad?.goalieMatches ?? 0
       };
     });
-  }, [rosterPlayers, statsByPlayerId]);
+  }, [rosterPlayers, seasonLoadByPlayerId, statsByPlayerId]);
 
   const rosterById = useMemo(() => {
     const map = new Map();
@@ -511,9 +533,37 @@ export function PlanMatchesScreen({
       ...prev,
       [matchId]: selected
     }));
+    setFairnessReport(null);
   }, [mergedUnavailableByMatch, rosterWithStats, targetCounts, setSelectedPlayersByMatch]);
 
+  const runAutoSelectFairMatches = useCallback(() => {
+    const minimumByMatch = matches.reduce((acc, match) => {
+      acc[match.id] = getMinimumPlayersForFormat(match.format || defaults?.format);
+      return acc;
+    }, {});
+
+    const { selections, explanations, shortfalls } = autoSelectFairMatches({
+      rosterWithStats,
+      metric: AUTO_SELECT_STRATEGY.PRACTICES,
+      matches,
+      targetCounts,
+      unavailableByMatch: mergedUnavailableByMatch,
+      minimumByMatch
+    });
+
+    setSelectedPlayersByMatch((prev) => ({
+      ...prev,
+      ...selections
+    }));
+    setFairnessReport({ explanations, shortfalls });
+  }, [defaults?.format, matches, mergedUnavailableByMatch, rosterWithStats, targetCounts, setSelectedPlayersByMatch]);
+
   const runAutoSelectMultipleMatches = useCallback((metric, ensureCoverage) => {
+    if (metric === AUTO_SELECT_STRATEGY.FAIRNESS) {
+      runAutoSelectFairMatches();
+      return;
+    }
+
     const nextSelections = autoSelectMultipleMatches({
       rosterWithStats,
       metric,
@@ -527,7 +577,8 @@ export function PlanMatchesScreen({
       ...prev,
       ...nextSelections
     }));
-  }, [matches, mergedUnavailableByMatch, rosterWithStats, targetCounts, setSelectedPlayersByMatch]);
+    setFairnessReport(null);
+  }, [matches, mergedUnavailableByMatch, rosterWithStats, runAutoSelectFairMatches, targetCounts, setSelectedPlayersByMatch]);
 
   const isPlayerInMultipleMatches = useCallback((playerId) => {
     const matchesWithPlayer = matches.filter(match =>
@@ -594,6 +645,14 @@ export function PlanMatchesScreen({
     setAutoSelectMatchId(null);
   };
 
+  const handleRequestAvailability = async (matchId, deadline) => {
+    const result = await requestMatchAvailability(matchId, { deadline });
+    if (result.success && reloadAvailabilityRequests) {
+      reloadAvailabilityRequests();
+    }
+    return result;
+  };
+
   const handlePlanMatch = async (match) => {
     if (!currentTeam?.id || !defaults) {
       return;
@@ -699,12 +758,19 @@ export function PlanMatchesScreen({
       <PlanMatchesToolbar
         sortMetric={sortMetric}
         onSortChange={setSortMetric}
-        statsLoading={statsLoading}
-        statsError={statsError}
+        statsLoading={statsLoading || seasonLoadLoading}
+        statsError={statsError || seasonLoadError}
         defaultsError={defaultsError}
         onRecommend={handleAutoSelect}
       />
 
+      <FairnessReport
+        report={fairnessReport}
+        matches={matches}
+        rosterById={rosterById}
+        onClose={() => setFairnessReport(null)}
+      />
+
       <div className={`grid gap-4 ${matches.length > 1 ? 'lg:grid-cols-2' : ''}`}>
         {matches.map((match) => {
           const selectedIds = selectedPlayersByMatch[match.id] || [];
@@ -715,6 +781,8 @@ export function PlanMatchesScreen({
             (playerId) => matchResponses[playerId] === 'accepted'
           );
           const playerResponses = invitationsSent ? matchResponses : null;
+          // Requests are sent for fixtures; pending matches are already planned
+          const canRequestAvailability = match.state !== 'pending' && planningStatus[match.id] !== 'done';
 
           return (
             <MatchCard
@@ -728,6 +796,10 @@ export function PlanMatchesScreen({
               unavailableIds={unavailableIds}
               providerUnavailableIds={providerUnavailableIds}
               playerResponses={playerResponses}
+              availabilityRequest={availabilityRequestsByMatch[match.id] || null}
+              onRequestAvailability={canRequestAvailability
+                ? (deadline) => handleRequestAvailability(match.id, deadline)
+                : null}
               sortMetric={sortMetric}
               planningStatus={planningStatus[match.id]}
               canPlan={Boolean(defaults)}
@@ -763,6 +835,8 @@ export function PlanMatchesScreen({
         onCancel={handleAutoSelectCancel}
         onConfirm={handleAutoSelectConfirm}
         formatSchedule={formatSchedule}
+        availabilityRequestsByMatch={availabilityRequestsByMatch}
+        roster={rosterPlayers}
       />
 
       <NotificationModal
@@ -9,6 +9,7 @@ import { SectionHeader } from '../shared/SectionHeader';
 import { PlayerLoanModal } from './PlayerLoanModal';
 import { useBrowserBackIntercept } from '../../hooks/useBrowserBackIntercept';
 import { useTeam } from '../../contexts/TeamContext';
+import { useTeamSeasons } from '../../hooks/useTeamSeasons';
 import { deleteMatchLoans, getTeamLoans, recordPlayerLoans } from '../../services/playerLoanService';
 import { TimeFilter } from '../statistics/TimeFilter';
 import { createPersistenceManager } from '../../utils/persistenceManager';
@@ -16,6 +17,7 @@ import { STORAGE_KEYS } from '../../constants/storageKeys';
 import { TIME_PRESETS } from '../../constants/timePresets';
 import { BREAKPOINTS } from '../../constants/layoutConstants';
 import { formatPlayerDisplayName } from '../../utils/playerUtils';
+import { isSeasonPresetId } from '../../utils/seasonUtils';
 
 const buildPlayerLabel = (player) => {
   const name = formatPlayerDisplayName(player);
@@ -40,7 +42,7 @@ const getInitialTimeRange = (timeRangePersistence) => {
   const stored = timeRangePersistence.loadState();
   const presetId = stored?.presetId || 'all-time';
 
-  if (presetId === 'custom') {
+  if (presetId === 'custom' || isSeasonPresetId(presetId)) {
     const parseDate = (value) => {
       if (!value) return null;
       const parsed = new Date(value);
@@ -49,7 +51,7 @@ const getInitialTimeRange = (timeRangePersistence) => {
     return {
       start: parseDate(stored?.customStartDate),
       end: parseDate(stored?.customEndDate),
-      presetId: 'custom'
+      presetId
     };
   }
 
@@ -113,6 +115,7 @@ const groupLoansByMatch = (loans, rosterLookup, t) => {
 export default function PlayerLoansView({ currentTeam, canManageTeam }) {
   const { t } = useTranslation('team');
   const { getTeamRoster } = useTeam();
+  const { seasons } = useTeamSeasons(currentTeam?.id);
   const { pushNavigationState, removeFromNavigationStack } = useBrowserBackIntercept();
   const isBelowLgBreakpoint = useCallback(() => {
     return typeof window !== 'undefined' && window.innerWidth < BREAKPOINTS.LG;
@@ -179,8 +182,8 @@ export default function PlayerLoansView({ currentTeam, canManageTeam }) {
 
     const result = await getTeamLoans(currentTeam.id, {
       startDate: formatDateForBackend(timeRangeStart),
-      // CRITICAL: Only apply endDate for custom preset (future loans always visible otherwise)
-      endDate: (selectedPresetId === 'custom' && timeRangeEnd)
+      // CRITICAL: Only apply endDate for custom ranges and seasons (future loans always visible otherwise)
+      endDate: ((selectedPresetId === 'custom' || isSeasonPresetId(selectedPresetId)) && timeRangeEnd)
         ? formatDateForBackend(timeRangeEnd)
         : null
     });
@@ -229,9 +232,9 @@ export default function PlayerLoansView({ currentTeam, canManageTeam }) {
   };
 
   useEffect(() => {
-    if (selectedPresetId === 'custom') {
+    if (selectedPresetId === 'custom' || isSeasonPresetId(selectedPresetId)) {
       timeRangePersistence.saveState({
-        presetId: 'custom',
+        presetId: selectedPresetId,
         customStartDate: timeRangeStart ? timeRangeStart.toISOString() : null,
         customEndDate: timeRangeEnd ? timeRangeEnd.toISOString() : null
       });
@@ -562,6 +565,7 @@ export default function PlayerLoansView({ currentTeam, canManageTeam }) {
                 endDate={timeRangeEnd}
                 selectedPresetId={selectedPresetId}
                 onTimeRangeChange={handleTimeRangeChange}
+                seasons={seasons}
                 className="w-full"
               />
             </div>
@@ -0,0 +1,595 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Archive, CalendarRange, ChevronDown, ChevronUp, Edit3, PlusCircle, Trash2 } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { Button, ConfirmationModal, Input, Select } from '../shared/UI';
+import { IconButton } from '../shared/IconButton';
+import { Alert } from '../shared/Alert';
+import { FormGroup } from '../shared/FormGroup';
+import { SectionHeader } from '../shared/SectionHeader';
+import { useBrowserBackIntercept } from '../../hooks/useBrowserBackIntercept';
+import { useTeamSeasons } from '../../hooks/useTeamSeasons';
+import { useTeam } from '../../contexts/TeamContext';
+import {
+  createSeason,
+  deleteSeason,
+  getSeasonStats,
+  rolloverSeason,
+  updateSeason
+} from '../../services/seasonService';
+import { FORMATS, FORMAT_CONFIGS } from '../../constants/teamConfiguration';
+import { parseDateKey } from '../../utils/trainingUtils';
+import { SEASON_STATUS, suggestNextSeason } from '../../utils/seasonUtils';
+import { formatPlayerDisplayName } from '../../utils/playerUtils';
+
+const createEmptyForm = () => {
+  const year = new Date().getFullYear();
+  return {
+    name: String(year),
+    startDate: `${year}-01-01`,
+    endDate: `${year}-12-31`,
+    ageGroup: '',
+    format: ''
+  };
+};
+
+const seasonToForm = (season) => ({
+  name: season.name || '',
+  startDate: season.start_date || '',
+  endDate: season.end_date || '',
+  ageGroup: season.age_group || '',
+  format: season.format || ''
+});
+
+const buildPlayerLabel = (player) => {
+  const name = formatPlayerDisplayName(player);
+  return player?.jersey_number ? `#${player.jersey_number} ${name}` : name;
+};
+
+/**
+ * SeasonsView - Named seasons and season rollover
+ *
+ * Coaches keep one current season per team. Starting the next season archives
+ * the roster and its aggregated statistics into season_stats, takes players
+ * who do not carry over off the roster and can bump jersey numbers.
+ */
+export default function SeasonsView({ currentTeam, canManageTeam }) {
+  const { t, i18n } = useTranslation('team');
+  const { t: tCommon } = useTranslation('common');
+  const { getTeamRoster, refreshTeamPlayers } = useTeam();
+  const { pushNavigationState, removeFromNavigationStack } = useBrowserBackIntercept();
+  const { seasons, loading, error: loadError, refresh } = useTeamSeasons(currentTeam?.id);
+  const [roster, setRoster] = useState(null);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState('');
+  const [editingSeasonId, setEditingSeasonId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(createEmptyForm);
+  const [saving, setSaving] = useState(false);
+  const [rolloverForm, setRolloverForm] = useState(null);
+  const [carryOverIds, setCarryOverIds] = useState(() => new Set());
+  const [jerseyOffset, setJerseyOffset] = useState('0');
+  const [expandedSeasonId, setExpandedSeasonId] = useState(null);
+  const [archiveStats, setArchiveStats] = useState({ seasonId: null, stats: [], loading: false });
+  const [deletingSeason, setDeletingSeason] = useState(null);
+
+  const translateError = useCallback((message, fallbackKey) => {
+    if (!message) return t(fallbackKey);
+    return tCommon(message, { defaultValue: message });
+  }, [t, tCommon]);
+
+  const fetchRoster = useCallback(async () => {
+    if (!currentTeam?.id) {
+      setRoster([]);
+      return;
+    }
+
+    try {
+      const rosterData = await getTeamRoster(currentTeam.id);
+      setRoster(rosterData || []);
+    } catch (err) {
+      console.error('Failed to load roster for seasons:', err);
+      setRoster([]);
+      setError(t('seasonsView.messages.rosterLoadFailed'));
+    }
+  }, [currentTeam?.id, getTeamRoster, t]);
+
+  useEffect(() => {
+    if (canManageTeam) {
+      fetchRoster();
+    }
+  }, [canManageTeam, fetchRoster]);
+
+  useEffect(() => {
+    if (!successMessage) return;
+
+    const timer = setTimeout(() => setSuccessMessage(''), 4000);
+    return () => clearTimeout(timer);
+  }, [successMessage]);
+
+  const rosterPlayers = useMemo(() => {
+    return (roster || [])
+      .filter(player => player.on_roster !== false)
+      .sort((a, b) => buildPlayerLabel(a).localeCompare(buildPlayerLabel(b)));
+  }, [roster]);
+
+  const activeSeason = seasons.find(season => season.status === SEASON_STATUS.ACTIVE) || null;
+
+  const formatOptions = useMemo(() => [
+    { value: '', label: t('seasonsView.form.noFormat') },
+    ...Object.values(FORMATS).map(format => ({
+      value: format,
+      label: FORMAT_CONFIGS[format]?.label || format
+    }))
+  ], [t]);
+
+  const formatSeasonDate = (dateKey) => {
+    const date = parseDateKey(dateKey);
+    if (!date) return dateKey;
+    return date.toLocaleDateString(i18n.language, { day: 'numeric', month: 'short', year: 'numeric' });
+  };
+
+  const updateForm = (field) => (value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updateRolloverForm = (field) => (value) => {
+    setRolloverForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleOpenCreate = () => {
+    setForm(createEmptyForm());
+    setEditingSeasonId(null);
+    setRolloverForm(null);
+    setShowForm(true);
+  };
+
+  const handleOpenEdit = (season) => {
+    setForm(seasonToForm(season));
+    setEditingSeasonId(season.id);
+    setRolloverForm(null);
+    setShowForm(true);
+  };
+
+  const handleCloseForm = () => {
+    setShowForm(false);
+    setEditingSeasonId(null);
+  };
+
+  const handleSave = async () => {
+    if (!currentTeam?.id) return;
+
+    setSaving(true);
+    setError(null);
+
+    const result = editingSeasonId
+      ? await updateSeason(editingSeasonId, form)
+      : await createSeason(currentTeam.id, form);
+
+    setSaving(false);
+
+    if (!result.success) {
+      setError(translateError(result.error, 'seasonsView.messages.saveFailed'));
+      return;
+    }
+
+    setSuccessMessage(editingSeasonId ? t('seasonsView.messages.updated') : t('seasonsView.messages.created'));
+    handleCloseForm();
+    refresh();
+  };
+
+  const handleOpenRollover = (season) => {
+    setShowForm(false);
+    setRolloverForm(suggestNextSeason(season));
+    setCarryOverIds(new Set(rosterPlayers.map(player => player.id)));
+    setJerseyOffset('0');
+  };
+
+  const handleToggleCarryOver = (playerId) => {
+    setCarryOverIds(prev => {
+      const next = new Set(prev);
+      if (next.has(playerId)) {
+        next.delete(playerId);
+      } else {
+        next.add(playerId);
+      }
+      return next;
+    });
+  };
+
+  const handleRollover = async () => {
+    if (!activeSeason || !rolloverForm) return;
+
+    setSaving(true);
+    setError(null);
+
+    const result = await rolloverSeason(activeSeason.id, {
+      nextSeason: rolloverForm,
+      carryOverPlayerIds: Array.from(carryOverIds),
+      jerseyOffset
+    });
+
+    setSaving(false);
+
+    if (!result.success) {
+      setError(translateError(result.error, 'seasonsView.messages.rolloverFailed'));
+      return;
+    }
+
+    setSuccessMessage(t('seasonsView.messages.rolledOver', {
+      name: rolloverForm.name,
+      archived: result.archivedPlayers,
+      released: result.releasedPlayers
+    }));
+    setRolloverForm(null);
+    refresh();
+    fetchRoster();
+    if (refreshTeamPlayers) {
+      refreshTeamPlayers(currentTeam.id);
+    }
+  };
+
+  const handleToggleArchive = async (season) => {
+    if (expandedSeasonId === season.id) {
+      setExpandedSeasonId(null);
+      return;
+    }
+
+    setExpandedSeasonId(season.id);
+    setArchiveStats({ seasonId: season.id, stats: [], loading: true });
+
+    const result = await getSeasonStats(season.id);
+
+    if (!result.success) {
+      setArchiveStats({ seasonId: season.id, stats: [], loading: false });
+      setError(translateError(result.error, 'seasonsView.messages.archiveLoadFailed'));
+      return;
+    }
+
+    setArchiveStats({ seasonId: season.id, stats: result.stats, loading: false });
+  };
+
+  const handleDeleteConfirm = (season) => {
+    setDeletingSeason(season);
+    pushNavigationState(() => setDeletingSeason(null), 'SeasonsView-DeleteSeason');
+  };
+
+  const handleDeleteSeason = async () => {
+    if (!deletingSeason) return;
+
+    const result = await deleteSeason(deletingSeason.id);
+
+    if (result.success) {
+      setSuccessMessage(t('seasonsView.messages.deleted'));
+      setDeletingSeason(null);
+      removeFromNavigationStack();
+      refresh();
+      return;
+    }
+
+    setError(translateError(result.error, 'seasonsView.messages.deleteFailed'));
+  };
+
+  const renderSeasonFields = (values, onChange, idPrefix) => (
+    <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
+      <FormGroup label={t('seasonsView.form.name')} htmlFor={`${idPrefix}-name`} required>
+        <Input
+          id={`${idPrefix}-name`}
+          value={values.name}
+          onChange={(e) => onChange('name')(e.target.value)}
+          placeholder={t('seasonsView.form.namePlaceholder')}
+          maxLength={100}
+        />
+      </FormGroup>
+      <FormGroup label={t('seasonsView.form.startDate')} htmlFor={`${idPrefix}-start`} required>
+        <Input
+          id={`${idPrefix}-start`}
+          type="date"
+          value={values.startDate}
+          onChange={(e) => onChange('startDate')(e.target.value)}
+        />
+      </FormGroup>
+      <FormGroup label={t('seasonsView.form.endDate')} htmlFor={`${idPrefix}-end`} required>
+        <Input
+          id={`${idPrefix}-end`}
+          type="date"
+          value={values.endDate}
+          onChange={(e) => onChange('endDate')(e.target.value)}
+        />
+      </FormGroup>
+      <FormGroup label={t('seasonsView.form.ageGroup')} htmlFor={`${idPrefix}-age-group`}>
+        <Input
+          id={`${idPrefix}-age-group`}
+          value={values.ageGroup}
+          onChange={(e) => onChange('ageGroup')(e.target.value)}
+          placeholder={t('seasonsView.form.ageGroupPlaceholder')}
+          maxLength={50}
+        />
+      </FormGroup>
+      <FormGroup label={t('seasonsView.form.format')} htmlFor={`${idPrefix}-format`}>
+        <Select
+          id={`${idPrefix}-format`}
+          value={values.format}
+          onChange={onChange('format')}
+          options={formatOptions}
+        />
+      </FormGroup>
+    </div>
+  );
+
+  const renderArchive = (season) => {
+    if (archiveStats.seasonId !== season.id || archiveStats.loading) {
+      return <p className="text-sm text-slate-400">{t('seasonsView.archive.loading')}</p>;
+    }
+
+    if (archiveStats.stats.length === 0) {
+      return <p className="text-sm text-slate-400">{t('seasonsView.archive.empty')}</p>;
+    }
+
+    return (
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs text-slate-400">
+            <th className="py-1 font-medium">{t('seasonsView.archive.columns.jersey')}</th>
+            <th className="py-1 font-medium">{t('seasonsView.archive.columns.player')}</th>
+            <th className="py-1 font-medium text-right">{t('seasonsView.archive.columns.matches')}</th>
+            <th className="py-1 font-medium text-right">{t('seasonsView.archive.columns.goals')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {archiveStats.stats.map(row => (
+            <tr key={row.player_id} className="border-t border-slate-700" data-testid="season-archive-row">
+              <td className="py-1 text-slate-400">{row.jersey_number || '-'}</td>
+              <td className="py-1 text-slate-200">
+                {formatPlayerDisplayName(row.player)}
+                {!row.on_roster && (
+                  <span className="ml-2 text-xs text-slate-500">{t('seasonsView.archive.leftRoster')}</span>
+                )}
+              </td>
+              <td className="py-1 text-right font-mono text-slate-200">{row.matches_played || 0}</td>
+              <td className="py-1 text-right font-mono text-slate-200">{row.goals_scored || 0}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  };
+
+  const renderRollover = (season) => (
+    <div className="space-y-4 mt-3 pt-3 border-t border-slate-600" data-testid="season-rollover">
+      <h3 className="text-base font-semibold text-sky-300">{t('seasonsView.rollover.title')}</h3>
+      <p className="text-sm text-slate-300">
+        {t('seasonsView.rollover.description', { season: season.name })}
+      </p>
+
+      <h4 className="text-sm font-semibold text-slate-300">{t('seasonsView.rollover.nextSeason')}</h4>
+      {renderSeasonFields(rolloverForm, updateRolloverForm, 'next-season')}
+
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-xs text-slate-400">
+          {t('seasonsView.rollover.players', { count: carryOverIds.size, total: rosterPlayers.length })}
+        </div>
+        <div className="flex gap-3 text-xs">
+          <button
+            type="button"
+            className="text-sky-400 hover:text-sky-300"
+            onClick={() => setCarryOverIds(new Set(rosterPlayers.map(player => player.id)))}
+          >
+            {t('seasonsView.rollover.selectAll')}
+          </button>
+          <button
+            type="button"
+            className="text-sky-400 hover:text-sky-300"
+            onClick={() => setCarryOverIds(new Set())}
+          >
+            {t('seasonsView.rollover.clear')}
+          </button>
+        </div>
+      </div>
+
+      {rosterPlayers.length === 0 ? (
+        <p className="text-sm text-slate-400">{t('seasonsView.rollover.noPlayers')}</p>
+      ) : (
+        <div className="grid grid-cols-1 gap-2 sm:grid-cols-2 lg:grid-cols-3">
+          {rosterPlayers.map(player => (
+            <label
+              key={player.id}
+              className="flex items-center gap-2 px-3 py-2 rounded-lg bg-slate-700 text-sm text-slate-200 cursor-pointer"
+            >
+              <input
+                type="checkbox"
+                className="accent-sky-500"
+                checked={carryOverIds.has(player.id)}
+                onChange={() => handleToggleCarryOver(player.id)}
+              />
+              {buildPlayerLabel(player)}
+            </label>
+          ))}
+        </div>
+      )}
+
+      <FormGroup label={t('seasonsView.rollover.jerseyOffset')} htmlFor="season-jersey-offset">
+        <Input
+          id="season-jersey-offset"
+          type="number"
+          min="-98"
+          max="98"
+          value={jerseyOffset}
+          onChange={(e) => setJerseyOffset(e.target.value)}
+        />
+        <p className="text-xs text-slate-500 mt-1">{t('seasonsView.rollover.jerseyOffsetHint')}</p>
+      </FormGroup>
+
+      <div className="flex justify-end gap-2">
+        <Button onClick={() => setRolloverForm(null)} variant="secondary" size="sm">
+          {t('seasonsView.rollover.cancelButton')}
+        </Button>
+        <Button onClick={handleRollover} size="sm" Icon={Archive} disabled={saving}>
+          {t('seasonsView.rollover.confirmButton')}
+        </Button>
+      </div>
+    </div>
+  );
+
+  const renderSeason = (season) => {
+    const isActive = season.status === SEASON_STATUS.ACTIVE;
+    const isExpanded = expandedSeasonId === season.id;
+    const details = [
+      season.age_group,
+      season.format ? (FORMAT_CONFIGS[season.format]?.label || season.format) : null
+    ].filter(Boolean).join(' · ');
+
+    return (
+      <div
+        key={season.id}
+        className="bg-slate-800 p-4 rounded-lg border border-slate-600"
+        data-testid="season-card"
+      >
+        <div className="flex items-start justify-between gap-4">
+          <div className="flex-1 min-w-0">
+            <div className="flex flex-wrap items-center gap-2 mb-1">
+              <div className="font-semibold text-slate-200">{season.name}</div>
+              {isActive ? (
+                <span className="bg-emerald-900/50 border-emerald-600 text-emerald-200 px-2 py-1 rounded text-xs border">
+                  {t('seasonsView.season.current')}
+                </span>
+              ) : (
+                <span className="bg-slate-700 border-slate-500 text-slate-300 px-2 py-1 rounded text-xs border">
+                  {t('seasonsView.season.archived')}
+                </span>
+              )}
+            </div>
+            <div className="text-xs text-slate-500">
+              {formatSeasonDate(season.start_date)} – {formatSeasonDate(season.end_date)}
+              {details && ` · ${details}`}
+            </div>
+          </div>
+
+          <div className="flex items-center gap-1 shrink-0">
+            {!isActive && (
+              <Button
+                onClick={() => handleToggleArchive(season)}
+                variant="secondary"
+                size="sm"
+                Icon={isExpanded ? ChevronUp : ChevronDown}
+              >
+                {isExpanded ? t('seasonsView.season.hideRoster') : t('seasonsView.season.showRoster')}
+              </Button>
+            )}
+            {canManageTeam && isActive && !rolloverForm && (
+              <Button
+                onClick={() => handleOpenRollover(season)}
+                variant="secondary"
+                size="sm"
+                Icon={Archive}
+                disabled={!roster}
+              >
+                {t('seasonsView.season.rolloverButton')}
+              </Button>
+            )}
+            {canManageTeam && (
+              <>
+                <IconButton
+                  onClick={() => handleOpenEdit(season)}
+                  icon={Edit3}
+                  label={t('seasonsView.season.editLabel')}
+                  size="sm"
+                />
+                <IconButton
+                  onClick={() => handleDeleteConfirm(season)}
+                  icon={Trash2}
+                  label={t('seasonsView.season.deleteLabel')}
+                  variant="danger"
+                  size="sm"
+                />
+              </>
+            )}
+          </div>
+        </div>
+
+        {isExpanded && (
+          <div className="mt-3 pt-3 border-t border-slate-600">
+            {renderArchive(season)}
+          </div>
+        )}
+
+        {isActive && rolloverForm && renderRollover(season)}
+      </div>
+    );
+  };
+
+  const displayedError = error || (loadError ? translateError(loadError, 'seasonsView.messages.loadFailed') : null);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+        <SectionHeader title={t('seasonsView.header.title')} icon={CalendarRange} />
+        {canManageTeam && !activeSeason && !showForm && (
+          <Button onClick={handleOpenCreate} Icon={PlusCircle} size="sm">
+            {t('seasonsView.header.newSeasonButton')}
+          </Button>
+        )}
+      </div>
+
+      <p className="text-sm text-slate-400">{t('seasonsView.description')}</p>
+
+      {displayedError && (
+        <Alert variant="error">
+          <div className="flex items-center justify-between gap-4">
+            <span>{displayedError}</span>
+            <Button onClick={refresh} variant="secondary" size="sm">
+              {t('seasonsView.messages.retry')}
+            </Button>
+          </div>
+        </Alert>
+      )}
+
+      {successMessage && (
+        <Alert variant="success">{successMessage}</Alert>
+      )}
+
+      {showForm && (
+        <div className="bg-slate-800 rounded-lg border border-slate-600 p-4 space-y-4" data-testid="season-form">
+          {renderSeasonFields(form, updateForm, 'season')}
+
+          <div className="flex justify-end gap-2">
+            <Button onClick={handleCloseForm} variant="secondary" size="sm">
+              {t('seasonsView.form.cancelButton')}
+            </Button>
+            <Button onClick={handleSave} size="sm" disabled={saving}>
+              {editingSeasonId ? t('seasonsView.form.saveButton') : t('seasonsView.form.createButton')}
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="bg-slate-700 p-8 rounded-lg border border-slate-600 text-center">
+          <div className="text-slate-400">{t('seasonsView.emptyStates.loading')}</div>
+        </div>
+      ) : seasons.length === 0 ? (
+        <div className="bg-slate-700 p-8 rounded-lg border border-slate-600 text-center text-slate-400">
+          <CalendarRange className="h-12 w-12 mx-auto mb-4 opacity-50" />
+          <p className="text-lg font-medium mb-2">{t('seasonsView.emptyStates.noSeasons.title')}</p>
+          <p className="text-sm">{t('seasonsView.emptyStates.noSeasons.description')}</p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {seasons.map(renderSeason)}
+        </div>
+      )}
+
+      <ConfirmationModal
+        isOpen={Boolean(deletingSeason)}
+        onCancel={() => {
+          setDeletingSeason(null);
+          removeFromNavigationStack();
+        }}
+        onConfirm={handleDeleteSeason}
+        title={t('seasonsView.deleteConfirmation.title')}
+        message={deletingSeason ? t('seasonsView.deleteConfirmation.message', { name: deletingSeason.name }) : ''}
+        confirmText={t('seasonsView.deleteConfirmation.confirmButton')}
+        cancelText={t('seasonsView.deleteConfirmation.cancelButton')}
+      />
+    </div>
+  );
+}
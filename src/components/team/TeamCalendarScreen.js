@@ -0,0 +1,489 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { AlertCircle, CalendarDays, ChevronLeft, ChevronRight, Clock, Download, Dumbbell, Link2, MapPin, RefreshCw, Upload } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { Button } from '../shared/UI';
+import { Alert } from '../shared/Alert';
+import { LoadingSpinner } from '../shared/LoadingSpinner';
+import { EmptyState } from '../shared/EmptyState';
+import { ModalShell } from '../shared/ModalShell';
+import { useTeam } from '../../contexts/TeamContext';
+import {
+  enableCalendarFeed,
+  getCalendarFeed,
+  getTeamCalendarEntries,
+  importIcsFixtures,
+  resetCalendarFeed
+} from '../../services/calendarService';
+import { buildICalendar, parseICalendar } from '../../utils/icalendar';
+import { CALENDAR_ENTRY_TYPES, calendarEntriesToIcsEvents, icsEventsToFixtures } from '../../utils/teamCalendar';
+import { formatDateKey, parseDateKey } from '../../utils/trainingUtils';
+
+const readFileAsText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
+
+const downloadTextFile = (content, fileName, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+const toFileName = (name) => (name || 'team').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'team';
+
+const getMonthKey = (date) => formatDateKey(date).slice(0, 7);
+
+/**
+ * Team Calendar Screen
+ * Month agenda of upcoming fixtures, Sport Wizard matches and training sessions.
+ * Everyone can download the calendar or subscribe to the team feed; coaches can
+ * import a league fixture list (.ics) into the upcoming matches used for planning.
+ */
+export function TeamCalendarScreen({ onNavigateBack, pushNavigationState, removeFromNavigationStack }) {
+  const { t, i18n } = useTranslation('team');
+  const { t: tCommon } = useTranslation('common');
+  const { currentTeam, canManageTeam } = useTeam();
+  const fileInputRef = useRef(null);
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState('');
+  const [month, setMonth] = useState(() => {
+    const today = new Date();
+    return new Date(today.getFullYear(), today.getMonth(), 1);
+  });
+  const [feed, setFeed] = useState(null);
+  const [showFeed, setShowFeed] = useState(false);
+  const [feedBusy, setFeedBusy] = useState(false);
+  const [importPreview, setImportPreview] = useState(null);
+  const [importing, setImporting] = useState(false);
+
+  const translateError = useCallback((message, fallbackKey) => {
+    if (!message) return t(fallbackKey);
+    return tCommon(message, { defaultValue: message });
+  }, [t, tCommon]);
+
+  const fetchEntries = useCallback(async () => {
+    if (!currentTeam?.id) {
+      setEntries([]);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    const result = await getTeamCalendarEntries(currentTeam.id);
+
+    if (result.success) {
+      setEntries(result.entries || []);
+    } else {
+      setEntries([]);
+      setError(translateError(result.error, 'teamCalendar.errors.loadFailed'));
+    }
+
+    setLoading(false);
+  }, [currentTeam?.id, translateError]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  // Register browser back handler
+  useEffect(() => {
+    if (pushNavigationState) {
+      pushNavigationState(() => {
+        onNavigateBack();
+      });
+    }
+
+    return () => {
+      if (removeFromNavigationStack) {
+        removeFromNavigationStack();
+      }
+    };
+  }, [pushNavigationState, removeFromNavigationStack, onNavigateBack]);
+
+  const monthKey = getMonthKey(month);
+  const todayKey = formatDateKey(new Date());
+
+  const entriesByDate = useMemo(() => {
+    const grouped = new Map();
+    entries
+      .filter(entry => entry.date.startsWith(monthKey))
+      .forEach(entry => {
+        if (!grouped.has(entry.date)) {
+          grouped.set(entry.date, []);
+        }
+        grouped.get(entry.date).push(entry);
+      });
+    return [...grouped.entries()];
+  }, [entries, monthKey]);
+
+  const monthLabel = month.toLocaleDateString(i18n.language, { month: 'long', year: 'numeric' });
+
+  const formatDayLabel = (dateKey) => {
+    const date = parseDateKey(dateKey);
+    if (!date) return dateKey;
+    return date.toLocaleDateString(i18n.language, { weekday: 'long', day: 'numeric', month: 'long' });
+  };
+
+  const changeMonth = (offset) => {
+    setMonth(current => new Date(current.getFullYear(), current.getMonth() + offset, 1));
+  };
+
+  const goToToday = () => {
+    const today = new Date();
+    setMonth(new Date(today.getFullYear(), today.getMonth(), 1));
+  };
+
+  const handleDownload = () => {
+    const events = calendarEntriesToIcsEvents(entries, {
+      teamName: currentTeam?.name,
+      trainingLabel: t('teamCalendar.entries.training')
+    });
+    const content = buildICalendar(events, { calendarName: currentTeam?.name });
+    downloadTextFile(content, `${toFileName(currentTeam?.name)}-calendar.ics`, 'text/calendar;charset=utf-8');
+  };
+
+  const handleToggleFeed = async () => {
+    if (showFeed) {
+      setShowFeed(false);
+      return;
+    }
+
+    setShowFeed(true);
+    setFeedBusy(true);
+    const result = await getCalendarFeed(currentTeam?.id);
+    if (result.success) {
+      setFeed(result.feed);
+    } else {
+      setError(translateError(result.error, 'teamCalendar.errors.feedFailed'));
+    }
+    setFeedBusy(false);
+  };
+
+  const handleEnableFeed = async () => {
+    setFeedBusy(true);
+    const result = await enableCalendarFeed(currentTeam?.id);
+    if (result.success) {
+      setFeed(result.feed);
+    } else {
+      setError(translateError(result.error, 'teamCalendar.errors.feedFailed'));
+    }
+    setFeedBusy(false);
+  };
+
+  const handleResetFeed = async () => {
+    setFeedBusy(true);
+    const result = await resetCalendarFeed(currentTeam?.id);
+    if (result.success) {
+      setFeed(result.feed);
+      setSuccessMessage(t('teamCalendar.feed.resetSuccess'));
+    } else {
+      setError(translateError(result.error, 'teamCalendar.errors.feedFailed'));
+    }
+    setFeedBusy(false);
+  };
+
+  const handleCopyFeedUrl = async () => {
+    if (!feed?.url) return;
+    try {
+      await navigator.clipboard.writeText(feed.url);
+      setSuccessMessage(t('teamCalendar.feed.copied'));
+    } catch (err) {
+      console.error('Failed to copy calendar feed link:', err);
+      setError(t('teamCalendar.errors.copyFailed'));
+    }
+  };
+
+  const handleImportFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setError(null);
+    setSuccessMessage('');
+
+    try {
+      const text = await readFileAsText(file);
+      const fixtures = icsEventsToFixtures(parseICalendar(text), { teamName: currentTeam?.name });
+      if (fixtures.length === 0) {
+        setError(t('teamCalendar.errors.noFixtures'));
+        return;
+      }
+
+      setImportPreview({ fileName: file.name, fixtures });
+      if (pushNavigationState) {
+        pushNavigationState(() => setImportPreview(null), 'TeamCalendar-ImportPreview');
+      }
+    } catch (err) {
+      console.error('Failed to read calendar file:', err);
+      setError(t('teamCalendar.errors.readFailed'));
+    }
+  };
+
+  const closeImportPreview = () => {
+    setImportPreview(null);
+    if (removeFromNavigationStack) {
+      removeFromNavigationStack();
+    }
+  };
+
+  const handleConfirmImport = async () => {
+    if (!importPreview) return;
+
+    setImporting(true);
+    const result = await importIcsFixtures(currentTeam?.id, importPreview.fixtures);
+    setImporting(false);
+    closeImportPreview();
+
+    if (result.success) {
+      setSuccessMessage(t('teamCalendar.import.success', { count: result.importedCount }));
+      await fetchEntries();
+    } else {
+      setError(translateError(result.error, 'teamCalendar.errors.importFailed'));
+    }
+  };
+
+  const renderEntryBadge = (entry) => {
+    if (entry.type === CALENDAR_ENTRY_TYPES.TRAINING) {
+      return entry.cancelled ? (
+        <span className="px-2 py-0.5 text-xs font-medium bg-slate-600 text-slate-300 rounded-full">
+          {t('teamCalendar.badges.cancelled')}
+        </span>
+      ) : (
+        <span className="px-2 py-0.5 text-xs font-medium bg-emerald-700 text-emerald-100 rounded-full">
+          {t('teamCalendar.badges.training')}
+        </span>
+      );
+    }
+    if (entry.type === CALENDAR_ENTRY_TYPES.UPCOMING) {
+      return (
+        <span className="px-2 py-0.5 text-xs font-medium bg-amber-600 text-amber-100 rounded-full">
+          {entry.source === 'ics' ? t('teamCalendar.badges.imported') : t('teamCalendar.badges.upcoming')}
+        </span>
+      );
+    }
+
+    const stateClasses = {
+      pending: 'bg-sky-600 text-sky-100',
+      running: 'bg-emerald-600 text-emerald-100',
+      finished: 'bg-slate-600 text-slate-200'
+    };
+    return (
+      <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${stateClasses[entry.state] || stateClasses.pending}`}>
+        {t(`teamCalendar.badges.${entry.state}`, { defaultValue: entry.state })}
+      </span>
+    );
+  };
+
+  const renderEntryTitle = (entry) => {
+    if (entry.type === CALENDAR_ENTRY_TYPES.TRAINING) {
+      return t('teamCalendar.entries.training');
+    }
+    const opponent = entry.opponent || t('teamCalendar.entries.internalMatch');
+    if (entry.state === 'finished' && entry.goalsScored !== null && entry.goalsConceded !== null) {
+      return t('teamCalendar.entries.result', { opponent, scored: entry.goalsScored, conceded: entry.goalsConceded });
+    }
+    return t('teamCalendar.entries.match', { opponent });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-sky-300">{t('teamCalendar.title')}</h1>
+        <Button onClick={onNavigateBack} variant="secondary" size="sm">
+          {t('teamCalendar.back')}
+        </Button>
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-2">
+        <Button onClick={handleDownload} variant="secondary" size="sm" Icon={Download} disabled={entries.length === 0}>
+          {t('teamCalendar.buttons.download')}
+        </Button>
+        <Button onClick={handleToggleFeed} variant="secondary" size="sm" Icon={Link2}>
+          {t('teamCalendar.buttons.subscribe')}
+        </Button>
+        {canManageTeam && (
+          <>
+            <Button onClick={() => fileInputRef.current?.click()} variant="accent" size="sm" Icon={Upload}>
+              {t('teamCalendar.buttons.import')}
+            </Button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".ics,text/calendar"
+              className="hidden"
+              onChange={handleImportFile}
+              data-testid="calendar-import-input"
+            />
+          </>
+        )}
+      </div>
+
+      {error && (
+        <Alert variant="error" icon={AlertCircle}>
+          <div className="flex items-center justify-between gap-4">
+            <span>{error}</span>
+            <Button onClick={fetchEntries} variant="secondary" size="sm">
+              {t('teamCalendar.buttons.retry')}
+            </Button>
+          </div>
+        </Alert>
+      )}
+
+      {successMessage && (
+        <Alert variant="success">{successMessage}</Alert>
+      )}
+
+      {showFeed && (
+        <div className="bg-slate-800 rounded-lg border border-slate-600 p-4 space-y-3" data-testid="calendar-feed-panel">
+          <p className="text-sm text-slate-300">{t('teamCalendar.feed.description')}</p>
+          {feedBusy && <LoadingSpinner size="sm" />}
+          {!feedBusy && feed?.url && (
+            <>
+              <code className="block break-all rounded bg-slate-900 px-3 py-2 text-xs text-sky-200">{feed.url}</code>
+              <div className="flex flex-col sm:flex-row gap-2">
+                <Button onClick={handleCopyFeedUrl} variant="primary" size="sm">
+                  {t('teamCalendar.feed.copy')}
+                </Button>
+                <a
+                  href={feed.webcalUrl}
+                  className="inline-flex items-center justify-center rounded-md border border-slate-500 px-3 py-1.5 text-sm text-slate-100 hover:bg-slate-600"
+                >
+                  {t('teamCalendar.feed.open')}
+                </a>
+                {canManageTeam && (
+                  <Button onClick={handleResetFeed} variant="danger" size="sm" Icon={RefreshCw}>
+                    {t('teamCalendar.feed.reset')}
+                  </Button>
+                )}
+              </div>
+              {canManageTeam && (
+                <p className="text-xs text-slate-400">{t('teamCalendar.feed.resetHint')}</p>
+              )}
+            </>
+          )}
+          {!feedBusy && !feed && (
+            canManageTeam ? (
+              <Button onClick={handleEnableFeed} variant="primary" size="sm">
+                {t('teamCalendar.feed.enable')}
+              </Button>
+            ) : (
+              <p className="text-sm text-slate-400">{t('teamCalendar.feed.notEnabled')}</p>
+            )
+          )}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between bg-slate-700 rounded-lg border border-slate-600 px-3 py-2">
+        <Button onClick={() => changeMonth(-1)} variant="secondary" size="sm" Icon={ChevronLeft} aria-label={t('teamCalendar.month.previous')} />
+        <div className="flex items-center gap-3">
+          <h2 className="text-lg font-semibold text-slate-100 capitalize" data-testid="calendar-month-label">{monthLabel}</h2>
+          {monthKey !== todayKey.slice(0, 7) && (
+            <button type="button" onClick={goToToday} className="text-xs text-sky-300 hover:text-sky-200">
+              {t('teamCalendar.month.today')}
+            </button>
+          )}
+        </div>
+        <Button onClick={() => changeMonth(1)} variant="secondary" size="sm" Icon={ChevronRight} aria-label={t('teamCalendar.month.next')} />
+      </div>
+
+      {loading && entries.length === 0 ? (
+        <div className="bg-slate-700 rounded-lg border border-slate-600 p-8">
+          <LoadingSpinner size="sm" message={t('teamCalendar.loading')} />
+        </div>
+      ) : entriesByDate.length === 0 ? (
+        <EmptyState
+          icon={CalendarDays}
+          title={t('teamCalendar.empty.title')}
+          message={t('teamCalendar.empty.description')}
+        />
+      ) : (
+        <div className="space-y-4">
+          {entriesByDate.map(([dateKey, dayEntries]) => (
+            <div key={dateKey} className="space-y-2">
+              <h3 className={`text-sm font-semibold capitalize ${dateKey === todayKey ? 'text-sky-300' : 'text-slate-300'}`}>
+                {formatDayLabel(dateKey)}
+              </h3>
+              {dayEntries.map(entry => (
+                <div
+                  key={`${entry.type}-${entry.id}`}
+                  className={`bg-slate-700 rounded-lg border p-3 ${
+                    entry.type === CALENDAR_ENTRY_TYPES.TRAINING ? 'border-emerald-600/40' : 'border-slate-600'
+                  }`}
+                  data-testid="calendar-entry"
+                >
+                  <div className="flex items-start gap-2 flex-wrap">
+                    {entry.type === CALENDAR_ENTRY_TYPES.TRAINING && <Dumbbell className="w-4 h-4 mt-0.5 text-emerald-300" />}
+                    <span className={`text-sm font-medium text-slate-100 ${entry.cancelled ? 'line-through text-slate-400' : ''}`}>
+                      {renderEntryTitle(entry)}
+                    </span>
+                    {renderEntryBadge(entry)}
+                  </div>
+                  <div className="mt-1 flex items-center gap-3 text-xs text-slate-400 flex-wrap">
+                    <span className="flex items-center gap-1">
+                      <Clock className="w-3.5 h-3.5" />
+                      {entry.time || t('teamCalendar.entries.timeTbd')}
+                    </span>
+                    {entry.location && (
+                      <span className="flex items-center gap-1">
+                        <MapPin className="w-3.5 h-3.5" />
+                        {entry.location}
+                      </span>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {importPreview && (
+        <ModalShell
+          title={t('teamCalendar.import.title')}
+          subtitle={importPreview.fileName}
+          onClose={closeImportPreview}
+          maxWidth="lg"
+        >
+          <div className="space-y-3">
+            <p className="text-sm text-slate-300">
+              {t('teamCalendar.import.summary', { count: importPreview.fixtures.length })}
+            </p>
+            <ul className="space-y-1 max-h-[50vh] overflow-y-auto text-sm">
+              {importPreview.fixtures.map(fixture => (
+                <li
+                  key={fixture.externalUid}
+                  className="flex items-center justify-between gap-3 rounded-md border border-slate-600 bg-slate-700/40 px-3 py-2 text-slate-200"
+                >
+                  <span className="truncate font-medium">{fixture.opponent}</span>
+                  <span className="text-xs text-slate-400 whitespace-nowrap">
+                    {fixture.matchTime ? `${fixture.matchDate} ${fixture.matchTime}` : fixture.matchDate}
+                  </span>
+                </li>
+              ))}
+            </ul>
+            <p className="text-xs text-slate-400">{t('teamCalendar.import.hint')}</p>
+          </div>
+          <div className="pt-4 border-t border-slate-600 flex flex-col sm:flex-row gap-2 sm:justify-end">
+            <Button variant="secondary" onClick={closeImportPreview} disabled={importing}>
+              {t('teamCalendar.import.cancel')}
+            </Button>
+            <Button variant="accent" onClick={handleConfirmImport} disabled={importing}>
+              {importing ? t('teamCalendar.import.importing') : t('teamCalendar.import.confirm')}
+            </Button>
+          </div>
+        </ModalShell>
+      )}
+    </div>
+  );
+}
@@ -23,7 +23,10 @@ import {
   X,
   HelpCircle,
   Repeat,
-  BarChart3
+  Dumbbell,
+  CalendarRange,
+  BarChart3,
+  Bell
 } from 'lucide-react';
 import { Button, Select } from '../shared/UI';
 import { IconButton } from '../shared/IconButton';
@@ -43,7 +46,10 @@ import { DeletePlayerConfirmModal } from './DeletePlayerConfirmModal';
 import { PlayerMatchingModal } from './PlayerMatchingModal';
 import { PlayerLoanModal } from './PlayerLoanModal';
 import PlayerLoansView from './PlayerLoansView';
+import TrainingSessionsView from './TrainingSessionsView';
+import SeasonsView from './SeasonsView';
 import { RosterConnectorOnboarding } from './RosterConnectorOnboarding';
+import { MatchAlertRulesEditor } from './MatchAlertRulesEditor';
 import { ConnectorsSection } from '../connectors/ConnectorsSection';
 import { useTeam } from '../../contexts/TeamContext';
 import { useAuth } from '../../contexts/AuthContext';
@@ -54,7 +60,7 @@ import { formatPlayerDisplayName, shouldShowRosterConnectorOnboarding } from '..
 import { createPersistenceManager } from '../../utils/persistenceManager';
 import { getInitials } from '../../utils/formatUtils';
 import { STORAGE_KEYS } from '../../constants/storageKeys';
-import { DEFAULT_PREFERENCES } from '../../types/preferences';
+import { DEFAULT_PREFERENCES, SUBSTITUTION_LOGIC_OPTIONS } from '../../types/preferences';
 import { TAB_VIEWS } from '../../constants/teamManagementTabs';
 import {
   FORMATS,
@@ -130,6 +136,18 @@ export function TeamManagement({ onNavigateBack, openToTab, openAddRosterPlayerM
         icon: Repeat,
         description: t('teamManagement.tabs.loans.description')
       } : null,
+      canManageTeam ? {
+        id: TAB_VIEWS.TRAINING,
+        label: t('teamManagement.tabs.training.label'),
+        icon: Dumbbell,
+        description: t('teamManagement.tabs.training.description')
+      } : null,
+      canManageTeam ? {
+        id: TAB_VIEWS.SEASONS,
+        label: t('teamManagement.tabs.seasons.label'),
+        icon: CalendarRange,
+        description: t('teamManagement.tabs.seasons.description')
+      } : null,
       isTeamAdmin ? {
         id: TAB_VIEWS.ACCESS,
         label: t('teamManagement.tabs.access.label'),
@@ -341,6 +359,20 @@ export function TeamManagement({ onNavigateBack, openToTab, openAddRosterPlayerM
             canManageTeam={canManageTeam}
           />
         );
+      case TAB_VIEWS.TRAINING:
+        return (
+          <TrainingSessionsView
+            currentTeam={currentTeam}
+            canManageTeam={canManageTeam}
+          />
+        );
+      case TAB_VIEWS.SEASONS:
+        return (
+          <SeasonsView
+            currentTeam={currentTeam}
+            canManageTeam={canManageTeam}
+          />
+        );
       case TAB_VIEWS.CONNECTORS:
         return <TeamConnectors team={currentTeam} onRefresh={loadTeamData} />;
       case TAB_VIEWS.PREFERENCES:
@@ -1549,7 +1581,7 @@ function TeamPreferences({ team, onRefresh, onShowFloatingSuccess }) {
       return;
     }
 
-    if (['9v9', '11v11'].includes(preferences.matchFormat)) {
+    if (!FORMAT_CONFIGS[preferences.matchFormat]) {
       setError(t('teamManagement.preferences.errors.unsupportedFormat'));
       return;
     }
@@ -1639,12 +1671,10 @@ function TeamPreferences({ team, onRefresh, onShowFloatingSuccess }) {
             <Select
               value={preferences.matchFormat}
               onChange={handleFormatChange}
-              options={[
-                { value: '5v5', label: '5v5' },
-                { value: '7v7', label: '7v7' },
-                { value: '9v9', label: `9v9 (${t('teamManagement.preferences.comingSoon')})` },
-                { value: '11v11', label: `11v11 (${t('teamManagement.preferences.comingSoon')})` }
-              ]}
+              options={Object.values(FORMATS).map(format => ({
+                value: format,
+                label: FORMAT_CONFIGS[format]?.label || format
+              }))}
             />
           </FormGroup>
 
@@ -1756,8 +1786,8 @@ function TeamPreferences({ team, onRefresh, onShowFloatingSuccess }) {
               value={preferences.substitutionLogic}
               onChange={(value) => setPreferences(prev => ({ ...prev, substitutionLogic: value }))}
               options={[
-                { value: 'equal_time', label: t('teamManagement.preferences.substitutionOptions.equalTime') },
-                { value: 'same_role', label: t('teamManagement.preferences.substitutionOptions.sameRole') }
+                { value: SUBSTITUTION_LOGIC_OPTIONS.EQUAL_TIME, label: t('teamManagement.preferences.substitutionOptions.equalTime') },
+                { value: SUBSTITUTION_LOGIC_OPTIONS.SAME_ROLE, label: t('teamManagement.preferences.substitutionOptions.sameRole') }
               ]}
             />
           </FormGroup>
@@ -1791,6 +1821,27 @@ function TeamPreferences({ team, onRefresh, onShowFloatingSuccess }) {
             <span className="text-slate-300">{t('teamManagement.preferences.trackGoalScorer')}</span>
           </label>
 
+          {preferences.trackGoalScorer && (
+            <label className="flex items-center cursor-pointer ml-7">
+              <input
+                type="checkbox"
+                checked={preferences.trackAssists}
+                onChange={(e) => setPreferences(prev => ({ ...prev, trackAssists: e.target.checked }))}
+                className="sr-only"
+              />
+              <div className={`w-4 h-4 rounded border-2 mr-3 flex items-center justify-center ${
+                preferences.trackAssists
+                  ? 'bg-sky-600 border-sky-600'
+                  : 'border-slate-400'
+              }`}>
+                {preferences.trackAssists && (
+                  <CheckCircle className="w-3 h-3 text-white" />
+                )}
+              </div>
+              <span className="text-slate-300">{t('teamManagement.preferences.trackAssists')}</span>
+            </label>
+          )}
+
         </div>
 
         <FormGroup label={t('teamManagement.preferences.fairPlayAward')}>
@@ -1862,6 +1913,22 @@ function TeamPreferences({ team, onRefresh, onShowFloatingSuccess }) {
           </FormGroup>
         </div>
       </div>
+
+      {/* Match Alerts */}
+      <div className="space-y-4">
+        <h4 className="text-md font-medium text-slate-300 flex items-center">
+          <Bell className="w-4 h-4 mr-2" />
+          {t('teamManagement.preferences.matchAlerts.title')}
+        </h4>
+        <p className="text-xs text-slate-400">
+          {t('teamManagement.preferences.matchAlerts.description')}
+        </p>
+
+        <MatchAlertRulesEditor
+          rules={preferences.matchAlertRules}
+          onChange={(rules) => setPreferences(prev => ({ ...prev, matchAlertRules: rules }))}
+        />
+      </div>
     </div>
   );
 }
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Calendar, Clock, Share2, AlertCircle, Eye, Play, Trash2 } from 'lucide-react';
+import { Calendar, Clock, Share2, AlertCircle, Eye, Play, Smartphone, Trash2, Users } from 'lucide-react';
 import { Button, NotificationModal } from '../shared/UI';
 import { Alert } from '../shared/Alert';
 import { LoadingSpinner } from '../shared/LoadingSpinner';
@@ -15,10 +15,10 @@ import { discardPendingMatch } from '../../services/matchStateManager';
 
 /**
  * Team Matches List Screen
- * Shows active matches (pending/running) and upcoming matches from connected providers
+ * Shows active matches (pending/running) and upcoming matches from connected providers or imported calendars
  * Allows coaches to copy live match links, resume setup, or navigate to LiveMatchScreen
  */
-export function TeamMatchesList({ onNavigateBack, onNavigateTo, pushNavigationState, removeFromNavigationStack }) {
+export function TeamMatchesList({ onNavigateBack, onNavigateTo, pushNavigationState, removeFromNavigationStack, onJoinAsCoCoach, onResumeOnDevice }) {
   const { t } = useTranslation('team');
   const { currentTeam } = useTeam();
   const {
@@ -36,6 +36,8 @@ export function TeamMatchesList({ onNavigateBack, onNavigateTo, pushNavigationSt
   const [notification, setNotification] = useState({ isOpen: false, title: '', message: '' });
   const [copyingMatchId, setCopyingMatchId] = useState(null);
   const [deletingMatchId, setDeletingMatchId] = useState(null);
+  const [joiningMatchId, setJoiningMatchId] = useState(null);
+  const [resumingMatchId, setResumingMatchId] = useState(null);
   const [showPlanModal, setShowPlanModal] = useState(false);
   const [planSelectionIds, setPlanSelectionIds] = useState([]);
   const pendingMatches = activeMatches.filter(match => match.state === 'pending');
@@ -96,6 +98,64 @@ export function TeamMatchesList({ onNavigateBack, onNavigateTo, pushNavigationSt
     });
   };
 
+  const handleJoinAsCoCoach = async (matchId) => {
+    if (joiningMatchId) return;
+
+    setJoiningMatchId(matchId);
+
+    try {
+      const result = await onJoinAsCoCoach(matchId);
+
+      if (!result?.success) {
+        setNotification({
+          isOpen: true,
+          title: t('teamMatches.notifications.error'),
+          message: result?.noSharedState
+            ? t('teamMatches.error.noSharedState')
+            : t('teamMatches.error.joinFailed')
+        });
+      }
+    } catch (err) {
+      console.error('Failed to join match as co-coach:', err);
+      setNotification({
+        isOpen: true,
+        title: t('teamMatches.notifications.error'),
+        message: t('teamMatches.error.joinFailed')
+      });
+    } finally {
+      setJoiningMatchId(null);
+    }
+  };
+
+  const handleResumeOnDevice = async (matchId) => {
+    if (resumingMatchId) return;
+
+    setResumingMatchId(matchId);
+
+    try {
+      const result = await onResumeOnDevice(matchId);
+
+      if (!result?.success) {
+        setNotification({
+          isOpen: true,
+          title: t('teamMatches.notifications.error'),
+          message: result?.notResumable
+            ? t('teamMatches.error.notResumable')
+            : t('teamMatches.error.resumeFailed')
+        });
+      }
+    } catch (err) {
+      console.error('Failed to resume match on this device:', err);
+      setNotification({
+        isOpen: true,
+        title: t('teamMatches.notifications.error'),
+        message: t('teamMatches.error.resumeFailed')
+      });
+    } finally {
+      setResumingMatchId(null);
+    }
+  };
+
   const handleDeletePendingMatch = async (matchId) => {
     if (deletingMatchId) return;
 
@@ -345,6 +405,8 @@ export function TeamMatchesList({ onNavigateBack, onNavigateTo, pushNavigationSt
           {activeMatches.map((match) => {
             const isPending = match.state === 'pending';
             const isDeleting = deletingMatchId === match.id;
+            const isJoining = joiningMatchId === match.id;
+            const isResuming = resumingMatchId === match.id;
 
             return (
               <div
@@ -402,6 +464,30 @@ export function TeamMatchesList({ onNavigateBack, onNavigateTo, pushNavigationSt
                         {t('teamMatches.buttons.resumeSetup')}
                       </Button>
                     )}
+                    {match.state === 'running' && onJoinAsCoCoach && (
+                      <Button
+                        onClick={() => handleJoinAsCoCoach(match.id)}
+                        variant="accent"
+                        size="sm"
+                        Icon={isJoining ? undefined : Users}
+                        disabled={Boolean(joiningMatchId)}
+                        className="w-full sm:w-auto"
+                      >
+                        {isJoining ? t('teamMatches.buttons.joining') : t('teamMatches.buttons.joinAsCoCoach')}
+                      </Button>
+                    )}
+                    {match.state === 'running' && onResumeOnDevice && (
+                      <Button
+                        onClick={() => handleResumeOnDevice(match.id)}
+                        variant="secondary"
+                        size="sm"
+                        Icon={isResuming ? undefined : Smartphone}
+                        disabled={Boolean(resumingMatchId)}
+                        className="w-full sm:w-auto"
+                      >
+                        {isResuming ? t('teamMatches.buttons.resuming') : t('teamMatches.buttons.resumeOnDevice')}
+                      </Button>
+                    )}
                     <Button
                       onClick={() => handleOpenLive(match.id)}
                       variant="primary"
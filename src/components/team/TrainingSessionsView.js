@@ -0,0 +1,673 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Ban, Calendar, ChevronDown, ChevronUp, Clock, Dumbbell, MapPin, PlusCircle, RotateCcw, Trash2 } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { Button, ConfirmationModal, Input, Select, Textarea } from '../shared/UI';
+import { IconButton } from '../shared/IconButton';
+import { Alert } from '../shared/Alert';
+import { FormGroup } from '../shared/FormGroup';
+import { SectionHeader } from '../shared/SectionHeader';
+import { useBrowserBackIntercept } from '../../hooks/useBrowserBackIntercept';
+import { useTeam } from '../../contexts/TeamContext';
+import {
+  createTrainingSchedule,
+  createTrainingSession,
+  deleteTrainingSession,
+  getTrainingSessions,
+  saveSessionAttendance,
+  updateTrainingSession
+} from '../../services/trainingService';
+import { formatDateKey, parseDateKey, TRAINING_SESSION_STATUS } from '../../utils/trainingUtils';
+import { formatPlayerDisplayName } from '../../utils/playerUtils';
+
+const FORM_MODES = {
+  SINGLE: 'single',
+  WEEKLY: 'weekly'
+};
+
+// Monday first, values follow Date.getDay()
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+const createEmptyForm = () => {
+  const today = new Date();
+  return {
+    mode: FORM_MODES.SINGLE,
+    sessionDate: formatDateKey(today),
+    weekday: String(today.getDay()),
+    startsOn: formatDateKey(today),
+    endsOn: '',
+    startTime: '',
+    durationMinutes: '',
+    location: '',
+    notes: ''
+  };
+};
+
+const buildPlayerLabel = (player) => {
+  const name = formatPlayerDisplayName(player);
+  return player?.jersey_number ? `#${player.jersey_number} ${name}` : name;
+};
+
+const getAttendedPlayerIds = (session) => {
+  return (session.training_attendance || [])
+    .filter(row => row.attended)
+    .map(row => row.player_id);
+};
+
+/**
+ * TrainingSessionsView - Practice sessions created in Sport Wizard
+ *
+ * Coaches create single sessions or weekly schedules, record check-in from the
+ * roster and keep notes per session. Recorded attendance feeds the attendance
+ * statistics and attendance-based auto-select alongside connector data.
+ */
+export default function TrainingSessionsView({ currentTeam, canManageTeam }) {
+  const { t, i18n } = useTranslation('team');
+  const { t: tCommon } = useTranslation('common');
+  const { getTeamRoster } = useTeam();
+  const { pushNavigationState, removeFromNavigationStack } = useBrowserBackIntercept();
+  const [sessions, setSessions] = useState([]);
+  const [roster, setRoster] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(createEmptyForm);
+  const [saving, setSaving] = useState(false);
+  const [expandedSessionId, setExpandedSessionId] = useState(null);
+  const [checkedPlayerIds, setCheckedPlayerIds] = useState(() => new Set());
+  const [notesDraft, setNotesDraft] = useState('');
+  const [deletingSession, setDeletingSession] = useState(null);
+
+  const translateError = useCallback((message, fallbackKey) => {
+    if (!message) return t(fallbackKey);
+    return tCommon(message, { defaultValue: message });
+  }, [t, tCommon]);
+
+  const fetchSessions = useCallback(async () => {
+    if (!currentTeam?.id) {
+      setSessions([]);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    const result = await getTrainingSessions(currentTeam.id);
+
+    if (result.success) {
+      setSessions(result.sessions || []);
+    } else {
+      setSessions([]);
+      setError(translateError(result.error, 'trainingView.messages.loadFailed'));
+    }
+
+    setLoading(false);
+  }, [currentTeam?.id, translateError]);
+
+  const fetchRoster = useCallback(async () => {
+    if (!currentTeam?.id) {
+      setRoster([]);
+      return;
+    }
+
+    try {
+      const rosterData = await getTeamRoster(currentTeam.id);
+      setRoster(rosterData || []);
+    } catch (err) {
+      console.error('Failed to load roster for training sessions:', err);
+      setRoster([]);
+      setError(t('trainingView.messages.rosterLoadFailed'));
+    }
+  }, [currentTeam?.id, getTeamRoster, t]);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  useEffect(() => {
+    fetchRoster();
+  }, [fetchRoster]);
+
+  useEffect(() => {
+    if (!successMessage) return;
+
+    const timer = setTimeout(() => setSuccessMessage(''), 4000);
+    return () => clearTimeout(timer);
+  }, [successMessage]);
+
+  const checkInPlayers = useMemo(() => {
+    return roster
+      .filter(player => player.on_roster !== false)
+      .sort((a, b) => buildPlayerLabel(a).localeCompare(buildPlayerLabel(b)));
+  }, [roster]);
+
+  const { upcomingSessions, pastSessions } = useMemo(() => {
+    const todayKey = formatDateKey(new Date());
+    const upcoming = sessions
+      .filter(session => session.session_date >= todayKey)
+      .sort((a, b) => a.session_date.localeCompare(b.session_date));
+    const past = sessions
+      .filter(session => session.session_date < todayKey)
+      .sort((a, b) => b.session_date.localeCompare(a.session_date));
+    return { upcomingSessions: upcoming, pastSessions: past };
+  }, [sessions]);
+
+  const weekdayOptions = useMemo(() => {
+    // 2024-01-07 is a Sunday, so day offsets line up with Date.getDay()
+    const formatter = new Intl.DateTimeFormat(i18n.language, { weekday: 'long' });
+    return WEEKDAY_ORDER.map(weekday => ({
+      value: String(weekday),
+      label: formatter.format(new Date(2024, 0, 7 + weekday))
+    }));
+  }, [i18n.language]);
+
+  const formatSessionDate = (dateKey) => {
+    const date = parseDateKey(dateKey);
+    if (!date) return dateKey;
+    return date.toLocaleDateString(i18n.language, { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+  };
+
+  const replaceSession = (updatedSession) => {
+    setSessions(prev => prev.map(session => (session.id === updatedSession.id ? updatedSession : session)));
+  };
+
+  const updateForm = (field) => (value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleOpenForm = () => {
+    setForm(createEmptyForm());
+    setShowForm(true);
+  };
+
+  const handleCreate = async () => {
+    if (!currentTeam?.id) return;
+
+    setSaving(true);
+    setError(null);
+
+    const details = {
+      startTime: form.startTime,
+      durationMinutes: form.durationMinutes,
+      location: form.location
+    };
+
+    const result = form.mode === FORM_MODES.WEEKLY
+      ? await createTrainingSchedule(currentTeam.id, {
+          ...details,
+          weekday: Number(form.weekday),
+          startsOn: form.startsOn,
+          endsOn: form.endsOn
+        })
+      : await createTrainingSession(currentTeam.id, {
+          ...details,
+          sessionDate: form.sessionDate,
+          notes: form.notes
+        });
+
+    setSaving(false);
+
+    if (!result.success) {
+      setError(translateError(result.error, 'trainingView.messages.saveFailed'));
+      return;
+    }
+
+    const createdSessions = result.sessions || [result.session];
+    setSessions(prev => [...prev, ...createdSessions]);
+    setSuccessMessage(form.mode === FORM_MODES.WEEKLY
+      ? t('trainingView.messages.scheduleCreated', { count: createdSessions.length })
+      : t('trainingView.messages.sessionCreated'));
+    setShowForm(false);
+  };
+
+  const handleToggleSession = (session) => {
+    if (expandedSessionId === session.id) {
+      setExpandedSessionId(null);
+      return;
+    }
+
+    setExpandedSessionId(session.id);
+    setCheckedPlayerIds(new Set(getAttendedPlayerIds(session)));
+    setNotesDraft(session.notes || '');
+  };
+
+  const handleTogglePlayer = (playerId) => {
+    setCheckedPlayerIds(prev => {
+      const next = new Set(prev);
+      if (next.has(playerId)) {
+        next.delete(playerId);
+      } else {
+        next.add(playerId);
+      }
+      return next;
+    });
+  };
+
+  const handleSaveCheckIn = async (session) => {
+    setSaving(true);
+    setError(null);
+
+    let updatedSession = session;
+
+    if ((session.notes || '') !== notesDraft) {
+      const notesResult = await updateTrainingSession(session.id, { notes: notesDraft });
+      if (!notesResult.success) {
+        setSaving(false);
+        setError(translateError(notesResult.error, 'trainingView.messages.saveFailed'));
+        return;
+      }
+      updatedSession = notesResult.session;
+    }
+
+    const attendanceResult = await saveSessionAttendance(
+      session.id,
+      checkInPlayers.map(player => player.id),
+      Array.from(checkedPlayerIds)
+    );
+
+    setSaving(false);
+
+    if (!attendanceResult.success) {
+      replaceSession(updatedSession);
+      setError(translateError(attendanceResult.error, 'trainingView.messages.attendanceFailed'));
+      return;
+    }
+
+    replaceSession(attendanceResult.session);
+    setExpandedSessionId(null);
+    setSuccessMessage(t('trainingView.messages.attendanceSaved', { count: checkedPlayerIds.size }));
+  };
+
+  const handleToggleCancelled = async (session) => {
+    const status = session.status === TRAINING_SESSION_STATUS.CANCELLED
+      ? TRAINING_SESSION_STATUS.SCHEDULED
+      : TRAINING_SESSION_STATUS.CANCELLED;
+
+    setError(null);
+    const result = await updateTrainingSession(session.id, { status });
+
+    if (!result.success) {
+      setError(translateError(result.error, 'trainingView.messages.saveFailed'));
+      return;
+    }
+
+    replaceSession(result.session);
+  };
+
+  const handleDeleteConfirm = (session) => {
+    setDeletingSession(session);
+    pushNavigationState(() => setDeletingSession(null), 'TrainingSessionsView-DeleteSession');
+  };
+
+  const handleDeleteSession = async () => {
+    if (!deletingSession) return;
+
+    const result = await deleteTrainingSession(deletingSession.id);
+
+    if (result.success) {
+      setSessions(prev => prev.filter(session => session.id !== deletingSession.id));
+      setSuccessMessage(t('trainingView.messages.sessionDeleted'));
+      setDeletingSession(null);
+      removeFromNavigationStack();
+      return;
+    }
+
+    setError(result.error || t('trainingView.messages.deleteFailed'));
+  };
+
+  const renderSessionStatus = (session, isPast) => {
+    if (session.status === TRAINING_SESSION_STATUS.CANCELLED) {
+      return (
+        <span className="bg-rose-900/50 border-rose-600 text-rose-200 px-2 py-1 rounded text-xs border">
+          {t('trainingView.session.cancelledBadge')}
+        </span>
+      );
+    }
+
+    if (session.attendance_recorded_at) {
+      return (
+        <span className="bg-emerald-900/50 border-emerald-600 text-emerald-200 px-2 py-1 rounded text-xs border">
+          {t('trainingView.session.attendanceBadge', {
+            attended: getAttendedPlayerIds(session).length,
+            total: (session.training_attendance || []).length
+          })}
+        </span>
+      );
+    }
+
+    if (isPast) {
+      return (
+        <span className="bg-amber-900/50 border-amber-600 text-amber-200 px-2 py-1 rounded text-xs border">
+          {t('trainingView.session.checkInPendingBadge')}
+        </span>
+      );
+    }
+
+    return null;
+  };
+
+  const renderSession = (session, isPast) => {
+    const isExpanded = expandedSessionId === session.id;
+    const isCancelled = session.status === TRAINING_SESSION_STATUS.CANCELLED;
+
+    return (
+      <div
+        key={session.id}
+        className="bg-slate-800 p-4 rounded-lg border border-slate-600"
+        data-testid="training-session"
+      >
+        <div className="flex items-start justify-between gap-4">
+          <div className="flex-1 min-w-0">
+            <div className="flex flex-wrap items-center gap-2 mb-1">
+              <div className={`font-semibold ${isCancelled ? 'text-slate-400 line-through' : 'text-slate-200'}`}>
+                {formatSessionDate(session.session_date)}
+              </div>
+              {renderSessionStatus(session, isPast)}
+            </div>
+            <div className="flex flex-wrap items-center gap-3 text-xs text-slate-500">
+              {session.start_time && (
+                <span className="flex items-center gap-1">
+                  <Clock className="w-3 h-3" />
+                  {session.start_time.slice(0, 5)}
+                  {session.duration_minutes ? ` (${t('trainingView.session.duration', { minutes: session.duration_minutes })})` : ''}
+                </span>
+              )}
+              {session.location && (
+                <span className="flex items-center gap-1">
+                  <MapPin className="w-3 h-3" />
+                  {session.location}
+                </span>
+              )}
+              {session.schedule_id && (
+                <span className="flex items-center gap-1">
+                  <Calendar className="w-3 h-3" />
+                  {t('trainingView.session.recurring')}
+                </span>
+              )}
+            </div>
+            {session.notes && !isExpanded && (
+              <p className="mt-2 text-sm text-slate-400 whitespace-pre-line">{session.notes}</p>
+            )}
+          </div>
+
+          {canManageTeam && (
+            <div className="flex items-center gap-1 shrink-0">
+              {!isCancelled && (
+                <Button
+                  onClick={() => handleToggleSession(session)}
+                  variant="secondary"
+                  size="sm"
+                  Icon={isExpanded ? ChevronUp : ChevronDown}
+                >
+                  {t('trainingView.session.checkInButton')}
+                </Button>
+              )}
+              <IconButton
+                onClick={() => handleToggleCancelled(session)}
+                icon={isCancelled ? RotateCcw : Ban}
+                label={isCancelled ? t('trainingView.session.restoreLabel') : t('trainingView.session.cancelLabel')}
+                size="sm"
+              />
+              <IconButton
+                onClick={() => handleDeleteConfirm(session)}
+                icon={Trash2}
+                label={t('trainingView.session.deleteLabel')}
+                variant="danger"
+                size="sm"
+              />
+            </div>
+          )}
+        </div>
+
+        {isExpanded && (
+          <div className="space-y-3 mt-3 pt-3 border-t border-slate-600">
+            <div className="flex items-center justify-between gap-2">
+              <div className="text-xs text-slate-400">
+                {t('trainingView.checkIn.title', { count: checkedPlayerIds.size, total: checkInPlayers.length })}
+              </div>
+              <div className="flex gap-3 text-xs">
+                <button
+                  type="button"
+                  className="text-sky-400 hover:text-sky-300"
+                  onClick={() => setCheckedPlayerIds(new Set(checkInPlayers.map(player => player.id)))}
+                >
+                  {t('trainingView.checkIn.selectAll')}
+                </button>
+                <button
+                  type="button"
+                  className="text-sky-400 hover:text-sky-300"
+                  onClick={() => setCheckedPlayerIds(new Set())}
+                >
+                  {t('trainingView.checkIn.clear')}
+                </button>
+              </div>
+            </div>
+
+            {checkInPlayers.length === 0 ? (
+              <p className="text-sm text-slate-400">{t('trainingView.checkIn.noPlayers')}</p>
+            ) : (
+              <div className="grid grid-cols-1 gap-2 sm:grid-cols-2 lg:grid-cols-3">
+                {checkInPlayers.map(player => (
+                  <label
+                    key={player.id}
+                    className="flex items-center gap-2 px-3 py-2 rounded-lg bg-slate-700 text-sm text-slate-200 cursor-pointer"
+                  >
+                    <input
+                      type="checkbox"
+                      className="accent-sky-500"
+                      checked={checkedPlayerIds.has(player.id)}
+                      onChange={() => handleTogglePlayer(player.id)}
+                    />
+                    {buildPlayerLabel(player)}
+                  </label>
+                ))}
+              </div>
+            )}
+
+            <FormGroup label={t('trainingView.form.notes')} htmlFor={`training-notes-${session.id}`}>
+              <Textarea
+                id={`training-notes-${session.id}`}
+                value={notesDraft}
+                onChange={(e) => setNotesDraft(e.target.value)}
+                placeholder={t('trainingView.form.notesPlaceholder')}
+              />
+            </FormGroup>
+
+            <div className="flex justify-end gap-2">
+              <Button onClick={() => setExpandedSessionId(null)} variant="secondary" size="sm">
+                {t('trainingView.checkIn.cancelButton')}
+              </Button>
+              <Button
+                onClick={() => handleSaveCheckIn(session)}
+                size="sm"
+                disabled={saving || checkInPlayers.length === 0}
+              >
+                {t('trainingView.checkIn.saveButton')}
+              </Button>
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+        <SectionHeader title={t('trainingView.header.title')} icon={Dumbbell} />
+        {canManageTeam && !showForm && (
+          <Button onClick={handleOpenForm} Icon={PlusCircle} size="sm">
+            {t('trainingView.header.newSessionButton')}
+          </Button>
+        )}
+      </div>
+
+      {error && (
+        <Alert variant="error">
+          <div className="flex items-center justify-between gap-4">
+            <span>{error}</span>
+            <Button onClick={fetchSessions} variant="secondary" size="sm">
+              {t('trainingView.messages.retry')}
+            </Button>
+          </div>
+        </Alert>
+      )}
+
+      {successMessage && (
+        <Alert variant="success">{successMessage}</Alert>
+      )}
+
+      {showForm && (
+        <div className="bg-slate-800 rounded-lg border border-slate-600 p-4 space-y-4" data-testid="training-form">
+          <div className="flex gap-2">
+            <Button
+              onClick={() => updateForm('mode')(FORM_MODES.SINGLE)}
+              variant={form.mode === FORM_MODES.SINGLE ? 'primary' : 'secondary'}
+              size="sm"
+            >
+              {t('trainingView.form.singleMode')}
+            </Button>
+            <Button
+              onClick={() => updateForm('mode')(FORM_MODES.WEEKLY)}
+              variant={form.mode === FORM_MODES.WEEKLY ? 'primary' : 'secondary'}
+              size="sm"
+            >
+              {t('trainingView.form.weeklyMode')}
+            </Button>
+          </div>
+
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
+            {form.mode === FORM_MODES.SINGLE ? (
+              <FormGroup label={t('trainingView.form.date')} htmlFor="training-date" required>
+                <Input
+                  id="training-date"
+                  type="date"
+                  value={form.sessionDate}
+                  onChange={(e) => updateForm('sessionDate')(e.target.value)}
+                />
+              </FormGroup>
+            ) : (
+              <>
+                <FormGroup label={t('trainingView.form.weekday')} htmlFor="training-weekday" required>
+                  <Select
+                    id="training-weekday"
+                    value={form.weekday}
+                    onChange={updateForm('weekday')}
+                    options={weekdayOptions}
+                  />
+                </FormGroup>
+                <FormGroup label={t('trainingView.form.startsOn')} htmlFor="training-starts-on" required>
+                  <Input
+                    id="training-starts-on"
+                    type="date"
+                    value={form.startsOn}
+                    onChange={(e) => updateForm('startsOn')(e.target.value)}
+                  />
+                </FormGroup>
+                <FormGroup label={t('trainingView.form.endsOn')} htmlFor="training-ends-on" required>
+                  <Input
+                    id="training-ends-on"
+                    type="date"
+                    value={form.endsOn}
+                    onChange={(e) => updateForm('endsOn')(e.target.value)}
+                  />
+                </FormGroup>
+              </>
+            )}
+            <FormGroup label={t('trainingView.form.startTime')} htmlFor="training-start-time">
+              <Input
+                id="training-start-time"
+                type="time"
+                value={form.startTime}
+                onChange={(e) => updateForm('startTime')(e.target.value)}
+              />
+            </FormGroup>
+            <FormGroup label={t('trainingView.form.duration')} htmlFor="training-duration">
+              <Input
+                id="training-duration"
+                type="number"
+                min="1"
+                value={form.durationMinutes}
+                onChange={(e) => updateForm('durationMinutes')(e.target.value)}
+              />
+            </FormGroup>
+            <FormGroup label={t('trainingView.form.location')} htmlFor="training-location">
+              <Input
+                id="training-location"
+                value={form.location}
+                onChange={(e) => updateForm('location')(e.target.value)}
+                maxLength={200}
+              />
+            </FormGroup>
+          </div>
+
+          {form.mode === FORM_MODES.SINGLE && (
+            <FormGroup label={t('trainingView.form.notes')} htmlFor="training-notes">
+              <Textarea
+                id="training-notes"
+                value={form.notes}
+                onChange={(e) => updateForm('notes')(e.target.value)}
+                placeholder={t('trainingView.form.notesPlaceholder')}
+              />
+            </FormGroup>
+          )}
+
+          <div className="flex justify-end gap-2">
+            <Button onClick={() => setShowForm(false)} variant="secondary" size="sm">
+              {t('trainingView.form.cancelButton')}
+            </Button>
+            <Button onClick={handleCreate} size="sm" disabled={saving}>
+              {form.mode === FORM_MODES.WEEKLY
+                ? t('trainingView.form.createScheduleButton')
+                : t('trainingView.form.createSessionButton')}
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="bg-slate-700 p-8 rounded-lg border border-slate-600 text-center">
+          <div className="text-slate-400">{t('trainingView.emptyStates.loading')}</div>
+        </div>
+      ) : sessions.length === 0 ? (
+        <div className="bg-slate-700 p-8 rounded-lg border border-slate-600 text-center text-slate-400">
+          <Dumbbell className="h-12 w-12 mx-auto mb-4 opacity-50" />
+          <p className="text-lg font-medium mb-2">{t('trainingView.emptyStates.noSessions.title')}</p>
+          <p className="text-sm">{t('trainingView.emptyStates.noSessions.description')}</p>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {upcomingSessions.length > 0 && (
+            <div className="space-y-3">
+              <h3 className="text-sm font-semibold text-slate-300">{t('trainingView.sections.upcoming')}</h3>
+              {upcomingSessions.map(session => renderSession(session, false))}
+            </div>
+          )}
+          {pastSessions.length > 0 && (
+            <div className="space-y-3">
+              <h3 className="text-sm font-semibold text-slate-300">{t('trainingView.sections.past')}</h3>
+              {pastSessions.map(session => renderSession(session, true))}
+            </div>
+          )}
+        </div>
+      )}
+
+      <ConfirmationModal
+        isOpen={Boolean(deletingSession)}
+        onCancel={() => {
+          setDeletingSession(null);
+          removeFromNavigationStack();
+        }}
+        onConfirm={handleDeleteSession}
+        title={t('trainingView.deleteConfirmation.title')}
+        message={
+          deletingSession
+            ? t('trainingView.deleteConfirmation.message', { date: formatSessionDate(deletingSession.session_date) })
+            : ''
+        }
+        confirmText={t('trainingView.deleteConfirmation.confirmButton')}
+        cancelText={t('trainingView.deleteConfirmation.cancelButton')}
+      />
+    </div>
+  );
+}
@@ -16,7 +16,8 @@ describe('AddRosterPlayerModal', () => {
     mockGetTeamMembers = jest.fn().mockResolvedValue([
       { id: 'tu-1', role: 'admin', user: { id: 'user-1', name: 'Coach Anna' } },
       { id: 'tu-2', role: 'coach', user: { id: 'user-2', name: 'Coach Bob' } },
-      { id: 'tu-3', role: 'parent', user: { id: 'user-3', name: 'Parent Carl' } }
+      { id: 'tu-3', role: 'parent', user: { id: 'user-3', name: 'Parent Carl' } },
+      { id: 'tu-4', role: 'player', user: { id: 'user-4', name: 'Player Dan' } }
     ]);
 
     defaultProps = {
@@ -39,14 +40,14 @@ describe('AddRosterPlayerModal', () => {
     expect(screen.getByText('Jersey Number')).toBeInTheDocument();
   });
 
-  it('renders related to dropdown with coaches and admins only', async () => {
+  it('renders related to dropdown with parents, coaches and admins', async () => {
     render(<AddRosterPlayerModal {...defaultProps} />);
 
     await waitFor(() => {
       expect(screen.getByText('Related To')).toBeInTheDocument();
     });
 
-    // Should show admin and coach, not parent
+    // Should show admin, coach and parent, not player
     const relatedToSelect = screen.getByDisplayValue('No relation');
     expect(relatedToSelect).toBeInTheDocument();
 
@@ -54,7 +55,8 @@ describe('AddRosterPlayerModal', () => {
     const optionTexts = Array.from(options).map(o => o.textContent);
     expect(optionTexts).toContain('Coach Anna (admin)');
     expect(optionTexts).toContain('Coach Bob (coach)');
-    expect(optionTexts).not.toContain('Parent Carl (parent)');
+    expect(optionTexts).toContain('Parent Carl (parent)');
+    expect(optionTexts).toContain('Player Dan (player)');
   });
 
   it('does not render related to dropdown when no team members', async () => {
@@ -68,9 +70,9 @@ describe('AddRosterPlayerModal', () => {
     expect(screen.queryByText('Related To')).not.toBeInTheDocument();
   });
 
-  it('does not render related to dropdown when only parents exist', async () => {
+  it('lets players be linked to their own account', async () => {
     mockGetTeamMembers.mockResolvedValue([
-      { id: 'tu-3', role: 'parent', user: { id: 'user-3', name: 'Parent Carl' } }
+      { id: 'tu-4', role: 'player', user: { id: 'user-4', name: 'Player Dan' } }
     ]);
     render(<AddRosterPlayerModal {...defaultProps} />);
 
@@ -78,7 +80,8 @@ describe('AddRosterPlayerModal', () => {
       expect(mockGetTeamMembers).toHaveBeenCalledWith('team-1');
     });
 
-    expect(screen.queryByText('Related To')).not.toBeInTheDocument();
+    expect(await screen.findByText('Related To')).toBeInTheDocument();
+    expect(screen.getByText('Player Dan (player)')).toBeInTheDocument();
   });
 
   it('includes related_to in submission data when selected', async () => {
@@ -28,7 +28,8 @@ describe('EditPlayerModal', () => {
     mockGetTeamMembers = jest.fn().mockResolvedValue([
       { id: 'tu-1', role: 'admin', user: { id: 'user-1', name: 'Coach Anna' } },
       { id: 'tu-2', role: 'coach', user: { id: 'user-2', name: 'Coach Bob' } },
-      { id: 'tu-3', role: 'parent', user: { id: 'user-3', name: 'Parent Carl' } }
+      { id: 'tu-3', role: 'parent', user: { id: 'user-3', name: 'Parent Carl' } },
+      { id: 'tu-4', role: 'player', user: { id: 'user-4', name: 'Player Dan' } }
     ]);
 
     defaultProps = {
@@ -51,7 +52,7 @@ describe('EditPlayerModal', () => {
     expect(screen.getByPlaceholderText('Enter first name')).toHaveValue('Alice');
   });
 
-  it('renders related to dropdown with coaches and admins only', async () => {
+  it('renders related to dropdown with parents, coaches and admins', async () => {
     render(<EditPlayerModal {...defaultProps} />);
 
     await waitFor(() => {
@@ -63,7 +64,8 @@ describe('EditPlayerModal', () => {
     const optionTexts = Array.from(options).map(o => o.textContent);
     expect(optionTexts).toContain('Coach Anna (admin)');
     expect(optionTexts).toContain('Coach Bob (coach)');
-    expect(optionTexts).not.toContain('Parent Carl (parent)');
+    expect(optionTexts).toContain('Parent Carl (parent)');
+    expect(optionTexts).toContain('Player Dan (player)');
   });
 
   it('initializes related_to from player data', async () => {
@@ -127,9 +129,9 @@ describe('EditPlayerModal', () => {
     });
   });
 
-  it('does not render related to dropdown when no coaches/admins', async () => {
+  it('lets players be linked to their own account', async () => {
     mockGetTeamMembers.mockResolvedValue([
-      { id: 'tu-3', role: 'parent', user: { id: 'user-3', name: 'Parent Carl' } }
+      { id: 'tu-4', role: 'player', user: { id: 'user-4', name: 'Player Dan' } }
     ]);
     render(<EditPlayerModal {...defaultProps} />);
 
@@ -137,6 +139,25 @@ describe('EditPlayerModal', () => {
       expect(mockGetTeamMembers).toHaveBeenCalledWith('team-1');
     });
 
-    expect(screen.queryByText('Related To')).not.toBeInTheDocument();
+    expect(await screen.findByText('Related To')).toBeInTheDocument();
+    expect(screen.getByText('Player Dan (player)')).toBeInTheDocument();
+  });
+
+  it('submits the pronunciation used for spoken announcements', async () => {
+    render(<EditPlayerModal {...defaultProps} player={{ ...mockPlayer, phonetic_name: 'Al-is' }} />);
+
+    const pronunciation = screen.getByPlaceholderText('How to say the name, e.g. Ah-lva');
+    expect(pronunciation).toHaveValue('Al-is');
+    fireEvent.change(pronunciation, { target: { value: '  ' } });
+    fireEvent.click(screen.getByText('Update Player'));
+
+    await waitFor(() => {
+      expect(mockOnPlayerUpdated).toHaveBeenCalledWith(
+        'player-1',
+        expect.objectContaining({
+          phonetic_name: null
+        })
+      );
+    });
   });
 });
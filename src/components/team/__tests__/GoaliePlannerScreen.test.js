@@ -0,0 +1,138 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { GoaliePlannerScreen } from '../GoaliePlannerScreen';
+import * as goalieRotationService from '../../../services/goalieRotationService';
+import { useTeam } from '../../../contexts/TeamContext';
+
+jest.mock('../../../services/goalieRotationService');
+jest.mock('../../../contexts/TeamContext');
+
+const teamPlayers = [
+  { id: 'p1', display_name: 'Alva', jersey_number: 1, willing_goalie: true },
+  { id: 'p2', display_name: 'Bo', jersey_number: 7, willing_goalie: true },
+  { id: 'p3', display_name: 'Cleo', jersey_number: null, willing_goalie: false },
+  { id: 'p4', display_name: 'Dana', jersey_number: 9, willing_goalie: false, on_roster: false }
+];
+
+const history = new Map([
+  ['p1', { goaliePeriods: 3, goalieMatches: 2, goalieSeconds: 2700 }],
+  ['p2', { goaliePeriods: 1.5, goalieMatches: 1, goalieSeconds: 1350 }]
+]);
+
+const renderScreen = (props = {}) => render(
+  <GoaliePlannerScreen
+    onNavigateBack={jest.fn()}
+    pushNavigationState={jest.fn()}
+    removeFromNavigationStack={jest.fn()}
+    {...props}
+  />
+);
+
+describe('GoaliePlannerScreen', () => {
+  const updateRosterPlayer = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    updateRosterPlayer.mockResolvedValue({});
+    useTeam.mockReturnValue({
+      currentTeam: { id: 'team-1' },
+      teamPlayers,
+      canManageTeam: true,
+      updateRosterPlayer
+    });
+    goalieRotationService.getGoalieHistory.mockResolvedValue({ success: true, history, matchCount: 4 });
+  });
+
+  it('lists roster players by goalie periods and marks who is next up', async () => {
+    renderScreen();
+
+    expect(await screen.findByText('Matches this season: 4')).toBeInTheDocument();
+    expect(goalieRotationService.getGoalieHistory).toHaveBeenCalledWith('team-1');
+
+    const rows = screen.getAllByTestId('goalie-planner-row');
+    expect(rows.map(row => row.textContent)).toEqual([
+      expect.stringContaining('Cleo'),
+      expect.stringContaining('Bo'),
+      expect.stringContaining('Alva')
+    ]);
+    expect(rows[1]).toHaveTextContent('Next up');
+    expect(rows[1]).toHaveTextContent('1.5');
+    expect(screen.queryByText('Dana')).not.toBeInTheDocument();
+    expect(screen.getByLabelText('Alva is willing to play goalie')).toBeChecked();
+    expect(screen.getByLabelText('Cleo is willing to play goalie')).not.toBeChecked();
+  });
+
+  it('toggles goalie willingness', async () => {
+    renderScreen();
+
+    fireEvent.click(await screen.findByLabelText('Cleo is willing to play goalie'));
+
+    await waitFor(() => {
+      expect(updateRosterPlayer).toHaveBeenCalledWith('p3', { willing_goalie: true });
+    });
+  });
+
+  it('shows an error when willingness cannot be saved', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    updateRosterPlayer.mockRejectedValue(new Error('boom'));
+
+    renderScreen();
+
+    fireEvent.click(await screen.findByLabelText('Bo is willing to play goalie'));
+
+    expect(await screen.findByText('Failed to update goalie willingness')).toBeInTheDocument();
+    console.error.mockRestore();
+  });
+
+  it('disables willingness toggles for members who cannot manage the team', async () => {
+    useTeam.mockReturnValue({
+      currentTeam: { id: 'team-1' },
+      teamPlayers,
+      canManageTeam: false,
+      updateRosterPlayer
+    });
+
+    renderScreen();
+
+    expect(await screen.findByLabelText('Alva is willing to play goalie')).toBeDisabled();
+  });
+
+  it('explains the rotation when nobody is willing', async () => {
+    useTeam.mockReturnValue({
+      currentTeam: { id: 'team-1' },
+      teamPlayers: teamPlayers.map(player => ({ ...player, willing_goalie: false })),
+      canManageTeam: true,
+      updateRosterPlayer
+    });
+
+    renderScreen();
+
+    expect(await screen.findByText('Nobody is marked as willing yet, so suggestions rotate through the whole squad.')).toBeInTheDocument();
+  });
+
+  it('shows translated load errors and retries', async () => {
+    goalieRotationService.getGoalieHistory.mockResolvedValueOnce({ success: false, error: 'errors.goalieHistoryFailed' });
+
+    renderScreen();
+
+    expect(await screen.findByText('Failed to load goalie history')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Retry' }));
+
+    expect(await screen.findByText('Matches this season: 4')).toBeInTheDocument();
+  });
+
+  it('shows the empty state without roster players', async () => {
+    useTeam.mockReturnValue({
+      currentTeam: { id: 'team-1' },
+      teamPlayers: [],
+      canManageTeam: true,
+      updateRosterPlayer
+    });
+
+    renderScreen();
+
+    expect(await screen.findByText('No players on the roster yet.')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,48 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { MatchAlertRulesEditor } from '../MatchAlertRulesEditor';
+
+const rules = [
+  { id: 'warning', type: 'periodRemaining', enabled: true, minutes: 2, sound: 'quick-chime', vibration: 'double' },
+  { id: 'end', type: 'periodEnd', enabled: true, sound: 'flute', vibration: 'long' }
+];
+
+describe('MatchAlertRulesEditor', () => {
+  it('renders a row per rule with minutes only for timed rules', () => {
+    render(<MatchAlertRulesEditor rules={rules} onChange={jest.fn()} />);
+
+    expect(screen.getByDisplayValue('2 min')).toBeInTheDocument();
+    expect(screen.getByDisplayValue('Quick Chime')).toBeInTheDocument();
+    expect(screen.getByDisplayValue('Double vibration')).toBeInTheDocument();
+    expect(screen.getByDisplayValue('Flute')).toBeInTheDocument();
+    expect(screen.getAllByDisplayValue(/min$/)).toHaveLength(1);
+  });
+
+  it('updates a rule threshold, sound and vibration', () => {
+    const onChange = jest.fn();
+    render(<MatchAlertRulesEditor rules={rules} onChange={onChange} />);
+
+    fireEvent.change(screen.getByDisplayValue('2 min'), { target: { value: '5' } });
+    expect(onChange).toHaveBeenLastCalledWith([{ ...rules[0], minutes: 5 }, rules[1]]);
+
+    fireEvent.change(screen.getByDisplayValue('Flute'), { target: { value: 'happy-bells' } });
+    expect(onChange).toHaveBeenLastCalledWith([rules[0], { ...rules[1], sound: 'happy-bells' }]);
+
+    fireEvent.change(screen.getByDisplayValue('Long vibration'), { target: { value: 'none' } });
+    expect(onChange).toHaveBeenLastCalledWith([rules[0], { ...rules[1], vibration: 'none' }]);
+  });
+
+  it('adds and removes rules', () => {
+    const onChange = jest.fn();
+    render(<MatchAlertRulesEditor rules={rules} onChange={onChange} />);
+
+    fireEvent.change(screen.getByDisplayValue('Add alert...'), { target: { value: 'playerOnField' } });
+    expect(onChange).toHaveBeenLastCalledWith([
+      ...rules,
+      expect.objectContaining({ type: 'playerOnField', enabled: true, minutes: 8 })
+    ]);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Remove Period end (log the score) alert' }));
+    expect(onChange).toHaveBeenLastCalledWith([rules[0]]);
+  });
+});
@@ -0,0 +1,158 @@
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { ParentHomeScreen } from '../ParentHomeScreen';
+import * as parentPortalService from '../../../services/parentPortalService';
+import * as availabilityRequestService from '../../../services/availabilityRequestService';
+import { useAuth } from '../../../contexts/AuthContext';
+import { VIEWS } from '../../../constants/viewConstants';
+
+jest.mock('../../../services/parentPortalService');
+jest.mock('../../../services/availabilityRequestService');
+jest.mock('../../../contexts/AuthContext');
+
+const children = [
+  {
+    id: 'p1',
+    name: 'Alva',
+    jerseyNumber: 7,
+    teamId: 'team-1',
+    teamName: 'Blue',
+    stats: {
+      matchesPlayed: 2,
+      secondsPlayed: 2400,
+      goals: 3,
+      positions: [
+        { position: 'attacker', seconds: 1800, percent: 75 },
+        { position: 'goalie', seconds: 600, percent: 25 }
+      ],
+      recentMatches: [
+        { matchId: 'm1', opponent: 'Rivals', playedAt: '2026-03-01T10:00:00Z', goalsScored: 2, goalsConceded: 1, secondsPlayed: 1200, goals: 2 }
+      ]
+    },
+    liveMatches: [{ id: 'm-live', type: 'match', state: 'running', opponent: 'AIK', date: '2026-03-10' }],
+    upcomingMatches: [{
+      id: 'u1',
+      type: 'upcoming',
+      opponent: 'Hammarby',
+      date: '2026-03-14',
+      time: '10:00',
+      availabilityRequest: { requestedAt: '2026-03-09T10:00:00Z', deadline: null, availability: null, respondedAt: null }
+    }]
+  },
+  {
+    id: 'p2',
+    name: 'Bo',
+    jerseyNumber: null,
+    teamId: 'team-2',
+    teamName: 'Red',
+    stats: { matchesPlayed: 0, secondsPlayed: 0, goals: 0, positions: [], recentMatches: [] },
+    liveMatches: [],
+    upcomingMatches: []
+  }
+];
+
+const renderScreen = (props = {}) => render(
+  <ParentHomeScreen
+    onNavigateBack={jest.fn()}
+    onNavigateTo={jest.fn()}
+    pushNavigationState={jest.fn()}
+    removeFromNavigationStack={jest.fn()}
+    {...props}
+  />
+);
+
+describe('ParentHomeScreen', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useAuth.mockReturnValue({ user: { id: 'parent-1' } });
+    parentPortalService.getParentOverview.mockResolvedValue({ success: true, children });
+  });
+
+  it('shows each linked child with minutes, goals, positions and matches', async () => {
+    renderScreen();
+
+    const cards = await screen.findAllByTestId('parent-home-child');
+    expect(parentPortalService.getParentOverview).toHaveBeenCalledWith('parent-1');
+    expect(cards).toHaveLength(2);
+
+    const alva = within(cards[0]);
+    expect(alva.getByText('Alva')).toBeInTheDocument();
+    expect(alva.getByText('Blue')).toBeInTheDocument();
+    expect(alva.getByText('40')).toBeInTheDocument();
+    expect(alva.getByText('Attacker')).toBeInTheDocument();
+    expect(alva.getByText('75% · 30 min')).toBeInTheDocument();
+    expect(alva.getByText('vs Hammarby')).toBeInTheDocument();
+    expect(alva.getByText('2–1 vs Rivals')).toBeInTheDocument();
+
+    const bo = within(cards[1]);
+    expect(bo.getByText('No upcoming matches')).toBeInTheDocument();
+    expect(bo.getByText('No finished matches yet')).toBeInTheDocument();
+    expect(bo.queryByText('Watch live')).not.toBeInTheDocument();
+  });
+
+  it('opens a running match in the live view', async () => {
+    const onNavigateTo = jest.fn();
+    renderScreen({ onNavigateTo });
+
+    expect(await screen.findByText('Live now: vs AIK')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Watch live'));
+
+    expect(onNavigateTo).toHaveBeenCalledWith(VIEWS.LIVE_MATCH, {
+      matchId: 'm-live',
+      entryPoint: VIEWS.PARENT_HOME
+    });
+  });
+
+  it('answers an availability request for a child', async () => {
+    availabilityRequestService.respondToAvailabilityRequest.mockResolvedValue({
+      success: true,
+      availability: 'unavailable',
+      respondedAt: '2026-03-10T08:00:00Z'
+    });
+    renderScreen();
+
+    const [alva] = await screen.findAllByTestId('parent-home-child');
+    expect(within(alva).getByText('Can you play?')).toBeInTheDocument();
+    fireEvent.click(within(alva).getByText("Can't play"));
+
+    expect(await within(alva).findByText("Answered: Can't play")).toBeInTheDocument();
+    expect(availabilityRequestService.respondToAvailabilityRequest).toHaveBeenCalledWith('u1', 'p1', false);
+  });
+
+  it('shows a failed answer as an error', async () => {
+    availabilityRequestService.respondToAvailabilityRequest.mockResolvedValue({
+      success: false,
+      error: 'errors.availabilityDeadlinePassed'
+    });
+    renderScreen();
+
+    fireEvent.click((await screen.findAllByText('Can play'))[0]);
+
+    expect(await screen.findByText('The deadline for answering has passed')).toBeInTheDocument();
+  });
+
+  it('uses the player title for players linked to themselves', async () => {
+    renderScreen({ isPlayerView: true });
+
+    expect(screen.getByText('My Matches')).toBeInTheDocument();
+    expect(await screen.findAllByTestId('parent-home-child')).toHaveLength(2);
+  });
+
+  it('explains how to get linked when no children are linked', async () => {
+    parentPortalService.getParentOverview.mockResolvedValue({ success: true, children: [] });
+    renderScreen();
+
+    expect(await screen.findByText('No players are linked to your account yet')).toBeInTheDocument();
+  });
+
+  it('shows load errors with a retry', async () => {
+    parentPortalService.getParentOverview.mockResolvedValueOnce({ success: false, error: 'errors.parentPortalLoadFailed' });
+    renderScreen();
+
+    expect(await screen.findByText("Failed to load your children's overview")).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Retry'));
+
+    expect(await screen.findAllByTestId('parent-home-child')).toHaveLength(2);
+  });
+});
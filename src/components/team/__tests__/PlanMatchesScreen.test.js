@@ -16,6 +16,10 @@ jest.mock('../../../hooks/useAttendanceStats', () => ({
   useAttendanceStats: jest.fn()
 }));
 
+jest.mock('../../../hooks/useSeasonMatchLoad', () => ({
+  useSeasonMatchLoad: jest.fn()
+}));
+
 jest.mock('../../../hooks/usePlanningDefaults', () => ({
   usePlanningDefaults: jest.fn()
 }));
@@ -39,6 +43,7 @@ describe('PlanMatchesScreen', () => {
   let defaultProps;
   let mockUseTeam;
   let mockUseAttendanceStats;
+  let mockUseSeasonMatchLoad;
   let mockUsePlanningDefaults;
   let mockUseProviderAvailability;
   let mockPlanUpcomingMatch;
@@ -84,6 +89,7 @@ describe('PlanMatchesScreen', () => {
 
     mockUseTeam = require('../../../contexts/TeamContext').useTeam;
     mockUseAttendanceStats = require('../../../hooks/useAttendanceStats').useAttendanceStats;
+    mockUseSeasonMatchLoad = require('../../../hooks/useSeasonMatchLoad').useSeasonMatchLoad;
     mockUsePlanningDefaults = require('../../../hooks/usePlanningDefaults').usePlanningDefaults;
     mockUseProviderAvailability = require('../../../hooks/useProviderAvailability').useProviderAvailability;
     mockPlanUpcomingMatch = require('../../../services/matchPlanningService').planUpcomingMatch;
@@ -106,6 +112,12 @@ describe('PlanMatchesScreen', () => {
       statsError: null
     });
 
+    mockUseSeasonMatchLoad.mockReturnValue({
+      seasonLoadByPlayerId: new Map(),
+      seasonLoadLoading: false,
+      seasonLoadError: null
+    });
+
     mockUsePlanningDefaults.mockReturnValue({
       defaults: { format: '5v5' },
       defaultsError: null
@@ -233,6 +245,38 @@ describe('PlanMatchesScreen', () => {
     expect(screen.queryByText('Auto Select')).not.toBeInTheDocument();
   });
 
+  it('should balance season match counts and explain the picks', () => {
+    mockUseSeasonMatchLoad.mockReturnValue({
+      seasonLoadByPlayerId: new Map([
+        ['p1', { regularMatches: 4, loanMatches: 2, seasonMatches: 5, goalieMatches: 1 }],
+        ['p2', { regularMatches: 0, loanMatches: 0, seasonMatches: 0, goalieMatches: 0 }]
+      ]),
+      seasonLoadLoading: false,
+      seasonLoadError: null
+    });
+    const twoMatches = [
+      ...matchesToPlan,
+      { id: 'match-2', opponent: 'Rivals IF', matchDate: '2030-01-08', matchTime: null }
+    ];
+
+    render(<PlanMatchesScreen {...defaultProps} matchesToPlan={twoMatches} />);
+
+    fireEvent.click(screen.getByText('Recommend'));
+    fireEvent.click(screen.getByLabelText('Balance season match counts'));
+    expect(screen.queryByText('Each player plays at least one match?')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByText('Apply'));
+
+    expect(screen.getByText('Why these squads?')).toBeInTheDocument();
+    expect(screen.getByText('Opponent FC: only 2 available players, 5 needed for the format')).toBeInTheDocument();
+    expect(screen.getAllByTestId('fairness-report-player')).toHaveLength(2);
+    expect(screen.getByText(/Season: 5 → 7 matches/)).toBeInTheDocument();
+    expect(screen.getByText('Opponent FC: Picked: covers goalie')).toBeInTheDocument();
+    expect(screen.getAllByText('Bree Player').length).toBeGreaterThan(2);
+
+    fireEvent.click(screen.getByLabelText('Close'));
+    expect(screen.queryByText('Why these squads?')).not.toBeInTheDocument();
+  });
+
   it('should call planUpcomingMatch when saving selected players', async () => {
     render(<PlanMatchesScreen {...defaultProps} />);
 
@@ -84,6 +84,10 @@ jest.mock('../../statistics/TimeFilter', () => ({
   )
 }));
 
+jest.mock('../../../hooks/useTeamSeasons', () => ({
+  useTeamSeasons: () => ({ seasons: [], loading: false, error: null, refresh: jest.fn() })
+}));
+
 const mockConsoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
 
 describe('PlayerLoansView', () => {
@@ -0,0 +1,181 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import SeasonsView from '../SeasonsView';
+import * as seasonService from '../../../services/seasonService';
+import { useTeam } from '../../../contexts/TeamContext';
+import { useBrowserBackIntercept } from '../../../hooks/useBrowserBackIntercept';
+import { useTeamSeasons } from '../../../hooks/useTeamSeasons';
+
+jest.mock('../../../services/seasonService');
+jest.mock('../../../contexts/TeamContext');
+jest.mock('../../../hooks/useBrowserBackIntercept');
+jest.mock('../../../hooks/useTeamSeasons');
+
+const roster = [
+  { id: 'p1', first_name: 'Alice', display_name: 'Alice', jersey_number: 1, on_roster: true },
+  { id: 'p2', first_name: 'Bea', display_name: 'Bea', jersey_number: 2, on_roster: true },
+  { id: 'p3', first_name: 'Cleo', display_name: 'Cleo', jersey_number: 3, on_roster: false }
+];
+
+const activeSeason = {
+  id: 'season-2',
+  name: '2025/2026',
+  start_date: '2025-08-01',
+  end_date: '2026-06-30',
+  age_group: 'P2014',
+  format: '5v5',
+  status: 'active'
+};
+
+const archivedSeason = {
+  id: 'season-1',
+  name: '2024/2025',
+  start_date: '2024-08-01',
+  end_date: '2025-06-30',
+  age_group: null,
+  format: null,
+  status: 'archived'
+};
+
+describe('SeasonsView', () => {
+  const currentTeam = { id: 'team-1' };
+  let refresh;
+  let refreshTeamPlayers;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    refresh = jest.fn();
+    refreshTeamPlayers = jest.fn();
+    useTeam.mockReturnValue({ getTeamRoster: jest.fn().mockResolvedValue(roster), refreshTeamPlayers });
+    useBrowserBackIntercept.mockReturnValue({
+      pushNavigationState: jest.fn(),
+      removeFromNavigationStack: jest.fn()
+    });
+    useTeamSeasons.mockReturnValue({
+      seasons: [activeSeason, archivedSeason],
+      loading: false,
+      error: null,
+      refresh
+    });
+  });
+
+  it('lists seasons with their status', () => {
+    render(<SeasonsView currentTeam={currentTeam} canManageTeam />);
+
+    expect(screen.getAllByTestId('season-card')).toHaveLength(2);
+    expect(screen.getByText('2025/2026')).toBeInTheDocument();
+    expect(screen.getByText('Current')).toBeInTheDocument();
+    expect(screen.getByText('Archived')).toBeInTheDocument();
+    expect(screen.queryByText('New season')).not.toBeInTheDocument();
+  });
+
+  it('creates a season when the team has none', async () => {
+    useTeamSeasons.mockReturnValue({ seasons: [], loading: false, error: null, refresh });
+    seasonService.createSeason.mockResolvedValue({ success: true, season: { id: 'season-3' } });
+
+    render(<SeasonsView currentTeam={currentTeam} canManageTeam />);
+
+    expect(screen.getByText('No seasons yet')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('New season'));
+    fireEvent.change(screen.getByLabelText(/Name/), { target: { value: 'Spring' } });
+    fireEvent.change(screen.getByLabelText(/Age group/), { target: { value: 'P2015' } });
+    fireEvent.click(screen.getByText('Create season'));
+
+    await waitFor(() => expect(seasonService.createSeason).toHaveBeenCalledWith('team-1', expect.objectContaining({
+      name: 'Spring',
+      ageGroup: 'P2015'
+    })));
+    expect(await screen.findByText('Season created')).toBeInTheDocument();
+    expect(refresh).toHaveBeenCalled();
+  });
+
+  it('shows validation errors from the service', async () => {
+    useTeamSeasons.mockReturnValue({ seasons: [], loading: false, error: null, refresh });
+    seasonService.createSeason.mockResolvedValue({ success: false, error: 'errors.seasonNameRequired' });
+
+    render(<SeasonsView currentTeam={currentTeam} canManageTeam />);
+
+    fireEvent.click(screen.getByText('New season'));
+    fireEvent.click(screen.getByText('Create season'));
+
+    expect(await screen.findByText('Season name is required')).toBeInTheDocument();
+  });
+
+  it('rolls over the current season with the chosen players', async () => {
+    seasonService.rolloverSeason.mockResolvedValue({
+      success: true,
+      seasonId: 'season-3',
+      archivedPlayers: 3,
+      releasedPlayers: 1
+    });
+
+    render(<SeasonsView currentTeam={currentTeam} canManageTeam />);
+
+    const rolloverButton = screen.getByRole('button', { name: 'Start next season' });
+    await waitFor(() => expect(rolloverButton).toBeEnabled());
+    fireEvent.click(rolloverButton);
+
+    expect(screen.getByLabelText(/Name/)).toHaveValue('2026/2027');
+    expect(screen.getByText('Carry over players (2/2)')).toBeInTheDocument();
+    expect(screen.queryByLabelText('#3 Cleo')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText('#2 Bea'));
+    fireEvent.change(screen.getByLabelText('Bump jersey numbers by'), { target: { value: '1' } });
+    fireEvent.click(screen.getByText('Archive and start season'));
+
+    await waitFor(() => expect(seasonService.rolloverSeason).toHaveBeenCalledWith('season-2', {
+      nextSeason: {
+        name: '2026/2027',
+        startDate: '2026-08-01',
+        endDate: '2027-06-30',
+        ageGroup: 'P2014',
+        format: '5v5'
+      },
+      carryOverPlayerIds: ['p1'],
+      jerseyOffset: '1'
+    }));
+    expect(await screen.findByText('2026/2027 started. 3 players archived, 1 left the roster.')).toBeInTheDocument();
+    expect(refresh).toHaveBeenCalled();
+    expect(refreshTeamPlayers).toHaveBeenCalledWith('team-1');
+  });
+
+  it('shows the archived roster of a past season', async () => {
+    seasonService.getSeasonStats.mockResolvedValue({
+      success: true,
+      stats: [
+        { player_id: 'p1', jersey_number: 1, on_roster: true, matches_played: 12, goals_scored: 4, player: { first_name: 'Alice', display_name: 'Alice' } },
+        { player_id: 'p3', jersey_number: 3, on_roster: false, matches_played: 5, goals_scored: 0, player: { first_name: 'Cleo', display_name: 'Cleo' } }
+      ]
+    });
+
+    render(<SeasonsView currentTeam={currentTeam} canManageTeam />);
+
+    fireEvent.click(screen.getByText('Archived roster'));
+
+    expect(await screen.findAllByTestId('season-archive-row')).toHaveLength(2);
+    expect(seasonService.getSeasonStats).toHaveBeenCalledWith('season-1');
+    expect(screen.getByText('Left roster')).toBeInTheDocument();
+  });
+
+  it('deletes a season after confirmation', async () => {
+    seasonService.deleteSeason.mockResolvedValue({ success: true });
+
+    render(<SeasonsView currentTeam={currentTeam} canManageTeam />);
+
+    fireEvent.click(screen.getAllByLabelText('Delete season')[1]);
+    fireEvent.click(screen.getByText('Delete'));
+
+    await waitFor(() => expect(seasonService.deleteSeason).toHaveBeenCalledWith('season-1'));
+    expect(await screen.findByText('Season deleted')).toBeInTheDocument();
+  });
+
+  it('hides management actions from members who cannot manage the team', () => {
+    render(<SeasonsView currentTeam={currentTeam} canManageTeam={false} />);
+
+    expect(screen.queryByText('Start next season')).not.toBeInTheDocument();
+    expect(screen.queryByLabelText('Edit season')).not.toBeInTheDocument();
+    expect(screen.getByText('Archived roster')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,168 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { TeamCalendarScreen } from '../TeamCalendarScreen';
+import * as calendarService from '../../../services/calendarService';
+import { useTeam } from '../../../contexts/TeamContext';
+import { formatDateKey } from '../../../utils/trainingUtils';
+
+jest.mock('../../../services/calendarService');
+jest.mock('../../../contexts/TeamContext');
+
+const dateInMonth = (monthOffset, day) => {
+  const today = new Date();
+  return formatDateKey(new Date(today.getFullYear(), today.getMonth() + monthOffset, day));
+};
+
+const entries = [
+  { id: 'm1', type: 'match', date: dateInMonth(0, 5), time: '10:00', opponent: 'AIK', state: 'finished', goalsScored: 2, goalsConceded: 1 },
+  { id: 't1', type: 'training', date: dateInMonth(0, 7), time: '18:00', location: 'Hall B', cancelled: false },
+  { id: 'u1', type: 'upcoming', date: dateInMonth(1, 3), time: null, opponent: 'Hammarby', source: 'ics' }
+];
+
+const icsText = [
+  'BEGIN:VCALENDAR',
+  'BEGIN:VEVENT',
+  'UID:f1@league',
+  'DTSTART:20260419T120000',
+  'SUMMARY:Djurgården - IFK Lidingö',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+const renderScreen = (props = {}) => render(
+  <TeamCalendarScreen
+    onNavigateBack={jest.fn()}
+    pushNavigationState={jest.fn()}
+    removeFromNavigationStack={jest.fn()}
+    {...props}
+  />
+);
+
+describe('TeamCalendarScreen', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useTeam.mockReturnValue({ currentTeam: { id: 'team-1', name: 'Djurgården' }, canManageTeam: true });
+    calendarService.getTeamCalendarEntries.mockResolvedValue({ success: true, entries });
+    calendarService.getCalendarFeed.mockResolvedValue({ success: true, feed: null });
+  });
+
+  it('shows the current month and moves between months', async () => {
+    renderScreen();
+
+    expect(await screen.findByText('vs AIK (2-1)')).toBeInTheDocument();
+    expect(screen.getByText('Hall B')).toBeInTheDocument();
+    expect(screen.getAllByTestId('calendar-entry')).toHaveLength(2);
+    expect(screen.queryByText('vs Hammarby')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Next month' }));
+
+    expect(screen.getByText('vs Hammarby')).toBeInTheDocument();
+    expect(screen.getByText('Imported')).toBeInTheDocument();
+    expect(screen.getByText('Time TBD')).toBeInTheDocument();
+    expect(screen.getAllByTestId('calendar-entry')).toHaveLength(1);
+
+    fireEvent.click(screen.getByText('Today'));
+    expect(screen.getByText('vs AIK (2-1)')).toBeInTheDocument();
+  });
+
+  it('shows the empty state for a month without entries', async () => {
+    calendarService.getTeamCalendarEntries.mockResolvedValue({ success: true, entries: [] });
+
+    renderScreen();
+
+    expect(await screen.findByText('Nothing scheduled this month')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Download .ics' })).toBeDisabled();
+  });
+
+  it('shows translated load errors', async () => {
+    calendarService.getTeamCalendarEntries.mockResolvedValue({ success: false, error: 'errors.calendarLoadFailed' });
+
+    renderScreen();
+
+    expect(await screen.findByText('Failed to load the team calendar')).toBeInTheDocument();
+  });
+
+  it('downloads the calendar as an .ics file', async () => {
+    const createObjectURL = jest.fn(() => 'blob:calendar');
+    const revokeObjectURL = jest.fn();
+    global.URL.createObjectURL = createObjectURL;
+    global.URL.revokeObjectURL = revokeObjectURL;
+    const clickSpy = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    renderScreen();
+    await screen.findByText('vs AIK (2-1)');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Download .ics' }));
+
+    expect(createObjectURL).toHaveBeenCalledWith(expect.any(Blob));
+    expect(clickSpy).toHaveBeenCalled();
+    expect(revokeObjectURL).toHaveBeenCalledWith('blob:calendar');
+    clickSpy.mockRestore();
+  });
+
+  it('previews and imports fixtures from an .ics file', async () => {
+    calendarService.importIcsFixtures.mockResolvedValue({ success: true, importedCount: 1 });
+
+    renderScreen();
+    await screen.findByText('vs AIK (2-1)');
+
+    const file = new File([icsText], 'league.ics', { type: 'text/calendar' });
+    fireEvent.change(screen.getByTestId('calendar-import-input'), { target: { files: [file] } });
+
+    expect(await screen.findByText('Fixtures found: 1')).toBeInTheDocument();
+    expect(screen.getByText('IFK Lidingö')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Import' }));
+
+    await waitFor(() => {
+      expect(calendarService.importIcsFixtures).toHaveBeenCalledWith('team-1', [
+        { externalUid: 'f1@league', opponent: 'IFK Lidingö', matchDate: '2026-04-19', matchTime: '12:00', venue: null }
+      ]);
+    });
+    expect(await screen.findByText('Fixtures imported: 1')).toBeInTheDocument();
+    expect(calendarService.getTeamCalendarEntries).toHaveBeenCalledTimes(2);
+  });
+
+  it('reports files without fixtures', async () => {
+    renderScreen();
+    await screen.findByText('vs AIK (2-1)');
+
+    const file = new File(['not a calendar'], 'notes.txt', { type: 'text/plain' });
+    fireEvent.change(screen.getByTestId('calendar-import-input'), { target: { files: [file] } });
+
+    expect(await screen.findByText('No fixtures found in the calendar file')).toBeInTheDocument();
+    expect(calendarService.importIcsFixtures).not.toHaveBeenCalled();
+  });
+
+  it('lets coaches create a subscription link', async () => {
+    calendarService.enableCalendarFeed.mockResolvedValue({
+      success: true,
+      feed: { token: 'tok', url: 'https://example.test/feed?token=tok', webcalUrl: 'webcal://example.test/feed?token=tok' }
+    });
+
+    renderScreen();
+    await screen.findByText('vs AIK (2-1)');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Subscribe' }));
+    fireEvent.click(await screen.findByRole('button', { name: 'Create subscription link' }));
+
+    expect(await screen.findByText('https://example.test/feed?token=tok')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Open in calendar app' })).toHaveAttribute('href', 'webcal://example.test/feed?token=tok');
+    expect(calendarService.enableCalendarFeed).toHaveBeenCalledWith('team-1');
+  });
+
+  it('hides coach actions from other members', async () => {
+    useTeam.mockReturnValue({ currentTeam: { id: 'team-1', name: 'Djurgården' }, canManageTeam: false });
+
+    renderScreen();
+    await screen.findByText('vs AIK (2-1)');
+
+    expect(screen.queryByRole('button', { name: 'Import fixtures (.ics)' })).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Subscribe' }));
+
+    expect(await screen.findByText('A coach has not created a subscription link yet.')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Create subscription link' })).not.toBeInTheDocument();
+  });
+});
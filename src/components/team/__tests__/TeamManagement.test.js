@@ -403,6 +403,23 @@ describe('TeamManagement', () => {
       expect(screen.queryByRole('button', { name: /Loans/i })).not.toBeInTheDocument();
     });
 
+    it('should show the Training tab only when canManageTeam is true', () => {
+      const { unmount } = render(<TeamManagement {...defaultProps} />);
+
+      expect(screen.getByRole('button', { name: /Training/i })).toBeInTheDocument();
+      unmount();
+
+      mockUseTeam.mockReturnValue({
+        ...mockTeamContext,
+        canManageTeam: false,
+        isTeamAdmin: false
+      });
+
+      render(<TeamManagement {...defaultProps} />);
+
+      expect(screen.queryByRole('button', { name: /Training/i })).not.toBeInTheDocument();
+    });
+
     it('should show Access Management tab only when isTeamAdmin is true', () => {
       render(<TeamManagement {...defaultProps} />);
 
@@ -1080,6 +1080,106 @@ describe('TeamMatchesList', () => {
     });
   });
 
+  describe('User Interactions - Join as Co-coach', () => {
+    beforeEach(() => {
+      mockUseRealtimeTeamMatches.mockReturnValue({
+        matches: mockMatches,
+        loading: false,
+        error: null,
+        refetch: jest.fn()
+      });
+    });
+
+    it('should only offer joining running matches', () => {
+      render(<TeamMatchesList {...defaultProps} onJoinAsCoCoach={jest.fn()} />);
+
+      expect(screen.getAllByText('Join as Co-coach')).toHaveLength(1);
+    });
+
+    it('should not offer joining without a join handler', () => {
+      render(<TeamMatchesList {...defaultProps} />);
+
+      expect(screen.queryByText('Join as Co-coach')).not.toBeInTheDocument();
+    });
+
+    it('should call onJoinAsCoCoach with the match id', async () => {
+      const onJoinAsCoCoach = jest.fn().mockResolvedValue({ success: true });
+      render(<TeamMatchesList {...defaultProps} onJoinAsCoCoach={onJoinAsCoCoach} />);
+
+      fireEvent.click(screen.getByText('Join as Co-coach'));
+
+      await waitFor(() => {
+        expect(onJoinAsCoCoach).toHaveBeenCalledWith('match-1');
+      });
+      expect(screen.queryByText('Error')).not.toBeInTheDocument();
+    });
+
+    it('should explain when the match has not been shared yet', async () => {
+      const onJoinAsCoCoach = jest.fn().mockResolvedValue({ success: false, noSharedState: true });
+      render(<TeamMatchesList {...defaultProps} onJoinAsCoCoach={onJoinAsCoCoach} />);
+
+      fireEvent.click(screen.getByText('Join as Co-coach'));
+
+      expect(await screen.findByText(/has not been shared by the other coach yet/)).toBeInTheDocument();
+    });
+
+    it('should show an error when joining fails', async () => {
+      const onJoinAsCoCoach = jest.fn().mockResolvedValue({ success: false });
+      render(<TeamMatchesList {...defaultProps} onJoinAsCoCoach={onJoinAsCoCoach} />);
+
+      fireEvent.click(screen.getByText('Join as Co-coach'));
+
+      expect(await screen.findByText('Failed to join the match')).toBeInTheDocument();
+    });
+  });
+
+  describe('User Interactions - Resume on this device', () => {
+    beforeEach(() => {
+      mockUseRealtimeTeamMatches.mockReturnValue({
+        matches: mockMatches,
+        loading: false,
+        error: null,
+        refetch: jest.fn()
+      });
+    });
+
+    it('should only offer resuming running matches', () => {
+      render(<TeamMatchesList {...defaultProps} onResumeOnDevice={jest.fn()} />);
+
+      expect(screen.getAllByText('Resume on this device')).toHaveLength(1);
+    });
+
+    it('should call onResumeOnDevice with the match id', async () => {
+      const onResumeOnDevice = jest.fn().mockResolvedValue({ success: true });
+      render(<TeamMatchesList {...defaultProps} onResumeOnDevice={onResumeOnDevice} />);
+
+      fireEvent.click(screen.getByText('Resume on this device'));
+
+      await waitFor(() => {
+        expect(onResumeOnDevice).toHaveBeenCalledWith('match-1');
+      });
+      expect(screen.queryByText('Error')).not.toBeInTheDocument();
+    });
+
+    it('should explain when the match log cannot be continued', async () => {
+      const onResumeOnDevice = jest.fn().mockResolvedValue({ success: false, notResumable: true });
+      render(<TeamMatchesList {...defaultProps} onResumeOnDevice={onResumeOnDevice} />);
+
+      fireEvent.click(screen.getByText('Resume on this device'));
+
+      expect(await screen.findByText('This match cannot be continued from its saved match log.')).toBeInTheDocument();
+    });
+
+    it('should show an error when resuming fails', async () => {
+      const onResumeOnDevice = jest.fn().mockResolvedValue({ success: false, error: 'Database error: boom' });
+      render(<TeamMatchesList {...defaultProps} onResumeOnDevice={onResumeOnDevice} />);
+
+      fireEvent.click(screen.getByText('Resume on this device'));
+
+      expect(await screen.findByText('Failed to resume the match on this device')).toBeInTheDocument();
+    });
+  });
+
   describe('Edge Cases and Error Handling', () => {
     it('should handle missing team context gracefully', () => {
       mockUseTeam.mockReturnValue({ currentTeam: null });
@@ -169,3 +169,49 @@ describe('TeamPreferences - Alternate Roles', () => {
     expect(checkbox).not.toBeChecked();
   });
 });
+
+describe('TeamPreferences - Match Alerts', () => {
+  const loadTeamPreferences = jest.fn();
+  const saveTeamPreferences = jest.fn();
+  const getTeamRoster = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    loadTeamPreferences.mockResolvedValue({});
+    saveTeamPreferences.mockResolvedValue(true);
+    getTeamRoster.mockResolvedValue(buildRoster());
+
+    useTeam.mockReturnValue({
+      loadTeamPreferences,
+      saveTeamPreferences,
+      getTeamRoster
+    });
+  });
+
+  it('shows the default rules all switched off', async () => {
+    render(<TeamPreferences team={mockTeam} />);
+
+    expect(await screen.findByRole('checkbox', { name: 'Minutes before period end' })).not.toBeChecked();
+    expect(screen.getByRole('checkbox', { name: 'Halfway through period' })).not.toBeChecked();
+    expect(screen.getByRole('checkbox', { name: 'Player on field for too long' })).not.toBeChecked();
+    expect(screen.getByRole('checkbox', { name: 'Goalie not rotated' })).not.toBeChecked();
+    expect(screen.getByRole('checkbox', { name: 'Period end (log the score)' })).not.toBeChecked();
+  });
+
+  it('saves the rules when an alert is switched on', async () => {
+    render(<TeamPreferences team={mockTeam} />);
+
+    await userEvent.click(await screen.findByRole('checkbox', { name: 'Halfway through period' }));
+
+    await waitFor(() => {
+      expect(saveTeamPreferences).toHaveBeenCalledWith(
+        mockTeam.id,
+        expect.objectContaining({
+          matchAlertRules: expect.arrayContaining([
+            expect.objectContaining({ type: 'halfway', enabled: true })
+          ])
+        })
+      );
+    });
+  });
+});
@@ -0,0 +1,193 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import TrainingSessionsView from '../TrainingSessionsView';
+import * as trainingService from '../../../services/trainingService';
+import { useTeam } from '../../../contexts/TeamContext';
+import { useBrowserBackIntercept } from '../../../hooks/useBrowserBackIntercept';
+import { formatDateKey } from '../../../utils/trainingUtils';
+
+jest.mock('../../../services/trainingService');
+jest.mock('../../../contexts/TeamContext');
+jest.mock('../../../hooks/useBrowserBackIntercept');
+
+const offsetDateKey = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return formatDateKey(date);
+};
+
+const roster = [
+  { id: 'p1', first_name: 'Alice', display_name: 'Alice', jersey_number: 1, on_roster: true },
+  { id: 'p2', first_name: 'Bea', display_name: 'Bea', jersey_number: 2, on_roster: true },
+  { id: 'p3', first_name: 'Cleo', display_name: 'Cleo', jersey_number: 3, on_roster: false }
+];
+
+const pastSession = {
+  id: 's-past',
+  session_date: offsetDateKey(-3),
+  start_time: '18:00:00',
+  duration_minutes: 90,
+  location: 'Zinkensdamm IP',
+  notes: null,
+  status: 'scheduled',
+  schedule_id: 'sched-1',
+  attendance_recorded_at: null,
+  training_attendance: []
+};
+
+const recordedSession = {
+  ...pastSession,
+  id: 's-recorded',
+  session_date: offsetDateKey(-10),
+  attendance_recorded_at: '2025-01-01T20:00:00Z',
+  training_attendance: [
+    { player_id: 'p1', attended: true },
+    { player_id: 'p2', attended: false }
+  ]
+};
+
+const upcomingSession = {
+  ...pastSession,
+  id: 's-upcoming',
+  session_date: offsetDateKey(4),
+  schedule_id: null
+};
+
+describe('TrainingSessionsView', () => {
+  const currentTeam = { id: 'team-1' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useTeam.mockReturnValue({ getTeamRoster: jest.fn().mockResolvedValue(roster) });
+    useBrowserBackIntercept.mockReturnValue({
+      pushNavigationState: jest.fn(),
+      removeFromNavigationStack: jest.fn()
+    });
+    trainingService.getTrainingSessions.mockResolvedValue({
+      success: true,
+      sessions: [recordedSession, pastSession, upcomingSession]
+    });
+  });
+
+  it('lists upcoming and past sessions with their check-in status', async () => {
+    render(<TrainingSessionsView currentTeam={currentTeam} canManageTeam />);
+
+    expect(await screen.findByText('Upcoming')).toBeInTheDocument();
+    expect(screen.getByText('Past')).toBeInTheDocument();
+    expect(screen.getByText('1/2 attended')).toBeInTheDocument();
+    expect(screen.getByText('Check-in pending')).toBeInTheDocument();
+    expect(screen.getAllByTestId('training-session')).toHaveLength(3);
+    expect(trainingService.getTrainingSessions).toHaveBeenCalledWith('team-1');
+  });
+
+  it('records check-in for the roster players and saves notes', async () => {
+    trainingService.updateTrainingSession.mockResolvedValue({
+      success: true,
+      session: { ...pastSession, notes: 'Passing drills' }
+    });
+    trainingService.saveSessionAttendance.mockResolvedValue({
+      success: true,
+      session: {
+        ...pastSession,
+        notes: 'Passing drills',
+        attendance_recorded_at: '2025-01-01T20:00:00Z',
+        training_attendance: [
+          { player_id: 'p1', attended: false },
+          { player_id: 'p2', attended: true }
+        ]
+      }
+    });
+
+    render(<TrainingSessionsView currentTeam={currentTeam} canManageTeam />);
+
+    await screen.findByText('Check-in pending');
+    // Upcoming sessions come first, then past sessions newest first
+    const session = screen.getAllByTestId('training-session')[1];
+    fireEvent.click(within(session).getByText('Check-in'));
+
+    // Players off the roster are not listed
+    expect(within(session).queryByText('#3 Cleo')).not.toBeInTheDocument();
+
+    fireEvent.click(within(session).getByLabelText('#2 Bea'));
+    fireEvent.change(within(session).getByLabelText('Notes'), { target: { value: 'Passing drills' } });
+    fireEvent.click(within(session).getByText('Save Check-in'));
+
+    await waitFor(() => {
+      expect(trainingService.saveSessionAttendance).toHaveBeenCalledWith('s-past', ['p1', 'p2'], ['p2']);
+    });
+    expect(trainingService.updateTrainingSession).toHaveBeenCalledWith('s-past', { notes: 'Passing drills' });
+    expect(await screen.findByText('Check-in saved: 1 attended.')).toBeInTheDocument();
+  });
+
+  it('creates a weekly schedule', async () => {
+    trainingService.createTrainingSchedule.mockResolvedValue({
+      success: true,
+      sessions: [{ ...upcomingSession, id: 'new-1' }, { ...upcomingSession, id: 'new-2' }]
+    });
+
+    render(<TrainingSessionsView currentTeam={currentTeam} canManageTeam />);
+
+    fireEvent.click(await screen.findByText('New Session'));
+    fireEvent.click(screen.getByText('Weekly schedule'));
+    fireEvent.change(screen.getByLabelText(/Weekday/), { target: { value: '2' } });
+    fireEvent.change(screen.getByLabelText(/First date/), { target: { value: '2025-01-01' } });
+    fireEvent.change(screen.getByLabelText(/Last date/), { target: { value: '2025-01-31' } });
+    fireEvent.change(screen.getByLabelText('Start time'), { target: { value: '18:00' } });
+    fireEvent.click(screen.getByText('Create Schedule'));
+
+    await waitFor(() => {
+      expect(trainingService.createTrainingSchedule).toHaveBeenCalledWith('team-1', {
+        startTime: '18:00',
+        durationMinutes: '',
+        location: '',
+        weekday: 2,
+        startsOn: '2025-01-01',
+        endsOn: '2025-01-31'
+      });
+    });
+    expect(await screen.findByText('Schedule created with 2 sessions.')).toBeInTheDocument();
+  });
+
+  it('shows translated service errors', async () => {
+    trainingService.createTrainingSession.mockResolvedValue({
+      success: false,
+      error: 'errors.trainingDateRequired'
+    });
+
+    render(<TrainingSessionsView currentTeam={currentTeam} canManageTeam />);
+
+    fireEvent.click(await screen.findByText('New Session'));
+    fireEvent.change(screen.getByLabelText(/Date/), { target: { value: '' } });
+    fireEvent.click(screen.getByText('Create Session'));
+
+    expect(await screen.findByText('Session date is required')).toBeInTheDocument();
+  });
+
+  it('cancels a session', async () => {
+    trainingService.updateTrainingSession.mockResolvedValue({
+      success: true,
+      session: { ...upcomingSession, status: 'cancelled' }
+    });
+
+    render(<TrainingSessionsView currentTeam={currentTeam} canManageTeam />);
+
+    await screen.findByText('Upcoming');
+    const session = screen.getAllByTestId('training-session')[0];
+    fireEvent.click(within(session).getByLabelText('Cancel session'));
+
+    await waitFor(() => {
+      expect(trainingService.updateTrainingSession).toHaveBeenCalledWith('s-upcoming', { status: 'cancelled' });
+    });
+    expect(await screen.findByText('Cancelled')).toBeInTheDocument();
+  });
+
+  it('hides management actions for read-only users', async () => {
+    render(<TrainingSessionsView currentTeam={currentTeam} canManageTeam={false} />);
+
+    await screen.findByText('Upcoming');
+
+    expect(screen.queryByText('New Session')).not.toBeInTheDocument();
+    expect(screen.queryByText('Check-in')).not.toBeInTheDocument();
+  });
+});
@@ -2,6 +2,7 @@ import React from 'react';
 import { Button, Input } from '../../shared/UI';
 import { ModalShell } from '../../shared/ModalShell';
 import { AUTO_SELECT_STRATEGY } from '../../../constants/planMatchesConstants';
+import { summarizeAvailabilityRequest } from '../../../utils/availabilityRequests';
 import { useTranslation } from 'react-i18next';
 
 export function AutoSelectModal({
@@ -15,7 +16,9 @@ export function AutoSelectModal({
   onUpdateSettings,
   onCancel,
   onConfirm,
-  formatSchedule
+  formatSchedule,
+  availabilityRequestsByMatch = {},
+  roster = []
 }) {
   const { t } = useTranslation('team');
 
@@ -24,6 +27,7 @@ export function AutoSelectModal({
   }
 
   const isMultiMatch = matches.length > 1;
+  const isFairness = autoSelectSettings.metric === AUTO_SELECT_STRATEGY.FAIRNESS;
 
   return (
     <ModalShell
@@ -36,27 +40,41 @@ export function AutoSelectModal({
               {isMultiMatch ? t('planMatches.autoSelect.squadSizeMulti') : t('planMatches.autoSelect.squadSizeSingle')}
             </div>
             <div className="space-y-2">
-              {autoSelectMatches.map((match) => (
-                <div key={match.id} className="flex items-center justify-between gap-3">
-                  <div className="min-w-0">
-                    <div className="truncate text-sm text-slate-100">{match.opponent}</div>
-                    <div className="text-xs text-slate-400">{formatSchedule(match.matchDate, match.matchTime)}</div>
-                  </div>
-                  <div className="w-20">
-                    <Input
-                      type="number"
-                      min="0"
-                      max={rosterCount}
-                      value={targetCounts[match.id] ?? ''}
-                      onChange={(event) => onUpdateTargetCount(match.id, event.target.value)}
-                      className="text-xs py-1 px-2"
-                    />
+              {autoSelectMatches.map((match) => {
+                const request = availabilityRequestsByMatch[match.id];
+                const summary = request ? summarizeAvailabilityRequest(request, roster) : null;
+
+                return (
+                  <div key={match.id} className="flex items-center justify-between gap-3">
+                    <div className="min-w-0">
+                      <div className="truncate text-sm text-slate-100">{match.opponent}</div>
+                      <div className="text-xs text-slate-400">{formatSchedule(match.matchDate, match.matchTime)}</div>
+                      {summary && (
+                        <div className="text-xs text-slate-400">
+                          {t('planMatches.availability.counts', {
+                            available: summary.available.length,
+                            unavailable: summary.unavailable.length,
+                            unanswered: summary.unanswered.length
+                          })}
+                        </div>
+                      )}
+                    </div>
+                    <div className="w-20">
+                      <Input
+                        type="number"
+                        min="0"
+                        max={rosterCount}
+                        value={targetCounts[match.id] ?? ''}
+                        onChange={(event) => onUpdateTargetCount(match.id, event.target.value)}
+                        className="text-xs py-1 px-2"
+                      />
+                    </div>
                   </div>
-                </div>
-              ))}
+                );
+              })}
             </div>
           </div>
-          {isMultiMatch && (
+          {isMultiMatch && !isFairness && (
             <label className="flex items-center gap-2 text-sm text-slate-200">
               <input
                 type="checkbox"
@@ -98,6 +116,24 @@ export function AutoSelectModal({
                 />
                 {t('planMatches.autoSelect.prioritizeAttendance')}
               </label>
+              <label className="flex items-center gap-2 text-sm text-slate-200">
+                <input
+                  type="radio"
+                  name="auto-select-strategy"
+                  checked={isFairness}
+                  onChange={() => onUpdateSettings({
+                    ...autoSelectSettings,
+                    metric: AUTO_SELECT_STRATEGY.FAIRNESS
+                  })}
+                  className="h-4 w-4 border-slate-500 text-sky-500 focus:ring-sky-500"
+                />
+                {t('planMatches.autoSelect.balanceSeason')}
+              </label>
+              {isFairness && (
+                <p className="pl-6 text-xs text-slate-400">
+                  {t('planMatches.autoSelect.balanceSeasonHint')}
+                </p>
+              )}
             </div>
           )}
         </div>
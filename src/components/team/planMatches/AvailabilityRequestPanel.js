@@ -0,0 +1,160 @@
+import React, { useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Button, Input } from '../../shared/UI';
+import {
+  fromDateTimeInputValue,
+  isAvailabilityRequestOpen,
+  summarizeAvailabilityRequest,
+  toDateTimeInputValue
+} from '../../../utils/availabilityRequests';
+
+/**
+ * Ask the team who can play an upcoming match and follow the answers.
+ * Shows the counts per answer, who has not answered yet and a reminder that
+ * can be pasted into the team's usual chat.
+ */
+export function AvailabilityRequestPanel({ match, roster, request, onRequest, formatSchedule }) {
+  const { t, i18n } = useTranslation('team');
+  const { t: tCommon } = useTranslation('common');
+  const [deadlineInput, setDeadlineInput] = useState(() => toDateTimeInputValue(request?.deadline));
+  const [editingDeadline, setEditingDeadline] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const summary = useMemo(() => summarizeAvailabilityRequest(request, roster || []), [request, roster]);
+  const isRequested = Boolean(request?.requestedAt);
+  const showForm = !isRequested || editingDeadline;
+
+  const formatDateTime = (timestamp) => new Date(timestamp).toLocaleString(i18n.language, {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  const handleSend = async () => {
+    setBusy(true);
+    setMessage(null);
+
+    const result = await onRequest(fromDateTimeInputValue(deadlineInput));
+
+    if (result?.success) {
+      setEditingDeadline(false);
+      setMessage({ tone: 'success', text: t(isRequested ? 'planMatches.availability.updated' : 'planMatches.availability.sent') });
+    } else {
+      setMessage({
+        tone: 'error',
+        text: result?.error
+          ? tCommon(result.error, { defaultValue: result.error })
+          : t('planMatches.availability.requestFailed')
+      });
+    }
+
+    setBusy(false);
+  };
+
+  const handleCopyReminder = async () => {
+    const schedule = formatSchedule(match.matchDate, match.matchTime);
+    const names = summary.unanswered.map(player => player.displayName).join(', ');
+    const text = request?.deadline
+      ? t('planMatches.availability.reminderTextDeadline', {
+        opponent: match.opponent,
+        schedule,
+        deadline: formatDateTime(request.deadline),
+        names
+      })
+      : t('planMatches.availability.reminderText', { opponent: match.opponent, schedule, names });
+
+    try {
+      await navigator.clipboard.writeText(text);
+      setMessage({ tone: 'success', text: t('planMatches.availability.reminderCopied') });
+    } catch (err) {
+      console.error('Failed to copy availability reminder:', err);
+      setMessage({ tone: 'error', text: t('planMatches.availability.copyFailed') });
+    }
+  };
+
+  return (
+    <div className="space-y-2 rounded border border-slate-700 bg-slate-900/30 p-2 text-xs text-slate-300" data-testid="availability-request-panel">
+      <div className="flex items-center justify-between gap-2">
+        <span className="font-semibold text-slate-200">{t('planMatches.availability.title')}</span>
+        {isRequested && (
+          <span className="text-slate-400">
+            {request.deadline
+              ? t(isAvailabilityRequestOpen(request) ? 'planMatches.availability.closes' : 'planMatches.availability.closed', {
+                deadline: formatDateTime(request.deadline)
+              })
+              : t('planMatches.availability.noDeadline')}
+          </span>
+        )}
+      </div>
+
+      {isRequested && (
+        <>
+          <div>
+            {t('planMatches.availability.counts', {
+              available: summary.available.length,
+              unavailable: summary.unavailable.length,
+              unanswered: summary.unanswered.length
+            })}
+          </div>
+          {summary.unanswered.length > 0 && (
+            <div className="text-slate-400">
+              {t('planMatches.availability.notAnswered', {
+                names: summary.unanswered.map(player => player.displayName).join(', ')
+              })}
+            </div>
+          )}
+        </>
+      )}
+
+      {showForm ? (
+        <div className="flex flex-wrap items-center gap-2">
+          <label className="flex items-center gap-2">
+            <span>{t('planMatches.availability.deadline')}</span>
+            <Input
+              type="datetime-local"
+              value={deadlineInput}
+              onChange={(event) => setDeadlineInput(event.target.value)}
+              disabled={busy}
+              className="text-xs py-1 px-2"
+            />
+          </label>
+          <Button size="sm" variant="accent" onClick={handleSend} disabled={busy}>
+            {isRequested ? t('planMatches.availability.update') : t('planMatches.availability.request')}
+          </Button>
+          {editingDeadline && (
+            <Button size="sm" variant="secondary" onClick={() => setEditingDeadline(false)} disabled={busy}>
+              {t('planMatches.availability.cancel')}
+            </Button>
+          )}
+        </div>
+      ) : (
+        <div className="flex flex-wrap items-center gap-2">
+          {summary.unanswered.length > 0 && (
+            <Button size="sm" variant="secondary" onClick={handleCopyReminder}>
+              {t('planMatches.availability.copyReminder')}
+            </Button>
+          )}
+          <Button
+            size="sm"
+            variant="secondary"
+            onClick={() => {
+              setDeadlineInput(toDateTimeInputValue(request.deadline));
+              setEditingDeadline(true);
+            }}
+          >
+            {t('planMatches.availability.changeDeadline')}
+          </Button>
+        </div>
+      )}
+
+      {message && (
+        <div className={message.tone === 'error' ? 'text-rose-300' : 'text-emerald-300'}>
+          {message.text}
+        </div>
+      )}
+    </div>
+  );
+}
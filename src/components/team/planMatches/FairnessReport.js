@@ -0,0 +1,99 @@
+import React from 'react';
+import { AlertTriangle, X } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { Card } from '../../shared/Card';
+import { Alert } from '../../shared/Alert';
+import { AUTO_SELECT_REASON } from '../../../constants/planMatchesConstants';
+
+const SELECTED_REASONS = new Set([
+  AUTO_SELECT_REASON.FEWEST_MATCHES,
+  AUTO_SELECT_REASON.GOALIE_COVER,
+  AUTO_SELECT_REASON.SIBLING,
+  AUTO_SELECT_REASON.MINIMUM_SQUAD
+]);
+
+const formatMatchCount = (value) => {
+  if (!Number.isFinite(value)) return '0';
+  return value % 1 === 0 ? value.toString() : value.toFixed(1);
+};
+
+export function FairnessReport({ report, matches, rosterById, onClose }) {
+  const { t } = useTranslation('team');
+
+  if (!report) {
+    return null;
+  }
+
+  const players = Object.entries(report.explanations)
+    .map(([playerId, explanation]) => ({ playerId, explanation, player: rosterById.get(playerId) }))
+    .filter(({ player }) => Boolean(player))
+    .sort((a, b) => {
+      const diff = a.explanation.seasonMatches - b.explanation.seasonMatches;
+      if (diff !== 0) return diff;
+      return (a.player.displayName || '').localeCompare(b.player.displayName || '');
+    });
+
+  const shortfallMatches = matches.filter(match => report.shortfalls[match.id]);
+
+  return (
+    <Card padding="md" className="space-y-3">
+      <div className="flex items-center justify-between gap-2">
+        <h2 className="text-sm font-semibold text-sky-200">{t('planMatches.fairnessReport.title')}</h2>
+        <button
+          type="button"
+          onClick={onClose}
+          aria-label={t('planMatches.fairnessReport.close')}
+          className="rounded p-1 text-slate-400 hover:text-slate-100"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      {shortfallMatches.map(match => (
+        <Alert key={match.id} variant="warning" icon={AlertTriangle}>
+          {t('planMatches.fairnessReport.shortfall', {
+            opponent: match.opponent,
+            available: report.shortfalls[match.id].available,
+            minimum: report.shortfalls[match.id].minimum
+          })}
+        </Alert>
+      ))}
+
+      <ul className="divide-y divide-slate-700">
+        {players.map(({ playerId, explanation, player }) => (
+          <li key={playerId} data-testid="fairness-report-player" className="py-2 space-y-1">
+            <div className="flex flex-wrap items-baseline justify-between gap-2">
+              <span className="text-sm text-slate-100">{player.displayName}</span>
+              <span className="text-xs text-slate-400">
+                {t('planMatches.fairnessReport.seasonMatches', {
+                  before: formatMatchCount(explanation.seasonMatches),
+                  after: formatMatchCount(explanation.seasonMatches + explanation.plannedMatches)
+                })}
+                {explanation.goalieMatches > 0 && (
+                  <> · {t('planMatches.fairnessReport.goalieMatches', { count: explanation.goalieMatches })}</>
+                )}
+              </span>
+            </div>
+            <div className="flex flex-wrap gap-1">
+              {matches.map((match) => {
+                const reason = explanation.matches[match.id];
+                if (!reason) return null;
+                const isSelected = SELECTED_REASONS.has(reason);
+                return (
+                  <span
+                    key={match.id}
+                    className={`rounded px-2 py-0.5 text-xs ${
+                      isSelected ? 'bg-emerald-900/40 text-emerald-200' : 'bg-slate-700/60 text-slate-300'
+                    }`}
+                  >
+                    {match.opponent}: {t(`planMatches.fairnessReport.reasons.${reason}`)}
+                  </span>
+                );
+              })}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </Card>
+  );
+}
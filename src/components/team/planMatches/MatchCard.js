@@ -5,6 +5,7 @@ import { PlayerSelector } from './PlayerSelector';
 
 import { useListDragAndDrop } from '../../../hooks/useListDragAndDrop';
 import { DraggablePlayerCard } from './DraggablePlayerCard';
+import { AvailabilityRequestPanel } from './AvailabilityRequestPanel';
 import { useTranslation } from 'react-i18next';
 
 export function MatchCard({
@@ -17,6 +18,8 @@ export function MatchCard({
   unavailableIds,
   providerUnavailableIds,
   playerResponses,
+  availabilityRequest,
+  onRequestAvailability,
   planningStatus,
   canPlan,
   isSelectedInOtherMatch,
@@ -366,6 +369,16 @@ export function MatchCard({
           </div>
         </div>
       </div>
+
+      {onRequestAvailability && (
+        <AvailabilityRequestPanel
+          match={match}
+          roster={roster}
+          request={availabilityRequest}
+          onRequest={onRequestAvailability}
+          formatSchedule={formatSchedule}
+        />
+      )}
     </div>
   );
 }
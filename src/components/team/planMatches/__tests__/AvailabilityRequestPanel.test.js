@@ -0,0 +1,100 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { AvailabilityRequestPanel } from '../AvailabilityRequestPanel';
+
+const match = { id: 'um-1', opponent: 'Hammarby', matchDate: '2026-03-14', matchTime: '10:00' };
+const roster = [
+  { id: 'p1', displayName: 'Alva' },
+  { id: 'p2', displayName: 'Bo' },
+  { id: 'p3', displayName: 'Cleo' }
+];
+const formatSchedule = (date, time) => `${date} ${time}`;
+
+const renderPanel = (props = {}) => render(
+  <AvailabilityRequestPanel
+    match={match}
+    roster={roster}
+    request={null}
+    onRequest={jest.fn()}
+    formatSchedule={formatSchedule}
+    {...props}
+  />
+);
+
+describe('AvailabilityRequestPanel', () => {
+  let mockClipboard;
+
+  beforeEach(() => {
+    mockClipboard = { writeText: jest.fn().mockResolvedValue(undefined) };
+    Object.defineProperty(navigator, 'clipboard', {
+      value: mockClipboard,
+      writable: true,
+      configurable: true
+    });
+  });
+
+  it('sends a request with the chosen deadline', async () => {
+    const onRequest = jest.fn().mockResolvedValue({ success: true });
+    renderPanel({ onRequest });
+
+    fireEvent.change(screen.getByLabelText('Answer by'), {
+      target: { value: '2026-03-12T18:00' }
+    });
+    fireEvent.click(screen.getByText('Ask for availability'));
+
+    expect(await screen.findByText('Availability request sent.')).toBeInTheDocument();
+    expect(onRequest).toHaveBeenCalledWith(new Date('2026-03-12T18:00').toISOString());
+  });
+
+  it('sends a request without a deadline', async () => {
+    const onRequest = jest.fn().mockResolvedValue({ success: false, error: 'errors.availabilityRequestFailed' });
+    renderPanel({ onRequest });
+
+    fireEvent.click(screen.getByText('Ask for availability'));
+
+    expect(await screen.findByText('Failed to send the availability request')).toBeInTheDocument();
+    expect(onRequest).toHaveBeenCalledWith(null);
+  });
+
+  it('shows the answers and copies a reminder for those who have not answered', async () => {
+    renderPanel({
+      request: {
+        requestedAt: '2026-03-01T10:00:00Z',
+        deadline: null,
+        responses: {
+          p1: { availability: 'available' },
+          p2: { availability: 'unavailable' }
+        }
+      }
+    });
+
+    expect(screen.getByText("1 can play · 1 can't play · 1 no answer")).toBeInTheDocument();
+    expect(screen.getByText('Not answered: Cleo')).toBeInTheDocument();
+    expect(screen.getByText('No deadline')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Copy reminder'));
+
+    await waitFor(() => {
+      expect(mockClipboard.writeText).toHaveBeenCalledWith(
+        'Can you play vs Hammarby (2026-03-14 10:00)? Please answer in the app. Still waiting for: Cleo'
+      );
+    });
+    expect(await screen.findByText('Reminder copied.')).toBeInTheDocument();
+  });
+
+  it('updates the deadline of a sent request', async () => {
+    const onRequest = jest.fn().mockResolvedValue({ success: true });
+    renderPanel({
+      onRequest,
+      request: { requestedAt: '2026-03-01T10:00:00Z', deadline: null, responses: {} }
+    });
+
+    fireEvent.click(screen.getByText('Change deadline'));
+    fireEvent.click(screen.getByText('Update deadline'));
+
+    expect(await screen.findByText('Deadline updated.')).toBeInTheDocument();
+    expect(onRequest).toHaveBeenCalledWith(null);
+    expect(screen.getByText('Change deadline')).toBeInTheDocument();
+  });
+});
@@ -12,7 +12,9 @@ import {
   getPlayerCountForMode
 } from '../gameModes';
 
-import { createTeamConfig } from '../teamConfiguration';
+import { createTeamConfig, FORMAT_CONFIGS, FORMATS } from '../teamConfiguration';
+import { PLAYER_ROLES } from '../playerConstants';
+import { getPositionRole } from '../../game/logic/positionUtils';
 import { TEAM_CONFIGS } from '../../game/testUtils';
 
 describe('Game Mode Configuration', () => {
@@ -100,5 +102,73 @@ describe('Game Mode Configuration', () => {
         'attacker'
       ]);
     });
+
+    test('every listed formation has a layout matching its name', () => {
+      const roleOrder = [PLAYER_ROLES.DEFENDER, PLAYER_ROLES.MIDFIELDER, PLAYER_ROLES.ATTACKER];
+
+      Object.values(FORMATS).forEach(format => {
+        const { fieldPlayers, formations } = FORMAT_CONFIGS[format];
+
+        formations.forEach(formation => {
+          const modeDefinition = getModeDefinition(createTeamConfig(format, fieldPlayers + 3, formation));
+          expect(modeDefinition).toBeTruthy();
+          expect(modeDefinition.fieldPositions).toHaveLength(fieldPlayers);
+          expect(modeDefinition.substitutePositions).toHaveLength(2);
+
+          // '3-1-2' => 3 defenders, 1 midfielder, 2 attackers; two-part names skip midfield
+          const lineCounts = formation.split('-').map(Number);
+          const expectedRoles = lineCounts.length === 2
+            ? [roleOrder[0], roleOrder[2]]
+            : roleOrder;
+          expectedRoles.forEach((role, index) => {
+            const positionsInRole = modeDefinition.fieldPositions.filter(position => getPositionRole(position) === role);
+            expect(positionsInRole).toHaveLength(lineCounts[index]);
+            positionsInRole.forEach(position => {
+              expect(modeDefinition.positions[position].role).toBe(role);
+            });
+          });
+        });
+      });
+    });
+
+    test('11v11 squads generate a substitute position for every bench player', () => {
+      const modeDefinition = getModeDefinition(createTeamConfig('11v11', 22, '4-4-2'));
+
+      expect(modeDefinition.fieldPositions).toEqual([
+        'leftDefender',
+        'leftCenterDefender',
+        'rightCenterDefender',
+        'rightDefender',
+        'leftMidfielder',
+        'leftCenterMidfielder',
+        'rightCenterMidfielder',
+        'rightMidfielder',
+        'leftAttacker',
+        'rightAttacker'
+      ]);
+      expect(modeDefinition.substitutePositions).toHaveLength(11);
+      expect(modeDefinition.substitutePositions[10]).toBe('substitute_11');
+      expect(modeDefinition.substituteRotationPattern).toBe('advanced_carousel');
+      expect(modeDefinition.expectedCounts).toEqual({ outfield: 21, onField: 10 });
+    });
+
+    test('3-3 and 1-3-2 use center positions for the middle of a line', () => {
+      expect(getFormationPositions(createTeamConfig('7v7', 10, '3-3'))).toEqual([
+        'leftDefender',
+        'centerDefender',
+        'rightDefender',
+        'leftAttacker',
+        'centerAttacker',
+        'rightAttacker'
+      ]);
+      expect(getFormationPositions(createTeamConfig('7v7', 9, '1-3-2'))).toEqual([
+        'defender',
+        'leftMidfielder',
+        'centerMidfielder',
+        'rightMidfielder',
+        'leftAttacker',
+        'rightAttacker'
+      ]);
+    });
   });
 });
@@ -52,6 +52,19 @@ describe('Team Configuration', () => {
 
       expect(() => validateTeamConfig(config)).not.toThrow();
     });
+
+    test('should validate larger formats up to their squad limits', () => {
+      expect(() => validateTeamConfig(createTeamConfig('8v8', 16, '3-3-1'))).not.toThrow();
+      expect(() => validateTeamConfig(createTeamConfig('9v9', 19, '3-2-3'))).not.toThrow();
+      expect(() => validateTeamConfig(createTeamConfig('11v11', 22, '4-4-2'))).not.toThrow();
+
+      expect(() => validateTeamConfig(createTeamConfig('8v8', 17, '3-3-1'))).toThrow('Invalid squad size');
+      expect(() => validateTeamConfig(createTeamConfig('11v11', 23, '4-3-3'))).toThrow('Invalid squad size');
+    });
+
+    test('should reject formations from another format', () => {
+      expect(() => validateTeamConfig(createTeamConfig('11v11', 16, '3-3-2'))).toThrow('not valid for 11v11');
+    });
   });
 
   describe('createDefaultTeamConfig', () => {
@@ -107,7 +120,7 @@ describe('Team Configuration', () => {
   });
 
   describe('7v7 formation catalog', () => {
-    test('should expose available and coming soon formations for 7v7', () => {
+    test('should expose all 7v7 formations as available', () => {
       const formations = FORMAT_CONFIGS[FORMATS.FORMAT_7V7].formations;
 
       expect(formations).toEqual(
@@ -122,22 +135,51 @@ describe('Team Configuration', () => {
         ])
       );
 
-      const comingSoonEntries = formations.filter(
-        formation => FORMATION_DEFINITIONS[formation].status === 'coming-soon'
-      );
+      formations.forEach(formation => {
+        expect(FORMATION_DEFINITIONS[formation].status).toBe('available');
+      });
+    });
+  });
 
-      expect(comingSoonEntries).toEqual(
-        expect.arrayContaining([
-          FORMATIONS.FORMATION_3_3,
-          FORMATIONS.FORMATION_1_3_2,
-          FORMATIONS.FORMATION_2_1_3,
-          FORMATIONS.FORMATION_3_2_1,
-          FORMATIONS.FORMATION_3_1_2
-        ])
+  describe('larger format catalog', () => {
+    test('should expose available formations for 8v8, 9v9 and 11v11', () => {
+      expect(FORMAT_CONFIGS[FORMATS.FORMAT_8V8].fieldPlayers).toBe(7);
+      expect(FORMAT_CONFIGS[FORMATS.FORMAT_9V9].fieldPlayers).toBe(8);
+      expect(FORMAT_CONFIGS[FORMATS.FORMAT_11V11].fieldPlayers).toBe(10);
+
+      expect(FORMAT_CONFIGS[FORMATS.FORMAT_9V9].formations).toEqual(
+        expect.arrayContaining([FORMATIONS.FORMATION_3_3_2, FORMATIONS.FORMATION_3_2_3])
+      );
+      expect(FORMAT_CONFIGS[FORMATS.FORMAT_11V11].formations).toEqual(
+        expect.arrayContaining([FORMATIONS.FORMATION_4_4_2, FORMATIONS.FORMATION_4_3_3])
       );
 
-      expect(FORMATION_DEFINITIONS[FORMATIONS.FORMATION_2_2_2].status).toBe('available');
-      expect(FORMATION_DEFINITIONS[FORMATIONS.FORMATION_2_3_1].status).toBe('available');
+      [FORMATS.FORMAT_8V8, FORMATS.FORMAT_9V9, FORMATS.FORMAT_11V11].forEach(format => {
+        const { formations, defaultFormation } = FORMAT_CONFIGS[format];
+        expect(formations).toContain(defaultFormation);
+        formations.forEach(formation => {
+          expect(FORMATION_DEFINITIONS[formation].status).toBe('available');
+          expect(FORMATION_DEFINITIONS[formation].formats).toEqual([format]);
+        });
+      });
+    });
+  });
+
+  describe('5v5 formation catalog', () => {
+    test('should expose all 5v5 formations as available', () => {
+      const formations = FORMAT_CONFIGS[FORMATS.FORMAT_5V5].formations;
+
+      expect(formations).toEqual([
+        FORMATIONS.FORMATION_2_2,
+        FORMATIONS.FORMATION_1_2_1,
+        FORMATIONS.FORMATION_1_3,
+        FORMATIONS.FORMATION_1_1_2,
+        FORMATIONS.FORMATION_2_1_1
+      ]);
+
+      formations.forEach(formation => {
+        expect(FORMATION_DEFINITIONS[formation].status).toBe('available');
+      });
     });
   });
 });
@@ -105,12 +105,35 @@ export const DEFAULT_PREFERENCES = {
   audio: {
     enabled: true,
     selectedSound: 'bells-echo',
-    volume: 0.7
+    volume: 0.7,
+    spokenAnnouncements: false
   },
   language: 'en',
   theme: 'dark-ocean'
 };
 
+/**
+ * Match clock alerts announced when spoken announcements are on.
+ * Each fires once when the period clock counts down past remainingSeconds.
+ */
+export const MATCH_TIMER_ALERTS = [
+  { id: 'twoMinuteWarning', remainingSeconds: 120 },
+  { id: 'periodEnd', remainingSeconds: 0 }
+];
+
+/**
+ * Vibration patterns available for match alerts (navigator.vibrate durations in ms).
+ * 'long' is the pattern of the substitution timer alert.
+ */
+export const VIBRATION_PATTERNS = {
+  none: [],
+  short: [300],
+  double: [300, 150, 300],
+  long: [1000, 200, 1000]
+};
+
+export const DEFAULT_VIBRATION_PATTERN = 'long';
+
 /**
  * localStorage key for persisting preferences (updated for new structure)
  */
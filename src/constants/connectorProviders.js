@@ -3,7 +3,13 @@ import svenskaLagLogo from '../assets/images/svenskalag-250-80.png';
 import myClubLogo from '../assets/images/myClub-250-80.png';
 
 // Connector provider definitions and metadata
-// Supports SportAdmin (active) and Svenska Lag/MyClub (coming soon)
+// SportAdmin syncs through the scraper; Svenska Lag and MyClub import exported files
+
+// How a provider gets its data (see the adapter interface in connectorService)
+export const CONNECTOR_SYNC_MODES = {
+  SCRAPER: 'scraper',
+  FILE_IMPORT: 'file_import'
+};
 
 export const CONNECTOR_PROVIDERS = {
   SPORTADMIN: {
@@ -12,23 +18,26 @@ export const CONNECTOR_PROVIDERS = {
     description: 'Swedish team management platform',
     features: ['Practice Attendance', 'Upcoming Matches'],
     logo: sportAdminLogo,
+    syncMode: CONNECTOR_SYNC_MODES.SCRAPER,
     comingSoon: false
   },
   SVENSKA_LAG: {
     id: 'svenska_lag',
     name: 'Svenska Lag',
     description: 'Swedish team management platform',
-    features: ['Coming Soon'],
+    features: ['Roster', 'Practice Attendance', 'Upcoming Matches', 'File Import'],
     logo: svenskaLagLogo,
-    comingSoon: true
+    syncMode: CONNECTOR_SYNC_MODES.FILE_IMPORT,
+    comingSoon: false
   },
   MYCLUB: {
     id: 'myclub',
     name: 'MyClub',
     description: 'Team management platform',
-    features: ['Coming Soon'],
+    features: ['Roster', 'Practice Attendance', 'Upcoming Matches', 'File Import'],
     logo: myClubLogo,
-    comingSoon: true
+    syncMode: CONNECTOR_SYNC_MODES.FILE_IMPORT,
+    comingSoon: false
   }
 };
 
@@ -69,7 +78,8 @@ export const SYNC_JOB_STATUS = {
 export const SYNC_JOB_TYPE = {
   MANUAL: 'manual',
   SCHEDULED: 'scheduled',
-  VERIFICATION: 'verification'
+  VERIFICATION: 'verification',
+  FILE_IMPORT: 'file_import'
 };
 
 // Get translated connector providers
@@ -87,14 +97,20 @@ export function getConnectorProviders(t) {
       ...CONNECTOR_PROVIDERS.SVENSKA_LAG,
       description: t('connectors:providers.svenska_lag.description'),
       features: [
-        t('connectors:providers.svenska_lag.features.comingSoon')
+        t('connectors:providers.svenska_lag.features.roster'),
+        t('connectors:providers.svenska_lag.features.practiceAttendance'),
+        t('connectors:providers.svenska_lag.features.upcomingMatches'),
+        t('connectors:providers.svenska_lag.features.fileImport')
       ]
     },
     MYCLUB: {
       ...CONNECTOR_PROVIDERS.MYCLUB,
       description: t('connectors:providers.myclub.description'),
       features: [
-        t('connectors:providers.myclub.features.comingSoon')
+        t('connectors:providers.myclub.features.roster'),
+        t('connectors:providers.myclub.features.practiceAttendance'),
+        t('connectors:providers.myclub.features.upcomingMatches'),
+        t('connectors:providers.myclub.features.fileImport')
       ]
     }
   };
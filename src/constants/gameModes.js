@@ -8,9 +8,9 @@ import { orderFieldPositionsForDisplay } from '../utils/positionDisplayOrder.js'
  * 
  * This module implements the modern composite team configuration architecture,
  * replacing legacy string-based team modes with a flexible system based on:
- * - Format (5v5, future: 7v7)
- * - Squad Size (5-15 players)
- * - Formation (2-2, 1-2-1, future formations) 
+ * - Format (5v5, 7v7, 8v8, 9v9, 11v11)
+ * - Squad Size (5-22 players, capped per format)
+ * - Formation (per format, see FORMAT_CONFIGS in teamConfiguration.js)
  * 
  * Key Features:
  * - Dynamic position generation based on squad size
@@ -52,6 +52,47 @@ const FORMATION_LAYOUTS = {
         [PLAYER_ROLES.MIDFIELDER]: 2,
         [PLAYER_ROLES.ATTACKER]: 1
       }
+    },
+    [FORMATIONS.FORMATION_1_3]: {
+      fieldPositions: ['defender', 'leftAttacker', 'centerAttacker', 'rightAttacker'],
+      positions: {
+        defender: PLAYER_ROLES.DEFENDER,
+        leftAttacker: PLAYER_ROLES.ATTACKER,
+        centerAttacker: PLAYER_ROLES.ATTACKER,
+        rightAttacker: PLAYER_ROLES.ATTACKER
+      },
+      expectedRoleCounts: {
+        [PLAYER_ROLES.DEFENDER]: 1,
+        [PLAYER_ROLES.ATTACKER]: 3
+      }
+    },
+    [FORMATIONS.FORMATION_1_1_2]: {
+      fieldPositions: ['defender', 'centerMidfielder', 'leftAttacker', 'rightAttacker'],
+      positions: {
+        defender: PLAYER_ROLES.DEFENDER,
+        centerMidfielder: PLAYER_ROLES.MIDFIELDER,
+        leftAttacker: PLAYER_ROLES.ATTACKER,
+        rightAttacker: PLAYER_ROLES.ATTACKER
+      },
+      expectedRoleCounts: {
+        [PLAYER_ROLES.DEFENDER]: 1,
+        [PLAYER_ROLES.MIDFIELDER]: 1,
+        [PLAYER_ROLES.ATTACKER]: 2
+      }
+    },
+    [FORMATIONS.FORMATION_2_1_1]: {
+      fieldPositions: ['leftDefender', 'rightDefender', 'centerMidfielder', 'attacker'],
+      positions: {
+        leftDefender: PLAYER_ROLES.DEFENDER,
+        rightDefender: PLAYER_ROLES.DEFENDER,
+        centerMidfielder: PLAYER_ROLES.MIDFIELDER,
+        attacker: PLAYER_ROLES.ATTACKER
+      },
+      expectedRoleCounts: {
+        [PLAYER_ROLES.DEFENDER]: 2,
+        [PLAYER_ROLES.MIDFIELDER]: 1,
+        [PLAYER_ROLES.ATTACKER]: 1
+      }
     }
   },
   [FORMATS.FORMAT_7V7]: {
@@ -100,6 +141,375 @@ const FORMATION_LAYOUTS = {
         [PLAYER_ROLES.MIDFIELDER]: 3,
         [PLAYER_ROLES.ATTACKER]: 1
       }
+    },
+    [FORMATIONS.FORMATION_3_3]: {
+      fieldPositions: [
+        'leftDefender',
+        'centerDefender',
+        'rightDefender',
+        'leftAttacker',
+        'centerAttacker',
+        'rightAttacker'
+      ],
+      positions: {
+        leftDefender: PLAYER_ROLES.DEFENDER,
+        centerDefender: PLAYER_ROLES.DEFENDER,
+        rightDefender: PLAYER_ROLES.DEFENDER,
+        leftAttacker: PLAYER_ROLES.ATTACKER,
+        centerAttacker: PLAYER_ROLES.ATTACKER,
+        rightAttacker: PLAYER_ROLES.ATTACKER
+      },
+      expectedRoleCounts: {
+        [PLAYER_ROLES.DEFENDER]: 3,
+        [PLAYER_ROLES.ATTACKER]: 3
+      }
+    },
+    [FORMATIONS.FORMATION_1_3_2]: {
+      fieldPositions: [
+        'defender',
+        'leftMidfielder',
+        'centerMidfielder',
+        'rightMidfielder',
+        'leftAttacker',
+        'rightAttacker'
+      ],
+      positions: {
+        defender: PLAYER_ROLES.DEFENDER,
+        leftMidfielder: PLAYER_ROLES.MIDFIELDER,
+        centerMidfielder: PLAYER_ROLES.MIDFIELDER,
+        rightMidfielder: PLAYER_ROLES.MIDFIELDER,
+        leftAttacker: PLAYER_ROLES.ATTACKER,
+        rightAttacker: PLAYER_ROLES.ATTACKER
+      },
+      expectedRoleCounts: {
+        [PLAYER_ROLES.DEFENDER]: 1,
+        [PLAYER_ROLES.MIDFIELDER]: 3,
+        [PLAYER_ROLES.ATTACKER]: 2
+      }
+    },
+    [FORMATIONS.FORMATION_2_1_3]: {
+      fieldPositions: [
+        'leftDefender',
+        'rightDefender',
+        'centerMidfielder',
+        'leftAttacker',
+        'centerAttacker',
+        'rightAttacker'
+      ],
+      positions: {
+        leftDefender: PLAYER_ROLES.DEFENDER,
+        rightDefender: PLAYER_ROLES.DEFENDER,
+        centerMidfielder: PLAYER_ROLES.MIDFIELDER,
+        leftAttacker: PLAYER_ROLES.ATTACKER,
+        centerAttacker: PLAYER_ROLES.ATTACKER,
+        rightAttacker: PLAYER_ROLES.ATTACKER
+      },
+      expectedRoleCounts: {
+        [PLAYER_ROLES.DEFENDER]: 2,
+        [PLAYER_ROLES.MIDFIELDER]: 1,
+        [PLAYER_ROLES.ATTACKER]: 3
+      }
+    },
+    [FORMATIONS.FORMATION_3_2_1]: {
+      fieldPositions: [
+        'leftDefender',
+        'centerDefender',
+        'rightDefender',
+        'leftMidfielder',
+        'rightMidfielder',
+        'attacker'
+      ],
+      positions: {
+        leftDefender: PLAYER_ROLES.DEFENDER,
+        centerDefender: PLAYER_ROLES.DEFENDER,
+        rightDefender: PLAYER_ROLES.DEFENDER,
+        leftMidfielder: PLAYER_ROLES.MIDFIELDER,
+        rightMidfielder: PLAYER_ROLES.MIDFIELDER,
+        attacker: PLAYER_ROLES.ATTACKER
+      },
+      expectedRoleCounts: {
+        [PLAYER_ROLES.DEFENDER]: 3,
+        [PLAYER_ROLES.MIDFIELDER]: 2,
+        [PLAYER_ROLES.ATTACKER]: 1
+      }
+    },
+    [FORMATIONS.FORMATION_3_1_2]: {
+      fieldPositions: [
+        'leftDefender',
+        'centerDefender',
+        'rightDefender',
+        'centerMidfielder',
+        'leftAttacker',
+        'rightAttacker'
+      ],
+      positions: {
+        leftDefender: PLAYER_ROLES.DEFENDER,
+        centerDefender: PLAYER_ROLES.DEFENDER,
+        rightDefender: PLAYER_ROLES.DEFENDER,
+        centerMidfielder: PLAYER_ROLES.MIDFIELDER,
+        leftAttacker: PLAYER_ROLES.ATTACKER,
+        rightAttacker: PLAYER_ROLES.ATTACKER
+      },
+      expectedRoleCounts: {
+        [PLAYER_ROLES.DEFENDER]: 3,
+        [PLAYER_ROLES.MIDFIELDER]: 1,
+        [PLAYER_ROLES.ATTACKER]: 2
+      }
+    }
+  },
+  [FORMATS.FORMAT_8V8]: {
+    [FORMATIONS.FORMATION_3_3_1]: {
+      fieldPositions: [
+        'leftDefender',
+        'centerDefender',
+        'rightDefender',
+        'leftMidfielder',
+        'centerMidfielder',
+        'rightMidfielder',
+        'attacker'
+      ],
+      positions: {
+        leftDefender: PLAYER_ROLES.DEFENDER,
+        centerDefender: PLAYER_ROLES.DEFENDER,
+        rightDefender: PLAYER_ROLES.DEFENDER,
+        leftMidfielder: PLAYER_ROLES.MIDFIELDER,
+        centerMidfielder: PLAYER_ROLES.MIDFIELDER,
+        rightMidfielder: PLAYER_ROLES.MIDFIELDER,
+        attacker: PLAYER_ROLES.ATTACKER
+      },
+      expectedRoleCounts: {
+        [PLAYER_ROLES.DEFENDER]: 3,
+        [PLAYER_ROLES.MIDFIELDER]: 3,
+        [PLAYER_ROLES.ATTACKER]: 1
+      }
+    },
+    [FORMATIONS.FORMATION_3_2_2]: {
+      fieldPositions: [
+        'leftDefender',
+        'centerDefender',
+        'rightDefender',
+        'leftMidfielder',
+        'rightMidfielder',
+        'leftAttacker',
+        'rightAttacker'
+      ],
+      positions: {
+        leftDefender: PLAYER_ROLES.DEFENDER,
+        centerDefender: PLAYER_ROLES.DEFENDER,
+        rightDefender: PLAYER_ROLES.DEFENDER,
+        leftMidfielder: PLAYER_ROLES.MIDFIELDER,
+        rightMidfielder: PLAYER_ROLES.MIDFIELDER,
+        leftAttacker: PLAYER_ROLES.ATTACKER,
+        rightAttacker: PLAYER_ROLES.ATTACKER
+      },
+      expectedRoleCounts: {
+        [PLAYER_ROLES.DEFENDER]: 3,
+        [PLAYER_ROLES.MIDFIELDER]: 2,
+        [PLAYER_ROLES.ATTACKER]: 2
+      }
+    },
+    [FORMATIONS.FORMATION_2_3_2]: {
+      fieldPositions: [
+        'leftDefender',
+        'rightDefender',
+        'leftMidfielder',
+        'centerMidfielder',
+        'rightMidfielder',
+        'leftAttacker',
+        'rightAttacker'
+      ],
+      positions: {
+        leftDefender: PLAYER_ROLES.DEFENDER,
+        rightDefender: PLAYER_ROLES.DEFENDER,
+        leftMidfielder: PLAYER_ROLES.MIDFIELDER,
+        centerMidfielder: PLAYER_ROLES.MIDFIELDER,
+        rightMidfielder: PLAYER_ROLES.MIDFIELDER,
+        leftAttacker: PLAYER_ROLES.ATTACKER,
+        rightAttacker: PLAYER_ROLES.ATTACKER
+      },
+      expectedRoleCounts: {
+        [PLAYER_ROLES.DEFENDER]: 2,
+        [PLAYER_ROLES.MIDFIELDER]: 3,
+        [PLAYER_ROLES.ATTACKER]: 2
+      }
+    }
+  },
+  [FORMATS.FORMAT_9V9]: {
+    [FORMATIONS.FORMATION_3_3_2]: {
+      fieldPositions: [
+        'leftDefender',
+        'centerDefender',
+        'rightDefender',
+        'leftMidfielder',
+        'centerMidfielder',
+        'rightMidfielder',
+        'leftAttacker',
+        'rightAttacker'
+      ],
+      positions: {
+        leftDefender: PLAYER_ROLES.DEFENDER,
+        centerDefender: PLAYER_ROLES.DEFENDER,
+        rightDefender: PLAYER_ROLES.DEFENDER,
+        leftMidfielder: PLAYER_ROLES.MIDFIELDER,
+        centerMidfielder: PLAYER_ROLES.MIDFIELDER,
+        rightMidfielder: PLAYER_ROLES.MIDFIELDER,
+        leftAttacker: PLAYER_ROLES.ATTACKER,
+        rightAttacker: PLAYER_ROLES.ATTACKER
+      },
+      expectedRoleCounts: {
+        [PLAYER_ROLES.DEFENDER]: 3,
+        [PLAYER_ROLES.MIDFIELDER]: 3,
+        [PLAYER_ROLES.ATTACKER]: 2
+      }
+    },
+    [FORMATIONS.FORMATION_3_2_3]: {
+      fieldPositions: [
+        'leftDefender',
+        'centerDefender',
+        'rightDefender',
+        'leftMidfielder',
+        'rightMidfielder',
+        'leftAttacker',
+        'centerAttacker',
+        'rightAttacker'
+      ],
+      positions: {
+        leftDefender: PLAYER_ROLES.DEFENDER,
+        centerDefender: PLAYER_ROLES.DEFENDER,
+        rightDefender: PLAYER_ROLES.DEFENDER,
+        leftMidfielder: PLAYER_ROLES.MIDFIELDER,
+        rightMidfielder: PLAYER_ROLES.MIDFIELDER,
+        leftAttacker: PLAYER_ROLES.ATTACKER,
+        centerAttacker: PLAYER_ROLES.ATTACKER,
+        rightAttacker: PLAYER_ROLES.ATTACKER
+      },
+      expectedRoleCounts: {
+        [PLAYER_ROLES.DEFENDER]: 3,
+        [PLAYER_ROLES.MIDFIELDER]: 2,
+        [PLAYER_ROLES.ATTACKER]: 3
+      }
+    },
+    [FORMATIONS.FORMATION_3_4_1]: {
+      fieldPositions: [
+        'leftDefender',
+        'centerDefender',
+        'rightDefender',
+        'leftMidfielder',
+        'leftCenterMidfielder',
+        'rightCenterMidfielder',
+        'rightMidfielder',
+        'attacker'
+      ],
+      positions: {
+        leftDefender: PLAYER_ROLES.DEFENDER,
+        centerDefender: PLAYER_ROLES.DEFENDER,
+        rightDefender: PLAYER_ROLES.DEFENDER,
+        leftMidfielder: PLAYER_ROLES.MIDFIELDER,
+        leftCenterMidfielder: PLAYER_ROLES.MIDFIELDER,
+        rightCenterMidfielder: PLAYER_ROLES.MIDFIELDER,
+        rightMidfielder: PLAYER_ROLES.MIDFIELDER,
+        attacker: PLAYER_ROLES.ATTACKER
+      },
+      expectedRoleCounts: {
+        [PLAYER_ROLES.DEFENDER]: 3,
+        [PLAYER_ROLES.MIDFIELDER]: 4,
+        [PLAYER_ROLES.ATTACKER]: 1
+      }
+    }
+  },
+  [FORMATS.FORMAT_11V11]: {
+    [FORMATIONS.FORMATION_4_4_2]: {
+      fieldPositions: [
+        'leftDefender',
+        'leftCenterDefender',
+        'rightCenterDefender',
+        'rightDefender',
+        'leftMidfielder',
+        'leftCenterMidfielder',
+        'rightCenterMidfielder',
+        'rightMidfielder',
+        'leftAttacker',
+        'rightAttacker'
+      ],
+      positions: {
+        leftDefender: PLAYER_ROLES.DEFENDER,
+        leftCenterDefender: PLAYER_ROLES.DEFENDER,
+        rightCenterDefender: PLAYER_ROLES.DEFENDER,
+        rightDefender: PLAYER_ROLES.DEFENDER,
+        leftMidfielder: PLAYER_ROLES.MIDFIELDER,
+        leftCenterMidfielder: PLAYER_ROLES.MIDFIELDER,
+        rightCenterMidfielder: PLAYER_ROLES.MIDFIELDER,
+        rightMidfielder: PLAYER_ROLES.MIDFIELDER,
+        leftAttacker: PLAYER_ROLES.ATTACKER,
+        rightAttacker: PLAYER_ROLES.ATTACKER
+      },
+      expectedRoleCounts: {
+        [PLAYER_ROLES.DEFENDER]: 4,
+        [PLAYER_ROLES.MIDFIELDER]: 4,
+        [PLAYER_ROLES.ATTACKER]: 2
+      }
+    },
+    [FORMATIONS.FORMATION_4_3_3]: {
+      fieldPositions: [
+        'leftDefender',
+        'leftCenterDefender',
+        'rightCenterDefender',
+        'rightDefender',
+        'leftMidfielder',
+        'centerMidfielder',
+        'rightMidfielder',
+        'leftAttacker',
+        'centerAttacker',
+        'rightAttacker'
+      ],
+      positions: {
+        leftDefender: PLAYER_ROLES.DEFENDER,
+        leftCenterDefender: PLAYER_ROLES.DEFENDER,
+        rightCenterDefender: PLAYER_ROLES.DEFENDER,
+        rightDefender: PLAYER_ROLES.DEFENDER,
+        leftMidfielder: PLAYER_ROLES.MIDFIELDER,
+        centerMidfielder: PLAYER_ROLES.MIDFIELDER,
+        rightMidfielder: PLAYER_ROLES.MIDFIELDER,
+        leftAttacker: PLAYER_ROLES.ATTACKER,
+        centerAttacker: PLAYER_ROLES.ATTACKER,
+        rightAttacker: PLAYER_ROLES.ATTACKER
+      },
+      expectedRoleCounts: {
+        [PLAYER_ROLES.DEFENDER]: 4,
+        [PLAYER_ROLES.MIDFIELDER]: 3,
+        [PLAYER_ROLES.ATTACKER]: 3
+      }
+    },
+    [FORMATIONS.FORMATION_3_5_2]: {
+      fieldPositions: [
+        'leftDefender',
+        'centerDefender',
+        'rightDefender',
+        'leftMidfielder',
+        'leftCenterMidfielder',
+        'centerMidfielder',
+        'rightCenterMidfielder',
+        'rightMidfielder',
+        'leftAttacker',
+        'rightAttacker'
+      ],
+      positions: {
+        leftDefender: PLAYER_ROLES.DEFENDER,
+        centerDefender: PLAYER_ROLES.DEFENDER,
+        rightDefender: PLAYER_ROLES.DEFENDER,
+        leftMidfielder: PLAYER_ROLES.MIDFIELDER,
+        leftCenterMidfielder: PLAYER_ROLES.MIDFIELDER,
+        centerMidfielder: PLAYER_ROLES.MIDFIELDER,
+        rightCenterMidfielder: PLAYER_ROLES.MIDFIELDER,
+        rightMidfielder: PLAYER_ROLES.MIDFIELDER,
+        leftAttacker: PLAYER_ROLES.ATTACKER,
+        rightAttacker: PLAYER_ROLES.ATTACKER
+      },
+      expectedRoleCounts: {
+        [PLAYER_ROLES.DEFENDER]: 3,
+        [PLAYER_ROLES.MIDFIELDER]: 5,
+        [PLAYER_ROLES.ATTACKER]: 2
+      }
     }
   }
 };
@@ -1,4 +1,19 @@
 export const AUTO_SELECT_STRATEGY = {
   PRACTICES: 'practices',
-  ATTENDANCE: 'attendance'
+  ATTENDANCE: 'attendance',
+  FAIRNESS: 'fairness'
+};
+
+/**
+ * Why the fairness optimizer picked or skipped a player for a match.
+ * Stored per player and match in the optimizer's explanations.
+ */
+export const AUTO_SELECT_REASON = {
+  FEWEST_MATCHES: 'fewestMatches',
+  GOALIE_COVER: 'goalieCover',
+  SIBLING: 'sibling',
+  MINIMUM_SQUAD: 'minimumSquad',
+  UNAVAILABLE: 'unavailable',
+  SQUAD_FULL: 'squadFull',
+  SIBLINGS_DID_NOT_FIT: 'siblingsDidNotFit'
 };
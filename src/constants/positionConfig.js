@@ -19,11 +19,25 @@ export const POSITION_CONFIG = {
   leftMidfielder: { title: 'Left Midfielder', position: 'leftMidfielder' },
   rightMidfielder: { title: 'Right Midfielder', position: 'rightMidfielder' },
   centerMidfielder: { title: 'Center Midfielder', position: 'centerMidfielder' },
+  centerDefender: { title: 'Center Defender', position: 'centerDefender' },
+  centerAttacker: { title: 'Center Attacker', position: 'centerAttacker' },
+
+  // 11v11 Formation positions (four-player lines)
+  leftCenterDefender: { title: 'Left Center Defender', position: 'leftCenterDefender' },
+  rightCenterDefender: { title: 'Right Center Defender', position: 'rightCenterDefender' },
+  leftCenterMidfielder: { title: 'Left Center Midfielder', position: 'leftCenterMidfielder' },
+  rightCenterMidfielder: { title: 'Right Center Midfielder', position: 'rightCenterMidfielder' },
 
   // Substitute positions
   substitute_1: { title: 'Substitute', position: 'substitute_1' },
   substitute_2: { title: 'Substitute', position: 'substitute_2' },
   substitute_3: { title: 'Substitute', position: 'substitute_3' },
   substitute_4: { title: 'Substitute', position: 'substitute_4' },
-  substitute_5: { title: 'Substitute', position: 'substitute_5' }
+  substitute_5: { title: 'Substitute', position: 'substitute_5' },
+  substitute_6: { title: 'Substitute', position: 'substitute_6' },
+  substitute_7: { title: 'Substitute', position: 'substitute_7' },
+  substitute_8: { title: 'Substitute', position: 'substitute_8' },
+  substitute_9: { title: 'Substitute', position: 'substitute_9' },
+  substitute_10: { title: 'Substitute', position: 'substitute_10' },
+  substitute_11: { title: 'Substitute', position: 'substitute_11' }
 };
\ No newline at end of file
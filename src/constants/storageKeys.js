@@ -14,6 +14,9 @@ export const STORAGE_KEYS = {
   // Match events and history
   MATCH_EVENTS: 'sport-wizard-match-events',
   MATCH_HISTORY: 'sport-wizard-match-history',
+  SYNC_OUTBOX: 'sport-wizard-sync-outbox', // Match writes waiting for a connection
+  SYNC_OUTBOX_FAILED: 'sport-wizard-sync-outbox-failed', // Match writes the server rejected
+  DEVICE_ID: 'sport-wizard-device-id', // Identifies this device when several coaches control a match
 
   // User preferences
   PREFERENCES: 'sport-wizard-preferences',
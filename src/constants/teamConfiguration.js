@@ -5,9 +5,9 @@
  * legacy string-based team modes with a flexible architecture based on three
  * independent components:
  * 
- * 1. **Format** - Field format (5v5, future: 7v7)
- * 2. **Squad Size** - Total players (5-15 supported)
- * 3. **Formation** - Tactical formation (2-2, 1-2-1, future formations)
+ * 1. **Format** - Field format (5v5, 7v7, 8v8, 9v9, 11v11)
+ * 2. **Squad Size** - Total players (5-22 supported, capped per format)
+ * 3. **Formation** - Tactical formation (2-2, 1-2-1, 2-2-2, 4-4-2, ...)
  * 
  * Benefits:
  * - Scalable to any squad size within limits
@@ -20,7 +20,10 @@
 // Field formats supported by the application
 export const FORMATS = {
   FORMAT_5V5: '5v5',
-  FORMAT_7V7: '7v7'
+  FORMAT_7V7: '7v7',
+  FORMAT_8V8: '8v8',
+  FORMAT_9V9: '9v9',
+  FORMAT_11V11: '11v11'
 };
 
 // Game configuration constants
@@ -35,7 +38,9 @@ export const GAME_CONSTANTS = {
 export const MAX_SQUAD_SIZE_BY_FORMAT = {
   [FORMATS.FORMAT_5V5]: 11,
   [FORMATS.FORMAT_7V7]: 15,
-  '9v9': 19 // Placeholder for future introduction of 9v9 format
+  [FORMATS.FORMAT_8V8]: 16,
+  [FORMATS.FORMAT_9V9]: 19,
+  [FORMATS.FORMAT_11V11]: 22
 };
 
 // Tactical formations available for different formats
@@ -51,7 +56,16 @@ export const FORMATIONS = {
   FORMATION_1_3_2: '1-3-2',
   FORMATION_2_1_3: '2-1-3',
   FORMATION_3_2_1: '3-2-1',
-  FORMATION_3_1_2: '3-1-2'
+  FORMATION_3_1_2: '3-1-2',
+  FORMATION_3_3_1: '3-3-1',
+  FORMATION_3_2_2: '3-2-2',
+  FORMATION_2_3_2: '2-3-2',
+  FORMATION_3_3_2: '3-3-2',
+  FORMATION_3_2_3: '3-2-3',
+  FORMATION_3_4_1: '3-4-1',
+  FORMATION_4_4_2: '4-4-2',
+  FORMATION_4_3_3: '4-3-3',
+  FORMATION_3_5_2: '3-5-2'
 };
 
 // Detailed formation definitions, including status
@@ -68,17 +82,17 @@ export const FORMATION_DEFINITIONS = {
   },
   [FORMATIONS.FORMATION_1_3]: { 
     label: '1-3',
-    status: 'coming-soon',
+    status: 'available',
     formats: [FORMATS.FORMAT_5V5]
   },
   [FORMATIONS.FORMATION_1_1_2]: { 
     label: '1-1-2',
-    status: 'coming-soon',
+    status: 'available',
     formats: [FORMATS.FORMAT_5V5]
   },
   [FORMATIONS.FORMATION_2_1_1]: { 
     label: '2-1-1',
-    status: 'coming-soon',
+    status: 'available',
     formats: [FORMATS.FORMAT_5V5]
   },
   [FORMATIONS.FORMATION_2_2_2]: {
@@ -93,29 +107,74 @@ export const FORMATION_DEFINITIONS = {
   },
   [FORMATIONS.FORMATION_3_3]: {
     label: '3-3',
-    status: 'coming-soon',
+    status: 'available',
     formats: [FORMATS.FORMAT_7V7]
   },
   [FORMATIONS.FORMATION_1_3_2]: {
     label: '1-3-2',
-    status: 'coming-soon',
+    status: 'available',
     formats: [FORMATS.FORMAT_7V7]
   },
   [FORMATIONS.FORMATION_2_1_3]: {
     label: '2-1-3',
-    status: 'coming-soon',
+    status: 'available',
     formats: [FORMATS.FORMAT_7V7]
   },
   [FORMATIONS.FORMATION_3_2_1]: {
     label: '3-2-1',
-    status: 'coming-soon',
+    status: 'available',
     formats: [FORMATS.FORMAT_7V7]
   },
   [FORMATIONS.FORMATION_3_1_2]: {
     label: '3-1-2',
-    status: 'coming-soon',
+    status: 'available',
     formats: [FORMATS.FORMAT_7V7]
   },
+  [FORMATIONS.FORMATION_3_3_1]: {
+    label: '3-3-1',
+    status: 'available',
+    formats: [FORMATS.FORMAT_8V8]
+  },
+  [FORMATIONS.FORMATION_3_2_2]: {
+    label: '3-2-2',
+    status: 'available',
+    formats: [FORMATS.FORMAT_8V8]
+  },
+  [FORMATIONS.FORMATION_2_3_2]: {
+    label: '2-3-2',
+    status: 'available',
+    formats: [FORMATS.FORMAT_8V8]
+  },
+  [FORMATIONS.FORMATION_3_3_2]: {
+    label: '3-3-2',
+    status: 'available',
+    formats: [FORMATS.FORMAT_9V9]
+  },
+  [FORMATIONS.FORMATION_3_2_3]: {
+    label: '3-2-3',
+    status: 'available',
+    formats: [FORMATS.FORMAT_9V9]
+  },
+  [FORMATIONS.FORMATION_3_4_1]: {
+    label: '3-4-1',
+    status: 'available',
+    formats: [FORMATS.FORMAT_9V9]
+  },
+  [FORMATIONS.FORMATION_4_4_2]: {
+    label: '4-4-2',
+    status: 'available',
+    formats: [FORMATS.FORMAT_11V11]
+  },
+  [FORMATIONS.FORMATION_4_3_3]: {
+    label: '4-3-3',
+    status: 'available',
+    formats: [FORMATS.FORMAT_11V11]
+  },
+  [FORMATIONS.FORMATION_3_5_2]: {
+    label: '3-5-2',
+    status: 'available',
+    formats: [FORMATS.FORMAT_11V11]
+  },
 };
 
 // Centralised format metadata for dynamic validation/selection logic
@@ -145,6 +204,36 @@ export const FORMAT_CONFIGS = {
       FORMATIONS.FORMATION_3_2_1,
       FORMATIONS.FORMATION_3_1_2
     ]
+  },
+  [FORMATS.FORMAT_8V8]: {
+    label: '8v8',
+    fieldPlayers: 7,
+    defaultFormation: FORMATIONS.FORMATION_3_3_1,
+    formations: [
+      FORMATIONS.FORMATION_3_3_1,
+      FORMATIONS.FORMATION_3_2_2,
+      FORMATIONS.FORMATION_2_3_2
+    ]
+  },
+  [FORMATS.FORMAT_9V9]: {
+    label: '9v9',
+    fieldPlayers: 8,
+    defaultFormation: FORMATIONS.FORMATION_3_3_2,
+    formations: [
+      FORMATIONS.FORMATION_3_3_2,
+      FORMATIONS.FORMATION_3_2_3,
+      FORMATIONS.FORMATION_3_4_1
+    ]
+  },
+  [FORMATS.FORMAT_11V11]: {
+    label: '11v11',
+    fieldPlayers: 10,
+    defaultFormation: FORMATIONS.FORMATION_4_4_2,
+    formations: [
+      FORMATIONS.FORMATION_4_4_2,
+      FORMATIONS.FORMATION_4_3_3,
+      FORMATIONS.FORMATION_3_5_2
+    ]
   }
 };
 
@@ -184,7 +273,7 @@ export function getMaximumPlayersForFormat(format) {
 /**
  * Creates a composite team configuration object
  * @param {string} format - Field format (5v5, 7v7, etc.)
- * @param {number} squadSize - Total number of players (5-15)
+ * @param {number} squadSize - Total number of players (5-22, capped per format)
  * @param {string} formation - Tactical formation (2-2, 1-2-1, etc.)
  * @returns {Object} Team configuration object
  */
@@ -5,6 +5,8 @@ export const TAB_VIEWS = {
   OVERVIEW: 'overview',
   ROSTER: 'roster',
   LOANS: 'loans',
+  TRAINING: 'training',
+  SEASONS: 'seasons',
   ACCESS: 'access',
   CONNECTORS: 'connectors',
   PREFERENCES: 'preferences'
@@ -7,12 +7,16 @@ export const VIEWS = {
   CONFIG: 'config',
   PERIOD_SETUP: 'periodSetup',
   GAME: 'game',
+  SHOOTOUT: 'shootout',
   STATS: 'stats',
   STATISTICS: 'statistics',
   PROFILE: 'profile',
   TACTICAL_BOARD: 'tacticalBoard',
   TEAM_MANAGEMENT: 'teamManagement',
   TEAM_MATCHES: 'teamMatches',
+  TEAM_CALENDAR: 'teamCalendar',
+  GOALIE_PLANNER: 'goaliePlanner',
+  PARENT_HOME: 'parentHome',
   PLAN_MATCHES: 'planMatches',
   LIVE_MATCH: 'liveMatch'
 };
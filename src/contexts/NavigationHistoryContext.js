@@ -31,10 +31,12 @@ const VALID_VIEWS = Object.values(VIEWS);
 const UNTRACKED_VIEWS = new Set([
   // Automatic game flow transitions that shouldn't create navigation history:
   // - GAME is reached automatically after "Start Game" from PERIOD_SETUP  
+  // - SHOOTOUT is reached automatically when a drawn cup match ends
   // Note: STATS was removed from untracked views because users often navigate TO stats 
   // intentionally (not just automatically)
   // Note: PERIOD_SETUP was removed to enable proper browser back navigation from GameScreen
-  VIEWS.GAME          // Automatic transition from PERIOD_SETUP
+  VIEWS.GAME,         // Automatic transition from PERIOD_SETUP
+  VIEWS.SHOOTOUT      // Automatic transition from GAME
 ]);
 
 // Default fallback view when no history exists
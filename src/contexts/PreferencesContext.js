@@ -152,7 +152,11 @@ export function PreferencesProvider({ children }) {
           !newAudioPrefs.selectedSound.trim()) {
         newAudioPrefs.selectedSound = prev.audio.selectedSound;
       }
-      
+
+      if (typeof newAudioPrefs.spokenAnnouncements !== 'boolean') {
+        newAudioPrefs.spokenAnnouncements = prev.audio.spokenAnnouncements;
+      }
+
       // Notify audio service if selected sound changed
       if (updates.selectedSound && updates.selectedSound !== prev.audio.selectedSound) {
         audioAlertService.updateSelectedSound(updates.selectedSound);
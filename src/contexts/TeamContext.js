@@ -458,7 +458,7 @@ export const TeamProvider = ({ children }) => {
     try {
       let query = supabase
         .from('player')
-        .select('id, first_name, last_name, display_name, jersey_number, on_roster, related_to, related_user:related_to (id, name)')
+        .select('id, first_name, last_name, display_name, phonetic_name, jersey_number, on_roster, willing_goalie, related_to, related_user:related_to (id, name)')
         .eq('team_id', teamId)
         .order('display_name');
 
@@ -1858,9 +1858,11 @@ export const TeamProvider = ({ children }) => {
           first_name,
           last_name,
           display_name,
+          phonetic_name,
           jersey_number,
           on_roster,
           match_id,
+          willing_goalie,
           created_at,
           updated_at,
           related_to,
@@ -2161,8 +2163,9 @@ export const TeamProvider = ({ children }) => {
     if (['matchFormat', 'formation'].includes(key)) return PREFERENCE_CATEGORIES.MATCH;
     if (['periodLength', 'numPeriods'].includes(key)) return PREFERENCE_CATEGORIES.TIME;
     if (['substitutionLogic', 'alternateRoles'].includes(key)) return PREFERENCE_CATEGORIES.SUBSTITUTION;
-    if (['trackGoalScorer', 'fairPlayAward', 'teamCaptain'].includes(key)) return PREFERENCE_CATEGORIES.FEATURES;
+    if (['trackGoalScorer', 'trackAssists', 'fairPlayAward', 'teamCaptain'].includes(key)) return PREFERENCE_CATEGORIES.FEATURES;
     if (['loanMatchWeight'].includes(key)) return PREFERENCE_CATEGORIES.STATISTICS;
+    if (['matchAlertRules'].includes(key)) return PREFERENCE_CATEGORIES.ALERTS;
     return null;
   }, []);
 
@@ -2361,6 +2364,7 @@ export const TeamProvider = ({ children }) => {
     isCoach: currentTeam?.userRole === 'coach',
     isTeamAdmin: currentTeam?.userRole === 'admin',
     isParent: currentTeam?.userRole === 'parent',
+    isPlayer: currentTeam?.userRole === 'player',
     canManageTeam: currentTeam?.userRole === 'admin' || currentTeam?.userRole === 'coach',
     canViewStatistics: ['parent', 'coach', 'admin'].includes(currentTeam?.userRole),
     hasPendingRequests: pendingRequests.length > 0,
@@ -426,8 +426,11 @@ describe('PreferencesContext', () => {
       
       const { result } = renderWithProvider();
       
-      // Should have loaded the preferences successfully
-      expect(result.current.preferences).toEqual(storedPrefs);
+      // Should have loaded the preferences successfully, with defaults for settings added later
+      expect(result.current.preferences).toEqual({
+        ...storedPrefs,
+        audio: { ...storedPrefs.audio, spokenAnnouncements: false }
+      });
     });
   });
 
@@ -239,6 +239,116 @@ describe('scoreHandlers', () => {
     });
   });
 
+  describe('assist tracking', () => {
+    const pendingGoal = {
+      eventId: 'evt_1',
+      type: EVENT_TYPES.GOAL_SCORED,
+      periodNumber: 1,
+      ownScore: 1,
+      opponentScore: 0,
+      goalType: 'scored',
+      matchId: 'match-1',
+      timestamp: 1000
+    };
+
+    const createAssistHandlers = (options) => {
+      const stateUpdaters = { setScore: jest.fn(), addGoalScored: jest.fn(), addGoalConceded: jest.fn() };
+      const modalHandlers = {
+        openScoreEditModal: jest.fn(),
+        closeScoreEditModal: jest.fn(),
+        openGoalScorerModal: mockOpenGoalScorerModal,
+        closeGoalScorerModal: jest.fn(),
+        setPendingGoalData: jest.fn(),
+        getPendingGoalData: jest.fn(() => pendingGoal),
+        clearPendingGoal: jest.fn()
+      };
+      const names = { player1: 'Alice', player2: 'Bob' };
+
+      return createScoreHandlers(stateUpdaters, modalHandlers, {
+        getPlayerNameById: (playerId) => names[playerId],
+        ...options
+      });
+    };
+
+    let logEventSpy;
+
+    beforeEach(() => {
+      logEventSpy = jest
+        .spyOn(require('../../../utils/gameEventLogger'), 'logEvent')
+        .mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      logEventSpy.mockRestore();
+    });
+
+    it('should record the assist with the goal when tracking is enabled', () => {
+      const handlers = createAssistHandlers({ shouldTrackAssists: true });
+
+      handlers.handleSelectGoalScorer('evt_1', 'player1', 'player2');
+
+      expect(logEventSpy).toHaveBeenCalledWith(
+        EVENT_TYPES.GOAL_SCORED,
+        expect.objectContaining({ scorerId: 'player1', assistId: 'player2', assistName: 'Bob' }),
+        1000
+      );
+    });
+
+    it('should ignore the assist when tracking is disabled or it matches the scorer', () => {
+      createAssistHandlers({ shouldTrackAssists: false }).handleSelectGoalScorer('evt_1', 'player1', 'player2');
+      createAssistHandlers({ shouldTrackAssists: true }).handleSelectGoalScorer('evt_1', 'player1', 'player1');
+
+      expect(logEventSpy).toHaveBeenCalledTimes(2);
+      logEventSpy.mock.calls.forEach(([, data]) => {
+        expect(data).not.toHaveProperty('assistId');
+      });
+    });
+
+    it('should correct the assist together with the scorer', () => {
+      updateEventData.mockReturnValue(true);
+      const handlers = createAssistHandlers({ shouldTrackAssists: true });
+
+      handlers.handleCorrectGoalScorer('evt_1', 'player2', 'player1');
+
+      expect(updateEventData).toHaveBeenCalledWith('evt_1', expect.objectContaining({
+        scorerId: 'player2',
+        assistId: 'player1',
+        assistName: 'Alice'
+      }));
+      expect(logEventSpy).toHaveBeenCalledWith(
+        EVENT_TYPES.GOAL_CORRECTED,
+        expect.objectContaining({ originalEventId: 'evt_1', assistId: 'player1' })
+      );
+    });
+
+    it('should clear the assist when corrected to none and keep it when not provided', () => {
+      updateEventData.mockReturnValue(true);
+      const handlers = createAssistHandlers({ shouldTrackAssists: true });
+
+      handlers.handleCorrectGoalScorer('evt_1', 'player1', null);
+      expect(updateEventData).toHaveBeenLastCalledWith('evt_1', expect.objectContaining({
+        assistId: null,
+        assistName: null
+      }));
+
+      handlers.handleCorrectGoalScorer('evt_1', 'player1');
+      expect(updateEventData.mock.calls[1][1]).not.toHaveProperty('assistId');
+    });
+
+    it('should pass the current assist when editing a goal', () => {
+      getAllEvents.mockReturnValue([
+        { id: 'goal1', type: EVENT_TYPES.GOAL_SCORED, timestamp: 1000, undone: false, data: { scorerId: 'player1', assistId: 'player2' } }
+      ]);
+
+      createAssistHandlers({ shouldTrackAssists: true }).handleEditGoalScorer('goal1');
+
+      expect(mockOpenGoalScorerModal).toHaveBeenCalledWith(expect.objectContaining({
+        currentScorerId: 'player1',
+        currentAssistId: 'player2'
+      }));
+    });
+  });
+
   describe('handler creation', () => {
     it('should create handlers with required functions', () => {
       expect(scoreHandlers).toHaveProperty('handleDeleteGoal');
@@ -22,6 +22,7 @@ export const createScoreHandlers = (
   } = modalHandlers;
   const {
     shouldTrackGoalScorer = true,
+    shouldTrackAssists = false,
     getPlayerNameById = null
   } = options;
 
@@ -37,6 +38,16 @@ export const createScoreHandlers = (
     }
   };
 
+  // Assist attribution is only kept when tracking is enabled and it differs from the scorer
+  const buildAssistData = (scorerId, assistId) => {
+    if (!shouldTrackAssists || !scorerId || !assistId || assistId === scorerId) {
+      return null;
+    }
+
+    const assistName = resolvePlayerDisplayName(assistId);
+    return assistName ? { assistId, assistName } : { assistId };
+  };
+
   // Generate unique event ID for goals
   const generateEventId = () => {
     const timestamp = Date.now();
@@ -162,7 +173,7 @@ export const createScoreHandlers = (
     return handleAddGoal('conceded', gameState);
   };
 
-  const handleSelectGoalScorer = (eventId, scorerId) => {
+  const handleSelectGoalScorer = (eventId, scorerId, assistId = null) => {
     if (!shouldTrackGoalScorer) {
       closeGoalScorerModal();
       return;
@@ -190,6 +201,7 @@ export const createScoreHandlers = (
         opponentScore: pendingGoal.opponentScore,
         scorerId: scorerId || null,
         ...(scorerName ? { scorerName, display_name: scorerName } : {}),
+        ...(buildAssistData(scorerId, assistId) || {}),
         goalType: pendingGoal.goalType,
         matchId: pendingGoal.matchId
       }, pendingGoal.timestamp);
@@ -201,7 +213,7 @@ export const createScoreHandlers = (
     closeGoalScorerModal();
   };
 
-  const handleCorrectGoalScorer = (eventId, newScorerId) => {
+  const handleCorrectGoalScorer = (eventId, newScorerId, newAssistId = undefined) => {
     if (!shouldTrackGoalScorer) {
       closeGoalScorerModal();
       return;
@@ -217,6 +229,11 @@ export const createScoreHandlers = (
       updatePayload.display_name = scorerName;
     }
 
+    // Leave the recorded assist untouched unless the caller supplied one
+    if (newAssistId !== undefined) {
+      Object.assign(updatePayload, { assistId: null, assistName: null }, buildAssistData(newScorerId, newAssistId));
+    }
+
     // Update the original goal event with new scorer
     const updateSuccess = updateEventData(eventId, updatePayload);
     
@@ -225,6 +242,7 @@ export const createScoreHandlers = (
       logEvent(EVENT_TYPES.GOAL_CORRECTED, {
         originalEventId: eventId,
         scorerId: newScorerId,
+        ...(newAssistId !== undefined ? { assistId: updatePayload.assistId } : {}),
         correctionType: 'scorer_correction'
       });
     } else {
@@ -339,7 +357,8 @@ export const createScoreHandlers = (
       mode: 'correct',
       matchTime: calculateMatchTime(goalEvent.timestamp),
       periodNumber: goalEvent.data?.periodNumber || 1,
-      currentScorerId: goalEvent.data?.scorerId || null
+      currentScorerId: goalEvent.data?.scorerId || null,
+      currentAssistId: goalEvent.data?.assistId || null
     });
   };
 
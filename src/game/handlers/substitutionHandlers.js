@@ -3,6 +3,11 @@ import {
   calculateSubstitution,
   calculatePositionSwitch,
   calculatePlayerToggleInactive,
+  calculatePlayerInjury,
+  calculatePlayerReturnFromInjury,
+  calculatePlayerSentOff,
+  calculatePlayerSinBin,
+  calculatePlayerSinBinEnd,
   calculateUndo,
   calculateSubstituteReorder,
   calculateRemovePlayerFromNextToGoOff,
@@ -14,6 +19,7 @@ import { formatPlayerName } from '../../utils/formatUtils';
 import { getModeDefinition, supportsInactiveUsers, getBottomSubstitutePosition } from '../../constants/gameModes';
 import { logEvent, removeEvent, EVENT_TYPES, calculateMatchTime } from '../../utils/gameEventLogger';
 import { getSubstituteTargetPositions, getPositionDisplayName } from '../ui/positionUtils';
+import { CARD_TYPES, SIN_BIN_DURATION_SECONDS, createCardRecord, addPlayerCard } from '../logic/discipline';
 import { getPositionRole, getFieldPositions } from '../logic/positionUtils';
 import { PLAYER_ROLES } from '../../constants/playerConstants';
 
@@ -194,6 +200,7 @@ export const createSubstitutionHandlers = (
             gameState,
             (state) => calculateSetPlayerAsNextToGoOff(state, playerId, substitutionCount),
             (newGameState) => {
+              setFormation(newGameState.formation);
               setRotationQueue(newGameState.rotationQueue);
               setAllPlayers(newGameState.allPlayers);
             },
@@ -222,6 +229,7 @@ export const createSubstitutionHandlers = (
             gameState,
             (state) => calculateRemovePlayerFromNextToGoOff(state, playerId, substitutionCount),
             (newGameState) => {
+              setFormation(newGameState.formation);
               setRotationQueue(newGameState.rotationQueue);
               setAllPlayers(newGameState.allPlayers);
             },
@@ -240,6 +248,7 @@ export const createSubstitutionHandlers = (
             gameState,
             (state) => calculateRemovePlayerFromNextToGoOff(state, playerId, 1),
             (newGameState) => {
+              setFormation(newGameState.formation);
               setRotationQueue(newGameState.rotationQueue);
               setAllPlayers(newGameState.allPlayers);
               // Update next player to the new queue leader
@@ -609,6 +618,240 @@ export const createSubstitutionHandlers = (
     }
   };
 
+  const handleInjurePlayer = (fieldPlayerModal) => {
+    clearSubstitutionOverride();
+    const gameState = gameStateFactory();
+    const injuredPlayerId = gameState.formation[fieldPlayerModal.target];
+
+    if (injuredPlayerId && supportsInactive) {
+      const injuredPlayer = findPlayerById(gameState.allPlayers, injuredPlayerId);
+      const currentTime = getCurrentTimestamp();
+
+      // Emergency substitution - the next substitute in line replaces the injured player
+      animateStateChange(
+        gameState,
+        (state) => calculatePlayerInjury(state, injuredPlayerId),
+        (newGameState) => {
+          if (newGameState.allPlayers === gameState.allPlayers) {
+            return;
+          }
+
+          setFormation(newGameState.formation);
+          setAllPlayers(newGameState.allPlayers);
+          setNextPlayerIdToSubOut(newGameState.nextPlayerIdToSubOut);
+          if (newGameState.rotationQueue) {
+            setRotationQueue(newGameState.rotationQueue);
+          }
+
+          // Log player injury event
+          try {
+            const replacementId = newGameState.formation[fieldPlayerModal.target];
+            const replacement = findPlayerById(gameState.allPlayers, replacementId);
+            if (injuredPlayer) {
+              logEvent(EVENT_TYPES.PLAYER_INJURED, {
+                playerId: injuredPlayerId,
+                playerName: getFormattedPlayerName(injuredPlayer),
+                display_name: getFormattedPlayerName(injuredPlayer),
+                replacementId,
+                replacementName: getFormattedPlayerName(replacement),
+                fieldPosition: fieldPlayerModal.target,
+                matchTime: calculateMatchTime(currentTime),
+                timestamp: currentTime,
+                periodNumber: gameState.currentPeriodNumber || 1
+              });
+            }
+          } catch (error) {
+            // Logging error should not prevent the emergency substitution
+          }
+        },
+        setAnimationState,
+        setHideNextOffIndicator,
+        setRecentlySubstitutedPlayers
+      );
+    }
+
+    closeFieldPlayerModal();
+    if (removeFromNavigationStack) {
+      removeFromNavigationStack();
+    }
+  };
+
+  const handleReturnFromInjury = (substituteModal) => {
+    if (substituteModal.playerId && supportsInactive) {
+      const gameState = gameStateFactory();
+      const returningPlayer = findPlayerById(gameState.allPlayers, substituteModal.playerId);
+
+      // Returning player is put first on the bench so they catch up on missed field time
+      animateStateChange(
+        gameState,
+        (state) => calculatePlayerReturnFromInjury(state, substituteModal.playerId),
+        (newGameState) => {
+          if (newGameState.allPlayers === gameState.allPlayers) {
+            return;
+          }
+
+          setFormation(newGameState.formation);
+          setAllPlayers(newGameState.allPlayers);
+          setNextPlayerIdToSubOut(newGameState.nextPlayerIdToSubOut);
+          if (newGameState.rotationQueue) {
+            setRotationQueue(newGameState.rotationQueue);
+          }
+
+          // Log player return event
+          try {
+            if (returningPlayer) {
+              logEvent(EVENT_TYPES.PLAYER_RETURNED, {
+                playerId: substituteModal.playerId,
+                periodNumber: gameState.currentPeriodNumber || 1,
+                playerName: getFormattedPlayerName(returningPlayer),
+                display_name: getFormattedPlayerName(returningPlayer)
+              });
+            }
+          } catch (error) {
+          }
+        },
+        setAnimationState,
+        setHideNextOffIndicator,
+        setRecentlySubstitutedPlayers
+      );
+    }
+    closeSubstituteModal();
+    if (removeFromNavigationStack) {
+      removeFromNavigationStack();
+    }
+  };
+
+  const closeFieldPlayerModalAndNavigation = () => {
+    closeFieldPlayerModal();
+    if (removeFromNavigationStack) {
+      removeFromNavigationStack();
+    }
+  };
+
+  const logCardEvent = (eventType, gameState, player, currentTime, extraData = {}) => {
+    try {
+      logEvent(eventType, {
+        playerId: player.id,
+        playerName: getFormattedPlayerName(player),
+        display_name: getFormattedPlayerName(player),
+        matchTime: calculateMatchTime(currentTime),
+        timestamp: currentTime,
+        periodNumber: gameState.currentPeriodNumber || 1,
+        ...extraData
+      });
+    } catch (error) {
+      // Logging error should not prevent the card from being recorded
+    }
+  };
+
+  const handleYellowCard = (fieldPlayerModal) => {
+    const gameState = gameStateFactory();
+    const player = findPlayerById(gameState.allPlayers, gameState.formation[fieldPlayerModal.target]);
+
+    if (player) {
+      const currentTime = getCurrentTimestamp();
+      const matchTime = calculateMatchTime(currentTime);
+      setAllPlayers(addPlayerCard(
+        gameState.allPlayers,
+        player.id,
+        createCardRecord(CARD_TYPES.YELLOW, { periodNumber: gameState.currentPeriodNumber || 1, matchTime })
+      ));
+      logCardEvent(EVENT_TYPES.YELLOW_CARD, gameState, player, currentTime);
+    }
+
+    closeFieldPlayerModalAndNavigation();
+  };
+
+  const handleSinBinPlayer = (fieldPlayerModal) => {
+    clearSubstitutionOverride();
+    const gameState = gameStateFactory();
+    const playerId = gameState.formation[fieldPlayerModal.target];
+    const player = findPlayerById(gameState.allPlayers, playerId);
+
+    if (player && supportsInactive) {
+      const currentTime = getCurrentTimestamp();
+      // The player stays in their slot, nobody comes on while the suspension is served
+      const newGameState = calculatePlayerSinBin(gameState, playerId);
+
+      if (newGameState.allPlayers !== gameState.allPlayers) {
+        setAllPlayers(addPlayerCard(
+          newGameState.allPlayers,
+          playerId,
+          createCardRecord(CARD_TYPES.SIN_BIN, {
+            periodNumber: gameState.currentPeriodNumber || 1,
+            matchTime: calculateMatchTime(currentTime)
+          })
+        ));
+        setRotationQueue(newGameState.rotationQueue);
+        setNextPlayerIdToSubOut(newGameState.nextPlayerIdToSubOut);
+        logCardEvent(EVENT_TYPES.SIN_BIN_STARTED, gameState, player, currentTime, {
+          fieldPosition: fieldPlayerModal.target,
+          durationSeconds: SIN_BIN_DURATION_SECONDS
+        });
+      }
+    }
+
+    closeFieldPlayerModalAndNavigation();
+  };
+
+  const handleEndSinBin = (playerIds = []) => {
+    let gameState = gameStateFactory();
+    const originalPlayers = gameState.allPlayers;
+    const currentTime = getCurrentTimestamp();
+    const endedPlayers = [];
+
+    playerIds.forEach(playerId => {
+      const nextState = calculatePlayerSinBinEnd(gameState, playerId);
+      if (nextState.allPlayers !== gameState.allPlayers) {
+        endedPlayers.push(findPlayerById(originalPlayers, playerId));
+        gameState = nextState;
+      }
+    });
+
+    if (endedPlayers.length === 0) {
+      return;
+    }
+
+    setAllPlayers(gameState.allPlayers);
+    setRotationQueue(gameState.rotationQueue);
+    setNextPlayerIdToSubOut(gameState.nextPlayerIdToSubOut);
+    endedPlayers.forEach(player => {
+      logCardEvent(EVENT_TYPES.SIN_BIN_ENDED, gameState, player, currentTime);
+    });
+  };
+
+  const handleRedCard = (fieldPlayerModal) => {
+    clearSubstitutionOverride();
+    const gameState = gameStateFactory();
+    const playerId = gameState.formation[fieldPlayerModal.target];
+    const player = findPlayerById(gameState.allPlayers, playerId);
+
+    if (player && supportsInactive) {
+      const currentTime = getCurrentTimestamp();
+      // Nobody replaces a sent-off player, the team plays short-handed for the rest of the match
+      const newGameState = calculatePlayerSentOff(gameState, playerId);
+
+      if (newGameState.allPlayers !== gameState.allPlayers) {
+        setFormation(newGameState.formation);
+        setAllPlayers(addPlayerCard(
+          newGameState.allPlayers,
+          playerId,
+          createCardRecord(CARD_TYPES.RED, {
+            periodNumber: gameState.currentPeriodNumber || 1,
+            matchTime: calculateMatchTime(currentTime)
+          })
+        ));
+        setRotationQueue(newGameState.rotationQueue);
+        setNextPlayerIdToSubOut(newGameState.nextPlayerIdToSubOut);
+        logCardEvent(EVENT_TYPES.RED_CARD, gameState, player, currentTime, {
+          fieldPosition: fieldPlayerModal.target
+        });
+      }
+    }
+
+    closeFieldPlayerModalAndNavigation();
+  };
+
   const handleCancelSubstituteModal = () => {
     closeSubstituteModal();
     if (removeFromNavigationStack) {
@@ -1155,6 +1398,12 @@ export const createSubstitutionHandlers = (
     handleSetAsNextToGoIn,
     handleInactivatePlayer,
     handleActivatePlayer,
+    handleInjurePlayer,
+    handleReturnFromInjury,
+    handleYellowCard,
+    handleSinBinPlayer,
+    handleEndSinBin,
+    handleRedCard,
     handleCancelSubstituteModal,
     handleSubstitutionWithHighlight,
     handleChangePosition,
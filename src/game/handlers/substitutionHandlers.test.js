@@ -4,6 +4,9 @@ import {
   calculateSubstitution,
   calculatePositionSwitch,
   calculatePlayerToggleInactive,
+  calculatePlayerInjury,
+  calculatePlayerReturnFromInjury,
+  calculatePlayerSentOff,
   calculateUndo,
   calculateSubstituteReorder,
   calculateRemovePlayerFromNextToGoOff
@@ -104,6 +107,8 @@ describe('createSubstitutionHandlers', () => {
 
     calculatePositionSwitch.mockImplementation((gameState) => gameState);
     calculatePlayerToggleInactive.mockImplementation((gameState) => gameState);
+    calculatePlayerInjury.mockImplementation((gameState) => gameState);
+    calculatePlayerReturnFromInjury.mockImplementation((gameState) => gameState);
     calculateSubstituteReorder.mockImplementation((gameState) => gameState);
     calculateUndo.mockImplementation((gameState) => gameState);
   });
@@ -124,6 +129,8 @@ describe('createSubstitutionHandlers', () => {
       expect(handlers.handleSetAsNextToGoIn).toBeDefined();
       expect(handlers.handleInactivatePlayer).toBeDefined();
       expect(handlers.handleActivatePlayer).toBeDefined();
+      expect(handlers.handleInjurePlayer).toBeDefined();
+      expect(handlers.handleReturnFromInjury).toBeDefined();
       expect(handlers.handleCancelSubstituteModal).toBeDefined();
       expect(handlers.handleSubstitutionWithHighlight).toBeDefined();
       expect(handlers.handleChangePosition).toBeDefined();
@@ -512,6 +519,125 @@ describe('createSubstitutionHandlers', () => {
     });
   });
 
+  describe('handleInjurePlayer', () => {
+    it('should replace the injured field player and apply the new state', () => {
+      const injuredState = {
+        ...mockGameState,
+        formation: { ...mockGameState.formation, leftDefender: '5' },
+        allPlayers: [...mockGameState.allPlayers],
+        rotationQueue: ['2', '3', '4', '5', '6'],
+        nextPlayerIdToSubOut: '2'
+      };
+      calculatePlayerInjury.mockReturnValue(injuredState);
+
+      const handlers = createSubstitutionHandlers(
+        mockGameStateFactory,
+        mockDependencies.stateUpdaters,
+        mockDependencies.animationHooks,
+        mockDependencies.modalHandlers,
+        TEAM_CONFIGS.INDIVIDUAL_7
+      );
+
+      handlers.handleInjurePlayer({ type: 'player', target: 'leftDefender' });
+
+      expect(animateStateChange).toHaveBeenCalled();
+      expect(calculatePlayerInjury).toHaveBeenCalledWith(mockGameState, '1');
+      expect(mockDependencies.stateUpdaters.setFormation).toHaveBeenCalledWith(injuredState.formation);
+      expect(mockDependencies.stateUpdaters.setAllPlayers).toHaveBeenCalledWith(injuredState.allPlayers);
+      expect(mockDependencies.stateUpdaters.setRotationQueue).toHaveBeenCalledWith(['2', '3', '4', '5', '6']);
+      expect(mockDependencies.stateUpdaters.setNextPlayerIdToSubOut).toHaveBeenCalledWith('2');
+      expect(mockDependencies.modalHandlers.closeFieldPlayerModal).toHaveBeenCalled();
+    });
+
+    it('should not update state when no substitute can replace the injured player', () => {
+      const handlers = createSubstitutionHandlers(
+        mockGameStateFactory,
+        mockDependencies.stateUpdaters,
+        mockDependencies.animationHooks,
+        mockDependencies.modalHandlers,
+        TEAM_CONFIGS.INDIVIDUAL_7
+      );
+
+      handlers.handleInjurePlayer({ type: 'player', target: 'leftDefender' });
+
+      expect(calculatePlayerInjury).toHaveBeenCalledWith(mockGameState, '1');
+      expect(mockDependencies.stateUpdaters.setFormation).not.toHaveBeenCalled();
+      expect(mockDependencies.stateUpdaters.setAllPlayers).not.toHaveBeenCalled();
+      expect(mockDependencies.modalHandlers.closeFieldPlayerModal).toHaveBeenCalled();
+    });
+  });
+
+  describe('handleRedCard', () => {
+    it('should leave the sent-off player\'s slot empty', () => {
+      const sentOffState = {
+        ...mockGameState,
+        formation: { ...mockGameState.formation, leftDefender: null },
+        allPlayers: mockGameState.allPlayers.map(p => (
+          p.id === '1' ? { ...p, stats: { ...p.stats, isInactive: true, isSentOff: true } } : p
+        )),
+        rotationQueue: ['2', '3', '4', '5', '6'],
+        nextPlayerIdToSubOut: '2'
+      };
+      calculatePlayerSentOff.mockReturnValue(sentOffState);
+
+      const handlers = createSubstitutionHandlers(
+        mockGameStateFactory,
+        mockDependencies.stateUpdaters,
+        mockDependencies.animationHooks,
+        mockDependencies.modalHandlers,
+        TEAM_CONFIGS.INDIVIDUAL_7
+      );
+
+      handlers.handleRedCard({ type: 'player', target: 'leftDefender' });
+
+      expect(calculatePlayerSentOff).toHaveBeenCalledWith(mockGameState, '1');
+      expect(mockDependencies.stateUpdaters.setFormation).toHaveBeenCalledWith(sentOffState.formation);
+      expect(mockDependencies.stateUpdaters.setAllPlayers).toHaveBeenCalled();
+      expect(mockDependencies.stateUpdaters.setRotationQueue).toHaveBeenCalledWith(['2', '3', '4', '5', '6']);
+      expect(mockDependencies.stateUpdaters.setNextPlayerIdToSubOut).toHaveBeenCalledWith('2');
+      expect(mockDependencies.modalHandlers.closeFieldPlayerModal).toHaveBeenCalled();
+    });
+
+    it('should not send off a player in modes without inactive players', () => {
+      const handlers = createSubstitutionHandlers(
+        mockGameStateFactory,
+        mockDependencies.stateUpdaters,
+        mockDependencies.animationHooks,
+        mockDependencies.modalHandlers,
+        { ...TEAM_CONFIGS.INDIVIDUAL_6, squadSize: 5 }
+      );
+
+      handlers.handleRedCard({ type: 'player', target: 'leftDefender' });
+
+      expect(calculatePlayerSentOff).not.toHaveBeenCalled();
+      expect(mockDependencies.stateUpdaters.setFormation).not.toHaveBeenCalled();
+      expect(mockDependencies.stateUpdaters.setAllPlayers).not.toHaveBeenCalled();
+      expect(mockDependencies.modalHandlers.closeFieldPlayerModal).toHaveBeenCalled();
+    });
+  });
+
+  describe('handleReturnFromInjury', () => {
+    it('should return the injured player with animation', () => {
+      const returnedState = { ...mockGameState, allPlayers: [...mockGameState.allPlayers] };
+      calculatePlayerReturnFromInjury.mockReturnValue(returnedState);
+
+      const handlers = createSubstitutionHandlers(
+        mockGameStateFactory,
+        mockDependencies.stateUpdaters,
+        mockDependencies.animationHooks,
+        mockDependencies.modalHandlers,
+        TEAM_CONFIGS.INDIVIDUAL_7
+      );
+
+      handlers.handleReturnFromInjury({ playerId: '6' });
+
+      expect(animateStateChange).toHaveBeenCalled();
+      expect(calculatePlayerReturnFromInjury).toHaveBeenCalledWith(mockGameState, '6');
+      expect(mockDependencies.stateUpdaters.setAllPlayers).toHaveBeenCalledWith(returnedState.allPlayers);
+      expect(mockDependencies.modalHandlers.closeSubstituteModal).toHaveBeenCalled();
+    });
+  });
+
   describe('handleSubstitutionWithHighlight', () => {
     it('should perform substitution with animation and save undo data', () => {
       // Ensure substitute players are explicitly active (not inactive)
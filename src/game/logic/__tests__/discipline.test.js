@@ -0,0 +1,55 @@
+import {
+  CARD_TYPES,
+  SIN_BIN_DURATION_SECONDS,
+  createCardRecord,
+  addPlayerCard,
+  getPlayerCardCounts,
+  getSinBinSecondsRemaining,
+  getExpiredSinBinPlayerIds
+} from '../discipline';
+
+const createPlayer = (id, stats = {}) => ({ id, stats: { cards: [], ...stats } });
+
+describe('discipline', () => {
+  describe('cards', () => {
+    it('adds card records to the player and counts them by type', () => {
+      let players = [createPlayer('1'), createPlayer('2')];
+      players = addPlayerCard(players, '1', createCardRecord(CARD_TYPES.YELLOW, { periodNumber: 1, matchTime: '02:00' }));
+      players = addPlayerCard(players, '1', createCardRecord(CARD_TYPES.SIN_BIN, { periodNumber: 2, matchTime: '14:30' }));
+      players = addPlayerCard(players, '1', createCardRecord(CARD_TYPES.RED));
+
+      expect(players[0].stats.cards[0]).toEqual({ type: CARD_TYPES.YELLOW, periodNumber: 1, matchTime: '02:00' });
+      expect(getPlayerCardCounts(players[0])).toEqual({ yellowCards: 1, redCards: 1, sinBins: 1 });
+      expect(getPlayerCardCounts(players[1])).toEqual({ yellowCards: 0, redCards: 0, sinBins: 0 });
+    });
+
+    it('handles players without stats', () => {
+      expect(getPlayerCardCounts({ id: '1' })).toEqual({ yellowCards: 0, redCards: 0, sinBins: 0 });
+    });
+  });
+
+  describe('sin-bin timing', () => {
+    const sinBinned = createPlayer('1', {
+      sinBin: { startedAtSeconds: 100, queueIndex: 0 },
+      timeSinBinnedSeconds: 160,
+      lastStintStartTimeEpoch: 10000
+    });
+
+    it('counts served sin-bin time and the running stint', () => {
+      // 60 seconds closed into the counter plus 30 seconds of the running stint
+      expect(getSinBinSecondsRemaining(sinBinned, 40000)).toBe(SIN_BIN_DURATION_SECONDS - 90);
+    });
+
+    it('does not count the running stint while the timer is paused', () => {
+      expect(getSinBinSecondsRemaining(sinBinned, 40000, true)).toBe(SIN_BIN_DURATION_SECONDS - 60);
+    });
+
+    it('lists players whose suspension has been served', () => {
+      const players = [sinBinned, createPlayer('2')];
+
+      expect(getExpiredSinBinPlayerIds(players, 40000)).toEqual([]);
+      expect(getExpiredSinBinPlayerIds(players, 10000 + 240 * 1000)).toEqual(['1']);
+      expect(getSinBinSecondsRemaining(players[1], 40000)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import {
+  canStartExtraTime,
+  createExtraTimeConfig,
+  getDefaultExtraTimeMinutes,
+  getExtraTimePeriodNumber,
+  getPeriodDurationMinutes,
+  getTotalPeriods
+} from '../extraTime';
+import { MATCH_TYPES } from '../../../constants/matchTypes';
+
+describe('extraTime', () => {
+  const extraTime = { periods: 2, periodDurationMinutes: 5 };
+
+  describe('createExtraTimeConfig', () => {
+    it('accepts one or two periods with a whole number of minutes', () => {
+      expect(createExtraTimeConfig({ periods: 2, periodDurationMinutes: 5 })).toEqual(extraTime);
+      expect(createExtraTimeConfig({ periods: '1', periodDurationMinutes: '10' })).toEqual({ periods: 1, periodDurationMinutes: 10 });
+    });
+
+    it('rejects invalid configurations', () => {
+      expect(createExtraTimeConfig({ periods: 3, periodDurationMinutes: 5 })).toBeNull();
+      expect(createExtraTimeConfig({ periods: 1, periodDurationMinutes: 0 })).toBeNull();
+      expect(createExtraTimeConfig({ periods: 1, periodDurationMinutes: 2.5 })).toBeNull();
+      expect(createExtraTimeConfig()).toBeNull();
+    });
+  });
+
+  it('suggests a third of a regular period', () => {
+    expect(getDefaultExtraTimeMinutes(15)).toBe(5);
+    expect(getDefaultExtraTimeMinutes(6)).toBe(3);
+  });
+
+  it('continues period numbering after the regular periods', () => {
+    expect(getTotalPeriods(3, null)).toBe(3);
+    expect(getTotalPeriods(3, extraTime)).toBe(5);
+
+    expect(getExtraTimePeriodNumber(3, 3, extraTime)).toBeNull();
+    expect(getExtraTimePeriodNumber(4, 3, extraTime)).toBe(1);
+    expect(getExtraTimePeriodNumber(5, 3, extraTime)).toBe(2);
+    expect(getExtraTimePeriodNumber(4, 3, null)).toBeNull();
+  });
+
+  it('uses the extra-time length for extra-time periods', () => {
+    expect(getPeriodDurationMinutes(3, 3, 15, extraTime)).toBe(15);
+    expect(getPeriodDurationMinutes(4, 3, 15, extraTime)).toBe(5);
+  });
+
+  describe('canStartExtraTime', () => {
+    const levelCupFinal = {
+      matchType: MATCH_TYPES.CUP,
+      ownScore: 1,
+      opponentScore: 1,
+      currentPeriodNumber: 2,
+      numPeriods: 2,
+      extraTime: null
+    };
+
+    it('is offered when a cup or tournament match is level after the final period', () => {
+      expect(canStartExtraTime(levelCupFinal)).toBe(true);
+      expect(canStartExtraTime({ ...levelCupFinal, matchType: MATCH_TYPES.TOURNAMENT })).toBe(true);
+    });
+
+    it('is not offered otherwise', () => {
+      expect(canStartExtraTime({ ...levelCupFinal, matchType: MATCH_TYPES.LEAGUE })).toBe(false);
+      expect(canStartExtraTime({ ...levelCupFinal, ownScore: 2 })).toBe(false);
+      expect(canStartExtraTime({ ...levelCupFinal, currentPeriodNumber: 1 })).toBe(false);
+      expect(canStartExtraTime({ ...levelCupFinal, currentPeriodNumber: 3, extraTime })).toBe(false);
+    });
+  });
+});
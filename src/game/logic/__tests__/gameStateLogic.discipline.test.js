@@ -0,0 +1,114 @@
+import {
+  calculatePlayerSentOff,
+  calculatePlayerSinBin,
+  calculatePlayerSinBinEnd,
+  calculatePlayerToggleInactive
+} from '../gameStateLogic';
+import { PLAYER_STATUS } from '../../../constants/playerConstants';
+import { getCurrentTimestamp } from '../../../utils/timeUtils';
+import { createMockGameState, TEAM_CONFIGS } from '../../testUtils';
+
+jest.mock('../../../utils/timeUtils');
+
+describe('disciplinary workflow', () => {
+  const findPlayer = (state, id) => state.allPlayers.find(p => p.id === id);
+  const positionOf = (state, id) => Object.keys(state.formation).find(pos => state.formation[pos] === id);
+
+  let gameState;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // Mock players start their stints at 1000ms, so this is a 60 second stint
+    getCurrentTimestamp.mockReturnValue(61000);
+    gameState = createMockGameState(TEAM_CONFIGS.INDIVIDUAL_7);
+  });
+
+  describe('calculatePlayerSentOff', () => {
+    it('leaves the slot empty and keeps the player out of the rotation for good', () => {
+      const position = positionOf(gameState, '2');
+
+      const result = calculatePlayerSentOff(gameState, '2');
+      const sentOff = findPlayer(result, '2');
+
+      expect(result.formation[position]).toBeNull();
+      expect(positionOf(result, '2')).toBeUndefined();
+      expect(result.formation.substitute_1).toBe(gameState.formation.substitute_1);
+      expect(sentOff.stats.currentStatus).toBe(PLAYER_STATUS.SUBSTITUTE);
+      expect(sentOff.stats.currentPositionKey).toBeNull();
+      expect(sentOff.stats.timeOnFieldSeconds).toBe(60 + 60);
+      expect(sentOff.stats.isSentOff).toBe(true);
+      expect(sentOff.stats.isInactive).toBe(true);
+      expect(sentOff.stats.isInjured).toBe(false);
+      expect(result.rotationQueue).toEqual(['1', '3', '4', '5', '6']);
+    });
+
+    it('sends the player off when there is no bench to replace them from', () => {
+      const noBenchState = createMockGameState({ ...TEAM_CONFIGS.INDIVIDUAL_6, squadSize: 5 });
+      const position = positionOf(noBenchState, '1');
+
+      const result = calculatePlayerSentOff(noBenchState, '1');
+
+      expect(result).not.toBe(noBenchState);
+      expect(result.formation[position]).toBeNull();
+      expect(findPlayer(result, '1').stats.isSentOff).toBe(true);
+      expect(result.rotationQueue).not.toContain('1');
+      expect(result.nextPlayerIdToSubOut).toBe(result.rotationQueue[0]);
+    });
+
+    it('does not let a sent-off player be put back into the rotation', () => {
+      const sentOffState = calculatePlayerSentOff(gameState, '2');
+
+      expect(calculatePlayerToggleInactive(sentOffState, '2')).toBe(sentOffState);
+    });
+  });
+
+  describe('calculatePlayerSinBin', () => {
+    it('keeps the player in their slot and freezes them out of the rotation queue', () => {
+      const position = positionOf(gameState, '2');
+
+      const result = calculatePlayerSinBin(gameState, '2');
+      const sinBinned = findPlayer(result, '2');
+
+      expect(result.formation[position]).toBe('2');
+      expect(result.formation).toEqual(gameState.formation);
+      expect(sinBinned.stats.currentStatus).toBe(PLAYER_STATUS.ON_FIELD);
+      expect(sinBinned.stats.timeOnFieldSeconds).toBe(60 + 60);
+      expect(sinBinned.stats.sinBin).toEqual({ startedAtSeconds: 0, queueIndex: 1 });
+      expect(result.rotationQueue).toEqual(['1', '3', '4', '5', '6']);
+      expect(result.nextPlayerIdToSubOut).toBe('1');
+    });
+
+    it('moves the next player to go off along when the sin-binned player was next', () => {
+      const result = calculatePlayerSinBin(gameState, '1');
+
+      expect(result.nextPlayerIdToSubOut).toBe('2');
+    });
+
+    it('ignores substitutes and players already in the sin-bin', () => {
+      expect(calculatePlayerSinBin(gameState, '5')).toBe(gameState);
+
+      const sinBinState = calculatePlayerSinBin(gameState, '2');
+      expect(calculatePlayerSinBin(sinBinState, '2')).toBe(sinBinState);
+    });
+  });
+
+  describe('calculatePlayerSinBinEnd', () => {
+    it('records sin-bin time apart from field time and restores the queue position', () => {
+      const sinBinState = calculatePlayerSinBin(gameState, '2');
+      getCurrentTimestamp.mockReturnValue(361000);
+
+      const result = calculatePlayerSinBinEnd(sinBinState, '2');
+      const returned = findPlayer(result, '2');
+
+      expect(returned.stats.timeSinBinnedSeconds).toBe(300);
+      expect(returned.stats.timeOnFieldSeconds).toBe(120);
+      expect(returned.stats.sinBin).toBeNull();
+      expect(result.rotationQueue).toEqual(['1', '2', '3', '4', '5', '6']);
+      expect(result.playersToHighlight).toEqual(['2']);
+    });
+
+    it('leaves players who are not in the sin-bin untouched', () => {
+      expect(calculatePlayerSinBinEnd(gameState, '2')).toBe(gameState);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import { calculatePlayerInjury, calculatePlayerReturnFromInjury } from '../gameStateLogic';
+import { PLAYER_ROLES, PLAYER_STATUS } from '../../../constants/playerConstants';
+import { getCurrentTimestamp } from '../../../utils/timeUtils';
+import { createMockGameState, TEAM_CONFIGS } from '../../testUtils';
+
+jest.mock('../../../utils/timeUtils');
+
+describe('injury workflow', () => {
+  const findPlayer = (state, id) => state.allPlayers.find(p => p.id === id);
+  const positionOf = (state, id) => Object.keys(state.formation).find(pos => state.formation[pos] === id);
+
+  let gameState;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // Mock players start their stints at 1000ms, so this is a 60 second stint
+    getCurrentTimestamp.mockReturnValue(61000);
+    gameState = createMockGameState(TEAM_CONFIGS.INDIVIDUAL_7);
+  });
+
+  describe('calculatePlayerInjury', () => {
+    it('replaces the injured player with the next substitute in the rotation queue', () => {
+      const injuredPosition = positionOf(gameState, '2');
+
+      const result = calculatePlayerInjury(gameState, '2');
+
+      expect(result.formation[injuredPosition]).toBe('5');
+      expect(result.formation.substitute_1).toBe('6');
+      expect(result.formation.substitute_2).toBe('2');
+      expect(result.playersToHighlight).toEqual(['5']);
+
+      const replacement = findPlayer(result, '5');
+      expect(replacement.stats.currentStatus).toBe(PLAYER_STATUS.ON_FIELD);
+      expect(replacement.stats.currentPositionKey).toBe(injuredPosition);
+      expect(replacement.stats.currentRole).toBe(findPlayer(gameState, '2').stats.currentRole);
+      expect(replacement.stats.timeAsSubSeconds).toBe(50 + 60);
+
+      expect(findPlayer(result, '6').stats.currentPositionKey).toBe('substitute_1');
+    });
+
+    it('closes the field stint and takes the injured player out of the rotation', () => {
+      const result = calculatePlayerInjury(gameState, '2');
+      const injured = findPlayer(result, '2');
+
+      expect(injured.stats.timeOnFieldSeconds).toBe(60 + 60);
+      expect(injured.stats.lastStintStartTimeEpoch).toBe(61000);
+      expect(injured.stats.currentStatus).toBe(PLAYER_STATUS.SUBSTITUTE);
+      expect(injured.stats.currentRole).toBe(PLAYER_ROLES.SUBSTITUTE);
+      expect(injured.stats.currentPositionKey).toBe('substitute_2');
+      expect(injured.stats.isInactive).toBe(true);
+      expect(injured.stats.isInjured).toBe(true);
+      expect(result.rotationQueue).toEqual(['1', '3', '4', '5', '6']);
+      expect(result.nextPlayerIdToSubOut).toBe('1');
+    });
+
+    it('moves the next player to go off along when the injured player was next', () => {
+      const result = calculatePlayerInjury(gameState, '1');
+
+      expect(result.nextPlayerIdToSubOut).toBe('2');
+    });
+
+    it('does not add field time while the substitution timer is paused', () => {
+      const result = calculatePlayerInjury({ ...gameState, isSubTimerPaused: true }, '2');
+
+      expect(findPlayer(result, '2').stats.timeOnFieldSeconds).toBe(60);
+      expect(findPlayer(result, '5').stats.timeAsSubSeconds).toBe(50);
+    });
+
+    it('leaves the state unchanged when there is no active substitute', () => {
+      const withInactiveBench = {
+        ...gameState,
+        allPlayers: gameState.allPlayers.map(p => (
+          p.id === '5' || p.id === '6' ? { ...p, stats: { ...p.stats, isInactive: true } } : p
+        ))
+      };
+
+      expect(calculatePlayerInjury(withInactiveBench, '2')).toBe(withInactiveBench);
+    });
+
+    it('ignores players who are not on the field', () => {
+      expect(calculatePlayerInjury(gameState, '5')).toBe(gameState);
+      expect(calculatePlayerInjury(gameState, '7')).toBe(gameState);
+    });
+  });
+
+  describe('calculatePlayerReturnFromInjury', () => {
+    it('records injury time separately and puts the player next to go on', () => {
+      const injuredState = calculatePlayerInjury(gameState, '2');
+      getCurrentTimestamp.mockReturnValue(121000);
+
+      const result = calculatePlayerReturnFromInjury(injuredState, '2');
+      const returned = findPlayer(result, '2');
+
+      expect(returned.stats.timeInjuredSeconds).toBe(60);
+      expect(returned.stats.timeAsSubSeconds).toBe(0);
+      expect(returned.stats.isInjured).toBe(false);
+      expect(returned.stats.isInactive).toBe(false);
+      expect(returned.stats.currentPositionKey).toBe('substitute_1');
+      expect(result.formation.substitute_1).toBe('2');
+      expect(result.formation.substitute_2).toBe('6');
+      expect(result.rotationQueue).toContain('2');
+      expect(result.playersToHighlight).toEqual(['2']);
+    });
+
+    it('leaves players who are not injured untouched', () => {
+      expect(calculatePlayerReturnFromInjury(gameState, '5')).toBe(gameState);
+    });
+  });
+});
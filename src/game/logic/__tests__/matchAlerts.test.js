@@ -0,0 +1,150 @@
+import {
+  DEFAULT_MATCH_ALERT_RULES,
+  MATCH_ALERT_TYPES,
+  createMatchAlertRule,
+  createMatchAlertState,
+  normalizeMatchAlertRules,
+  stepMatchAlerts
+} from '../matchAlerts';
+import { parsePreferenceValue, serializePreferenceValue, PREFERENCE_KEYS } from '../../../types/preferences';
+
+const rule = (type, extra = {}) => createMatchAlertRule(type, { id: type, ...extra });
+
+// Run the engine once per elapsed second and collect the fired alerts by second
+const runPeriod = (rules, { seconds, periodDurationSeconds = 600, lineupAt = () => ({}), state } = {}) => {
+  let current = state || createMatchAlertState();
+  const fired = [];
+
+  for (let elapsed = 0; elapsed <= seconds; elapsed += 1) {
+    const { fieldPlayerIds = ['p1', 'p2'], goalieId = 'g1', periodNumber = 1 } = lineupAt(elapsed);
+    const result = stepMatchAlerts(rules, current, {
+      isPeriodActive: true,
+      periodNumber,
+      periodDurationSeconds,
+      remainingSeconds: periodDurationSeconds - elapsed,
+      fieldPlayerIds,
+      goalieId
+    });
+    current = result.state;
+    result.alerts.forEach(alert => fired.push({ elapsed, type: alert.rule.type, playerId: alert.playerId }));
+  }
+
+  return { fired, state: current };
+};
+
+describe('matchAlerts', () => {
+  describe('normalizeMatchAlertRules', () => {
+    it('falls back to the default rules when nothing is stored', () => {
+      expect(normalizeMatchAlertRules(undefined)).toBe(DEFAULT_MATCH_ALERT_RULES);
+      expect(normalizeMatchAlertRules('nope')).toBe(DEFAULT_MATCH_ALERT_RULES);
+      expect(normalizeMatchAlertRules([])).toEqual([]);
+    });
+
+    it('keeps every default rule off so teams without rules get no new alerts', () => {
+      expect(DEFAULT_MATCH_ALERT_RULES.every(rule => rule.enabled === false)).toBe(true);
+    });
+
+    it('drops unknown types and repairs invalid fields', () => {
+      expect(normalizeMatchAlertRules([
+        { id: 'a', type: 'unknown' },
+        { id: 'b', type: 'periodRemaining', minutes: 99, sound: 'missing', vibration: 'buzz' },
+        { id: 'b', type: 'halfway', enabled: false, sound: 'flute', vibration: 'short', minutes: 3 }
+      ])).toEqual([
+        { id: 'b', type: 'periodRemaining', enabled: true, minutes: 30, sound: 'bells-echo', vibration: 'long' },
+        { id: 'halfway-1', type: 'halfway', enabled: false, sound: 'flute', vibration: 'short' }
+      ]);
+    });
+
+    it('round-trips through the team preference value', () => {
+      const rules = [rule(MATCH_ALERT_TYPES.PLAYER_ON_FIELD, { minutes: 6, sound: 'flute' })];
+      const stored = serializePreferenceValue(rules);
+
+      expect(typeof stored).toBe('string');
+      expect(parsePreferenceValue(PREFERENCE_KEYS.MATCH_ALERT_RULES, stored)).toEqual(rules);
+      expect(parsePreferenceValue(PREFERENCE_KEYS.MATCH_ALERT_RULES, '{broken')).toBe(DEFAULT_MATCH_ALERT_RULES);
+    });
+  });
+
+  describe('stepMatchAlerts', () => {
+    it('fires period clock rules once when their time is reached', () => {
+      const rules = [
+        rule(MATCH_ALERT_TYPES.PERIOD_REMAINING, { minutes: 2 }),
+        rule(MATCH_ALERT_TYPES.HALFWAY),
+        rule(MATCH_ALERT_TYPES.PERIOD_END)
+      ];
+
+      const { fired } = runPeriod(rules, { seconds: 620 });
+
+      expect(fired).toEqual([
+        { elapsed: 300, type: 'halfway', playerId: undefined },
+        { elapsed: 480, type: 'periodRemaining', playerId: undefined },
+        { elapsed: 600, type: 'periodEnd', playerId: undefined }
+      ]);
+    });
+
+    it('skips disabled rules and warnings longer than the period', () => {
+      const rules = [
+        rule(MATCH_ALERT_TYPES.PERIOD_REMAINING, { minutes: 15 }),
+        rule(MATCH_ALERT_TYPES.PERIOD_END, { enabled: false })
+      ];
+
+      expect(runPeriod(rules, { seconds: 620 }).fired).toEqual([]);
+    });
+
+    it('does not fire for time that passed before the first reading', () => {
+      const rules = [rule(MATCH_ALERT_TYPES.HALFWAY)];
+      const snapshot = {
+        isPeriodActive: true,
+        periodNumber: 1,
+        periodDurationSeconds: 600,
+        fieldPlayerIds: [],
+        goalieId: null
+      };
+
+      const first = stepMatchAlerts(rules, createMatchAlertState(), { ...snapshot, remainingSeconds: 200 });
+      const second = stepMatchAlerts(rules, first.state, { ...snapshot, remainingSeconds: 199 });
+
+      expect(first.alerts).toEqual([]);
+      expect(second.alerts).toEqual([]);
+    });
+
+    it('restarts a player stint when they come back on', () => {
+      const rules = [rule(MATCH_ALERT_TYPES.PLAYER_ON_FIELD, { minutes: 4 })];
+      const lineupAt = (elapsed) => ({
+        // p2 is substituted off at 2:00 and back on at 3:00
+        fieldPlayerIds: elapsed >= 120 && elapsed < 180 ? ['p1', 'p3'] : ['p1', 'p2']
+      });
+
+      const { fired } = runPeriod(rules, { seconds: 500, lineupAt });
+
+      expect(fired).toEqual([
+        { elapsed: 240, type: 'playerOnField', playerId: 'p1' },
+        { elapsed: 420, type: 'playerOnField', playerId: 'p2' }
+      ]);
+    });
+
+    it('keeps counting goalie time into the next period', () => {
+      const rules = [rule(MATCH_ALERT_TYPES.GOALIE_NOT_ROTATED, { minutes: 12 })];
+
+      const firstPeriod = runPeriod(rules, { seconds: 600 });
+      const { state: breakState } = stepMatchAlerts(rules, firstPeriod.state, { isPeriodActive: false });
+      const secondPeriod = runPeriod(rules, {
+        seconds: 200,
+        state: breakState,
+        lineupAt: () => ({ periodNumber: 2 })
+      });
+
+      expect(firstPeriod.fired).toEqual([]);
+      expect(secondPeriod.fired).toEqual([{ elapsed: 120, type: 'goalieNotRotated', playerId: 'g1' }]);
+    });
+
+    it('starts goalie time over after a goalie change', () => {
+      const rules = [rule(MATCH_ALERT_TYPES.GOALIE_NOT_ROTATED, { minutes: 5 })];
+      const lineupAt = (elapsed) => ({ goalieId: elapsed < 200 ? 'g1' : 'g2' });
+
+      const { fired } = runPeriod(rules, { seconds: 520, lineupAt });
+
+      expect(fired).toEqual([{ elapsed: 500, type: 'goalieNotRotated', playerId: 'g2' }]);
+    });
+  });
+});
@@ -0,0 +1,263 @@
+import { rebuildMatchFromDatabase } from '../matchResume';
+import { SHARED_MATCH_STATE_VERSION } from '../sharedMatchState';
+import { EVENT_TYPES } from '../../../utils/gameEventLogger';
+import { PLAYER_ROLES, PLAYER_STATUS } from '../../../constants/playerConstants';
+import { createEmptyPlayerStats } from '../../../utils/playerUtils';
+
+const baseTime = Date.parse('2026-03-13T10:00:00Z');
+const MINUTE = 60 * 1000;
+
+let ordinal = 0;
+const buildEvent = (type, offsetMs, overrides = {}) => {
+  ordinal += 1;
+  return {
+    id: `${type}-${ordinal}`,
+    event_type: type,
+    created_at: new Date(baseTime + offsetMs).toISOString(),
+    occurred_at_seconds: Math.floor(offsetMs / 1000),
+    ordinal,
+    period: overrides.period ?? 1,
+    data: overrides.data || null,
+    player_id: overrides.player_id,
+    correlation_id: overrides.correlation_id,
+    is_extra_time: overrides.is_extra_time
+  };
+};
+
+const startingLineup = [
+  { position: 'goalie', playerId: 'p1', name: 'Alice' },
+  { position: 'leftDefender', playerId: 'p2', name: 'Bea' },
+  { position: 'rightDefender', playerId: 'p3', name: 'Cleo' },
+  { position: 'leftAttacker', playerId: 'p4', name: 'Dina' },
+  { position: 'rightAttacker', playerId: 'p5', name: 'Ella' },
+  { position: 'substitute_1', playerId: 'p6', name: 'Fia' },
+  { position: 'substitute_2', playerId: 'p7', name: 'Gun' }
+];
+
+const players = ['p1', 'p2', 'p3', 'p4', 'p5', 'p6', 'p7', 'p8'].map(id => ({
+  id,
+  displayName: id.toUpperCase(),
+  firstName: id.toUpperCase(),
+  lastName: null,
+  stats: { ...createEmptyPlayerStats(), timeOnFieldSeconds: 999 }
+}));
+
+const match = {
+  id: 'match-1',
+  state: 'running',
+  format: '5v5',
+  formation: '2-2',
+  periods: 2,
+  period_duration_minutes: 15,
+  opponent: 'Rivals',
+  type: 'league',
+  venue_type: 'home',
+  captain: 'p2',
+  initial_config: {
+    formation: { goalie: 'p1' },
+    teamConfig: { format: '5v5', formation: '2-2', squadSize: 7 },
+    matchConfig: {
+      format: '5v5',
+      periods: 2,
+      captainId: 'p2',
+      matchType: 'league',
+      venueType: 'home',
+      opponentTeam: 'Rivals',
+      periodDurationMinutes: 15
+    },
+    periodGoalies: { 1: 'p1', 2: 'p1' },
+    squadSelection: ['p1', 'p2', 'p3', 'p4', 'p5', 'p6', 'p7']
+  }
+};
+
+const byId = (list) => Object.fromEntries(list.map(player => [player.id, player]));
+
+describe('rebuildMatchFromDatabase', () => {
+  beforeEach(() => {
+    ordinal = 0;
+  });
+
+  it('returns null before the match has started', () => {
+    expect(rebuildMatchFromDatabase({ match, events: [], players })).toBeNull();
+    expect(rebuildMatchFromDatabase({ match: null, events: [], players })).toBeNull();
+  });
+
+  it('continues a running period with the current lineup, score and clock', () => {
+    const events = [
+      buildEvent('match_started', 0, { data: { startingLineup } }),
+      buildEvent('substitution_out', 4 * MINUTE, { player_id: 'p4', correlation_id: 'sub-1' }),
+      buildEvent('substitution_in', 4 * MINUTE, { player_id: 'p6', correlation_id: 'sub-1' }),
+      buildEvent('goal_scored', 6 * MINUTE, { player_id: 'p6', data: { ownScore: 1, opponentScore: 0 } }),
+      buildEvent('goal_conceded', 8 * MINUTE, { data: { ownScore: 1, opponentScore: 1 } })
+    ];
+
+    const state = rebuildMatchFromDatabase({ match, events, players, now: baseTime + 10 * MINUTE });
+
+    expect(state.version).toBe(SHARED_MATCH_STATE_VERSION);
+    expect(state.game).toMatchObject({
+      currentMatchId: 'match-1',
+      matchState: 'running',
+      matchCreated: true,
+      currentPeriodNumber: 1,
+      numPeriods: 2,
+      periodDurationMinutes: 15,
+      opponentTeam: 'Rivals',
+      captainId: 'p2',
+      ownScore: 1,
+      opponentScore: 1,
+      selectedSquadIds: match.initial_config.squadSelection,
+      teamConfig: { format: '5v5', formation: '2-2', squadSize: 7 }
+    });
+    expect(state.game.formation).toEqual({
+      goalie: 'p1',
+      leftDefender: 'p2',
+      rightDefender: 'p3',
+      leftAttacker: 'p6',
+      rightAttacker: 'p5',
+      substitute_1: 'p4',
+      substitute_2: 'p7'
+    });
+    expect(state.timers).toEqual({
+      isPeriodActive: true,
+      periodStartTime: baseTime,
+      lastSubstitutionTime: baseTime + 4 * MINUTE,
+      secondLastSubstitutionTime: null,
+      pauseStartTime: null,
+      totalPausedDuration: 0
+    });
+  });
+
+  it('restores player stints and time per role', () => {
+    const events = [
+      buildEvent('match_started', 0, { data: { startingLineup } }),
+      buildEvent('substitution_out', 4 * MINUTE, { player_id: 'p4', correlation_id: 'sub-1' }),
+      buildEvent('substitution_in', 4 * MINUTE, { player_id: 'p6', correlation_id: 'sub-1' }),
+      buildEvent('goal_scored', 6 * MINUTE, { player_id: 'p6', data: { ownScore: 1, opponentScore: 0 } })
+    ];
+    const now = baseTime + 10 * MINUTE;
+
+    const allPlayers = byId(rebuildMatchFromDatabase({ match, events, players, now }).game.allPlayers);
+
+    expect(allPlayers.p4.stats).toMatchObject({
+      timeOnFieldSeconds: 4 * 60,
+      timeAsAttackerSeconds: 4 * 60,
+      timeAsSubSeconds: 6 * 60,
+      currentStatus: PLAYER_STATUS.SUBSTITUTE,
+      currentPositionKey: 'substitute_1',
+      startedMatchAs: PLAYER_ROLES.FIELD_PLAYER,
+      startedAtPosition: 'leftAttacker',
+      startLocked: true,
+      lastStintStartTimeEpoch: now
+    });
+    expect(allPlayers.p6.stats).toMatchObject({
+      timeOnFieldSeconds: 6 * 60,
+      timeAsSubSeconds: 4 * 60,
+      currentStatus: PLAYER_STATUS.ON_FIELD,
+      currentRole: PLAYER_ROLES.ATTACKER,
+      startedMatchAs: PLAYER_ROLES.SUBSTITUTE,
+      goals: 1
+    });
+    expect(allPlayers.p1.stats).toMatchObject({
+      timeAsGoalieSeconds: 10 * 60,
+      timeOnFieldSeconds: 0,
+      currentStatus: PLAYER_STATUS.GOALIE,
+      startedMatchAs: PLAYER_ROLES.GOALIE
+    });
+    expect(allPlayers.p2.stats.isCaptain).toBe(true);
+    expect(allPlayers.p8.stats).toEqual(expect.objectContaining({ timeOnFieldSeconds: 0, startLocked: false }));
+  });
+
+  it('starts the rotation queue with the field players who played longest', () => {
+    const events = [
+      buildEvent('match_started', 0, { data: { startingLineup } }),
+      buildEvent('substitution_out', 4 * MINUTE, { player_id: 'p4', correlation_id: 'sub-1' }),
+      buildEvent('substitution_in', 4 * MINUTE, { player_id: 'p6', correlation_id: 'sub-1' })
+    ];
+
+    const { game } = rebuildMatchFromDatabase({ match, events, players, now: baseTime + 10 * MINUTE });
+
+    expect(game.rotationQueue.slice(0, 4)).toEqual(expect.arrayContaining(['p2', 'p3', 'p5', 'p6']));
+    expect(game.rotationQueue.slice(4)).toEqual(['p7', 'p4']);
+    expect(game.rotationQueue).not.toContain('p1');
+    expect(game.nextPlayerIdToSubOut).not.toBe('p6');
+    expect(game.formation[game.nextPlayerToSubOut]).toBe(game.nextPlayerIdToSubOut);
+  });
+
+  it('converts the match log into local events', () => {
+    const events = [
+      buildEvent('match_started', 0, { data: { startingLineup } }),
+      buildEvent('substitution_out', 4 * MINUTE, { player_id: 'p4', correlation_id: 'sub-1' }),
+      buildEvent('substitution_in', 4 * MINUTE, { player_id: 'p6', correlation_id: 'sub-1' }),
+      buildEvent('goal_scored', 6 * MINUTE, { player_id: 'p6', data: { ownScore: 1, opponentScore: 0 } })
+    ];
+
+    const state = rebuildMatchFromDatabase({ match, events, players, now: baseTime + 10 * MINUTE });
+
+    expect(state.events.map(event => event.type)).toEqual([
+      EVENT_TYPES.MATCH_START,
+      EVENT_TYPES.SUBSTITUTION,
+      EVENT_TYPES.GOAL_SCORED
+    ]);
+    expect(state.events[0].data).toMatchObject({ numPeriods: 2, periodDurationMinutes: 15 });
+    expect(state.events[1]).toMatchObject({
+      timestamp: baseTime + 4 * MINUTE,
+      matchTime: '04:00',
+      periodNumber: 1,
+      undone: false,
+      data: { playersOff: ['p4'], playersOn: ['p6'] }
+    });
+    expect(state.game.goalScorers).toEqual({ [state.events[2].id]: 'p6' });
+  });
+
+  it('resumes between periods in period setup with the period log', () => {
+    const events = [
+      buildEvent('match_started', 0, { data: { startingLineup } }),
+      buildEvent('goalie_exits', 5 * MINUTE, { player_id: 'p1', correlation_id: 'g-1' }),
+      buildEvent('goalie_enters', 5 * MINUTE, { player_id: 'p2', correlation_id: 'g-1' }),
+      buildEvent('period_ended', 15 * MINUTE)
+    ];
+
+    const state = rebuildMatchFromDatabase({ match, events, players, now: baseTime + 18 * MINUTE });
+
+    expect(state.timers).toMatchObject({ isPeriodActive: false, periodStartTime: null, lastSubstitutionTime: null });
+    expect(state.game.currentPeriodNumber).toBe(2);
+    expect(state.game.gameLog).toHaveLength(1);
+    expect(state.game.gameLog[0].periodNumber).toBe(1);
+    expect(state.game.gameLog[0].formation.goalie).toBe('p2');
+
+    const allPlayers = byId(state.game.allPlayers);
+    expect(allPlayers.p2.stats).toMatchObject({
+      periodsAsGoalie: 1,
+      timeAsGoalieSeconds: 10 * 60,
+      timeAsDefenderSeconds: 5 * 60
+    });
+    expect(allPlayers.p1.stats.periodsAsDefender).toBe(1);
+  });
+
+  it('takes extra time from the extra-time periods already started', () => {
+    const events = [
+      buildEvent('match_started', 0, { data: { startingLineup } }),
+      buildEvent('period_ended', 15 * MINUTE),
+      buildEvent('period_started', 20 * MINUTE, { period: 2, data: { startingLineup } }),
+      buildEvent('period_ended', 35 * MINUTE, { period: 2 }),
+      buildEvent('period_started', 40 * MINUTE, { period: 3, is_extra_time: true, data: { startingLineup } })
+    ];
+
+    const state = rebuildMatchFromDatabase({ match, events, players, now: baseTime + 42 * MINUTE });
+
+    expect(state.game.extraTime).toEqual({ periods: 1, periodDurationMinutes: 5 });
+    expect(state.game.currentPeriodNumber).toBe(3);
+    expect(state.timers.periodStartTime).toBe(baseTime + 40 * MINUTE);
+  });
+
+  it('returns null once the final period has ended', () => {
+    const events = [
+      buildEvent('match_started', 0, { data: { startingLineup } }),
+      buildEvent('period_ended', 15 * MINUTE),
+      buildEvent('period_started', 20 * MINUTE, { period: 2, data: { startingLineup } }),
+      buildEvent('period_ended', 35 * MINUTE, { period: 2 })
+    ];
+
+    expect(rebuildMatchFromDatabase({ match, events, players, now: baseTime + 36 * MINUTE })).toBeNull();
+  });
+});
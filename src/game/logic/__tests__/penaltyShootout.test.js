@@ -0,0 +1,146 @@
+import {
+  createShootoutState,
+  startShootout,
+  recordShootoutKick,
+  undoLastShootoutKick,
+  getNextKick,
+  getShootoutScore,
+  getShootoutWinner,
+  getShootoutRounds,
+  isShootoutEligible,
+  SHOOTOUT_KICK_RESULTS,
+  SHOOTOUT_TEAMS
+} from '../penaltyShootout';
+import { MATCH_TYPES } from '../../../constants/matchTypes';
+
+const { SCORED, SAVED, MISSED } = SHOOTOUT_KICK_RESULTS;
+
+describe('penaltyShootout', () => {
+  const kickOrder = ['p1', 'p2', 'p3'];
+
+  const startedShootout = (ownKicksFirst = true) => startShootout(
+    createShootoutState({ regulationEndEpoch: 5000 }),
+    kickOrder,
+    ownKicksFirst
+  );
+
+  const recordKicks = (shootout, results) => results.reduce(recordShootoutKick, shootout);
+
+  describe('isShootoutEligible', () => {
+    it('only applies to drawn cup and tournament matches', () => {
+      expect(isShootoutEligible(MATCH_TYPES.CUP, 2, 2)).toBe(true);
+      expect(isShootoutEligible(MATCH_TYPES.TOURNAMENT, 0, 0)).toBe(true);
+      expect(isShootoutEligible(MATCH_TYPES.CUP, 3, 2)).toBe(false);
+      expect(isShootoutEligible(MATCH_TYPES.LEAGUE, 1, 1)).toBe(false);
+      expect(isShootoutEligible(MATCH_TYPES.FRIENDLY, 1, 1)).toBe(false);
+    });
+  });
+
+  describe('startShootout', () => {
+    it('keeps the shootout in setup until a kick order is chosen', () => {
+      const shootout = createShootoutState({ regulationEndEpoch: 5000 });
+
+      expect(startShootout(shootout, [])).toBe(shootout);
+      expect(getNextKick(shootout)).toBeNull();
+    });
+  });
+
+  describe('getNextKick', () => {
+    it('alternates teams and cycles through the kick order', () => {
+      let shootout = startedShootout();
+
+      expect(getNextKick(shootout)).toEqual({ team: SHOOTOUT_TEAMS.OWN, playerId: 'p1', round: 1, isSuddenDeath: false });
+      shootout = recordShootoutKick(shootout, SCORED);
+      expect(getNextKick(shootout)).toEqual({ team: SHOOTOUT_TEAMS.OPPONENT, playerId: null, round: 1, isSuddenDeath: false });
+
+      shootout = recordKicks(shootout, [SCORED, SCORED, SCORED, SCORED]);
+      expect(getNextKick(shootout)).toEqual({ team: SHOOTOUT_TEAMS.OPPONENT, playerId: null, round: 3, isSuddenDeath: false });
+      shootout = recordShootoutKick(shootout, SCORED);
+      expect(getNextKick(shootout).playerId).toBe('p1');
+    });
+
+    it('lets the opponent start when they kick first', () => {
+      const shootout = recordShootoutKick(startedShootout(false), SAVED);
+
+      expect(shootout.kicks[0]).toEqual({ team: SHOOTOUT_TEAMS.OPPONENT, playerId: null, round: 1, result: SAVED });
+      expect(getNextKick(shootout)).toEqual({ team: SHOOTOUT_TEAMS.OWN, playerId: 'p1', round: 1, isSuddenDeath: false });
+    });
+  });
+
+  describe('getShootoutWinner', () => {
+    it('ends early once the trailing team cannot catch up', () => {
+      // Own: scored, scored, scored - Opponent: saved, missed, saved
+      const shootout = recordKicks(startedShootout(), [SCORED, SAVED, SCORED, MISSED, SCORED, SAVED]);
+
+      expect(getShootoutScore(shootout)).toEqual({ own: 3, opponent: 0 });
+      expect(getShootoutWinner(shootout)).toBe(SHOOTOUT_TEAMS.OWN);
+      expect(getNextKick(shootout)).toBeNull();
+      expect(recordShootoutKick(shootout, SCORED)).toBe(shootout);
+    });
+
+    it('waits for the second kick while the trailing team can still level', () => {
+      const shootout = recordKicks(startedShootout(), [
+        SCORED, SCORED, SCORED, SCORED, SCORED, SCORED, SCORED, SCORED, SCORED
+      ]);
+
+      expect(getShootoutScore(shootout)).toEqual({ own: 5, opponent: 4 });
+      expect(getShootoutWinner(shootout)).toBeNull();
+      expect(getNextKick(shootout).team).toBe(SHOOTOUT_TEAMS.OPPONENT);
+
+      expect(getShootoutWinner(recordShootoutKick(shootout, MISSED))).toBe(SHOOTOUT_TEAMS.OWN);
+    });
+
+    it('goes to sudden death when level after five rounds', () => {
+      let shootout = recordKicks(startedShootout(), Array(10).fill(SCORED));
+
+      expect(getShootoutWinner(shootout)).toBeNull();
+      expect(getNextKick(shootout)).toEqual({ team: SHOOTOUT_TEAMS.OWN, playerId: 'p3', round: 6, isSuddenDeath: true });
+
+      shootout = recordShootoutKick(shootout, SCORED);
+      expect(getShootoutWinner(shootout)).toBeNull();
+
+      shootout = recordShootoutKick(shootout, SCORED);
+      expect(getShootoutWinner(shootout)).toBeNull();
+
+      shootout = recordKicks(shootout, [MISSED, SCORED]);
+      expect(getShootoutScore(shootout)).toEqual({ own: 6, opponent: 7 });
+      expect(getShootoutWinner(shootout)).toBe(SHOOTOUT_TEAMS.OPPONENT);
+    });
+  });
+
+  describe('undoLastShootoutKick', () => {
+    it('removes the latest kick and reopens a decided shootout', () => {
+      const decided = recordKicks(startedShootout(), [SCORED, SAVED, SCORED, MISSED, SCORED, SAVED]);
+      const undone = undoLastShootoutKick(decided);
+
+      expect(undone.kicks).toHaveLength(5);
+      expect(getShootoutWinner(undone)).toBeNull();
+      expect(getNextKick(undone).team).toBe(SHOOTOUT_TEAMS.OPPONENT);
+    });
+
+    it('ignores shootouts without kicks', () => {
+      const shootout = startedShootout();
+
+      expect(undoLastShootoutKick(shootout)).toBe(shootout);
+    });
+  });
+
+  describe('getShootoutRounds', () => {
+    it('groups kicks into rounds', () => {
+      const shootout = recordKicks(startedShootout(false), [SCORED, SAVED, MISSED]);
+
+      expect(getShootoutRounds(shootout)).toEqual([
+        {
+          round: 1,
+          own: { team: SHOOTOUT_TEAMS.OWN, playerId: 'p1', round: 1, result: SAVED },
+          opponent: { team: SHOOTOUT_TEAMS.OPPONENT, playerId: null, round: 1, result: SCORED }
+        },
+        {
+          round: 2,
+          own: null,
+          opponent: { team: SHOOTOUT_TEAMS.OPPONENT, playerId: null, round: 2, result: MISSED }
+        }
+      ]);
+    });
+  });
+});
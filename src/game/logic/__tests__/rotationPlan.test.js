@@ -0,0 +1,337 @@
+import {
+  generateRotationPlan,
+  recomputeRotationPlan,
+  getRotationPlanStatus,
+  isRotationPlanCurrent,
+  getPlannedPeriodFormation,
+  PLAN_DRIFT_GRACE_SECONDS
+} from '../rotationPlan';
+import { calculateAlignWithPlannedSubstitution } from '../gameStateLogic';
+import { createTeamConfig, FORMATS, FORMATIONS } from '../../../constants/teamConfiguration';
+
+describe('rotationPlan', () => {
+  const teamConfig = createTeamConfig(FORMATS.FORMAT_5V5, 7, FORMATIONS.FORMATION_2_2);
+  const squadIds = ['p1', 'p2', 'p3', 'p4', 'p5', 'p6', 'p7'];
+  const fieldPositions = ['leftDefender', 'rightDefender', 'leftAttacker', 'rightAttacker'];
+
+  const createPlan = (overrides = {}) => generateRotationPlan({
+    teamConfig,
+    selectedFormation: FORMATIONS.FORMATION_2_2,
+    squadIds,
+    periodGoalieIds: { 1: 'p1', 2: 'p2', 3: 'p3' },
+    numPeriods: 3,
+    periodDurationMinutes: 12,
+    alertMinutes: 2,
+    ...overrides
+  });
+
+  describe('generateRotationPlan', () => {
+    it('creates a period plan with the configured goalie for every period', () => {
+      const plan = createPlan();
+
+      expect(plan.periods.map(period => period.period)).toEqual([1, 2, 3]);
+      expect(plan.periods.map(period => period.goalieId)).toEqual(['p1', 'p2', 'p3']);
+      plan.periods.forEach(period => {
+        expect(Object.keys(period.startingLineup)).toEqual(fieldPositions);
+        expect(Object.values(period.startingLineup)).not.toContain(period.goalieId);
+      });
+    });
+
+    it('schedules substitutions on the alert interval', () => {
+      const plan = createPlan();
+
+      plan.periods.forEach(period => {
+        period.substitutions.forEach(substitution => {
+          expect(substitution.atSeconds % 120).toBe(0);
+          expect(substitution.atSeconds).toBeGreaterThan(0);
+          expect(substitution.atSeconds).toBeLessThan(12 * 60);
+          expect(substitution.playersOff).toHaveLength(1);
+          expect(substitution.playersOn).toHaveLength(1);
+        });
+      });
+    });
+
+    it('keeps expected field time within one interval across the squad', () => {
+      const plan = createPlan();
+      const fieldTimes = Object.values(plan.expectedFieldSeconds);
+
+      // 3 periods * 12 min * 4 field players, shared by 7 players
+      expect(fieldTimes.reduce((sum, seconds) => sum + seconds, 0)).toBe(3 * 12 * 60 * 4);
+      expect(Math.max(...fieldTimes) - Math.min(...fieldTimes)).toBeLessThanOrEqual(120);
+    });
+
+    it('equalises field time exactly when the schedule allows it', () => {
+      const plan = generateRotationPlan({
+        teamConfig: createTeamConfig(FORMATS.FORMAT_5V5, 6, FORMATIONS.FORMATION_2_2),
+        squadIds: ['p1', 'p2', 'p3', 'p4', 'p5', 'p6'],
+        periodGoalieIds: { 1: 'p1', 2: 'p1' },
+        numPeriods: 2,
+        periodDurationMinutes: 10,
+        alertMinutes: 2
+      });
+
+      const outfieldTimes = ['p2', 'p3', 'p4', 'p5', 'p6'].map(id => plan.expectedFieldSeconds[id]);
+      expect(new Set(outfieldTimes).size).toBe(1);
+      expect(plan.expectedFieldSeconds.p1).toBe(0);
+    });
+
+    it('swaps several players at once when the substitution count allows it', () => {
+      const plan = createPlan({ substitutionCount: 2 });
+
+      expect(plan.periods[0].substitutions[0].playersOff).toHaveLength(2);
+      expect(plan.periods[0].substitutions[0].positions).toHaveLength(2);
+    });
+
+    it('plans no substitutions when alerts are disabled', () => {
+      const plan = createPlan({ alertMinutes: 0 });
+
+      plan.periods.forEach(period => {
+        expect(period.substitutions).toEqual([]);
+      });
+    });
+
+    it('returns null without a squad or a valid formation', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(createPlan({ squadIds: [] })).toBeNull();
+      expect(createPlan({ selectedFormation: 'not-a-formation' })).toBeNull();
+
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('getRotationPlanStatus', () => {
+    const buildFormation = (goalieId, lineup) => ({ goalie: goalieId, ...lineup });
+
+    it('returns the first planned substitution at kickoff', () => {
+      const plan = createPlan();
+      const period = plan.periods[0];
+
+      const status = getRotationPlanStatus(plan, {
+        period: 1,
+        elapsedSeconds: 0,
+        formation: buildFormation(period.goalieId, period.startingLineup),
+        fieldPositions
+      });
+
+      expect(status).toEqual({ hasDrift: false, nextSubstitution: period.substitutions[0] });
+    });
+
+    it('moves on to the following substitution once a planned one is made', () => {
+      const plan = createPlan();
+      const period = plan.periods[0];
+      const [first, second] = period.substitutions;
+
+      const lineup = { ...period.startingLineup };
+      first.positions.forEach((position, index) => {
+        lineup[position] = first.playersOn[index];
+      });
+
+      const status = getRotationPlanStatus(plan, {
+        period: 1,
+        elapsedSeconds: first.atSeconds + 5,
+        formation: buildFormation(period.goalieId, lineup),
+        fieldPositions
+      });
+
+      expect(status.hasDrift).toBe(false);
+      expect(status.nextSubstitution).toBe(second);
+    });
+
+    it('allows a late substitution within the grace period', () => {
+      const plan = createPlan();
+      const period = plan.periods[0];
+
+      const status = getRotationPlanStatus(plan, {
+        period: 1,
+        elapsedSeconds: period.substitutions[0].atSeconds + PLAN_DRIFT_GRACE_SECONDS,
+        formation: buildFormation(period.goalieId, period.startingLineup),
+        fieldPositions
+      });
+
+      expect(status.hasDrift).toBe(false);
+    });
+
+    it('flags drift when a substitution is overdue', () => {
+      const plan = createPlan();
+      const period = plan.periods[0];
+
+      const status = getRotationPlanStatus(plan, {
+        period: 1,
+        elapsedSeconds: period.substitutions[0].atSeconds + PLAN_DRIFT_GRACE_SECONDS + 1,
+        formation: buildFormation(period.goalieId, period.startingLineup),
+        fieldPositions
+      });
+
+      expect(status).toEqual({ hasDrift: true, nextSubstitution: null });
+    });
+
+    it('flags drift when the lineup or goalie differs from the plan', () => {
+      const plan = createPlan();
+      const period = plan.periods[0];
+      const benchPlayer = squadIds.find(id => id !== period.goalieId && !Object.values(period.startingLineup).includes(id));
+
+      expect(getRotationPlanStatus(plan, {
+        period: 1,
+        elapsedSeconds: 10,
+        formation: buildFormation(period.goalieId, { ...period.startingLineup, leftDefender: benchPlayer }),
+        fieldPositions
+      }).hasDrift).toBe(true);
+
+      expect(getRotationPlanStatus(plan, {
+        period: 1,
+        elapsedSeconds: 10,
+        formation: buildFormation(benchPlayer, period.startingLineup),
+        fieldPositions
+      }).hasDrift).toBe(true);
+    });
+
+    it('returns null for periods the plan does not cover', () => {
+      expect(getRotationPlanStatus(createPlan(), { period: 4, formation: {}, fieldPositions })).toBeNull();
+      expect(getRotationPlanStatus(null, { period: 1, formation: {}, fieldPositions })).toBeNull();
+    });
+  });
+
+  describe('recomputeRotationPlan', () => {
+    it('keeps earlier periods and replans from the actual lineup', () => {
+      const plan = createPlan();
+      const actualLineup = { leftDefender: 'p4', rightDefender: 'p5', leftAttacker: 'p6', rightAttacker: 'p7' };
+      const fieldSecondsByPlayerId = { p1: 700, p2: 500, p3: 400, p4: 600, p5: 300, p6: 300, p7: 200 };
+
+      const recomputed = recomputeRotationPlan(plan, {
+        period: 2,
+        elapsedSeconds: 300,
+        secondsSinceLastSubstitution: 60,
+        formation: { goalie: 'p2', ...actualLineup },
+        fieldSecondsByPlayerId
+      });
+
+      expect(recomputed.periods[0]).toBe(plan.periods[0]);
+      expect(recomputed.periods[1].startingLineup).toEqual(actualLineup);
+      expect(recomputed.periods[1].startsAtSeconds).toBe(300);
+      expect(recomputed.periods[1].substitutions[0].atSeconds).toBe(360);
+      expect(recomputed.periods[1].substitutions[0].playersOff).toEqual(['p4']);
+      expect(recomputed.periods[1].substitutions[0].playersOn).toEqual(['p3']);
+
+      const status = getRotationPlanStatus(recomputed, {
+        period: 2,
+        elapsedSeconds: 310,
+        formation: { goalie: 'p2', ...actualLineup },
+        fieldPositions
+      });
+      expect(status.hasDrift).toBe(false);
+      expect(status.nextSubstitution).toBe(recomputed.periods[1].substitutions[0]);
+    });
+
+    it('returns the plan unchanged without settings', () => {
+      expect(recomputeRotationPlan(null, { period: 1 })).toBeNull();
+    });
+  });
+
+  describe('isRotationPlanCurrent', () => {
+    const settings = {
+      teamConfig,
+      selectedFormation: FORMATIONS.FORMATION_2_2,
+      squadIds,
+      periodGoalieIds: { 1: 'p1', 2: 'p2', 3: 'p3' },
+      numPeriods: 3,
+      periodDurationMinutes: 12,
+      alertMinutes: 2
+    };
+
+    it('matches the settings the plan was generated from', () => {
+      expect(isRotationPlanCurrent(createPlan(), settings)).toBe(true);
+      expect(isRotationPlanCurrent(createPlan(), { ...settings, squadIds: [...squadIds].reverse() })).toBe(true);
+    });
+
+    it('detects changed squad, goalies or timing', () => {
+      const plan = createPlan();
+
+      expect(isRotationPlanCurrent(plan, { ...settings, squadIds: squadIds.slice(1) })).toBe(false);
+      expect(isRotationPlanCurrent(plan, { ...settings, periodGoalieIds: { 1: 'p1', 2: 'p3', 3: 'p3' } })).toBe(false);
+      expect(isRotationPlanCurrent(plan, { ...settings, alertMinutes: 3 })).toBe(false);
+      expect(isRotationPlanCurrent(plan, { ...settings, selectedFormation: FORMATIONS.FORMATION_1_2_1 })).toBe(false);
+      expect(isRotationPlanCurrent(null, settings)).toBe(false);
+    });
+  });
+
+  describe('getPlannedPeriodFormation', () => {
+    it('builds the period formation with the first players on at the top of the bench', () => {
+      const plan = createPlan();
+      const period = plan.periods[0];
+
+      const formation = getPlannedPeriodFormation(plan, 1, ['substitute_1', 'substitute_2']);
+
+      expect(formation).toEqual(expect.objectContaining({ goalie: 'p1', ...period.startingLineup }));
+      expect(formation.substitute_1).toBe(period.substitutions[0].playersOn[0]);
+      expect(new Set(Object.values(formation)).size).toBe(7);
+      expect(getPlannedPeriodFormation(plan, 5, [])).toBeNull();
+    });
+  });
+
+  describe('calculateAlignWithPlannedSubstitution', () => {
+    const createPlayer = (id, status, isInactive = false) => ({
+      id,
+      stats: { currentStatus: status, currentPositionKey: null, isInactive }
+    });
+
+    const gameState = {
+      teamConfig,
+      selectedFormation: FORMATIONS.FORMATION_2_2,
+      formation: {
+        goalie: 'p1',
+        leftDefender: 'p2',
+        rightDefender: 'p3',
+        leftAttacker: 'p4',
+        rightAttacker: 'p5',
+        substitute_1: 'p6',
+        substitute_2: 'p7'
+      },
+      allPlayers: [
+        createPlayer('p1', 'goalie'),
+        ...['p2', 'p3', 'p4', 'p5'].map(id => createPlayer(id, 'on_field')),
+        createPlayer('p6', 'substitute'),
+        createPlayer('p7', 'substitute')
+      ],
+      rotationQueue: ['p2', 'p3', 'p4', 'p5'],
+      nextPlayerToSubOut: 'leftDefender'
+    };
+
+    it('moves the planned players to the front of the queue and the bench', () => {
+      const result = calculateAlignWithPlannedSubstitution(gameState, {
+        atSeconds: 120,
+        playersOff: ['p4'],
+        playersOn: ['p7'],
+        positions: ['leftAttacker']
+      });
+
+      expect(result.rotationQueue).toEqual(['p4', 'p2', 'p3', 'p5']);
+      expect(result.nextPlayerIdToSubOut).toBe('p4');
+      expect(result.nextPlayerToSubOut).toBe('leftAttacker');
+      expect(result.formation.substitute_1).toBe('p7');
+      expect(result.formation.substitute_2).toBe('p6');
+      expect(result.allPlayers.find(player => player.id === 'p7').stats.currentPositionKey).toBe('substitute_1');
+    });
+
+    it('leaves inactive substitutes in place', () => {
+      const state = {
+        ...gameState,
+        allPlayers: gameState.allPlayers.map(player => (player.id === 'p7' ? createPlayer('p7', 'substitute', true) : player))
+      };
+
+      const result = calculateAlignWithPlannedSubstitution(state, {
+        atSeconds: 120,
+        playersOff: ['p4'],
+        playersOn: ['p7'],
+        positions: ['leftAttacker']
+      });
+
+      expect(result.formation.substitute_1).toBe('p6');
+      expect(result.formation.substitute_2).toBe('p7');
+    });
+
+    it('returns the state unchanged without a planned substitution', () => {
+      expect(calculateAlignWithPlannedSubstitution(gameState, null)).toBe(gameState);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+import {
+  isSameRoleLogic,
+  getPlayerRoleGroup,
+  orderSubstitutesByRoleGroup,
+  syncSubstitutePositionKeys
+} from '../sameRoleRotation';
+import { PLAYER_ROLES } from '../../../constants/playerConstants';
+
+describe('sameRoleRotation', () => {
+  const createPlayer = (id, overrides = {}) => ({
+    id,
+    stats: {
+      currentStatus: 'substitute',
+      currentRole: PLAYER_ROLES.SUBSTITUTE,
+      currentPositionKey: null,
+      timeOnFieldSeconds: 0,
+      timeAsDefenderSeconds: 0,
+      timeAsMidfielderSeconds: 0,
+      timeAsAttackerSeconds: 0,
+      isInactive: false,
+      ...overrides
+    }
+  });
+
+  describe('isSameRoleLogic', () => {
+    it('only matches the same_role preference value', () => {
+      expect(isSameRoleLogic('same_role')).toBe(true);
+      expect(isSameRoleLogic('equal_time')).toBe(false);
+      expect(isSameRoleLogic(undefined)).toBe(false);
+    });
+  });
+
+  describe('getPlayerRoleGroup', () => {
+    it('uses the current role for field players', () => {
+      const player = createPlayer('p1', { currentStatus: 'on_field', currentRole: PLAYER_ROLES.ATTACKER });
+      expect(getPlayerRoleGroup(player)).toBe(PLAYER_ROLES.ATTACKER);
+    });
+
+    it('uses the last field role for substitutes', () => {
+      const player = createPlayer('p1', {
+        lastFieldRole: PLAYER_ROLES.DEFENDER,
+        timeAsAttackerSeconds: 600
+      });
+      expect(getPlayerRoleGroup(player)).toBe(PLAYER_ROLES.DEFENDER);
+    });
+
+    it('falls back to the role with the most time', () => {
+      const player = createPlayer('p1', { timeAsMidfielderSeconds: 120, timeAsAttackerSeconds: 60 });
+      expect(getPlayerRoleGroup(player)).toBe(PLAYER_ROLES.MIDFIELDER);
+    });
+
+    it('returns null for players without outfield history', () => {
+      expect(getPlayerRoleGroup(createPlayer('p1'))).toBeNull();
+      expect(getPlayerRoleGroup(null)).toBeNull();
+    });
+  });
+
+  describe('orderSubstitutesByRoleGroup', () => {
+    const fieldPositions = ['leftDefender', 'rightDefender', 'leftAttacker', 'rightAttacker'];
+    const substitutePositions = ['substitute_1', 'substitute_2', 'substitute_3'];
+
+    const formation = {
+      goalie: 'g1',
+      leftDefender: 'd1',
+      rightDefender: 'd2',
+      leftAttacker: 'a1',
+      rightAttacker: 'a2',
+      substitute_1: 'sd',
+      substitute_2: 'sa',
+      substitute_3: 'sx'
+    };
+
+    const allPlayers = [
+      createPlayer('sd', { lastFieldRole: PLAYER_ROLES.DEFENDER, timeOnFieldSeconds: 120 }),
+      createPlayer('sa', { lastFieldRole: PLAYER_ROLES.ATTACKER, timeOnFieldSeconds: 120 }),
+      createPlayer('sx')
+    ];
+
+    it('puts a substitute from the outgoing role group first', () => {
+      const result = orderSubstitutesByRoleGroup({
+        formation,
+        allPlayers,
+        rotationQueue: ['a1', 'd1', 'a2', 'd2'],
+        fieldPositions,
+        substitutePositions
+      });
+
+      expect(result.substitute_1).toBe('sa');
+      expect(result.substitute_2).toBe('sd');
+      expect(result.substitute_3).toBe('sx');
+      expect(result.leftDefender).toBe('d1');
+    });
+
+    it('prefers the group member with the least field time', () => {
+      const players = [
+        createPlayer('sd', { lastFieldRole: PLAYER_ROLES.DEFENDER, timeOnFieldSeconds: 300 }),
+        createPlayer('sa', { lastFieldRole: PLAYER_ROLES.DEFENDER, timeOnFieldSeconds: 100 }),
+        createPlayer('sx')
+      ];
+
+      const result = orderSubstitutesByRoleGroup({
+        formation,
+        allPlayers: players,
+        rotationQueue: ['d1', 'd2', 'a1', 'a2'],
+        fieldPositions,
+        substitutePositions
+      });
+
+      expect(result.substitute_1).toBe('sa');
+      expect(result.substitute_2).toBe('sd');
+      expect(result.substitute_3).toBe('sx');
+    });
+
+    it('leaves inactive substitutes in place', () => {
+      const players = [
+        ...allPlayers.slice(0, 2),
+        createPlayer('sx', { isInactive: true, lastFieldRole: PLAYER_ROLES.ATTACKER })
+      ];
+
+      const result = orderSubstitutesByRoleGroup({
+        formation: { ...formation, substitute_1: 'sd', substitute_2: 'sa', substitute_3: 'sx' },
+        allPlayers: players,
+        rotationQueue: ['a1', 'd1'],
+        fieldPositions,
+        substitutePositions
+      });
+
+      expect(result.substitute_1).toBe('sa');
+      expect(result.substitute_2).toBe('sd');
+      expect(result.substitute_3).toBe('sx');
+    });
+
+    it('returns the formation unchanged with fewer than two substitutes', () => {
+      const result = orderSubstitutesByRoleGroup({
+        formation,
+        allPlayers,
+        rotationQueue: ['a1'],
+        fieldPositions,
+        substitutePositions: ['substitute_1']
+      });
+
+      expect(result).toBe(formation);
+    });
+  });
+
+  describe('syncSubstitutePositionKeys', () => {
+    it('updates position keys for moved substitutes only', () => {
+      const players = [
+        createPlayer('sd', { currentPositionKey: 'substitute_1' }),
+        createPlayer('sa', { currentPositionKey: 'substitute_2' }),
+        createPlayer('d1', { currentPositionKey: 'leftDefender', currentStatus: 'on_field' })
+      ];
+
+      const result = syncSubstitutePositionKeys(
+        players,
+        { leftDefender: 'd1', substitute_1: 'sa', substitute_2: 'sd' },
+        ['substitute_1', 'substitute_2']
+      );
+
+      expect(result.find(p => p.id === 'sa').stats.currentPositionKey).toBe('substitute_1');
+      expect(result.find(p => p.id === 'sd').stats.currentPositionKey).toBe('substitute_2');
+      expect(result.find(p => p.id === 'd1')).toBe(players[2]);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+import {
+  buildSharedMatchState,
+  CO_COACH_CONFLICT_REASON,
+  getSharedStateSignature,
+  isSharedMatchStateUsable,
+  mergeSharedMatchState,
+  SHARED_MATCH_STATE_VERSION
+} from '../sharedMatchState';
+import { EVENT_TYPES } from '../../../utils/gameEventLogger';
+
+const NOW = 1773396000000;
+
+const event = (id, type, timestamp, extra = {}) => ({ id, type, timestamp, sequence: timestamp, data: {}, undone: false, ...extra });
+
+const snapshot = ({ game = {}, events = [], timers = {}, deviceId = 'device-a' } = {}) => ({
+  version: SHARED_MATCH_STATE_VERSION,
+  deviceId,
+  game: { ownScore: 0, opponentScore: 0, goalScorers: {}, ...game },
+  events,
+  timers
+});
+
+describe('sharedMatchState', () => {
+  const matchStart = event('e1', EVENT_TYPES.MATCH_START, 1000);
+  const periodStart = event('e2', EVENT_TYPES.PERIOD_START, 1000);
+  const baseEvents = [matchStart, periodStart];
+
+  describe('buildSharedMatchState', () => {
+    it('keeps only the shared game and timer fields', () => {
+      const state = buildSharedMatchState({
+        game: { ownScore: 2, alertMinutes: 2, currentMatchId: 'match-1' },
+        events: baseEvents,
+        timers: { periodStartTime: 1000, matchTimerSeconds: 600 },
+        deviceId: 'device-a'
+      });
+
+      expect(state).toEqual({
+        version: SHARED_MATCH_STATE_VERSION,
+        deviceId: 'device-a',
+        game: { ownScore: 2, currentMatchId: 'match-1' },
+        events: baseEvents,
+        timers: { periodStartTime: 1000 }
+      });
+    });
+  });
+
+  describe('getSharedStateSignature', () => {
+    it('ignores the publishing device', () => {
+      const local = snapshot({ events: baseEvents, deviceId: 'device-a' });
+      const remote = snapshot({ events: baseEvents, deviceId: 'device-b' });
+
+      expect(getSharedStateSignature(local)).toBe(getSharedStateSignature(remote));
+    });
+
+    it('changes when an event is undone', () => {
+      const before = snapshot({ events: baseEvents });
+      const after = snapshot({ events: [matchStart, { ...periodStart, undone: true }] });
+
+      expect(getSharedStateSignature(before)).not.toBe(getSharedStateSignature(after));
+    });
+  });
+
+  describe('isSharedMatchStateUsable', () => {
+    it('accepts snapshots of the current version only', () => {
+      expect(isSharedMatchStateUsable(snapshot())).toBe(true);
+      expect(isSharedMatchStateUsable({ ...snapshot(), version: 0 })).toBe(false);
+      expect(isSharedMatchStateUsable({ ...snapshot(), events: null })).toBe(false);
+      expect(isSharedMatchStateUsable(null)).toBe(false);
+    });
+  });
+
+  describe('mergeSharedMatchState', () => {
+    const publishedEventIds = baseEvents.map(e => e.id);
+
+    it('takes the newer state when there are no local changes', () => {
+      const remoteGoal = event('e3', EVENT_TYPES.GOAL_SCORED, 2000);
+      const remote = snapshot({ game: { ownScore: 1 }, events: [...baseEvents, remoteGoal], deviceId: 'device-b' });
+      const local = snapshot({ events: baseEvents });
+
+      const { state, conflicts, hasLocalChanges } = mergeSharedMatchState(remote, local, { publishedEventIds, now: NOW });
+
+      expect(hasLocalChanges).toBe(false);
+      expect(conflicts).toEqual([]);
+      expect(state.game.ownScore).toBe(1);
+      expect(state.events.map(e => e.id)).toEqual(['e1', 'e2', 'e3']);
+      expect(state.deviceId).toBe('device-a');
+    });
+
+    it('adds unpublished goals from both devices to the score', () => {
+      const remoteGoal = event('e3', EVENT_TYPES.GOAL_SCORED, 2000);
+      const localGoal = event('e4', EVENT_TYPES.GOAL_SCORED, 2500, { data: { scorerId: 'p1' } });
+      const remote = snapshot({ game: { ownScore: 1 }, events: [...baseEvents, remoteGoal] });
+      const local = snapshot({
+        game: { ownScore: 1, goalScorers: { e4: 'p1' } },
+        events: [...baseEvents, localGoal]
+      });
+
+      const { state, conflicts, hasLocalChanges } = mergeSharedMatchState(remote, local, { publishedEventIds, now: NOW });
+
+      expect(hasLocalChanges).toBe(true);
+      expect(conflicts).toEqual([]);
+      expect(state.game.ownScore).toBe(2);
+      expect(state.game.goalScorers).toEqual({ e4: 'p1' });
+      expect(state.events.map(e => e.id)).toEqual(['e1', 'e2', 'e3', 'e4']);
+    });
+
+    it('keeps goals undone on this device undone', () => {
+      const goal = event('e3', EVENT_TYPES.GOAL_CONCEDED, 2000);
+      const remote = snapshot({ game: { opponentScore: 1 }, events: [...baseEvents, goal] });
+      const local = snapshot({ events: [...baseEvents, { ...goal, undone: true, undoTimestamp: 2100 }] });
+
+      const { state, hasLocalChanges } = mergeSharedMatchState(remote, local, {
+        publishedEventIds: [...publishedEventIds, 'e3'],
+        now: NOW
+      });
+
+      expect(hasLocalChanges).toBe(true);
+      expect(state.game.opponentScore).toBe(0);
+      expect(state.events.find(e => e.id === 'e3')).toMatchObject({ undone: true, undoTimestamp: 2100 });
+    });
+
+    it('undoes unpublished substitutions that clash with the newer lineup', () => {
+      const remoteSub = event('e3', EVENT_TYPES.SUBSTITUTION, 2000);
+      const localSub = event('e4', EVENT_TYPES.SUBSTITUTION, 2500);
+      const remote = snapshot({ game: { formation: { goalie: 'p1' } }, events: [...baseEvents, remoteSub] });
+      const local = snapshot({ game: { formation: { goalie: 'p2' } }, events: [...baseEvents, localSub] });
+
+      const { state, conflicts } = mergeSharedMatchState(remote, local, { publishedEventIds, now: NOW });
+
+      expect(conflicts.map(e => e.id)).toEqual(['e4']);
+      expect(state.game.formation).toEqual({ goalie: 'p1' });
+      expect(state.events.find(e => e.id === 'e4')).toMatchObject({
+        undone: true,
+        undoTimestamp: NOW,
+        undoReason: CO_COACH_CONFLICT_REASON
+      });
+    });
+
+    it('keeps the clock holder state when it ended the period', () => {
+      const remoteSub = event('e3', EVENT_TYPES.SUBSTITUTION, 2000);
+      const remoteGoal = event('e4', EVENT_TYPES.GOAL_SCORED, 2100);
+      const periodEnd = event('e5', EVENT_TYPES.PERIOD_END, 3000);
+      const remote = snapshot({ game: { ownScore: 1, currentPeriodNumber: 1 }, events: [...baseEvents, remoteSub, remoteGoal] });
+      const local = snapshot({ game: { currentPeriodNumber: 2 }, events: [...baseEvents, periodEnd] });
+
+      const { state, conflicts, hasLocalChanges } = mergeSharedMatchState(remote, local, {
+        publishedEventIds,
+        isClockHolder: true,
+        now: NOW
+      });
+
+      expect(hasLocalChanges).toBe(true);
+      expect(conflicts.map(e => e.id)).toEqual(['e3']);
+      expect(state.game.currentPeriodNumber).toBe(2);
+      expect(state.game.ownScore).toBe(1);
+      expect(state.events.map(e => e.id)).toEqual(['e1', 'e2', 'e3', 'e4', 'e5']);
+    });
+
+    it('keeps the clock holder pause unless the other device substituted since', () => {
+      const localGoal = event('e3', EVENT_TYPES.GOAL_SCORED, 2000);
+      const local = snapshot({
+        events: [...baseEvents, localGoal],
+        timers: { periodStartTime: 1000, lastSubstitutionTime: 1500, pauseStartTime: 2200, totalPausedDuration: 0 }
+      });
+      const remote = snapshot({
+        events: baseEvents,
+        timers: { periodStartTime: 1000, lastSubstitutionTime: 1500, pauseStartTime: null, totalPausedDuration: 0 }
+      });
+
+      const kept = mergeSharedMatchState(remote, local, { publishedEventIds, isClockHolder: true, now: NOW });
+      expect(kept.state.timers.pauseStartTime).toBe(2200);
+
+      const substitutedRemote = { ...remote, timers: { ...remote.timers, lastSubstitutionTime: 2100 } };
+      const replaced = mergeSharedMatchState(substitutedRemote, local, { publishedEventIds, isClockHolder: true, now: NOW });
+      expect(replaced.state.timers.pauseStartTime).toBeNull();
+      expect(replaced.state.timers.lastSubstitutionTime).toBe(2100);
+    });
+  });
+});
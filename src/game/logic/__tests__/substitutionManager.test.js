@@ -151,6 +151,68 @@ describe('SubstitutionManager', () => {
     });
   });
 
+  describe('Same-role substitution logic', () => {
+    const teamConfig = {
+      format: FORMATS.FORMAT_5V5,
+      squadSize: 8,
+      formation: FORMATIONS.FORMATION_2_2
+    };
+
+    const createSameRoleSetup = () => {
+      const formation = {
+        goalie: 'g1',
+        leftDefender: 'f1',
+        rightDefender: 'f2',
+        leftAttacker: 'f3',
+        rightAttacker: 'f4',
+        substitute_1: 's2',
+        substitute_2: 's1',
+        substitute_3: 's3'
+      };
+      const allPlayers = createFiveVFivePlayers().filter(p => p.id !== 's4');
+      allPlayers.find(p => p.id === 's1').stats.lastFieldRole = PLAYER_ROLES.ATTACKER;
+      allPlayers.find(p => p.id === 's2').stats.lastFieldRole = PLAYER_ROLES.DEFENDER;
+      const rotationQueue = ['f1', 'f3', 'f2', 'f4', 's2', 's1', 's3'];
+
+      return {
+        formation,
+        nextPlayerIdToSubOut: 'f1',
+        allPlayers,
+        rotationQueue,
+        currentTimeEpoch: mockCurrentTime,
+        isSubTimerPaused: false,
+        substitutionCount: 1
+      };
+    };
+
+    it('orders the bench so the next substitutes match the next outgoing roles', () => {
+      const manager = createSubstitutionManager(teamConfig, null, 'same_role');
+      const result = manager.handleIndividualModeSubstitution(createSameRoleSetup());
+
+      expect(result.newFormation.leftDefender).toBe('s2');
+      // Next off: f3 (attacker) then f2 (defender) then f4 (attacker)
+      expect(result.newFormation.substitute_1).toBe('s1');
+      expect(result.newFormation.substitute_2).toBe('f1');
+      expect(result.newFormation.substitute_3).toBe('s3');
+
+      const updatedF1 = result.updatedPlayers.find(p => p.id === 'f1');
+      expect(updatedF1.stats.currentPositionKey).toBe('substitute_2');
+      expect(updatedF1.stats.lastFieldRole).toBe(PLAYER_ROLES.DEFENDER);
+
+      const updatedS3 = result.updatedPlayers.find(p => p.id === 's3');
+      expect(updatedS3.stats.currentPositionKey).toBe('substitute_3');
+    });
+
+    it('keeps the carousel order with equal-time logic', () => {
+      const manager = createSubstitutionManager(teamConfig);
+      const result = manager.handleIndividualModeSubstitution(createSameRoleSetup());
+
+      expect(result.newFormation.substitute_1).toBe('s1');
+      expect(result.newFormation.substitute_2).toBe('s3');
+      expect(result.newFormation.substitute_3).toBe('f1');
+    });
+  });
+
   describe('Factory Function', () => {
     it('should create substitution manager with team config', () => {
       const teamConfig = {
@@ -162,6 +224,7 @@ describe('SubstitutionManager', () => {
       const manager = createSubstitutionManager(teamConfig);
       expect(manager).toBeInstanceOf(SubstitutionManager);
       expect(manager.teamConfig).toBe(teamConfig);
+      expect(manager.substitutionLogic).toBe('equal_time');
     });
   });
 });
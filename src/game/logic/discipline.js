@@ -0,0 +1,101 @@
+/**
+ * Disciplinary cards
+ *
+ * Cards are recorded on the player (stats.cards) as well as in the match event log.
+ * A yellow card is only a record. A sin-bin suspends a field player for a fixed time:
+ * the player keeps their formation slot but is off the pitch, so the team plays
+ * short-handed and the slot is left out of the rotation until the suspension has been
+ * served. A red card sends the player off for the rest of the match.
+ */
+
+export const CARD_TYPES = {
+  YELLOW: 'yellow',
+  RED: 'red',
+  SIN_BIN: 'sin_bin'
+};
+
+export const SIN_BIN_DURATION_SECONDS = 5 * 60;
+
+/**
+ * Create a card record for a player's stats
+ * @param {string} type - One of CARD_TYPES
+ * @param {Object} details
+ * @param {number} details.periodNumber - Period the card was given in
+ * @param {string} details.matchTime - Match time (mm:ss) the card was given at
+ * @returns {Object}
+ */
+export const createCardRecord = (type, { periodNumber = 1, matchTime = null } = {}) => ({
+  type,
+  periodNumber,
+  matchTime
+});
+
+/**
+ * Add a card record to a player's stats
+ * @param {Array} allPlayers - All players
+ * @param {string} playerId - Player receiving the card
+ * @param {Object} card - Card record from createCardRecord
+ * @returns {Array} Updated players
+ */
+export const addPlayerCard = (allPlayers, playerId, card) => allPlayers.map(player => {
+  if (player.id !== playerId) {
+    return player;
+  }
+  const cards = Array.isArray(player.stats?.cards) ? player.stats.cards : [];
+  return { ...player, stats: { ...player.stats, cards: [...cards, card] } };
+});
+
+/**
+ * Count a player's cards by type
+ * @param {Object} player - Player object
+ * @returns {{ yellowCards: number, redCards: number, sinBins: number }}
+ */
+export const getPlayerCardCounts = (player) => {
+  const cards = Array.isArray(player?.stats?.cards) ? player.stats.cards : [];
+  const countOfType = (type) => cards.filter(card => card?.type === type).length;
+
+  return {
+    yellowCards: countOfType(CARD_TYPES.YELLOW),
+    redCards: Math.min(1, countOfType(CARD_TYPES.RED)),
+    sinBins: countOfType(CARD_TYPES.SIN_BIN)
+  };
+};
+
+export const isPlayerSinBinned = (player) => Boolean(player?.stats?.sinBin);
+
+/**
+ * Seconds left of a player's sin-bin suspension
+ * Served time is the sin-bin time accumulated since the suspension started plus the
+ * running stint, so the suspension stands still while the timer is paused.
+ * @param {Object} player - Player object
+ * @param {number} currentTimeEpoch - Current time in milliseconds since epoch
+ * @param {boolean} isSubTimerPaused - Whether the substitution timer is paused
+ * @returns {number} Remaining seconds, 0 when the player is not sin-binned
+ */
+export const getSinBinSecondsRemaining = (player, currentTimeEpoch, isSubTimerPaused = false) => {
+  const sinBin = player?.stats?.sinBin;
+  if (!sinBin) {
+    return 0;
+  }
+
+  const { timeSinBinnedSeconds = 0, lastStintStartTimeEpoch = 0 } = player.stats;
+  const runningSeconds = !isSubTimerPaused && lastStintStartTimeEpoch > 0
+    ? Math.max(0, Math.floor((currentTimeEpoch - lastStintStartTimeEpoch) / 1000))
+    : 0;
+  const servedSeconds = timeSinBinnedSeconds - (sinBin.startedAtSeconds || 0) + runningSeconds;
+
+  return Math.max(0, SIN_BIN_DURATION_SECONDS - servedSeconds);
+};
+
+/**
+ * Players whose sin-bin suspension has been served
+ * @param {Array} players - Players to check
+ * @param {number} currentTimeEpoch - Current time in milliseconds since epoch
+ * @param {boolean} isSubTimerPaused - Whether the substitution timer is paused
+ * @returns {Array<string>} Player IDs
+ */
+export const getExpiredSinBinPlayerIds = (players = [], currentTimeEpoch, isSubTimerPaused = false) => (
+  players
+    .filter(player => isPlayerSinBinned(player) && getSinBinSecondsRemaining(player, currentTimeEpoch, isSubTimerPaused) === 0)
+    .map(player => player.id)
+);
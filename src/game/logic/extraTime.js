@@ -0,0 +1,106 @@
+/**
+ * Extra time
+ *
+ * Cup and tournament matches that are level after the final regular period can be
+ * extended by one or two extra-time periods of their own length. Extra-time periods
+ * continue the period numbering of the match (a three period match continues with
+ * period 4), so every period-based flow keeps working, while the regular period
+ * count and duration stay untouched.
+ */
+
+import { SHOOTOUT_MATCH_TYPES } from './penaltyShootout';
+
+/**
+ * Number of extra-time periods that can be played
+ */
+export const EXTRA_TIME_PERIOD_OPTIONS = [1, 2];
+
+export const MIN_EXTRA_TIME_MINUTES = 1;
+export const MAX_EXTRA_TIME_MINUTES = 30;
+
+/**
+ * Suggested extra-time period length: a third of a regular period, at least 3 minutes
+ * @param {number} periodDurationMinutes - Regular period length
+ * @returns {number}
+ */
+export const getDefaultExtraTimeMinutes = (periodDurationMinutes) => (
+  Math.max(3, Math.round((periodDurationMinutes || 0) / 3))
+);
+
+/**
+ * Normalize an extra-time configuration
+ * @param {Object} config
+ * @param {number} config.periods - Number of extra-time periods
+ * @param {number} config.periodDurationMinutes - Length of each extra-time period
+ * @returns {Object|null} Valid configuration or null
+ */
+export const createExtraTimeConfig = ({ periods, periodDurationMinutes } = {}) => {
+  const periodCount = Number(periods);
+  const minutes = Number(periodDurationMinutes);
+
+  if (!EXTRA_TIME_PERIOD_OPTIONS.includes(periodCount)) {
+    return null;
+  }
+  if (!Number.isInteger(minutes) || minutes < MIN_EXTRA_TIME_MINUTES || minutes > MAX_EXTRA_TIME_MINUTES) {
+    return null;
+  }
+
+  return { periods: periodCount, periodDurationMinutes: minutes };
+};
+
+/**
+ * Total number of periods including extra time
+ * @param {number} numPeriods - Regular periods
+ * @param {Object|null} extraTime - Extra-time configuration
+ * @returns {number}
+ */
+export const getTotalPeriods = (numPeriods, extraTime) => (
+  (numPeriods || 0) + (extraTime?.periods || 0)
+);
+
+/**
+ * Extra-time period number (1 or 2) for a match period, or null for regular periods
+ * @param {number} periodNumber - Match period number
+ * @param {number} numPeriods - Regular periods
+ * @param {Object|null} extraTime - Extra-time configuration
+ * @returns {number|null}
+ */
+export const getExtraTimePeriodNumber = (periodNumber, numPeriods, extraTime) => {
+  if (!extraTime || !periodNumber || periodNumber <= numPeriods) {
+    return null;
+  }
+  const extraTimePeriodNumber = periodNumber - numPeriods;
+  return extraTimePeriodNumber <= extraTime.periods ? extraTimePeriodNumber : null;
+};
+
+/**
+ * Planned length of a match period
+ * @param {number} periodNumber - Match period number
+ * @param {number} numPeriods - Regular periods
+ * @param {number} periodDurationMinutes - Regular period length
+ * @param {Object|null} extraTime - Extra-time configuration
+ * @returns {number}
+ */
+export const getPeriodDurationMinutes = (periodNumber, numPeriods, periodDurationMinutes, extraTime) => (
+  getExtraTimePeriodNumber(periodNumber, numPeriods, extraTime)
+    ? extraTime.periodDurationMinutes
+    : periodDurationMinutes
+);
+
+/**
+ * Whether the coach can choose extra time when the current period ends
+ * @param {Object} params
+ * @param {string} params.matchType - Match type from MATCH_TYPES
+ * @param {number} params.ownScore - Own team goals
+ * @param {number} params.opponentScore - Opponent goals
+ * @param {number} params.currentPeriodNumber - Period that is ending
+ * @param {number} params.numPeriods - Regular periods
+ * @param {Object|null} params.extraTime - Extra-time configuration, set once extra time was chosen
+ * @returns {boolean}
+ */
+export const canStartExtraTime = ({ matchType, ownScore, opponentScore, currentPeriodNumber, numPeriods, extraTime }) => (
+  !extraTime &&
+  SHOOTOUT_MATCH_TYPES.includes(matchType) &&
+  currentPeriodNumber >= numPeriods &&
+  (ownScore || 0) === (opponentScore || 0)
+);
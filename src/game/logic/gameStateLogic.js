@@ -11,12 +11,13 @@ import { PLAYER_ROLES, PLAYER_STATUS } from '../../constants/playerConstants';
 import { normalizeRole } from '../../constants/roleConstants';
 import { POSITION_KEYS } from '../../constants/positionConstants';
 import { handleRoleChange } from './substitutionManager';
-import { updatePlayerTimeStats } from '../time/stintManager';
+import { updatePlayerTimeStats, resetPlayerStintTimer } from '../time/stintManager';
 import { createRotationQueue } from '../queue/rotationQueue';
 import { createPlayerLookupFunction } from '../../utils/playerUtils';
 import { getPositionRole } from './positionUtils';
 import { getValidPositions, supportsInactiveUsers, hasMultipleSubstitutes, getBottomSubstitutePosition } from '../../constants/gameModes';
 import { getFormationDefinition } from '../../utils/formationConfigUtils';
+import { isSameRoleLogic, orderSubstitutesByRoleGroup, syncSubstitutePositionKeys } from './sameRoleRotation';
 import { handleError, ERROR_CATEGORIES } from '../../utils/errorHandler';
 
 /**
@@ -32,6 +33,36 @@ const getDefinitionForGameLogic = (teamConfig, selectedFormation = null) => {
   return getFormationDefinition(teamConfig, selectedFormation);
 };
 
+/**
+ * Reorder the bench after a rotation queue change when the team uses same-role substitutions,
+ * so the next substitutes in line match the roles of the next players to go off
+ */
+const alignBenchWithRotationQueue = (gameState, newRotationQueue) => {
+  const { substitutionLogic, teamConfig, selectedFormation, formation, allPlayers } = gameState;
+
+  if (!isSameRoleLogic(substitutionLogic)) {
+    return { formation, allPlayers };
+  }
+
+  const definition = getDefinitionForGameLogic(teamConfig, selectedFormation);
+  if (!definition) {
+    return { formation, allPlayers };
+  }
+
+  const newFormation = orderSubstitutesByRoleGroup({
+    formation,
+    allPlayers,
+    rotationQueue: newRotationQueue,
+    fieldPositions: definition.fieldPositions,
+    substitutePositions: definition.substitutePositions
+  });
+
+  return {
+    formation: newFormation,
+    allPlayers: syncSubstitutePositionKeys(allPlayers, newFormation, definition.substitutePositions)
+  };
+};
+
 /**
  * Calculate the result of a substitution without modifying any state
  */
@@ -43,13 +74,14 @@ export const calculateSubstitution = (gameState) => {
     rotationQueue,
     teamConfig,
     selectedFormation,
+    substitutionLogic,
     isSubTimerPaused = false,
     substitutionCount = 1
   } = gameState;
 
 
   const currentTimeEpoch = getCurrentTimestamp();
-  const substitutionManager = createSubstitutionManager(teamConfig, selectedFormation);
+  const substitutionManager = createSubstitutionManager(teamConfig, selectedFormation, substitutionLogic);
 
 
   const context = {
@@ -447,7 +479,7 @@ export const calculatePlayerToggleInactive = (gameState, playerId) => {
   }
 
   const player = findPlayerById(allPlayers, playerId);
-  if (!player) {
+  if (!player || player.stats.isSentOff) {
     return gameState;
   }
 
@@ -590,6 +622,310 @@ export const calculatePlayerToggleInactive = (gameState, playerId) => {
   };
 };
 
+/**
+ * Replace a field player with the next substitute in line and take them out of the rotation
+ * The replacement comes on immediately, the outgoing player's field stint is closed and they
+ * are moved to the bottom of the bench with the given stats flags
+ */
+const calculateEmergencyReplacement = (gameState, playerId, sidelinedStats) => {
+  const { allPlayers, formation, rotationQueue = [], nextPlayerIdToSubOut, teamConfig, selectedFormation, isSubTimerPaused = false } = gameState;
+
+  if (!supportsInactiveUsers(teamConfig)) {
+    return gameState;
+  }
+
+  const player = findPlayerById(allPlayers, playerId);
+  const definition = getDefinitionForGameLogic(teamConfig, selectedFormation);
+  if (!player || !definition) {
+    return gameState;
+  }
+
+  const fieldPosition = player.stats.currentPositionKey;
+  if (!definition.fieldPositions.includes(fieldPosition) || formation[fieldPosition] !== playerId) {
+    return gameState;
+  }
+
+  const activeSubstituteIds = definition.substitutePositions
+    .map(position => formation[position])
+    .filter(id => id && !findPlayerById(allPlayers, id)?.stats.isInactive);
+
+  // Emergency replacement is the substitute highest up in the rotation queue
+  const replacementId = rotationQueue.find(id => activeSubstituteIds.includes(id)) || activeSubstituteIds[0];
+  if (!replacementId) {
+    return gameState;
+  }
+
+  const queueManager = createRotationQueue(rotationQueue, createPlayerLookupFunction(allPlayers));
+  queueManager.initialize();
+  queueManager.deactivatePlayer(playerId);
+  const newRotationQueue = queueManager.toArray();
+
+  // Close the gap left by the replacement and put the injured player at the bottom of the bench
+  const benchOrder = definition.substitutePositions
+    .map(position => formation[position])
+    .filter(id => id && id !== replacementId);
+  benchOrder.push(playerId);
+
+  const newFormation = { ...formation, [fieldPosition]: replacementId };
+  definition.substitutePositions.forEach((position, index) => {
+    newFormation[position] = benchOrder[index] || null;
+  });
+
+  const currentTimeEpoch = getCurrentTimestamp();
+  const closeStint = (p) => isSubTimerPaused
+    ? resetPlayerStintTimer(p, currentTimeEpoch).stats
+    : updatePlayerTimeStats(p, currentTimeEpoch, false);
+
+  const newAllPlayers = allPlayers.map(p => {
+    if (p.id === playerId) {
+      return {
+        ...p,
+        stats: {
+          ...closeStint(p),
+          currentStatus: PLAYER_STATUS.SUBSTITUTE,
+          currentRole: PLAYER_ROLES.SUBSTITUTE,
+          currentPositionKey: definition.substitutePositions[benchOrder.length - 1],
+          lastFieldRole: p.stats.currentRole,
+          isInactive: true,
+          sinBin: null,
+          ...sidelinedStats
+        }
+      };
+    }
+    if (p.id === replacementId) {
+      return {
+        ...p,
+        stats: {
+          ...closeStint(p),
+          currentStatus: PLAYER_STATUS.ON_FIELD,
+          currentRole: getPositionRole(fieldPosition) || p.stats.currentRole,
+          currentPositionKey: fieldPosition
+        }
+      };
+    }
+    const benchIndex = benchOrder.indexOf(p.id);
+    if (benchIndex !== -1 && p.stats.currentPositionKey !== definition.substitutePositions[benchIndex]) {
+      return { ...p, stats: { ...p.stats, currentPositionKey: definition.substitutePositions[benchIndex] } };
+    }
+    return p;
+  });
+
+  const newNextPlayerIdToSubOut = nextPlayerIdToSubOut === playerId
+    ? queueManager.getNextActivePlayer(1)
+    : nextPlayerIdToSubOut;
+
+  const sidelinedState = {
+    ...gameState,
+    formation: newFormation,
+    allPlayers: newAllPlayers
+  };
+
+  return {
+    ...sidelinedState,
+    ...alignBenchWithRotationQueue(sidelinedState, newRotationQueue),
+    rotationQueue: newRotationQueue,
+    nextPlayerIdToSubOut: newNextPlayerIdToSubOut,
+    playersToHighlight: [replacementId]
+  };
+};
+
+/**
+ * Calculate the result of a field player getting injured
+ * The next active substitute from the rotation queue comes on immediately and the injured
+ * player sits out, inactive, until they return to the match
+ */
+export const calculatePlayerInjury = (gameState, playerId) => (
+  calculateEmergencyReplacement(gameState, playerId, { isInjured: true })
+);
+
+/**
+ * Calculate the result of a field player being sent off with a red card
+ * Nobody replaces the player: their slot is left empty and the team plays short-handed for
+ * the rest of the match. Their stint is closed and they leave the formation and the rotation
+ * queue for good, which also works when there is no bench to bring anyone on from.
+ */
+export const calculatePlayerSentOff = (gameState, playerId) => {
+  const { allPlayers, formation, rotationQueue = [], nextPlayerIdToSubOut, teamConfig, selectedFormation, isSubTimerPaused = false } = gameState;
+
+  const player = findPlayerById(allPlayers, playerId);
+  const definition = getDefinitionForGameLogic(teamConfig, selectedFormation);
+  if (!player || !definition || player.stats.isSentOff) {
+    return gameState;
+  }
+
+  const fieldPosition = player.stats.currentPositionKey;
+  if (!definition.fieldPositions.includes(fieldPosition) || formation[fieldPosition] !== playerId) {
+    return gameState;
+  }
+
+  const newRotationQueue = rotationQueue.filter(id => id !== playerId);
+
+  const currentTimeEpoch = getCurrentTimestamp();
+  const newAllPlayers = allPlayers.map(p => {
+    if (p.id !== playerId) {
+      return p;
+    }
+    const closedStats = isSubTimerPaused
+      ? resetPlayerStintTimer(p, currentTimeEpoch).stats
+      : updatePlayerTimeStats(p, currentTimeEpoch, false);
+    return {
+      ...p,
+      stats: {
+        ...closedStats,
+        currentStatus: PLAYER_STATUS.SUBSTITUTE,
+        currentRole: PLAYER_ROLES.SUBSTITUTE,
+        currentPositionKey: null,
+        lastFieldRole: p.stats.currentRole,
+        isInactive: true,
+        isInjured: false,
+        isSentOff: true,
+        sinBin: null
+      }
+    };
+  });
+
+  return {
+    ...gameState,
+    formation: { ...formation, [fieldPosition]: null },
+    allPlayers: newAllPlayers,
+    rotationQueue: newRotationQueue,
+    nextPlayerIdToSubOut: nextPlayerIdToSubOut === playerId ? (newRotationQueue[0] || null) : nextPlayerIdToSubOut,
+    playersToHighlight: []
+  };
+};
+
+/**
+ * Calculate the result of a field player being sent to the sin-bin
+ * The player keeps their formation slot so nobody replaces them and the team plays
+ * short-handed. They leave the rotation queue until the suspension ends, which freezes
+ * the slot; their queue position is kept so they pick up the rotation where they left it.
+ */
+export const calculatePlayerSinBin = (gameState, playerId) => {
+  const { allPlayers, formation, rotationQueue = [], nextPlayerIdToSubOut, teamConfig, selectedFormation, isSubTimerPaused = false } = gameState;
+
+  if (!supportsInactiveUsers(teamConfig)) {
+    return gameState;
+  }
+
+  const player = findPlayerById(allPlayers, playerId);
+  const definition = getDefinitionForGameLogic(teamConfig, selectedFormation);
+  if (!player || !definition || player.stats.sinBin || player.stats.isSentOff) {
+    return gameState;
+  }
+
+  const fieldPosition = player.stats.currentPositionKey;
+  if (!definition.fieldPositions.includes(fieldPosition) || formation[fieldPosition] !== playerId) {
+    return gameState;
+  }
+
+  const queueIndex = rotationQueue.indexOf(playerId);
+  const newRotationQueue = rotationQueue.filter(id => id !== playerId);
+
+  const currentTimeEpoch = getCurrentTimestamp();
+  const newAllPlayers = allPlayers.map(p => {
+    if (p.id !== playerId) {
+      return p;
+    }
+    const closedStats = isSubTimerPaused
+      ? resetPlayerStintTimer(p, currentTimeEpoch).stats
+      : updatePlayerTimeStats(p, currentTimeEpoch, false);
+    return {
+      ...p,
+      stats: {
+        ...closedStats,
+        sinBin: {
+          startedAtSeconds: closedStats.timeSinBinnedSeconds || 0,
+          queueIndex: queueIndex === -1 ? 0 : queueIndex
+        }
+      }
+    };
+  });
+
+  return {
+    ...gameState,
+    allPlayers: newAllPlayers,
+    rotationQueue: newRotationQueue,
+    nextPlayerIdToSubOut: nextPlayerIdToSubOut === playerId ? (newRotationQueue[0] || null) : nextPlayerIdToSubOut,
+    playersToHighlight: []
+  };
+};
+
+/**
+ * Calculate the result of a sin-bin suspension ending
+ * The sin-bin stint is closed and the player rejoins the rotation queue at the position
+ * they had when they were suspended
+ */
+export const calculatePlayerSinBinEnd = (gameState, playerId) => {
+  const { allPlayers, formation, rotationQueue = [], nextPlayerIdToSubOut, teamConfig, selectedFormation, isSubTimerPaused = false } = gameState;
+
+  const player = findPlayerById(allPlayers, playerId);
+  if (!player || !player.stats.sinBin) {
+    return gameState;
+  }
+
+  const definition = getDefinitionForGameLogic(teamConfig, selectedFormation);
+  const fieldPositions = definition?.fieldPositions || [];
+  const fieldPlayersInQueue = rotationQueue.filter(id => fieldPositions.some(position => formation[position] === id)).length;
+  const insertAt = Math.min(player.stats.sinBin.queueIndex || 0, fieldPlayersInQueue);
+
+  const newRotationQueue = rotationQueue.filter(id => id !== playerId);
+  newRotationQueue.splice(insertAt, 0, playerId);
+
+  const currentTimeEpoch = getCurrentTimestamp();
+  const newAllPlayers = allPlayers.map(p => {
+    if (p.id !== playerId) {
+      return p;
+    }
+    const closedStats = isSubTimerPaused
+      ? resetPlayerStintTimer(p, currentTimeEpoch).stats
+      : updatePlayerTimeStats(p, currentTimeEpoch, false);
+    return { ...p, stats: { ...closedStats, sinBin: null } };
+  });
+
+  return {
+    ...gameState,
+    allPlayers: newAllPlayers,
+    rotationQueue: newRotationQueue,
+    nextPlayerIdToSubOut: newRotationQueue[0] || nextPlayerIdToSubOut,
+    playersToHighlight: [playerId]
+  };
+};
+
+/**
+ * Calculate the result of an injured player returning to the match
+ * The injury stint is closed and the player is reactivated as next to go on, so they can
+ * catch up on the field time they missed
+ */
+export const calculatePlayerReturnFromInjury = (gameState, playerId) => {
+  const { allPlayers, isSubTimerPaused = false } = gameState;
+
+  const player = findPlayerById(allPlayers, playerId);
+  if (!player || !player.stats.isInjured || !player.stats.isInactive) {
+    return gameState;
+  }
+
+  const currentTimeEpoch = getCurrentTimestamp();
+  const recoveredPlayers = allPlayers.map(p => {
+    if (p.id !== playerId) {
+      return p;
+    }
+    const closedStats = isSubTimerPaused
+      ? resetPlayerStintTimer(p, currentTimeEpoch).stats
+      : updatePlayerTimeStats(p, currentTimeEpoch, false);
+    return { ...p, stats: { ...closedStats, isInjured: false } };
+  });
+
+  const returnedState = calculatePlayerToggleInactive({ ...gameState, allPlayers: recoveredPlayers }, playerId);
+  if (returnedState.allPlayers === recoveredPlayers) {
+    return gameState;
+  }
+
+  return {
+    ...returnedState,
+    playersToHighlight: [playerId]
+  };
+};
+
 /**
  * Calculate the result of reordering substitutes when setting a player as next to go in
  * The target player moves to substitute_1, all players ahead of them move down one position
@@ -726,6 +1062,7 @@ export const calculateRemovePlayerFromNextToGoOff = (gameState, playerId, substi
 
   return {
     ...gameState,
+    ...alignBenchWithRotationQueue(gameState, newQueue),
     rotationQueue: newQueue,
     playersToHighlight: [playerId]
   };
@@ -753,10 +1090,59 @@ export const calculateSetPlayerAsNextToGoOff = (gameState, playerId, substitutio
   queueManager.initialize();
   queueManager.removePlayer(playerId);
   queueManager.addPlayer(playerId, 0);
+  const newQueue = queueManager.toArray();
 
   return {
     ...gameState,
-    rotationQueue: queueManager.toArray(),
+    ...alignBenchWithRotationQueue(gameState, newQueue),
+    rotationQueue: newQueue,
     playersToHighlight: [playerId]
   };
 };
+
+/**
+ * Calculate the result of lining up the next planned substitution from a rotation plan
+ * The planned players going off move to the front of the rotation queue and the planned
+ * players coming on move to the top of the bench. Inactive substitutes keep their positions.
+ */
+export const calculateAlignWithPlannedSubstitution = (gameState, plannedSubstitution) => {
+  const { rotationQueue, formation, allPlayers, teamConfig, selectedFormation } = gameState;
+
+  if (!plannedSubstitution || !rotationQueue || rotationQueue.length === 0) {
+    return gameState;
+  }
+
+  const definition = getDefinitionForGameLogic(teamConfig, selectedFormation);
+  if (!definition) {
+    return gameState;
+  }
+
+  const playersOff = plannedSubstitution.playersOff.filter(id => rotationQueue.includes(id));
+  const newQueue = [...playersOff, ...rotationQueue.filter(id => !playersOff.includes(id))];
+
+  const activeSubstitutePositions = definition.substitutePositions.filter(position => {
+    const player = findPlayerById(allPlayers, formation[position]);
+    return player && !player.stats?.isInactive;
+  });
+  const benchIds = activeSubstitutePositions.map(position => formation[position]);
+  const playersOn = plannedSubstitution.playersOn.filter(id => benchIds.includes(id));
+  const orderedBench = [...playersOn, ...benchIds.filter(id => !playersOn.includes(id))];
+
+  const newFormation = { ...formation };
+  activeSubstitutePositions.forEach((position, index) => {
+    newFormation[position] = orderedBench[index];
+  });
+
+  const nextPlayerIdToSubOut = newQueue[0] || null;
+  const nextPlayerToSubOut = definition.fieldPositions.find(position => newFormation[position] === nextPlayerIdToSubOut)
+    || gameState.nextPlayerToSubOut;
+
+  return {
+    ...gameState,
+    formation: newFormation,
+    allPlayers: syncSubstitutePositionKeys(allPlayers, newFormation, definition.substitutePositions),
+    rotationQueue: newQueue,
+    nextPlayerIdToSubOut,
+    nextPlayerToSubOut
+  };
+};
@@ -1,4 +1,8 @@
 // Game logic barrel exports
 export * from './gameStateLogic';
 export * from './substitutionManager';
-export * from './positionUtils';
\ No newline at end of file
+export * from './positionUtils';
+export * from './sameRoleRotation';
+export * from './rotationPlan';
+export * from './penaltyShootout';
+export * from './extraTime';export * from './discipline';
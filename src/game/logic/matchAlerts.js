@@ -0,0 +1,233 @@
+/**
+ * Match alerts
+ *
+ * Rule-based alerts that run next to the substitution timer alert and the match
+ * clock warnings. A team keeps a list of rules (a team preference); every second
+ * the game clock and lineup are fed to stepMatchAlerts, which tracks how long
+ * players have been on and returns the rules that fired. Rules fire when their
+ * threshold is crossed between two steps, so a restored match or a rule edited
+ * mid-period does not fire for time that has already passed.
+ */
+
+import { AUDIO_ALERT_OPTIONS, VIBRATION_PATTERNS, DEFAULT_VIBRATION_PATTERN } from '../../constants/audioAlerts';
+
+/**
+ * Rule types. Types with `minutes` take a threshold between minMinutes and maxMinutes.
+ */
+export const MATCH_ALERT_TYPES = {
+  PERIOD_REMAINING: 'periodRemaining',
+  HALFWAY: 'halfway',
+  PLAYER_ON_FIELD: 'playerOnField',
+  GOALIE_NOT_ROTATED: 'goalieNotRotated',
+  PERIOD_END: 'periodEnd'
+};
+
+export const MATCH_ALERT_TYPE_CONFIG = {
+  [MATCH_ALERT_TYPES.PERIOD_REMAINING]: { defaultMinutes: 2, minMinutes: 1, maxMinutes: 30 },
+  [MATCH_ALERT_TYPES.HALFWAY]: {},
+  [MATCH_ALERT_TYPES.PLAYER_ON_FIELD]: { defaultMinutes: 8, minMinutes: 1, maxMinutes: 60 },
+  [MATCH_ALERT_TYPES.GOALIE_NOT_ROTATED]: { defaultMinutes: 20, minMinutes: 1, maxMinutes: 90 },
+  [MATCH_ALERT_TYPES.PERIOD_END]: {}
+};
+
+export const MAX_MATCH_ALERT_RULES = 10;
+
+const DEFAULT_SOUND = AUDIO_ALERT_OPTIONS.find(option => option.isDefault)?.value || 'bells-echo';
+
+/**
+ * Whether a rule type takes a minutes threshold
+ * @param {string} type
+ * @returns {boolean}
+ */
+export const hasMinutesThreshold = (type) => (
+  typeof MATCH_ALERT_TYPE_CONFIG[type]?.defaultMinutes === 'number'
+);
+
+let ruleCounter = 0;
+
+/**
+ * Create a rule of a type with its default threshold, sound and vibration
+ * @param {string} type - One of MATCH_ALERT_TYPES
+ * @param {Object} [overrides]
+ * @returns {Object} { id, type, enabled, minutes?, sound, vibration }
+ */
+export const createMatchAlertRule = (type, overrides = {}) => {
+  ruleCounter += 1;
+  const rule = {
+    id: `${type}-${Date.now().toString(36)}-${ruleCounter}`,
+    type,
+    enabled: true,
+    sound: DEFAULT_SOUND,
+    vibration: DEFAULT_VIBRATION_PATTERN
+  };
+
+  if (hasMinutesThreshold(type)) {
+    rule.minutes = MATCH_ALERT_TYPE_CONFIG[type].defaultMinutes;
+  }
+
+  return { ...rule, ...overrides };
+};
+
+/**
+ * Rules for teams that have not configured any: every rule type available but
+ * off, so nothing changes until a coach turns a rule on
+ */
+export const DEFAULT_MATCH_ALERT_RULES = [
+  { id: 'default-period-remaining', type: MATCH_ALERT_TYPES.PERIOD_REMAINING, enabled: false, minutes: 2, sound: 'quick-chime', vibration: 'double' },
+  { id: 'default-halfway', type: MATCH_ALERT_TYPES.HALFWAY, enabled: false, sound: 'positive-note', vibration: 'short' },
+  { id: 'default-player-on-field', type: MATCH_ALERT_TYPES.PLAYER_ON_FIELD, enabled: false, minutes: 8, sound: 'magic-ring', vibration: 'double' },
+  { id: 'default-goalie-not-rotated', type: MATCH_ALERT_TYPES.GOALIE_NOT_ROTATED, enabled: false, minutes: 20, sound: 'flute', vibration: 'short' },
+  { id: 'default-period-end', type: MATCH_ALERT_TYPES.PERIOD_END, enabled: false, sound: 'announcement-tones', vibration: 'long' }
+];
+
+const clampMinutes = (type, minutes) => {
+  const { defaultMinutes, minMinutes, maxMinutes } = MATCH_ALERT_TYPE_CONFIG[type];
+  const value = Math.round(Number(minutes));
+  if (!Number.isFinite(value)) return defaultMinutes;
+  return Math.max(minMinutes, Math.min(maxMinutes, value));
+};
+
+/**
+ * Validate stored rules. Unknown types are dropped; bad thresholds, sounds and
+ * vibration patterns fall back to defaults.
+ * @param {Array|*} rules - Value of the matchAlertRules team preference
+ * @returns {Array} Valid rules, or the default rules when none are stored
+ */
+export const normalizeMatchAlertRules = (rules) => {
+  if (!Array.isArray(rules)) {
+    return DEFAULT_MATCH_ALERT_RULES;
+  }
+
+  const seenIds = new Set();
+  return rules
+    .filter(rule => rule && MATCH_ALERT_TYPE_CONFIG[rule.type])
+    .slice(0, MAX_MATCH_ALERT_RULES)
+    .map((rule, index) => {
+      const id = typeof rule.id === 'string' && rule.id && !seenIds.has(rule.id)
+        ? rule.id
+        : `${rule.type}-${index}`;
+      seenIds.add(id);
+
+      const normalized = {
+        id,
+        type: rule.type,
+        enabled: rule.enabled !== false,
+        sound: AUDIO_ALERT_OPTIONS.some(option => option.value === rule.sound) ? rule.sound : DEFAULT_SOUND,
+        vibration: VIBRATION_PATTERNS[rule.vibration] ? rule.vibration : DEFAULT_VIBRATION_PATTERN
+      };
+
+      if (hasMinutesThreshold(rule.type)) {
+        normalized.minutes = clampMinutes(rule.type, rule.minutes);
+      }
+
+      return normalized;
+    });
+};
+
+/**
+ * Empty tracking state for stepMatchAlerts
+ * @returns {Object}
+ */
+export const createMatchAlertState = () => ({
+  periodNumber: null,
+  elapsedSeconds: null,
+  fieldSeconds: {},
+  goalie: null
+});
+
+const crossed = (previous, current, threshold) => (
+  previous !== null && previous < threshold && current >= threshold
+);
+
+/**
+ * Advance the tracking state by one clock reading and collect the rules that fired
+ * @param {Array} rules - Normalized rules
+ * @param {Object} state - Previous state from createMatchAlertState or an earlier step
+ * @param {Object} snapshot
+ * @param {boolean} snapshot.isPeriodActive - Whether the period clock is running
+ * @param {number} snapshot.periodNumber - Current period
+ * @param {number} snapshot.periodDurationSeconds - Length of the period
+ * @param {number} snapshot.remainingSeconds - Period clock, negative after time is up
+ * @param {Array<string>} snapshot.fieldPlayerIds - Outfield players on the pitch
+ * @param {string|null} snapshot.goalieId - Player in goal
+ * @returns {{state: Object, alerts: Array<{rule: Object, playerId?: string, minutes?: number}>}}
+ */
+export const stepMatchAlerts = (rules, state, snapshot) => {
+  if (!snapshot?.isPeriodActive) {
+    // Stints end with the period; the goalie keeps counting into the next period
+    return {
+      state: { ...createMatchAlertState(), goalie: state?.goalie || null },
+      alerts: []
+    };
+  }
+
+  const previous = state || createMatchAlertState();
+  const elapsedSeconds = snapshot.periodDurationSeconds - snapshot.remainingSeconds;
+  const samePeriod = previous.periodNumber === snapshot.periodNumber && previous.elapsedSeconds !== null;
+  const previousElapsed = samePeriod ? previous.elapsedSeconds : null;
+  const delta = samePeriod ? Math.max(0, elapsedSeconds - previous.elapsedSeconds) : 0;
+
+  // Players who were on at the previous reading keep counting, new arrivals start at zero
+  const fieldSeconds = {};
+  (snapshot.fieldPlayerIds || []).filter(Boolean).forEach(playerId => {
+    fieldSeconds[playerId] = samePeriod && previous.fieldSeconds[playerId] !== undefined
+      ? previous.fieldSeconds[playerId] + delta
+      : 0;
+  });
+
+  const goalie = snapshot.goalieId
+    ? {
+      id: snapshot.goalieId,
+      seconds: previous.goalie?.id === snapshot.goalieId ? previous.goalie.seconds + delta : 0
+    }
+    : null;
+
+  const alerts = [];
+  (rules || []).filter(rule => rule.enabled).forEach(rule => {
+    const thresholdSeconds = (rule.minutes || 0) * 60;
+
+    switch (rule.type) {
+      case MATCH_ALERT_TYPES.PERIOD_REMAINING:
+        if (thresholdSeconds < snapshot.periodDurationSeconds
+          && crossed(previousElapsed, elapsedSeconds, snapshot.periodDurationSeconds - thresholdSeconds)) {
+          alerts.push({ rule, minutes: rule.minutes });
+        }
+        break;
+      case MATCH_ALERT_TYPES.HALFWAY:
+        if (crossed(previousElapsed, elapsedSeconds, snapshot.periodDurationSeconds / 2)) {
+          alerts.push({ rule });
+        }
+        break;
+      case MATCH_ALERT_TYPES.PERIOD_END:
+        if (crossed(previousElapsed, elapsedSeconds, snapshot.periodDurationSeconds)) {
+          alerts.push({ rule });
+        }
+        break;
+      case MATCH_ALERT_TYPES.PLAYER_ON_FIELD:
+        Object.entries(fieldSeconds).forEach(([playerId, seconds]) => {
+          const previousSeconds = samePeriod ? previous.fieldSeconds[playerId] : undefined;
+          if (previousSeconds !== undefined && crossed(previousSeconds, seconds, thresholdSeconds)) {
+            alerts.push({ rule, playerId, minutes: rule.minutes });
+          }
+        });
+        break;
+      case MATCH_ALERT_TYPES.GOALIE_NOT_ROTATED:
+        if (goalie && previous.goalie?.id === goalie.id && crossed(previous.goalie.seconds, goalie.seconds, thresholdSeconds)) {
+          alerts.push({ rule, playerId: goalie.id, minutes: rule.minutes });
+        }
+        break;
+      default:
+        break;
+    }
+  });
+
+  return {
+    state: {
+      periodNumber: snapshot.periodNumber,
+      elapsedSeconds,
+      fieldSeconds,
+      goalie
+    },
+    alerts
+  };
+};
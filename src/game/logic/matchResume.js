@@ -0,0 +1,400 @@
+/**
+ * Match resume
+ *
+ * Rebuilds a running match from what the database knows about it - the match
+ * row, its initial_config and the match_log_event rows - so a coach can
+ * continue the match on another device when the original one is gone (dead
+ * phone, cleared browser storage). The result has the same shape as a shared
+ * match state (see sharedMatchState), so it is applied the same way.
+ *
+ * The match log is replayed for the lineup and each player's time per role;
+ * the rotation queue is started over from the playing time so far, like at the
+ * start of a period. A paused clock, running sin-bins and the extra-time
+ * choice are not stored until the match ends, so the clock is resumed as
+ * running and extra time is taken from the extra-time periods already started.
+ */
+
+import { PLAYER_ROLES, PLAYER_STATUS } from '../../constants/playerConstants';
+import { createTeamConfig } from '../../constants/teamConfiguration';
+import {
+  getInitialFormationTemplate,
+  getModeDefinition,
+  initializePlayerRoleAndStatus
+} from '../../constants/gameModes';
+import { EVENT_TYPES } from '../../utils/gameEventLogger';
+import { formatTime } from '../../utils/formatUtils';
+import { resetPlayersForNewMatch } from '../../utils/playerUtils';
+import { deriveLiveLineup, getPeriodClock } from '../../utils/liveMatchState';
+import {
+  buildPlayerNameMap,
+  consolidateMatchEvents,
+  mapDatabaseEventToUIType,
+  parseEventTime,
+  sortEventsByOrdinal
+} from '../../utils/matchEventConsolidation';
+import { createExtraTimeConfig, getDefaultExtraTimeMinutes, getTotalPeriods } from './extraTime';
+import { SHARED_MATCH_STATE_VERSION } from './sharedMatchState';
+
+const PERIOD_START_TYPES = ['match_started', 'period_started'];
+
+// Player stat fields that collect the seconds played in each role
+const ROLE_TIME_FIELDS = {
+  [PLAYER_ROLES.GOALIE]: 'timeAsGoalieSeconds',
+  [PLAYER_ROLES.DEFENDER]: 'timeAsDefenderSeconds',
+  [PLAYER_ROLES.ATTACKER]: 'timeAsAttackerSeconds',
+  [PLAYER_ROLES.MIDFIELDER]: 'timeAsMidfielderSeconds',
+  [PLAYER_ROLES.SUBSTITUTE]: 'timeAsSubSeconds'
+};
+
+// Completed periods are counted by the role held at the end of the period
+const PERIOD_ROLE_FIELDS = {
+  [PLAYER_ROLES.GOALIE]: 'periodsAsGoalie',
+  [PLAYER_ROLES.DEFENDER]: 'periodsAsDefender',
+  [PLAYER_ROLES.ATTACKER]: 'periodsAsAttacker'
+};
+
+const getMatchSettings = (match, matchStarted) => {
+  const initialConfig = match.initial_config || {};
+  const matchConfig = initialConfig.matchConfig || {};
+  const savedTeamConfig = initialConfig.teamConfig || {};
+  const startData = matchStarted?.data || {};
+
+  return {
+    squadIds: Array.isArray(initialConfig.squadSelection) ? initialConfig.squadSelection : [],
+    format: savedTeamConfig.format || matchConfig.format || match.format,
+    formation: savedTeamConfig.formation || match.formation,
+    squadSize: savedTeamConfig.squadSize || null,
+    numPeriods: matchConfig.periods || match.periods || startData.totalPeriods || 1,
+    periodDurationMinutes: matchConfig.periodDurationMinutes || match.period_duration_minutes || startData.periodDurationMinutes || 0,
+    captainId: matchConfig.captainId || match.captain || null,
+    matchType: matchConfig.matchType || match.type || null,
+    venueType: matchConfig.venueType || match.venue_type || null,
+    opponentTeam: matchConfig.opponentTeam || match.opponent || '',
+    periodGoalieIds: initialConfig.periodGoalies || {}
+  };
+};
+
+const buildFormation = (lineup, squadIds, teamConfig) => {
+  const formation = getInitialFormationTemplate(teamConfig);
+  const placed = new Set();
+
+  [...lineup.onField, ...lineup.bench].forEach(player => {
+    if (!player.id || !squadIds.includes(player.id) || placed.has(player.id)) return;
+    if (!(player.position in formation) || formation[player.position]) return;
+    formation[player.position] = player.id;
+    placed.add(player.id);
+  });
+
+  // Squad players the log never placed (late arrivals, older logs) wait on the bench
+  const sentOffIds = lineup.sentOff.map(player => player.id);
+  const freeBenchPositions = (getModeDefinition(teamConfig)?.substitutePositions || [])
+    .filter(position => !formation[position]);
+  squadIds
+    .filter(playerId => !placed.has(playerId) && !sentOffIds.includes(playerId))
+    .forEach(playerId => {
+      const position = freeBenchPositions.shift();
+      if (position) formation[position] = playerId;
+    });
+
+  return formation;
+};
+
+const applyRoleSeconds = (stats, secondsByRole = {}) => {
+  let fieldSeconds = 0;
+  Object.entries(secondsByRole).forEach(([role, seconds]) => {
+    const field = ROLE_TIME_FIELDS[role];
+    if (field) stats[field] = seconds;
+    if (role !== PLAYER_ROLES.GOALIE && role !== PLAYER_ROLES.SUBSTITUTE) fieldSeconds += seconds;
+  });
+  stats.timeOnFieldSeconds = fieldSeconds;
+};
+
+const getRole = (playerId, formation, teamConfig) => (
+  initializePlayerRoleAndStatus(playerId, formation, teamConfig).currentRole
+);
+
+/**
+ * Build the rotation queue the way a period starts: field players with the most
+ * playing time go off first, substitutes with the least playing time come on first.
+ */
+const buildRotationQueue = (formation, players, teamConfig) => {
+  const definition = getModeDefinition(teamConfig);
+  const fieldPositions = definition?.fieldPositions || [];
+  const substitutePositions = definition?.substitutePositions || [];
+  const fieldTime = (playerId) => players.find(p => p.id === playerId)?.stats?.timeOnFieldSeconds || 0;
+  const isAvailable = (playerId) => {
+    const stats = players.find(p => p.id === playerId)?.stats;
+    return stats && !stats.isInactive && !stats.isSentOff;
+  };
+
+  const fieldPlayers = fieldPositions.map(position => formation[position]).filter(Boolean)
+    .sort((a, b) => fieldTime(b) - fieldTime(a));
+  const substitutes = substitutePositions.map(position => formation[position]).filter(isAvailable)
+    .sort((a, b) => fieldTime(a) - fieldTime(b));
+
+  const rotationQueue = [...fieldPlayers, ...substitutes];
+  const nextPlayerIdToSubOut = fieldPlayers[0] || null;
+
+  return {
+    rotationQueue,
+    nextPlayerIdToSubOut,
+    nextPlayerToSubOut: fieldPositions.find(position => formation[position] === nextPlayerIdToSubOut) || null
+  };
+};
+
+const toLocalEvent = (event, index, matchSettings, now) => {
+  const type = mapDatabaseEventToUIType(event.event_type);
+  const data = {
+    ...(event.data || {}),
+    ...(event.player_id ? { playerId: event.player_id } : {})
+  };
+
+  if (type === EVENT_TYPES.MATCH_START) {
+    data.numPeriods = matchSettings.numPeriods;
+    data.periodDurationMinutes = matchSettings.periodDurationMinutes;
+  }
+  if ((type === EVENT_TYPES.GOAL_SCORED || type === EVENT_TYPES.GOAL_CONCEDED) && event.player_id) {
+    data.scorerId = event.player_id;
+  }
+
+  return {
+    id: event.id || `${type}-${index + 1}`,
+    type,
+    timestamp: parseEventTime(event) ?? now,
+    matchTime: formatTime(event.occurred_at_seconds || 0),
+    periodNumber: event.period || 1,
+    sequence: index + 1,
+    data,
+    undone: false,
+    relatedEventId: null,
+    ...(event.is_extra_time ? { isExtraTime: true } : {})
+  };
+};
+
+const getScore = (sortedEvents) => {
+  const goals = sortedEvents.filter(event =>
+    event.event_type === 'goal_scored' || event.event_type === 'goal_conceded'
+  );
+  const lastGoal = goals[goals.length - 1];
+  if (lastGoal && Number.isFinite(lastGoal.data?.ownScore) && Number.isFinite(lastGoal.data?.opponentScore)) {
+    return { ownScore: lastGoal.data.ownScore, opponentScore: lastGoal.data.opponentScore };
+  }
+
+  return {
+    ownScore: goals.filter(event => event.event_type === 'goal_scored').length,
+    opponentScore: goals.filter(event => event.event_type === 'goal_conceded').length
+  };
+};
+
+const getExtraTime = (sortedEvents, numPeriods, periodDurationMinutes) => {
+  const extraPeriods = new Set(sortedEvents
+    .filter(event => PERIOD_START_TYPES.includes(event.event_type) && (event.is_extra_time || event.period > numPeriods))
+    .map(event => event.period));
+
+  if (extraPeriods.size === 0) return null;
+  return createExtraTimeConfig({
+    periods: extraPeriods.size,
+    periodDurationMinutes: getDefaultExtraTimeMinutes(periodDurationMinutes)
+  });
+};
+
+/**
+ * Rebuild a running match from the database.
+ *
+ * @param {Object} params
+ * @param {Object} params.match - Match row including initial_config
+ * @param {Array} params.events - match_log_event rows of the match
+ * @param {Array} params.players - Team roster players
+ * @param {number} [params.now] - Override for "now" (primarily for tests)
+ * @returns {Object|null} Shared match state to apply, or null when the match
+ *   has not started or its final period has already ended
+ */
+export const rebuildMatchFromDatabase = ({ match, events = [], players = [], now = Date.now() }) => {
+  if (!match) return null;
+
+  const sortedEvents = sortEventsByOrdinal(Array.isArray(events) ? events : []);
+  const matchStarted = sortedEvents.find(event => event.event_type === 'match_started');
+  if (!matchStarted) return null;
+
+  const settings = getMatchSettings(match, matchStarted);
+  const lineup = deriveLiveLineup(sortedEvents, { isLive: true, currentTimeMs: now });
+  const squadIds = settings.squadIds.length > 0
+    ? settings.squadIds
+    : [...lineup.onField, ...lineup.bench, ...lineup.sentOff].map(player => player.id).filter(Boolean);
+  const teamConfig = createTeamConfig(settings.format, settings.squadSize || squadIds.length, settings.formation);
+  const extraTime = getExtraTime(sortedEvents, settings.numPeriods, settings.periodDurationMinutes);
+  const totalPeriods = getTotalPeriods(settings.numPeriods, extraTime);
+
+  const clock = getPeriodClock(sortedEvents, true, now);
+  const isPeriodActive = clock.isRunning;
+  if (!isPeriodActive && clock.period >= totalPeriods) return null;
+  const currentPeriodNumber = isPeriodActive ? clock.period : clock.period + 1;
+
+  const formation = buildFormation(lineup, squadIds, teamConfig);
+  const summaries = new Map(
+    [...lineup.onField, ...lineup.bench, ...lineup.sentOff].map(player => [player.id, player])
+  );
+  const startingLineup = matchStarted.data?.startingLineup || [];
+  const startingFormation = Object.fromEntries(startingLineup.map(entry => [entry.position, entry.playerId]));
+
+  // Completed periods, replayed up to their end for the period log
+  const completedPeriods = sortedEvents
+    .map((event, index) => ({ event, index }))
+    .filter(({ event }) => event.event_type === 'period_ended');
+  const periodLineups = completedPeriods.map(({ event, index }) => {
+    const periodEvents = sortedEvents.slice(0, index + 1);
+    const periodLineup = deriveLiveLineup(periodEvents, { isLive: true, currentTimeMs: parseEventTime(event) ?? now });
+    return {
+      periodNumber: event.period,
+      lineup: periodLineup,
+      formation: buildFormation(periodLineup, squadIds, teamConfig)
+    };
+  });
+
+  const goalsByPlayer = sortedEvents
+    .filter(event => event.event_type === 'goal_scored' && event.player_id)
+    .reduce((counts, event) => ({ ...counts, [event.player_id]: (counts[event.player_id] || 0) + 1 }), {});
+
+  const buildSquadPlayer = (player, { summary, playerFormation, periodsCompleted, stintStart }) => {
+    const stats = { ...player.stats };
+    const { currentRole, currentStatus, currentPositionKey } = initializePlayerRoleAndStatus(
+      player.id,
+      playerFormation,
+      teamConfig
+    );
+
+    applyRoleSeconds(stats, summary?.secondsByRole);
+    periodsCompleted.forEach(period => {
+      const field = PERIOD_ROLE_FIELDS[getRole(player.id, period.formation, teamConfig)];
+      if (field) stats[field] += 1;
+    });
+
+    const startInfo = initializePlayerRoleAndStatus(player.id, startingFormation, teamConfig);
+    if (startInfo.currentStatus === PLAYER_STATUS.GOALIE) stats.startedMatchAs = PLAYER_ROLES.GOALIE;
+    else if (startInfo.currentStatus === PLAYER_STATUS.ON_FIELD) stats.startedMatchAs = PLAYER_ROLES.FIELD_PLAYER;
+    else stats.startedMatchAs = PLAYER_ROLES.SUBSTITUTE;
+    stats.startedAtPosition = startInfo.currentPositionKey || null;
+    stats.startedAtRole = startInfo.currentPositionKey ? startInfo.currentRole : null;
+    stats.startLocked = true;
+
+    stats.currentRole = currentRole;
+    stats.currentStatus = currentStatus;
+    stats.currentPositionKey = currentPositionKey;
+    stats.lastStintStartTimeEpoch = stintStart;
+    stats.isInjured = Boolean(summary?.isInjured);
+    stats.isSentOff = Boolean(summary?.isSentOff);
+    stats.isInactive = Boolean(summary?.isInactive || summary?.isInjured || summary?.isSentOff);
+    stats.isCaptain = player.id === settings.captainId;
+    stats.goals = goalsByPlayer[player.id] || 0;
+
+    return { ...player, stats };
+  };
+
+  const freshPlayers = resetPlayersForNewMatch(players).map(player => ({
+    ...player,
+    stats: { ...player.stats, isCaptain: player.id === settings.captainId }
+  }));
+
+  const gameLog = periodLineups.map((period, periodIndex) => {
+    const periodSummaries = new Map(
+      [...period.lineup.onField, ...period.lineup.bench, ...period.lineup.sentOff].map(player => [player.id, player])
+    );
+    const snapshot = freshPlayers
+      .filter(player => squadIds.includes(player.id))
+      .map(player => {
+        const { stats } = buildSquadPlayer(player, {
+          summary: periodSummaries.get(player.id),
+          playerFormation: period.formation,
+          periodsCompleted: periodLineups.slice(0, periodIndex + 1),
+          stintStart: parseEventTime(completedPeriods[periodIndex].event) ?? now
+        });
+        return {
+          id: player.id,
+          displayName: player.displayName || null,
+          firstName: player.firstName || null,
+          lastName: player.lastName || null,
+          jerseyNumber: player.jerseyNumber || null,
+          stats
+        };
+      });
+
+    return {
+      periodNumber: period.periodNumber,
+      formation: period.formation,
+      finalStatsSnapshotForAllPlayers: snapshot
+    };
+  });
+
+  const allPlayers = freshPlayers.map(player => (
+    squadIds.includes(player.id)
+      ? buildSquadPlayer(player, {
+        summary: summaries.get(player.id),
+        playerFormation: formation,
+        periodsCompleted: periodLineups,
+        stintStart: now
+      })
+      : player
+  ));
+
+  const { rotationQueue, nextPlayerIdToSubOut, nextPlayerToSubOut } = buildRotationQueue(formation, allPlayers, teamConfig);
+
+  const localEvents = consolidateMatchEvents(sortedEvents, { playerNameMap: buildPlayerNameMap(sortedEvents) })
+    .map((event, index) => toLocalEvent(event, index, settings, now));
+  const goalScorers = Object.fromEntries(localEvents
+    .filter(event => event.type === EVENT_TYPES.GOAL_SCORED && event.data.scorerId)
+    .map(event => [event.id, event.data.scorerId]));
+
+  const periodStart = [...sortedEvents].reverse().find(event => PERIOD_START_TYPES.includes(event.event_type));
+  const periodStartTime = isPeriodActive ? (parseEventTime(periodStart) ?? now) : null;
+  const lastSubstitution = [...localEvents].reverse().find(event =>
+    event.type === EVENT_TYPES.SUBSTITUTION && periodStartTime !== null && event.timestamp >= periodStartTime
+  );
+  const lastSubstitutionTime = isPeriodActive ? (lastSubstitution?.timestamp ?? periodStartTime) : null;
+
+  const periodGoalieIds = { ...settings.periodGoalieIds };
+  if (formation.goalie && !periodGoalieIds[currentPeriodNumber]) {
+    periodGoalieIds[currentPeriodNumber] = formation.goalie;
+  }
+
+  return {
+    version: SHARED_MATCH_STATE_VERSION,
+    deviceId: null,
+    game: {
+      allPlayers,
+      selectedSquadIds: squadIds,
+      captainId: settings.captainId,
+      numPeriods: settings.numPeriods,
+      periodDurationMinutes: settings.periodDurationMinutes,
+      periodGoalieIds,
+      teamConfig,
+      selectedFormation: settings.formation,
+      currentPeriodNumber,
+      formation,
+      nextPlayerToSubOut,
+      nextPlayerIdToSubOut,
+      rotationQueue,
+      gameLog,
+      opponentTeam: settings.opponentTeam,
+      matchType: settings.matchType,
+      venueType: settings.venueType,
+      lastSubstitutionTimestamp: lastSubstitutionTime,
+      ...getScore(sortedEvents),
+      goalScorers,
+      matchState: 'running',
+      rotationPlan: null,
+      shootout: null,
+      extraTime,
+      currentMatchId: match.id,
+      matchCreated: true
+    },
+    events: localEvents,
+    timers: {
+      isPeriodActive,
+      periodStartTime,
+      lastSubstitutionTime,
+      secondLastSubstitutionTime: null,
+      pauseStartTime: null,
+      totalPausedDuration: 0
+    }
+  };
+};
@@ -0,0 +1,217 @@
+/**
+ * Penalty shootout
+ *
+ * Cup and tournament matches that are level after the final period can be decided by
+ * a penalty shootout. The teams alternate kicks: each side takes five kicks, and the
+ * shootout ends early as soon as one side can no longer catch up. If the teams are
+ * still level after five kicks each, the shootout continues in sudden death rounds
+ * until one side scores and the other does not.
+ *
+ * Own kick takers follow the chosen kick order and start over from the top once
+ * everybody in the order has taken a kick. Opponent kick takers are not tracked.
+ */
+
+import { MATCH_TYPES } from '../../constants/matchTypes';
+
+export const SHOOTOUT_KICK_RESULTS = {
+  SCORED: 'scored',
+  SAVED: 'saved',
+  MISSED: 'missed'
+};
+
+export const SHOOTOUT_TEAMS = {
+  OWN: 'own',
+  OPPONENT: 'opponent'
+};
+
+/**
+ * Kicks per team before the shootout goes to sudden death
+ */
+export const ROUNDS_BEFORE_SUDDEN_DEATH = 5;
+
+/**
+ * Match types whose drawn matches are decided by a shootout
+ */
+export const SHOOTOUT_MATCH_TYPES = [MATCH_TYPES.CUP, MATCH_TYPES.TOURNAMENT];
+
+/**
+ * Whether a match that just ended goes to a penalty shootout
+ * @param {string} matchType - Match type from MATCH_TYPES
+ * @param {number} ownScore - Own team goals
+ * @param {number} opponentScore - Opponent goals
+ * @returns {boolean}
+ */
+export const isShootoutEligible = (matchType, ownScore, opponentScore) => (
+  SHOOTOUT_MATCH_TYPES.includes(matchType) && (ownScore || 0) === (opponentScore || 0)
+);
+
+/**
+ * Create a shootout that has not started yet
+ * @param {Object} options
+ * @param {number} options.regulationEndEpoch - When the final period ended
+ * @returns {Object} Shootout state
+ */
+export const createShootoutState = ({ regulationEndEpoch = null } = {}) => ({
+  regulationEndEpoch,
+  kickOrder: [],
+  ownKicksFirst: true,
+  kicks: [],
+  isStarted: false
+});
+
+/**
+ * Start kicking with the chosen kick order
+ * @param {Object} shootout - Shootout state
+ * @param {Array<string>} kickOrder - Own player IDs in kicking order
+ * @param {boolean} ownKicksFirst - Whether the own team takes the first kick
+ * @returns {Object} Updated shootout state, or the original one for an empty order
+ */
+export const startShootout = (shootout, kickOrder, ownKicksFirst = true) => {
+  if (!Array.isArray(kickOrder) || kickOrder.length === 0) {
+    return shootout;
+  }
+
+  return {
+    ...shootout,
+    kickOrder: [...kickOrder],
+    ownKicksFirst: Boolean(ownKicksFirst),
+    kicks: [],
+    isStarted: true
+  };
+};
+
+const countKicks = (kicks, team) => kicks.filter(kick => kick.team === team).length;
+
+const countGoals = (kicks, team) => kicks.filter(kick =>
+  kick.team === team && kick.result === SHOOTOUT_KICK_RESULTS.SCORED
+).length;
+
+/**
+ * Goals scored in the shootout by each team
+ * @param {Object} shootout - Shootout state
+ * @returns {{own: number, opponent: number}}
+ */
+export const getShootoutScore = (shootout) => {
+  const kicks = shootout?.kicks || [];
+  return {
+    own: countGoals(kicks, SHOOTOUT_TEAMS.OWN),
+    opponent: countGoals(kicks, SHOOTOUT_TEAMS.OPPONENT)
+  };
+};
+
+/**
+ * Team that has won the shootout
+ * @param {Object} shootout - Shootout state
+ * @returns {string|null} SHOOTOUT_TEAMS value, or null while the shootout is undecided
+ */
+export const getShootoutWinner = (shootout) => {
+  const kicks = shootout?.kicks || [];
+  const score = getShootoutScore(shootout);
+  if (score.own === score.opponent) {
+    return null;
+  }
+
+  const ownTaken = countKicks(kicks, SHOOTOUT_TEAMS.OWN);
+  const opponentTaken = countKicks(kicks, SHOOTOUT_TEAMS.OPPONENT);
+  const leader = score.own > score.opponent ? SHOOTOUT_TEAMS.OWN : SHOOTOUT_TEAMS.OPPONENT;
+
+  // Sudden death is only decided once both teams have kicked in the round
+  if (ownTaken > ROUNDS_BEFORE_SUDDEN_DEATH || opponentTaken > ROUNDS_BEFORE_SUDDEN_DEATH) {
+    return ownTaken === opponentTaken ? leader : null;
+  }
+
+  // Within the first five rounds, stop as soon as the trailing team cannot catch up
+  const ownRemaining = ROUNDS_BEFORE_SUDDEN_DEATH - ownTaken;
+  const opponentRemaining = ROUNDS_BEFORE_SUDDEN_DEATH - opponentTaken;
+  if (score.own > score.opponent + opponentRemaining) return SHOOTOUT_TEAMS.OWN;
+  if (score.opponent > score.own + ownRemaining) return SHOOTOUT_TEAMS.OPPONENT;
+  return null;
+};
+
+/**
+ * The kick that is up next
+ * @param {Object} shootout - Shootout state
+ * @returns {{team: string, playerId: string|null, round: number, isSuddenDeath: boolean}|null}
+ *   Null before the shootout has started or once it is decided
+ */
+export const getNextKick = (shootout) => {
+  if (!shootout?.isStarted || getShootoutWinner(shootout)) {
+    return null;
+  }
+
+  const kickIndex = shootout.kicks.length;
+  const isFirstKickOfRound = kickIndex % 2 === 0;
+  const team = isFirstKickOfRound === shootout.ownKicksFirst ? SHOOTOUT_TEAMS.OWN : SHOOTOUT_TEAMS.OPPONENT;
+  const round = Math.floor(kickIndex / 2) + 1;
+
+  let playerId = null;
+  if (team === SHOOTOUT_TEAMS.OWN) {
+    const ownTaken = countKicks(shootout.kicks, SHOOTOUT_TEAMS.OWN);
+    playerId = shootout.kickOrder[ownTaken % shootout.kickOrder.length];
+  }
+
+  return {
+    team,
+    playerId,
+    round,
+    isSuddenDeath: round > ROUNDS_BEFORE_SUDDEN_DEATH
+  };
+};
+
+/**
+ * Record the outcome of the next kick
+ * @param {Object} shootout - Shootout state
+ * @param {string} result - SHOOTOUT_KICK_RESULTS value
+ * @returns {Object} Updated shootout state, or the original one if no kick is due
+ */
+export const recordShootoutKick = (shootout, result) => {
+  const nextKick = getNextKick(shootout);
+  if (!nextKick || !Object.values(SHOOTOUT_KICK_RESULTS).includes(result)) {
+    return shootout;
+  }
+
+  return {
+    ...shootout,
+    kicks: [
+      ...shootout.kicks,
+      {
+        team: nextKick.team,
+        playerId: nextKick.playerId,
+        round: nextKick.round,
+        result
+      }
+    ]
+  };
+};
+
+/**
+ * Remove the most recently recorded kick
+ * @param {Object} shootout - Shootout state
+ * @returns {Object} Updated shootout state, or the original one if no kicks exist
+ */
+export const undoLastShootoutKick = (shootout) => {
+  if (!shootout?.kicks?.length) {
+    return shootout;
+  }
+
+  return {
+    ...shootout,
+    kicks: shootout.kicks.slice(0, -1)
+  };
+};
+
+/**
+ * Kicks grouped by round for display
+ * @param {Object} shootout - Shootout state
+ * @returns {Array<{round: number, own: Object|null, opponent: Object|null}>}
+ */
+export const getShootoutRounds = (shootout) => {
+  const rounds = [];
+  (shootout?.kicks || []).forEach(kick => {
+    if (!rounds[kick.round - 1]) {
+      rounds[kick.round - 1] = { round: kick.round, own: null, opponent: null };
+    }
+    rounds[kick.round - 1][kick.team] = kick;
+  });
+  return rounds.filter(Boolean);
+};
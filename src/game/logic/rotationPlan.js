@@ -0,0 +1,564 @@
+/**
+ * Planned rotation schedule
+ *
+ * Generates a full substitution plan for a match before kickoff. The match is simulated
+ * period by period: substitutions happen at every alert interval and always swap the
+ * field players with the most field time for the substitutes with the least, so playing
+ * time evens out over the whole match. Time accounting reuses the stint math from
+ * stintManager, so the expected field times match what the live timers will record.
+ *
+ * During the match the plan is compared with the actual lineup to find the next planned
+ * substitution and to detect drift, and the remaining schedule can be recomputed from
+ * the current match situation.
+ */
+
+import { PLAYER_ROLES, PLAYER_STATUS } from '../../constants/playerConstants';
+import { getFormationDefinition } from '../../utils/formationConfigUtils';
+import { startNewStint, completeCurrentStint } from '../time/stintManager';
+import { getPositionRole } from './positionUtils';
+
+// Simulated clock origin; stint math ignores epochs that are zero or negative
+const SIMULATION_EPOCH_START = 1000;
+
+/**
+ * Seconds around a planned substitution during which either lineup is accepted
+ */
+export const PLAN_DRIFT_GRACE_SECONDS = 60;
+
+const toSimulationEpoch = (matchSeconds) => SIMULATION_EPOCH_START + matchSeconds * 1000;
+
+const createSimulatedPlayer = (id, timeOnFieldSeconds = 0) => ({
+  id,
+  stats: {
+    currentStatus: PLAYER_STATUS.SUBSTITUTE,
+    currentRole: PLAYER_ROLES.SUBSTITUTE,
+    timeOnFieldSeconds,
+    lastStintStartTimeEpoch: null
+  }
+});
+
+const withStatus = (player, status, role) => ({
+  ...player,
+  stats: { ...player.stats, currentStatus: status, currentRole: role }
+});
+
+const getFieldTime = (players, playerId) => players.get(playerId)?.stats.timeOnFieldSeconds || 0;
+
+/**
+ * Put every simulated player in the status implied by the lineup and start a new stint
+ */
+const applyLineup = (players, lineup, goalieId, epoch) => {
+  const positionByPlayerId = new Map(Object.entries(lineup).map(([position, playerId]) => [playerId, position]));
+
+  players.forEach((player, playerId) => {
+    const position = positionByPlayerId.get(playerId);
+    let updated;
+    if (playerId === goalieId) {
+      updated = withStatus(player, PLAYER_STATUS.GOALIE, PLAYER_ROLES.GOALIE);
+    } else if (position) {
+      updated = withStatus(player, PLAYER_STATUS.ON_FIELD, getPositionRole(position));
+    } else {
+      updated = withStatus(player, PLAYER_STATUS.SUBSTITUTE, PLAYER_ROLES.SUBSTITUTE);
+    }
+    players.set(playerId, startNewStint(updated, epoch));
+  });
+};
+
+const completeAllStints = (players, epoch) => {
+  players.forEach((player, playerId) => {
+    players.set(playerId, completeCurrentStint(player, epoch));
+  });
+};
+
+/**
+ * Split the remaining field time so every player ends as close to the same total as
+ * their availability allows (water filling: raise a common level until all time is used)
+ * @returns {Object} Target total field seconds per player ID
+ */
+const calculateFieldTimeTargets = (candidates, remainingFieldSeconds) => {
+  const allocate = (level) => candidates.reduce(
+    (sum, { current, capacity }) => sum + Math.min(Math.max(level - current, 0), capacity),
+    0
+  );
+
+  let low = 0;
+  let high = Math.max(0, ...candidates.map(({ current, capacity }) => current + capacity));
+  for (let iteration = 0; iteration < 50; iteration++) {
+    const level = (low + high) / 2;
+    if (allocate(level) < remainingFieldSeconds) {
+      low = level;
+    } else {
+      high = level;
+    }
+  }
+
+  return candidates.reduce((targets, { playerId, current, capacity }) => {
+    targets[playerId] = current + Math.min(Math.max(high - current, 0), capacity);
+    return targets;
+  }, {});
+};
+
+/**
+ * Order players by how urgently they need field time, most urgent first
+ * Ties keep squad order so the plan is deterministic
+ */
+const sortByUrgency = (playerIds, getUrgency, squadIndex) => playerIds
+  .map(playerId => ({ playerId, urgency: getUrgency(playerId) }))
+  .sort((a, b) => b.urgency - a.urgency || squadIndex.get(a.playerId) - squadIndex.get(b.playerId));
+
+/**
+ * Pick the starting lineup for a period: the players who need field time most start
+ */
+const buildStartingLineup = (squadIds, goalieId, fieldPositions, getUrgency) => {
+  const squadIndex = new Map(squadIds.map((playerId, index) => [playerId, index]));
+  const outfielders = sortByUrgency(squadIds.filter(playerId => playerId !== goalieId), getUrgency, squadIndex);
+
+  return fieldPositions.reduce((lineup, position, index) => {
+    if (outfielders[index]) {
+      lineup[position] = outfielders[index].playerId;
+    }
+    return lineup;
+  }, {});
+};
+
+/**
+ * Pair the field players who need field time least against the substitutes who need it
+ * most, keeping only swaps where the substitute is more urgent
+ */
+const pickSwaps = (squadIds, lineup, goalieId, substitutionCount, getUrgency) => {
+  const squadIndex = new Map(squadIds.map((playerId, index) => [playerId, index]));
+  const positionByPlayerId = new Map(Object.entries(lineup).map(([position, playerId]) => [playerId, position]));
+
+  const fieldCandidates = sortByUrgency([...positionByPlayerId.keys()], getUrgency, squadIndex).reverse();
+  const benchCandidates = sortByUrgency(
+    squadIds.filter(playerId => playerId !== goalieId && !positionByPlayerId.has(playerId)),
+    getUrgency,
+    squadIndex
+  );
+
+  const maxSwaps = Math.min(substitutionCount, fieldCandidates.length, benchCandidates.length);
+  const swaps = [];
+
+  for (let index = 0; index < maxSwaps; index++) {
+    if (benchCandidates[index].urgency <= fieldCandidates[index].urgency) {
+      break;
+    }
+    swaps.push({
+      position: positionByPlayerId.get(fieldCandidates[index].playerId),
+      playerOff: fieldCandidates[index].playerId,
+      playerOn: benchCandidates[index].playerId
+    });
+  }
+
+  return swaps;
+};
+
+/**
+ * Simulate one period from a given lineup and return its planned substitutions
+ */
+const simulatePeriod = (players, {
+  squadIds,
+  goalieId,
+  lineup,
+  matchOffsetSeconds,
+  startSeconds,
+  firstSubstitutionSeconds,
+  durationSeconds,
+  intervalSeconds,
+  substitutionCount,
+  getUrgency
+}) => {
+  const epochAt = (seconds) => toSimulationEpoch(matchOffsetSeconds + seconds);
+  const currentLineup = { ...lineup };
+  const substitutions = [];
+
+  applyLineup(players, currentLineup, goalieId, epochAt(startSeconds));
+
+  if (intervalSeconds > 0) {
+    for (let atSeconds = firstSubstitutionSeconds; atSeconds < durationSeconds; atSeconds += intervalSeconds) {
+      completeAllStints(players, epochAt(atSeconds));
+
+      const swaps = pickSwaps(squadIds, currentLineup, goalieId, substitutionCount, playerId => getUrgency(playerId, atSeconds));
+      if (swaps.length > 0) {
+        swaps.forEach(({ position, playerOn }) => {
+          currentLineup[position] = playerOn;
+        });
+        applyLineup(players, currentLineup, goalieId, epochAt(atSeconds));
+
+        substitutions.push({
+          atSeconds,
+          playersOff: swaps.map(swap => swap.playerOff),
+          playersOn: swaps.map(swap => swap.playerOn),
+          positions: swaps.map(swap => swap.position)
+        });
+      }
+    }
+  }
+
+  completeAllStints(players, epochAt(durationSeconds));
+
+  return substitutions;
+};
+
+const collectFieldSeconds = (players) => {
+  const fieldSeconds = {};
+  players.forEach((player, playerId) => {
+    fieldSeconds[playerId] = player.stats.timeOnFieldSeconds || 0;
+  });
+  return fieldSeconds;
+};
+
+/**
+ * Run the simulation from a starting period to the end of the match
+ */
+const simulateMatch = (settings, { fromPeriod = 1, startSeconds = 0, secondsSinceLastSubstitution = 0, lineup = null, goalieId = null, fieldSecondsByPlayerId = {} } = {}) => {
+  const {
+    teamConfig,
+    selectedFormation,
+    squadIds,
+    periodGoalieIds,
+    numPeriods,
+    periodDurationMinutes,
+    alertMinutes,
+    substitutionCount
+  } = settings;
+
+  const definition = getFormationDefinition(teamConfig, selectedFormation);
+  if (!definition) {
+    return null;
+  }
+
+  const durationSeconds = periodDurationMinutes * 60;
+  const intervalSeconds = alertMinutes > 0 ? alertMinutes * 60 : 0;
+  const players = new Map(squadIds.map(playerId => [playerId, createSimulatedPlayer(playerId, fieldSecondsByPlayerId[playerId] || 0)]));
+  const periods = [];
+
+  const goalieByPeriod = {};
+  for (let period = fromPeriod; period <= numPeriods; period++) {
+    goalieByPeriod[period] = period === fromPeriod && lineup ? goalieId : periodGoalieIds[period] || null;
+  }
+
+  // Seconds a player can still spend on the field from a point in the match
+  const getRemainingAvailability = (playerId, period, seconds) => {
+    let available = goalieByPeriod[period] === playerId ? 0 : durationSeconds - seconds;
+    for (let laterPeriod = period + 1; laterPeriod <= numPeriods; laterPeriod++) {
+      if (goalieByPeriod[laterPeriod] !== playerId) {
+        available += durationSeconds;
+      }
+    }
+    return available;
+  };
+
+  const remainingMatchSeconds = (durationSeconds - startSeconds) + (numPeriods - fromPeriod) * durationSeconds;
+  const targets = calculateFieldTimeTargets(
+    squadIds.map(playerId => ({
+      playerId,
+      current: getFieldTime(players, playerId),
+      capacity: getRemainingAvailability(playerId, fromPeriod, startSeconds)
+    })),
+    remainingMatchSeconds * definition.fieldPositions.length
+  );
+
+  for (let period = fromPeriod; period <= numPeriods; period++) {
+    const isStartingPeriod = period === fromPeriod && lineup;
+    const periodGoalieId = goalieByPeriod[period];
+    const periodStart = isStartingPeriod ? startSeconds : 0;
+
+    // Share of the remaining availability a player still needs to spend on the field
+    const getUrgency = (playerId, seconds) => {
+      const available = getRemainingAvailability(playerId, period, seconds);
+      return available > 0 ? (targets[playerId] - getFieldTime(players, playerId)) / available : -Infinity;
+    };
+
+    const periodLineup = isStartingPeriod
+      ? lineup
+      : buildStartingLineup(squadIds, periodGoalieId, definition.fieldPositions, playerId => getUrgency(playerId, 0));
+    const firstSubstitutionSeconds = isStartingPeriod
+      ? periodStart + Math.max(intervalSeconds - secondsSinceLastSubstitution, 0)
+      : intervalSeconds;
+
+    const substitutions = simulatePeriod(players, {
+      squadIds,
+      goalieId: periodGoalieId,
+      lineup: periodLineup,
+      matchOffsetSeconds: (period - 1) * durationSeconds,
+      startSeconds: periodStart,
+      firstSubstitutionSeconds,
+      durationSeconds,
+      intervalSeconds,
+      substitutionCount,
+      getUrgency
+    });
+
+    periods.push({
+      period,
+      goalieId: periodGoalieId,
+      startingLineup: periodLineup,
+      substitutions
+    });
+  }
+
+  return { periods, expectedFieldSeconds: collectFieldSeconds(players) };
+};
+
+/**
+ * Generate a substitution plan for every period of a match
+ *
+ * @param {Object} params
+ * @param {Object} params.teamConfig - Team configuration
+ * @param {string} params.selectedFormation - Selected formation
+ * @param {Array<string>} params.squadIds - Player IDs in the match squad
+ * @param {Object} params.periodGoalieIds - Goalie ID per period number
+ * @param {number} params.numPeriods - Number of periods
+ * @param {number} params.periodDurationMinutes - Period length in minutes
+ * @param {number} params.alertMinutes - Substitution interval in minutes (0 disables substitutions)
+ * @param {number} params.substitutionCount - Maximum players swapped per substitution
+ * @returns {Object|null} Plan with settings, per-period lineups and substitutions, or null when the formation is invalid
+ */
+export const generateRotationPlan = ({
+  teamConfig,
+  selectedFormation = null,
+  squadIds = [],
+  periodGoalieIds = {},
+  numPeriods = 1,
+  periodDurationMinutes,
+  alertMinutes = 0,
+  substitutionCount = 1
+}) => {
+  if (!teamConfig || squadIds.length === 0 || !(periodDurationMinutes > 0)) {
+    return null;
+  }
+
+  const settings = {
+    teamConfig,
+    selectedFormation: selectedFormation || teamConfig.formation,
+    squadIds: [...squadIds],
+    periodGoalieIds: { ...periodGoalieIds },
+    numPeriods,
+    periodDurationMinutes,
+    alertMinutes,
+    substitutionCount: Math.max(1, substitutionCount)
+  };
+
+  const result = simulateMatch(settings);
+  if (!result) {
+    return null;
+  }
+
+  return { settings, ...result };
+};
+
+/**
+ * Recompute the rest of a plan from the current match situation
+ *
+ * Periods before the current one and substitutions that already lie in the past are kept
+ * as they were; everything after the current point is simulated again from the actual
+ * lineup and the actual field time of each player.
+ *
+ * @param {Object} plan - Existing rotation plan
+ * @param {Object} currentSituation
+ * @param {number} currentSituation.period - Current period number
+ * @param {number} currentSituation.elapsedSeconds - Seconds played in the current period
+ * @param {number} currentSituation.secondsSinceLastSubstitution - Substitution timer value
+ * @param {Object} currentSituation.formation - Current formation (position key -> player ID)
+ * @param {Object} currentSituation.fieldSecondsByPlayerId - Actual field time per player so far
+ * @param {Array<string>} currentSituation.unavailablePlayerIds - Players left out of the rest of the plan (e.g. inactive)
+ * @returns {Object} Updated plan
+ */
+export const recomputeRotationPlan = (plan, {
+  period,
+  elapsedSeconds = 0,
+  secondsSinceLastSubstitution = 0,
+  formation = {},
+  fieldSecondsByPlayerId = {},
+  unavailablePlayerIds = []
+}) => {
+  if (!plan?.settings) {
+    return plan;
+  }
+
+  const definition = getFormationDefinition(plan.settings.teamConfig, plan.settings.selectedFormation);
+  if (!definition) {
+    return plan;
+  }
+
+  const lineup = definition.fieldPositions.reduce((result, position) => {
+    if (formation[position]) {
+      result[position] = formation[position];
+    }
+    return result;
+  }, {});
+
+  const availableSettings = {
+    ...plan.settings,
+    squadIds: plan.settings.squadIds.filter(playerId => !unavailablePlayerIds.includes(playerId))
+  };
+
+  const result = simulateMatch(availableSettings, {
+    fromPeriod: period,
+    startSeconds: elapsedSeconds,
+    secondsSinceLastSubstitution,
+    lineup,
+    goalieId: formation.goalie || plan.settings.periodGoalieIds[period] || null,
+    fieldSecondsByPlayerId
+  });
+
+  if (!result) {
+    return plan;
+  }
+
+  const earlierPeriods = plan.periods.filter(periodPlan => periodPlan.period < period);
+  const previousCurrentPeriod = plan.periods.find(periodPlan => periodPlan.period === period);
+  const [recomputedCurrentPeriod, ...laterPeriods] = result.periods;
+
+  // The recomputed period starts from the actual lineup; substitutions already made are kept for reference
+  const currentPeriod = {
+    ...recomputedCurrentPeriod,
+    startsAtSeconds: elapsedSeconds,
+    completedSubstitutions: previousCurrentPeriod
+      ? previousCurrentPeriod.substitutions.filter(substitution => substitution.atSeconds < elapsedSeconds)
+      : []
+  };
+
+  return {
+    ...plan,
+    periods: [...earlierPeriods, currentPeriod, ...laterPeriods],
+    expectedFieldSeconds: result.expectedFieldSeconds
+  };
+};
+
+/**
+ * Build the sequence of planned on-field sets for a period
+ * Each stage lasts from one substitution to the next.
+ */
+const getPlannedStages = (periodPlan, durationSeconds) => {
+  const stages = [];
+  let onField = new Set(Object.values(periodPlan.startingLineup));
+  let fromSeconds = periodPlan.startsAtSeconds || 0;
+
+  periodPlan.substitutions.forEach((substitution, index) => {
+    stages.push({ fromSeconds, toSeconds: substitution.atSeconds, onField, nextSubstitutionIndex: index });
+
+    onField = new Set([...onField].filter(playerId => !substitution.playersOff.includes(playerId)));
+    substitution.playersOn.forEach(playerId => onField.add(playerId));
+    fromSeconds = substitution.atSeconds;
+  });
+
+  stages.push({ fromSeconds, toSeconds: durationSeconds, onField, nextSubstitutionIndex: null });
+  return stages;
+};
+
+const isSameSet = (a, b) => a.size === b.size && [...a].every(value => b.has(value));
+
+/**
+ * Compare the actual match situation with the plan
+ *
+ * The current lineup is matched against the planned lineups of the period. The plan is
+ * on track when a planned lineup matches and the clock is within that lineup's window,
+ * allowing PLAN_DRIFT_GRACE_SECONDS before and after each planned substitution.
+ *
+ * @param {Object} plan - Rotation plan
+ * @param {Object} currentSituation
+ * @param {number} currentSituation.period - Current period number
+ * @param {number} currentSituation.elapsedSeconds - Seconds played in the current period
+ * @param {Object} currentSituation.formation - Current formation
+ * @param {Array<string>} currentSituation.fieldPositions - Field position keys for the formation
+ * @returns {Object|null} { hasDrift, nextSubstitution } or null when the plan does not cover the period
+ */
+export const getRotationPlanStatus = (plan, { period, elapsedSeconds = 0, formation = {}, fieldPositions = [] }) => {
+  const periodPlan = plan?.periods?.find(candidate => candidate.period === period);
+  if (!periodPlan) {
+    return null;
+  }
+
+  const durationSeconds = plan.settings.periodDurationMinutes * 60;
+  const onField = new Set(fieldPositions.map(position => formation[position]).filter(Boolean));
+  const goalieMatches = !periodPlan.goalieId || periodPlan.goalieId === formation.goalie;
+
+  const matchingStages = getPlannedStages(periodPlan, durationSeconds)
+    .filter(stage => isSameSet(stage.onField, onField));
+
+  const stage = matchingStages.find(candidate =>
+    elapsedSeconds >= candidate.fromSeconds - PLAN_DRIFT_GRACE_SECONDS &&
+    elapsedSeconds <= candidate.toSeconds + PLAN_DRIFT_GRACE_SECONDS
+  );
+
+  if (!goalieMatches || !stage) {
+    return { hasDrift: true, nextSubstitution: null };
+  }
+
+  const nextSubstitution = stage.nextSubstitutionIndex === null
+    ? null
+    : periodPlan.substitutions[stage.nextSubstitutionIndex];
+
+  return { hasDrift: false, nextSubstitution };
+};
+
+/**
+ * Check whether a plan was generated from the given match settings
+ * A plan goes stale when the squad, goalies, formation or timing change after it was generated.
+ *
+ * @param {Object} plan - Rotation plan
+ * @param {Object} settings - Current match settings (same shape as generateRotationPlan params)
+ * @returns {boolean} True when the plan still matches the settings
+ */
+export const isRotationPlanCurrent = (plan, {
+  teamConfig,
+  selectedFormation = null,
+  squadIds = [],
+  periodGoalieIds = {},
+  numPeriods,
+  periodDurationMinutes,
+  alertMinutes
+}) => {
+  const planSettings = plan?.settings;
+  if (!planSettings || !teamConfig) {
+    return false;
+  }
+
+  const sameSquad = planSettings.squadIds.length === squadIds.length
+    && squadIds.every(playerId => planSettings.squadIds.includes(playerId));
+
+  const sameGoalies = Array.from({ length: numPeriods }, (_, index) => index + 1)
+    .every(period => (planSettings.periodGoalieIds[period] || null) === (periodGoalieIds[period] || null));
+
+  return sameSquad
+    && sameGoalies
+    && planSettings.numPeriods === numPeriods
+    && planSettings.periodDurationMinutes === periodDurationMinutes
+    && planSettings.alertMinutes === alertMinutes
+    && planSettings.teamConfig.format === teamConfig.format
+    && planSettings.selectedFormation === (selectedFormation || teamConfig.formation);
+};
+
+/**
+ * Build the formation for the start of a period from the plan
+ * Field positions and goalie come from the plan; the remaining squad fills the bench with
+ * the players coming on in the first planned substitution at the top.
+ *
+ * @param {Object} plan - Rotation plan
+ * @param {number} period - Period number
+ * @param {Array<string>} substitutePositions - Substitute position keys in bench order
+ * @returns {Object|null} Formation object or null when the plan does not cover the period
+ */
+export const getPlannedPeriodFormation = (plan, period, substitutePositions = []) => {
+  const periodPlan = plan?.periods?.find(candidate => candidate.period === period);
+  if (!periodPlan) {
+    return null;
+  }
+
+  const onFieldIds = new Set(Object.values(periodPlan.startingLineup));
+  const firstPlayersOn = periodPlan.substitutions[0]?.playersOn || [];
+  const benchIds = plan.settings.squadIds.filter(playerId => playerId !== periodPlan.goalieId && !onFieldIds.has(playerId));
+  const orderedBench = [
+    ...firstPlayersOn.filter(playerId => benchIds.includes(playerId)),
+    ...benchIds.filter(playerId => !firstPlayersOn.includes(playerId))
+  ];
+
+  const formation = { goalie: periodPlan.goalieId, ...periodPlan.startingLineup };
+  substitutePositions.forEach((position, index) => {
+    formation[position] = orderedBench[index] || null;
+  });
+
+  return formation;
+};
@@ -0,0 +1,193 @@
+/**
+ * Same-role substitution support
+ *
+ * When a team uses the 'same_role' substitution logic, outfield players stay in a
+ * role group (defenders, midfielders, attackers). The rotation queue still decides
+ * who goes off next based on playing time, but the bench is ordered so that the
+ * substitute coming on belongs to the same role group as the player going off.
+ * Within a role group the substitute with the least field time comes on first.
+ */
+
+import { PLAYER_ROLES, PLAYER_STATUS } from '../../constants/playerConstants';
+import { SUBSTITUTION_LOGIC_OPTIONS } from '../../types/preferences';
+import { getPositionRole } from './positionUtils';
+
+const FIELD_ROLES = [PLAYER_ROLES.DEFENDER, PLAYER_ROLES.MIDFIELDER, PLAYER_ROLES.ATTACKER];
+
+/**
+ * Check whether the given substitution logic keeps players within their role group
+ * @param {string} substitutionLogic - Team substitution logic preference
+ * @returns {boolean} True for same-role substitution logic
+ */
+export const isSameRoleLogic = (substitutionLogic) => {
+  return substitutionLogic === SUBSTITUTION_LOGIC_OPTIONS.SAME_ROLE;
+};
+
+/**
+ * Determine which role group a player belongs to
+ *
+ * Field players belong to the role they are currently playing. Substitutes belong to
+ * the role they last played on the field, falling back to the role they have spent the
+ * most time in. Players who have not played an outfield role yet have no group.
+ *
+ * @param {Object} player - Player object with stats
+ * @returns {string|null} PLAYER_ROLES field role or null when unassigned
+ */
+export const getPlayerRoleGroup = (player) => {
+  const stats = player?.stats;
+  if (!stats) {
+    return null;
+  }
+
+  if (stats.currentStatus === PLAYER_STATUS.ON_FIELD && FIELD_ROLES.includes(stats.currentRole)) {
+    return stats.currentRole;
+  }
+
+  if (FIELD_ROLES.includes(stats.lastFieldRole)) {
+    return stats.lastFieldRole;
+  }
+
+  const roleTimes = [
+    [PLAYER_ROLES.DEFENDER, stats.timeAsDefenderSeconds || 0],
+    [PLAYER_ROLES.MIDFIELDER, stats.timeAsMidfielderSeconds || 0],
+    [PLAYER_ROLES.ATTACKER, stats.timeAsAttackerSeconds || 0]
+  ];
+
+  const [mostPlayedRole, mostPlayedTime] = roleTimes.reduce(
+    (best, current) => (current[1] > best[1] ? current : best),
+    [null, 0]
+  );
+
+  return mostPlayedTime > 0 ? mostPlayedRole : null;
+};
+
+/**
+ * Pick the substitute that should replace a player leaving a given role
+ * Prefers the same role group, then players without a group, then anyone on the bench.
+ * Within each tier the substitute with the least field time wins (bench order breaks ties).
+ */
+const pickSubstituteForRole = (candidates, role) => {
+  const byLeastFieldTime = (a, b) => a.timeOnField - b.timeOnField || a.benchIndex - b.benchIndex;
+
+  const sameGroup = candidates.filter(candidate => candidate.roleGroup === role).sort(byLeastFieldTime);
+  if (sameGroup.length > 0) {
+    return sameGroup[0];
+  }
+
+  const ungrouped = candidates.filter(candidate => !candidate.roleGroup).sort(byLeastFieldTime);
+  if (ungrouped.length > 0) {
+    return ungrouped[0];
+  }
+
+  return [...candidates].sort(byLeastFieldTime)[0] || null;
+};
+
+/**
+ * Reorder active substitutes so each upcoming substitution brings on a player from
+ * the same role group as the player going off
+ *
+ * Inactive substitutes keep their positions. The upcoming players going off are taken
+ * from the rotation queue in order, restricted to players currently on the field.
+ *
+ * @param {Object} params
+ * @param {Object} params.formation - Current formation
+ * @param {Array} params.allPlayers - All player objects
+ * @param {Array<string>} params.rotationQueue - Rotation queue (next to go off first)
+ * @param {Array<string>} params.fieldPositions - Field position keys
+ * @param {Array<string>} params.substitutePositions - Substitute position keys in bench order
+ * @returns {Object} Formation with the substitute positions reordered
+ */
+export const orderSubstitutesByRoleGroup = ({
+  formation,
+  allPlayers = [],
+  rotationQueue = [],
+  fieldPositions = [],
+  substitutePositions = []
+}) => {
+  if (!formation || substitutePositions.length < 2) {
+    return formation;
+  }
+
+  const playerLookup = new Map(allPlayers.filter(Boolean).map(player => [player.id, player]));
+
+  const activeSubstitutePositions = substitutePositions.filter(position => {
+    const playerId = formation[position];
+    return playerId && !playerLookup.get(playerId)?.stats?.isInactive;
+  });
+
+  if (activeSubstitutePositions.length < 2) {
+    return formation;
+  }
+
+  const candidates = activeSubstitutePositions.map((position, benchIndex) => {
+    const playerId = formation[position];
+    const player = playerLookup.get(playerId);
+    return {
+      id: playerId,
+      benchIndex,
+      roleGroup: getPlayerRoleGroup(player),
+      timeOnField: player?.stats?.timeOnFieldSeconds || 0
+    };
+  });
+
+  const fieldPositionByPlayerId = new Map(
+    fieldPositions
+      .filter(position => formation[position])
+      .map(position => [formation[position], position])
+  );
+
+  const upcomingRoles = rotationQueue
+    .filter(playerId => fieldPositionByPlayerId.has(playerId))
+    .slice(0, candidates.length)
+    .map(playerId => getPositionRole(fieldPositionByPlayerId.get(playerId)));
+
+  const remaining = [...candidates];
+  const ordered = [];
+
+  upcomingRoles.forEach(role => {
+    const pick = pickSubstituteForRole(remaining, role);
+    if (pick) {
+      ordered.push(pick);
+      remaining.splice(remaining.indexOf(pick), 1);
+    }
+  });
+
+  ordered.push(...remaining.sort((a, b) => a.benchIndex - b.benchIndex));
+
+  const newFormation = { ...formation };
+  activeSubstitutePositions.forEach((position, index) => {
+    newFormation[position] = ordered[index].id;
+  });
+
+  return newFormation;
+};
+
+/**
+ * Sync substitute position keys on player stats after the bench has been reordered
+ * @param {Array} allPlayers - All player objects
+ * @param {Object} formation - Formation with reordered substitutes
+ * @param {Array<string>} substitutePositions - Substitute position keys
+ * @returns {Array} Players with updated currentPositionKey values for substitutes
+ */
+export const syncSubstitutePositionKeys = (allPlayers, formation, substitutePositions) => {
+  const positionByPlayerId = new Map(
+    substitutePositions
+      .filter(position => formation[position])
+      .map(position => [formation[position], position])
+  );
+
+  return allPlayers.map(player => {
+    const position = positionByPlayerId.get(player.id);
+    if (!position || player.stats?.currentPositionKey === position) {
+      return player;
+    }
+
+    return {
+      ...player,
+      stats: {
+        ...player.stats,
+        currentPositionKey: position
+      }
+    };
+  });
+};
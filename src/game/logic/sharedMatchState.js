@@ -0,0 +1,261 @@
+/**
+ * Shared match state
+ *
+ * When a second coach controls a running match, every controlling device
+ * publishes the same snapshot: the game state that drives the game screen,
+ * the event log and the timers. A device that publishes on top of an older
+ * snapshot gets the newer one back and merges its own unpublished changes:
+ *
+ * - Goals always survive. Unpublished goals are added to the newer score, and
+ *   goals undone on this device stay undone.
+ * - Lineup changes cannot be combined with another lineup, so unpublished
+ *   substitutions, position and goalie changes are marked undone as conflicts
+ *   and the newer lineup is kept.
+ * - The clock belongs to the device holding the clock lease. Its period starts
+ *   and ends win over the other device's unpublished lineup changes.
+ */
+
+import { EVENT_TYPES } from '../../utils/gameEventLogger';
+
+export const SHARED_MATCH_STATE_VERSION = 1;
+
+export const CO_COACH_CONFLICT_REASON = 'co_coach_conflict';
+
+// Game state the game screen needs to continue the match on another device
+export const SHARED_GAME_FIELDS = [
+  'allPlayers',
+  'selectedSquadIds',
+  'captainId',
+  'numPeriods',
+  'periodDurationMinutes',
+  'periodGoalieIds',
+  'teamConfig',
+  'selectedFormation',
+  'currentPeriodNumber',
+  'formation',
+  'nextPlayerToSubOut',
+  'nextPlayerIdToSubOut',
+  'rotationQueue',
+  'gameLog',
+  'opponentTeam',
+  'matchType',
+  'venueType',
+  'lastSubstitutionTimestamp',
+  'ownScore',
+  'opponentScore',
+  'goalScorers',
+  'matchState',
+  'trackGoalScorer',
+  'trackAssists',
+  'substitutionLogic',
+  'rotationPlan',
+  'shootout',
+  'extraTime',
+  'currentMatchId',
+  'matchCreated'
+];
+
+// Substitution timer, reset by every substitution and paused by the clock holder
+const SUB_TIMER_FIELDS = [
+  'lastSubstitutionTime',
+  'secondLastSubstitutionTime',
+  'pauseStartTime',
+  'totalPausedDuration'
+];
+
+export const SHARED_TIMER_FIELDS = [
+  'isPeriodActive',
+  'periodStartTime',
+  ...SUB_TIMER_FIELDS
+];
+
+// Events that change who is on the field
+const LINEUP_EVENT_TYPES = new Set([
+  EVENT_TYPES.SUBSTITUTION,
+  EVENT_TYPES.GOALIE_SWITCH,
+  EVENT_TYPES.GOALIE_ASSIGNMENT,
+  EVENT_TYPES.POSITION_CHANGE,
+  EVENT_TYPES.PLAYER_INACTIVATED,
+  EVENT_TYPES.PLAYER_ACTIVATED,
+  EVENT_TYPES.PLAYER_INJURED,
+  EVENT_TYPES.PLAYER_RETURNED,
+  EVENT_TYPES.RED_CARD,
+  EVENT_TYPES.SIN_BIN_STARTED,
+  EVENT_TYPES.SIN_BIN_ENDED
+]);
+
+// Events only the clock holder can log
+const CLOCK_EVENT_TYPES = new Set([
+  EVENT_TYPES.MATCH_START,
+  EVENT_TYPES.MATCH_END,
+  EVENT_TYPES.PERIOD_START,
+  EVENT_TYPES.PERIOD_END
+]);
+
+const pickFields = (source, fields) => fields.reduce((picked, field) => {
+  if (source && source[field] !== undefined) {
+    picked[field] = source[field];
+  }
+  return picked;
+}, {});
+
+const sortByTimestamp = (events) => (
+  [...events].sort((a, b) => (a.timestamp - b.timestamp) || ((a.sequence || 0) - (b.sequence || 0)))
+);
+
+/**
+ * Build the snapshot a controlling device publishes
+ * @param {Object} params
+ * @param {Object} params.game - Game state (see SHARED_GAME_FIELDS)
+ * @param {Array} params.events - Events from the game event logger
+ * @param {Object} params.timers - Timer state (see SHARED_TIMER_FIELDS)
+ * @param {string} params.deviceId - Publishing device
+ * @returns {Object}
+ */
+export const buildSharedMatchState = ({ game, events = [], timers, deviceId = null }) => ({
+  version: SHARED_MATCH_STATE_VERSION,
+  deviceId,
+  game: pickFields(game, SHARED_GAME_FIELDS),
+  events: [...events],
+  timers: pickFields(timers, SHARED_TIMER_FIELDS)
+});
+
+/**
+ * Compact fingerprint of a snapshot, used to tell whether anything changed since
+ * the last publish. The publishing device is left out on purpose.
+ * @param {Object|null} state - Shared match state
+ * @returns {string}
+ */
+export const getSharedStateSignature = (state) => {
+  if (!state) return '';
+  return JSON.stringify({
+    game: state.game,
+    timers: state.timers,
+    events: (state.events || []).map(event => [event.id, Boolean(event.undone), event.data?.scorerId || null])
+  });
+};
+
+/**
+ * Whether a snapshot can be applied on this device
+ * @param {Object|null} state
+ * @returns {boolean}
+ */
+export const isSharedMatchStateUsable = (state) => (
+  Boolean(state && state.version === SHARED_MATCH_STATE_VERSION && state.game && Array.isArray(state.events))
+);
+
+const countGoal = (score, event, direction) => {
+  if (event.type === EVENT_TYPES.GOAL_SCORED) {
+    score.ownScore = Math.max(0, score.ownScore + direction);
+  } else if (event.type === EVENT_TYPES.GOAL_CONCEDED) {
+    score.opponentScore = Math.max(0, score.opponentScore + direction);
+  }
+};
+
+/**
+ * Carry events from another snapshot into a base snapshot
+ * @returns {{ events: Array, score: Object, goalScorers: Object, conflicts: Array }}
+ */
+const carryEvents = (base, other, carriedEvents, undoneIds, now) => {
+  const score = {
+    ownScore: base.game.ownScore || 0,
+    opponentScore: base.game.opponentScore || 0
+  };
+  const goalScorers = { ...(base.game.goalScorers || {}) };
+  const conflicts = [];
+
+  const carried = carriedEvents.map(event => {
+    if (event.undone) {
+      return event;
+    }
+    if (LINEUP_EVENT_TYPES.has(event.type) || CLOCK_EVENT_TYPES.has(event.type)) {
+      conflicts.push(event);
+      return { ...event, undone: true, undoTimestamp: now, undoReason: CO_COACH_CONFLICT_REASON };
+    }
+    countGoal(score, event, 1);
+    if (other.game.goalScorers?.[event.id]) {
+      goalScorers[event.id] = other.game.goalScorers[event.id];
+    }
+    return event;
+  });
+
+  const events = base.events.map(event => {
+    if (!undoneIds.has(event.id) || event.undone) {
+      return event;
+    }
+    countGoal(score, event, -1);
+    const undoneEvent = other.events.find(candidate => candidate.id === event.id);
+    return { ...event, undone: true, undoTimestamp: undoneEvent?.undoTimestamp || now, undoReason: undoneEvent?.undoReason || null };
+  });
+
+  return { events: sortByTimestamp([...events, ...carried]), score, goalScorers, conflicts };
+};
+
+/**
+ * Merge this device's unpublished changes into a newer snapshot from another device
+ * @param {Object} remote - Newer snapshot from the server
+ * @param {Object} local - Snapshot of this device's current state
+ * @param {Object} options
+ * @param {Array<string>} options.publishedEventIds - Event ids of the last snapshot this device published or applied
+ * @param {boolean} options.isClockHolder - Whether this device holds the clock lease
+ * @param {number} options.now - Current time in milliseconds
+ * @returns {{ state: Object, conflicts: Array, hasLocalChanges: boolean }}
+ */
+export const mergeSharedMatchState = (remote, local, { publishedEventIds = [], isClockHolder = false, now = Date.now() } = {}) => {
+  const published = new Set(publishedEventIds);
+  const remoteIds = new Set(remote.events.map(event => event.id));
+  const localIds = new Set(local.events.map(event => event.id));
+
+  const localNewEvents = local.events.filter(event => !published.has(event.id) && !remoteIds.has(event.id));
+  const localUndoneIds = new Set(local.events
+    .filter(event => event.undone && remoteIds.has(event.id))
+    .map(event => event.id));
+
+  const hasLocalChanges = localNewEvents.length > 0
+    || remote.events.some(event => localUndoneIds.has(event.id) && !event.undone);
+
+  // Period starts and ends on the clock holder win over the other device's lineup
+  const keepLocal = isClockHolder && localNewEvents.some(event => !event.undone && CLOCK_EVENT_TYPES.has(event.type));
+
+  if (keepLocal) {
+    const remoteNewEvents = remote.events.filter(event => !localIds.has(event.id));
+    const remoteUndoneIds = new Set(remote.events
+      .filter(event => event.undone && localIds.has(event.id))
+      .map(event => event.id));
+    const merged = carryEvents(local, remote, remoteNewEvents, remoteUndoneIds, now);
+
+    return {
+      state: {
+        ...local,
+        game: { ...local.game, ...merged.score, goalScorers: merged.goalScorers },
+        events: merged.events
+      },
+      conflicts: merged.conflicts,
+      hasLocalChanges: true
+    };
+  }
+
+  const merged = carryEvents(remote, local, localNewEvents, localUndoneIds, now);
+  const localTimers = local.timers || {};
+  const remoteTimers = remote.timers || {};
+
+  // The clock holder's pause wins unless the other device substituted after it
+  const keepLocalSubTimer = isClockHolder
+    && hasLocalChanges
+    && (localTimers.lastSubstitutionTime || 0) >= (remoteTimers.lastSubstitutionTime || 0);
+  const timers = keepLocalSubTimer
+    ? { ...remoteTimers, ...pickFields(localTimers, SUB_TIMER_FIELDS) }
+    : { ...remoteTimers };
+
+  return {
+    state: {
+      ...remote,
+      deviceId: local.deviceId,
+      game: { ...remote.game, ...merged.score, goalScorers: { ...(local.game.goalScorers || {}), ...merged.goalScorers } },
+      events: merged.events,
+      timers
+    },
+    conflicts: merged.conflicts,
+    hasLocalChanges
+  };
+};
@@ -5,6 +5,8 @@ import { findPlayerById, createPlayerLookupFunction } from '../../utils/playerUt
 import { getPositionRole } from './positionUtils';
 import { updatePlayerTimeStats, startNewStint, resetPlayerStintTimer } from '../time/stintManager';
 import { handleError, createError, ERROR_SEVERITY } from '../../utils/errorHandler';
+import { SUBSTITUTION_LOGIC_OPTIONS } from '../../types/preferences';
+import { isSameRoleLogic, orderSubstitutesByRoleGroup } from './sameRoleRotation';
 
 const LEFT = 'left';
 const RIGHT = 'right';
@@ -37,9 +39,10 @@ const getSideFromPosition = (position) => {
  * Manages substitution logic for different team modes
  */
 export class SubstitutionManager {
-  constructor(teamConfig, selectedFormation = null) {
+  constructor(teamConfig, selectedFormation = null, substitutionLogic = SUBSTITUTION_LOGIC_OPTIONS.EQUAL_TIME) {
     this.teamConfig = teamConfig;
     this.selectedFormation = selectedFormation;
+    this.substitutionLogic = substitutionLogic;
   }
 
   /**
@@ -67,6 +70,9 @@ export class SubstitutionManager {
    * - substitutePositions array for filtering positions
    * - supportsInactiveUsers flag for validation
    * - substituteRotationPattern for substitute management
+   *
+   * With same-role substitution logic the bench is reordered after the substitution so
+   * the next substitutes match the role groups of the next players to go off.
    * 
    * @param {Object} context - Substitution context
    * @param {Object} context.formation - Current formation
@@ -267,6 +273,29 @@ export class SubstitutionManager {
     const playersGoingOffIds = substitutionPairs.map(p => p.playerGoingOffId);
     const playersComingOnIds = substitutionPairs.map(p => p.playerComingOnId);
 
+    // For individual modes, rotate all N substituted players to the end of the queue
+    const rotationQueueManager = createRotationQueue(rotationQueue, createPlayerLookupFunction(allPlayers));
+    rotationQueueManager.initialize(); // Separate active and inactive players
+
+    // Rotate all players who went off (in order) to the end of the queue
+    playersGoingOffIds.forEach(playerId => {
+      rotationQueueManager.rotatePlayer(playerId);
+    });
+
+    const newRotationQueue = rotationQueueManager.toArray();
+    const nextPlayerToSubOutId = newRotationQueue[0];
+
+    // Same-role logic: line up the bench so the next substitutes match the next outgoing roles
+    if (isSameRoleLogic(this.substitutionLogic) && substituteRotationPattern !== 'simple') {
+      Object.assign(newFormation, orderSubstitutesByRoleGroup({
+        formation: newFormation,
+        allPlayers,
+        rotationQueue: newRotationQueue,
+        fieldPositions,
+        substitutePositions
+      }));
+    }
+
     // Create lookup maps for substitution pairs
     const goingOffMap = new Map();
     const comingOnMap = new Map();
@@ -299,6 +328,7 @@ export class SubstitutionManager {
             currentStatus: 'substitute',
             currentPositionKey: newSubstitutePosition || pair.substitutePosition,
             currentRole: PLAYER_ROLES.SUBSTITUTE,
+            ...(pair.newRole ? { lastFieldRole: pair.newRole } : {}),
             ...(pair.side ? { preferredSide: pair.side } : {})
           }
         };
@@ -346,17 +376,6 @@ export class SubstitutionManager {
       return p;
     });
 
-    // For individual modes, rotate all N substituted players to the end of the queue
-    const rotationQueueManager = createRotationQueue(rotationQueue, createPlayerLookupFunction(allPlayers));
-    rotationQueueManager.initialize(); // Separate active and inactive players
-
-    // Rotate all players who went off (in order) to the end of the queue
-    playersGoingOffIds.forEach(playerId => {
-      rotationQueueManager.rotatePlayer(playerId);
-    });
-
-    const newRotationQueue = rotationQueueManager.toArray();
-    const nextPlayerToSubOutId = newRotationQueue[0];
 
     // Use formation-aware field positions (already declared in validation section above)
     const nextPlayerPositionInNewFormation = fieldPositions.find(pos =>
@@ -424,6 +443,6 @@ export function handleRoleChange(player, newRole, currentTimeEpoch, isSubTimerPa
 /**
  * Factory function to create substitution manager
  */
-export function createSubstitutionManager(teamConfig, selectedFormation = null) {
-  return new SubstitutionManager(teamConfig, selectedFormation);
+export function createSubstitutionManager(teamConfig, selectedFormation = null, substitutionLogic = SUBSTITUTION_LOGIC_OPTIONS.EQUAL_TIME) {
+  return new SubstitutionManager(teamConfig, selectedFormation, substitutionLogic);
 }
@@ -143,6 +143,54 @@ describe('stintManager', () => {
       expect(result.lastStintStartTimeEpoch).toBe(currentTime);
     });
 
+    test('should track injured time separately from substitute time', () => {
+      shouldSkipTimeCalculation.mockReturnValue(false);
+      calculateCurrentStintDuration.mockReturnValue(12); // 12 seconds
+
+      const player = createMockPlayer('1', {
+        stats: {
+          currentStatus: PLAYER_STATUS.SUBSTITUTE,
+          currentRole: PLAYER_ROLES.SUBSTITUTE,
+          isInactive: true,
+          isInjured: true,
+          timeAsSubSeconds: 30,
+          timeInjuredSeconds: 20,
+          lastStintStartTimeEpoch: timeHelpers.baseTime
+        }
+      });
+
+      const currentTime = timeHelpers.getTimeAfter(12);
+      const result = updatePlayerTimeStats(player, currentTime, false);
+
+      expect(result.timeInjuredSeconds).toBe(32); // 20 + 12
+      expect(result.timeAsSubSeconds).toBe(30); // Unchanged
+      expect(result.lastStintStartTimeEpoch).toBe(currentTime);
+    });
+
+    test('should track sin-bin time separately from field time', () => {
+      shouldSkipTimeCalculation.mockReturnValue(false);
+      calculateCurrentStintDuration.mockReturnValue(15); // 15 seconds
+
+      const player = createMockPlayer('1', {
+        stats: {
+          currentStatus: PLAYER_STATUS.ON_FIELD,
+          currentRole: PLAYER_ROLES.DEFENDER,
+          sinBin: { startedAtSeconds: 0, queueIndex: 1 },
+          timeOnFieldSeconds: 100,
+          timeAsDefenderSeconds: 60,
+          timeSinBinnedSeconds: 0,
+          lastStintStartTimeEpoch: timeHelpers.baseTime
+        }
+      });
+
+      const currentTime = timeHelpers.getTimeAfter(15);
+      const result = updatePlayerTimeStats(player, currentTime, false);
+
+      expect(result.timeSinBinnedSeconds).toBe(15);
+      expect(result.timeOnFieldSeconds).toBe(100); // Unchanged
+      expect(result.timeAsDefenderSeconds).toBe(60); // Unchanged
+    });
+
     test('should update time stats for goalie player', () => {
       shouldSkipTimeCalculation.mockReturnValue(false);
       calculateCurrentStintDuration.mockReturnValue(7); // 7 seconds
@@ -52,7 +52,9 @@ const applyStintTimeToCounters = (stats, stintDurationSeconds) => {
     timeAsDefenderSeconds: stats.timeAsDefenderSeconds || 0,
     timeAsMidfielderSeconds: stats.timeAsMidfielderSeconds || 0,
     timeAsSubSeconds: stats.timeAsSubSeconds || 0,
-    timeAsGoalieSeconds: stats.timeAsGoalieSeconds || 0
+    timeAsGoalieSeconds: stats.timeAsGoalieSeconds || 0,
+    timeInjuredSeconds: stats.timeInjuredSeconds || 0,
+    timeSinBinnedSeconds: stats.timeSinBinnedSeconds || 0
   };
   
   // Validate stint duration
@@ -63,6 +65,12 @@ const applyStintTimeToCounters = (stats, stintDurationSeconds) => {
   // Allocate time based on current period status
   switch (stats.currentStatus) {
     case PLAYER_STATUS.ON_FIELD:
+      // Sin-binned players keep their slot but are off the pitch, so their time is not field time
+      if (stats.sinBin) {
+        updatedStats.timeSinBinnedSeconds += stintDurationSeconds;
+        break;
+      }
+
       updatedStats.timeOnFieldSeconds += stintDurationSeconds;
       
       // Also track role-specific time for outfield players
@@ -76,7 +84,16 @@ const applyStintTimeToCounters = (stats, stintDurationSeconds) => {
       break;
       
     case PLAYER_STATUS.SUBSTITUTE:
-      updatedStats.timeAsSubSeconds += stintDurationSeconds;
+      // Injured players sit on the bench but their time is kept apart from regular bench time
+      // and sent-off players no longer take part in the match at all
+      if (stats.isSentOff) {
+        break;
+      }
+      if (stats.isInjured) {
+        updatedStats.timeInjuredSeconds += stintDurationSeconds;
+      } else {
+        updatedStats.timeAsSubSeconds += stintDurationSeconds;
+      }
       break;
       
     case PLAYER_STATUS.GOALIE:
@@ -114,6 +131,8 @@ export const startNewStint = (player, currentTimeEpoch) => {
       timeAsMidfielderSeconds: player.stats.timeAsMidfielderSeconds || 0,
       timeAsSubSeconds: player.stats.timeAsSubSeconds || 0,
       timeAsGoalieSeconds: player.stats.timeAsGoalieSeconds || 0,
+      timeInjuredSeconds: player.stats.timeInjuredSeconds || 0,
+      timeSinBinnedSeconds: player.stats.timeSinBinnedSeconds || 0,
       lastStintStartTimeEpoch: currentTimeEpoch
     }
   };
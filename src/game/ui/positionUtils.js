@@ -58,11 +58,23 @@ const POSITION_DISPLAY_NAMES = {
   leftMidfielder: 'Left Midfielder',
   rightMidfielder: 'Right Midfielder',
   centerMidfielder: 'Center Midfielder',
+  centerDefender: 'Center Defender',
+  centerAttacker: 'Center Attacker',
+  leftCenterDefender: 'Left Center Defender',
+  rightCenterDefender: 'Right Center Defender',
+  leftCenterMidfielder: 'Left Center Midfielder',
+  rightCenterMidfielder: 'Right Center Midfielder',
   substitute_1: 'Substitute',
   substitute_2: 'Substitute',
   substitute_3: 'Substitute',
   substitute_4: 'Substitute',
-  substitute_5: 'Substitute'
+  substitute_5: 'Substitute',
+  substitute_6: 'Substitute',
+  substitute_7: 'Substitute',
+  substitute_8: 'Substitute',
+  substitute_9: 'Substitute',
+  substitute_10: 'Substitute',
+  substitute_11: 'Substitute'
 };
 
 /**
@@ -82,11 +94,23 @@ const POSITION_TRANSLATION_KEYS = {
   leftMidfielder: 'formation.positions.leftMidfielder',
   rightMidfielder: 'formation.positions.rightMidfielder',
   centerMidfielder: 'formation.positions.centerMidfielder',
+  centerDefender: 'formation.positions.centerDefender',
+  centerAttacker: 'formation.positions.centerAttacker',
+  leftCenterDefender: 'formation.positions.leftCenterDefender',
+  rightCenterDefender: 'formation.positions.rightCenterDefender',
+  leftCenterMidfielder: 'formation.positions.leftCenterMidfielder',
+  rightCenterMidfielder: 'formation.positions.rightCenterMidfielder',
   substitute_1: 'formation.positions.substitute',
   substitute_2: 'formation.positions.substitute',
   substitute_3: 'formation.positions.substitute',
   substitute_4: 'formation.positions.substitute',
-  substitute_5: 'formation.positions.substitute'
+  substitute_5: 'formation.positions.substitute',
+  substitute_6: 'formation.positions.substitute',
+  substitute_7: 'formation.positions.substitute',
+  substitute_8: 'formation.positions.substitute',
+  substitute_9: 'formation.positions.substitute',
+  substitute_10: 'formation.positions.substitute',
+  substitute_11: 'formation.positions.substitute'
 };
 
 /**
@@ -41,6 +41,14 @@ jest.mock('../useMatchPersistence', () => ({
   useMatchPersistence: jest.fn()
 }));
 
+jest.mock('../../utils/gameEventLogger', () => ({
+  logEvent: jest.fn(),
+  EVENT_TYPES: {
+    SIN_BIN_ENDED: 'sin_bin_ended',
+    SHOOTOUT_END: 'shootout_end'
+  }
+}));
+
 jest.mock('../useMatchAudio', () => {
   const mockHook = jest.fn(() => ({
     requestWakeLock: jest.fn(),
@@ -504,6 +512,37 @@ describe('useGameState match persistence error handling', () => {
     expect(result.current.view).toBe(VIEWS.STATS);
   });
 
+  it('saves the extra-time periods of a match finished after extra time', async () => {
+    const { formatFinalStatsFromGameState: formatActualFinalStats } = jest.requireActual('../../services/matchStateManager');
+    formatFinalStatsFromGameState.mockImplementation(formatActualFinalStats);
+    updateMatchToFinished.mockResolvedValue({ success: true });
+
+    const { result } = setupHook({
+      initialStateOverrides: {
+        currentPeriodNumber: 3,
+        extraTime: { periods: 2, periodDurationMinutes: 5 }
+      }
+    });
+
+    await act(async () => {
+      await result.current.handleEndPeriod();
+    });
+
+    expect(updateMatchToFinished).toHaveBeenCalledWith(
+      'match-123',
+      expect.objectContaining({
+        goalsScored: 1,
+        goalsConceded: 0,
+        extraTimePeriods: 2,
+        extraTimePeriodDurationMinutes: 5
+      }),
+      expect.any(Array),
+      expect.anything(),
+      expect.anything()
+    );
+    expect(result.current.matchState).toBe('finished');
+  });
+
   it('allows continuing without saving a failed match', async () => {
     formatFinalStatsFromGameState.mockReturnValue({
       matchDurationSeconds: 60,
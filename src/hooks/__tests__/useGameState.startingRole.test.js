@@ -40,6 +40,14 @@ jest.mock('../useMatchPersistence', () => ({
   useMatchPersistence: jest.fn()
 }));
 
+jest.mock('../../utils/gameEventLogger', () => ({
+  logEvent: jest.fn(),
+  EVENT_TYPES: {
+    SIN_BIN_ENDED: 'sin_bin_ended',
+    SHOOTOUT_END: 'shootout_end'
+  }
+}));
+
 jest.mock('../useMatchAudio', () => {
   const mockHook = jest.fn(() => ({
     requestWakeLock: jest.fn(),
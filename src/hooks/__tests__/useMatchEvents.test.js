@@ -0,0 +1,179 @@
+/**
+ * useMatchEvents Hook Tests
+ *
+ * Covers the live match feed: initial fetch, pushed events over the Realtime
+ * broadcast channel, gap filling on (re)connect and the polling fallback.
+ */
+
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { useMatchEvents, mergeEventsByOrdinal, CONNECTION_MODES } from '../useMatchEvents';
+import { supabase } from '../../lib/supabase';
+
+jest.mock('../../lib/supabase', () => ({
+  supabase: {
+    channel: jest.fn()
+  }
+}));
+
+const buildEvent = (ordinal, eventType = 'goal_scored') => ({
+  id: `event-${ordinal}`,
+  match_id: 'match-1',
+  event_type: eventType,
+  ordinal
+});
+
+describe('mergeEventsByOrdinal', () => {
+  it('drops duplicates and keeps ordinal order', () => {
+    const current = [buildEvent(1), buildEvent(5)];
+    const merged = mergeEventsByOrdinal(current, [buildEvent(5), buildEvent(3), buildEvent(8)]);
+
+    expect(merged.map(event => event.ordinal)).toEqual([1, 3, 5, 8]);
+  });
+
+  it('returns the current list when nothing is new', () => {
+    const current = [buildEvent(1)];
+
+    expect(mergeEventsByOrdinal(current, [buildEvent(1)])).toBe(current);
+    expect(mergeEventsByOrdinal(current, [])).toBe(current);
+  });
+});
+
+describe('useMatchEvents', () => {
+  const originalEnv = process.env;
+  let channel;
+  let broadcastHandler;
+  let statusHandler;
+
+  const mockFetchResponse = (events, latestOrdinal) => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: () => Promise.resolve({ events, latest_ordinal: latestOrdinal })
+    });
+  };
+
+  const fetchedUrls = () => global.fetch.mock.calls.map(([url]) => new URL(url));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    process.env = {
+      ...originalEnv,
+      REACT_APP_SUPABASE_URL: 'https://test.supabase.co',
+      REACT_APP_SUPABASE_ANON_KEY: 'anon-key'
+    };
+    global.fetch = jest.fn();
+
+    broadcastHandler = null;
+    statusHandler = null;
+    channel = {
+      on: jest.fn((type, filter, handler) => {
+        broadcastHandler = handler;
+        return channel;
+      }),
+      subscribe: jest.fn((handler) => {
+        statusHandler = handler;
+        return channel;
+      }),
+      unsubscribe: jest.fn()
+    };
+    supabase.channel.mockReturnValue(channel);
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    console.error.mockRestore();
+    jest.useRealTimers();
+  });
+
+  it('subscribes to the match broadcast topic and appends pushed events', async () => {
+    mockFetchResponse([buildEvent(1, 'match_started')], 1);
+
+    const { result } = renderHook(() => useMatchEvents('match-1', { pollingEnabled: true }));
+
+    await waitFor(() => expect(result.current.events).toHaveLength(1));
+    expect(supabase.channel).toHaveBeenCalledWith('live-match:match-1');
+    expect(channel.on).toHaveBeenCalledWith('broadcast', { event: 'match_event' }, expect.any(Function));
+
+    act(() => {
+      broadcastHandler({ payload: buildEvent(4) });
+      broadcastHandler({ payload: buildEvent(4) });
+      broadcastHandler({ payload: { ...buildEvent(6), match_id: 'other-match' } });
+    });
+
+    expect(result.current.events.map(event => event.ordinal)).toEqual([1, 4]);
+    expect(result.current.latestOrdinal).toBe(4);
+  });
+
+  it('fills the gap since the last known ordinal when the channel connects', async () => {
+    mockFetchResponse([buildEvent(1, 'match_started')], 1);
+    mockFetchResponse([buildEvent(2), buildEvent(3)], 3);
+
+    const { result } = renderHook(() => useMatchEvents('match-1', { pollingEnabled: true }));
+
+    await waitFor(() => expect(result.current.events).toHaveLength(1));
+
+    act(() => {
+      statusHandler('SUBSCRIBED');
+    });
+
+    await waitFor(() => expect(result.current.events).toHaveLength(3));
+    expect(fetchedUrls()[1].searchParams.get('since_ordinal')).toBe('1');
+    expect(result.current.connectionMode).toBe(CONNECTION_MODES.STREAMING);
+  });
+
+  it('only polls while the channel is down', async () => {
+    jest.useFakeTimers();
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ events: [], latest_ordinal: 0 })
+    });
+
+    const { result } = renderHook(() => useMatchEvents('match-1', { pollingEnabled: true, refreshIntervalMs: 1000 }));
+
+    await act(async () => {
+      await Promise.resolve();
+    });
+    act(() => {
+      statusHandler('SUBSCRIBED');
+    });
+    await act(async () => {
+      await Promise.resolve();
+    });
+
+    const callsWhileStreaming = global.fetch.mock.calls.length;
+    act(() => {
+      jest.advanceTimersByTime(3000);
+    });
+    expect(global.fetch.mock.calls.length).toBe(callsWhileStreaming);
+
+    act(() => {
+      statusHandler('CHANNEL_ERROR');
+    });
+    expect(result.current.connectionMode).toBe(CONNECTION_MODES.POLLING);
+
+    act(() => {
+      jest.advanceTimersByTime(3000);
+    });
+    expect(global.fetch.mock.calls.length).toBe(callsWhileStreaming + 3);
+  });
+
+  it('does not subscribe when streaming is disabled', async () => {
+    mockFetchResponse([], 0);
+
+    const { result } = renderHook(() => useMatchEvents('match-1', { streamingEnabled: false }));
+
+    await waitFor(() => expect(result.current.isLoading).toBe(false));
+    expect(supabase.channel).not.toHaveBeenCalled();
+  });
+
+  it('unsubscribes on unmount', async () => {
+    mockFetchResponse([], 0);
+
+    const { result, unmount } = renderHook(() => useMatchEvents('match-1'));
+
+    await waitFor(() => expect(result.current.isLoading).toBe(false));
+    unmount();
+
+    expect(channel.unsubscribe).toHaveBeenCalled();
+  });
+});
@@ -1,11 +1,16 @@
 import { act, renderHook, waitFor } from '@testing-library/react';
 import { useProviderAvailability } from '../useProviderAvailability';
 import { getMatchPlayerAvailability } from '../../services/matchIntegrationService';
+import { getAvailabilityRequests } from '../../services/availabilityRequestService';
 
 jest.mock('../../services/matchIntegrationService', () => ({
   getMatchPlayerAvailability: jest.fn()
 }));
 
+jest.mock('../../services/availabilityRequestService', () => ({
+  getAvailabilityRequests: jest.fn()
+}));
+
 describe('useProviderAvailability', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -85,6 +90,53 @@ describe('useProviderAvailability', () => {
     expect(result.current.providerUnavailableByMatch).toEqual({});
   });
 
+  describe('in-app availability requests', () => {
+    it('overlays answers on provider availability and reloads on request', async () => {
+      getMatchPlayerAvailability.mockResolvedValue({
+        success: true,
+        availabilityByMatch: {
+          'match-1': {
+            'player-1': { availability: 'available', response: 'accepted', inviteStatus: 'invited' }
+          }
+        }
+      });
+      const requestsByMatch = {
+        'match-1': {
+          requestedAt: '2026-03-01T10:00:00Z',
+          deadline: null,
+          responses: {
+            'player-1': { availability: 'unavailable', response: 'declined' },
+            'player-2': { availability: 'available', response: 'accepted' }
+          }
+        }
+      };
+      getAvailabilityRequests.mockResolvedValue({ success: true, requestsByMatch });
+
+      const { result } = renderHook(() => useProviderAvailability([{ id: 'match-1' }]));
+
+      await waitFor(() => {
+        expect(result.current.providerAvailabilityLoading).toBe(false);
+      });
+
+      expect(getAvailabilityRequests).toHaveBeenCalledWith(['match-1']);
+      expect(result.current.availabilityRequestsByMatch).toEqual(requestsByMatch);
+      expect(result.current.providerUnavailableByMatch).toEqual({ 'match-1': ['player-1'] });
+      expect(result.current.providerInvitedByMatch).toEqual({ 'match-1': ['player-1'] });
+      expect(result.current.providerResponseByMatch).toEqual({
+        'match-1': { 'player-1': 'declined', 'player-2': 'accepted' }
+      });
+
+      act(() => {
+        result.current.reloadAvailabilityRequests();
+      });
+
+      await waitFor(() => {
+        expect(getAvailabilityRequests).toHaveBeenCalledTimes(2);
+      });
+      expect(getMatchPlayerAvailability).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe('providerResponseByMatch', () => {
     it('returns response map per match from availability data', async () => {
       getMatchPlayerAvailability.mockResolvedValue({
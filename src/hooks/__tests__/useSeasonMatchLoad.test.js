@@ -0,0 +1,81 @@
+import { renderHook, waitFor } from '@testing-library/react';
+import { useSeasonMatchLoad } from '../useSeasonMatchLoad';
+import { getPlayerStats } from '../../services/matchStateManager';
+import { getTeamLoans } from '../../services/playerLoanService';
+
+jest.mock('../../services/matchStateManager', () => ({
+  getPlayerStats: jest.fn()
+}));
+
+jest.mock('../../services/playerLoanService', () => ({
+  ...jest.requireActual('../../services/playerLoanService'),
+  getTeamLoans: jest.fn()
+}));
+
+describe('useSeasonMatchLoad', () => {
+  const loadTeamPreferences = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    loadTeamPreferences.mockResolvedValue({ loanMatchWeight: 0.5 });
+    getPlayerStats.mockResolvedValue({
+      success: true,
+      players: [
+        { id: 'p1', matchesPlayed: 4, matchesAsGoalkeeper: 2 },
+        { id: 'p2', matchesPlayed: 1, matchesAsGoalkeeper: 0 }
+      ]
+    });
+    getTeamLoans.mockResolvedValue({
+      success: true,
+      loans: [{ player_id: 'p2' }, { player_id: 'p2' }, { player_id: 'p3' }]
+    });
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('combines season matches with weighted loan matches', async () => {
+    const { result } = renderHook(() => useSeasonMatchLoad('team-1', loadTeamPreferences));
+
+    await waitFor(() => expect(result.current.seasonLoadByPlayerId.size).toBe(3));
+
+    expect(result.current.seasonLoadByPlayerId.get('p1')).toEqual({
+      regularMatches: 4,
+      loanMatches: 0,
+      seasonMatches: 4,
+      goalieMatches: 2
+    });
+    expect(result.current.seasonLoadByPlayerId.get('p2').seasonMatches).toBe(2);
+    expect(result.current.seasonLoadByPlayerId.get('p3').seasonMatches).toBe(0.5);
+    expect(result.current.seasonLoadError).toBeNull();
+  });
+
+  it('loads stats from the start of the current year', async () => {
+    renderHook(() => useSeasonMatchLoad('team-1', loadTeamPreferences));
+
+    await waitFor(() => expect(getPlayerStats).toHaveBeenCalled());
+
+    const [teamId, startDate] = getPlayerStats.mock.calls[0];
+    expect(teamId).toBe('team-1');
+    expect(startDate).toEqual(new Date(new Date().getFullYear(), 0, 1));
+    expect(getTeamLoans).toHaveBeenCalledWith('team-1', expect.objectContaining({ startDate }));
+  });
+
+  it('reports stats errors', async () => {
+    getPlayerStats.mockResolvedValue({ success: false, error: 'boom' });
+
+    const { result } = renderHook(() => useSeasonMatchLoad('team-1', loadTeamPreferences));
+
+    await waitFor(() => expect(result.current.seasonLoadError).toBe('boom'));
+    expect(result.current.seasonLoadByPlayerId.size).toBe(0);
+  });
+
+  it('does nothing without a team', () => {
+    const { result } = renderHook(() => useSeasonMatchLoad(null, loadTeamPreferences));
+
+    expect(getPlayerStats).not.toHaveBeenCalled();
+    expect(result.current.seasonLoadByPlayerId.size).toBe(0);
+  });
+});
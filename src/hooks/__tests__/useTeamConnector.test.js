@@ -7,6 +7,8 @@ jest.mock('../../services/connectorService', () => ({
   connectProvider: jest.fn(),
   disconnectProvider: jest.fn(),
   triggerManualSync: jest.fn(),
+  connectFileImportProvider: jest.fn(),
+  runConnectorSync: jest.fn(),
   retryConnector: jest.fn(),
   getPlayerAttendance: jest.fn(),
   getUpcomingMatches: jest.fn(),
@@ -118,4 +120,40 @@ describe('useTeamConnector', () => {
     expect(connectorService.triggerManualSync).toHaveBeenCalledWith('connector-1');
     expect(result.current.syncingConnectorId).toBeNull();
   });
+
+  it('importConnectorFile runs the connector sync with the file and reloads connectors', async () => {
+    const connector = { id: 'connector-1', provider: 'svenska_lag' };
+    const source = { fileName: 'trupp.csv', text: 'Namn\nAlva Berg' };
+    connectorService.getTeamConnectors
+      .mockResolvedValueOnce([connector])
+      .mockResolvedValueOnce([connector]);
+    connectorService.runConnectorSync.mockResolvedValue({ jobId: 'job-1', players: 1, attendance: 0, matches: 0 });
+
+    const { result } = renderHook(() => useTeamConnector('team-1'));
+    await waitFor(() => expect(result.current.connectors).toEqual([connector]));
+
+    let importResult;
+    await act(async () => {
+      importResult = await result.current.importConnectorFile(connector, source);
+    });
+
+    expect(connectorService.runConnectorSync).toHaveBeenCalledWith(connector, source);
+    expect(connectorService.getTeamConnectors).toHaveBeenCalledTimes(2);
+    expect(importResult).toEqual({ jobId: 'job-1', players: 1, attendance: 0, matches: 0 });
+    expect(result.current.syncingConnectorId).toBeNull();
+  });
+
+  it('importConnectorFile keeps the import error for display', async () => {
+    connectorService.getTeamConnectors.mockResolvedValue([]);
+    connectorService.runConnectorSync.mockRejectedValue(new Error('No players, attendance or upcoming matches were found in the file'));
+
+    const { result } = renderHook(() => useTeamConnector('team-1'));
+    await waitFor(() => expect(result.current.loading).toBe(false));
+
+    await act(async () => {
+      await expect(result.current.importConnectorFile({ id: 'connector-1' }, { text: 'x' })).rejects.toThrow();
+    });
+
+    expect(result.current.error).toBe('No players, attendance or upcoming matches were found in the file');
+  });
 });
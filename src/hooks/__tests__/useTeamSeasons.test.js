@@ -0,0 +1,58 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import { useTeamSeasons } from '../useTeamSeasons';
+import { getTeamSeasons } from '../../services/seasonService';
+
+jest.mock('../../services/seasonService', () => ({
+  getTeamSeasons: jest.fn()
+}));
+
+describe('useTeamSeasons', () => {
+  const seasons = [
+    { id: 'season-2', name: '2026', status: 'active' },
+    { id: 'season-1', name: '2025', status: 'archived' }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getTeamSeasons.mockResolvedValue({ success: true, seasons });
+  });
+
+  it('loads the seasons of the team', async () => {
+    const { result } = renderHook(() => useTeamSeasons('team-1'));
+
+    await waitFor(() => expect(result.current.seasons).toEqual(seasons));
+
+    expect(getTeamSeasons).toHaveBeenCalledWith('team-1');
+    expect(result.current.loading).toBe(false);
+    expect(result.current.error).toBeNull();
+  });
+
+  it('does not load without a team', () => {
+    const { result } = renderHook(() => useTeamSeasons(null));
+
+    expect(getTeamSeasons).not.toHaveBeenCalled();
+    expect(result.current.seasons).toEqual([]);
+  });
+
+  it('translates load errors', async () => {
+    getTeamSeasons.mockResolvedValue({ success: false, error: 'errors.seasonLoadFailed' });
+
+    const { result } = renderHook(() => useTeamSeasons('team-1'));
+
+    await waitFor(() => expect(result.current.error).toBe('Failed to load seasons'));
+    expect(result.current.seasons).toEqual([]);
+  });
+
+  it('reloads on refresh', async () => {
+    const { result } = renderHook(() => useTeamSeasons('team-1'));
+
+    await waitFor(() => expect(result.current.seasons).toHaveLength(2));
+
+    getTeamSeasons.mockResolvedValue({ success: true, seasons: [seasons[0]] });
+    await act(async () => {
+      await result.current.refresh();
+    });
+
+    expect(result.current.seasons).toEqual([seasons[0]]);
+  });
+});
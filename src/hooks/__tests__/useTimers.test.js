@@ -362,6 +362,54 @@ describe('useTimers', () => {
     });
   });
 
+  describe('Match Clock Alerts', () => {
+    it('should announce two minutes left and the period end once each', () => {
+      const onMatchTimerAlert = jest.fn();
+      const { result } = renderHook(() => useTimers(3, 0, null, 1, true, null, onMatchTimerAlert));
+
+      act(() => {
+        result.current.startTimers();
+      });
+
+      act(() => {
+        Date.now.mockReturnValue(1061000); // 119 seconds left
+        jest.advanceTimersByTime(1000);
+      });
+      act(() => {
+        Date.now.mockReturnValue(1062000);
+        jest.advanceTimersByTime(1000);
+      });
+
+      expect(onMatchTimerAlert).toHaveBeenCalledTimes(1);
+      expect(onMatchTimerAlert).toHaveBeenCalledWith('twoMinuteWarning');
+
+      act(() => {
+        Date.now.mockReturnValue(1180000); // 0 seconds left
+        jest.advanceTimersByTime(1000);
+      });
+
+      expect(onMatchTimerAlert).toHaveBeenCalledTimes(2);
+      expect(onMatchTimerAlert).toHaveBeenLastCalledWith('periodEnd');
+    });
+
+    it('should only announce the latest alert after a gap in updates', () => {
+      const onMatchTimerAlert = jest.fn();
+      const { result } = renderHook(() => useTimers(3, 0, null, 1, true, null, onMatchTimerAlert));
+
+      act(() => {
+        result.current.startTimers();
+      });
+
+      act(() => {
+        Date.now.mockReturnValue(1185000); // 5 seconds past the period end
+        jest.advanceTimersByTime(1000);
+      });
+
+      expect(onMatchTimerAlert).toHaveBeenCalledTimes(1);
+      expect(onMatchTimerAlert).toHaveBeenCalledWith('periodEnd');
+    });
+  });
+
   describe('Substitution Timer Controls', () => {
     it('should reset sub timer correctly', () => {
       const { result } = renderHook(() => useTimers(15));
@@ -552,6 +600,39 @@ describe('useTimers', () => {
     });
   });
 
+  describe('Shared Timer State', () => {
+    it('should take over timers published by another device', () => {
+      const { result } = renderHook(() => useTimers(15));
+
+      act(() => {
+        result.current.applySharedTimers({
+          isPeriodActive: true,
+          periodStartTime: 940000,
+          lastSubstitutionTime: 970000,
+          secondLastSubstitutionTime: 940000,
+          pauseStartTime: 990000,
+          totalPausedDuration: 5000
+        });
+      });
+
+      expect(result.current.isPeriodActive).toBe(true);
+      expect(result.current.matchTimerSeconds).toBe(840);
+      expect(result.current.isSubTimerPaused).toBe(true);
+      expect(result.current.subTimerSeconds).toBe(15);
+      expect(result.current.pauseStartTime).toBe(990000);
+      expect(result.current.totalPausedDuration).toBe(5000);
+
+      // Persisted so a refresh keeps the shared timers
+      const { result: reloaded } = renderHook(() => useTimers(15));
+      expect(reloaded.current.periodStartTime).toBe(940000);
+      expect(reloaded.current.pauseStartTime).toBe(990000);
+
+      act(() => {
+        reloaded.current.clearAllTimersForNewGame();
+      });
+    });
+  });
+
   describe('Edge Cases and Error Handling', () => {
     it('should handle zero period duration', () => {
       const { result } = renderHook(() => useTimers(0));
@@ -19,7 +19,7 @@ export const useFieldPositionHandlers = (fieldPositionCallbacks, teamConfig) =>
     fieldPositionCallbacks.rightAttackerCallback || (() => {})
   );
 
-  // 7v7 formation positions (2-2-2 and 2-3-1)
+  // Center positions (1-3, 1-1-2, 2-1-1 and 7v7 formations)
   const leftMidfielderEvents = useQuickTapWithScrollDetection(
     fieldPositionCallbacks.leftMidfielderCallback || (() => {})
   );
@@ -29,6 +29,26 @@ export const useFieldPositionHandlers = (fieldPositionCallbacks, teamConfig) =>
   const rightMidfielderEvents = useQuickTapWithScrollDetection(
     fieldPositionCallbacks.rightMidfielderCallback || (() => {})
   );
+  const centerDefenderEvents = useQuickTapWithScrollDetection(
+    fieldPositionCallbacks.centerDefenderCallback || (() => {})
+  );
+  const centerAttackerEvents = useQuickTapWithScrollDetection(
+    fieldPositionCallbacks.centerAttackerCallback || (() => {})
+  );
+
+  // Four-player line positions (11v11 formations)
+  const leftCenterDefenderEvents = useQuickTapWithScrollDetection(
+    fieldPositionCallbacks.leftCenterDefenderCallback || (() => {})
+  );
+  const rightCenterDefenderEvents = useQuickTapWithScrollDetection(
+    fieldPositionCallbacks.rightCenterDefenderCallback || (() => {})
+  );
+  const leftCenterMidfielderEvents = useQuickTapWithScrollDetection(
+    fieldPositionCallbacks.leftCenterMidfielderCallback || (() => {})
+  );
+  const rightCenterMidfielderEvents = useQuickTapWithScrollDetection(
+    fieldPositionCallbacks.rightCenterMidfielderCallback || (() => {})
+  );
   
   // 1-2-1 Formation positions (MISSING - this was the bug!)
   const defenderEvents = useQuickTapWithScrollDetection(
@@ -60,6 +80,24 @@ export const useFieldPositionHandlers = (fieldPositionCallbacks, teamConfig) =>
   const substitute_5Events = useQuickTapWithScrollDetection(
     fieldPositionCallbacks.substitute_5Callback || (() => {})
   );
+  const substitute_6Events = useQuickTapWithScrollDetection(
+    fieldPositionCallbacks.substitute_6Callback || (() => {})
+  );
+  const substitute_7Events = useQuickTapWithScrollDetection(
+    fieldPositionCallbacks.substitute_7Callback || (() => {})
+  );
+  const substitute_8Events = useQuickTapWithScrollDetection(
+    fieldPositionCallbacks.substitute_8Callback || (() => {})
+  );
+  const substitute_9Events = useQuickTapWithScrollDetection(
+    fieldPositionCallbacks.substitute_9Callback || (() => {})
+  );
+  const substitute_10Events = useQuickTapWithScrollDetection(
+    fieldPositionCallbacks.substitute_10Callback || (() => {})
+  );
+  const substitute_11Events = useQuickTapWithScrollDetection(
+    fieldPositionCallbacks.substitute_11Callback || (() => {})
+  );
 
   return {
     // 2-2 Formation events
@@ -68,10 +106,18 @@ export const useFieldPositionHandlers = (fieldPositionCallbacks, teamConfig) =>
     leftAttackerEvents,
     rightAttackerEvents,
 
-    // 7v7 formation events
+    // Center position events
     leftMidfielderEvents,
     centerMidfielderEvents,
     rightMidfielderEvents,
+    centerDefenderEvents,
+    centerAttackerEvents,
+
+    // Four-player line events
+    leftCenterDefenderEvents,
+    rightCenterDefenderEvents,
+    leftCenterMidfielderEvents,
+    rightCenterMidfielderEvents,
 
     // 1-2-1 Formation events
     defenderEvents,
@@ -84,6 +130,12 @@ export const useFieldPositionHandlers = (fieldPositionCallbacks, teamConfig) =>
     substitute_2Events,
     substitute_3Events,
     substitute_4Events,
-    substitute_5Events
+    substitute_5Events,
+    substitute_6Events,
+    substitute_7Events,
+    substitute_8Events,
+    substitute_9Events,
+    substitute_10Events,
+    substitute_11Events
   };
 };
@@ -10,11 +10,16 @@ import { updatePlayerTimeStats } from '../game/time/stintManager';
 import { createMatch, formatMatchDataFromGameState, updateMatchToFinished, updateMatchToRunning, formatFinalStatsFromGameState, updateExistingMatch, upsertPlayerMatchStats, saveInitialMatchConfig, validateFinalStats } from '../services/matchStateManager';
 import { saveMatchConfiguration as saveMatchConfigurationService } from '../services/matchConfigurationService';
 import { createRotationQueue } from '../game/queue/rotationQueue';
-import { getPositionRole } from '../game/logic/positionUtils';
-import { createGamePersistenceManager } from '../utils/persistenceManager';
+import { getPositionRole, getFieldPositions, getSubstitutePositions } from '../game/logic/positionUtils';
+import { isShootoutEligible, createShootoutState, getShootoutScore, getShootoutWinner } from '../game/logic/penaltyShootout';
+import { canStartExtraTime as canStartExtraTimeForMatch, getTotalPeriods, getExtraTimePeriodNumber, getPeriodDurationMinutes } from '../game/logic/extraTime';
+import { createGamePersistenceManager, createPersistenceManager } from '../utils/persistenceManager';
 import { useMatchPersistence } from './useMatchPersistence';
-import { createPlayerLookup, findPlayerById, getSelectedSquadPlayers, getOutfieldPlayers, createEmptyPlayerStats } from '../utils/playerUtils';
+import { createPlayerLookup, findPlayerById, getSelectedSquadPlayers, getOutfieldPlayers, countSentOffPlayers, createEmptyPlayerStats } from '../utils/playerUtils';
 import { useLegacyMatchEvents as useMatchEvents } from './useMatchEvents';
+import { logEvent, EVENT_TYPES } from '../utils/gameEventLogger';
+import { formatPlayerName } from '../utils/formatUtils';
+import { buildPhoneticNameMap, buildSubstitutionAnnouncement, buildMatchTimerAnnouncement, buildMatchAlertAnnouncement } from '../utils/matchAnnouncements';
 import { useTeamConfig } from './useTeamConfig';
 import { useMatchAudio } from './useMatchAudio';
 import { usePlayerState } from './usePlayerState';
@@ -23,6 +28,8 @@ import { usePreferences } from '../contexts/PreferencesContext';
 import { DEFAULT_MATCH_TYPE } from '../constants/matchTypes';
 import { DEFAULT_VENUE_TYPE } from '../constants/matchVenues';
 import { STORAGE_KEYS } from '../constants/storageKeys';
+import { SUBSTITUTION_LOGIC_OPTIONS } from '../types/preferences';
+import { DEFAULT_MATCH_ALERT_RULES, normalizeMatchAlertRules } from '../game/logic/matchAlerts';
 
 // PersistenceManager for handling localStorage operations
 const persistenceManager = createGamePersistenceManager(STORAGE_KEYS.GAME_STATE);
@@ -48,6 +55,28 @@ const hasPlayerAssignments = (formation, teamConfig) => {
   });
 };
 
+/**
+ * Check if every outfield slot of a period formation has its own player.
+ * Field slots of players sent off with a red card stay empty for the rest of the match.
+ * @param {Object} formation - Formation to check
+ * @param {Object} modeDefinition - Mode definition with field and substitute positions
+ * @param {number} sentOffCount - Number of sent-off players in the squad
+ * @returns {boolean} True if the formation can start a period
+ */
+const isFormationFilled = (formation, modeDefinition, sentOffCount) => {
+  const outfieldPositions = [...modeDefinition.fieldPositions, ...modeDefinition.substitutePositions];
+  const assignedOutfielders = outfieldPositions
+    .map(positionKey => formation[positionKey])
+    .filter(Boolean);
+  const assignedFieldCount = modeDefinition.fieldPositions.filter(positionKey => formation[positionKey]).length;
+
+  const expectedOutfieldCount = outfieldPositions.length - sentOffCount;
+  return Boolean(formation.goalie) &&
+    assignedOutfielders.length === expectedOutfieldCount &&
+    new Set(assignedOutfielders).size === expectedOutfieldCount &&
+    assignedFieldCount <= modeDefinition.fieldPositions.length - sentOffCount;
+};
+
 const findPlayerPositionKey = (playerId, formation, formationAwareTeamConfig) => {
   const modeDefinition = getModeDefinition(formationAwareTeamConfig);
   if (!modeDefinition) {
@@ -132,15 +161,12 @@ const normalizeView = (value) => {
 };
 
 export function useGameState(navigateToView = null) {
-  const { t } = useTranslation('game');
+  const { t, i18n } = useTranslation('game');
   // Get current team from context for database operations
-  const { currentTeam, updateMatchActivityStatus, loadTeamPreferences } = useTeam();
+  const { currentTeam, teamPlayers, updateMatchActivityStatus, loadTeamPreferences } = useTeam();
   // Get preferences for various integrations
   const { audioPreferences } = usePreferences();
 
-  // Audio and wake lock management - extracted to useMatchAudio hook
-  const { requestWakeLock, releaseWakeLock, playAlertSounds } = useMatchAudio(audioPreferences);
-
   // Initialize state from PersistenceManager ONLY ONCE using lazy initializer
   const [initialState] = useState(() => {
     const loadedState = persistenceManager.loadState(); // Keep direct call for initial load
@@ -193,6 +219,47 @@ export function useGameState(navigateToView = null) {
   const [venueType, setVenueType] = useState(initialState.venueType || DEFAULT_VENUE_TYPE);
   const [lastSubstitutionTimestamp, setLastSubstitutionTimestamp] = useState(initialState.lastSubstitutionTimestamp || null);
 
+  // Spoken announcements - sentences are built from the current lineup when an alert fires
+  const getSubstitutionAnnouncement = useCallback(() => {
+    const formationAwareTeamConfig = getFormationAwareTeamConfig();
+    if (!formationAwareTeamConfig) return null;
+
+    // Substitution count is chosen on the game screen and persisted there
+    const { count } = createPersistenceManager(STORAGE_KEYS.SUBSTITUTION_COUNT, { count: 1 }).loadState();
+
+    return buildSubstitutionAnnouncement({
+      formation,
+      rotationQueue,
+      allPlayers,
+      fieldPositions: getFieldPositions(formationAwareTeamConfig),
+      substitutePositions: getSubstitutePositions(formationAwareTeamConfig),
+      substitutionCount: count,
+      phoneticNames: buildPhoneticNameMap(teamPlayers),
+      t
+    });
+  }, [getFormationAwareTeamConfig, formation, rotationQueue, allPlayers, teamPlayers, t]);
+
+  const getMatchTimerAnnouncement = useCallback((alertId) => {
+    return buildMatchTimerAnnouncement(alertId, currentPeriodNumber, t);
+  }, [currentPeriodNumber, t]);
+
+  const getMatchAlertAnnouncement = useCallback((alert) => {
+    return buildMatchAlertAnnouncement(alert, {
+      periodNumber: currentPeriodNumber,
+      allPlayers,
+      phoneticNames: buildPhoneticNameMap(teamPlayers),
+      t
+    });
+  }, [currentPeriodNumber, allPlayers, teamPlayers, t]);
+
+  // Audio and wake lock management - extracted to useMatchAudio hook
+  const { requestWakeLock, releaseWakeLock, playAlertSounds, announceMatchTimerAlert, playMatchAlert } = useMatchAudio(audioPreferences, {
+    getSubstitutionAnnouncement,
+    getMatchTimerAnnouncement,
+    getMatchAlertAnnouncement,
+    language: i18n?.language
+  });
+
   const currentFormat = teamConfig?.format || FORMATS.FORMAT_5V5;
   const minimumPlayersForFormat = useMemo(() => getMinimumPlayersForFormat(currentFormat), [currentFormat]);
   const maximumPlayersForMatch = useMemo(() => getMaximumPlayersForFormat(currentFormat), [currentFormat]);
@@ -238,6 +305,20 @@ export function useGameState(navigateToView = null) {
   const [trackGoalScorer, setTrackGoalScorer] = useState(
     initialState.trackGoalScorer ?? true
   );
+  const [trackAssists, setTrackAssists] = useState(
+    initialState.trackAssists ?? false
+  );
+  const [substitutionLogic, setSubstitutionLogic] = useState(
+    initialState.substitutionLogic ?? SUBSTITUTION_LOGIC_OPTIONS.EQUAL_TIME
+  );
+  // Match alert rules from team preferences (see game/logic/matchAlerts)
+  const [matchAlertRules, setMatchAlertRules] = useState(DEFAULT_MATCH_ALERT_RULES);
+  // Planned substitution schedule for the whole match (see game/logic/rotationPlan)
+  const [rotationPlan, setRotationPlan] = useState(initialState.rotationPlan || null);
+  // Penalty shootout after a drawn cup or tournament match (see game/logic/penaltyShootout)
+  const [shootout, setShootout] = useState(initialState.shootout || null);
+  // Extra-time periods chosen when regular time ended level (see game/logic/extraTime)
+  const [extraTime, setExtraTime] = useState(initialState.extraTime || null);
 
   useEffect(() => {
     if (updateMatchActivityStatus) {
@@ -248,7 +329,7 @@ export function useGameState(navigateToView = null) {
   useEffect(() => {
     let isMounted = true;
 
-    const syncGoalTrackingPreference = async () => {
+    const syncMatchPreferences = async () => {
       if (!currentTeam?.id || !loadTeamPreferences) {
         return;
       }
@@ -262,12 +343,22 @@ export function useGameState(navigateToView = null) {
         } else {
           setTrackGoalScorer(true);
         }
+
+        setTrackAssists(preferences?.trackAssists === true);
+
+        setSubstitutionLogic(
+          Object.values(SUBSTITUTION_LOGIC_OPTIONS).includes(preferences?.substitutionLogic)
+            ? preferences.substitutionLogic
+            : SUBSTITUTION_LOGIC_OPTIONS.EQUAL_TIME
+        );
+
+        setMatchAlertRules(normalizeMatchAlertRules(preferences?.matchAlertRules));
       } catch (error) {
-        console.warn('Failed to load goal tracking preference:', error);
+        console.warn('Failed to load match preferences:', error);
       }
     };
 
-    syncGoalTrackingPreference();
+    syncMatchPreferences();
 
     return () => {
       isMounted = false;
@@ -335,6 +426,11 @@ export function useGameState(navigateToView = null) {
         matchState,
         hasActiveConfiguration,
         trackGoalScorer,
+        trackAssists,
+        substitutionLogic,
+        rotationPlan,
+        shootout,
+        extraTime,
       };
 
       // Use the persistence manager's saveGameState method
@@ -343,7 +439,7 @@ export function useGameState(navigateToView = null) {
 
     // Cleanup timeout on dependency change or unmount
     return () => clearTimeout(timeoutId);
-  }, [playerStateHook, view, numPeriods, periodDurationMinutes, periodGoalieIds, teamConfigHook, alertMinutes, currentPeriodNumber, formation, nextPlayerToSubOut, nextPlayerIdToSubOut, rotationQueue, gameLog, opponentTeam, matchType, venueType, lastSubstitutionTimestamp, matchEventsHook, timerPauseStartTime, totalMatchPausedDuration, captainId, currentMatchId, matchCreated, matchState, hasActiveConfiguration, trackGoalScorer]);
+  }, [playerStateHook, view, numPeriods, periodDurationMinutes, periodGoalieIds, teamConfigHook, alertMinutes, currentPeriodNumber, formation, nextPlayerToSubOut, nextPlayerIdToSubOut, rotationQueue, gameLog, opponentTeam, matchType, venueType, lastSubstitutionTimestamp, matchEventsHook, timerPauseStartTime, totalMatchPausedDuration, captainId, currentMatchId, matchCreated, matchState, hasActiveConfiguration, trackGoalScorer, trackAssists, substitutionLogic, rotationPlan, shootout, extraTime]);
 
 
 
@@ -365,7 +461,8 @@ export function useGameState(navigateToView = null) {
         selectedSquadIds.map(id => allPlayers.find(p => p.id === id)),
         teamConfig,
         selectedFormation,
-        lastPeriodLog.formation
+        lastPeriodLog.formation,
+        substitutionLogic
       );
 
       // Create formation using the template and result data
@@ -398,7 +495,7 @@ export function useGameState(navigateToView = null) {
       setNextPlayerToSubOut(fieldPositions[0] || 'leftDefender');
       setRotationQueue([]);
     }
-  }, [periodGoalieIds, selectedSquadIds, allPlayers, teamConfig, selectedFormation, getFormationAwareTeamConfig]);
+  }, [periodGoalieIds, selectedSquadIds, allPlayers, teamConfig, selectedFormation, getFormationAwareTeamConfig, substitutionLogic]);
 
   const preparePeriod = useCallback((periodNum) => {
     preparePeriodWithGameLog(periodNum, gameLog);
@@ -517,15 +614,10 @@ export function useGameState(navigateToView = null) {
       return;
     }
 
-    const outfieldPositions = [...modeDefinition.fieldPositions, ...modeDefinition.substitutePositions];
-    const assignedOutfielders = outfieldPositions
-      .map(positionKey => formation[positionKey])
-      .filter(Boolean);
+    const sentOffCount = countSentOffPlayers(getSelectedSquadPlayers(allPlayers, selectedSquadIds));
+    const expectedOutfieldCount = modeDefinition.fieldPositions.length + modeDefinition.substitutePositions.length - sentOffCount;
 
-    const expectedOutfieldCount = outfieldPositions.length;
-    const uniqueAssignedCount = new Set(assignedOutfielders).size;
-
-    if (uniqueAssignedCount !== expectedOutfieldCount || assignedOutfielders.length !== expectedOutfieldCount || !formation.goalie) {
+    if (!isFormationFilled(formation, modeDefinition, sentOffCount)) {
       alert(t('validation.completeFormation', { count: expectedOutfieldCount }));
       return;
     }
@@ -696,7 +788,7 @@ export function useGameState(navigateToView = null) {
     // Request wake lock
     requestWakeLock();
 
-    const substitutionManager = createSubstitutionManager(teamConfig);
+    const substitutionManager = createSubstitutionManager(teamConfig, selectedFormation, substitutionLogic);
 
     const context = {
       formation,
@@ -799,9 +891,10 @@ export function useGameState(navigateToView = null) {
       goalScorers,
       matchEvents,
       ownScore,
-      opponentScore
+      opponentScore,
+      extraTime
     };
-  }, [currentMatchId, matchStartTime, goalScorers, matchEvents, ownScore, opponentScore]);
+  }, [currentMatchId, matchStartTime, goalScorers, matchEvents, ownScore, opponentScore, extraTime]);
 
   const resolveMatchCompletionPayload = useCallback((context) => {
     if (!context?.matchId) {
@@ -824,7 +917,9 @@ export function useGameState(navigateToView = null) {
     const finalStats = context.finalStats || formatFinalStatsFromGameState({
       ownScore: context.ownScore,
       opponentScore: context.opponentScore,
-      allPlayers: context.updatedPlayers
+      allPlayers: context.updatedPlayers,
+      shootoutScore: context.shootoutScore,
+      extraTime: context.extraTime
     }, matchDurationSeconds);
 
     const validation = validateFinalStats(finalStats);
@@ -926,7 +1021,24 @@ export function useGameState(navigateToView = null) {
     return lastResult || { success: false, error: t('persistence.failedAfterRetries', { maxAttempts }) };
   }, [resolveMatchCompletionPayload, openMatchPersistenceError, clearMatchPersistenceError, buildMatchPersistenceErrorMessage, finalizeMatchCompletion, t]);
 
-  const handleEndPeriod = async (isSubTimerPaused = false) => {
+  const totalPeriods = getTotalPeriods(numPeriods, extraTime);
+  const extraTimePeriodNumber = getExtraTimePeriodNumber(currentPeriodNumber, numPeriods, extraTime);
+  const currentPeriodDurationMinutes = getPeriodDurationMinutes(currentPeriodNumber, numPeriods, periodDurationMinutes, extraTime);
+  const canStartExtraTime = canStartExtraTimeForMatch({
+    matchType,
+    ownScore,
+    opponentScore,
+    currentPeriodNumber,
+    numPeriods,
+    extraTime
+  });
+
+  /**
+   * End the current period
+   * @param {boolean} isSubTimerPaused - Whether the substitution timer is paused
+   * @param {Object|null} extraTimeToStart - Extra-time configuration chosen as regular time ends level
+   */
+  const handleEndPeriod = async (isSubTimerPaused = false, extraTimeToStart = null) => {
     // Auto-backup disabled to prevent localStorage quota issues
     const currentTimeEpoch = Date.now();
     const selectedSquadPlayers = getSelectedSquadPlayers(allPlayers, selectedSquadIds);
@@ -944,6 +1056,18 @@ export function useGameState(navigateToView = null) {
         else if (stats.currentRole === PLAYER_ROLES.DEFENDER) stats.periodsAsDefender += 1;
         else if (stats.currentRole === PLAYER_ROLES.ATTACKER) stats.periodsAsAttacker += 1;
 
+        // A sin-bin suspension does not carry over into the next period
+        if (stats.sinBin) {
+          stats.sinBin = null;
+          logEvent(EVENT_TYPES.SIN_BIN_ENDED, {
+            playerId: p.id,
+            playerName: formatPlayerName(p),
+            display_name: formatPlayerName(p),
+            timestamp: currentTimeEpoch,
+            periodNumber: currentPeriodNumber
+          });
+        }
+
         return { ...p, stats };
       }
       return p;
@@ -974,36 +1098,77 @@ export function useGameState(navigateToView = null) {
 
     setGameLog(updatedGameLog);
 
-    if (currentPeriodNumber < numPeriods) {
+    const matchExtraTime = extraTimeToStart || extraTime;
+    if (extraTimeToStart) {
+      setExtraTime(extraTimeToStart);
+    }
+
+    if (currentPeriodNumber < getTotalPeriods(numPeriods, matchExtraTime)) {
+      const nextPeriodNumber = currentPeriodNumber + 1;
+      // Extra-time periods start with the goalie of the previous period until the coach picks another one
+      const nextGoalieId = nextPeriodNumber > numPeriods
+        ? periodGoalieIds[nextPeriodNumber] || formation.goalie || periodGoalieIds[currentPeriodNumber] || null
+        : null;
+      if (nextGoalieId && !periodGoalieIds[nextPeriodNumber]) {
+        setPeriodGoalieIds(prev => ({ ...prev, [nextPeriodNumber]: nextGoalieId }));
+      }
       setCurrentPeriodNumber(prev => prev + 1);
-      preparePeriodWithGameLog(currentPeriodNumber + 1, updatedGameLog);
+      preparePeriodWithGameLog(nextPeriodNumber, updatedGameLog, nextGoalieId);
       setView(VIEWS.PERIOD_SETUP);
+    } else if (isShootoutEligible(matchType, ownScore, opponentScore)) {
+      // Drawn cup and tournament matches go to a penalty shootout before the match is saved.
+      // The end of the final period is kept so the shootout does not count as match time.
+      setShootout(createShootoutState({ regulationEndEpoch: currentTimeEpoch }));
+      setView(VIEWS.SHOOTOUT);
     } else {
-      // COMPLETE MATCH RECORD when last period ends
-      // Release wake lock when game ends regardless of persistence outcome
-      releaseWakeLock();
+      const persistResult = await completeMatch(currentTimeEpoch, updatedPlayersWithFinalStats);
+      if (!persistResult.success) {
+        return;
+      }
+    }
+  };
 
-      const completionContext = buildMatchCompletionContext(currentTimeEpoch, updatedPlayersWithFinalStats);
-      pendingMatchCompletionRef.current = completionContext;
+  // COMPLETE MATCH RECORD when last period (or the penalty shootout) ends
+  const completeMatch = async (matchEndEpoch, updatedPlayersWithFinalStats, shootoutScore = null) => {
+    // Release wake lock when game ends regardless of persistence outcome
+    releaseWakeLock();
 
-      const matchDurationSeconds = matchStartTime
-        ? Math.floor((currentTimeEpoch - matchStartTime) / 1000)
-        : null;
+    const completionContext = buildMatchCompletionContext(matchEndEpoch, updatedPlayersWithFinalStats);
+    if (shootoutScore) {
+      completionContext.shootoutScore = shootoutScore;
+    }
+    pendingMatchCompletionRef.current = completionContext;
 
-      if (matchDurationSeconds !== null) {
-        completionContext.matchDurationSeconds = matchDurationSeconds;
-        completionContext.finalStats = formatFinalStatsFromGameState({
-          ownScore,
-          opponentScore,
-          allPlayers: updatedPlayersWithFinalStats
-        }, matchDurationSeconds);
-      }
+    // Final stats, including extra time and the shootout score, are built from the context when it is persisted
+    return persistMatchCompletion(completionContext);
+  };
 
-      const persistResult = await persistMatchCompletion(completionContext);
-      if (!persistResult.success) {
-        return;
-      }
+  const completeShootout = async () => {
+    if (!shootout || !getShootoutWinner(shootout)) {
+      return { success: false, error: 'Shootout is not decided' };
     }
+
+    const shootoutScore = getShootoutScore(shootout);
+    try {
+      logEvent(EVENT_TYPES.SHOOTOUT_END, {
+        ownScore: shootoutScore.own,
+        opponentScore: shootoutScore.opponent,
+        winner: getShootoutWinner(shootout),
+        kicks: shootout.kicks,
+        matchId: currentMatchId
+      });
+    } catch (error) {
+      console.warn('Failed to log shootout result:', error);
+    }
+
+    return completeMatch(shootout.regulationEndEpoch || Date.now(), allPlayers, shootoutScore);
+  };
+
+  // Finish a drawn match without a shootout (e.g. when the competition allows draws)
+  const skipShootout = async () => {
+    const matchEndEpoch = shootout?.regulationEndEpoch || Date.now();
+    setShootout(null);
+    return completeMatch(matchEndEpoch, allPlayers);
   };
 
   // Add temporary player
@@ -1025,6 +1190,9 @@ export function useGameState(navigateToView = null) {
       // Reset configuration activity tracking
       setHasActiveConfiguration(false);
       setVenueType(DEFAULT_VENUE_TYPE);
+      setRotationPlan(null);
+      setShootout(null);
+      setExtraTime(null);
     } else {
       console.warn('Failed to clear game events');
     }
@@ -1344,19 +1512,8 @@ export function useGameState(navigateToView = null) {
       return { success: false, error: t('validation.completeFormationAssignment') };
     }
 
-    const outfieldPositions = [...modeDefinition.fieldPositions, ...modeDefinition.substitutePositions];
-    const assignedOutfielders = outfieldPositions
-      .map(positionKey => formation[positionKey])
-      .filter(Boolean);
-
-    const expectedOutfieldCount = outfieldPositions.length;
-    const uniqueAssignedCount = new Set(assignedOutfielders).size;
-
-    if (
-      assignedOutfielders.length !== expectedOutfieldCount ||
-      uniqueAssignedCount !== expectedOutfieldCount ||
-      !formation.goalie
-    ) {
+    const sentOffCount = countSentOffPlayers(getSelectedSquadPlayers(allPlayers, selectedSquadIds));
+    if (!isFormationFilled(formation, modeDefinition, sentOffCount)) {
       const errorMessage = t('validation.assignAllPositions');
       if (shouldNavigate) {
         alert(errorMessage);
@@ -1573,6 +1730,82 @@ export function useGameState(navigateToView = null) {
     return await saveMatchConfiguration({ shouldNavigate: false });
   }, [saveMatchConfiguration]);
 
+  // Game state shared with other devices controlling the match (see game/logic/sharedMatchState)
+  const getSharedGameState = () => ({
+    allPlayers,
+    selectedSquadIds,
+    captainId,
+    numPeriods,
+    periodDurationMinutes,
+    periodGoalieIds,
+    teamConfig,
+    selectedFormation,
+    currentPeriodNumber,
+    formation,
+    nextPlayerToSubOut,
+    nextPlayerIdToSubOut,
+    rotationQueue,
+    gameLog,
+    opponentTeam,
+    matchType,
+    venueType,
+    lastSubstitutionTimestamp,
+    ownScore,
+    opponentScore,
+    goalScorers,
+    matchState,
+    trackGoalScorer,
+    trackAssists,
+    substitutionLogic,
+    rotationPlan,
+    shootout,
+    extraTime,
+    currentMatchId,
+    matchCreated
+  });
+
+  // Take over game state published by another device. Raw setters are used so
+  // nothing is logged or recalculated on this device.
+  const applySharedGameState = useCallback((game) => {
+    if (!game) return;
+
+    const apply = (field, setter) => {
+      if (game[field] !== undefined) {
+        setter(game[field]);
+      }
+    };
+
+    apply('allPlayers', setAllPlayers);
+    apply('selectedSquadIds', setSelectedSquadIds);
+    apply('captainId', setCaptainId);
+    apply('numPeriods', setNumPeriods);
+    apply('periodDurationMinutes', setPeriodDurationMinutes);
+    apply('periodGoalieIds', setPeriodGoalieIds);
+    apply('teamConfig', setTeamConfig);
+    apply('selectedFormation', setSelectedFormation);
+    apply('currentPeriodNumber', setCurrentPeriodNumber);
+    apply('formation', setFormation);
+    apply('nextPlayerToSubOut', setNextPlayerToSubOut);
+    apply('nextPlayerIdToSubOut', setNextPlayerIdToSubOut);
+    apply('rotationQueue', setRotationQueue);
+    apply('gameLog', setGameLog);
+    apply('opponentTeam', setOpponentTeam);
+    apply('matchType', setMatchType);
+    apply('venueType', setVenueType);
+    apply('lastSubstitutionTimestamp', setLastSubstitutionTimestamp);
+    apply('goalScorers', setGoalScorers);
+    apply('matchState', setMatchState);
+    apply('trackGoalScorer', setTrackGoalScorer);
+    apply('trackAssists', setTrackAssists);
+    apply('substitutionLogic', setSubstitutionLogic);
+    apply('rotationPlan', setRotationPlan);
+    apply('shootout', setShootout);
+    apply('extraTime', setExtraTime);
+    apply('currentMatchId', setCurrentMatchId);
+    apply('matchCreated', setMatchCreated);
+    setScore(game.ownScore ?? 0, game.opponentScore ?? 0);
+  }, [setAllPlayers, setSelectedSquadIds, setCaptainId, setTeamConfig, setSelectedFormation, setGoalScorers, setScore]);
+
   return {
     // State
     allPlayers,
@@ -1635,6 +1868,20 @@ export function useGameState(navigateToView = null) {
     setCaptainId,
     trackGoalScorer,
     setTrackGoalScorer,
+    trackAssists,
+    setTrackAssists,
+    substitutionLogic,
+    setSubstitutionLogic,
+    matchAlertRules,
+    rotationPlan,
+    setRotationPlan,
+    shootout,
+    setShootout,
+    extraTime,
+    totalPeriods,
+    extraTimePeriodNumber,
+    currentPeriodDurationMinutes,
+    canStartExtraTime,
     
     // Match lifecycle state
     currentMatchId,
@@ -1658,6 +1905,8 @@ export function useGameState(navigateToView = null) {
     handleActualMatchStart,
     handleSubstitution,
     handleEndPeriod,
+    completeShootout,
+    skipShootout,
     retryMatchPersistence,
     continueWithoutSavingMatch,
     addTemporaryPlayer,
@@ -1675,11 +1924,14 @@ export function useGameState(navigateToView = null) {
     
     // Audio alert function (called by visual timer logic)
     playAlertSounds,
+    announceMatchTimerAlert,
+    playMatchAlert,
 
     // Team Configuration Management
     updateTeamConfig,
     updateFormationSelection,
     createTeamConfigFromSquadSize,
+    getFormationAwareTeamConfig,
     
     // Player Synchronization
     syncPlayersFromTeamRoster,
@@ -1688,5 +1940,9 @@ export function useGameState(navigateToView = null) {
     handleSaveConfiguration,
     handleSavePeriodConfiguration,
 
+    // Co-coach match control
+    getSharedGameState,
+    applySharedGameState,
+
   };
 }
@@ -0,0 +1,61 @@
+import { useEffect, useRef } from 'react';
+import { createMatchAlertState, stepMatchAlerts } from '../game/logic/matchAlerts';
+import { getFieldPositions } from '../game/logic/positionUtils';
+
+/**
+ * Hook that runs the team's match alert rules against the period clock
+ *
+ * Feeds every match timer update and the current lineup to stepMatchAlerts and
+ * plays the alerts that fire. Tracking state (how long players have been on)
+ * lives in a ref so it survives re-renders without triggering them.
+ *
+ * @param {Object} options
+ * @param {Array} options.rules - Normalized match alert rules
+ * @param {boolean} options.isPeriodActive - Whether the period clock is running
+ * @param {number} options.matchTimerSeconds - Seconds left in the period (negative after time is up)
+ * @param {number} options.periodNumber - Current period
+ * @param {number} options.periodDurationMinutes - Length of the current period
+ * @param {Object} options.formation - Position → player id
+ * @param {Object|null} options.teamConfig - Formation-aware team config
+ * @param {Function} options.playMatchAlert - Plays a fired alert (from useMatchAudio)
+ * @param {boolean} [options.isActive=true] - Only alert while the game screen is shown
+ */
+export function useMatchAlerts({
+  rules,
+  isPeriodActive,
+  matchTimerSeconds,
+  periodNumber,
+  periodDurationMinutes,
+  formation,
+  teamConfig,
+  playMatchAlert,
+  isActive = true
+}) {
+  const alertStateRef = useRef(createMatchAlertState());
+
+  useEffect(() => {
+    // The clock does not update while the game screen is hidden; continue from the last reading on return
+    if (!isActive) return;
+
+    const fieldPlayerIds = teamConfig && formation
+      ? getFieldPositions(teamConfig).map(position => formation[position])
+      : [];
+
+    const { state, alerts } = stepMatchAlerts(rules, alertStateRef.current, {
+      isPeriodActive,
+      periodNumber,
+      periodDurationSeconds: periodDurationMinutes * 60,
+      remainingSeconds: matchTimerSeconds,
+      fieldPlayerIds,
+      goalieId: formation?.goalie || null
+    });
+    alertStateRef.current = state;
+
+    // After a gap in updates several alerts can fire at once; only one is played
+    if (alerts.length > 0 && playMatchAlert) {
+      playMatchAlert(alerts[alerts.length - 1]);
+    }
+    // Only clock updates step the engine; lineup changes are picked up on the next tick
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [matchTimerSeconds, isPeriodActive, isActive, periodNumber]);
+}
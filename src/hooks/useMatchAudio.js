@@ -1,5 +1,7 @@
 import { useState, useCallback } from 'react';
 import { audioAlertService } from '../services/audioAlertService';
+import { speechAnnouncementService } from '../services/speechAnnouncementService';
+import { VIBRATION_PATTERNS } from '../constants/audioAlerts';
 
 /**
  * Hook for managing audio alerts and wake lock functionality
@@ -7,12 +9,21 @@ import { audioAlertService } from '../services/audioAlertService';
  * Handles:
  * - Wake lock management (prevents screen from sleeping during match)
  * - Audio alert playback with vibration
+ * - Match alert rules (own sound and vibration per rule)
+ * - Spoken announcements (substitutions, match clock warnings and match alerts)
  * - Integration with audio preferences from context
  *
  * @param {Object} audioPreferences - Audio preferences from PreferencesContext
+ * @param {Object} [announcements] - Spoken announcement sources
+ * @param {Function} [announcements.getSubstitutionAnnouncement] - Returns the sentence for the next substitution
+ * @param {Function} [announcements.getMatchTimerAnnouncement] - Returns the sentence for a match clock alert id
+ * @param {Function} [announcements.getMatchAlertAnnouncement] - Returns the sentence for a fired match alert
+ * @param {string} [announcements.language] - i18n language the sentences are written in
  * @returns {Object} Audio and wake lock state and handlers
  */
-export function useMatchAudio(audioPreferences = {}) {
+export function useMatchAudio(audioPreferences = {}, announcements = {}) {
+  const { getSubstitutionAnnouncement, getMatchTimerAnnouncement, getMatchAlertAnnouncement, language } = announcements;
+
   // Wake lock state
   const [wakeLock, setWakeLock] = useState(null);
 
@@ -39,16 +50,31 @@ export function useMatchAudio(audioPreferences = {}) {
     }
   }, [wakeLock]);
 
+  /**
+   * Speak an announcement when spoken announcements are on. Follows the
+   * audio alert toggle and volume so muting alerts also mutes speech.
+   */
+  const speakAnnouncement = useCallback((text) => {
+    if (!audioPreferences.enabled || !audioPreferences.spokenAnnouncements || !text) {
+      return;
+    }
+    speechAnnouncementService.speak(text, {
+      language,
+      volume: audioPreferences.volume ?? 1
+    });
+  }, [audioPreferences, language]);
+
   /**
    * Audio alert function - triggers substitution alerts (audio + vibration)
    * Called by visual timer logic in useTimers.js when sub timer reaches alertMinutes threshold
    * Replaces old setTimeout-based timer system for better synchronization
+   * The chime plays first; the spoken substitution follows once it has ended.
    */
   const playAlertSounds = useCallback(async () => {
     // Vibration alert
     if ('vibrate' in navigator) {
       try {
-        navigator.vibrate([1000, 200, 1000]);
+        navigator.vibrate(VIBRATION_PATTERNS.long);
       } catch (error) {
         // Silently handle vibration errors
       }
@@ -61,11 +87,56 @@ export function useMatchAudio(audioPreferences = {}) {
           audioPreferences.selectedSound,
           audioPreferences.volume
         );
+        if (audioPreferences.spokenAnnouncements) {
+          await audioAlertService.waitForEnd(audioPreferences.selectedSound);
+        }
       } catch (error) {
         console.error('[AUDIO_ALERT] Audio playback failed:', error.message);
       }
+
+      speakAnnouncement(getSubstitutionAnnouncement?.());
+    }
+  }, [audioPreferences, speakAnnouncement, getSubstitutionAnnouncement]);
+
+  /**
+   * Match clock alert function - speaks the two-minute and period end warnings
+   * Called by useTimers.js when the period clock passes a MATCH_TIMER_ALERTS threshold
+   * @param {string} alertId - Id from MATCH_TIMER_ALERTS
+   */
+  const announceMatchTimerAlert = useCallback((alertId) => {
+    speakAnnouncement(getMatchTimerAnnouncement?.(alertId));
+  }, [speakAnnouncement, getMatchTimerAnnouncement]);
+
+  /**
+   * Match alert function - plays a fired alert rule with its own vibration and sound
+   * Called by useMatchAlerts.js when stepMatchAlerts reports a crossed threshold
+   * @param {Object} alert - Alert from stepMatchAlerts ({ rule, playerId?, minutes? })
+   */
+  const playMatchAlert = useCallback(async (alert) => {
+    const { rule } = alert;
+    const pattern = VIBRATION_PATTERNS[rule.vibration] || [];
+
+    if (pattern.length > 0 && 'vibrate' in navigator) {
+      try {
+        navigator.vibrate(pattern);
+      } catch (error) {
+        // Silently handle vibration errors
+      }
+    }
+
+    if (audioPreferences.enabled) {
+      try {
+        await audioAlertService.play(rule.sound, audioPreferences.volume);
+        if (audioPreferences.spokenAnnouncements) {
+          await audioAlertService.waitForEnd(rule.sound);
+        }
+      } catch (error) {
+        console.error('[AUDIO_ALERT] Match alert playback failed:', error.message);
+      }
+
+      speakAnnouncement(getMatchAlertAnnouncement?.(alert));
     }
-  }, [audioPreferences]);
+  }, [audioPreferences, speakAnnouncement, getMatchAlertAnnouncement]);
 
   return {
     // Wake lock state
@@ -77,6 +148,8 @@ export function useMatchAudio(audioPreferences = {}) {
 
     // Audio actions
     playAlertSounds,
+    announceMatchTimerAlert,
+    playMatchAlert,
 
     // Computed state
     hasWakeLock: !!wakeLock,
@@ -0,0 +1,337 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { supabase } from '../lib/supabase';
+import { getAllEvents, replaceEvents } from '../utils/gameEventLogger';
+import {
+  claimMatchClock,
+  releaseMatchClock,
+  getMatchControl,
+  publishMatchState,
+  getDeviceId,
+  getMatchControlTopic,
+  hasActiveClockLease,
+  MATCH_CONTROL_BROADCAST_EVENT,
+  CLOCK_RENEW_INTERVAL_MS
+} from '../services/matchControlService';
+import {
+  buildSharedMatchState,
+  getSharedStateSignature,
+  isSharedMatchStateUsable,
+  mergeSharedMatchState
+} from '../game/logic/sharedMatchState';
+
+export const MATCH_CONTROL_ROLES = {
+  CLOCK_HOLDER: 'clock_holder',
+  CO_COACH: 'co_coach'
+};
+
+// Changes are published in batches so a substitution and its events go out together
+const PUBLISH_DEBOUNCE_MS = 1000;
+
+const isOnline = () => (typeof navigator === 'undefined' || navigator.onLine !== false);
+
+/**
+ * Apply a shared match state to this device: game state, timers and event log
+ * @param {Object} state - Shared match state
+ * @param {Object} gameState - useGameState result
+ * @param {Object} timers - useTimers result
+ */
+export const applySharedMatchState = (state, gameState, timers) => {
+  gameState.applySharedGameState(state.game);
+  if (state.timers) {
+    timers.applySharedTimers(state.timers);
+  }
+  replaceEvents(state.events);
+};
+
+/**
+ * Lets a second coach's device control a running match together with this one.
+ *
+ * One device holds a lease on the match clock and renews it while the match
+ * runs; when it stops renewing (for example because the phone died) the other
+ * device picks up the clock automatically, and a coach can also take it over
+ * explicitly. Both devices can log goals and substitutions: every change is
+ * published as a shared match state, and newer states from the other device
+ * are merged into this one (see game/logic/sharedMatchState).
+ *
+ * Offline, the device keeps full control and catches up once it reconnects.
+ *
+ * @param {Object} params
+ * @param {string|null} params.matchId - Running match
+ * @param {boolean} params.enabled - Whether this device takes part (signed-in coach with a pending or running match)
+ * @param {Object} params.gameState - useGameState result
+ * @param {Object} params.timers - useTimers result
+ * @param {string|null} params.deviceName - Name shown to the other coach
+ * @returns {{
+ *   role: string|null,
+ *   canControlClock: boolean,
+ *   clockHolderName: string|null,
+ *   conflicts: Array,
+ *   takeOverClock: Function,
+ *   dismissConflicts: Function
+ * }}
+ */
+export function useMatchControl({ matchId, enabled, gameState, timers, deviceName = null }) {
+  const [control, setControl] = useState(null);
+  const [conflicts, setConflicts] = useState([]);
+  const [online, setOnline] = useState(isOnline);
+
+  const deviceId = getDeviceId();
+  const active = Boolean(enabled && matchId);
+
+  const stateOrdinalRef = useRef(0);
+  const publishedSignatureRef = useRef(null);
+  const publishedEventIdsRef = useRef([]);
+  const isSyncedRef = useRef(false);
+  const isPublishingRef = useRef(false);
+  const publishTimerRef = useRef(null);
+  const controlRef = useRef(control);
+
+  // Latest hook results, read from async callbacks
+  const gameStateRef = useRef(gameState);
+  const timersRef = useRef(timers);
+  gameStateRef.current = gameState;
+  timersRef.current = timers;
+  controlRef.current = control;
+
+  // Until another device holds a valid lease (and always offline) this device runs the clock
+  const otherDeviceHoldsClock = online && hasActiveClockLease(control) && control.clockDeviceId !== deviceId;
+
+  const buildLocalState = useCallback(() => {
+    const currentTimers = timersRef.current;
+    return buildSharedMatchState({
+      game: gameStateRef.current.getSharedGameState(),
+      events: getAllEvents(),
+      timers: {
+        isPeriodActive: currentTimers.isPeriodActive,
+        periodStartTime: currentTimers.periodStartTime,
+        lastSubstitutionTime: currentTimers.lastSubstitutionTime,
+        secondLastSubstitutionTime: currentTimers.secondLastSubstitutionTime,
+        pauseStartTime: currentTimers.pauseStartTime,
+        totalPausedDuration: currentTimers.totalPausedDuration
+      },
+      deviceId
+    });
+  }, [deviceId]);
+
+  // Merge a newer state from the other device into this one
+  const adoptRemoteState = useCallback((remoteState, stateOrdinal) => {
+    if (!isSharedMatchStateUsable(remoteState) || stateOrdinal <= stateOrdinalRef.current) {
+      return;
+    }
+
+    const currentControl = controlRef.current;
+    const { state, conflicts: newConflicts, hasLocalChanges } = mergeSharedMatchState(remoteState, buildLocalState(), {
+      publishedEventIds: publishedEventIdsRef.current,
+      isClockHolder: currentControl?.clockDeviceId === deviceId && hasActiveClockLease(currentControl)
+    });
+
+    applySharedMatchState(state, gameStateRef.current, timersRef.current);
+
+    stateOrdinalRef.current = stateOrdinal;
+    publishedEventIdsRef.current = remoteState.events.map(event => event.id);
+    // Local changes merged into the remote state still have to be published
+    publishedSignatureRef.current = getSharedStateSignature(hasLocalChanges ? remoteState : state);
+
+    if (newConflicts.length > 0) {
+      setConflicts(prev => [...prev, ...newConflicts]);
+    }
+  }, [buildLocalState, deviceId]);
+
+  const syncFromServer = useCallback(async () => {
+    const result = await getMatchControl(matchId);
+    if (!result.success) {
+      return;
+    }
+
+    setControl(result.control);
+    if (result.state && result.control && result.stateDeviceId !== deviceId) {
+      adoptRemoteState(result.state, result.control.stateOrdinal);
+    } else if (result.control) {
+      stateOrdinalRef.current = Math.max(stateOrdinalRef.current, result.control.stateOrdinal);
+    }
+    isSyncedRef.current = true;
+  }, [matchId, deviceId, adoptRemoteState]);
+
+  const claimClock = useCallback(async (takeOver = false) => {
+    const result = await claimMatchClock(matchId, { deviceName, takeOver });
+    if (!result.success) {
+      return result;
+    }
+
+    setControl(prev => ({ ...(prev || {}), ...result.control }));
+    if (result.control.stateOrdinal > stateOrdinalRef.current) {
+      await syncFromServer();
+    }
+    return result;
+  }, [matchId, deviceName, syncFromServer]);
+
+  const publish = useCallback(async () => {
+    if (!isSyncedRef.current || isPublishingRef.current || !isOnline()) {
+      return;
+    }
+
+    const state = buildLocalState();
+    const signature = getSharedStateSignature(state);
+    if (signature === publishedSignatureRef.current) {
+      return;
+    }
+
+    isPublishingRef.current = true;
+    try {
+      const result = await publishMatchState(matchId, { baseOrdinal: stateOrdinalRef.current, state });
+      if (!result.success) {
+        return;
+      }
+
+      if (result.accepted) {
+        stateOrdinalRef.current = result.stateOrdinal;
+        publishedSignatureRef.current = signature;
+        publishedEventIdsRef.current = state.events.map(event => event.id);
+      } else {
+        // Another device published first - merge and publish again on the next change check
+        adoptRemoteState(result.state, result.stateOrdinal);
+      }
+    } finally {
+      isPublishingRef.current = false;
+    }
+  }, [matchId, buildLocalState, adoptRemoteState]);
+
+  // Reset when switching matches
+  useEffect(() => {
+    stateOrdinalRef.current = 0;
+    publishedSignatureRef.current = null;
+    publishedEventIdsRef.current = [];
+    isSyncedRef.current = false;
+    setControl(null);
+    setConflicts([]);
+  }, [matchId]);
+
+  useEffect(() => {
+    const handleOnline = () => setOnline(true);
+    const handleOffline = () => setOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  // Catch up first, then claim the clock and keep renewing it. A device that
+  // does not hold the clock claims it too, which succeeds once the holder's
+  // lease has run out.
+  useEffect(() => {
+    if (!active || !online) {
+      return undefined;
+    }
+
+    let isCurrent = true;
+
+    const start = async () => {
+      await syncFromServer();
+      if (isCurrent) {
+        await claimClock(false);
+      }
+    };
+    start();
+
+    const interval = setInterval(() => {
+      claimClock(false);
+    }, CLOCK_RENEW_INTERVAL_MS);
+
+    return () => {
+      isCurrent = false;
+      clearInterval(interval);
+    };
+  }, [active, online, syncFromServer, claimClock]);
+
+  // Hand the clock over right away when this device leaves the match
+  useEffect(() => {
+    if (!active) {
+      return undefined;
+    }
+
+    return () => {
+      const currentControl = controlRef.current;
+      if (currentControl?.clockDeviceId === deviceId && isOnline()) {
+        releaseMatchClock(matchId);
+      }
+    };
+  }, [active, matchId, deviceId]);
+
+  // Follow clock handovers and states published by the other device
+  useEffect(() => {
+    if (!active) {
+      return undefined;
+    }
+
+    let isCurrent = true;
+
+    const channel = supabase
+      .channel(getMatchControlTopic(matchId), { config: { private: true } })
+      .on('broadcast', { event: MATCH_CONTROL_BROADCAST_EVENT }, ({ payload }) => {
+        if (!isCurrent || !payload || payload.match_id !== matchId) return;
+
+        setControl(prev => ({
+          ...(prev || {}),
+          clockDeviceId: payload.clock_device_id || null,
+          clockDeviceName: payload.clock_device_name || null,
+          clockLeaseExpiresAt: payload.clock_lease_expires_at || null
+        }));
+
+        const stateOrdinal = Number(payload.state_ordinal) || 0;
+        if (stateOrdinal > stateOrdinalRef.current && payload.state_device_id !== deviceId) {
+          syncFromServer();
+        }
+      })
+      .subscribe((status) => {
+        // Fill the gap while the channel was (re)connecting
+        if (isCurrent && status === 'SUBSCRIBED' && isSyncedRef.current) {
+          syncFromServer();
+        }
+      });
+
+    return () => {
+      isCurrent = false;
+      channel.unsubscribe();
+    };
+  }, [active, matchId, deviceId, syncFromServer]);
+
+  // Publish local changes
+  useEffect(() => {
+    if (!active || !online || !isSyncedRef.current) {
+      return;
+    }
+
+    if (publishTimerRef.current || getSharedStateSignature(buildLocalState()) === publishedSignatureRef.current) {
+      return;
+    }
+
+    publishTimerRef.current = setTimeout(() => {
+      publishTimerRef.current = null;
+      publish();
+    }, PUBLISH_DEBOUNCE_MS);
+  });
+
+  useEffect(() => () => {
+    clearTimeout(publishTimerRef.current);
+    publishTimerRef.current = null;
+  }, []);
+
+  const takeOverClock = useCallback(() => claimClock(true), [claimClock]);
+  const dismissConflicts = useCallback(() => setConflicts([]), []);
+
+  const role = active
+    ? (otherDeviceHoldsClock ? MATCH_CONTROL_ROLES.CO_COACH : MATCH_CONTROL_ROLES.CLOCK_HOLDER)
+    : null;
+
+  return {
+    role,
+    canControlClock: !active || !otherDeviceHoldsClock,
+    clockHolderName: otherDeviceHoldsClock ? control.clockDeviceName : null,
+    conflicts,
+    takeOverClock,
+    dismissConflicts
+  };
+}
@@ -1,5 +1,6 @@
 import { useState, useCallback, useEffect, useRef } from 'react';
 import { useTranslation } from 'react-i18next';
+import { supabase } from '../lib/supabase';
 import { initializeEventLogger, getMatchStartTime, getAllEvents, clearAllEvents, addEventListener } from '../utils/gameEventLogger';
 
 /**
@@ -118,24 +119,66 @@ export function useLegacyMatchEvents(initialState = {}) {
   };
 }
 
+export const LIVE_MATCH_BROADCAST_EVENT = 'match_event';
+export const getLiveMatchTopic = (matchId) => `live-match:${matchId}`;
+
+export const CONNECTION_MODES = {
+  STREAMING: 'streaming',
+  POLLING: 'polling'
+};
+
+/**
+ * Merge incoming events into the current list, dropping duplicates and keeping ordinal order.
+ * Streamed events and gap-filling fetches can overlap, so every update goes through here.
+ *
+ * @param {Array} current - Events already shown
+ * @param {Array} incoming - New events
+ * @returns {Array} Merged events
+ */
+export const mergeEventsByOrdinal = (current = [], incoming = []) => {
+  if (incoming.length === 0) {
+    return current;
+  }
+
+  const seenOrdinals = new Set(current.map(event => event.ordinal));
+  const additions = incoming.filter(event => {
+    if (seenOrdinals.has(event.ordinal)) return false;
+    seenOrdinals.add(event.ordinal);
+    return true;
+  });
+
+  if (additions.length === 0) {
+    return current;
+  }
+
+  return [...current, ...additions].sort((a, b) => a.ordinal - b.ordinal);
+};
+
 /**
  * Live match events hook for public live match screen.
  *
+ * New events are pushed through a Realtime broadcast on the match topic. Whenever the
+ * channel (re)connects, events missed in the meantime are fetched with since_ordinal.
+ * While the channel is down, the hook falls back to polling get-live-match-events.
+ *
  * @param {string} matchId
  * @param {Object} options
  * @param {boolean} [options.isLive=false]
  * @param {boolean} [options.pollingEnabled] - Override to control auto-refresh independent of isLive
  * @param {number} [options.refreshIntervalMs=60000]
+ * @param {boolean} [options.streamingEnabled=true] - Subscribe to pushed events
  * @returns {Object} Live event state and helpers
  */
-export function useMatchEvents(matchId, { isLive = false, pollingEnabled, refreshIntervalMs = 60000 } = {}) {
+export function useMatchEvents(matchId, { isLive = false, pollingEnabled, refreshIntervalMs = 60000, streamingEnabled = true } = {}) {
   const { t } = useTranslation('common');
   const [events, setEvents] = useState([]);
   const [latestOrdinal, setLatestOrdinal] = useState(0);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [lastUpdateTime, setLastUpdateTime] = useState(null);
+  const [isStreaming, setIsStreaming] = useState(false);
   const latestOrdinalRef = useRef(latestOrdinal);
+  const initialFetchDoneRef = useRef(false);
 
   const supabaseUrl = process.env.REACT_APP_SUPABASE_URL;
   const supabaseAnonKey = process.env.REACT_APP_SUPABASE_ANON_KEY;
@@ -172,15 +215,12 @@ export function useMatchEvents(matchId, { isLive = false, pollingEnabled, refres
 
       const data = await response.json();
 
-      if (since !== null) {
-        setEvents(prev => [...prev, ...(data.events || [])]);
-      } else {
-        setEvents(data.events || []);
-      }
-
-      setLatestOrdinal(data.latest_ordinal || 0);
+      // Merge even on a full fetch: streamed events may already be newer than the response
+      setEvents(prev => mergeEventsByOrdinal(prev, data.events || []));
+      setLatestOrdinal(prev => Math.max(prev, data.latest_ordinal || 0));
       setLastUpdateTime(new Date());
       setError(null);
+      initialFetchDoneRef.current = true;
     } catch (err) {
       console.error('Failed to fetch match events:', err);
       setError(err.message);
@@ -195,6 +235,8 @@ export function useMatchEvents(matchId, { isLive = false, pollingEnabled, refres
     setError(null);
     setIsLoading(true);
     setLastUpdateTime(null);
+    setIsStreaming(false);
+    initialFetchDoneRef.current = false;
   }, [matchId]);
 
   useEffect(() => {
@@ -205,7 +247,49 @@ export function useMatchEvents(matchId, { isLive = false, pollingEnabled, refres
     latestOrdinalRef.current = latestOrdinal;
   }, [latestOrdinal]);
 
-  const shouldPoll = typeof pollingEnabled === 'boolean' ? pollingEnabled : isLive;
+  const fetchEventsRef = useRef(fetchEvents);
+  useEffect(() => {
+    fetchEventsRef.current = fetchEvents;
+  }, [fetchEvents]);
+
+  useEffect(() => {
+    if (!matchId || !streamingEnabled) {
+      setIsStreaming(false);
+      return undefined;
+    }
+
+    let isActive = true;
+
+    const channel = supabase
+      .channel(getLiveMatchTopic(matchId))
+      .on('broadcast', { event: LIVE_MATCH_BROADCAST_EVENT }, ({ payload }) => {
+        if (!isActive || !payload || payload.match_id !== matchId) return;
+
+        setEvents(prev => mergeEventsByOrdinal(prev, [payload]));
+        setLatestOrdinal(prev => Math.max(prev, payload.ordinal || 0));
+        setLastUpdateTime(new Date());
+      })
+      .subscribe((status) => {
+        if (!isActive) return;
+
+        if (status === 'SUBSCRIBED') {
+          setIsStreaming(true);
+          // Fill the gap between the last fetch and the moment the channel (re)connected
+          if (initialFetchDoneRef.current) {
+            fetchEventsRef.current(latestOrdinalRef.current);
+          }
+        } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+          setIsStreaming(false);
+        }
+      });
+
+    return () => {
+      isActive = false;
+      channel.unsubscribe();
+    };
+  }, [matchId, streamingEnabled]);
+
+  const shouldPoll = (typeof pollingEnabled === 'boolean' ? pollingEnabled : isLive) && !isStreaming;
 
   useEffect(() => {
     if (!shouldPoll) return undefined;
@@ -223,6 +307,7 @@ export function useMatchEvents(matchId, { isLive = false, pollingEnabled, refres
     error,
     lastUpdateTime,
     latestOrdinal,
+    connectionMode: isStreaming ? CONNECTION_MODES.STREAMING : CONNECTION_MODES.POLLING,
     refreshEvents: fetchEvents
   };
 }
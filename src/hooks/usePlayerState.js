@@ -122,7 +122,8 @@ export function usePlayerState(initialState = {}) {
     // Update player roles based on current formation
     setAllPlayers(prev => {
       const updated = prev.map(player => {
-        if (!selectedSquadIds.includes(player.id)) return player;
+        // Sent-off players are out of the formation for the rest of the match
+        if (!selectedSquadIds.includes(player.id) || player.stats.isSentOff) return player;
 
         const { currentRole, currentStatus, currentPositionKey } = initializePlayerRoleAndStatus(player.id, formation, formationAwareTeamConfig);
 
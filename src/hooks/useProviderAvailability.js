@@ -1,9 +1,14 @@
-import { useEffect, useMemo, useRef, useState } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { getMatchPlayerAvailability } from '../services/matchIntegrationService';
+import { getAvailabilityRequests } from '../services/availabilityRequestService';
+import { mergeAvailabilityResponses } from '../utils/availabilityRequests';
 
 export function useProviderAvailability(matches) {
-  const [availabilityByMatch, setAvailabilityByMatch] = useState({});
+  const [connectorAvailabilityByMatch, setConnectorAvailabilityByMatch] = useState({});
+  const [availabilityRequestsByMatch, setAvailabilityRequestsByMatch] = useState({});
   const [providerAvailabilityLoading, setProviderAvailabilityLoading] = useState(true);
+  const [requestsReloadCount, setRequestsReloadCount] = useState(0);
+  const [loadedRequestsKey, setLoadedRequestsKey] = useState(null);
   const lastFetchedKeyRef = useRef(null);
 
   const matchIdsKey = useMemo(
@@ -31,7 +36,7 @@ export function useProviderAvailability(matches) {
     const matchIds = matchIdsKey ? JSON.parse(matchIdsKey) : [];
 
     if (matchIds.length === 0) {
-      setAvailabilityByMatch({});
+      setConnectorAvailabilityByMatch({});
       setProviderAvailabilityLoading(false);
       lastFetchedKeyRef.current = matchIdsKey;
       return;
@@ -45,15 +50,15 @@ export function useProviderAvailability(matches) {
         if (!isActive) return;
 
         if (result?.success) {
-          setAvailabilityByMatch(result.availabilityByMatch || {});
+          setConnectorAvailabilityByMatch(result.availabilityByMatch || {});
         } else {
-          setAvailabilityByMatch({});
+          setConnectorAvailabilityByMatch({});
         }
       })
       .catch((error) => {
         if (!isActive) return;
         console.error('Failed to load provider availability:', error);
-        setAvailabilityByMatch({});
+        setConnectorAvailabilityByMatch({});
       })
       .finally(() => {
         if (!isActive) return;
@@ -66,6 +71,48 @@ export function useProviderAvailability(matches) {
     };
   }, [matchIdsKey]);
 
+  // In-app availability requests load separately so answers can be reloaded
+  // without holding back the connector data
+  useEffect(() => {
+    const matchIds = matchIdsKey ? JSON.parse(matchIdsKey) : [];
+
+    if (matchIds.length === 0) {
+      setAvailabilityRequestsByMatch({});
+      setLoadedRequestsKey(matchIdsKey);
+      return;
+    }
+
+    let isActive = true;
+
+    Promise.resolve(getAvailabilityRequests(matchIds))
+      .then((result) => {
+        if (!isActive) return;
+        setAvailabilityRequestsByMatch(result?.success ? result.requestsByMatch || {} : {});
+      })
+      .catch((error) => {
+        if (!isActive) return;
+        console.error('Failed to load availability requests:', error);
+        setAvailabilityRequestsByMatch({});
+      })
+      .finally(() => {
+        if (!isActive) return;
+        setLoadedRequestsKey(matchIdsKey);
+      });
+
+    return () => {
+      isActive = false;
+    };
+  }, [matchIdsKey, requestsReloadCount]);
+
+  const reloadAvailabilityRequests = useCallback(() => {
+    setRequestsReloadCount((count) => count + 1);
+  }, []);
+
+  const availabilityByMatch = useMemo(
+    () => mergeAvailabilityResponses(connectorAvailabilityByMatch, availabilityRequestsByMatch),
+    [connectorAvailabilityByMatch, availabilityRequestsByMatch]
+  );
+
   const providerUnavailableByMatch = useMemo(() => {
     const unavailableByMatch = {};
 
@@ -114,6 +161,15 @@ export function useProviderAvailability(matches) {
     return invitedByMatch;
   }, [availabilityByMatch]);
 
-  const isLoading = providerAvailabilityLoading || lastFetchedKeyRef.current !== matchIdsKey;
-  return { providerUnavailableByMatch, providerResponseByMatch, providerInvitedByMatch, providerAvailabilityLoading: isLoading };
+  const isLoading = providerAvailabilityLoading
+    || lastFetchedKeyRef.current !== matchIdsKey
+    || loadedRequestsKey !== matchIdsKey;
+  return {
+    providerUnavailableByMatch,
+    providerResponseByMatch,
+    providerInvitedByMatch,
+    providerAvailabilityLoading: isLoading,
+    availabilityRequestsByMatch,
+    reloadAvailabilityRequests
+  };
 }
@@ -0,0 +1,110 @@
+import { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { getPlayerStats } from '../services/matchStateManager';
+import { calculateWeightedMatches, getDefaultLoanMatchWeight, getTeamLoans } from '../services/playerLoanService';
+
+const getSeasonStart = (now) => new Date(now.getFullYear(), 0, 1);
+
+/**
+ * Load how many matches each player has played this season.
+ *
+ * Loan matches are weighted with the team's loan match weight, the same way
+ * the player statistics view counts them. The season runs from January 1st
+ * of the current year.
+ *
+ * @param {string} teamId - The team ID to load match counts for
+ * @param {Function} loadTeamPreferences - Team preference loader from TeamContext
+ * @returns {Object} { seasonLoadByPlayerId, seasonLoadLoading, seasonLoadError }
+ *   - seasonLoadByPlayerId: Map of player ID to
+ *     { regularMatches, loanMatches, seasonMatches, goalieMatches }
+ */
+export const useSeasonMatchLoad = (teamId, loadTeamPreferences) => {
+  const { t } = useTranslation('common');
+  const [seasonLoadByPlayerId, setSeasonLoadByPlayerId] = useState(() => new Map());
+  const [seasonLoadLoading, setSeasonLoadLoading] = useState(false);
+  const [seasonLoadError, setSeasonLoadError] = useState(null);
+
+  useEffect(() => {
+    if (!teamId) {
+      setSeasonLoadByPlayerId(new Map());
+      setSeasonLoadError(null);
+      return;
+    }
+
+    let isActive = true;
+    const endDate = new Date();
+    const startDate = getSeasonStart(endDate);
+
+    const fetchSeasonLoad = async () => {
+      setSeasonLoadLoading(true);
+      setSeasonLoadError(null);
+
+      try {
+        const [statsResult, loanResult, preferences] = await Promise.all([
+          getPlayerStats(teamId, startDate, endDate),
+          getTeamLoans(teamId, { startDate, endDate }),
+          loadTeamPreferences ? loadTeamPreferences(teamId) : Promise.resolve({})
+        ]);
+
+        if (!isActive) return;
+
+        if (!statsResult?.success) {
+          setSeasonLoadByPlayerId(new Map());
+          setSeasonLoadError(statsResult?.error || t('errors.failedToLoadPlayerStats'));
+          return;
+        }
+
+        const weightValue = preferences?.loanMatchWeight;
+        const parsedWeight = typeof weightValue === 'number' ? weightValue : parseFloat(weightValue);
+        const loanWeight = Number.isNaN(parsedWeight) ? getDefaultLoanMatchWeight() : parsedWeight;
+
+        const loanCounts = new Map();
+        if (loanResult?.success) {
+          (loanResult.loans || []).forEach((loan) => {
+            if (!loan?.player_id) return;
+            loanCounts.set(loan.player_id, (loanCounts.get(loan.player_id) || 0) + 1);
+          });
+        } else {
+          console.error('Failed to load loan matches for season load:', loanResult?.error);
+        }
+
+        const next = new Map();
+        const playerIds = new Set([
+          ...(statsResult.players || []).map(player => player.id),
+          ...loanCounts.keys()
+        ]);
+        const statsById = new Map((statsResult.players || []).map(player => [player.id, player]));
+
+        playerIds.forEach((playerId) => {
+          const stats = statsById.get(playerId);
+          const weighted = calculateWeightedMatches(stats?.matchesPlayed || 0, loanCounts.get(playerId) || 0, loanWeight);
+          next.set(playerId, {
+            regularMatches: weighted.regularMatches,
+            loanMatches: weighted.loanMatches,
+            seasonMatches: weighted.totalWeighted,
+            goalieMatches: stats?.matchesAsGoalkeeper || 0
+          });
+        });
+
+        setSeasonLoadByPlayerId(next);
+      } catch (error) {
+        if (!isActive) return;
+        console.error('Failed to load season match load:', error);
+        setSeasonLoadByPlayerId(new Map());
+        setSeasonLoadError(error?.message || t('errors.failedToLoadPlayerStats'));
+      } finally {
+        if (isActive) {
+          setSeasonLoadLoading(false);
+        }
+      }
+    };
+
+    fetchSeasonLoad();
+
+    return () => {
+      isActive = false;
+    };
+  }, [teamId, loadTeamPreferences, t]);
+
+  return { seasonLoadByPlayerId, seasonLoadLoading, seasonLoadError };
+};
@@ -0,0 +1,30 @@
+import { useCallback, useEffect, useState } from 'react';
+import { syncOutbox } from '../services/syncOutbox';
+
+/**
+ * Follows the sync outbox so the UI can show what has not uploaded yet.
+ *
+ * @returns {{
+ *   entries: Array,
+ *   failedEntries: Array,
+ *   isOnline: boolean,
+ *   isSyncing: boolean,
+ *   syncNow: Function,
+ *   retry: Function,
+ *   discard: Function
+ * }}
+ */
+export function useSyncOutbox() {
+  const [status, setStatus] = useState(() => syncOutbox.getStatus());
+
+  useEffect(() => {
+    setStatus(syncOutbox.getStatus());
+    return syncOutbox.subscribe(setStatus);
+  }, []);
+
+  const syncNow = useCallback(() => syncOutbox.flush(), []);
+  const retry = useCallback((entryId) => syncOutbox.retry(entryId), []);
+  const discard = useCallback((entryId) => syncOutbox.discard(entryId), []);
+
+  return { ...status, syncNow, retry, discard };
+}
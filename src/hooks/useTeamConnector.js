@@ -62,6 +62,26 @@ export function useTeamConnector(teamId) {
     }
   }, [teamId, loadConnectors, t]);
 
+  // Connect a provider that syncs from exported files
+  const connectImportProvider = useCallback(async (provider) => {
+    if (!teamId) {
+      throw new Error('Team ID is required');
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      await connectorService.connectFileImportProvider(teamId, provider);
+      await loadConnectors();
+    } catch (err) {
+      console.error('Error connecting provider:', err);
+      setError(err.message || t('errors.failedToConnectProvider'));
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [teamId, loadConnectors, t]);
+
   // Disconnect a provider
   const disconnectProvider = useCallback(async (connectorId) => {
     try {
@@ -96,6 +116,24 @@ export function useTeamConnector(teamId) {
     }
   }, [loadConnectors, t]);
 
+  // Import an exported file for a file import connector
+  const importConnectorFile = useCallback(async (connector, source) => {
+    try {
+      setSyncingConnectorId(connector.id);
+      setError(null);
+      const result = await connectorService.runConnectorSync(connector, source);
+      // Reload connectors to show the new sync time
+      await loadConnectors();
+      return result;
+    } catch (err) {
+      console.error('Error importing connector file:', err);
+      setError(err.message || t('errors.failedToImportConnectorFile'));
+      throw err;
+    } finally {
+      setSyncingConnectorId(null);
+    }
+  }, [loadConnectors, t]);
+
   // Retry a failed connector
   const retryConnector = useCallback(async (connectorId) => {
     try {
@@ -179,8 +217,10 @@ export function useTeamConnector(teamId) {
     syncingConnectorId,
     loadConnectors,
     connectProvider,
+    connectImportProvider,
     disconnectProvider,
     manualSync,
+    importConnectorFile,
     retryConnector,
     getAttendanceData,
     getUpcomingMatches,
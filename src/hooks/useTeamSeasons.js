@@ -0,0 +1,64 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+import { getTeamSeasons } from '../services/seasonService';
+
+/**
+ * Loads the seasons of the active team, newest first, for season selectors.
+ *
+ * @param {string|null} teamId - Current team identifier
+ * @returns {{
+ *   seasons: Array,
+ *   loading: boolean,
+ *   error: string|null,
+ *   refresh: Function
+ * }}
+ */
+export function useTeamSeasons(teamId) {
+  const { t } = useTranslation('common');
+
+  const [seasons, setSeasons] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const requestIdRef = useRef(0);
+
+  const fetchSeasons = useCallback(async (activeTeamId) => {
+    requestIdRef.current += 1;
+    const currentRequestId = requestIdRef.current;
+
+    if (!activeTeamId) {
+      setSeasons([]);
+      setError(null);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    const result = await getTeamSeasons(activeTeamId);
+
+    if (requestIdRef.current !== currentRequestId) {
+      return;
+    }
+
+    if (result.success) {
+      setSeasons(result.seasons);
+    } else {
+      setError(t(result.error || 'errors.seasonLoadFailed', { defaultValue: result.error }));
+      setSeasons([]);
+    }
+
+    setLoading(false);
+  }, [t]);
+
+  useEffect(() => {
+    fetchSeasons(teamId);
+  }, [teamId, fetchSeasons]);
+
+  const refresh = useCallback(() => {
+    if (!teamId) return Promise.resolve();
+    return fetchSeasons(teamId);
+  }, [teamId, fetchSeasons]);
+
+  return { seasons, loading, error, refresh };
+}
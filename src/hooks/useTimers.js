@@ -3,6 +3,7 @@ import { logEvent, EVENT_TYPES, calculateMatchTime } from '../utils/gameEventLog
 import { formatPlayerName } from '../utils/formatUtils';
 import { createPersistenceManager } from '../utils/persistenceManager';
 import { STORAGE_KEYS } from '../constants/storageKeys';
+import { MATCH_TIMER_ALERTS } from '../constants/audioAlerts';
 
 // Create persistence manager for timer state
 const timerPersistence = createPersistenceManager(STORAGE_KEYS.TIMER_STATE, null);
@@ -22,6 +23,7 @@ const buildStartingLineupData = (startingFormation, allPlayers = []) => {
       const name = findPlayerName(playerId);
       return {
         position,
+        playerId,
         name: name || 'Unknown'
       };
     });
@@ -58,7 +60,7 @@ const calculateSubTimer = (lastSubstitutionTime, totalPausedDuration, pauseStart
   return Math.max(0, elapsedSeconds);
 };
 
-export function useTimers(periodDurationMinutes, alertMinutes = 0, playAlertSounds = null, currentPeriodNumber = 1, isDisplayActive = true, currentMatchId = null) {
+export function useTimers(periodDurationMinutes, alertMinutes = 0, playAlertSounds = null, currentPeriodNumber = 1, isDisplayActive = true, currentMatchId = null, onMatchTimerAlert = null) {
   // Initialize timer state from localStorage or defaults
   const initializeTimerState = () => {
     const saved = loadTimerState();
@@ -140,6 +142,26 @@ export function useTimers(periodDurationMinutes, alertMinutes = 0, playAlertSoun
     }
   }, [subTimerSeconds, alertMinutes, playAlertSounds, hasPlayedAlert, isPeriodActive, isSubTimerPaused, currentPeriodNumber, matchTimerSeconds, periodStartTime, lastSubstitutionTime, totalPausedDuration, pauseStartTime, isDisplayActive]);
 
+  // Match clock alerts - fire when the period clock counts down past a MATCH_TIMER_ALERTS threshold.
+  // Comparing with the previous reading means a restored or already late period does not re-announce.
+  const previousMatchTimerSecondsRef = useRef(null);
+  useEffect(() => {
+    const previousSeconds = previousMatchTimerSecondsRef.current;
+    previousMatchTimerSecondsRef.current = isPeriodActive ? matchTimerSeconds : null;
+
+    if (!onMatchTimerAlert || !isPeriodActive || previousSeconds === null) {
+      return;
+    }
+
+    // After a gap in updates several thresholds can be passed at once; only the latest is announced
+    const passedAlerts = MATCH_TIMER_ALERTS.filter(alert =>
+      previousSeconds > alert.remainingSeconds && matchTimerSeconds <= alert.remainingSeconds
+    );
+    if (passedAlerts.length > 0) {
+      onMatchTimerAlert(passedAlerts[passedAlerts.length - 1].id);
+    }
+  }, [matchTimerSeconds, isPeriodActive, onMatchTimerAlert]);
+
   // Timer display update effect - only triggers re-renders, doesn't save to localStorage
   useEffect(() => {
     // Clear any existing interval first
@@ -498,6 +520,28 @@ export function useTimers(periodDurationMinutes, alertMinutes = 0, playAlertSoun
     });
   }, [saveTimerStateWithOverrides, periodStartTime, periodDurationMinutes, currentMatchId]);
 
+  // Take over timer state published by another device controlling the match
+  const applySharedTimers = useCallback((timers) => {
+    if (!timers) return;
+
+    const nextState = {
+      isPeriodActive: timers.isPeriodActive ?? false,
+      periodStartTime: timers.periodStartTime ?? null,
+      lastSubstitutionTime: timers.lastSubstitutionTime ?? null,
+      secondLastSubstitutionTime: timers.secondLastSubstitutionTime ?? null,
+      pauseStartTime: timers.pauseStartTime ?? null,
+      totalPausedDuration: timers.totalPausedDuration ?? 0,
+    };
+
+    setIsPeriodActive(nextState.isPeriodActive);
+    setPeriodStartTime(nextState.periodStartTime);
+    setLastSubstitutionTime(nextState.lastSubstitutionTime);
+    setSecondLastSubstitutionTime(nextState.secondLastSubstitutionTime);
+    setPauseStartTime(nextState.pauseStartTime);
+    setTotalPausedDuration(nextState.totalPausedDuration);
+    saveTimerState(nextState);
+  }, []);
+
   // Clear stored timer state - useful for starting fresh
   const clearTimerState = useCallback(() => {
     timerPersistence.clearState();
@@ -533,6 +577,8 @@ export function useTimers(periodDurationMinutes, alertMinutes = 0, playAlertSoun
     periodStartTime,
     lastSubstitutionTime,
     secondLastSubstitutionTime,
+    pauseStartTime,
+    totalPausedDuration,
     
     // Timer controls
     resetSubTimer,
@@ -543,6 +589,7 @@ export function useTimers(periodDurationMinutes, alertMinutes = 0, playAlertSoun
     stopTimers,
     clearTimerState,
     clearAllTimersForNewGame,
+    applySharedTimers,
     setIsPeriodActive,
   };
 }
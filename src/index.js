@@ -2,6 +2,7 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css'; // Or your main CSS file
 import App from './App';
+import { registerServiceWorker } from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -10,4 +11,6 @@ root.render(
     // <React.StrictMode>
         <App />
     // </React.StrictMode>
-);
\ No newline at end of file
+);
+
+registerServiceWorker();
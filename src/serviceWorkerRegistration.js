@@ -0,0 +1,21 @@
+/**
+ * Service worker registration
+ *
+ * Registers public/service-worker.js in production builds so the app shell
+ * loads without a connection. Development keeps the default network behaviour
+ * so hot reloading is never served from a stale cache.
+ */
+
+export function registerServiceWorker() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(error => {
+        console.warn('Service worker registration failed:', error);
+      });
+  });
+}
@@ -0,0 +1,155 @@
+import {
+  getAvailabilityRequests,
+  requestMatchAvailability,
+  respondToAvailabilityRequest
+} from '../availabilityRequestService';
+import { supabase } from '../../lib/supabase';
+import { buildQuery } from '../../__integration__/setup/sharedMockFactories';
+
+jest.mock('../../lib/supabase', () => ({
+  supabase: {
+    from: jest.fn(),
+    rpc: jest.fn()
+  }
+}));
+
+describe('availabilityRequestService', () => {
+  let queries;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    queries = {
+      upcoming_match: buildQuery({
+        data: [{ id: 'um-1', availability_requested_at: '2026-03-01T10:00:00Z', availability_deadline: '2026-03-05T18:00:00Z' }],
+        error: null
+      }),
+      upcoming_match_player: buildQuery({
+        data: [
+          { upcoming_match_id: 'um-1', player_id: 'p1', availability: 'available', response: 'accepted', responded_at: '2026-03-02T08:00:00Z' },
+          { upcoming_match_id: 'um-1', player_id: 'p2', availability: 'unknown', response: 'no_response', responded_at: null }
+        ],
+        error: null
+      })
+    };
+    supabase.from.mockImplementation(table => queries[table]);
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('getAvailabilityRequests', () => {
+    it('returns an empty map without querying when there are no matches', async () => {
+      expect(await getAvailabilityRequests([])).toEqual({ success: true, requestsByMatch: {} });
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('maps requested matches with their answered players', async () => {
+      const result = await getAvailabilityRequests(['um-1', 'match-2']);
+
+      expect(queries.upcoming_match.in).toHaveBeenCalledWith('id', ['um-1', 'match-2']);
+      expect(queries.upcoming_match.not).toHaveBeenCalledWith('availability_requested_at', 'is', null);
+      expect(queries.upcoming_match_player.in).toHaveBeenCalledWith('upcoming_match_id', ['um-1']);
+      expect(queries.upcoming_match_player.eq).toHaveBeenCalledWith('source', 'app');
+      expect(result).toEqual({
+        success: true,
+        requestsByMatch: {
+          'um-1': {
+            requestedAt: '2026-03-01T10:00:00Z',
+            deadline: '2026-03-05T18:00:00Z',
+            responses: {
+              p1: { availability: 'available', response: 'accepted', respondedAt: '2026-03-02T08:00:00Z' }
+            }
+          }
+        }
+      });
+    });
+
+    it('skips the answers query when nothing was requested', async () => {
+      queries.upcoming_match = buildQuery({ data: [], error: null });
+
+      expect(await getAvailabilityRequests(['um-1'])).toEqual({ success: true, requestsByMatch: {} });
+      expect(supabase.from).toHaveBeenCalledTimes(1);
+    });
+
+    it('reports query errors', async () => {
+      queries.upcoming_match_player = buildQuery({ data: null, error: { message: 'denied' } });
+
+      expect(await getAvailabilityRequests(['um-1'])).toEqual({
+        success: false,
+        error: 'errors.availabilityRequestsLoadFailed'
+      });
+    });
+  });
+
+  describe('requestMatchAvailability', () => {
+    it('sends the request with its deadline', async () => {
+      supabase.rpc.mockResolvedValue({
+        data: { success: true, requested_at: '2026-03-01T10:00:00Z', deadline: '2026-03-05T18:00:00Z' },
+        error: null
+      });
+
+      const result = await requestMatchAvailability('um-1', { deadline: '2026-03-05T18:00:00Z' });
+
+      expect(supabase.rpc).toHaveBeenCalledWith('request_match_availability', {
+        p_upcoming_match_id: 'um-1',
+        p_deadline: '2026-03-05T18:00:00Z'
+      });
+      expect(result).toEqual({ success: true, requestedAt: '2026-03-01T10:00:00Z', deadline: '2026-03-05T18:00:00Z' });
+    });
+
+    it('requires a match and passes on function errors', async () => {
+      expect(await requestMatchAvailability(null)).toEqual({ success: false, error: 'Upcoming match ID is required' });
+
+      supabase.rpc.mockResolvedValue({
+        data: { success: false, error: 'forbidden', message: 'You do not have permission to request availability for this match.' },
+        error: null
+      });
+
+      expect(await requestMatchAvailability('um-1')).toEqual({
+        success: false,
+        error: 'You do not have permission to request availability for this match.'
+      });
+    });
+  });
+
+  describe('respondToAvailabilityRequest', () => {
+    it('stores the answer for the linked player', async () => {
+      supabase.rpc.mockResolvedValue({
+        data: { success: true, availability: 'unavailable', responded_at: '2026-03-02T08:00:00Z' },
+        error: null
+      });
+
+      const result = await respondToAvailabilityRequest('um-1', 'p1', false);
+
+      expect(supabase.rpc).toHaveBeenCalledWith('respond_match_availability', {
+        p_upcoming_match_id: 'um-1',
+        p_player_id: 'p1',
+        p_available: false
+      });
+      expect(result).toEqual({ success: true, availability: 'unavailable', respondedAt: '2026-03-02T08:00:00Z' });
+    });
+
+    it('translates a passed deadline', async () => {
+      supabase.rpc.mockResolvedValue({
+        data: { success: false, error: 'deadline_passed', message: 'The deadline for answering has passed.' },
+        error: null
+      });
+
+      expect(await respondToAvailabilityRequest('um-1', 'p1', true)).toEqual({
+        success: false,
+        error: 'errors.availabilityDeadlinePassed'
+      });
+    });
+
+    it('falls back to a generic error', async () => {
+      supabase.rpc.mockResolvedValue({ data: null, error: null });
+
+      expect(await respondToAvailabilityRequest('um-1', 'p1', true)).toEqual({
+        success: false,
+        error: 'errors.availabilityResponseFailed'
+      });
+    });
+  });
+});
@@ -0,0 +1,161 @@
+import {
+  enableCalendarFeed,
+  getCalendarFeed,
+  getCalendarFeedUrl,
+  getTeamCalendarEntries,
+  importIcsFixtures,
+  resetCalendarFeed
+} from '../calendarService';
+import { supabase } from '../../lib/supabase';
+import { buildQuery } from '../../__integration__/setup/sharedMockFactories';
+
+jest.mock('../../lib/supabase', () => ({
+  supabase: {
+    from: jest.fn()
+  }
+}));
+
+describe('calendarService', () => {
+  const originalUrl = process.env.REACT_APP_SUPABASE_URL;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    process.env.REACT_APP_SUPABASE_URL = 'https://project.supabase.co';
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+    process.env.REACT_APP_SUPABASE_URL = originalUrl;
+  });
+
+  describe('getCalendarFeedUrl', () => {
+    it('points at the feed edge function', () => {
+      expect(getCalendarFeedUrl('abc')).toBe('https://project.supabase.co/functions/v1/team-calendar-feed?token=abc');
+      expect(getCalendarFeedUrl(null)).toBeNull();
+    });
+  });
+
+  describe('getTeamCalendarEntries', () => {
+    it('requires a team', async () => {
+      expect(await getTeamCalendarEntries(null)).toEqual({ success: false, error: 'Team ID is required' });
+    });
+
+    it('loads fixtures, matches and trainings for the team', async () => {
+      const queries = {
+        upcoming_match: buildQuery({ data: [{ id: 'u1', opponent: 'AIK', match_date: '2026-04-19', match_time: null }], error: null }),
+        match: buildQuery({ data: [{ id: 'm1', opponent: 'BP', state: 'finished', started_at: '2026-04-01T10:00:00' }], error: null }),
+        training_session: buildQuery({ data: [{ id: 't1', session_date: '2026-04-10', status: 'scheduled' }], error: null })
+      };
+      supabase.from.mockImplementation(table => queries[table]);
+
+      const result = await getTeamCalendarEntries('team-1');
+
+      expect(queries.upcoming_match.eq).toHaveBeenCalledWith('team_id', 'team-1');
+      expect(queries.match.eq).toHaveBeenCalledWith('team_id', 'team-1');
+      expect(queries.match.in).toHaveBeenCalledWith('state', ['pending', 'running', 'finished']);
+      expect(queries.match.is).toHaveBeenCalledWith('deleted_at', null);
+      expect(queries.training_session.eq).toHaveBeenCalledWith('team_id', 'team-1');
+      expect(result.success).toBe(true);
+      expect(result.entries.map(entry => entry.id)).toEqual(['m1', 't1', 'u1']);
+    });
+
+    it('skips trainings when asked to', async () => {
+      supabase.from.mockImplementation(() => buildQuery({ data: [], error: null }));
+
+      await getTeamCalendarEntries('team-1', { includeTrainings: false });
+
+      expect(supabase.from).not.toHaveBeenCalledWith('training_session');
+    });
+
+    it('returns an error key when a query fails', async () => {
+      supabase.from.mockImplementation(table => buildQuery(
+        table === 'match' ? { data: null, error: { message: 'boom' } } : { data: [], error: null }
+      ));
+
+      expect(await getTeamCalendarEntries('team-1')).toEqual({ success: false, error: 'errors.calendarLoadFailed' });
+    });
+  });
+
+  describe('importIcsFixtures', () => {
+    it('rejects an empty import', async () => {
+      expect(await importIcsFixtures('team-1', [])).toEqual({ success: false, error: 'errors.calendarImportEmpty' });
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('upserts fixtures keyed by team and uid', async () => {
+      const select = jest.fn(() => Promise.resolve({ data: [{ id: 'u1' }, { id: 'u2' }], error: null }));
+      const upsert = jest.fn(() => ({ select }));
+      supabase.from.mockReturnValue({ upsert });
+
+      const result = await importIcsFixtures('team-1', [
+        { externalUid: 'a', opponent: 'AIK', matchDate: '2026-04-19', matchTime: '12:00', venue: 'Stadion' },
+        { externalUid: 'b', opponent: 'Hammarby', matchDate: '2026-04-26', matchTime: null, venue: null }
+      ]);
+
+      expect(supabase.from).toHaveBeenCalledWith('upcoming_match');
+      const [rows, options] = upsert.mock.calls[0];
+      expect(options).toEqual({ onConflict: 'team_id,external_uid' });
+      expect(rows[0]).toMatchObject({
+        team_id: 'team-1',
+        source: 'ics',
+        external_uid: 'a',
+        opponent: 'AIK',
+        match_date: '2026-04-19',
+        match_time: '12:00',
+        venue: 'Stadion'
+      });
+      expect(rows[1]).toMatchObject({ match_time: null, venue: null });
+      expect(result).toEqual({ success: true, importedCount: 2 });
+    });
+
+    it('returns an error key when the upsert fails', async () => {
+      const select = jest.fn(() => Promise.resolve({ data: null, error: { message: 'denied' } }));
+      supabase.from.mockReturnValue({ upsert: jest.fn(() => ({ select })) });
+
+      const result = await importIcsFixtures('team-1', [{ externalUid: 'a', opponent: 'AIK', matchDate: '2026-04-19' }]);
+
+      expect(result).toEqual({ success: false, error: 'errors.calendarImportFailed' });
+    });
+  });
+
+  describe('calendar feed', () => {
+    it('returns null when no feed exists', async () => {
+      const maybeSingle = jest.fn(() => Promise.resolve({ data: null, error: null }));
+      supabase.from.mockReturnValue({ select: () => ({ eq: () => ({ maybeSingle }) }) });
+
+      expect(await getCalendarFeed('team-1')).toEqual({ success: true, feed: null });
+    });
+
+    it('maps the feed to https and webcal links', async () => {
+      const single = jest.fn(() => Promise.resolve({ data: { token: 'tok', include_trainings: true }, error: null }));
+      const insert = jest.fn(() => ({ select: () => ({ single }) }));
+      supabase.from.mockReturnValue({ insert });
+
+      const result = await enableCalendarFeed('team-1');
+
+      expect(insert).toHaveBeenCalledWith({ team_id: 'team-1' });
+      expect(result.feed).toEqual({
+        token: 'tok',
+        includeTrainings: true,
+        url: 'https://project.supabase.co/functions/v1/team-calendar-feed?token=tok',
+        webcalUrl: 'webcal://project.supabase.co/functions/v1/team-calendar-feed?token=tok'
+      });
+    });
+
+    it('replaces the feed on reset', async () => {
+      const deleteEq = jest.fn(() => Promise.resolve({ error: null }));
+      const single = jest.fn(() => Promise.resolve({ data: { token: 'new', include_trainings: true }, error: null }));
+      supabase.from.mockReturnValue({
+        delete: () => ({ eq: deleteEq }),
+        insert: () => ({ select: () => ({ single }) })
+      });
+
+      const result = await resetCalendarFeed('team-1');
+
+      expect(deleteEq).toHaveBeenCalledWith('team_id', 'team-1');
+      expect(result.success).toBe(true);
+      expect(result.feed.token).toBe('new');
+    });
+  });
+});
@@ -14,8 +14,13 @@ import {
   retryConnector,
   getPlayerConnectionDetails,
   getAttendanceStats,
-  dismissGhostPlayer
+  dismissGhostPlayer,
+  connectFileImportProvider,
+  registerConnectorAdapter,
+  getConnectorAdapter,
+  runConnectorSync
 } from '../connectorService';
+import { createFakeConnectorAdapter, FAKE_CONNECTOR_PROVIDER_ID } from '../connectorAdapters';
 import { supabase } from '../../lib/supabase';
 
 jest.mock('../../lib/supabase', () => ({
@@ -246,6 +251,122 @@ describe('connectorService', () => {
     });
   });
 
+  describe('connectFileImportProvider', () => {
+    it('creates a connected connector without credentials', async () => {
+      const single = jest.fn().mockResolvedValue({ data: { id: 'connector-1' }, error: null });
+      const select = jest.fn(() => ({ single }));
+      const insert = jest.fn(() => ({ select }));
+      supabase.from.mockReturnValue({ insert });
+
+      const result = await connectFileImportProvider('team-1', 'myclub');
+
+      expect(supabase.from).toHaveBeenCalledWith('connector');
+      expect(insert).toHaveBeenCalledWith({
+        team_id: 'team-1',
+        provider: 'myclub',
+        status: 'connected',
+        config: { sync_mode: 'file_import' }
+      });
+      expect(result).toEqual({ id: 'connector-1' });
+    });
+
+    it('rejects providers that sync through the scraper', async () => {
+      await expect(connectFileImportProvider('team-1', 'sportadmin'))
+        .rejects.toThrow('This provider does not support file imports');
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runConnectorSync', () => {
+    const fakeConnector = { id: 'connector-1', team_id: 'team-1', provider: FAKE_CONNECTOR_PROVIDER_ID };
+
+    it('rejects adapters that do not implement the interface', () => {
+      expect(() => registerConnectorAdapter({ id: 'broken', syncMode: 'file_import' }))
+        .toThrow('File import adapters must implement fetchRoster, fetchAttendance and fetchUpcomingMatches');
+      expect(getConnectorAdapter('broken')).toBeNull();
+    });
+
+    it('imports the fake provider data and returns the sync job counts', async () => {
+      const data = {
+        roster: [{ name: 'Alva Berg' }],
+        attendance: [{ name: 'Alva Berg', date: '2026-03-02', attended: true }],
+        upcomingMatches: [{ date: '2026-04-11', time: '10:00', opponent: 'IFK Lund', venue: null }]
+      };
+      registerConnectorAdapter(createFakeConnectorAdapter(data));
+      supabase.rpc.mockResolvedValue({
+        data: { job_id: 'job-1', players: 1, attendance: 1, matches: 1 },
+        error: null
+      });
+
+      const result = await runConnectorSync(fakeConnector);
+
+      expect(supabase.rpc).toHaveBeenCalledWith('import_connector_file_data', {
+        p_connector_id: 'connector-1',
+        p_players: data.roster,
+        p_attendance: data.attendance,
+        p_matches: data.upcomingMatches
+      });
+      expect(result).toEqual({
+        jobId: 'job-1',
+        syncMode: 'file_import',
+        players: 1,
+        attendance: 1,
+        matches: 1
+      });
+    });
+
+    it('surfaces adapter failures without writing anything', async () => {
+      registerConnectorAdapter(createFakeConnectorAdapter({ error: 'Provider unavailable' }));
+
+      await expect(runConnectorSync(fakeConnector)).rejects.toThrow('Provider unavailable');
+      expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+
+    it('throws when the file holds no data', async () => {
+      registerConnectorAdapter(createFakeConnectorAdapter());
+
+      await expect(runConnectorSync(fakeConnector))
+        .rejects.toThrow('No players, attendance or upcoming matches were found in the file');
+    });
+
+    it('throws the error recorded on a failed import job', async () => {
+      registerConnectorAdapter(createFakeConnectorAdapter({ roster: [{ name: 'Alva Berg' }] }));
+      supabase.rpc.mockResolvedValue({ data: { job_id: 'job-2', error: 'value too long' }, error: null });
+
+      await expect(runConnectorSync(fakeConnector)).rejects.toThrow('value too long');
+    });
+
+    it('parses uploaded exports for file import providers', async () => {
+      supabase.rpc.mockResolvedValue({
+        data: { job_id: 'job-3', players: 2, attendance: 0, matches: 0 },
+        error: null
+      });
+
+      await runConnectorSync(
+        { id: 'connector-2', team_id: 'team-1', provider: 'svenska_lag' },
+        { fileName: 'trupp.csv', text: 'Förnamn;Efternamn\nAlva;Berg\nEbbe;Lind\n' }
+      );
+
+      expect(supabase.rpc).toHaveBeenCalledWith('import_connector_file_data', expect.objectContaining({
+        p_connector_id: 'connector-2',
+        p_players: [{ name: 'Alva Berg' }, { name: 'Ebbe Lind' }]
+      }));
+    });
+
+    it('queues a sync job and starts the scraper for scraper providers', async () => {
+      supabase.rpc.mockResolvedValue({ data: 'job-4', error: null });
+      supabase.functions.invoke.mockResolvedValue({ data: { success: true }, error: null });
+
+      const result = await runConnectorSync({ id: 'connector-3', team_id: 'team-1', provider: 'sportadmin' });
+
+      expect(supabase.rpc).toHaveBeenCalledWith('create_manual_sync_job', { p_connector_id: 'connector-3' });
+      expect(supabase.functions.invoke).toHaveBeenCalledWith('trigger-scraper-workflow', {
+        body: { team_id: 'team-1' }
+      });
+      expect(result).toEqual({ jobId: 'job-4', syncMode: 'scraper', workflowTriggered: true });
+    });
+  });
+
   describe('retryConnector', () => {
     it('requires connector id', async () => {
       await expect(retryConnector()).rejects.toThrow('Connector ID is required');
@@ -747,6 +868,7 @@ describe('connectorService', () => {
     const startDate = new Date('2025-01-01');
     const endDate = new Date('2025-01-31');
     let attendanceChain;
+    let trainingChain;
 
     const mockConnectors = [
       { id: 'connector-1', status: 'connected', provider: 'sportadmin' }
@@ -903,6 +1025,17 @@ describe('connectorService', () => {
       return { weightSelect };
     };
 
+    const buildTrainingChain = (data, error = null) => {
+      const trainingQuery = {};
+      trainingQuery.eq = jest.fn(() => trainingQuery);
+      trainingQuery.not = jest.fn(() => trainingQuery);
+      trainingQuery.gte = jest.fn(() => trainingQuery);
+      trainingQuery.lte = jest.fn(() => trainingQuery);
+      trainingQuery.order = jest.fn().mockResolvedValue({ data, error });
+      const trainingSelect = jest.fn(() => trainingQuery);
+      return { trainingSelect, trainingQuery };
+    };
+
     const setupSupabase = ({
       connectorsData = mockConnectors,
       connectorsError = null,
@@ -915,7 +1048,9 @@ describe('connectorService', () => {
       loanData = [],
       loanError = null,
       weightData = null,
-      weightError = null
+      weightError = null,
+      trainingData = [],
+      trainingError = null
     } = {}) => {
       const connectorChain = buildConnectorsChain(connectorsData, connectorsError);
       attendanceChain = buildAttendanceChain(attendanceData, attendanceError);
@@ -923,6 +1058,7 @@ describe('connectorService', () => {
       const matchStatsChain = buildMatchStatsChain(matchStatsData, matchStatsError);
       const loanChain = buildLoanChain(loanData, loanError);
       const weightChain = buildWeightChain(weightData, weightError);
+      trainingChain = buildTrainingChain(trainingData, trainingError);
 
       supabase.from.mockImplementation((table) => {
         if (table === 'connector') {
@@ -943,6 +1079,9 @@ describe('connectorService', () => {
         if (table === 'team_preference') {
           return { select: weightChain.weightSelect };
         }
+        if (table === 'training_session') {
+          return { select: trainingChain.trainingSelect };
+        }
         return { select: jest.fn() };
       });
     };
@@ -981,6 +1120,81 @@ describe('connectorService', () => {
       expect(result).toEqual([]);
     });
 
+    it('builds stats from recorded training sessions when no connector is connected', async () => {
+      setupSupabase({
+        connectorsData: [],
+        attendanceData: [],
+        trainingData: [
+          {
+            id: 'session-1',
+            session_date: '2025-01-07',
+            training_attendance: [
+              { player_id: 'player-1', attended: true },
+              { player_id: 'player-2', attended: false }
+            ]
+          },
+          {
+            id: 'session-2',
+            session_date: '2025-01-14',
+            training_attendance: [
+              { player_id: 'player-1', attended: true },
+              { player_id: 'player-2', attended: true }
+            ]
+          }
+        ]
+      });
+
+      const result = await getAttendanceStats(teamId, startDate, endDate);
+
+      expect(supabase.from).not.toHaveBeenCalledWith('player_attendance');
+      expect(trainingChain.trainingQuery.eq).toHaveBeenCalledWith('status', 'scheduled');
+      expect(trainingChain.trainingQuery.not).toHaveBeenCalledWith('attendance_recorded_at', 'is', null);
+      expect(trainingChain.trainingQuery.gte).toHaveBeenCalledWith('session_date', '2025-01-01');
+      expect(trainingChain.trainingQuery.lte).toHaveBeenCalledWith('session_date', '2025-01-31');
+
+      const alice = result.find(p => p.playerId === 'player-1');
+      const bob = result.find(p => p.playerId === 'player-2');
+      expect(alice).toMatchObject({ totalPractices: 2, totalAttendance: 2, attendanceRate: 100 });
+      expect(bob).toMatchObject({ totalPractices: 2, totalAttendance: 1, attendanceRate: 50 });
+      expect(bob.attendanceRecords).toEqual([
+        { date: '2025-01-07', year: 2025, month: 1, day: 7, practices: 1, attendance: 0 },
+        { date: '2025-01-14', year: 2025, month: 1, day: 14, practices: 1, attendance: 1 }
+      ]);
+    });
+
+    it('does not double count dates covered by both the connector and training sessions', async () => {
+      setupSupabase({
+        trainingData: [
+          {
+            id: 'session-1',
+            session_date: '2025-01-05',
+            training_attendance: [{ player_id: 'player-1', attended: true }]
+          },
+          {
+            id: 'session-2',
+            session_date: '2025-01-25',
+            training_attendance: [{ player_id: 'player-1', attended: true }]
+          }
+        ]
+      });
+
+      const result = await getAttendanceStats(teamId);
+      const alice = result.find(p => p.playerId === 'player-1');
+
+      // Connector: 4 + 5 + 7 + 8 practices; 2025-01-05 already has 4, 2025-01-25 adds one
+      expect(alice.totalPractices).toBe(25);
+      expect(alice.totalAttendance).toBe(17);
+      expect(alice.attendanceRecords.map(record => record.date)).toEqual([
+        '2025-01-05', '2025-01-20', '2025-01-25', '2025-02-02'
+      ]);
+    });
+
+    it('throws when training sessions cannot be loaded', async () => {
+      setupSupabase({ trainingError: { message: 'boom' } });
+
+      await expect(getAttendanceStats(teamId)).rejects.toThrow('Failed to load training attendance');
+    });
+
     it('fetches and aggregates attendance data correctly', async () => {
       const result = await getAttendanceStats(teamId);
 
@@ -4,6 +4,7 @@
  */
 
 import { eventPersistenceService } from '../eventPersistenceService';
+import { syncOutbox, OUTBOX_OPERATIONS } from '../syncOutbox';
 import * as fixtures from '../__fixtures__/events';
 import { sampleMatchId } from '../__fixtures__/matchData';
 
@@ -45,6 +46,7 @@ describe('EventPersistenceService', () => {
   afterEach(() => {
     jest.restoreAllMocks();
     eventPersistenceService.clearAllRetryTimers();
+    syncOutbox.reset();
   });
 
   describe('mapEventTypeToDatabase', () => {
@@ -963,6 +965,58 @@ describe('EventPersistenceService', () => {
     });
   });
 
+  describe('sync outbox', () => {
+    const dbEvent = {
+      match_id: sampleMatchId,
+      event_type: 'goal_scored',
+      occurred_at_seconds: 100,
+      period: 1
+    };
+
+    it('queues events while offline using the stored session', async () => {
+      jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(false);
+      require('../../lib/supabase').getCurrentSession = jest.fn().mockResolvedValue({ user: { id: 'user-1' } });
+
+      const result = await eventPersistenceService.persistEvent(
+        fixtures.goalieSwitchEvent,
+        sampleMatchId
+      );
+
+      expect(result.results).toHaveLength(2);
+      expect(result.results[0].value.queued).toBe(true);
+      expect(mockGetCurrentUser).not.toHaveBeenCalled();
+      expect(mockSupabase.insert).not.toHaveBeenCalled();
+      expect(syncOutbox.getEntries().map(entry => entry.type)).toEqual([
+        OUTBOX_OPERATIONS.MATCH_EVENT,
+        OUTBOX_OPERATIONS.MATCH_EVENT
+      ]);
+    });
+
+    it('queues the event instead of retrying when the request never arrives', async () => {
+      mockSupabase.insert.mockResolvedValue({ data: null, error: new TypeError('Failed to fetch') });
+
+      const result = await eventPersistenceService.writeEventToDatabase(dbEvent);
+
+      expect(result).toEqual({ success: false, queued: true });
+      expect(eventPersistenceService.retryTimers.size).toBe(0);
+      expect(syncOutbox.getEntries()[0]).toMatchObject({
+        type: OUTBOX_OPERATIONS.MATCH_EVENT,
+        matchId: sampleMatchId,
+        payload: { dbEvent }
+      });
+    });
+
+    it('uploads queued events when the outbox is flushed', async () => {
+      mockSupabase.insert.mockResolvedValue({ data: {}, error: null });
+      eventPersistenceService.queueEvent(dbEvent);
+
+      const result = await syncOutbox.flush();
+
+      expect(result).toEqual({ synced: 1, failed: 0, remaining: 0 });
+      expect(mockSupabase.insert).toHaveBeenCalledWith(dbEvent);
+    });
+  });
+
   describe('localStorage fallback', () => {
     it('stores failed events in localStorage after max retries', () => {
       const dbEvent = {
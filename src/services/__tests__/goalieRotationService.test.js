@@ -0,0 +1,93 @@
+import { getGoalieHistory } from '../goalieRotationService';
+import { supabase } from '../../lib/supabase';
+import { buildQuery } from '../../__integration__/setup/sharedMockFactories';
+
+jest.mock('../../lib/supabase', () => ({
+  supabase: {
+    from: jest.fn()
+  }
+}));
+
+describe('goalieRotationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('getGoalieHistory', () => {
+    it('requires a team', async () => {
+      expect(await getGoalieHistory(null)).toEqual({ success: false, error: 'Team ID is required' });
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('builds goalie periods from finished matches in the period', async () => {
+      const queries = {
+        match: buildQuery({
+          data: [
+            { id: 'm1', period_duration_minutes: 15 },
+            { id: 'm2', period_duration_minutes: 10 }
+          ],
+          error: null
+        }),
+        player_match_stats: buildQuery({
+          data: [
+            { player_id: 'p1', match_id: 'm1', goalie_time_seconds: 900 },
+            { player_id: 'p1', match_id: 'm2', goalie_time_seconds: 1200 }
+          ],
+          error: null
+        })
+      };
+      supabase.from.mockImplementation(table => queries[table]);
+
+      const startDate = new Date('2026-01-01T00:00:00Z');
+      const endDate = new Date('2026-06-01T00:00:00Z');
+      const result = await getGoalieHistory('team-1', { startDate, endDate });
+
+      expect(result.success).toBe(true);
+      expect(result.matchCount).toBe(2);
+      expect(result.history.get('p1')).toEqual({ goaliePeriods: 3, goalieMatches: 2, goalieSeconds: 2100 });
+
+      expect(queries.match.eq).toHaveBeenCalledWith('team_id', 'team-1');
+      expect(queries.match.eq).toHaveBeenCalledWith('state', 'finished');
+      expect(queries.match.is).toHaveBeenCalledWith('deleted_at', null);
+      expect(queries.match.gte).toHaveBeenCalledWith('started_at', startDate.toISOString());
+      expect(queries.match.lte).toHaveBeenCalledWith('started_at', endDate.toISOString());
+      expect(queries.player_match_stats.in).toHaveBeenCalledWith('match_id', ['m1', 'm2']);
+      expect(queries.player_match_stats.gt).toHaveBeenCalledWith('goalie_time_seconds', 0);
+    });
+
+    it('defaults to the start of the current year', async () => {
+      const matchQuery = buildQuery({ data: [], error: null });
+      supabase.from.mockReturnValue(matchQuery);
+
+      const result = await getGoalieHistory('team-1');
+
+      expect(result).toEqual({ success: true, history: new Map(), matchCount: 0 });
+      expect(matchQuery.gte).toHaveBeenCalledWith(
+        'started_at',
+        new Date(new Date().getFullYear(), 0, 1).toISOString()
+      );
+      expect(supabase.from).toHaveBeenCalledTimes(1);
+    });
+
+    it('reports match query errors', async () => {
+      supabase.from.mockReturnValue(buildQuery({ data: null, error: { message: 'boom' } }));
+
+      expect(await getGoalieHistory('team-1')).toEqual({ success: false, error: 'errors.goalieHistoryFailed' });
+    });
+
+    it('reports stats query errors', async () => {
+      const queries = {
+        match: buildQuery({ data: [{ id: 'm1', period_duration_minutes: 15 }], error: null }),
+        player_match_stats: buildQuery({ data: null, error: { message: 'boom' } })
+      };
+      supabase.from.mockImplementation(table => queries[table]);
+
+      expect(await getGoalieHistory('team-1')).toEqual({ success: false, error: 'errors.goalieHistoryFailed' });
+    });
+  });
+});
@@ -0,0 +1,218 @@
+import {
+  claimMatchClock,
+  getDeviceId,
+  getMatchControl,
+  hasActiveClockLease,
+  publishMatchState,
+  releaseMatchClock
+} from '../matchControlService';
+import { supabase } from '../../lib/supabase';
+
+jest.mock('../../lib/supabase', () => ({
+  supabase: {
+    from: jest.fn(),
+    rpc: jest.fn()
+  }
+}));
+
+const mockControlRow = (row, error = null) => {
+  const query = {};
+  query.select = jest.fn(() => query);
+  query.eq = jest.fn(() => query);
+  query.maybeSingle = jest.fn(() => Promise.resolve({ data: row, error }));
+  supabase.from.mockReturnValue(query);
+  return query;
+};
+
+describe('matchControlService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('getDeviceId', () => {
+    it('returns the same id on every call', () => {
+      const deviceId = getDeviceId();
+
+      expect(deviceId).toEqual(expect.any(String));
+      expect(getDeviceId()).toBe(deviceId);
+    });
+  });
+
+  describe('hasActiveClockLease', () => {
+    const now = Date.parse('2026-03-13T10:00:00Z');
+
+    it('is true while the lease runs', () => {
+      expect(hasActiveClockLease({ clockDeviceId: 'device-a', clockLeaseExpiresAt: '2026-03-13T10:00:30Z' }, now)).toBe(true);
+    });
+
+    it('is false for expired leases or without a holder', () => {
+      expect(hasActiveClockLease({ clockDeviceId: 'device-a', clockLeaseExpiresAt: '2026-03-13T09:59:30Z' }, now)).toBe(false);
+      expect(hasActiveClockLease({ clockDeviceId: null, clockLeaseExpiresAt: '2026-03-13T10:00:30Z' }, now)).toBe(false);
+      expect(hasActiveClockLease(null, now)).toBe(false);
+    });
+  });
+
+  describe('getMatchControl', () => {
+    it('requires a match', async () => {
+      const result = await getMatchControl(null);
+
+      expect(result).toEqual({ success: false, error: 'Match ID is required' });
+    });
+
+    it('maps the control row', async () => {
+      const state = { version: 1, game: {}, events: [] };
+      const query = mockControlRow({
+        clock_device_id: 'device-a',
+        clock_device_name: 'Coach A',
+        clock_user_id: 'user-1',
+        clock_lease_expires_at: '2026-03-13T10:00:30Z',
+        state,
+        state_ordinal: '12',
+        state_device_id: 'device-a'
+      });
+
+      const result = await getMatchControl('match-1');
+
+      expect(supabase.from).toHaveBeenCalledWith('match_control');
+      expect(query.eq).toHaveBeenCalledWith('match_id', 'match-1');
+      expect(result).toEqual({
+        success: true,
+        control: {
+          clockDeviceId: 'device-a',
+          clockDeviceName: 'Coach A',
+          clockUserId: 'user-1',
+          clockLeaseExpiresAt: '2026-03-13T10:00:30Z',
+          stateOrdinal: 12
+        },
+        state,
+        stateDeviceId: 'device-a'
+      });
+    });
+
+    it('returns no control for matches nobody has shared', async () => {
+      mockControlRow(null);
+
+      const result = await getMatchControl('match-1');
+
+      expect(result).toEqual({ success: true, control: null, state: null });
+    });
+
+    it('returns the error message when the query fails', async () => {
+      mockControlRow(null, { message: 'boom' });
+
+      const result = await getMatchControl('match-1');
+
+      expect(result).toEqual({ success: false, error: 'boom' });
+    });
+  });
+
+  describe('claimMatchClock', () => {
+    it('claims the clock for this device', async () => {
+      supabase.rpc.mockResolvedValue({
+        data: {
+          success: true,
+          acquired: true,
+          clock_device_id: getDeviceId(),
+          clock_device_name: 'Coach A',
+          clock_lease_expires_at: '2026-03-13T10:00:45Z',
+          state_ordinal: 3
+        },
+        error: null
+      });
+
+      const result = await claimMatchClock('match-1', { deviceName: 'Coach A', takeOver: true });
+
+      expect(supabase.rpc).toHaveBeenCalledWith('claim_match_clock', {
+        p_match_id: 'match-1',
+        p_device_id: getDeviceId(),
+        p_device_name: 'Coach A',
+        p_take_over: true
+      });
+      expect(result.success).toBe(true);
+      expect(result.acquired).toBe(true);
+      expect(result.control.clockDeviceId).toBe(getDeviceId());
+      expect(result.control.stateOrdinal).toBe(3);
+    });
+
+    it('returns the database message when the claim is refused', async () => {
+      supabase.rpc.mockResolvedValue({
+        data: { success: false, error: 'match_not_active', message: 'Match is not active' },
+        error: null
+      });
+
+      const result = await claimMatchClock('match-1');
+
+      expect(result).toEqual({ success: false, error: 'Match is not active' });
+    });
+  });
+
+  describe('releaseMatchClock', () => {
+    it('releases the clock held by this device', async () => {
+      supabase.rpc.mockResolvedValue({ data: { success: true, released: true }, error: null });
+
+      const result = await releaseMatchClock('match-1');
+
+      expect(supabase.rpc).toHaveBeenCalledWith('release_match_clock', {
+        p_match_id: 'match-1',
+        p_device_id: getDeviceId()
+      });
+      expect(result).toEqual({ success: true, released: true });
+    });
+
+    it('falls back to a translatable error', async () => {
+      supabase.rpc.mockResolvedValue({ data: null, error: {} });
+
+      const result = await releaseMatchClock('match-1');
+
+      expect(result).toEqual({ success: false, error: 'errors.matchControlFailed' });
+    });
+  });
+
+  describe('publishMatchState', () => {
+    const state = { version: 1, game: { ownScore: 1 }, events: [] };
+
+    it('requires a match and a state', async () => {
+      const result = await publishMatchState('match-1', { baseOrdinal: 2 });
+
+      expect(result).toEqual({ success: false, error: 'Match ID and state are required' });
+      expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+
+    it('publishes on top of the latest seen state', async () => {
+      supabase.rpc.mockResolvedValue({ data: { success: true, accepted: true, state_ordinal: 7 }, error: null });
+
+      const result = await publishMatchState('match-1', { baseOrdinal: 5, state });
+
+      expect(supabase.rpc).toHaveBeenCalledWith('publish_match_state', {
+        p_match_id: 'match-1',
+        p_device_id: getDeviceId(),
+        p_base_ordinal: 5,
+        p_state: state
+      });
+      expect(result).toEqual({ success: true, accepted: true, stateOrdinal: 7 });
+    });
+
+    it('returns the newer state when another device published first', async () => {
+      const newer = { version: 1, game: { ownScore: 2 }, events: [] };
+      supabase.rpc.mockResolvedValue({
+        data: { success: true, accepted: false, state: newer, state_ordinal: 9, state_device_id: 'device-b' },
+        error: null
+      });
+
+      const result = await publishMatchState('match-1', { baseOrdinal: 5, state });
+
+      expect(result).toEqual({
+        success: true,
+        accepted: false,
+        stateOrdinal: 9,
+        state: newer,
+        stateDeviceId: 'device-b'
+      });
+    });
+  });
+});
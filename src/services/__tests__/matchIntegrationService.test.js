@@ -72,19 +72,17 @@ describe('MatchIntegrationService', () => {
         mockSupabase.order.mockResolvedValue({ data: [], error: null });
       });
 
-      it('queries upcoming_match table with connector join', async () => {
+      it('queries upcoming_match table', async () => {
         await findUpcomingMatchByOpponent(fixtures.sampleTeamId, 'Palawan');
 
         expect(mockSupabase.from).toHaveBeenCalledWith('upcoming_match');
-        expect(mockSupabase.select).toHaveBeenCalledWith(
-          expect.stringContaining('connector!inner')
-        );
+        expect(mockSupabase.select).toHaveBeenCalledWith('*');
       });
 
-      it('filters by team_id through connector relationship', async () => {
+      it('filters by team_id so imported fixtures without a connector are included', async () => {
         await findUpcomingMatchByOpponent(fixtures.sampleTeamId, 'Palawan');
 
-        expect(mockSupabase.eq).toHaveBeenCalledWith('connector.team_id', fixtures.sampleTeamId);
+        expect(mockSupabase.eq).toHaveBeenCalledWith('team_id', fixtures.sampleTeamId);
       });
 
       it('filters by date >= today', async () => {
@@ -285,12 +283,9 @@ describe('MatchIntegrationService', () => {
 
         await findUpcomingMatchByOpponent(fixtures.sampleTeamId, 'Palawan');
 
-        // RLS is enforced at database level through connector relationship
+        // RLS is enforced at database level through team membership
         // The query doesn't explicitly check permissions - it relies on Supabase RLS
-        expect(mockSupabase.select).toHaveBeenCalledWith(
-          expect.stringContaining('connector!inner')
-        );
-        expect(mockSupabase.eq).toHaveBeenCalledWith('connector.team_id', fixtures.sampleTeamId);
+        expect(mockSupabase.eq).toHaveBeenCalledWith('team_id', fixtures.sampleTeamId);
       });
     });
 
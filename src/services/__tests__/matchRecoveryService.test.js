@@ -2,6 +2,7 @@ import {
   checkForRecoverableMatch,
   deleteAbandonedMatch,
   getRecoveryMatchData,
+  loadMatchForResume,
   validateRecoveryData
 } from '../matchRecoveryService';
 import { supabase } from '../../lib/supabase';
@@ -30,6 +31,21 @@ const createUpdateChain = response => {
   return { update, eqId, eqState, isDeleted };
 };
 
+const createResumeMatchChain = result => {
+  const maybeSingle = jest.fn().mockResolvedValue(result);
+  const isDeleted = jest.fn(() => ({ maybeSingle }));
+  const eq = jest.fn(() => ({ is: isDeleted }));
+  const select = jest.fn(() => ({ eq }));
+  return { select, eq, isDeleted, maybeSingle };
+};
+
+const createEventsChain = result => {
+  const order = jest.fn().mockResolvedValue(result);
+  const eq = jest.fn(() => ({ order }));
+  const select = jest.fn(() => ({ eq }));
+  return { select, eq, order };
+};
+
 const createMaybeSingleChain = result => {
   const maybeSingle = jest.fn().mockResolvedValue(result);
   const eq = jest.fn(() => ({ maybeSingle }));
@@ -285,6 +301,71 @@ describe('matchRecoveryService', () => {
     });
   });
 
+  describe('loadMatchForResume', () => {
+    it('loads the running match with its events in order', async () => {
+      const match = { id: 'match-123', state: 'running', initial_config: {} };
+      const events = [{ id: 'event-1', event_type: 'match_started', ordinal: 1 }];
+      const matchChain = createResumeMatchChain({ data: match, error: null });
+      const eventsChain = createEventsChain({ data: events, error: null });
+
+      supabase.from
+        .mockReturnValueOnce({ select: matchChain.select })
+        .mockReturnValueOnce({ select: eventsChain.select });
+
+      const result = await loadMatchForResume('match-123');
+
+      expect(result).toEqual({ success: true, match, events });
+      expect(supabase.from).toHaveBeenNthCalledWith(1, 'match');
+      expect(supabase.from).toHaveBeenNthCalledWith(2, 'match_log_event');
+      expect(matchChain.eq).toHaveBeenCalledWith('id', 'match-123');
+      expect(eventsChain.eq).toHaveBeenCalledWith('match_id', 'match-123');
+      expect(eventsChain.order).toHaveBeenCalledWith('ordinal', { ascending: true });
+    });
+
+    it('returns error when matchId is missing', async () => {
+      const result = await loadMatchForResume();
+
+      expect(result).toEqual({ success: false, error: 'Match ID is required' });
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('returns error when the match is not running', async () => {
+      const matchChain = createResumeMatchChain({ data: { id: 'match-123', state: 'finished' }, error: null });
+      supabase.from.mockReturnValueOnce({ select: matchChain.select });
+
+      const result = await loadMatchForResume('match-123');
+
+      expect(result).toEqual({ success: false, error: 'errors.matchNotRunning' });
+      expect(supabase.from).toHaveBeenCalledTimes(1);
+    });
+
+    it('returns error when the match does not exist', async () => {
+      const matchChain = createResumeMatchChain({ data: null, error: null });
+      supabase.from.mockReturnValueOnce({ select: matchChain.select });
+
+      const result = await loadMatchForResume('match-123');
+
+      expect(result).toEqual({ success: false, error: 'errors.matchNotFound' });
+    });
+
+    it('handles event query errors', async () => {
+      const matchChain = createResumeMatchChain({ data: { id: 'match-123', state: 'running' }, error: null });
+      const eventsChain = createEventsChain({ data: null, error: { message: 'Permission denied' } });
+
+      supabase.from
+        .mockReturnValueOnce({ select: matchChain.select })
+        .mockReturnValueOnce({ select: eventsChain.select });
+
+      const result = await loadMatchForResume('match-123');
+
+      expect(result).toEqual({ success: false, error: 'Database error: Permission denied' });
+      expect(console.error).toHaveBeenCalledWith(
+        '❌ Failed to load match events for resume:',
+        { message: 'Permission denied' }
+      );
+    });
+  });
+
   describe('getRecoveryMatchData', () => {
     it('returns recovery data from localStorage', () => {
       const mockGameState = {
@@ -17,6 +17,7 @@ import {
   formatInitialPlayerStats,
   formatPlayerMatchStats,
   countPlayerGoals,
+  countPlayerAssists,
   mapFormationPositionToRole,
   mapStartingRoleToDBRole,
   deleteFinishedMatch,
@@ -24,6 +25,7 @@ import {
 } from '../matchStateManager';
 import { PLAYER_ROLES } from '../../constants/playerConstants';
 import { supabase } from '../../lib/supabase';
+import { syncOutbox, OUTBOX_OPERATIONS } from '../syncOutbox';
 
 // Mock the supabase client
 jest.mock('../../lib/supabase', () => ({
@@ -136,6 +138,8 @@ describe('matchStateManager', () => {
 
   afterEach(() => {
     jest.restoreAllMocks();
+    localStorage.clear();
+    syncOutbox.reset();
   });
 
   describe('createMatch', () => {
@@ -199,6 +203,125 @@ describe('matchStateManager', () => {
     });
   });
 
+  describe('offline sync', () => {
+    const finalStats = {
+      matchDurationSeconds: 2400,
+      goalsScored: 2,
+      goalsConceded: 1,
+      outcome: 'win'
+    };
+
+    const goOffline = () => {
+      jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(false);
+    };
+
+    it('queues match creation with a device generated ID while offline', async () => {
+      goOffline();
+
+      const result = await createMatch(mockMatchData, mockPlayers, mockSelectedSquadIds);
+
+      expect(result).toEqual({
+        success: true,
+        matchId: expect.stringMatching(/^[0-9a-f-]{36}$/),
+        playerStatsInserted: 0,
+        queued: true
+      });
+      expect(supabase.from).not.toHaveBeenCalled();
+
+      const [entry] = syncOutbox.getEntries();
+      expect(entry).toMatchObject({
+        type: OUTBOX_OPERATIONS.CREATE_MATCH,
+        matchId: result.matchId,
+        label: 'Test Opponents'
+      });
+      expect(entry.payload.matchRecord).toMatchObject({ id: result.matchId, team_id: 'team-123', state: 'pending' });
+      expect(entry.payload.playerStats).toHaveLength(2);
+      expect(entry.payload.playerStats[0].match_id).toBe(result.matchId);
+    });
+
+    it('queues match creation when the request fails on the network', async () => {
+      supabase.from.mockReturnValue({
+        insert: jest.fn(() => ({
+          select: jest.fn(() => ({
+            single: jest.fn().mockResolvedValue({
+              data: null,
+              error: { message: 'TypeError: Failed to fetch' }
+            })
+          }))
+        }))
+      });
+
+      const result = await createMatch(mockMatchData, mockPlayers, mockSelectedSquadIds);
+
+      expect(result.queued).toBe(true);
+      expect(syncOutbox.getEntries()).toHaveLength(1);
+    });
+
+    it('keeps writes in order behind waiting entries even when online', async () => {
+      goOffline();
+      const { matchId } = await createMatch(mockMatchData, mockPlayers, mockSelectedSquadIds);
+      jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(true);
+
+      const startResult = await updateMatchToRunning(matchId);
+      const finishResult = await updateMatchToFinished(matchId, finalStats);
+
+      expect(startResult).toEqual({ success: true, queued: true });
+      expect(finishResult).toMatchObject({ success: true, queued: true, matchUpdated: false });
+      expect(supabase.from).not.toHaveBeenCalled();
+      expect(syncOutbox.getEntries().map(entry => entry.type)).toEqual([
+        OUTBOX_OPERATIONS.CREATE_MATCH,
+        OUTBOX_OPERATIONS.START_MATCH,
+        OUTBOX_OPERATIONS.FINISH_MATCH
+      ]);
+    });
+
+    it('queues player stats while offline', async () => {
+      goOffline();
+
+      const result = await upsertPlayerMatchStats('match-123', mockPlayers, 'player-captain', mockSelectedSquadIds);
+
+      expect(result).toEqual({ success: true, inserted: 0, updated: 0, queued: true });
+      expect(syncOutbox.getEntries()[0].type).toBe(OUTBOX_OPERATIONS.SAVE_PLAYER_STATS);
+    });
+
+    it('replays a queued match creation and start when back online', async () => {
+      goOffline();
+      const { matchId } = await createMatch(mockMatchData, mockPlayers, mockSelectedSquadIds);
+      await updateMatchToRunning(matchId);
+      jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(true);
+
+      const matchInsert = jest.fn().mockResolvedValue({ error: null });
+      const statsUpsert = jest.fn().mockResolvedValue({ error: null });
+      const startChain = createUpdateChain();
+      supabase.from
+        .mockReturnValueOnce({ insert: matchInsert })
+        .mockReturnValueOnce({ upsert: statsUpsert })
+        .mockReturnValueOnce({ update: startChain.update });
+
+      const result = await syncOutbox.flush();
+
+      expect(result).toEqual({ synced: 2, failed: 0, remaining: 0 });
+      expect(matchInsert).toHaveBeenCalledWith(expect.objectContaining({ id: matchId }));
+      expect(statsUpsert).toHaveBeenCalledWith(expect.any(Array), { onConflict: 'match_id,player_id' });
+      expect(startChain.update).toHaveBeenCalledWith(expect.objectContaining({ state: 'running' }));
+      expect(startChain.firstEq).toHaveBeenCalledWith('id', matchId);
+    });
+
+    it('treats an already created match as uploaded', async () => {
+      goOffline();
+      await createMatch(mockMatchData);
+      jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(true);
+
+      supabase.from.mockReturnValueOnce({
+        insert: jest.fn().mockResolvedValue({ error: { code: '23505', message: 'duplicate key value' } })
+      });
+
+      const result = await syncOutbox.flush();
+
+      expect(result).toEqual({ synced: 1, failed: 0, remaining: 0 });
+    });
+  });
+
   describe('createManualMatch', () => {
     const baseManualPayload = {
       teamId: 'team-123',
@@ -425,6 +548,55 @@ describe('matchStateManager', () => {
       expect(result.success).toBe(true);
     });
 
+    it('should store the shootout result apart from the match goals', async () => {
+      const chain = createUpdateChain({ selectResult: { data: [{ id: 'match-123' }], error: null } });
+      supabase.from.mockReturnValue({ update: chain.update });
+
+      const result = await updateMatchToFinished('match-123', {
+        ...finalStats,
+        goalsScored: 1,
+        goalsConceded: 1,
+        outcome: 'draw',
+        shootoutGoalsScored: 4,
+        shootoutGoalsConceded: 3
+      });
+
+      expect(result.success).toBe(true);
+      expect(chain.update).toHaveBeenCalledWith(expect.objectContaining({
+        goals_scored: 1,
+        goals_conceded: 1,
+        outcome: 'draw',
+        shootout_goals_scored: 4,
+        shootout_goals_conceded: 3
+      }));
+    });
+
+    it('should not touch shootout columns for matches without a shootout', async () => {
+      const chain = createUpdateChain({ selectResult: { data: [{ id: 'match-123' }], error: null } });
+      supabase.from.mockReturnValue({ update: chain.update });
+
+      await updateMatchToFinished('match-123', finalStats);
+
+      expect(chain.update.mock.calls[0][0]).not.toHaveProperty('shootout_goals_scored');
+    });
+
+    it('should store extra time next to the regular periods', async () => {
+      const chain = createUpdateChain({ selectResult: { data: [{ id: 'match-123' }], error: null } });
+      supabase.from.mockReturnValue({ update: chain.update });
+
+      await updateMatchToFinished('match-123', {
+        ...finalStats,
+        extraTimePeriods: 2,
+        extraTimePeriodDurationMinutes: 5
+      });
+
+      expect(chain.update).toHaveBeenCalledWith(expect.objectContaining({
+        extra_time_periods: 2,
+        extra_time_period_duration_minutes: 5
+      }));
+      expect(chain.update.mock.calls[0][0]).not.toHaveProperty('periods');
+    });
+
     it('should fail with missing required stats', async () => {
       const incompleteStats = { matchDurationSeconds: 2400 };
       
@@ -658,11 +830,17 @@ describe('matchStateManager', () => {
         started_as: 'goalie', // Mapped from formation position
         was_captain: false, // Not the captain
         goals_scored: 0,
+        assists: 0,
         goalie_time_seconds: 0,
         defender_time_seconds: 0,
         midfielder_time_seconds: 0,
         attacker_time_seconds: 0,
         substitute_time_seconds: 0,
+        injured_time_seconds: 0,
+        yellow_cards: 0,
+        red_cards: 0,
+        sin_bins: 0,
+        sin_bin_time_seconds: 0,
         total_field_time_seconds: 0,
         got_fair_play_award: false
       });
@@ -720,6 +898,28 @@ describe('matchStateManager', () => {
 
       expect(result.started_as).toBe('defender');
     });
+
+    it('should store the disciplinary record from the player cards', () => {
+      const player = {
+        ...mockPlayers[1],
+        stats: {
+          ...mockPlayers[1].stats,
+          timeSinBinnedSeconds: 300,
+          cards: [
+            { type: 'yellow', periodNumber: 1, matchTime: '03:10' },
+            { type: 'sin_bin', periodNumber: 1, matchTime: '08:45' },
+            { type: 'red', periodNumber: 2, matchTime: '21:00' }
+          ]
+        }
+      };
+
+      const result = formatPlayerMatchStats(player, 'match-123');
+
+      expect(result.yellow_cards).toBe(1);
+      expect(result.sin_bins).toBe(1);
+      expect(result.red_cards).toBe(1);
+      expect(result.sin_bin_time_seconds).toBe(300);
+    });
   });
 
   describe('countPlayerGoals', () => {
@@ -737,6 +937,30 @@ describe('matchStateManager', () => {
     });
   });
 
+  describe('countPlayerAssists', () => {
+    const assistEvents = [
+      { id: 'g1', type: 'goal_scored', data: { scorerId: 'player-2', assistId: 'player-1' } },
+      { id: 'g2', type: 'goal_scored', data: { scorerId: 'player-1', assistId: 'player-2' } },
+      { id: 'g3', type: 'goal_scored', data: { scorerId: 'player-2', assistId: 'player-1' }, undone: true },
+      { id: 'g4', type: 'goal_scored', data: { scorerId: 'player-2', assistId: 'player-1' } }
+    ];
+
+    it('should count assists from active goal events', () => {
+      expect(countPlayerAssists(assistEvents, 'player-1')).toBe(2);
+      expect(countPlayerAssists(assistEvents, 'player-2')).toBe(1);
+    });
+
+    it('should handle missing event data', () => {
+      expect(countPlayerAssists(undefined, 'player-1')).toBe(0);
+    });
+
+    it('should be stored with the formatted player stats', () => {
+      const result = formatPlayerMatchStats(mockPlayers[1], 'match-123', {}, assistEvents);
+
+      expect(result.assists).toBe(1);
+    });
+  });
+
   describe('mapFormationPositionToRole', () => {
     it('should map formation positions to database roles correctly', () => {
       expect(mapFormationPositionToRole('goalie')).toBe('goalie');
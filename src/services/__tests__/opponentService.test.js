@@ -0,0 +1,129 @@
+import { getTeamOpponents, updateOpponent, mergeOpponents } from '../opponentService';
+import { supabase } from '../../lib/supabase';
+
+jest.mock('../../lib/supabase', () => ({
+  supabase: {
+    from: jest.fn(),
+    rpc: jest.fn()
+  }
+}));
+
+describe('opponentService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('getTeamOpponents', () => {
+    it('returns an empty directory without a team', async () => {
+      const result = await getTeamOpponents(null);
+
+      expect(result).toEqual({ success: true, opponents: [] });
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('maps opponent rows', async () => {
+      const order = jest.fn(() => Promise.resolve({
+        data: [{ id: 'o1', name: 'IFK Stockholm', aliases: ['IFK Sthlm'], home_ground: 'Östermalms IP', notes: null }],
+        error: null
+      }));
+      const eq = jest.fn(() => ({ order }));
+      const select = jest.fn(() => ({ eq }));
+      supabase.from.mockReturnValue({ select });
+
+      const result = await getTeamOpponents('team-1');
+
+      expect(supabase.from).toHaveBeenCalledWith('opponent');
+      expect(eq).toHaveBeenCalledWith('team_id', 'team-1');
+      expect(result).toEqual({
+        success: true,
+        opponents: [{ id: 'o1', name: 'IFK Stockholm', aliases: ['IFK Sthlm'], homeGround: 'Östermalms IP', notes: null }]
+      });
+    });
+
+    it('reports database errors', async () => {
+      const order = jest.fn(() => Promise.resolve({ data: null, error: { message: 'boom' } }));
+      supabase.from.mockReturnValue({ select: () => ({ eq: () => ({ order }) }) });
+
+      const result = await getTeamOpponents('team-1');
+
+      expect(result).toEqual({ success: false, opponents: [], error: 'Failed to load opponents.' });
+    });
+  });
+
+  describe('updateOpponent', () => {
+    it('requires a name when renaming', async () => {
+      const result = await updateOpponent('o1', { name: '   ' });
+
+      expect(result).toEqual({ success: false, error: 'errors.opponentNameRequired' });
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('cleans up aliases before saving', async () => {
+      const single = jest.fn(() => Promise.resolve({
+        data: { id: 'o1', name: 'IFK Stockholm', aliases: ['IFK Sthlm'], home_ground: null, notes: 'Press high' },
+        error: null
+      }));
+      const select = jest.fn(() => ({ single }));
+      const eq = jest.fn(() => ({ select }));
+      const update = jest.fn(() => ({ eq }));
+      supabase.from.mockReturnValue({ update });
+
+      const result = await updateOpponent('o1', {
+        name: ' IFK Stockholm ',
+        aliases: ['IFK Sthlm', ' ifk sthlm', '', 'ifk stockholm'],
+        homeGround: '',
+        notes: 'Press high'
+      });
+
+      expect(update).toHaveBeenCalledWith({
+        name: 'IFK Stockholm',
+        aliases: ['IFK Sthlm'],
+        home_ground: null,
+        notes: 'Press high'
+      });
+      expect(eq).toHaveBeenCalledWith('id', 'o1');
+      expect(result.success).toBe(true);
+      expect(result.opponent.notes).toBe('Press high');
+    });
+  });
+
+  describe('mergeOpponents', () => {
+    it('rejects merging an opponent into itself', async () => {
+      const result = await mergeOpponents('o1', 'o1');
+
+      expect(result.success).toBe(false);
+      expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+
+    it('merges through the database function', async () => {
+      supabase.rpc.mockResolvedValue({ data: { success: true, matches_moved: 3 }, error: null });
+
+      const result = await mergeOpponents('o1', 'o2');
+
+      expect(supabase.rpc).toHaveBeenCalledWith('merge_opponents', {
+        p_target_opponent_id: 'o1',
+        p_source_opponent_id: 'o2'
+      });
+      expect(result).toEqual({ success: true, matchesMoved: 3 });
+    });
+
+    it('returns the database message when the merge is refused', async () => {
+      supabase.rpc.mockResolvedValue({
+        data: { success: false, error: 'forbidden', message: 'You do not have permission to manage opponents for this team.' },
+        error: null
+      });
+
+      const result = await mergeOpponents('o1', 'o2');
+
+      expect(result).toEqual({
+        success: false,
+        error: 'You do not have permission to manage opponents for this team.'
+      });
+    });
+  });
+});
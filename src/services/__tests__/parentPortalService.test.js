@@ -0,0 +1,141 @@
+import { getParentOverview } from '../parentPortalService';
+import { getTeamCalendarEntries } from '../calendarService';
+import { supabase } from '../../lib/supabase';
+import { buildQuery } from '../../__integration__/setup/sharedMockFactories';
+
+jest.mock('../../lib/supabase', () => ({
+  supabase: {
+    from: jest.fn()
+  }
+}));
+
+jest.mock('../calendarService', () => ({
+  getTeamCalendarEntries: jest.fn()
+}));
+
+const players = [
+  { id: 'p1', display_name: 'Alva', jersey_number: 7, team_id: 'team-1', team: { id: 'team-1', name: 'Blue' } },
+  { id: 'p2', first_name: 'Bo', last_name: 'Berg', display_name: null, jersey_number: null, team_id: 'team-2', team: { id: 'team-2', name: 'Red' } }
+];
+
+const stats = [
+  {
+    player_id: 'p1',
+    goals_scored: 2,
+    goalie_time_seconds: 0,
+    defender_time_seconds: 0,
+    midfielder_time_seconds: 0,
+    attacker_time_seconds: 1200,
+    total_field_time_seconds: 1200,
+    started_as: 'attacker',
+    match: { id: 'm1', opponent: 'Rivals', state: 'finished', started_at: '2026-03-01T10:00:00Z', deleted_at: null }
+  }
+];
+
+describe('parentPortalService', () => {
+  let queries;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    queries = {
+      player: buildQuery({ data: players, error: null }),
+      player_match_stats: buildQuery({ data: stats, error: null }),
+      upcoming_match_player: buildQuery({
+        data: [{
+          upcoming_match_id: 'u1',
+          player_id: 'p1',
+          availability: 'unknown',
+          responded_at: null,
+          upcoming_match: { availability_requested_at: '2026-03-09T10:00:00Z', availability_deadline: '2026-03-12T18:00:00Z' }
+        }],
+        error: null
+      })
+    };
+    supabase.from.mockImplementation(table => queries[table]);
+    getTeamCalendarEntries.mockImplementation(async (teamId) => ({
+      success: true,
+      entries: teamId === 'team-1'
+        ? [
+          { id: 'm-live', type: 'match', state: 'running', date: '2026-03-10' },
+          { id: 'u1', type: 'upcoming', date: '2026-03-14', opponent: 'AIK' }
+        ]
+        : []
+    }));
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('getParentOverview', () => {
+    it('requires a user', async () => {
+      expect(await getParentOverview(null)).toEqual({ success: false, error: 'User ID is required' });
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('loads the linked children with their stats and team matches', async () => {
+      const result = await getParentOverview('parent-1', { now: new Date(2026, 2, 10, 12) });
+
+      expect(queries.player.eq).toHaveBeenCalledWith('related_to', 'parent-1');
+      expect(queries.player_match_stats.in).toHaveBeenCalledWith('player_id', ['p1', 'p2']);
+      expect(getTeamCalendarEntries).toHaveBeenCalledWith('team-1', { includeTrainings: false });
+      expect(getTeamCalendarEntries).toHaveBeenCalledWith('team-2', { includeTrainings: false });
+
+      expect(result.success).toBe(true);
+      expect(result.children).toHaveLength(2);
+      expect(result.children[0]).toMatchObject({
+        id: 'p1',
+        name: 'Alva',
+        jerseyNumber: 7,
+        teamName: 'Blue',
+        stats: { matchesPlayed: 1, secondsPlayed: 1200, goals: 2 }
+      });
+      expect(result.children[0].liveMatches.map(match => match.id)).toEqual(['m-live']);
+      expect(result.children[0].upcomingMatches.map(match => match.id)).toEqual(['u1']);
+      expect(queries.upcoming_match_player.in).toHaveBeenCalledWith('player_id', ['p1', 'p2']);
+      expect(queries.upcoming_match_player.eq).toHaveBeenCalledWith('source', 'app');
+      expect(result.children[0].upcomingMatches[0].availabilityRequest).toEqual({
+        requestedAt: '2026-03-09T10:00:00Z',
+        deadline: '2026-03-12T18:00:00Z',
+        availability: null,
+        respondedAt: null
+      });
+      expect(result.children[1]).toMatchObject({
+        name: 'Bo Berg',
+        teamName: 'Red',
+        stats: { matchesPlayed: 0 },
+        liveMatches: [],
+        upcomingMatches: []
+      });
+    });
+
+    it('returns no children without loading stats when nobody is linked', async () => {
+      queries.player = buildQuery({ data: [], error: null });
+
+      expect(await getParentOverview('parent-1')).toEqual({ success: true, children: [] });
+      expect(supabase.from).toHaveBeenCalledTimes(1);
+      expect(getTeamCalendarEntries).not.toHaveBeenCalled();
+    });
+
+    it('reports failed player, stats or availability queries', async () => {
+      queries.upcoming_match_player = buildQuery({ data: null, error: { message: 'denied' } });
+
+      expect(await getParentOverview('parent-1')).toEqual({ success: false, error: 'errors.parentPortalLoadFailed' });
+
+      queries.player_match_stats = buildQuery({ data: null, error: { message: 'denied' } });
+
+      expect(await getParentOverview('parent-1')).toEqual({ success: false, error: 'errors.parentPortalLoadFailed' });
+
+      queries.player = buildQuery({ data: null, error: { message: 'denied' } });
+
+      expect(await getParentOverview('parent-1')).toEqual({ success: false, error: 'errors.parentPortalLoadFailed' });
+    });
+
+    it('passes on calendar errors', async () => {
+      getTeamCalendarEntries.mockResolvedValue({ success: false, error: 'errors.calendarLoadFailed' });
+
+      expect(await getParentOverview('parent-1')).toEqual({ success: false, error: 'errors.calendarLoadFailed' });
+    });
+  });
+});
@@ -0,0 +1,218 @@
+import {
+  createSeason,
+  getCurrentSeasonWindow,
+  getSeasonStats,
+  getTeamSeasons,
+  rolloverSeason,
+  updateSeason
+} from '../seasonService';
+import { supabase } from '../../lib/supabase';
+
+jest.mock('../../lib/supabase', () => ({
+  supabase: {
+    from: jest.fn(),
+    rpc: jest.fn()
+  }
+}));
+
+const mockSeasonList = (seasons, error = null) => {
+  const query = {};
+  query.eq = jest.fn(() => query);
+  query.order = jest.fn(() => Promise.resolve({ data: seasons, error }));
+  supabase.from.mockReturnValue({ select: jest.fn(() => query) });
+  return query;
+};
+
+describe('seasonService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('getTeamSeasons', () => {
+    it('requires a team', async () => {
+      const result = await getTeamSeasons(null);
+
+      expect(result).toEqual({ success: false, error: 'Team ID is required' });
+    });
+
+    it('loads seasons newest first', async () => {
+      const query = mockSeasonList([{ id: 'season-1' }]);
+
+      const result = await getTeamSeasons('team-1');
+
+      expect(supabase.from).toHaveBeenCalledWith('season');
+      expect(query.eq).toHaveBeenCalledWith('team_id', 'team-1');
+      expect(query.order).toHaveBeenCalledWith('start_date', { ascending: false });
+      expect(result).toEqual({ success: true, seasons: [{ id: 'season-1' }] });
+    });
+
+    it('returns the error message when the query fails', async () => {
+      mockSeasonList(null, { message: 'boom' });
+
+      const result = await getTeamSeasons('team-1');
+
+      expect(result).toEqual({ success: false, error: 'boom' });
+    });
+  });
+
+  describe('createSeason', () => {
+    it('requires a name', async () => {
+      const result = await createSeason('team-1', { name: '  ', startDate: '2025-01-01', endDate: '2025-12-31' });
+
+      expect(result).toEqual({ success: false, error: 'errors.seasonNameRequired' });
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('rejects an end date before the start date', async () => {
+      const result = await createSeason('team-1', { name: '2025', startDate: '2025-12-31', endDate: '2025-01-01' });
+
+      expect(result).toEqual({ success: false, error: 'errors.seasonDatesInvalid' });
+    });
+
+    it('inserts an active season', async () => {
+      const single = jest.fn(() => Promise.resolve({ data: { id: 'season-1' }, error: null }));
+      const insert = jest.fn(() => ({ select: () => ({ single }) }));
+      supabase.from.mockReturnValue({ insert });
+
+      const result = await createSeason('team-1', {
+        name: ' 2025 ',
+        startDate: '2025-01-01',
+        endDate: '2025-12-31',
+        ageGroup: '',
+        format: '5v5'
+      });
+
+      expect(insert).toHaveBeenCalledWith({
+        team_id: 'team-1',
+        status: 'active',
+        name: '2025',
+        start_date: '2025-01-01',
+        end_date: '2025-12-31',
+        age_group: null,
+        format: '5v5'
+      });
+      expect(result).toEqual({ success: true, season: { id: 'season-1' } });
+    });
+
+    it('reports an existing active season', async () => {
+      const single = jest.fn(() => Promise.resolve({ data: null, error: { code: '23505', message: 'duplicate' } }));
+      supabase.from.mockReturnValue({ insert: () => ({ select: () => ({ single }) }) });
+
+      const result = await createSeason('team-1', { name: '2025', startDate: '2025-01-01', endDate: '2025-12-31' });
+
+      expect(result).toEqual({ success: false, error: 'errors.seasonActiveExists' });
+    });
+  });
+
+  describe('updateSeason', () => {
+    it('updates the season details', async () => {
+      const single = jest.fn(() => Promise.resolve({ data: { id: 'season-1' }, error: null }));
+      const eq = jest.fn(() => ({ select: () => ({ single }) }));
+      const update = jest.fn(() => ({ eq }));
+      supabase.from.mockReturnValue({ update });
+
+      const result = await updateSeason('season-1', {
+        name: '2025/2026',
+        startDate: '2025-08-01',
+        endDate: '2026-06-30',
+        ageGroup: 'P14'
+      });
+
+      expect(update).toHaveBeenCalledWith({
+        name: '2025/2026',
+        start_date: '2025-08-01',
+        end_date: '2026-06-30',
+        age_group: 'P14',
+        format: null
+      });
+      expect(eq).toHaveBeenCalledWith('id', 'season-1');
+      expect(result.success).toBe(true);
+    });
+  });
+
+  describe('rolloverSeason', () => {
+    const nextSeason = { name: '2026', startDate: '2026-01-01', endDate: '2026-12-31', format: '5v5' };
+
+    it('calls the rollover function', async () => {
+      supabase.rpc.mockResolvedValue({
+        data: { success: true, season_id: 'season-2', archived_players: 12, released_players: 2 },
+        error: null
+      });
+
+      const result = await rolloverSeason('season-1', {
+        nextSeason,
+        carryOverPlayerIds: ['p1', 'p2'],
+        jerseyOffset: '1'
+      });
+
+      expect(supabase.rpc).toHaveBeenCalledWith('rollover_team_season', {
+        p_season_id: 'season-1',
+        p_next_season: {
+          name: '2026',
+          start_date: '2026-01-01',
+          end_date: '2026-12-31',
+          age_group: null,
+          format: '5v5'
+        },
+        p_carry_over_player_ids: ['p1', 'p2'],
+        p_jersey_offset: 1
+      });
+      expect(result).toEqual({ success: true, seasonId: 'season-2', archivedPlayers: 12, releasedPlayers: 2 });
+    });
+
+    it('validates the next season before calling the database', async () => {
+      const result = await rolloverSeason('season-1', { nextSeason: { ...nextSeason, name: '' } });
+
+      expect(result).toEqual({ success: false, error: 'errors.seasonNameRequired' });
+      expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+
+    it('returns the message from the database function', async () => {
+      supabase.rpc.mockResolvedValue({ data: { success: false, message: 'Season is already archived' }, error: null });
+
+      const result = await rolloverSeason('season-1', { nextSeason });
+
+      expect(result).toEqual({ success: false, error: 'Season is already archived' });
+    });
+  });
+
+  describe('getSeasonStats', () => {
+    it('loads the archived roster of a season', async () => {
+      const order = jest.fn(() => Promise.resolve({ data: [{ player_id: 'p1' }], error: null }));
+      const eq = jest.fn(() => ({ order }));
+      supabase.from.mockReturnValue({ select: jest.fn(() => ({ eq })) });
+
+      const result = await getSeasonStats('season-1');
+
+      expect(supabase.from).toHaveBeenCalledWith('season_stats');
+      expect(eq).toHaveBeenCalledWith('season_id', 'season-1');
+      expect(result).toEqual({ success: true, stats: [{ player_id: 'p1' }] });
+    });
+  });
+
+  describe('getCurrentSeasonWindow', () => {
+    const now = new Date(2025, 9, 15, 12, 0, 0);
+
+    it('starts at the current season', async () => {
+      const season = { id: 'season-1', start_date: '2025-08-01', end_date: '2026-06-30', status: 'active' };
+      mockSeasonList([season]);
+
+      const result = await getCurrentSeasonWindow('team-1', now);
+
+      expect(result).toEqual({ startDate: new Date(2025, 7, 1), endDate: now, season });
+    });
+
+    it('falls back to the start of the year', async () => {
+      mockSeasonList([]);
+
+      const result = await getCurrentSeasonWindow('team-1', now);
+
+      expect(result).toEqual({ startDate: new Date(2025, 0, 1), endDate: now, season: null });
+    });
+  });
+});
@@ -0,0 +1,51 @@
+import { speechAnnouncementService, getSpeechLanguage } from '../speechAnnouncementService';
+
+describe('speechAnnouncementService', () => {
+  let speechSynthesisMock;
+
+  beforeEach(() => {
+    speechSynthesisMock = {
+      speak: jest.fn(),
+      cancel: jest.fn(),
+      getVoices: jest.fn(() => [
+        { name: 'Daniel', lang: 'en-GB' },
+        { name: 'Alva', lang: 'sv-SE' }
+      ])
+    };
+    window.speechSynthesis = speechSynthesisMock;
+    window.SpeechSynthesisUtterance = function SpeechSynthesisUtterance(text) {
+      this.text = text;
+    };
+  });
+
+  afterEach(() => {
+    delete window.speechSynthesis;
+    delete window.SpeechSynthesisUtterance;
+  });
+
+  it('maps app languages to speech languages', () => {
+    expect(getSpeechLanguage('sv')).toBe('sv-SE');
+    expect(getSpeechLanguage('en-US')).toBe('en-GB');
+    expect(getSpeechLanguage(undefined)).toBe('en-GB');
+  });
+
+  it('speaks with the language voice and clamped volume', () => {
+    expect(speechAnnouncementService.speak('Byte: Alva in för Maja', { language: 'sv', volume: 1.4 })).toBe(true);
+
+    expect(speechSynthesisMock.cancel).toHaveBeenCalled();
+    const [utterance] = speechSynthesisMock.speak.mock.calls[0];
+    expect(utterance.text).toBe('Byte: Alva in för Maja');
+    expect(utterance.lang).toBe('sv-SE');
+    expect(utterance.voice).toEqual({ name: 'Alva', lang: 'sv-SE' });
+    expect(utterance.volume).toBe(1);
+  });
+
+  it('skips empty texts and browsers without speech synthesis', () => {
+    expect(speechAnnouncementService.speak('')).toBe(false);
+
+    delete window.speechSynthesis;
+    expect(speechAnnouncementService.isSupported()).toBe(false);
+    expect(speechAnnouncementService.speak('Substitution')).toBe(false);
+    expect(speechSynthesisMock.speak).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,334 @@
+import {
+  syncOutbox,
+  isNetworkError,
+  generateClientId,
+  OUTBOX_OPERATIONS
+} from '../syncOutbox';
+import { STORAGE_KEYS } from '../../constants/storageKeys';
+
+const setOnline = (isOnline) => {
+  jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(isOnline);
+};
+
+describe('syncOutbox', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    syncOutbox.reset();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    syncOutbox.reset();
+    localStorage.clear();
+    jest.restoreAllMocks();
+  });
+
+  describe('isNetworkError', () => {
+    it('recognises fetch failures from supported browsers', () => {
+      expect(isNetworkError(new TypeError('Failed to fetch'))).toBe(true);
+      expect(isNetworkError({ message: 'NetworkError when attempting to fetch resource.' })).toBe(true);
+      expect(isNetworkError('Load failed')).toBe(true);
+    });
+
+    it('treats every error as a network error while offline', () => {
+      setOnline(false);
+
+      expect(isNetworkError({ message: 'duplicate key value' })).toBe(true);
+    });
+
+    it('ignores errors returned by the server', () => {
+      expect(isNetworkError({ message: 'duplicate key value', code: '23505' })).toBe(false);
+      expect(isNetworkError(null)).toBe(false);
+    });
+  });
+
+  describe('enqueue', () => {
+    it('stores entries in order and persists them', () => {
+      syncOutbox.enqueue(OUTBOX_OPERATIONS.CREATE_MATCH, { id: 1 }, { matchId: 'match-1', label: 'Rivals' });
+      syncOutbox.enqueue(OUTBOX_OPERATIONS.START_MATCH, { id: 2 }, { matchId: 'match-1' });
+
+      const entries = syncOutbox.getEntries();
+      expect(entries.map(entry => entry.type)).toEqual([
+        OUTBOX_OPERATIONS.CREATE_MATCH,
+        OUTBOX_OPERATIONS.START_MATCH
+      ]);
+      expect(entries[0]).toMatchObject({ matchId: 'match-1', label: 'Rivals', attempts: 0, lastError: null });
+
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.SYNC_OUTBOX));
+      expect(stored).toHaveLength(2);
+    });
+
+    it('restores entries saved by an earlier session', () => {
+      syncOutbox.enqueue(OUTBOX_OPERATIONS.FINISH_MATCH, { matchId: 'match-1' });
+
+      syncOutbox.reset();
+
+      expect(syncOutbox.getEntries()).toHaveLength(1);
+      expect(syncOutbox.getEntries()[0].payload).toEqual({ matchId: 'match-1' });
+    });
+
+    it('queues new writes while older ones are waiting', () => {
+      expect(syncOutbox.shouldQueue()).toBe(false);
+
+      syncOutbox.enqueue(OUTBOX_OPERATIONS.MATCH_EVENT, {});
+
+      expect(syncOutbox.shouldQueue()).toBe(true);
+    });
+
+    it('queues writes while offline', () => {
+      setOnline(false);
+
+      expect(syncOutbox.shouldQueue()).toBe(true);
+    });
+
+    it('notifies subscribers', () => {
+      const listener = jest.fn();
+      const unsubscribe = syncOutbox.subscribe(listener);
+
+      syncOutbox.enqueue(OUTBOX_OPERATIONS.MATCH_EVENT, {});
+      unsubscribe();
+      syncOutbox.enqueue(OUTBOX_OPERATIONS.MATCH_EVENT, {});
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener.mock.calls[0][0].entries).toHaveLength(1);
+    });
+  });
+
+  describe('flush', () => {
+    it('replays entries in the order they were queued', async () => {
+      const calls = [];
+      syncOutbox.registerHandler(OUTBOX_OPERATIONS.CREATE_MATCH, async (payload) => {
+        calls.push(`create:${payload.matchId}`);
+        return { success: true };
+      });
+      syncOutbox.registerHandler(OUTBOX_OPERATIONS.MATCH_EVENT, async (payload) => {
+        calls.push(`event:${payload.order}`);
+        return { success: true };
+      });
+
+      syncOutbox.enqueue(OUTBOX_OPERATIONS.CREATE_MATCH, { matchId: 'match-1' });
+      syncOutbox.enqueue(OUTBOX_OPERATIONS.MATCH_EVENT, { order: 1 });
+      syncOutbox.enqueue(OUTBOX_OPERATIONS.MATCH_EVENT, { order: 2 });
+
+      const result = await syncOutbox.flush();
+
+      expect(result).toEqual({ synced: 3, failed: 0, remaining: 0 });
+      expect(calls).toEqual(['create:match-1', 'event:1', 'event:2']);
+      expect(localStorage.getItem(STORAGE_KEYS.SYNC_OUTBOX)).toBeNull();
+    });
+
+    it('moves a rejected entry to the failed list and keeps uploading the rest', async () => {
+      const eventHandler = jest.fn(async () => ({ success: true }));
+      syncOutbox.registerHandler(OUTBOX_OPERATIONS.START_MATCH, async () => ({ success: false, error: 'errors.matchUpdateFailed' }));
+      syncOutbox.registerHandler(OUTBOX_OPERATIONS.MATCH_EVENT, eventHandler);
+
+      const rejected = syncOutbox.enqueue(OUTBOX_OPERATIONS.START_MATCH, { matchId: 'match-1' });
+      syncOutbox.enqueue(OUTBOX_OPERATIONS.MATCH_EVENT, {});
+
+      const result = await syncOutbox.flush();
+
+      expect(result).toEqual({ synced: 1, failed: 1, remaining: 0 });
+      expect(eventHandler).toHaveBeenCalledTimes(1);
+      expect(syncOutbox.getEntries()).toEqual([]);
+      expect(syncOutbox.getFailedEntries()).toEqual([
+        expect.objectContaining({ id: rejected.id, attempts: 1, lastError: 'errors.matchUpdateFailed' })
+      ]);
+      expect(syncOutbox.shouldQueue()).toBe(false);
+      expect(JSON.parse(localStorage.getItem(STORAGE_KEYS.SYNC_OUTBOX_FAILED))).toHaveLength(1);
+    });
+
+    it('holds back the queued writes of a match whose write was rejected', async () => {
+      const calls = [];
+      syncOutbox.registerHandler(OUTBOX_OPERATIONS.CREATE_MATCH, async (payload) => {
+        calls.push(`create:${payload.matchId}`);
+        return payload.matchId === 'match-1'
+          ? { success: false, error: 'errors.matchCreateFailed' }
+          : { success: true };
+      });
+      syncOutbox.registerHandler(OUTBOX_OPERATIONS.FINISH_MATCH, async (payload) => {
+        calls.push(`finish:${payload.matchId}`);
+        return { success: true };
+      });
+
+      syncOutbox.enqueue(OUTBOX_OPERATIONS.CREATE_MATCH, { matchId: 'match-1' }, { matchId: 'match-1' });
+      syncOutbox.enqueue(OUTBOX_OPERATIONS.FINISH_MATCH, { matchId: 'match-1' }, { matchId: 'match-1' });
+      syncOutbox.enqueue(OUTBOX_OPERATIONS.CREATE_MATCH, { matchId: 'match-2' }, { matchId: 'match-2' });
+      syncOutbox.enqueue(OUTBOX_OPERATIONS.FINISH_MATCH, { matchId: 'match-2' }, { matchId: 'match-2' });
+
+      const result = await syncOutbox.flush();
+      syncOutbox.clearRetryTimer();
+
+      expect(result).toEqual({ synced: 2, failed: 1, remaining: 1 });
+      expect(calls).toEqual(['create:match-1', 'create:match-2', 'finish:match-2']);
+      expect(syncOutbox.getEntries()).toEqual([
+        expect.objectContaining({ type: OUTBOX_OPERATIONS.FINISH_MATCH, matchId: 'match-1', attempts: 0 })
+      ]);
+      expect(syncOutbox.getFailedEntries()).toEqual([
+        expect.objectContaining({ type: OUTBOX_OPERATIONS.CREATE_MATCH, matchId: 'match-1' })
+      ]);
+    });
+
+    it('stops at a network failure and keeps the rest in order', async () => {
+      const eventHandler = jest.fn(async () => ({ success: true }));
+      syncOutbox.registerHandler(OUTBOX_OPERATIONS.START_MATCH, async () => ({ success: false, error: 'Failed to fetch' }));
+      syncOutbox.registerHandler(OUTBOX_OPERATIONS.MATCH_EVENT, eventHandler);
+
+      syncOutbox.enqueue(OUTBOX_OPERATIONS.START_MATCH, { matchId: 'match-1' });
+      syncOutbox.enqueue(OUTBOX_OPERATIONS.MATCH_EVENT, {});
+
+      const result = await syncOutbox.flush();
+      syncOutbox.clearRetryTimer();
+
+      expect(result).toEqual({ synced: 0, failed: 0, remaining: 2 });
+      expect(eventHandler).not.toHaveBeenCalled();
+      expect(syncOutbox.getEntries()[0]).toMatchObject({ attempts: 1, lastError: 'Failed to fetch' });
+      expect(syncOutbox.getFailedEntries()).toEqual([]);
+    });
+
+    it('records thrown handler errors', async () => {
+      syncOutbox.registerHandler(OUTBOX_OPERATIONS.FINISH_MATCH, async () => {
+        throw new Error('Unexpected');
+      });
+      syncOutbox.enqueue(OUTBOX_OPERATIONS.FINISH_MATCH, {});
+
+      await syncOutbox.flush();
+
+      expect(syncOutbox.getFailedEntries()[0].lastError).toBe('Unexpected');
+    });
+
+    it('retries later when the connection drops during sync', async () => {
+      jest.useFakeTimers();
+      try {
+        const handler = jest.fn()
+          .mockResolvedValueOnce({ success: false, error: 'Failed to fetch' })
+          .mockResolvedValueOnce({ success: true });
+        syncOutbox.registerHandler(OUTBOX_OPERATIONS.SAVE_PLAYER_STATS, handler);
+        syncOutbox.enqueue(OUTBOX_OPERATIONS.SAVE_PLAYER_STATS, {});
+        syncOutbox.clearRetryTimer();
+
+        await syncOutbox.flush();
+        expect(syncOutbox.getEntries()).toHaveLength(1);
+
+        jest.advanceTimersByTime(syncOutbox.retryDelay);
+        await Promise.resolve();
+        await Promise.resolve();
+
+        expect(handler).toHaveBeenCalledTimes(2);
+      } finally {
+        syncOutbox.clearRetryTimer();
+        jest.useRealTimers();
+      }
+    });
+
+    it('does nothing while offline', async () => {
+      const handler = jest.fn(async () => ({ success: true }));
+      syncOutbox.registerHandler(OUTBOX_OPERATIONS.MATCH_EVENT, handler);
+      syncOutbox.enqueue(OUTBOX_OPERATIONS.MATCH_EVENT, {});
+      setOnline(false);
+
+      const result = await syncOutbox.flush();
+
+      expect(result).toEqual({ synced: 0, failed: 0, remaining: 1 });
+      expect(handler).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('retry', () => {
+    it('puts a failed entry back in the queue and uploads it', async () => {
+      const handler = jest.fn()
+        .mockResolvedValueOnce({ success: false, error: 'errors.matchUpdateFailed' })
+        .mockResolvedValueOnce({ success: true });
+      syncOutbox.registerHandler(OUTBOX_OPERATIONS.FINISH_MATCH, handler);
+      const entry = syncOutbox.enqueue(OUTBOX_OPERATIONS.FINISH_MATCH, {});
+      await syncOutbox.flush();
+
+      const result = await syncOutbox.retry(entry.id);
+
+      expect(result).toEqual({ synced: 1, failed: 0, remaining: 0 });
+      expect(syncOutbox.getFailedEntries()).toEqual([]);
+      expect(localStorage.getItem(STORAGE_KEYS.SYNC_OUTBOX_FAILED)).toBeNull();
+    });
+
+    it('replays a retried write before the writes it held back', async () => {
+      const calls = [];
+      const createHandler = jest.fn()
+        .mockResolvedValueOnce({ success: false, error: 'errors.matchCreateFailed' })
+        .mockResolvedValueOnce({ success: true });
+      syncOutbox.registerHandler(OUTBOX_OPERATIONS.CREATE_MATCH, async (payload) => {
+        calls.push('create');
+        return createHandler(payload);
+      });
+      [OUTBOX_OPERATIONS.START_MATCH, OUTBOX_OPERATIONS.FINISH_MATCH].forEach(type => {
+        syncOutbox.registerHandler(type, async () => {
+          calls.push(type);
+          return { success: true };
+        });
+      });
+
+      const created = syncOutbox.enqueue(OUTBOX_OPERATIONS.CREATE_MATCH, {}, { matchId: 'match-1' });
+      syncOutbox.enqueue(OUTBOX_OPERATIONS.START_MATCH, {}, { matchId: 'match-1' });
+      syncOutbox.enqueue(OUTBOX_OPERATIONS.FINISH_MATCH, {}, { matchId: 'match-1' });
+      await syncOutbox.flush();
+      syncOutbox.clearRetryTimer();
+
+      const result = await syncOutbox.retry(created.id);
+
+      expect(result).toEqual({ synced: 3, failed: 0, remaining: 0 });
+      expect(calls).toEqual(['create', 'create', OUTBOX_OPERATIONS.START_MATCH, OUTBOX_OPERATIONS.FINISH_MATCH]);
+    });
+
+    it('keeps a retried write behind an earlier failed write of the same match', async () => {
+      const calls = [];
+      [OUTBOX_OPERATIONS.CREATE_MATCH, OUTBOX_OPERATIONS.FINISH_MATCH].forEach(type => {
+        syncOutbox.registerHandler(type, async () => {
+          calls.push(type);
+          return { success: true };
+        });
+      });
+      localStorage.setItem(STORAGE_KEYS.SYNC_OUTBOX_FAILED, JSON.stringify([
+        { id: 'create', sequence: 1, type: OUTBOX_OPERATIONS.CREATE_MATCH, matchId: 'match-1', payload: {}, attempts: 1, lastError: 'Rejected' },
+        { id: 'finish', sequence: 2, type: OUTBOX_OPERATIONS.FINISH_MATCH, matchId: 'match-1', payload: {}, attempts: 1, lastError: 'Rejected' }
+      ]));
+      syncOutbox.reset();
+
+      await syncOutbox.retry('finish');
+      syncOutbox.clearRetryTimer();
+
+      expect(calls).toEqual([]);
+      expect(syncOutbox.getEntries().map(entry => entry.id)).toEqual(['finish']);
+
+      await syncOutbox.retry('create');
+
+      expect(calls).toEqual([OUTBOX_OPERATIONS.CREATE_MATCH, OUTBOX_OPERATIONS.FINISH_MATCH]);
+      expect(syncOutbox.getEntries()).toEqual([]);
+      expect(syncOutbox.getFailedEntries()).toEqual([]);
+    });
+  });
+
+  describe('discard', () => {
+    it('removes an entry so later writes can upload', () => {
+      const first = syncOutbox.enqueue(OUTBOX_OPERATIONS.START_MATCH, {});
+      syncOutbox.enqueue(OUTBOX_OPERATIONS.MATCH_EVENT, {});
+
+      syncOutbox.discard(first.id);
+
+      expect(syncOutbox.getEntries().map(entry => entry.type)).toEqual([OUTBOX_OPERATIONS.MATCH_EVENT]);
+    });
+
+    it('removes a failed entry', async () => {
+      syncOutbox.registerHandler(OUTBOX_OPERATIONS.START_MATCH, async () => ({ success: false, error: 'Rejected' }));
+      const entry = syncOutbox.enqueue(OUTBOX_OPERATIONS.START_MATCH, {});
+      await syncOutbox.flush();
+
+      syncOutbox.discard(entry.id);
+
+      expect(syncOutbox.getFailedEntries()).toEqual([]);
+    });
+  });
+
+  describe('generateClientId', () => {
+    it('returns a UUID', () => {
+      expect(generateClientId()).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+import {
+  createTrainingSchedule,
+  createTrainingSession,
+  getTrainingSessions,
+  saveSessionAttendance,
+  updateTrainingSession
+} from '../trainingService';
+import { supabase } from '../../lib/supabase';
+
+jest.mock('../../lib/supabase', () => ({
+  supabase: {
+    from: jest.fn()
+  }
+}));
+
+describe('trainingService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('getTrainingSessions', () => {
+    it('requires a team', async () => {
+      const result = await getTrainingSessions(null);
+
+      expect(result).toEqual({ success: false, error: 'Team ID is required' });
+    });
+
+    it('filters by date range', async () => {
+      const query = {};
+      query.eq = jest.fn(() => query);
+      query.order = jest.fn(() => query);
+      query.gte = jest.fn(() => query);
+      query.lte = jest.fn(() => Promise.resolve({ data: [{ id: 's1' }], error: null }));
+      supabase.from.mockReturnValue({ select: jest.fn(() => query) });
+
+      const result = await getTrainingSessions('team-1', { startDate: '2025-01-01', endDate: '2025-01-31' });
+
+      expect(supabase.from).toHaveBeenCalledWith('training_session');
+      expect(query.eq).toHaveBeenCalledWith('team_id', 'team-1');
+      expect(query.gte).toHaveBeenCalledWith('session_date', '2025-01-01');
+      expect(query.lte).toHaveBeenCalledWith('session_date', '2025-01-31');
+      expect(result).toEqual({ success: true, sessions: [{ id: 's1' }] });
+    });
+  });
+
+  describe('createTrainingSession', () => {
+    it('requires a date', async () => {
+      const result = await createTrainingSession('team-1', { sessionDate: '' });
+
+      expect(result).toEqual({ success: false, error: 'errors.trainingDateRequired' });
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('rejects long locations', async () => {
+      const result = await createTrainingSession('team-1', { sessionDate: '2025-01-07', location: 'x'.repeat(201) });
+
+      expect(result).toEqual({ success: false, error: 'errors.trainingLocationTooLong' });
+    });
+
+    it('inserts a cleaned up session', async () => {
+      const single = jest.fn(() => Promise.resolve({ data: { id: 's1' }, error: null }));
+      const insert = jest.fn(() => ({ select: () => ({ single }) }));
+      supabase.from.mockReturnValue({ insert });
+
+      const result = await createTrainingSession('team-1', {
+        sessionDate: '2025-01-07',
+        startTime: '18:00',
+        durationMinutes: '90',
+        location: '  Zinkensdamm IP ',
+        notes: '   '
+      });
+
+      expect(insert).toHaveBeenCalledWith({
+        team_id: 'team-1',
+        session_date: '2025-01-07',
+        notes: null,
+        start_time: '18:00',
+        duration_minutes: 90,
+        location: 'Zinkensdamm IP'
+      });
+      expect(result).toEqual({ success: true, session: { id: 's1' } });
+    });
+  });
+
+  describe('createTrainingSchedule', () => {
+    it('creates the schedule and one session per week', async () => {
+      const scheduleInsert = jest.fn(() => ({
+        select: () => ({ single: () => Promise.resolve({ data: { id: 'sched-1' }, error: null }) })
+      }));
+      const sessionSelect = jest.fn(() => Promise.resolve({ data: [{ id: 's1' }, { id: 's2' }], error: null }));
+      const sessionInsert = jest.fn(() => ({ select: sessionSelect }));
+      supabase.from.mockImplementation((table) => (
+        table === 'training_schedule' ? { insert: scheduleInsert } : { insert: sessionInsert }
+      ));
+
+      const result = await createTrainingSchedule('team-1', {
+        weekday: 2,
+        startsOn: '2025-01-01',
+        endsOn: '2025-01-14',
+        startTime: '18:00'
+      });
+
+      expect(scheduleInsert).toHaveBeenCalledWith(expect.objectContaining({
+        team_id: 'team-1',
+        weekday: 2,
+        starts_on: '2025-01-01',
+        ends_on: '2025-01-14'
+      }));
+      expect(sessionInsert.mock.calls[0][0].map(row => row.session_date)).toEqual(['2025-01-07', '2025-01-14']);
+      expect(sessionInsert.mock.calls[0][0][0]).toMatchObject({ schedule_id: 'sched-1', start_time: '18:00' });
+      expect(result.success).toBe(true);
+      expect(result.sessions).toHaveLength(2);
+    });
+
+    it('refuses schedules without any session', async () => {
+      const result = await createTrainingSchedule('team-1', {
+        weekday: 2,
+        startsOn: '2025-01-01',
+        endsOn: '2025-01-02'
+      });
+
+      expect(result).toEqual({ success: false, error: 'errors.trainingScheduleEmpty' });
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateTrainingSession', () => {
+    it('rejects unknown statuses', async () => {
+      const result = await updateTrainingSession('s1', { status: 'postponed' });
+
+      expect(result).toEqual({ success: false, error: 'Invalid session status' });
+    });
+
+    it('cancels a session', async () => {
+      const single = jest.fn(() => Promise.resolve({ data: { id: 's1', status: 'cancelled' }, error: null }));
+      const eq = jest.fn(() => ({ select: () => ({ single }) }));
+      const update = jest.fn(() => ({ eq }));
+      supabase.from.mockReturnValue({ update });
+
+      const result = await updateTrainingSession('s1', { status: 'cancelled' });
+
+      expect(update).toHaveBeenCalledWith({ status: 'cancelled' });
+      expect(eq).toHaveBeenCalledWith('id', 's1');
+      expect(result).toEqual({ success: true, session: { id: 's1', status: 'cancelled' } });
+    });
+  });
+
+  describe('saveSessionAttendance', () => {
+    it('requires players', async () => {
+      const result = await saveSessionAttendance('s1', []);
+
+      expect(result).toEqual({ success: false, error: 'errors.trainingPlayersRequired' });
+    });
+
+    it('stores a row per player and marks attendance as recorded', async () => {
+      const upsert = jest.fn(() => Promise.resolve({ error: null }));
+      const single = jest.fn(() => Promise.resolve({ data: { id: 's1' }, error: null }));
+      const update = jest.fn(() => ({ eq: () => ({ select: () => ({ single }) }) }));
+      supabase.from.mockImplementation((table) => (
+        table === 'training_attendance' ? { upsert } : { update }
+      ));
+
+      const result = await saveSessionAttendance('s1', ['p1', 'p2'], ['p2']);
+
+      expect(upsert).toHaveBeenCalledWith([
+        { session_id: 's1', player_id: 'p1', attended: false },
+        { session_id: 's1', player_id: 'p2', attended: true }
+      ], { onConflict: 'session_id,player_id' });
+      expect(update).toHaveBeenCalledWith({ attendance_recorded_at: expect.any(String) });
+      expect(result).toEqual({ success: true, session: { id: 's1' } });
+    });
+
+    it('reports upsert errors', async () => {
+      const upsert = jest.fn(() => Promise.resolve({ error: {} }));
+      supabase.from.mockReturnValue({ upsert });
+
+      const result = await saveSessionAttendance('s1', ['p1'], ['p1']);
+
+      expect(result).toEqual({ success: false, error: 'errors.trainingAttendanceFailed' });
+    });
+  });
+});
@@ -201,6 +201,28 @@ class AudioAlertService {
     }
   }
 
+  /**
+   * Wait for a sound to finish playing
+   * @param {string} soundValue - The sound identifier to wait for
+   * @returns {Promise<void>} Resolves when the sound ends or is stopped, or right away if it is not playing
+   */
+  waitForEnd(soundValue) {
+    const audio = this.audioElements.get(soundValue);
+    if (!audio || audio.paused || audio.ended) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      const handleDone = () => {
+        audio.removeEventListener('ended', handleDone);
+        audio.removeEventListener('pause', handleDone);
+        resolve();
+      };
+      audio.addEventListener('ended', handleDone);
+      audio.addEventListener('pause', handleDone);
+    });
+  }
+
   /**
    * Stop a specific alert sound
    * @param {string} soundValue - The sound identifier to stop
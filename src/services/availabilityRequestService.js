@@ -0,0 +1,151 @@
+/**
+ * Availability Request Service
+ *
+ * Coaches ask the team who can play an upcoming match; parents and players
+ * answer in the app. Requests live on upcoming_match and the answers are app
+ * rows in upcoming_match_player, next to the statuses scraped by connectors.
+ * Both writes go through security definer functions.
+ */
+
+import { supabase } from '../lib/supabase';
+
+const mapRequestError = (data, error, fallbackKey) => {
+  if (data?.error === 'deadline_passed') {
+    return 'errors.availabilityDeadlinePassed';
+  }
+  return data?.message || error?.message || fallbackKey;
+};
+
+/**
+ * Load the availability requests and in-app answers of upcoming matches
+ * @param {Array<string>} matchIds - upcoming_match UUIDs; other ids are ignored
+ * @returns {Promise<{success: boolean, requestsByMatch?: Object, error?: string}>}
+ *   requestsByMatch[matchId] = { requestedAt, deadline, responses: { [playerId]: { availability, response, respondedAt } } }
+ */
+export async function getAvailabilityRequests(matchIds) {
+  try {
+    const normalizedMatchIds = Array.isArray(matchIds)
+      ? matchIds.filter((id) => Boolean(id))
+      : [];
+
+    if (normalizedMatchIds.length === 0) {
+      return { success: true, requestsByMatch: {} };
+    }
+
+    const { data: requestedMatches, error: matchError } = await supabase
+      .from('upcoming_match')
+      .select('id, availability_requested_at, availability_deadline')
+      .in('id', normalizedMatchIds)
+      .not('availability_requested_at', 'is', null);
+
+    if (matchError) {
+      console.error('Error loading availability requests:', matchError);
+      return { success: false, error: 'errors.availabilityRequestsLoadFailed' };
+    }
+
+    if (!requestedMatches || requestedMatches.length === 0) {
+      return { success: true, requestsByMatch: {} };
+    }
+
+    const { data: answers, error: answerError } = await supabase
+      .from('upcoming_match_player')
+      .select('upcoming_match_id, player_id, availability, response, responded_at')
+      .in('upcoming_match_id', requestedMatches.map(match => match.id))
+      .eq('source', 'app');
+
+    if (answerError) {
+      console.error('Error loading availability answers:', answerError);
+      return { success: false, error: 'errors.availabilityRequestsLoadFailed' };
+    }
+
+    const requestsByMatch = {};
+    requestedMatches.forEach(match => {
+      requestsByMatch[match.id] = {
+        requestedAt: match.availability_requested_at,
+        deadline: match.availability_deadline || null,
+        responses: {}
+      };
+    });
+
+    (answers || []).forEach(answer => {
+      const request = requestsByMatch[answer.upcoming_match_id];
+      if (!request || !answer.player_id || !answer.responded_at) {
+        return;
+      }
+      request.responses[answer.player_id] = {
+        availability: answer.availability,
+        response: answer.response,
+        respondedAt: answer.responded_at
+      };
+    });
+
+    return { success: true, requestsByMatch };
+  } catch (error) {
+    console.error('Exception loading availability requests:', error);
+    return { success: false, error: 'errors.availabilityRequestsLoadFailed' };
+  }
+}
+
+/**
+ * Ask the team who can play an upcoming match. Sending it again keeps the
+ * answers and replaces the deadline.
+ * @param {string} upcomingMatchId - upcoming_match UUID
+ * @param {Object} [options]
+ * @param {string|null} [options.deadline] - ISO timestamp after which answers close
+ * @returns {Promise<{success: boolean, requestedAt?: string, deadline?: string|null, error?: string}>}
+ */
+export async function requestMatchAvailability(upcomingMatchId, { deadline = null } = {}) {
+  try {
+    if (!upcomingMatchId) {
+      return { success: false, error: 'Upcoming match ID is required' };
+    }
+
+    const { data, error } = await supabase
+      .rpc('request_match_availability', {
+        p_upcoming_match_id: upcomingMatchId,
+        p_deadline: deadline
+      });
+
+    if (error || !data?.success) {
+      console.error('Failed to request match availability:', error || data);
+      return { success: false, error: mapRequestError(data, error, 'errors.availabilityRequestFailed') };
+    }
+
+    return { success: true, requestedAt: data.requested_at, deadline: data.deadline || null };
+  } catch (error) {
+    console.error('Exception requesting match availability:', error);
+    return { success: false, error: 'errors.availabilityRequestFailed' };
+  }
+}
+
+/**
+ * Answer an availability request for a player linked to the current user
+ * @param {string} upcomingMatchId - upcoming_match UUID
+ * @param {string} playerId - Player UUID
+ * @param {boolean} available - Whether the player can play
+ * @returns {Promise<{success: boolean, availability?: string, respondedAt?: string, error?: string}>}
+ */
+export async function respondToAvailabilityRequest(upcomingMatchId, playerId, available) {
+  try {
+    if (!upcomingMatchId || !playerId) {
+      return { success: false, error: 'Upcoming match ID and player ID are required' };
+    }
+
+    const { data, error } = await supabase
+      .rpc('respond_match_availability', {
+        p_upcoming_match_id: upcomingMatchId,
+        p_player_id: playerId,
+        p_available: Boolean(available)
+      });
+
+    if (error || !data?.success) {
+      console.error('Failed to answer availability request:', error || data);
+      return { success: false, error: mapRequestError(data, error, 'errors.availabilityResponseFailed') };
+    }
+
+    return { success: true, availability: data.availability, respondedAt: data.responded_at };
+  } catch (error) {
+    console.error('Exception answering availability request:', error);
+    return { success: false, error: 'errors.availabilityResponseFailed' };
+  }
+}
@@ -0,0 +1,225 @@
+/**
+ * Calendar Service
+ *
+ * Loads the team calendar (upcoming fixtures, Sport Wizard matches and
+ * training sessions), imports fixture lists from iCalendar files into
+ * upcoming_match and manages the secret token of the subscribable feed served
+ * by the team-calendar-feed edge function.
+ */
+
+import { supabase } from '../lib/supabase';
+import { buildCalendarEntries } from '../utils/teamCalendar';
+
+const CALENDAR_MATCH_STATES = ['pending', 'running', 'finished'];
+
+const FEED_FUNCTION_PATH = '/functions/v1/team-calendar-feed';
+
+/**
+ * Build the subscription URL for a feed token
+ * @param {string} token - team_calendar_feed.token
+ * @returns {string|null}
+ */
+export function getCalendarFeedUrl(token) {
+  const supabaseUrl = process.env.REACT_APP_SUPABASE_URL;
+  if (!token || !supabaseUrl) return null;
+  return `${supabaseUrl}${FEED_FUNCTION_PATH}?token=${encodeURIComponent(token)}`;
+}
+
+const mapFeed = (row) => {
+  if (!row) return null;
+  const url = getCalendarFeedUrl(row.token);
+  return {
+    token: row.token,
+    includeTrainings: row.include_trainings !== false,
+    url,
+    // webcal:// makes phones offer to subscribe instead of downloading once
+    webcalUrl: url ? url.replace(/^https?:/, 'webcal:') : null
+  };
+};
+
+/**
+ * Load calendar entries for a team
+ * @param {string} teamId - Team UUID
+ * @param {Object} [options]
+ * @param {boolean} [options.includeTrainings=true] - Include training sessions
+ * @returns {Promise<{success: boolean, entries?: Array, error?: string}>}
+ */
+export async function getTeamCalendarEntries(teamId, { includeTrainings = true } = {}) {
+  try {
+    if (!teamId) {
+      return { success: false, error: 'Team ID is required' };
+    }
+
+    const [upcomingResult, matchResult, trainingResult] = await Promise.all([
+      supabase
+        .from('upcoming_match')
+        .select('id, opponent, match_date, match_time, venue, planned_match_id, source')
+        .eq('team_id', teamId)
+        .order('match_date', { ascending: true }),
+      supabase
+        .from('match')
+        .select('id, opponent, state, venue_type, created_at, started_at, goals_scored, goals_conceded, upcoming_match(match_date, match_time, venue)')
+        .eq('team_id', teamId)
+        .in('state', CALENDAR_MATCH_STATES)
+        .is('deleted_at', null),
+      includeTrainings
+        ? supabase
+          .from('training_session')
+          .select('id, session_date, start_time, duration_minutes, location, notes, status')
+          .eq('team_id', teamId)
+        : Promise.resolve({ data: [], error: null })
+    ]);
+
+    const failed = [upcomingResult, matchResult, trainingResult].find(result => result.error);
+    if (failed) {
+      console.error('Error loading team calendar:', failed.error);
+      return { success: false, error: 'errors.calendarLoadFailed' };
+    }
+
+    return {
+      success: true,
+      entries: buildCalendarEntries({
+        upcomingMatches: upcomingResult.data || [],
+        matches: matchResult.data || [],
+        trainingSessions: trainingResult.data || []
+      })
+    };
+  } catch (error) {
+    console.error('Exception loading team calendar:', error);
+    return { success: false, error: 'errors.calendarLoadFailed' };
+  }
+}
+
+/**
+ * Import fixtures into upcoming_match
+ *
+ * Rows are keyed by the iCalendar UID, so importing an updated fixture list
+ * moves rescheduled matches instead of duplicating them.
+ * @param {string} teamId - Team UUID
+ * @param {Array} fixtures - From icsEventsToFixtures
+ * @returns {Promise<{success: boolean, importedCount?: number, error?: string}>}
+ */
+export async function importIcsFixtures(teamId, fixtures = []) {
+  try {
+    if (!teamId) {
+      return { success: false, error: 'Team ID is required' };
+    }
+    if (!Array.isArray(fixtures) || fixtures.length === 0) {
+      return { success: false, error: 'errors.calendarImportEmpty' };
+    }
+
+    const syncedAt = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('upcoming_match')
+      .upsert(
+        fixtures.map(fixture => ({
+          team_id: teamId,
+          source: 'ics',
+          external_uid: fixture.externalUid,
+          opponent: fixture.opponent,
+          match_date: fixture.matchDate,
+          match_time: fixture.matchTime || null,
+          venue: fixture.venue || null,
+          synced_at: syncedAt
+        })),
+        { onConflict: 'team_id,external_uid' }
+      )
+      .select('id');
+
+    if (error) {
+      console.error('Error importing calendar fixtures:', error);
+      return { success: false, error: 'errors.calendarImportFailed' };
+    }
+
+    return { success: true, importedCount: (data || []).length };
+  } catch (error) {
+    console.error('Exception importing calendar fixtures:', error);
+    return { success: false, error: 'errors.calendarImportFailed' };
+  }
+}
+
+/**
+ * Get the subscription feed for a team, if one has been enabled
+ * @param {string} teamId - Team UUID
+ * @returns {Promise<{success: boolean, feed?: Object|null, error?: string}>}
+ */
+export async function getCalendarFeed(teamId) {
+  try {
+    if (!teamId) {
+      return { success: false, error: 'Team ID is required' };
+    }
+
+    const { data, error } = await supabase
+      .from('team_calendar_feed')
+      .select('token, include_trainings')
+      .eq('team_id', teamId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error loading calendar feed:', error);
+      return { success: false, error: 'errors.calendarFeedFailed' };
+    }
+
+    return { success: true, feed: mapFeed(data) };
+  } catch (error) {
+    console.error('Exception loading calendar feed:', error);
+    return { success: false, error: 'errors.calendarFeedFailed' };
+  }
+}
+
+/**
+ * Create the subscription feed for a team
+ * @param {string} teamId - Team UUID
+ * @returns {Promise<{success: boolean, feed?: Object, error?: string}>}
+ */
+export async function enableCalendarFeed(teamId) {
+  try {
+    if (!teamId) {
+      return { success: false, error: 'Team ID is required' };
+    }
+
+    const { data, error } = await supabase
+      .from('team_calendar_feed')
+      .insert({ team_id: teamId })
+      .select('token, include_trainings')
+      .single();
+
+    if (error) {
+      console.error('Error enabling calendar feed:', error);
+      return { success: false, error: 'errors.calendarFeedFailed' };
+    }
+
+    return { success: true, feed: mapFeed(data) };
+  } catch (error) {
+    console.error('Exception enabling calendar feed:', error);
+    return { success: false, error: 'errors.calendarFeedFailed' };
+  }
+}
+
+/**
+ * Replace the feed token, which stops every existing subscription
+ * @param {string} teamId - Team UUID
+ * @returns {Promise<{success: boolean, feed?: Object, error?: string}>}
+ */
+export async function resetCalendarFeed(teamId) {
+  try {
+    if (!teamId) {
+      return { success: false, error: 'Team ID is required' };
+    }
+
+    const { error } = await supabase
+      .from('team_calendar_feed')
+      .delete()
+      .eq('team_id', teamId);
+
+    if (error) {
+      console.error('Error resetting calendar feed:', error);
+      return { success: false, error: 'errors.calendarFeedFailed' };
+    }
+
+    return enableCalendarFeed(teamId);
+  } catch (error) {
+    console.error('Exception resetting calendar feed:', error);
+    return { success: false, error: 'errors.calendarFeedFailed' };
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * Connector Adapters
+ *
+ * One adapter per provider, registered with connectorService (see the adapter
+ * interface there). Scraper adapters only declare their sync mode; the data is
+ * written by the external scraper. File import adapters read the exports a team
+ * admin uploads.
+ */
+
+import { CONNECTOR_PROVIDERS, CONNECTOR_SYNC_MODES } from '../constants/connectorProviders';
+import { parseConnectorExport } from '../utils/connectorFileImport';
+import { formatDateKey } from '../utils/trainingUtils';
+
+export const FAKE_CONNECTOR_PROVIDER_ID = 'fake';
+
+const ALL_CAPABILITIES = {
+  roster: true,
+  attendance: true,
+  upcomingMatches: true
+};
+
+// Exports list the whole season; only fixtures from today on are kept
+const keepUpcoming = (matches) => {
+  const today = formatDateKey(new Date());
+  return matches.filter(match => match.date >= today);
+};
+
+/**
+ * Create an adapter that reads uploaded export files (CSV or the HTML .xls download)
+ * @param {string} providerId - Provider ID ('svenska_lag', 'myclub')
+ * @returns {Object} Connector adapter
+ */
+export function createFileImportAdapter(providerId) {
+  const parse = (source) => {
+    if (!source?.text) {
+      throw new Error('An export file is required to sync this provider');
+    }
+    return parseConnectorExport(source.text, { teamName: source.teamName });
+  };
+
+  return {
+    id: providerId,
+    syncMode: CONNECTOR_SYNC_MODES.FILE_IMPORT,
+    capabilities: ALL_CAPABILITIES,
+    fetchRoster: async (source) => parse(source).roster,
+    fetchAttendance: async (source) => parse(source).attendance,
+    fetchUpcomingMatches: async (source) => keepUpcoming(parse(source).upcomingMatches)
+  };
+}
+
+/**
+ * Create an in-memory provider for tests and local development. It returns the
+ * given data for every sync, or rejects with `error` when one is set.
+ * Register it with registerConnectorAdapter and sync a connector whose provider
+ * is FAKE_CONNECTOR_PROVIDER_ID.
+ * @param {Object} [data]
+ * @param {Array} [data.roster] - [{ name }]
+ * @param {Array} [data.attendance] - [{ name, date, attended }]
+ * @param {Array} [data.upcomingMatches] - [{ date, time, opponent, venue }]
+ * @param {Error|string|null} [data.error] - Fail every fetch with this error
+ * @returns {Object} Connector adapter
+ */
+export function createFakeConnectorAdapter({
+  roster = [],
+  attendance = [],
+  upcomingMatches = [],
+  error = null
+} = {}) {
+  const respond = async (data) => {
+    if (error) {
+      throw error instanceof Error ? error : new Error(error);
+    }
+    return data;
+  };
+
+  return {
+    id: FAKE_CONNECTOR_PROVIDER_ID,
+    syncMode: CONNECTOR_SYNC_MODES.FILE_IMPORT,
+    capabilities: ALL_CAPABILITIES,
+    fetchRoster: () => respond(roster),
+    fetchAttendance: () => respond(attendance),
+    fetchUpcomingMatches: () => respond(upcomingMatches)
+  };
+}
+
+export const DEFAULT_CONNECTOR_ADAPTERS = [
+  {
+    id: CONNECTOR_PROVIDERS.SPORTADMIN.id,
+    syncMode: CONNECTOR_SYNC_MODES.SCRAPER,
+    capabilities: { roster: false, attendance: true, upcomingMatches: true }
+  },
+  createFileImportAdapter(CONNECTOR_PROVIDERS.SVENSKA_LAG.id),
+  createFileImportAdapter(CONNECTOR_PROVIDERS.MYCLUB.id)
+];
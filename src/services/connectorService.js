@@ -3,11 +3,28 @@
  *
  * API client for connector operations (SportAdmin, Svenska Lag, etc.)
  * Handles communication with Supabase for connector management, sync jobs, and scraped data
+ *
+ * Provider adapter interface
+ * Every provider has an adapter that says how its data reaches Sport Wizard:
+ * {
+ *   id: string,                 // connector_provider value
+ *   syncMode: 'scraper' | 'file_import',
+ *   capabilities: { roster, attendance, upcomingMatches },
+ *   // file_import adapters only; source is { fileName, text, teamName }
+ *   fetchRoster(source): Promise<Array<{ name }>>,
+ *   fetchAttendance(source): Promise<Array<{ name, date, attended }>>,
+ *   fetchUpcomingMatches(source): Promise<Array<{ date, time, opponent, venue }>>
+ * }
+ * Scraper adapters queue a sync job that the external scraper picks up. File
+ * import adapters are run in the browser by runConnectorSync, which stores the
+ * results and records the import as a sync job.
  */
 
 import { supabase } from '../lib/supabase';
-import { getProviderById } from '../constants/connectorProviders';
+import { getProviderById, CONNECTOR_STATUS, CONNECTOR_SYNC_MODES } from '../constants/connectorProviders';
+import { DEFAULT_CONNECTOR_ADAPTERS } from './connectorAdapters';
 import { parseExternalPlayerName } from '../utils/playerUtils';
+import { formatDateKey, parseDateKey, summarizeTrainingAttendance, TRAINING_SESSION_STATUS } from '../utils/trainingUtils';
 
 /**
  * Get all connectors for a team
@@ -117,6 +134,40 @@ export async function connectProvider(teamId, provider, credentials) {
   }
 }
 
+/**
+ * Connect a provider that syncs from exported files (no credentials are stored)
+ * @param {string} teamId - Team UUID
+ * @param {string} provider - Provider ID ('svenska_lag', 'myclub')
+ * @returns {Promise<Object>} Created connector object
+ */
+export async function connectFileImportProvider(teamId, provider) {
+  if (!teamId || !provider) {
+    throw new Error('Team ID and provider are required');
+  }
+
+  if (getConnectorAdapter(provider)?.syncMode !== CONNECTOR_SYNC_MODES.FILE_IMPORT) {
+    throw new Error('This provider does not support file imports');
+  }
+
+  const { data, error } = await supabase
+    .from('connector')
+    .insert({
+      team_id: teamId,
+      provider,
+      status: CONNECTOR_STATUS.CONNECTED,
+      config: { sync_mode: CONNECTOR_SYNC_MODES.FILE_IMPORT }
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error connecting file import provider:', error);
+    throw new Error('Failed to connect provider');
+  }
+
+  return data;
+}
+
 /**
  * Disconnect a provider (delete connector)
  * @param {string} connectorId - Connector UUID
@@ -199,6 +250,98 @@ export async function triggerScraperWorkflow(teamId) {
   }
 }
 
+const connectorAdapters = new Map(DEFAULT_CONNECTOR_ADAPTERS.map(adapter => [adapter.id, adapter]));
+
+/**
+ * Register (or replace) the adapter for a provider
+ * @param {Object} adapter - Adapter implementing the interface described at the top of this file
+ */
+export function registerConnectorAdapter(adapter) {
+  if (!adapter?.id || !Object.values(CONNECTOR_SYNC_MODES).includes(adapter.syncMode)) {
+    throw new Error('Connector adapter needs an id and a valid sync mode');
+  }
+
+  const fetchers = ['fetchRoster', 'fetchAttendance', 'fetchUpcomingMatches'];
+  if (adapter.syncMode === CONNECTOR_SYNC_MODES.FILE_IMPORT
+    && !fetchers.every(name => typeof adapter[name] === 'function')) {
+    throw new Error('File import adapters must implement fetchRoster, fetchAttendance and fetchUpcomingMatches');
+  }
+
+  connectorAdapters.set(adapter.id, adapter);
+}
+
+/**
+ * Get the adapter for a provider
+ * @param {string} provider - Provider ID
+ * @returns {Object|null} Adapter, or null when the provider has none
+ */
+export function getConnectorAdapter(provider) {
+  return connectorAdapters.get(provider) || null;
+}
+
+/**
+ * Sync a connector through its provider adapter
+ * Scraper providers get a manual sync job and an immediate scraper run.
+ * File import providers read roster, attendance and upcoming matches from the
+ * uploaded export and store them with the import_connector_file_data RPC, which
+ * tracks the import as a connector_sync_job.
+ * @param {Object} connector - Connector row ({ id, team_id, provider })
+ * @param {Object} [source] - Export file for file import providers: { fileName, text, teamName }
+ * @returns {Promise<Object>} { jobId, syncMode, workflowTriggered } for scrapers,
+ *   { jobId, syncMode, players, attendance, matches } for file imports
+ */
+export async function runConnectorSync(connector, source = null) {
+  if (!connector?.id) {
+    throw new Error('Connector ID is required');
+  }
+
+  const adapter = getConnectorAdapter(connector.provider);
+  if (!adapter) {
+    throw new Error(`No sync adapter for provider: ${connector.provider}`);
+  }
+
+  if (adapter.syncMode === CONNECTOR_SYNC_MODES.SCRAPER) {
+    const jobId = await triggerManualSync(connector.id);
+    const workflow = await triggerScraperWorkflow(connector.team_id);
+    return { jobId, syncMode: adapter.syncMode, workflowTriggered: Boolean(workflow?.success) };
+  }
+
+  const [roster, attendance, upcomingMatches] = await Promise.all([
+    adapter.fetchRoster(source),
+    adapter.fetchAttendance(source),
+    adapter.fetchUpcomingMatches(source)
+  ]);
+
+  if (roster.length === 0 && attendance.length === 0 && upcomingMatches.length === 0) {
+    throw new Error('No players, attendance or upcoming matches were found in the file');
+  }
+
+  const { data, error } = await supabase
+    .rpc('import_connector_file_data', {
+      p_connector_id: connector.id,
+      p_players: roster,
+      p_attendance: attendance,
+      p_matches: upcomingMatches
+    });
+
+  if (error) {
+    console.error('Error importing connector file:', error);
+    throw new Error('Failed to import file');
+  }
+
+  if (!data || data.error) {
+    throw new Error(data?.error || 'Failed to import file');
+  }
+
+  return {
+    jobId: data.job_id,
+    syncMode: adapter.syncMode,
+    players: data.players,
+    attendance: data.attendance,
+    matches: data.matches
+  };
+}
+
 /**
  * Get recent sync jobs for a connector
  * @param {string} connectorId - Connector UUID
@@ -767,9 +910,83 @@ function buildAttendanceDateFilter(startDate, endDate) {
   return filters.length === 1 ? filters[0] : `and(${filters.join(',')})`;
 }
 
+// Daily attendance rows scraped by connectors, for matched players only
+async function fetchConnectorAttendance(connectorIds, attendanceDateFilter) {
+  let attendanceQuery = supabase
+    .from('player_attendance')
+    .select(`
+      id,
+      year,
+      month,
+      day_of_month,
+      total_practices,
+      total_attendance,
+      connected_player:connected_player_id (
+        player_id,
+        player_name,
+        connector:connector_id (
+          id,
+          provider
+        )
+      )
+    `)
+    .in('connected_player.connector.id', connectorIds)
+    .not('connected_player.player_id', 'is', null); // Only include matched players
+
+  if (attendanceDateFilter) {
+    attendanceQuery = attendanceQuery.or(attendanceDateFilter);
+  }
+
+  const { data, error } = await attendanceQuery
+    .order('year', { ascending: true })
+    .order('month', { ascending: true })
+    .order('day_of_month', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching attendance data:', error);
+    throw new Error('Failed to load attendance data');
+  }
+
+  return data || [];
+}
+
+// Held training sessions with recorded check-in, created in Sport Wizard itself
+async function fetchRecordedTrainingSessions(teamId, startDate, endDate) {
+  let sessionQuery = supabase
+    .from('training_session')
+    .select(`
+      id,
+      session_date,
+      training_attendance (
+        player_id,
+        attended
+      )
+    `)
+    .eq('team_id', teamId)
+    .eq('status', TRAINING_SESSION_STATUS.SCHEDULED)
+    .not('attendance_recorded_at', 'is', null);
+
+  if (startDate) {
+    sessionQuery = sessionQuery.gte('session_date', formatDateKey(startDate));
+  }
+  if (endDate) {
+    sessionQuery = sessionQuery.lte('session_date', formatDateKey(endDate));
+  }
+
+  const { data, error } = await sessionQuery.order('session_date', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching training sessions:', error);
+    throw new Error('Failed to load training attendance');
+  }
+
+  return data || [];
+}
+
 /**
  * Get attendance statistics for all players in a team
- * Combines attendance data from connectors with match stats
+ * Combines attendance data from connectors and native training sessions with match stats.
+ * When both sources cover the same date, the higher count wins so a practice is never counted twice.
  * @param {string} teamId - Team UUID
  * @param {Date|null} startDate - Start date filter (optional)
  * @param {Date|null} endDate - End date filter (optional)
@@ -785,10 +1002,6 @@ export async function getAttendanceStats(teamId, startDate = null, endDate = nul
     const connectors = await getTeamConnectors(teamId);
     const connectedConnectors = connectors.filter(c => c.status === 'connected');
 
-    if (connectedConnectors.length === 0) {
-      return [];
-    }
-
     const normalizedStart = toStartOfDay(startDate);
     const normalizedEnd = toEndOfDay(endDate);
     const attendanceDateFilter = buildAttendanceDateFilter(normalizedStart, normalizedEnd);
@@ -796,42 +1009,11 @@ export async function getAttendanceStats(teamId, startDate = null, endDate = nul
     // Fetch attendance data for all connectors with optional date filtering
     const connectorIds = connectedConnectors.map(c => c.id);
 
-    let attendanceQuery = supabase
-      .from('player_attendance')
-      .select(`
-        id,
-        year,
-        month,
-        day_of_month,
-        total_practices,
-        total_attendance,
-        connected_player:connected_player_id (
-          player_id,
-          player_name,
-          connector:connector_id (
-            id,
-            provider
-          )
-        )
-      `)
-      .in('connected_player.connector.id', connectorIds)
-      .not('connected_player.player_id', 'is', null); // Only include matched players
-
-    if (attendanceDateFilter) {
-      attendanceQuery = attendanceQuery.or(attendanceDateFilter);
-    }
-
-    const { data: attendanceData, error: attendanceError } = await attendanceQuery
-      .order('year', { ascending: true })
-      .order('month', { ascending: true })
-      .order('day_of_month', { ascending: true });
+    const attendanceData = connectorIds.length > 0
+      ? await fetchConnectorAttendance(connectorIds, attendanceDateFilter)
+      : [];
 
-    if (attendanceError) {
-      console.error('Error fetching attendance data:', attendanceError);
-      throw new Error('Failed to load attendance data');
-    }
-
-    const attendanceRecords = (attendanceData || []).filter(record => {
+    const attendanceRecords = attendanceData.filter(record => {
       if (!normalizedStart && !normalizedEnd) {
         return true;
       }
@@ -887,6 +1069,52 @@ export async function getAttendanceStats(teamId, startDate = null, endDate = nul
       });
     });
 
+    // Merge native training sessions; a date already covered by the connector keeps the higher count
+    const trainingSessions = await fetchRecordedTrainingSessions(teamId, normalizedStart, normalizedEnd);
+    const { sessionsByDate, attendanceByPlayer } = summarizeTrainingAttendance(trainingSessions);
+
+    sessionsByDate.forEach((sessionCount, dateKey) => {
+      dailyPracticeCounts.set(dateKey, Math.max(dailyPracticeCounts.get(dateKey) || 0, sessionCount));
+    });
+
+    attendanceByPlayer.forEach((attendanceByDate, playerId) => {
+      if (!playerAttendanceMap.has(playerId)) {
+        playerAttendanceMap.set(playerId, {
+          playerId,
+          totalAttendance: 0,
+          attendanceRecords: []
+        });
+      }
+
+      const playerData = playerAttendanceMap.get(playerId);
+
+      attendanceByDate.forEach((attendanceCount, dateKey) => {
+        const connectorRecord = playerData.attendanceRecords.find(record => record.date === dateKey);
+
+        if (connectorRecord) {
+          const connectorAttendance = connectorRecord.attendance || 0;
+          if (attendanceCount > connectorAttendance) {
+            playerData.totalAttendance += attendanceCount - connectorAttendance;
+            connectorRecord.attendance = attendanceCount;
+          }
+          return;
+        }
+
+        const sessionDate = parseDateKey(dateKey);
+        playerData.totalAttendance += attendanceCount;
+        playerData.attendanceRecords.push({
+          date: dateKey,
+          year: sessionDate.getFullYear(),
+          month: sessionDate.getMonth() + 1,
+          day: sessionDate.getDate(),
+          practices: sessionsByDate.get(dateKey) || 0,
+          attendance: attendanceCount
+        });
+      });
+
+      playerData.attendanceRecords.sort((a, b) => a.date.localeCompare(b.date));
+    });
+
     const totalPracticesForPeriod = Array.from(dailyPracticeCounts.values())
       .filter(count => count > 0)
       .reduce((sum, count) => sum + count, 0);
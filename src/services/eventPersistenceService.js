@@ -1,10 +1,12 @@
 /**
  * Event Persistence Service
  * Handles real-time persistence of game events to Supabase database
- * with retry logic, exponential backoff, and graceful error handling
+ * with retry logic, exponential backoff, and graceful error handling.
+ * Without a connection, events go to the sync outbox and upload in order later.
  */
 
-import { supabase, getCurrentUser } from '../lib/supabase';
+import { supabase, getCurrentUser, getCurrentSession } from '../lib/supabase';
+import { syncOutbox, isNetworkError, OUTBOX_OPERATIONS } from './syncOutbox';
 
 class EventPersistenceService {
   constructor() {
@@ -27,8 +29,10 @@ class EventPersistenceService {
         return { success: true, skipped: true, reason: 'Missing matchId' };
       }
 
-      // Check authentication
-      const user = await getCurrentUser();
+      // Check authentication (the stored session is all we can check offline)
+      const user = syncOutbox.isOnline()
+        ? await getCurrentUser()
+        : (await getCurrentSession())?.user;
       if (!user) {
         return { success: true, skipped: true, reason: 'Not authenticated' };
       }
@@ -45,6 +49,12 @@ class EventPersistenceService {
       // Write all events sequentially to preserve order
       const results = [];
       for (const dbEvent of eventsToWrite) {
+        if (syncOutbox.shouldQueue()) {
+          this.queueEvent(dbEvent);
+          results.push({ status: 'fulfilled', value: { success: false, queued: true } });
+          continue;
+        }
+
         try {
           const result = await this.writeEventToDatabase(dbEvent);
           results.push({ status: 'fulfilled', value: result });
@@ -72,6 +82,7 @@ class EventPersistenceService {
       // Direct mappings
       'match_start': 'match_started',
       'match_end': 'match_ended',
+      'shootout_end': 'shootout_ended',
       'match_created': 'match_created',
       'period_start': 'period_started',
       'period_end': 'period_ended',
@@ -83,6 +94,12 @@ class EventPersistenceService {
       'player_inactivated': 'player_inactivated',
       'player_activated': 'player_reactivated',
       'player_reactivated': 'player_reactivated',
+      'player_injured': 'player_injured',
+      'player_returned': 'player_returned',
+      'yellow_card': 'yellow_card',
+      'red_card': 'red_card',
+      'sin_bin_started': 'sin_bin_started',
+      'sin_bin_ended': 'sin_bin_ended',
       'fair_play_award': 'fair_play_award',
 
       // Special cases
@@ -134,6 +151,8 @@ class EventPersistenceService {
       period: event.periodNumber || 1,
       data: null,
       correlation_id: baseCorrelationId || null,
+      // Only extra-time events carry the flag; the column defaults to false
+      ...(event.isExtraTime ? { is_extra_time: true } : {}),
       ...overrides
     });
 
@@ -265,6 +284,15 @@ class EventPersistenceService {
       });
     }
 
+    if (dbEventType === 'shootout_ended') {
+      return buildBaseEvent({
+        data: {
+          ownScore: event.data?.ownScore ?? 0,
+          opponentScore: event.data?.opponentScore ?? 0
+        }
+      });
+    }
+
     if (dbEventType === 'goalie_enters') {
       const goalieId = event.data?.goalieId || event.data?.newGoalieId || event.data?.playerId || event.data?.scorerId;
       const correlationId = getCorrelationId();
@@ -379,6 +407,13 @@ class EventPersistenceService {
         payload.display_name = scorerName;
       }
 
+      if (event.data?.assistId) {
+        payload.assistId = event.data.assistId;
+        if (event.data.assistName) {
+          payload.assistName = event.data.assistName;
+        }
+      }
+
       const base = buildBaseEvent({
         data: payload,
         player_id: event.data?.playerId || event.data?.scorerId || undefined
@@ -407,6 +442,32 @@ class EventPersistenceService {
       });
     }
 
+    if (
+      dbEventType === 'player_injured' ||
+      dbEventType === 'player_returned' ||
+      dbEventType === 'yellow_card' ||
+      dbEventType === 'red_card' ||
+      dbEventType === 'sin_bin_started' ||
+      dbEventType === 'sin_bin_ended'
+    ) {
+      const playerId = event.data?.playerId || event.player_id;
+      const replacementId = event.data?.replacementId;
+      const data = {
+        ...(this.buildDisplayNameData(event, playerId) || {}),
+        ...(replacementId ? {
+          replacementId,
+          ...(event.data?.replacementName ? { replacementName: event.data.replacementName } : {})
+        } : {}),
+        ...(event.data?.fieldPosition ? { fieldPosition: event.data.fieldPosition } : {}),
+        ...(event.data?.durationSeconds ? { durationSeconds: event.data.durationSeconds } : {})
+      };
+      return buildBaseEvent({
+        event_type: dbEventType,
+        player_id: playerId || undefined,
+        data: Object.keys(data).length > 0 ? data : null
+      });
+    }
+
     if (dbEventType === 'fair_play_award') {
       const displayData = this.buildDisplayNameData(event, event.data?.playerId);
       return buildBaseEvent({
@@ -559,22 +620,7 @@ class EventPersistenceService {
    */
   async writeEventToDatabase(dbEvent, retryCount = 0) {
     try {
-      // Fair play award should be unique per match - replace existing entry
-      if (dbEvent.event_type === 'fair_play_award') {
-        await supabase
-          .from('match_log_event')
-          .delete()
-          .eq('match_id', dbEvent.match_id)
-          .eq('event_type', 'fair_play_award');
-      }
-
-      const { data, error } = await supabase
-        .from('match_log_event')
-        .insert(dbEvent);
-
-      if (error) {
-        throw error;
-      }
+      const data = await this.insertEvent(dbEvent);
 
       // Success - clear from retry queue if present
       this.removeFromRetryQueue(dbEvent);
@@ -583,6 +629,12 @@ class EventPersistenceService {
     } catch (error) {
       console.warn(`Failed to write event (attempt ${retryCount + 1}):`, error.message);
 
+      // No connection - upload in order with the rest of the outbox instead of retrying
+      if (isNetworkError(error)) {
+        this.queueEvent(dbEvent);
+        return { success: false, queued: true };
+      }
+
       if (retryCount < this.maxRetries) {
         // Schedule retry with exponential backoff
         this.scheduleRetry(dbEvent, retryCount);
@@ -596,6 +648,44 @@ class EventPersistenceService {
     }
   }
 
+  /**
+   * Insert a database event, replacing the match's fair play award if needed
+   * @param {Object} dbEvent - Database-formatted event
+   * @returns {Promise<Object>} Inserted data
+   * @throws Supabase error when the write fails
+   */
+  async insertEvent(dbEvent) {
+    // Fair play award should be unique per match - replace existing entry
+    if (dbEvent.event_type === 'fair_play_award') {
+      await supabase
+        .from('match_log_event')
+        .delete()
+        .eq('match_id', dbEvent.match_id)
+        .eq('event_type', 'fair_play_award');
+    }
+
+    const { data, error } = await supabase
+      .from('match_log_event')
+      .insert(dbEvent);
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Add a database event to the sync outbox
+   * @param {Object} dbEvent - Database-formatted event
+   */
+  queueEvent(dbEvent) {
+    syncOutbox.enqueue(OUTBOX_OPERATIONS.MATCH_EVENT, { dbEvent }, {
+      matchId: dbEvent.match_id,
+      label: dbEvent.event_type
+    });
+  }
+
   /**
    * Schedule retry with exponential backoff
    * @param {Object} dbEvent - Database event to retry
@@ -758,3 +848,12 @@ class EventPersistenceService {
 
 // Singleton instance
 export const eventPersistenceService = new EventPersistenceService();
+
+syncOutbox.registerHandler(OUTBOX_OPERATIONS.MATCH_EVENT, async ({ dbEvent }) => {
+  try {
+    await eventPersistenceService.insertEvent(dbEvent);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
@@ -102,6 +102,27 @@ describe('EventPersistenceService', () => {
       });
     });
 
+    it('should include the assist in goal event data', () => {
+      const event = {
+        id: 'evt_124',
+        type: 'goal_scored',
+        timestamp: Date.now(),
+        matchTime: '07:00',
+        periodNumber: 1,
+        data: { scorerId: 'player_456', assistId: 'player_789', assistName: 'Bo', ownScore: 1, opponentScore: 0 }
+      };
+
+      const result = eventPersistenceService.transformEventForDatabase(event, 'match_789');
+
+      expect(result.player_id).toBe('player_456');
+      expect(result.data).toEqual({
+        ownScore: 1,
+        opponentScore: 0,
+        assistId: 'player_789',
+        assistName: 'Bo'
+      });
+    });
+
     it('should handle event without player_id', () => {
       const event = {
         id: 'evt_123',
@@ -368,6 +389,91 @@ describe('EventPersistenceService', () => {
       expect(result.data).toEqual({ display_name: 'Reactivated Player' });
     });
 
+    it('should include the replacement player in player_injured events', () => {
+      const event = {
+        id: 'evt_injured',
+        type: 'player_injured',
+        matchTime: '12:10',
+        periodNumber: 1,
+        data: {
+          playerId: 'player_111',
+          display_name: 'Injured Player',
+          replacementId: 'player_222',
+          replacementName: 'Replacement Player',
+          fieldPosition: 'leftDefender'
+        }
+      };
+
+      const result = eventPersistenceService.transformEventForDatabase(event, 'match_1');
+
+      expect(result.event_type).toBe('player_injured');
+      expect(result.player_id).toBe('player_111');
+      expect(result.data).toEqual({
+        display_name: 'Injured Player',
+        replacementId: 'player_222',
+        replacementName: 'Replacement Player',
+        fieldPosition: 'leftDefender'
+      });
+    });
+
+    it('should map player_returned with display name when provided', () => {
+      const event = {
+        id: 'evt_returned',
+        type: 'player_returned',
+        matchTime: '20:00',
+        periodNumber: 2,
+        data: { playerId: 'player_111', display_name: 'Injured Player' }
+      };
+
+      const result = eventPersistenceService.transformEventForDatabase(event, 'match_1');
+
+      expect(result.event_type).toBe('player_returned');
+      expect(result.player_id).toBe('player_111');
+      expect(result.data).toEqual({ display_name: 'Injured Player' });
+    });
+
+    it('should store only the shootout score for shootout_end events', () => {
+      const event = {
+        id: 'evt_shootout',
+        type: 'shootout_end',
+        matchTime: '36:00',
+        data: {
+          ownScore: 4,
+          opponentScore: 3,
+          winner: 'own',
+          kicks: [{ team: 'own', playerId: 'player_111', round: 1, result: 'scored' }],
+          matchId: 'match_1'
+        }
+      };
+
+      const result = eventPersistenceService.transformEventForDatabase(event, 'match_1');
+
+      expect(result.event_type).toBe('shootout_ended');
+      expect(result.data).toEqual({ ownScore: 4, opponentScore: 3 });
+    });
+
+    it('should flag extra-time events', () => {
+      const extraTimeGoal = eventPersistenceService.transformEventForDatabase({
+        id: 'evt_et_goal',
+        type: 'goal_scored',
+        matchTime: '38:10',
+        periodNumber: 4,
+        isExtraTime: true,
+        data: { scorerId: 'player_111', ownScore: 2, opponentScore: 1 }
+      }, 'match_1');
+      const regularGoal = eventPersistenceService.transformEventForDatabase({
+        id: 'evt_goal',
+        type: 'goal_scored',
+        matchTime: '12:10',
+        periodNumber: 1,
+        data: { scorerId: 'player_111', ownScore: 1, opponentScore: 1 }
+      }, 'match_1');
+
+      expect(extraTimeGoal.period).toBe(4);
+      expect(extraTimeGoal.is_extra_time).toBe(true);
+      expect(regularGoal).not.toHaveProperty('is_extra_time');
+    });
+
     it('should generate UUID correlation IDs for substitutions with non-UUID event ids', () => {
       const event = {
         id: 'sub_1764944876884_6p7n1thk9',
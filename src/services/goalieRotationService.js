@@ -0,0 +1,70 @@
+/**
+ * Goalie Rotation Service
+ *
+ * Loads goalie history for the goalie planner. The only durable record of who
+ * kept goal is goalie_time_seconds in player_match_stats, so history is built
+ * from finished matches of the season and their period lengths.
+ */
+
+import { supabase } from '../lib/supabase';
+import { buildGoalieHistory } from '../utils/goalieRotation';
+
+// The season runs from January 1st of the current year
+const getSeasonStart = (now) => new Date(now.getFullYear(), 0, 1);
+
+/**
+ * Load goalie periods per player for the team's finished matches.
+ * @param {string} teamId - Team ID
+ * @param {Object} options
+ * @param {Date} options.startDate - First day to include (default: season start)
+ * @param {Date} options.endDate - Last moment to include (default: now)
+ * @returns {Promise<{success: boolean, history?: Map, matchCount?: number, error?: string}>}
+ */
+export async function getGoalieHistory(teamId, { startDate, endDate } = {}) {
+  try {
+    if (!teamId) {
+      return { success: false, error: 'Team ID is required' };
+    }
+
+    const end = endDate || new Date();
+    const start = startDate || getSeasonStart(end);
+
+    const { data: matches, error: matchError } = await supabase
+      .from('match')
+      .select('id, period_duration_minutes')
+      .eq('team_id', teamId)
+      .eq('state', 'finished')
+      .is('deleted_at', null)
+      .gte('started_at', start.toISOString())
+      .lte('started_at', end.toISOString());
+
+    if (matchError) {
+      console.error('Error loading matches for goalie history:', matchError);
+      return { success: false, error: 'errors.goalieHistoryFailed' };
+    }
+
+    if (!matches || matches.length === 0) {
+      return { success: true, history: new Map(), matchCount: 0 };
+    }
+
+    const { data: stats, error: statsError } = await supabase
+      .from('player_match_stats')
+      .select('player_id, match_id, goalie_time_seconds')
+      .in('match_id', matches.map(match => match.id))
+      .gt('goalie_time_seconds', 0);
+
+    if (statsError) {
+      console.error('Error loading goalie stats:', statsError);
+      return { success: false, error: 'errors.goalieHistoryFailed' };
+    }
+
+    return {
+      success: true,
+      history: buildGoalieHistory(matches, stats),
+      matchCount: matches.length
+    };
+  } catch (error) {
+    console.error('Exception loading goalie history:', error);
+    return { success: false, error: 'errors.goalieHistoryFailed' };
+  }
+}
@@ -5,6 +5,7 @@
 
 import { addEventListener } from '../utils/gameEventLogger';
 import { eventPersistenceService } from './eventPersistenceService';
+import { syncOutbox } from './syncOutbox';
 
 /**
  * Initialize event persistence service
@@ -46,3 +47,25 @@ export function initializeEventPersistence(matchIdSource) {
 
   return unsubscribe;
 }
+
+/**
+ * Initialize the sync outbox
+ * Uploads queued match writes now and whenever the connection comes back
+ * @returns {Function} Cleanup function
+ */
+export function initializeSyncOutbox() {
+  const handleOnline = () => {
+    syncOutbox.notify();
+    syncOutbox.flush();
+  };
+  const handleOffline = () => syncOutbox.notify();
+
+  window.addEventListener('online', handleOnline);
+  window.addEventListener('offline', handleOffline);
+  syncOutbox.flush();
+
+  return () => {
+    window.removeEventListener('online', handleOnline);
+    window.removeEventListener('offline', handleOffline);
+  };
+}
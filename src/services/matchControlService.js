@@ -0,0 +1,211 @@
+/**
+ * Match Control Service
+ *
+ * Lets more than one coach's device control a running match. One device holds a
+ * renewable lease on the match clock, and every controlling device publishes the
+ * shared match state through the publish_match_state database function. States
+ * carry an ordinal that follows the match_log_event ordinals; a device can only
+ * publish on top of the latest state it has seen, otherwise it gets the newer
+ * state back to merge with its own changes.
+ */
+
+import { supabase } from '../lib/supabase';
+import { STORAGE_KEYS } from '../constants/storageKeys';
+import { generateClientId } from './syncOutbox';
+
+// Must match the lease length in claim_match_clock
+export const CLOCK_LEASE_MS = 45000;
+export const CLOCK_RENEW_INTERVAL_MS = 15000;
+
+export const MATCH_CONTROL_BROADCAST_EVENT = 'control_changed';
+export const getMatchControlTopic = (matchId) => `match-control:${matchId}`;
+
+let cachedDeviceId = null;
+
+/**
+ * Stable id of this device, created on first use
+ * @returns {string}
+ */
+export function getDeviceId() {
+  if (cachedDeviceId) {
+    return cachedDeviceId;
+  }
+
+  try {
+    const stored = localStorage.getItem(STORAGE_KEYS.DEVICE_ID);
+    if (stored) {
+      cachedDeviceId = stored;
+      return stored;
+    }
+    cachedDeviceId = generateClientId();
+    localStorage.setItem(STORAGE_KEYS.DEVICE_ID, cachedDeviceId);
+  } catch (error) {
+    console.warn('Failed to persist device id:', error);
+    cachedDeviceId = cachedDeviceId || generateClientId();
+  }
+
+  return cachedDeviceId;
+}
+
+const mapControl = (row) => ({
+  clockDeviceId: row?.clock_device_id || null,
+  clockDeviceName: row?.clock_device_name || null,
+  clockUserId: row?.clock_user_id || null,
+  clockLeaseExpiresAt: row?.clock_lease_expires_at || null,
+  stateOrdinal: Number(row?.state_ordinal) || 0
+});
+
+/**
+ * Whether a control row shows a clock lease that has not run out
+ * @param {Object|null} control - Mapped control info
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean}
+ */
+export const hasActiveClockLease = (control, now = Date.now()) => (
+  Boolean(control?.clockDeviceId && control.clockLeaseExpiresAt && new Date(control.clockLeaseExpiresAt).getTime() > now)
+);
+
+/**
+ * Load the clock holder and shared state of a match
+ * @param {string} matchId - Match UUID
+ * @returns {Promise<{success: boolean, control?: Object|null, state?: Object|null, stateDeviceId?: string|null, error?: string}>}
+ */
+export async function getMatchControl(matchId) {
+  try {
+    if (!matchId) {
+      return { success: false, error: 'Match ID is required' };
+    }
+
+    const { data, error } = await supabase
+      .from('match_control')
+      .select('clock_device_id, clock_device_name, clock_user_id, clock_lease_expires_at, state, state_ordinal, state_device_id')
+      .eq('match_id', matchId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching match control:', error);
+      return { success: false, error: error.message || 'errors.matchControlFailed' };
+    }
+
+    if (!data) {
+      return { success: true, control: null, state: null };
+    }
+
+    return {
+      success: true,
+      control: mapControl(data),
+      state: data.state || null,
+      stateDeviceId: data.state_device_id || null
+    };
+  } catch (error) {
+    console.error('Exception fetching match control:', error);
+    return { success: false, error: error.message || 'errors.matchControlFailed' };
+  }
+}
+
+/**
+ * Claim or renew the clock lease for this device
+ * @param {string} matchId - Match UUID
+ * @param {Object} options
+ * @param {string} options.deviceName - Name shown on the other devices
+ * @param {boolean} options.takeOver - Take the clock from a device that still holds it
+ * @returns {Promise<{success: boolean, acquired?: boolean, control?: Object, error?: string}>}
+ */
+export async function claimMatchClock(matchId, { deviceName = null, takeOver = false } = {}) {
+  try {
+    if (!matchId) {
+      return { success: false, error: 'Match ID is required' };
+    }
+
+    const { data, error } = await supabase
+      .rpc('claim_match_clock', {
+        p_match_id: matchId,
+        p_device_id: getDeviceId(),
+        p_device_name: deviceName,
+        p_take_over: takeOver
+      });
+
+    if (error || !data?.success) {
+      console.error('Failed to claim match clock:', error || data);
+      return { success: false, error: data?.message || error?.message || 'errors.matchControlFailed' };
+    }
+
+    return { success: true, acquired: Boolean(data.acquired), control: mapControl(data) };
+  } catch (error) {
+    console.error('Exception claiming match clock:', error);
+    return { success: false, error: error.message || 'errors.matchControlFailed' };
+  }
+}
+
+/**
+ * Give up the clock lease so another device can take it right away
+ * @param {string} matchId - Match UUID
+ * @returns {Promise<{success: boolean, released?: boolean, error?: string}>}
+ */
+export async function releaseMatchClock(matchId) {
+  try {
+    if (!matchId) {
+      return { success: false, error: 'Match ID is required' };
+    }
+
+    const { data, error } = await supabase
+      .rpc('release_match_clock', {
+        p_match_id: matchId,
+        p_device_id: getDeviceId()
+      });
+
+    if (error || !data?.success) {
+      console.error('Failed to release match clock:', error || data);
+      return { success: false, error: data?.message || error?.message || 'errors.matchControlFailed' };
+    }
+
+    return { success: true, released: Boolean(data.released) };
+  } catch (error) {
+    console.error('Exception releasing match clock:', error);
+    return { success: false, error: error.message || 'errors.matchControlFailed' };
+  }
+}
+
+/**
+ * Publish the shared match state on top of the latest state this device has seen
+ * @param {string} matchId - Match UUID
+ * @param {Object} options
+ * @param {number} options.baseOrdinal - Ordinal of the latest state this device has seen
+ * @param {Object} options.state - Shared match state from buildSharedMatchState
+ * @returns {Promise<{success: boolean, accepted?: boolean, stateOrdinal?: number, state?: Object, stateDeviceId?: string, error?: string}>}
+ */
+export async function publishMatchState(matchId, { baseOrdinal = 0, state } = {}) {
+  try {
+    if (!matchId || !state) {
+      return { success: false, error: 'Match ID and state are required' };
+    }
+
+    const { data, error } = await supabase
+      .rpc('publish_match_state', {
+        p_match_id: matchId,
+        p_device_id: getDeviceId(),
+        p_base_ordinal: baseOrdinal,
+        p_state: state
+      });
+
+    if (error || !data?.success) {
+      console.error('Failed to publish match state:', error || data);
+      return { success: false, error: data?.message || error?.message || 'errors.matchControlFailed' };
+    }
+
+    if (!data.accepted) {
+      return {
+        success: true,
+        accepted: false,
+        stateOrdinal: Number(data.state_ordinal) || 0,
+        state: data.state || null,
+        stateDeviceId: data.state_device_id || null
+      };
+    }
+
+    return { success: true, accepted: true, stateOrdinal: Number(data.state_ordinal) || 0 };
+  } catch (error) {
+    console.error('Exception publishing match state:', error);
+    return { success: false, error: error.message || 'errors.matchControlFailed' };
+  }
+}
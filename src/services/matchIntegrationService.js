@@ -2,7 +2,7 @@
  * Match Integration Service
  *
  * Provides integration between match records and external data sources
- * like upcoming matches from provider connectors.
+ * like upcoming matches from provider connectors or imported fixture lists.
  */
 
 import { supabase } from '../lib/supabase';
@@ -31,17 +31,11 @@ export async function findUpcomingMatchByOpponent(teamId, opponentName) {
     const normalizedOpponent = opponentName.trim().toLowerCase();
     const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
 
-    // Query upcoming_match through connector relationship
     // RLS ensures we only see matches for teams we have access to
     const { data, error } = await supabase
       .from('upcoming_match')
-      .select(`
-        *,
-        connector!inner (
-          team_id
-        )
-      `)
-      .eq('connector.team_id', teamId)
+      .select('*')
+      .eq('team_id', teamId)
       .gte('match_date', today)
       .order('match_date', { ascending: true });
 
@@ -61,7 +55,7 @@ export async function findUpcomingMatchByOpponent(teamId, opponentName) {
 }
 
 /**
- * Get upcoming matches for a team from connected providers.
+ * Get upcoming matches for a team from connected providers and imported calendars.
  *
  * @param {string} teamId - Team ID
  * @returns {Promise<{success: boolean, matches?: Array, error?: string}>}
@@ -85,12 +79,9 @@ export async function getUpcomingMatchesForTeam(teamId) {
         match_date,
         match_time,
         venue,
-        planned_match_id,
-        connector!inner (
-          team_id
-        )
+        planned_match_id
       `)
-      .eq('connector.team_id', teamId)
+      .eq('team_id', teamId)
       .gte('match_date', today)
       .is('planned_match_id', null)
       .order('match_date', { ascending: true })
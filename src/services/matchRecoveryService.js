@@ -6,7 +6,8 @@ import { STORAGE_KEYS } from '../constants/storageKeys';
  * Service for detecting and managing recoverable matches on login
  *
  * Helps users recover finished matches that weren't saved to history
- * by detecting them from localStorage and offering recovery options.
+ * by detecting them from localStorage and offering recovery options, and
+ * loads running matches so they can be resumed on another device.
  */
 
 // Initialize persistence manager for accessing localStorage
@@ -144,6 +145,79 @@ export async function deleteAbandonedMatch(matchId) {
   }
 }
 
+/**
+ * Load a running match with its full match log for resuming on this device
+ *
+ * @param {string} matchId - The ID of the running match
+ * @returns {Promise<{success: boolean, match?: Object, events?: Array, error?: string}>}
+ */
+export async function loadMatchForResume(matchId) {
+  try {
+    if (!matchId) {
+      return {
+        success: false,
+        error: 'Match ID is required'
+      };
+    }
+
+    const { data: match, error: matchError } = await supabase
+      .from('match')
+      .select('*')
+      .eq('id', matchId)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (matchError) {
+      console.error('❌ Failed to load match for resume:', matchError);
+      return {
+        success: false,
+        error: `Database error: ${matchError.message}`
+      };
+    }
+
+    if (!match) {
+      return {
+        success: false,
+        error: 'errors.matchNotFound'
+      };
+    }
+
+    if (match.state !== 'running') {
+      return {
+        success: false,
+        error: 'errors.matchNotRunning'
+      };
+    }
+
+    const { data: events, error: eventsError } = await supabase
+      .from('match_log_event')
+      .select('*')
+      .eq('match_id', matchId)
+      .order('ordinal', { ascending: true });
+
+    if (eventsError) {
+      console.error('❌ Failed to load match events for resume:', eventsError);
+      return {
+        success: false,
+        error: `Database error: ${eventsError.message}`
+      };
+    }
+
+    return {
+      success: true,
+      match,
+      events: events || []
+    };
+
+  } catch (error) {
+    console.error('❌ Exception while loading match for resume:', error);
+    return {
+      success: false,
+      error: `Unexpected error: ${error.message}`
+    };
+  }
+}
+
 /**
  * Get match statistics from localStorage for recovery
  * 
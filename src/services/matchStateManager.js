@@ -15,7 +15,9 @@ import { DEFAULT_VENUE_TYPE } from '../constants/matchVenues';
 import { normalizeFormationStructure } from '../utils/formationUtils';
 import { matchPassesFilters } from '../utils/matchFilterUtils';
 import { EVENT_TYPES } from '../utils/gameEventLogger';
+import { getPlayerCardCounts } from '../game/logic/discipline';
 import { eventPersistenceService } from './eventPersistenceService';
+import { syncOutbox, isNetworkError, generateClientId, OUTBOX_OPERATIONS } from './syncOutbox';
 
 const DISPLAY_ROLE_TO_DB_ROLE_MAP = {
   Goalkeeper: roleToDatabase(PLAYER_ROLES.GOALIE),
@@ -87,7 +89,7 @@ export function validateFinalStats(finalStats) {
  * @param {string} matchData.opponent - Opponent team name (optional)
  * @param {string} matchData.captainId - Captain player ID (optional)
  * @param {Array} allPlayers - Array of all players from game state (optional, for initial stats)
- * @returns {Promise<{success: boolean, matchId?: string, playerStatsInserted?: number, error?: string}>}
+ * @returns {Promise<{success: boolean, matchId?: string, playerStatsInserted?: number, queued?: boolean, error?: string}>}
  */
 export async function createMatch(matchData, allPlayers = [], selectedSquadIds = []) {
   try {
@@ -116,6 +118,9 @@ export async function createMatch(matchData, allPlayers = [], selectedSquadIds =
       state: 'pending' // Match created but not yet started
     };
 
+    if (syncOutbox.shouldQueue()) {
+      return queueMatchCreation(matchRecord, allPlayers, matchData.captainId, selectedSquadIds);
+    }
 
     const { data, error } = await supabase
       .from('match')
@@ -124,6 +129,9 @@ export async function createMatch(matchData, allPlayers = [], selectedSquadIds =
       .single();
 
     if (error) {
+      if (isNetworkError(error)) {
+        return queueMatchCreation(matchRecord, allPlayers, matchData.captainId, selectedSquadIds);
+      }
       console.error('❌ Failed to create match:', error);
       return {
         success: false,
@@ -168,6 +176,55 @@ export async function createMatch(matchData, allPlayers = [], selectedSquadIds =
   }
 }
 
+/**
+ * Queue a match creation for upload and give the match an ID on the device
+ * so starting, finishing and events can refer to it right away
+ */
+function queueMatchCreation(matchRecord, allPlayers, captainId, selectedSquadIds) {
+  const matchId = generateClientId();
+  const playerStats = buildInitialPlayerStatsRows(matchId, allPlayers || [], captainId, selectedSquadIds);
+
+  syncOutbox.enqueue(
+    OUTBOX_OPERATIONS.CREATE_MATCH,
+    { matchRecord: { ...matchRecord, id: matchId }, playerStats },
+    { matchId, label: matchRecord.opponent }
+  );
+
+  return {
+    success: true,
+    matchId,
+    playerStatsInserted: 0,
+    queued: true
+  };
+}
+
+async function replayMatchCreation({ matchRecord, playerStats = [] }) {
+  const { error } = await supabase
+    .from('match')
+    .insert(matchRecord);
+
+  // A replay cut off after the insert already created the match
+  if (error && error.code !== '23505') {
+    return { success: false, error: error.message };
+  }
+
+  if (playerStats.length > 0) {
+    const { error: statsError } = await supabase
+      .from('player_match_stats')
+      .upsert(playerStats, { onConflict: 'match_id,player_id' });
+
+    if (statsError) {
+      if (isNetworkError(statsError)) {
+        return { success: false, error: statsError.message };
+      }
+      // Same as createMatch: the match itself is saved even if initial stats fail
+      console.warn('⚠️  Queued match created but failed to insert initial player stats:', statsError);
+    }
+  }
+
+  return { success: true };
+}
+
 /**
  * Log match_created event to database
  *
@@ -371,7 +428,7 @@ export async function createManualMatch(matchData, playerStats = []) {
 /**
  * Update match from pending to running state when user clicks Start Match
  * @param {string} matchId - Match ID
- * @returns {Promise<{success: boolean, error?: string}>}
+ * @returns {Promise<{success: boolean, queued?: boolean, error?: string}>}
  */
 export async function updateMatchToRunning(matchId) {
   try {
@@ -385,18 +442,16 @@ export async function updateMatchToRunning(matchId) {
 
     const nowIso = new Date().toISOString();
 
-    const { error } = await supabase
-      .from('match')
-      .update({
-        state: 'running',
-        started_at: nowIso,
-        updated_at: nowIso
-      })
-      .eq('id', matchId)
-      .is('deleted_at', null)
-      .eq('state', 'pending'); // Only update if currently pending
+    if (syncOutbox.shouldQueue()) {
+      return queueMatchStart(matchId, nowIso);
+    }
+
+    const { error } = await writeMatchStart(matchId, nowIso);
 
     if (error) {
+      if (isNetworkError(error)) {
+        return queueMatchStart(matchId, nowIso);
+      }
       console.error('❌ Failed to start match:', error);
       return {
         success: false,
@@ -415,6 +470,24 @@ export async function updateMatchToRunning(matchId) {
   }
 }
 
+function writeMatchStart(matchId, startedAt) {
+  return supabase
+    .from('match')
+    .update({
+      state: 'running',
+      started_at: startedAt,
+      updated_at: startedAt
+    })
+    .eq('id', matchId)
+    .is('deleted_at', null)
+    .eq('state', 'pending'); // Only update if currently pending
+}
+
+function queueMatchStart(matchId, startedAt) {
+  syncOutbox.enqueue(OUTBOX_OPERATIONS.START_MATCH, { matchId, startedAt }, { matchId });
+  return { success: true, queued: true };
+}
+
 /**
  * Update match to finished state when the last period ends
  * @param {string} matchId - Match ID
@@ -424,10 +497,14 @@ export async function updateMatchToRunning(matchId) {
  * @param {number} finalStats.goalsConceded - Goals conceded by team
  * @param {string} finalStats.outcome - Match outcome ('win', 'loss', 'draw')
  * @param {string} finalStats.fairPlayAwardId - Fair play award player ID (optional)
+ * @param {number} finalStats.shootoutGoalsScored - Penalty shootout goals scored (optional)
+ * @param {number} finalStats.shootoutGoalsConceded - Penalty shootout goals conceded (optional)
+ * @param {number} finalStats.extraTimePeriods - Extra-time periods played (optional)
+ * @param {number} finalStats.extraTimePeriodDurationMinutes - Extra-time period length (optional)
  * @param {Array} allPlayers - Array of all players from game state (optional)
  * @param {Object} goalScorers - Goal scorers data { eventId: playerId } (optional)
  * @param {Array} matchEvents - Array of match events for goal counting (optional)
- * @returns {Promise<{success: boolean, matchUpdated?: boolean, playerStatsUpdated?: number, playerStats?: {success: boolean, updated: number, total: number, failures: Array<{playerId: string, error: string}>}, error?: string}>}
+ * @returns {Promise<{success: boolean, matchUpdated?: boolean, playerStatsUpdated?: number, playerStats?: {success: boolean, updated: number, total: number, failures: Array<{playerId: string, error: string}>}, queued?: boolean, error?: string}>}
  */
 export async function updateMatchToFinished(matchId, finalStats, allPlayers = [], goalScorers = {}, matchEvents = []) {
   try {
@@ -447,71 +524,131 @@ export async function updateMatchToFinished(matchId, finalStats, allPlayers = []
       goals_scored: finalStats.goalsScored,
       goals_conceded: finalStats.goalsConceded,
       outcome: finalStats.outcome,
-      fair_play_award: finalStats.fairPlayAwardId || null
+      fair_play_award: finalStats.fairPlayAwardId || null,
+      // Shootout goals are kept apart so goal totals and the outcome only cover regular play
+      ...(typeof finalStats.shootoutGoalsScored === 'number' ? {
+        shootout_goals_scored: finalStats.shootoutGoalsScored,
+        shootout_goals_conceded: finalStats.shootoutGoalsConceded
+      } : {}),
+      // Extra time is stored next to the regular period count, which stays unchanged
+      ...(typeof finalStats.extraTimePeriods === 'number' ? {
+        extra_time_periods: finalStats.extraTimePeriods,
+        extra_time_period_duration_minutes: finalStats.extraTimePeriodDurationMinutes
+      } : {})
     };
 
-    let playerStatsResult = {
-      success: true,
-      updated: 0,
-      total: 0,
-      failures: []
-    };
+    const finishPayload = { matchId, updateData, allPlayers, goalScorers, matchEvents };
 
-    // Update player match statistics before finalizing match state
-    if (allPlayers && allPlayers.length > 0) {
-      playerStatsResult = await updatePlayerMatchStatsOnFinish(matchId, allPlayers, goalScorers, matchEvents);
-      if (!playerStatsResult.success) {
-        console.warn('⚠️  Failed to update player stats before finishing match:', playerStatsResult.error);
-        return {
-          success: false,
-          matchUpdated: false,
-          playerStats: playerStatsResult,
-          error: playerStatsResult.error || 'errors.playerStatsUpdateFailed'
-        };
-      }
+    if (syncOutbox.shouldQueue()) {
+      return queueMatchFinish(finishPayload);
     }
 
-    const { data: updatedMatches, error } = await supabase
-      .from('match')
-      .update(updateData)
-      .eq('id', matchId)
-      .is('deleted_at', null)
-      .eq('state', 'running') // Only update if currently running
-      .select('id');
-
-    if (error) {
-      console.error('❌ Failed to update match to finished:', error);
-      return {
-        success: false,
-        matchUpdated: false,
-        playerStats: playerStatsResult,
-        error: `Database error: ${error.message}`
-      };
+    const { networkError, ...result } = await writeMatchFinish(finishPayload);
+    if (networkError) {
+      return queueMatchFinish(finishPayload);
     }
 
-    if (!updatedMatches || updatedMatches.length === 0) {
+    return result;
+
+  } catch (error) {
+    console.error('❌ Exception while updating match to finished:', error);
+    return {
+      success: false,
+      error: `Unexpected error: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Write final player stats and then the finished match state
+ * @returns {Promise<Object>} updateMatchToFinished result, with networkError set when offline
+ */
+async function writeMatchFinish({ matchId, updateData, allPlayers, goalScorers, matchEvents }) {
+  let playerStatsResult = {
+    success: true,
+    updated: 0,
+    total: 0,
+    failures: []
+  };
+
+  // Update player match statistics before finalizing match state
+  if (allPlayers && allPlayers.length > 0) {
+    playerStatsResult = await updatePlayerMatchStatsOnFinish(matchId, allPlayers, goalScorers, matchEvents);
+    if (!playerStatsResult.success) {
+      console.warn('⚠️  Failed to update player stats before finishing match:', playerStatsResult.error);
       return {
         success: false,
         matchUpdated: false,
         playerStats: playerStatsResult,
-        error: 'errors.matchUpdateFailed'
+        error: playerStatsResult.error || 'errors.playerStatsUpdateFailed',
+        networkError: isNetworkError(playerStatsResult.error)
+          || (playerStatsResult.failures || []).some(failure => isNetworkError(failure.error))
       };
     }
+  }
+
+  const { data: updatedMatches, error } = await supabase
+    .from('match')
+    .update(updateData)
+    .eq('id', matchId)
+    .is('deleted_at', null)
+    .eq('state', 'running') // Only update if currently running
+    .select('id');
 
+  if (error) {
+    console.error('❌ Failed to update match to finished:', error);
     return {
-      success: true,
-      matchUpdated: true,
-      playerStatsUpdated: playerStatsResult.updated,
-      playerStats: playerStatsResult
+      success: false,
+      matchUpdated: false,
+      playerStats: playerStatsResult,
+      error: `Database error: ${error.message}`,
+      networkError: isNetworkError(error)
     };
+  }
 
-  } catch (error) {
-    console.error('❌ Exception while updating match to finished:', error);
+  if (!updatedMatches || updatedMatches.length === 0) {
     return {
       success: false,
-      error: `Unexpected error: ${error.message}`
+      matchUpdated: false,
+      playerStats: playerStatsResult,
+      error: 'errors.matchUpdateFailed'
     };
   }
+
+  return {
+    success: true,
+    matchUpdated: true,
+    playerStatsUpdated: playerStatsResult.updated,
+    playerStats: playerStatsResult
+  };
+}
+
+function queueMatchFinish(finishPayload) {
+  syncOutbox.enqueue(OUTBOX_OPERATIONS.FINISH_MATCH, finishPayload, { matchId: finishPayload.matchId });
+  return {
+    success: true,
+    matchUpdated: false,
+    queued: true,
+    playerStatsUpdated: 0
+  };
+}
+
+async function replayMatchFinish(finishPayload) {
+  const result = await writeMatchFinish(finishPayload);
+  if (result.success || result.error !== 'errors.matchUpdateFailed') {
+    return { success: result.success, error: result.error };
+  }
+
+  // A replay cut off after the update already finished the match
+  const { data: match } = await supabase
+    .from('match')
+    .select('state')
+    .eq('id', finishPayload.matchId)
+    .maybeSingle();
+
+  return match?.state === 'finished'
+    ? { success: true }
+    : { success: false, error: result.error };
 }
 
 /**
@@ -846,8 +983,11 @@ export async function getFinishedMatches(teamId, startDate = null, endDate = nul
         id,
         started_at,
         opponent,
+        opponent_id,
         goals_scored,
         goals_conceded,
+        shootout_goals_scored,
+        shootout_goals_conceded,
         venue_type,
         type,
         outcome,
@@ -857,6 +997,7 @@ export async function getFinishedMatches(teamId, startDate = null, endDate = nul
         period_duration_minutes,
         captain,
         player_match_stats (
+        goals_scored,
         player:player_id (
           id,
           display_name,
@@ -897,17 +1038,29 @@ export async function getFinishedMatches(teamId, startDate = null, endDate = nul
         .filter(stat => stat.player)
         .map(stat => stat.player.display_name || stat.player.first_name || 'Unknown Player');
 
+      const scorers = match.player_match_stats
+        .filter(stat => stat.player && stat.goals_scored > 0)
+        .map(stat => ({
+          playerId: stat.player.id,
+          name: stat.player.display_name || stat.player.first_name || 'Unknown Player',
+          goals: stat.goals_scored
+        }));
+
       return {
         id: match.id,
         date: match.started_at,
         opponent: match.opponent || 'Unknown',
+        opponentId: match.opponent_id || null,
         goalsScored: match.goals_scored,
         goalsConceded: match.goals_conceded,
+        shootoutGoalsScored: match.shootout_goals_scored ?? null,
+        shootoutGoalsConceded: match.shootout_goals_conceded ?? null,
         venueType: match.venue_type,
         type: match.type.charAt(0).toUpperCase() + match.type.slice(1),
         outcome: match.outcome === 'win' ? 'W' : match.outcome === 'draw' ? 'D' : 'L',
         format: match.format,
-        players: playerNames
+        players: playerNames,
+        scorers
       };
     });
 
@@ -947,6 +1100,8 @@ export async function getMatchDetails(matchId) {
         opponent,
         goals_scored,
         goals_conceded,
+        shootout_goals_scored,
+        shootout_goals_conceded,
         venue_type,
         type,
         outcome,
@@ -979,11 +1134,17 @@ export async function getMatchDetails(matchId) {
           first_name
         ),
         goals_scored,
+        assists,
         goalie_time_seconds,
         defender_time_seconds,
         midfielder_time_seconds,
         attacker_time_seconds,
         substitute_time_seconds,
+        injured_time_seconds,
+        yellow_cards,
+        red_cards,
+        sin_bins,
+        sin_bin_time_seconds,
         total_field_time_seconds,
         started_as,
         was_captain,
@@ -1014,6 +1175,8 @@ export async function getMatchDetails(matchId) {
       opponent: match.opponent || 'Unknown',
       goalsScored: match.goals_scored,
       goalsConceded: match.goals_conceded,
+      shootoutGoalsScored: match.shootout_goals_scored ?? null,
+      shootoutGoalsConceded: match.shootout_goals_conceded ?? null,
       venueType: match.venue_type,
       outcome: match.outcome === 'win' ? 'W' : match.outcome === 'draw' ? 'D' : 'L',
       format: match.format,
@@ -1033,11 +1196,17 @@ export async function getMatchDetails(matchId) {
           playerId: stat.player.id,
           displayName,
           goalsScored: stat.goals_scored || 0,
+          assists: stat.assists || 0,
           totalTimePlayed: (stat.total_field_time_seconds || 0) / 60,
           timeAsDefender: (stat.defender_time_seconds || 0) / 60,
           timeAsMidfielder: (stat.midfielder_time_seconds || 0) / 60,
           timeAsAttacker: (stat.attacker_time_seconds || 0) / 60,
           timeAsGoalkeeper: (stat.goalie_time_seconds || 0) / 60,
+          timeInjured: (stat.injured_time_seconds || 0) / 60,
+          timeSinBinned: (stat.sin_bin_time_seconds || 0) / 60,
+          yellowCards: stat.yellow_cards || 0,
+          redCards: stat.red_cards || 0,
+          sinBins: stat.sin_bins || 0,
           startingRole: formatDatabaseRoleForDisplay(stat.started_as),
           wasCaptain: stat.was_captain || false,
           receivedFairPlayAward: stat.got_fair_play_award || false
@@ -1119,6 +1288,10 @@ export async function getPlayerStats(teamId, startDate = null, endDate = null, f
       .select(`
         player_id,
         goals_scored,
+        assists,
+        yellow_cards,
+        red_cards,
+        sin_bins,
         goalie_time_seconds,
         defender_time_seconds,
         midfielder_time_seconds,
@@ -1243,6 +1416,10 @@ export async function getPlayerStats(teamId, startDate = null, endDate = null, f
           displayName,
           matchesPlayed: 0,
           goalsScored: 0,
+          assists: 0,
+          yellowCards: 0,
+          redCards: 0,
+          sinBins: 0,
           totalDefenderSeconds: 0,
           totalMidfielderSeconds: 0,
           totalAttackerSeconds: 0,
@@ -1250,6 +1427,7 @@ export async function getPlayerStats(teamId, startDate = null, endDate = null, f
           totalFieldTimeSeconds: 0,
           substituteStarts: 0,
           matchesAsCaptain: 0,
+          matchesAsGoalkeeper: 0,
           fairPlayAwards: 0
         });
       }
@@ -1257,6 +1435,10 @@ export async function getPlayerStats(teamId, startDate = null, endDate = null, f
       const playerData = playerStatsMap.get(playerId);
       playerData.matchesPlayed += 1;
       playerData.goalsScored += stat.goals_scored || 0;
+      playerData.assists += stat.assists || 0;
+      playerData.yellowCards += stat.yellow_cards || 0;
+      playerData.redCards += stat.red_cards || 0;
+      playerData.sinBins += stat.sin_bins || 0;
       playerData.totalDefenderSeconds += stat.defender_time_seconds || 0;
       playerData.totalMidfielderSeconds += stat.midfielder_time_seconds || 0;
       playerData.totalAttackerSeconds += stat.attacker_time_seconds || 0;
@@ -1264,6 +1446,7 @@ export async function getPlayerStats(teamId, startDate = null, endDate = null, f
       playerData.totalFieldTimeSeconds += stat.total_field_time_seconds || 0;
       if (stat.started_as === 'substitute') playerData.substituteStarts += 1;
       if (stat.was_captain) playerData.matchesAsCaptain += 1;
+      if ((stat.goalie_time_seconds || 0) > 0) playerData.matchesAsGoalkeeper += 1;
       if (stat.got_fair_play_award) playerData.fairPlayAwards += 1;
     });
 
@@ -1307,6 +1490,10 @@ export async function getPlayerStats(teamId, startDate = null, endDate = null, f
         displayName: player.displayName,
         matchesPlayed: player.matchesPlayed,
         goalsScored: player.goalsScored,
+        assists: player.assists,
+        yellowCards: player.yellowCards,
+        redCards: player.redCards,
+        sinBins: player.sinBins,
         totalFieldTimeSeconds: player.totalFieldTimeSeconds,
         averageTimePerMatch: averageTimePerMatch,
         percentStartedAsSubstitute: Math.round(percentStartedAsSubstitute * 10) / 10, // 1 decimal
@@ -1315,6 +1502,7 @@ export async function getPlayerStats(teamId, startDate = null, endDate = null, f
         percentTimeAsAttacker: Math.round(percentTimeAsAttacker * 10) / 10,
         percentTimeAsGoalkeeper: Math.round(percentTimeAsGoalkeeper * 10) / 10,
         matchesAsCaptain: player.matchesAsCaptain,
+        matchesAsGoalkeeper: player.matchesAsGoalkeeper,
         fairPlayAwards: player.fairPlayAwards
       };
     });
@@ -1521,7 +1709,7 @@ export function formatMatchDataFromGameState(gameState, teamId) {
  * @returns {Object} Formatted final stats
  */
 export function formatFinalStatsFromGameState(gameState, matchDurationSeconds) {
-  const { ownScore, opponentScore, allPlayers } = gameState;
+  const { ownScore, opponentScore, allPlayers, shootoutScore, extraTime } = gameState;
 
   // Find fair play award winner (could be determined by user selection)
   const fairPlayWinner = allPlayers.find(p => p.hasFairPlayAward);
@@ -1531,7 +1719,15 @@ export function formatFinalStatsFromGameState(gameState, matchDurationSeconds) {
     goalsScored: ownScore || 0,
     goalsConceded: opponentScore || 0,
     outcome: calculateMatchOutcome(ownScore || 0, opponentScore || 0),
-    fairPlayAwardId: fairPlayWinner?.id || null
+    fairPlayAwardId: fairPlayWinner?.id || null,
+    ...(shootoutScore ? {
+      shootoutGoalsScored: shootoutScore.own,
+      shootoutGoalsConceded: shootoutScore.opponent
+    } : {}),
+    ...(extraTime ? {
+      extraTimePeriods: extraTime.periods,
+      extraTimePeriodDurationMinutes: extraTime.periodDurationMinutes
+    } : {})
   };
 }
 
@@ -1556,6 +1752,9 @@ export function mapFormationPositionToRole(position, currentRole = null) {
     case 'leftDefender':
     case 'rightDefender':
     case 'defender':        // 1-2-1 center back
+    case 'centerDefender':  // 3-defender formations
+    case 'leftCenterDefender':
+    case 'rightCenterDefender':
       return roleToDatabase(PLAYER_ROLES.DEFENDER);
 
     // Midfielder positions (1-2-1 formation)
@@ -1564,12 +1763,15 @@ export function mapFormationPositionToRole(position, currentRole = null) {
     case 'leftMidfielder':
     case 'rightMidfielder':
     case 'centerMidfielder':
+    case 'leftCenterMidfielder':
+    case 'rightCenterMidfielder':
       return roleToDatabase(PLAYER_ROLES.MIDFIELDER);
 
     // Attacker positions (2-2 and 1-2-1 formations)
     case 'leftAttacker':
     case 'rightAttacker':
     case 'attacker':        // 1-2-1 center forward
+    case 'centerAttacker':  // 3-attacker formations
       return roleToDatabase(PLAYER_ROLES.ATTACKER);
 
     // Substitute positions
@@ -1579,6 +1781,12 @@ export function mapFormationPositionToRole(position, currentRole = null) {
     case 'substitute_3':
     case 'substitute_4':
     case 'substitute_5':
+    case 'substitute_6':
+    case 'substitute_7':
+    case 'substitute_8':
+    case 'substitute_9':
+    case 'substitute_10':
+    case 'substitute_11':
       return roleToDatabase(PLAYER_ROLES.SUBSTITUTE);
 
     default:
@@ -1645,6 +1853,22 @@ export function countPlayerGoals(goalScorers, matchEvents, playerId) {
   return goalCount;
 }
 
+/**
+ * Count assists credited to a specific player
+ * @param {Array} matchEvents - Array of match events
+ * @param {string} playerId - Player ID to count assists for
+ * @returns {number} Number of assists by the player
+ */
+export function countPlayerAssists(matchEvents, playerId) {
+  if (!Array.isArray(matchEvents)) {
+    return 0;
+  }
+
+  return matchEvents.filter(event =>
+    event.type === 'goal_scored' && !event.undone && event.data?.assistId === playerId
+  ).length;
+}
+
 /**
  * Format initial player stats for database insertion when match starts
  * @param {Object} player - Player object from game state
@@ -1675,11 +1899,17 @@ export function formatInitialPlayerStats(player, matchId, captainId) {
     was_captain: player.id === captainId || player.stats?.isCaptain || false,
     // Performance metrics default to 0/false - will be updated when match finishes
     goals_scored: 0,
+    assists: 0,
     goalie_time_seconds: 0,
     defender_time_seconds: 0,
     midfielder_time_seconds: 0,
     attacker_time_seconds: 0,
     substitute_time_seconds: 0,
+    injured_time_seconds: 0,
+    yellow_cards: 0,
+    red_cards: 0,
+    sin_bins: 0,
+    sin_bin_time_seconds: 0,
     total_field_time_seconds: 0,
     got_fair_play_award: false
   };
@@ -1704,7 +1934,8 @@ export function formatPlayerMatchStats(player, matchId, goalScorers = {}, matchE
 
   // Count goals scored by this player
   const goalsScored = countPlayerGoals(goalScorers, matchEvents, player.id);
-
+  const assists = countPlayerAssists(matchEvents, player.id);
+  const { yellowCards, redCards, sinBins } = getPlayerCardCounts(player);
 
   let startingRole;
   if (player.stats?.startedAtRole) {
@@ -1720,12 +1951,19 @@ export function formatPlayerMatchStats(player, matchId, goalScorers = {}, matchE
     match_id: matchId,
     // Performance metrics
     goals_scored: goalsScored,
+    assists,
     // Time tracking for all roles
     goalie_time_seconds: player.stats.timeAsGoalieSeconds || 0,
     defender_time_seconds: player.stats.timeAsDefenderSeconds || 0,
     midfielder_time_seconds: player.stats.timeAsMidfielderSeconds || 0,
     attacker_time_seconds: player.stats.timeAsAttackerSeconds || 0,
     substitute_time_seconds: player.stats.timeAsSubSeconds || 0,
+    injured_time_seconds: player.stats.timeInjuredSeconds || 0,
+    sin_bin_time_seconds: player.stats.timeSinBinnedSeconds || 0,
+    // Disciplinary record
+    yellow_cards: yellowCards,
+    red_cards: redCards,
+    sin_bins: sinBins,
     // Total outfield time (excluding goalie time)
     total_field_time_seconds: totalFieldTime,
     // Match participation details
@@ -1735,6 +1973,20 @@ export function formatPlayerMatchStats(player, matchId, goalScorers = {}, matchE
   };
 }
 
+/**
+ * Format initial player stats rows for the selected squad
+ * @returns {Array<Object>} Rows for players who are participating
+ */
+function buildInitialPlayerStatsRows(matchId, allPlayers, captainId, selectedSquadIds = []) {
+  const participatingPlayers = Array.isArray(selectedSquadIds) && selectedSquadIds.length > 0
+    ? allPlayers.filter(player => selectedSquadIds.includes(player.id))
+    : allPlayers;
+
+  return participatingPlayers
+    .map(player => formatInitialPlayerStats(player, matchId, captainId))
+    .filter(stats => stats !== null); // Remove players who aren't participating
+}
+
 /**
  * Insert initial player match statistics when match starts
  * @param {string} matchId - Match ID
@@ -1744,14 +1996,7 @@ export function formatPlayerMatchStats(player, matchId, goalScorers = {}, matchE
  */
 export async function insertInitialPlayerMatchStats(matchId, allPlayers, captainId, selectedSquadIds = []) {
   try {
-    const participatingPlayers = Array.isArray(selectedSquadIds) && selectedSquadIds.length > 0
-      ? allPlayers.filter(player => selectedSquadIds.includes(player.id))
-      : allPlayers;
-
-    // Filter and format initial player stats for players who are participating
-    const initialPlayerStatsData = participatingPlayers
-      .map(player => formatInitialPlayerStats(player, matchId, captainId))
-      .filter(stats => stats !== null); // Remove players who aren't participating
+    const initialPlayerStatsData = buildInitialPlayerStatsRows(matchId, allPlayers, captainId, selectedSquadIds);
 
     if (initialPlayerStatsData.length === 0) {
       console.warn('⚠️  No initial player stats to insert - no players participating?');
@@ -1944,12 +2189,19 @@ export async function upsertPlayerMatchStats(matchId, allPlayers, captainId, sel
       };
     }
 
+    if (syncOutbox.shouldQueue()) {
+      return queuePlayerStats(matchId, statsPayload);
+    }
+
     const { data, error } = await supabase
       .from('player_match_stats')
       .upsert(statsPayload, { onConflict: 'match_id,player_id' })
       .select('id');
 
     if (error) {
+      if (isNetworkError(error)) {
+        return queuePlayerStats(matchId, statsPayload);
+      }
       console.error('❌ Failed to upsert player match stats:', error);
       return {
         success: false,
@@ -1972,6 +2224,24 @@ export async function upsertPlayerMatchStats(matchId, allPlayers, captainId, sel
   }
 }
 
+function queuePlayerStats(matchId, statsPayload) {
+  syncOutbox.enqueue(OUTBOX_OPERATIONS.SAVE_PLAYER_STATS, { statsPayload }, { matchId });
+  return {
+    success: true,
+    inserted: 0,
+    updated: 0,
+    queued: true
+  };
+}
+
+async function replayPlayerStats({ statsPayload }) {
+  const { error } = await supabase
+    .from('player_match_stats')
+    .upsert(statsPayload, { onConflict: 'match_id,player_id' });
+
+  return error ? { success: false, error: error.message } : { success: true };
+}
+
 /**
  * Save initial match configuration when user clicks "Enter Game"
  * @param {string} matchId - Match ID
@@ -2499,11 +2769,17 @@ export async function updatePlayerMatchStatsOnFinish(matchId, allPlayers, goalSc
       // Extract only the fields that should be updated when match finishes
       const updateData = {
         goals_scored: playerStats.goals_scored,
+        assists: playerStats.assists,
         goalie_time_seconds: playerStats.goalie_time_seconds,
         defender_time_seconds: playerStats.defender_time_seconds,
         midfielder_time_seconds: playerStats.midfielder_time_seconds,
         attacker_time_seconds: playerStats.attacker_time_seconds,
         substitute_time_seconds: playerStats.substitute_time_seconds,
+        injured_time_seconds: playerStats.injured_time_seconds,
+        sin_bin_time_seconds: playerStats.sin_bin_time_seconds,
+        yellow_cards: playerStats.yellow_cards,
+        red_cards: playerStats.red_cards,
+        sin_bins: playerStats.sin_bins,
         total_field_time_seconds: playerStats.total_field_time_seconds,
         got_fair_play_award: playerStats.got_fair_play_award,
         updated_at: new Date().toISOString()
@@ -2544,3 +2820,11 @@ export async function updatePlayerMatchStatsOnFinish(matchId, allPlayers, goalSc
     };
   }
 }
+
+syncOutbox.registerHandler(OUTBOX_OPERATIONS.CREATE_MATCH, replayMatchCreation);
+syncOutbox.registerHandler(OUTBOX_OPERATIONS.SAVE_PLAYER_STATS, replayPlayerStats);
+syncOutbox.registerHandler(OUTBOX_OPERATIONS.START_MATCH, async ({ matchId, startedAt }) => {
+  const { error } = await writeMatchStart(matchId, startedAt);
+  return error ? { success: false, error: error.message } : { success: true };
+});
+syncOutbox.registerHandler(OUTBOX_OPERATIONS.FINISH_MATCH, replayMatchFinish);
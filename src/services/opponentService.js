@@ -0,0 +1,152 @@
+/**
+ * Opponent Service
+ *
+ * Handles the team opponent directory. Matches are linked to opponents by the
+ * database when they are saved (match.opponent_id), so this service only reads,
+ * edits and merges opponent records.
+ */
+
+import { supabase } from '../lib/supabase';
+
+const MAX_NAME_LENGTH = 200;
+
+const normalizeText = (value) => {
+  if (value === null || value === undefined) return '';
+  return String(value).trim();
+};
+
+const mapOpponent = (row) => ({
+  id: row.id,
+  name: row.name,
+  aliases: Array.isArray(row.aliases) ? row.aliases : [],
+  homeGround: row.home_ground || null,
+  notes: row.notes || null
+});
+
+/**
+ * Fetch the opponent directory for a team
+ * @param {string} teamId - Team identifier
+ * @returns {Promise<{success: boolean, opponents: Array, error?: string}>}
+ */
+export async function getTeamOpponents(teamId) {
+  if (!teamId) {
+    return { success: true, opponents: [] };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('opponent')
+      .select('id, name, aliases, home_ground, notes')
+      .eq('team_id', teamId)
+      .order('name', { ascending: true });
+
+    if (error) {
+      console.error('Failed to load opponents:', error);
+      return { success: false, opponents: [], error: 'Failed to load opponents.' };
+    }
+
+    return { success: true, opponents: (data || []).map(mapOpponent) };
+  } catch (error) {
+    console.error('Unexpected error loading opponents:', error);
+    return { success: false, opponents: [], error: 'Unexpected error loading opponents.' };
+  }
+}
+
+/**
+ * Update an opponent's details
+ * @param {string} opponentId - Opponent identifier
+ * @param {Object} updates
+ * @param {string} [updates.name] - Preferred name
+ * @param {string[]} [updates.aliases] - Alternative spellings
+ * @param {string} [updates.homeGround] - Home ground
+ * @param {string} [updates.notes] - Notes
+ * @returns {Promise<{success: boolean, opponent?: Object, error?: string}>}
+ */
+export async function updateOpponent(opponentId, updates = {}) {
+  if (!opponentId) {
+    return { success: false, error: 'Opponent ID is required' };
+  }
+
+  const payload = {};
+
+  if (updates.name !== undefined) {
+    const name = normalizeText(updates.name);
+    if (!name) {
+      return { success: false, error: 'errors.opponentNameRequired' };
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      return { success: false, error: 'errors.opponentNameTooLong' };
+    }
+    payload.name = name;
+  }
+
+  if (updates.aliases !== undefined) {
+    const seen = new Set();
+    payload.aliases = (Array.isArray(updates.aliases) ? updates.aliases : [])
+      .map(normalizeText)
+      .filter(alias => {
+        const key = alias.toLowerCase();
+        if (!alias || seen.has(key) || key === (payload.name || '').toLowerCase()) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  if (updates.homeGround !== undefined) {
+    payload.home_ground = normalizeText(updates.homeGround).slice(0, MAX_NAME_LENGTH) || null;
+  }
+
+  if (updates.notes !== undefined) {
+    payload.notes = normalizeText(updates.notes) || null;
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('opponent')
+      .update(payload)
+      .eq('id', opponentId)
+      .select('id, name, aliases, home_ground, notes')
+      .single();
+
+    if (error) {
+      console.error('Failed to update opponent:', error);
+      return { success: false, error: error.message || 'Failed to update opponent.' };
+    }
+
+    return { success: true, opponent: mapOpponent(data) };
+  } catch (error) {
+    console.error('Unexpected error updating opponent:', error);
+    return { success: false, error: error.message || 'Failed to update opponent.' };
+  }
+}
+
+/**
+ * Merge one opponent into another
+ * The source opponent's names become aliases of the target and its matches move over.
+ * @param {string} targetOpponentId - Opponent to keep
+ * @param {string} sourceOpponentId - Opponent to merge away
+ * @returns {Promise<{success: boolean, matchesMoved?: number, error?: string}>}
+ */
+export async function mergeOpponents(targetOpponentId, sourceOpponentId) {
+  if (!targetOpponentId || !sourceOpponentId || targetOpponentId === sourceOpponentId) {
+    return { success: false, error: 'Two different opponents are required' };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .rpc('merge_opponents', {
+        p_target_opponent_id: targetOpponentId,
+        p_source_opponent_id: sourceOpponentId
+      });
+
+    if (error || !data?.success) {
+      console.error('Failed to merge opponents:', error || data);
+      return { success: false, error: data?.message || error?.message || 'Failed to merge opponents.' };
+    }
+
+    return { success: true, matchesMoved: data.matches_moved || 0 };
+  } catch (error) {
+    console.error('Unexpected error merging opponents:', error);
+    return { success: false, error: error.message || 'Failed to merge opponents.' };
+  }
+}
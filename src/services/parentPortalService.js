@@ -0,0 +1,108 @@
+/**
+ * Parent Portal Service
+ *
+ * Loads the players linked to a parent through player.related_to, with their
+ * finished-match stats, their teams' running and upcoming matches and the
+ * availability requests they can answer. Row level security limits parents to
+ * their own children, so every query stays scoped to the linked players.
+ */
+
+import { supabase } from '../lib/supabase';
+import { getTeamCalendarEntries } from './calendarService';
+import { attachAvailabilityRequests, selectParentMatches, summarizeChildStats } from '../utils/parentPortal';
+import { formatPlayerDisplayName } from '../utils/playerUtils';
+import { formatDateKey } from '../utils/trainingUtils';
+
+const firstRelation = (relation) => (Array.isArray(relation) ? (relation[0] || null) : (relation || null));
+
+/**
+ * Load the parent home overview
+ * @param {string} userId - The parent's user_profile ID
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time for upcoming matches
+ * @returns {Promise<{success: boolean, children?: Array, error?: string}>}
+ *   Children { id, name, jerseyNumber, teamId, teamName, stats, liveMatches, upcomingMatches }.
+ *   Upcoming matches with an availability request carry availabilityRequest { deadline, availability, respondedAt }
+ */
+export async function getParentOverview(userId, { now = new Date() } = {}) {
+  try {
+    if (!userId) {
+      return { success: false, error: 'User ID is required' };
+    }
+
+    const { data: players, error: playerError } = await supabase
+      .from('player')
+      .select('id, first_name, last_name, display_name, jersey_number, team_id, team:team_id(id, name)')
+      .eq('related_to', userId)
+      .is('match_id', null)
+      .order('display_name', { ascending: true });
+
+    if (playerError) {
+      console.error('Error loading linked players:', playerError);
+      return { success: false, error: 'errors.parentPortalLoadFailed' };
+    }
+
+    if (!players || players.length === 0) {
+      return { success: true, children: [] };
+    }
+
+    const teamIds = [...new Set(players.map(player => player.team_id))];
+    const playerIds = players.map(player => player.id);
+
+    const [statsResult, availabilityResult, ...calendarResults] = await Promise.all([
+      supabase
+        .from('player_match_stats')
+        .select('player_id, goals_scored, goalie_time_seconds, defender_time_seconds, midfielder_time_seconds, attacker_time_seconds, total_field_time_seconds, started_as, match:match_id(id, opponent, state, started_at, finished_at, goals_scored, goals_conceded, deleted_at)')
+        .in('player_id', playerIds),
+      supabase
+        .from('upcoming_match_player')
+        .select('upcoming_match_id, player_id, availability, responded_at, upcoming_match:upcoming_match_id(availability_requested_at, availability_deadline)')
+        .in('player_id', playerIds)
+        .eq('source', 'app'),
+      ...teamIds.map(teamId => getTeamCalendarEntries(teamId, { includeTrainings: false }))
+    ]);
+
+    if (statsResult.error) {
+      console.error('Error loading linked player stats:', statsResult.error);
+      return { success: false, error: 'errors.parentPortalLoadFailed' };
+    }
+
+    if (availabilityResult.error) {
+      console.error('Error loading availability requests:', availabilityResult.error);
+      return { success: false, error: 'errors.parentPortalLoadFailed' };
+    }
+
+    const failedCalendar = calendarResults.find(result => !result.success);
+    if (failedCalendar) {
+      return { success: false, error: failedCalendar.error || 'errors.parentPortalLoadFailed' };
+    }
+
+    const todayKey = formatDateKey(now);
+    const matchesByTeam = new Map(
+      teamIds.map((teamId, index) => [teamId, selectParentMatches(calendarResults[index].entries, { todayKey })])
+    );
+
+    const children = players.map(player => {
+      const team = firstRelation(player.team);
+      const { liveMatches, upcomingMatches } = matchesByTeam.get(player.team_id);
+      return {
+        id: player.id,
+        name: formatPlayerDisplayName(player),
+        jerseyNumber: player.jersey_number ?? null,
+        teamId: player.team_id,
+        teamName: team?.name || null,
+        stats: summarizeChildStats((statsResult.data || []).filter(row => row.player_id === player.id)),
+        liveMatches,
+        upcomingMatches: attachAvailabilityRequests(
+          upcomingMatches,
+          (availabilityResult.data || []).filter(row => row.player_id === player.id)
+        )
+      };
+    });
+
+    return { success: true, children };
+  } catch (error) {
+    console.error('Exception loading parent overview:', error);
+    return { success: false, error: 'errors.parentPortalLoadFailed' };
+  }
+}
@@ -0,0 +1,298 @@
+/**
+ * Season Service
+ *
+ * Handles named team seasons and the season rollover. Rollover runs in the
+ * rollover_team_season database function so archiving the roster into
+ * season_stats, creating the next season and updating players either all
+ * happen or none do.
+ */
+
+import { supabase } from '../lib/supabase';
+import { findSeasonForDate, getSeasonRange, SEASON_STATUS } from '../utils/seasonUtils';
+
+const MAX_NAME_LENGTH = 100;
+const MAX_AGE_GROUP_LENGTH = 50;
+
+const SEASON_COLUMNS = 'id, team_id, name, start_date, end_date, age_group, format, status, archived_at, created_at';
+
+const normalizeDateValue = (value) => {
+  if (!value) return null;
+  if (value instanceof Date && !Number.isNaN(value.getTime())) {
+    return value.toISOString().slice(0, 10);
+  }
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    return value.slice(0, 10);
+  }
+  return null;
+};
+
+const normalizeOptionalText = (value) => {
+  if (value === undefined || value === null) return null;
+  const trimmed = value.toString().trim();
+  return trimmed || null;
+};
+
+// Shared validation for creating and editing seasons
+const buildSeasonDetails = ({ name, startDate, endDate, ageGroup, format }) => {
+  const normalizedName = normalizeOptionalText(name);
+  if (!normalizedName) {
+    return { error: 'errors.seasonNameRequired' };
+  }
+  if (normalizedName.length > MAX_NAME_LENGTH) {
+    return { error: 'errors.seasonNameTooLong' };
+  }
+
+  const start = normalizeDateValue(startDate);
+  const end = normalizeDateValue(endDate);
+  if (!start || !end || end < start) {
+    return { error: 'errors.seasonDatesInvalid' };
+  }
+
+  const normalizedAgeGroup = normalizeOptionalText(ageGroup);
+  if (normalizedAgeGroup && normalizedAgeGroup.length > MAX_AGE_GROUP_LENGTH) {
+    return { error: 'errors.seasonAgeGroupTooLong' };
+  }
+
+  return {
+    details: {
+      name: normalizedName,
+      start_date: start,
+      end_date: end,
+      age_group: normalizedAgeGroup,
+      format: normalizeOptionalText(format)
+    }
+  };
+};
+
+// A team can only have one active season
+const getSaveError = (error) => (
+  error?.code === '23505' ? 'errors.seasonActiveExists' : (error?.message || 'errors.seasonSaveFailed')
+);
+
+/**
+ * Load a team's seasons, newest first
+ * @param {string} teamId - Team UUID
+ * @returns {Promise<{success: boolean, seasons?: Array, error?: string}>}
+ */
+export async function getTeamSeasons(teamId) {
+  try {
+    if (!teamId) {
+      return { success: false, error: 'Team ID is required' };
+    }
+
+    const { data, error } = await supabase
+      .from('season')
+      .select(SEASON_COLUMNS)
+      .eq('team_id', teamId)
+      .order('start_date', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching seasons:', error);
+      return { success: false, error: error.message || 'errors.seasonLoadFailed' };
+    }
+
+    return { success: true, seasons: data || [] };
+  } catch (error) {
+    console.error('Exception fetching seasons:', error);
+    return { success: false, error: error.message || 'errors.seasonLoadFailed' };
+  }
+}
+
+export async function createSeason(teamId, season = {}) {
+  try {
+    if (!teamId) {
+      return { success: false, error: 'Team ID is required' };
+    }
+
+    const { details, error: validationError } = buildSeasonDetails(season);
+    if (validationError) {
+      return { success: false, error: validationError };
+    }
+
+    const { data, error } = await supabase
+      .from('season')
+      .insert({
+        team_id: teamId,
+        status: SEASON_STATUS.ACTIVE,
+        ...details
+      })
+      .select(SEASON_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Error creating season:', error);
+      return { success: false, error: getSaveError(error) };
+    }
+
+    return { success: true, season: data };
+  } catch (error) {
+    console.error('Exception creating season:', error);
+    return { success: false, error: error.message || 'errors.seasonSaveFailed' };
+  }
+}
+
+export async function updateSeason(seasonId, season = {}) {
+  try {
+    if (!seasonId) {
+      return { success: false, error: 'Season ID is required' };
+    }
+
+    const { details, error: validationError } = buildSeasonDetails(season);
+    if (validationError) {
+      return { success: false, error: validationError };
+    }
+
+    const { data, error } = await supabase
+      .from('season')
+      .update(details)
+      .eq('id', seasonId)
+      .select(SEASON_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Error updating season:', error);
+      return { success: false, error: getSaveError(error) };
+    }
+
+    return { success: true, season: data };
+  } catch (error) {
+    console.error('Exception updating season:', error);
+    return { success: false, error: error.message || 'errors.seasonSaveFailed' };
+  }
+}
+
+export async function deleteSeason(seasonId) {
+  try {
+    if (!seasonId) {
+      return { success: false, error: 'Season ID is required' };
+    }
+
+    const { error } = await supabase
+      .from('season')
+      .delete()
+      .eq('id', seasonId);
+
+    if (error) {
+      console.error('Error deleting season:', error);
+      return { success: false, error: error.message || 'errors.seasonDeleteFailed' };
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Exception deleting season:', error);
+    return { success: false, error: error.message || 'errors.seasonDeleteFailed' };
+  }
+}
+
+/**
+ * Archive a season and start the next one
+ * @param {string} seasonId - Season being archived
+ * @param {Object} options
+ * @param {Object} options.nextSeason - { name, startDate, endDate, ageGroup, format }
+ * @param {Array<string>} options.carryOverPlayerIds - Players who stay on the roster
+ * @param {number} options.jerseyOffset - Added to carried-over jersey numbers (0 keeps them)
+ * @returns {Promise<{success: boolean, seasonId?: string, archivedPlayers?: number, releasedPlayers?: number, error?: string}>}
+ */
+export async function rolloverSeason(seasonId, { nextSeason = {}, carryOverPlayerIds = [], jerseyOffset = 0 } = {}) {
+  try {
+    if (!seasonId) {
+      return { success: false, error: 'Season ID is required' };
+    }
+
+    const { details, error: validationError } = buildSeasonDetails(nextSeason);
+    if (validationError) {
+      return { success: false, error: validationError };
+    }
+
+    const offset = parseInt(jerseyOffset, 10);
+
+    const { data, error } = await supabase
+      .rpc('rollover_team_season', {
+        p_season_id: seasonId,
+        p_next_season: details,
+        p_carry_over_player_ids: carryOverPlayerIds,
+        p_jersey_offset: Number.isNaN(offset) ? 0 : offset
+      });
+
+    if (error || !data?.success) {
+      console.error('Failed to roll over season:', error || data);
+      return { success: false, error: data?.message || error?.message || 'errors.seasonRolloverFailed' };
+    }
+
+    return {
+      success: true,
+      seasonId: data.season_id,
+      archivedPlayers: data.archived_players || 0,
+      releasedPlayers: data.released_players || 0
+    };
+  } catch (error) {
+    console.error('Exception rolling over season:', error);
+    return { success: false, error: error.message || 'errors.seasonRolloverFailed' };
+  }
+}
+
+/**
+ * Load the archived aggregates of a season
+ * @param {string} seasonId - Season UUID
+ * @returns {Promise<{success: boolean, stats?: Array, error?: string}>}
+ */
+export async function getSeasonStats(seasonId) {
+  try {
+    if (!seasonId) {
+      return { success: false, error: 'Season ID is required' };
+    }
+
+    const { data, error } = await supabase
+      .from('season_stats')
+      .select(`
+        player_id,
+        jersey_number,
+        on_roster,
+        matches_played,
+        goals_scored,
+        captain_count,
+        fair_play_awards,
+        total_field_time_seconds,
+        total_goalie_time_seconds,
+        player (
+          id,
+          first_name,
+          last_name,
+          display_name
+        )
+      `)
+      .eq('season_id', seasonId)
+      .order('matches_played', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching season stats:', error);
+      return { success: false, error: error.message || 'errors.seasonStatsLoadFailed' };
+    }
+
+    return { success: true, stats: data || [] };
+  } catch (error) {
+    console.error('Exception fetching season stats:', error);
+    return { success: false, error: error.message || 'errors.seasonStatsLoadFailed' };
+  }
+}
+
+/**
+ * Date window of the team's current season
+ *
+ * Falls back to January 1st of the current year when the team has no season
+ * covering today, or when seasons cannot be loaded.
+ * @param {string} teamId - Team UUID
+ * @param {Date} now - Reference date (default: now)
+ * @returns {Promise<{startDate: Date, endDate: Date, season: Object|null}>}
+ */
+export async function getCurrentSeasonWindow(teamId, now = new Date()) {
+  const fallback = { startDate: new Date(now.getFullYear(), 0, 1), endDate: now, season: null };
+  if (!teamId) return fallback;
+
+  const result = await getTeamSeasons(teamId);
+  const season = result.success ? findSeasonForDate(result.seasons, now) : null;
+  if (!season) return fallback;
+
+  const { start } = getSeasonRange(season);
+  return { startDate: start, endDate: now, season };
+}
@@ -0,0 +1,106 @@
+/**
+ * Speech Announcement Service
+ *
+ * Speaks match announcements (substitutions, period warnings) with the Web
+ * Speech API. Browsers without speech synthesis are skipped silently, so the
+ * chime and vibration alerts keep working on their own.
+ */
+
+/**
+ * Speech synthesis language for each app language
+ */
+const SPEECH_LANGUAGES = {
+  en: 'en-GB',
+  sv: 'sv-SE'
+};
+
+/**
+ * Resolve the speech synthesis language for an i18n language code
+ * @param {string} language - i18n language, e.g. 'sv' or 'en-US'
+ * @returns {string} BCP 47 tag for the utterance, e.g. 'sv-SE'
+ */
+export function getSpeechLanguage(language) {
+  const baseLanguage = (language || '').split('-')[0].toLowerCase();
+  return SPEECH_LANGUAGES[baseLanguage] || SPEECH_LANGUAGES.en;
+}
+
+/**
+ * Service class for speaking announcements through speechSynthesis
+ */
+class SpeechAnnouncementService {
+  /**
+   * Check if the browser can speak announcements
+   * @returns {boolean} True if speechSynthesis and SpeechSynthesisUtterance exist
+   */
+  isSupported() {
+    return typeof window !== 'undefined'
+      && Boolean(window.speechSynthesis)
+      && typeof window.SpeechSynthesisUtterance === 'function';
+  }
+
+  /**
+   * Find an installed voice for a language, preferring an exact match
+   * @param {string} speechLanguage - BCP 47 tag, e.g. 'sv-SE'
+   * @returns {SpeechSynthesisVoice|null} Matching voice, or null to use the browser default
+   */
+  findVoice(speechLanguage) {
+    const voices = window.speechSynthesis.getVoices?.() || [];
+    const baseLanguage = speechLanguage.split('-')[0].toLowerCase();
+
+    return voices.find(voice => voice.lang === speechLanguage)
+      || voices.find(voice => voice.lang?.toLowerCase().startsWith(baseLanguage))
+      || null;
+  }
+
+  /**
+   * Speak an announcement, replacing any announcement still being spoken
+   * @param {string} text - Text to speak
+   * @param {Object} [options]
+   * @param {string} [options.language] - i18n language of the text, defaults to English
+   * @param {number} [options.volume] - Volume level (0.0 to 1.0), defaults to 1
+   * @returns {boolean} True if the announcement was queued
+   */
+  speak(text, { language = 'en', volume = 1 } = {}) {
+    if (!text || !this.isSupported()) {
+      return false;
+    }
+
+    try {
+      const speechLanguage = getSpeechLanguage(language);
+      const utterance = new window.SpeechSynthesisUtterance(text);
+      utterance.lang = speechLanguage;
+      utterance.volume = Math.max(0, Math.min(1, volume));
+
+      const voice = this.findVoice(speechLanguage);
+      if (voice) {
+        utterance.voice = voice;
+      }
+
+      utterance.onerror = (event) => {
+        console.warn('[SPEECH] Announcement failed:', event?.error);
+      };
+
+      // A stale announcement (e.g. a warning that was still queued) must not delay the new one
+      window.speechSynthesis.cancel();
+      window.speechSynthesis.speak(utterance);
+      return true;
+    } catch (error) {
+      console.warn('[SPEECH] Announcement failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Stop the announcement being spoken and clear the queue
+   */
+  cancel() {
+    if (this.isSupported()) {
+      window.speechSynthesis.cancel();
+    }
+  }
+}
+
+/**
+ * Singleton instance of the speech announcement service
+ */
+export const speechAnnouncementService = new SpeechAnnouncementService();
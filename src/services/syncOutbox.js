@@ -0,0 +1,375 @@
+/**
+ * Sync Outbox
+ * Queues match writes made without a connection and replays them in order
+ * once the device is back online.
+ *
+ * Writes are queued while offline, when a request fails on the network, and
+ * whenever older writes are still waiting, so a finished match can never be
+ * uploaded before the match it belongs to. Services register one handler per
+ * operation type; the outbox only stores, orders and replays.
+ *
+ * A write the server rejects is moved to a failed list. The queued writes for
+ * the same match are held back until it is retried and synced or discarded;
+ * writes for other matches go on. Failed writes stay on the device until the
+ * user retries or discards them, and a retried write goes back to its original
+ * place in the queue.
+ */
+
+import { STORAGE_KEYS } from '../constants/storageKeys';
+
+export const OUTBOX_OPERATIONS = {
+  CREATE_MATCH: 'create_match',
+  SAVE_PLAYER_STATS: 'save_player_stats',
+  START_MATCH: 'start_match',
+  FINISH_MATCH: 'finish_match',
+  MATCH_EVENT: 'match_event'
+};
+
+const NETWORK_ERROR_PATTERN = /failed to fetch|networkerror|network request failed|load failed|fetch failed/i;
+
+/**
+ * Whether an error means the request never reached the server
+ * @param {Error|Object|string} error - Error thrown or returned by Supabase
+ * @returns {boolean}
+ */
+export function isNetworkError(error) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return true;
+  }
+  const message = typeof error === 'string' ? error : error?.message;
+  return Boolean(message) && NETWORK_ERROR_PATTERN.test(message);
+}
+
+class SyncOutbox {
+  constructor() {
+    this.handlers = new Map();
+    this.listeners = new Set();
+    this.isSyncing = false;
+    this.retryDelay = 30000; // 30 seconds
+    this.retryTimer = null;
+    this.entries = this.loadEntries(STORAGE_KEYS.SYNC_OUTBOX);
+    this.failedEntries = this.loadEntries(STORAGE_KEYS.SYNC_OUTBOX_FAILED);
+  }
+
+  /**
+   * Register the function that replays one operation type
+   * @param {string} type - Operation from OUTBOX_OPERATIONS
+   * @param {Function} handler - async (payload) => ({ success, error })
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * @returns {boolean} True when the browser reports a connection
+   */
+  isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+  }
+
+  /**
+   * Writes go to the outbox while offline or while older writes are waiting
+   * @returns {boolean}
+   */
+  shouldQueue() {
+    return !this.isOnline() || this.entries.length > 0;
+  }
+
+  /**
+   * Add a write to the end of the outbox
+   * @param {string} type - Operation from OUTBOX_OPERATIONS
+   * @param {Object} payload - Data the handler needs to replay the write
+   * @param {Object} options
+   * @param {string} options.matchId - Match the write belongs to
+   * @param {string} options.label - Short description shown in the sync status
+   * @returns {Object} Queued entry
+   */
+  enqueue(type, payload, { matchId = null, label = null } = {}) {
+    const entry = {
+      id: this.generateEntryId(),
+      sequence: this.nextSequence(),
+      type,
+      matchId,
+      label,
+      payload,
+      createdAt: Date.now(),
+      attempts: 0,
+      lastError: null
+    };
+
+    this.entries = [...this.entries, entry];
+    this.saveEntries();
+    this.notify();
+    this.scheduleRetry();
+
+    return entry;
+  }
+
+  /**
+   * Replay queued writes in order. A network failure stops the replay until the
+   * connection is back; a write the server rejects is moved to the failed list
+   * and the replay goes on with the next one that is not held back.
+   * @returns {Promise<{synced: number, failed: number, remaining: number}>}
+   */
+  async flush() {
+    if (this.isSyncing || !this.isOnline() || this.entries.length === 0) {
+      return { synced: 0, failed: 0, remaining: this.entries.length };
+    }
+
+    this.isSyncing = true;
+    this.clearRetryTimer();
+    this.notify();
+
+    let synced = 0;
+    let failed = 0;
+    let index = 0;
+    try {
+      while (index < this.entries.length) {
+        const entry = this.entries[index];
+        if (this.isHeldBack(entry)) {
+          index++;
+          continue;
+        }
+
+        const handler = this.handlers.get(entry.type);
+        if (!handler) {
+          this.markFailed(entry, `No handler for ${entry.type}`);
+          break;
+        }
+
+        let result;
+        try {
+          result = await handler(entry.payload);
+        } catch (error) {
+          result = { success: false, error: error?.message || String(error) };
+        }
+
+        if (!result?.success) {
+          const errorMessage = result?.error || 'Sync failed';
+          if (isNetworkError(errorMessage)) {
+            this.markFailed(entry, errorMessage);
+            this.scheduleRetry();
+            break;
+          }
+          this.moveToFailed(entry, errorMessage);
+          failed++;
+          continue;
+        }
+
+        this.entries = this.entries.filter(item => item.id !== entry.id);
+        this.saveEntries();
+        synced++;
+        this.notify();
+      }
+    } finally {
+      this.isSyncing = false;
+      this.notify();
+    }
+
+    return { synced, failed, remaining: this.entries.length };
+  }
+
+  /**
+   * Put a failed write back at its original place in the queue and replay it
+   * @param {string} entryId - Failed entry ID
+   * @returns {Promise<{synced: number, failed: number, remaining: number}>}
+   */
+  retry(entryId) {
+    const entry = this.failedEntries.find(item => item.id === entryId);
+    if (entry) {
+      this.failedEntries = this.failedEntries.filter(item => item.id !== entryId);
+      const laterIndex = this.entries.findIndex(item => this.getSequence(item) > this.getSequence(entry));
+      this.entries = laterIndex === -1
+        ? [...this.entries, entry]
+        : [...this.entries.slice(0, laterIndex), entry, ...this.entries.slice(laterIndex)];
+      this.saveEntries();
+      this.notify();
+    }
+    return this.flush();
+  }
+
+  /**
+   * Drop a queued or failed write
+   * @param {string} entryId - Outbox entry ID
+   */
+  discard(entryId) {
+    this.entries = this.entries.filter(entry => entry.id !== entryId);
+    this.failedEntries = this.failedEntries.filter(entry => entry.id !== entryId);
+    this.saveEntries();
+    this.notify();
+  }
+
+  /**
+   * @returns {Array} Queued entries, oldest first
+   */
+  getEntries() {
+    return this.entries;
+  }
+
+  /**
+   * @returns {Array} Writes the server rejected, oldest first
+   */
+  getFailedEntries() {
+    return this.failedEntries;
+  }
+
+  /**
+   * @returns {{entries: Array, failedEntries: Array, isOnline: boolean, isSyncing: boolean}}
+   */
+  getStatus() {
+    return {
+      entries: this.entries,
+      failedEntries: this.failedEntries,
+      isOnline: this.isOnline(),
+      isSyncing: this.isSyncing
+    };
+  }
+
+  /**
+   * Listen for outbox changes
+   * @param {Function} listener - Called with getStatus()
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const status = this.getStatus();
+    this.listeners.forEach(listener => {
+      try {
+        listener(status);
+      } catch (error) {
+        console.warn('Sync outbox listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Whether an earlier write for the same match was rejected and is waiting
+   * in the failed list
+   * @param {Object} entry - Queued entry
+   * @returns {boolean}
+   */
+  isHeldBack(entry) {
+    return Boolean(entry.matchId) && this.failedEntries.some(item => item.matchId === entry.matchId);
+  }
+
+  /**
+   * Queue order of an entry; entries stored before sequences existed fall back to their creation time
+   * @param {Object} entry - Outbox entry
+   * @returns {number}
+   */
+  getSequence(entry) {
+    return entry.sequence ?? entry.createdAt;
+  }
+
+  nextSequence() {
+    const sequences = [...this.entries, ...this.failedEntries].map(entry => this.getSequence(entry) || 0);
+    return Math.max(Date.now(), ...sequences) + 1;
+  }
+
+  markFailed(entry, errorMessage) {
+    this.entries = this.entries.map(item => (
+      item.id === entry.id
+        ? { ...item, attempts: item.attempts + 1, lastError: errorMessage }
+        : item
+    ));
+    this.saveEntries();
+    this.notify();
+  }
+
+  moveToFailed(entry, errorMessage) {
+    this.entries = this.entries.filter(item => item.id !== entry.id);
+    this.failedEntries = [
+      ...this.failedEntries,
+      { ...entry, attempts: entry.attempts + 1, lastError: errorMessage }
+    ];
+    this.saveEntries();
+    this.notify();
+  }
+
+  /**
+   * Retry later in case the connection drops without an 'offline' event
+   */
+  scheduleRetry() {
+    if (this.retryTimer || typeof setTimeout === 'undefined') {
+      return;
+    }
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flush();
+    }, this.retryDelay);
+  }
+
+  clearRetryTimer() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+
+  loadEntries(storageKey) {
+    try {
+      const stored = localStorage.getItem(storageKey);
+      const parsed = stored ? JSON.parse(stored) : [];
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      console.error('Failed to load sync outbox:', error);
+      return [];
+    }
+  }
+
+  saveEntries() {
+    try {
+      [
+        [STORAGE_KEYS.SYNC_OUTBOX, this.entries],
+        [STORAGE_KEYS.SYNC_OUTBOX_FAILED, this.failedEntries]
+      ].forEach(([storageKey, entries]) => {
+        if (entries.length === 0) {
+          localStorage.removeItem(storageKey);
+        } else {
+          localStorage.setItem(storageKey, JSON.stringify(entries));
+        }
+      });
+    } catch (error) {
+      console.error('Failed to save sync outbox:', error);
+    }
+  }
+
+  /**
+   * Reload entries from storage and stop the retry timer
+   */
+  reset() {
+    this.clearRetryTimer();
+    this.isSyncing = false;
+    this.entries = this.loadEntries(STORAGE_KEYS.SYNC_OUTBOX);
+    this.failedEntries = this.loadEntries(STORAGE_KEYS.SYNC_OUTBOX_FAILED);
+    this.notify();
+  }
+
+  generateEntryId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+}
+
+// Singleton instance
+export const syncOutbox = new SyncOutbox();
+
+/**
+ * Generate a UUID on the device so queued writes can reference a match
+ * before the server has seen it
+ * @returns {string} UUID v4
+ */
+export function generateClientId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+    const random = Math.random() * 16 | 0;
+    const value = char === 'x' ? random : (random & 0x3) | 0x8;
+    return value.toString(16);
+  });
+}
@@ -0,0 +1,352 @@
+/**
+ * Training Service
+ *
+ * Handles practice sessions created in Sport Wizard: single sessions, weekly
+ * schedules that generate sessions, notes and per-player attendance check-in.
+ * Recorded attendance is merged into the connector attendance statistics by
+ * getAttendanceStats in connectorService.
+ */
+
+import { supabase } from '../lib/supabase';
+import { generateScheduleDates, TRAINING_SESSION_STATUS } from '../utils/trainingUtils';
+
+const MAX_LOCATION_LENGTH = 200;
+
+const SESSION_COLUMNS = `
+  id,
+  team_id,
+  schedule_id,
+  session_date,
+  start_time,
+  duration_minutes,
+  location,
+  notes,
+  status,
+  attendance_recorded_at,
+  training_attendance (
+    player_id,
+    attended
+  )
+`;
+
+const normalizeDateValue = (value) => {
+  if (!value) return null;
+  if (value instanceof Date && !Number.isNaN(value.getTime())) {
+    return value.toISOString().slice(0, 10);
+  }
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    return value.slice(0, 10);
+  }
+  return null;
+};
+
+const normalizeOptionalText = (value) => {
+  if (value === undefined || value === null) return null;
+  const trimmed = value.toString().trim();
+  return trimmed || null;
+};
+
+const normalizeDuration = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed <= 0 ? null : parsed;
+};
+
+// Shared validation for single sessions and schedules
+const buildSessionDetails = ({ startTime, durationMinutes, location }) => {
+  const normalizedLocation = normalizeOptionalText(location);
+  if (normalizedLocation && normalizedLocation.length > MAX_LOCATION_LENGTH) {
+    return { error: 'errors.trainingLocationTooLong' };
+  }
+
+  return {
+    details: {
+      start_time: normalizeOptionalText(startTime),
+      duration_minutes: normalizeDuration(durationMinutes),
+      location: normalizedLocation
+    }
+  };
+};
+
+export async function getTrainingSessions(teamId, options = {}) {
+  try {
+    if (!teamId) {
+      return { success: false, error: 'Team ID is required' };
+    }
+
+    let query = supabase
+      .from('training_session')
+      .select(SESSION_COLUMNS)
+      .eq('team_id', teamId)
+      .order('session_date', { ascending: false });
+
+    const startDate = normalizeDateValue(options.startDate);
+    const endDate = normalizeDateValue(options.endDate);
+
+    if (startDate) {
+      query = query.gte('session_date', startDate);
+    }
+    if (endDate) {
+      query = query.lte('session_date', endDate);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Error fetching training sessions:', error);
+      return { success: false, error: error.message || 'errors.trainingLoadFailed' };
+    }
+
+    return { success: true, sessions: data || [] };
+  } catch (error) {
+    console.error('Exception fetching training sessions:', error);
+    return { success: false, error: error.message || 'errors.trainingLoadFailed' };
+  }
+}
+
+export async function createTrainingSession(teamId, session = {}) {
+  try {
+    if (!teamId) {
+      return { success: false, error: 'Team ID is required' };
+    }
+
+    const sessionDate = normalizeDateValue(session.sessionDate);
+    if (!sessionDate) {
+      return { success: false, error: 'errors.trainingDateRequired' };
+    }
+
+    const { details, error: validationError } = buildSessionDetails(session);
+    if (validationError) {
+      return { success: false, error: validationError };
+    }
+
+    const { data, error } = await supabase
+      .from('training_session')
+      .insert({
+        team_id: teamId,
+        session_date: sessionDate,
+        notes: normalizeOptionalText(session.notes),
+        ...details
+      })
+      .select(SESSION_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Error creating training session:', error);
+      return { success: false, error: error.message || 'errors.trainingSaveFailed' };
+    }
+
+    return { success: true, session: data };
+  } catch (error) {
+    console.error('Exception creating training session:', error);
+    return { success: false, error: error.message || 'errors.trainingSaveFailed' };
+  }
+}
+
+/**
+ * Create a weekly schedule and one session per matching date
+ * @param {string} teamId - Team UUID
+ * @param {Object} schedule - { weekday, startsOn, endsOn, startTime, durationMinutes, location }
+ * @returns {Promise<{success: boolean, schedule?: Object, sessions?: Array, error?: string}>}
+ */
+export async function createTrainingSchedule(teamId, schedule = {}) {
+  try {
+    if (!teamId) {
+      return { success: false, error: 'Team ID is required' };
+    }
+
+    const startsOn = normalizeDateValue(schedule.startsOn);
+    const endsOn = normalizeDateValue(schedule.endsOn);
+    if (!startsOn || !endsOn) {
+      return { success: false, error: 'errors.trainingDateRequired' };
+    }
+
+    const weekday = Number(schedule.weekday);
+    const sessionDates = generateScheduleDates({ weekday, startsOn, endsOn });
+    if (sessionDates.length === 0) {
+      return { success: false, error: 'errors.trainingScheduleEmpty' };
+    }
+
+    const { details, error: validationError } = buildSessionDetails(schedule);
+    if (validationError) {
+      return { success: false, error: validationError };
+    }
+
+    const { data: createdSchedule, error: scheduleError } = await supabase
+      .from('training_schedule')
+      .insert({
+        team_id: teamId,
+        weekday,
+        starts_on: startsOn,
+        ends_on: endsOn,
+        ...details
+      })
+      .select('*')
+      .single();
+
+    if (scheduleError) {
+      console.error('Error creating training schedule:', scheduleError);
+      return { success: false, error: scheduleError.message || 'errors.trainingSaveFailed' };
+    }
+
+    const { data: sessions, error: sessionsError } = await supabase
+      .from('training_session')
+      .insert(sessionDates.map(sessionDate => ({
+        team_id: teamId,
+        schedule_id: createdSchedule.id,
+        session_date: sessionDate,
+        ...details
+      })))
+      .select(SESSION_COLUMNS);
+
+    if (sessionsError) {
+      console.error('Error creating scheduled training sessions:', sessionsError);
+      return { success: false, error: sessionsError.message || 'errors.trainingSaveFailed' };
+    }
+
+    return { success: true, schedule: createdSchedule, sessions: sessions || [] };
+  } catch (error) {
+    console.error('Exception creating training schedule:', error);
+    return { success: false, error: error.message || 'errors.trainingSaveFailed' };
+  }
+}
+
+export async function updateTrainingSession(sessionId, updates = {}) {
+  try {
+    if (!sessionId) {
+      return { success: false, error: 'Session ID is required' };
+    }
+
+    const payload = {};
+
+    if (updates.sessionDate !== undefined) {
+      const sessionDate = normalizeDateValue(updates.sessionDate);
+      if (!sessionDate) {
+        return { success: false, error: 'errors.trainingDateRequired' };
+      }
+      payload.session_date = sessionDate;
+    }
+
+    if (updates.startTime !== undefined) {
+      payload.start_time = normalizeOptionalText(updates.startTime);
+    }
+    if (updates.durationMinutes !== undefined) {
+      payload.duration_minutes = normalizeDuration(updates.durationMinutes);
+    }
+    if (updates.location !== undefined) {
+      const location = normalizeOptionalText(updates.location);
+      if (location && location.length > MAX_LOCATION_LENGTH) {
+        return { success: false, error: 'errors.trainingLocationTooLong' };
+      }
+      payload.location = location;
+    }
+    if (updates.notes !== undefined) {
+      payload.notes = normalizeOptionalText(updates.notes);
+    }
+    if (updates.status !== undefined) {
+      if (!Object.values(TRAINING_SESSION_STATUS).includes(updates.status)) {
+        return { success: false, error: 'Invalid session status' };
+      }
+      payload.status = updates.status;
+    }
+
+    if (Object.keys(payload).length === 0) {
+      return { success: false, error: 'No updates provided' };
+    }
+
+    const { data, error } = await supabase
+      .from('training_session')
+      .update(payload)
+      .eq('id', sessionId)
+      .select(SESSION_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Error updating training session:', error);
+      return { success: false, error: error.message || 'errors.trainingSaveFailed' };
+    }
+
+    return { success: true, session: data };
+  } catch (error) {
+    console.error('Exception updating training session:', error);
+    return { success: false, error: error.message || 'errors.trainingSaveFailed' };
+  }
+}
+
+export async function deleteTrainingSession(sessionId) {
+  try {
+    if (!sessionId) {
+      return { success: false, error: 'Session ID is required' };
+    }
+
+    const { error } = await supabase
+      .from('training_session')
+      .delete()
+      .eq('id', sessionId);
+
+    if (error) {
+      console.error('Error deleting training session:', error);
+      return { success: false, error: error.message || 'Failed to delete training session' };
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Exception deleting training session:', error);
+    return { success: false, error: error.message || 'Failed to delete training session' };
+  }
+}
+
+/**
+ * Save check-in for a session
+ *
+ * Every listed player gets a row (attended true or false) so players who missed
+ * the session still count it in their attendance rate.
+ * @param {string} sessionId - Training session UUID
+ * @param {Array<string>} playerIds - Players on the check-in list
+ * @param {Array<string>} attendedPlayerIds - Players who attended
+ * @returns {Promise<{success: boolean, session?: Object, error?: string}>}
+ */
+export async function saveSessionAttendance(sessionId, playerIds = [], attendedPlayerIds = []) {
+  try {
+    if (!sessionId) {
+      return { success: false, error: 'Session ID is required' };
+    }
+    if (!Array.isArray(playerIds) || playerIds.length === 0) {
+      return { success: false, error: 'errors.trainingPlayersRequired' };
+    }
+
+    const attended = new Set(attendedPlayerIds);
+    const { error: attendanceError } = await supabase
+      .from('training_attendance')
+      .upsert(
+        playerIds.map(playerId => ({
+          session_id: sessionId,
+          player_id: playerId,
+          attended: attended.has(playerId)
+        })),
+        { onConflict: 'session_id,player_id' }
+      );
+
+    if (attendanceError) {
+      console.error('Error saving training attendance:', attendanceError);
+      return { success: false, error: attendanceError.message || 'errors.trainingAttendanceFailed' };
+    }
+
+    const { data, error } = await supabase
+      .from('training_session')
+      .update({ attendance_recorded_at: new Date().toISOString() })
+      .eq('id', sessionId)
+      .select(SESSION_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Error marking training attendance as recorded:', error);
+      return { success: false, error: error.message || 'errors.trainingAttendanceFailed' };
+    }
+
+    return { success: true, session: data };
+  } catch (error) {
+    console.error('Exception saving training attendance:', error);
+    return { success: false, error: error.message || 'errors.trainingAttendanceFailed' };
+  }
+}
@@ -1,3 +1,5 @@
+import { DEFAULT_MATCH_ALERT_RULES, normalizeMatchAlertRules } from '../game/logic/matchAlerts';
+
 // Team preference keys
 export const PREFERENCE_KEYS = {
   MATCH_FORMAT: 'matchFormat',
@@ -7,9 +9,11 @@ export const PREFERENCE_KEYS = {
   SUBSTITUTION_LOGIC: 'substitutionLogic',
   ALTERNATE_ROLES: 'alternateRoles',
   TRACK_GOAL_SCORER: 'trackGoalScorer',
+  TRACK_ASSISTS: 'trackAssists',
   FAIR_PLAY_AWARD: 'fairPlayAward',
   TEAM_CAPTAIN: 'teamCaptain',
   LOAN_MATCH_WEIGHT: 'loanMatchWeight',
+  MATCH_ALERT_RULES: 'matchAlertRules',
 };
 
 // Categories for grouping
@@ -19,10 +23,17 @@ export const PREFERENCE_CATEGORIES = {
   SUBSTITUTION: 'substitution',
   FEATURES: 'features',
   STATISTICS: 'statistics',
+  ALERTS: 'alerts',
 };
 
 const DEFAULT_LOAN_MATCH_WEIGHT = 0.5;
 
+// Substitution logic options
+export const SUBSTITUTION_LOGIC_OPTIONS = {
+  EQUAL_TIME: 'equal_time',
+  SAME_ROLE: 'same_role'  // rotate within role groups (defenders with defenders, etc.)
+};
+
 // Fair Play Award options
 export const FAIR_PLAY_AWARD_OPTIONS = {
   NONE: 'none',
@@ -37,12 +48,14 @@ export const DEFAULT_PREFERENCES = {
   [PREFERENCE_KEYS.FORMATION]: '2-2',
   [PREFERENCE_KEYS.PERIOD_LENGTH]: 20,
   [PREFERENCE_KEYS.NUM_PERIODS]: 2,
-  [PREFERENCE_KEYS.SUBSTITUTION_LOGIC]: 'equal_time',
+  [PREFERENCE_KEYS.SUBSTITUTION_LOGIC]: SUBSTITUTION_LOGIC_OPTIONS.EQUAL_TIME,
   [PREFERENCE_KEYS.ALTERNATE_ROLES]: true,
   [PREFERENCE_KEYS.TRACK_GOAL_SCORER]: true,
+  [PREFERENCE_KEYS.TRACK_ASSISTS]: false,
   [PREFERENCE_KEYS.FAIR_PLAY_AWARD]: 'none',
   [PREFERENCE_KEYS.TEAM_CAPTAIN]: 'none',
   [PREFERENCE_KEYS.LOAN_MATCH_WEIGHT]: 0.5,
+  [PREFERENCE_KEYS.MATCH_ALERT_RULES]: DEFAULT_MATCH_ALERT_RULES,
 };
 
 // Value converters
@@ -52,10 +65,17 @@ export const parsePreferenceValue = (key, value) => {
     case PREFERENCE_KEYS.NUM_PERIODS:
       return parseInt(value, 10);
     case PREFERENCE_KEYS.TRACK_GOAL_SCORER:
+    case PREFERENCE_KEYS.TRACK_ASSISTS:
     case PREFERENCE_KEYS.ALTERNATE_ROLES:
       return value === 'true';
     case PREFERENCE_KEYS.LOAN_MATCH_WEIGHT:
       return Number.isNaN(parseFloat(value)) ? DEFAULT_LOAN_MATCH_WEIGHT : parseFloat(value);
+    case PREFERENCE_KEYS.MATCH_ALERT_RULES:
+      try {
+        return normalizeMatchAlertRules(JSON.parse(value));
+      } catch (error) {
+        return DEFAULT_MATCH_ALERT_RULES;
+      }
     default:
       return value;
   }
@@ -64,5 +84,6 @@ export const parsePreferenceValue = (key, value) => {
 export const serializePreferenceValue = (value) => {
   if (typeof value === 'boolean') return value ? 'true' : 'false';
   if (typeof value === 'number') return value.toString();
+  if (value !== null && typeof value === 'object') return JSON.stringify(value);
   return value;
 };
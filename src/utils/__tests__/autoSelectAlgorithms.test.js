@@ -1,9 +1,10 @@
 import {
+  autoSelectFairMatches,
   autoSelectMultipleMatches,
   autoSelectSingleMatch,
   buildSortedRoster
 } from '../autoSelectAlgorithms';
-import { AUTO_SELECT_STRATEGY } from '../../constants/planMatchesConstants';
+import { AUTO_SELECT_REASON, AUTO_SELECT_STRATEGY } from '../../constants/planMatchesConstants';
 
 const roster = [
   {
@@ -84,4 +85,142 @@ describe('autoSelectAlgorithms', () => {
       expect(selections.m2).toEqual(['p3']);
     });
   });
+
+  describe('autoSelectFairMatches', () => {
+    const seasonRoster = [
+      { id: 'p1', displayName: 'Anna', practicesPerMatch: 3, seasonMatches: 6 },
+      { id: 'p2', displayName: 'Bella', practicesPerMatch: 2, seasonMatches: 2 },
+      { id: 'p3', displayName: 'Cara', practicesPerMatch: 1, seasonMatches: 1 },
+      { id: 'p4', displayName: 'Dana', practicesPerMatch: 1, seasonMatches: 4.5 }
+    ];
+    const twoMatches = [{ id: 'm1' }, { id: 'm2' }];
+
+    const run = (overrides = {}) => autoSelectFairMatches({
+      rosterWithStats: seasonRoster,
+      metric: AUTO_SELECT_STRATEGY.PRACTICES,
+      matches: twoMatches,
+      targetCounts: { m1: 2, m2: 2 },
+      unavailableByMatch: {},
+      minimumByMatch: {},
+      ...overrides
+    });
+
+    it('should give matches to the players with the fewest season matches', () => {
+      const { selections, explanations } = run();
+
+      expect(selections.m1.sort()).toEqual(['p2', 'p3']);
+      expect(selections.m2.sort()).toEqual(['p2', 'p3']);
+      expect(explanations.p3).toEqual({
+        seasonMatches: 1,
+        plannedMatches: 2,
+        goalieMatches: 0,
+        matches: { m1: AUTO_SELECT_REASON.FEWEST_MATCHES, m2: AUTO_SELECT_REASON.FEWEST_MATCHES }
+      });
+      expect(explanations.p1.matches).toEqual({ m1: AUTO_SELECT_REASON.SQUAD_FULL, m2: AUTO_SELECT_REASON.SQUAD_FULL });
+    });
+
+    it('should even out counts once low players catch up', () => {
+      const { selections, explanations } = run({ targetCounts: { m1: 3, m2: 3 } });
+
+      expect(selections.m1).toHaveLength(3);
+      expect(selections.m2).toHaveLength(3);
+      expect(explanations.p3.plannedMatches).toBe(2);
+      expect(explanations.p2.plannedMatches).toBe(2);
+      expect(explanations.p4.plannedMatches).toBe(2);
+      expect(explanations.p1.plannedMatches).toBe(0);
+    });
+
+    it('should skip unavailable players and explain why', () => {
+      const { selections, explanations } = run({ unavailableByMatch: { m1: ['p3'] } });
+
+      expect(selections.m1).not.toContain('p3');
+      expect(explanations.p3.matches.m1).toBe(AUTO_SELECT_REASON.UNAVAILABLE);
+      expect(explanations.p3.matches.m2).toBe(AUTO_SELECT_REASON.FEWEST_MATCHES);
+    });
+
+    it('should raise squads to the format minimum and report shortfalls', () => {
+      const { selections, shortfalls } = run({
+        targetCounts: { m1: 1, m2: 1 },
+        unavailableByMatch: { m2: ['p1', 'p2'] },
+        minimumByMatch: { m1: 3, m2: 3 }
+      });
+
+      expect(selections.m1).toHaveLength(3);
+      expect(selections.m2.sort()).toEqual(['p3', 'p4']);
+      expect(shortfalls).toEqual({ m2: { minimum: 3, available: 2 } });
+    });
+
+    it('should keep siblings together', () => {
+      const siblings = seasonRoster.map(player => (
+        ['p2', 'p3'].includes(player.id) ? { ...player, relatedTo: 'parent-1' } : player
+      ));
+
+      const { selections, explanations } = run({
+        rosterWithStats: siblings,
+        matches: [{ id: 'm1' }],
+        targetCounts: { m1: 2 }
+      });
+
+      expect(selections.m1.sort()).toEqual(['p2', 'p3']);
+      expect(explanations.p3.matches.m1).toBe(AUTO_SELECT_REASON.FEWEST_MATCHES);
+      expect(explanations.p2.matches.m1).toBe(AUTO_SELECT_REASON.SIBLING);
+    });
+
+    it('should leave siblings out when only one slot is left', () => {
+      const siblings = seasonRoster.map(player => (
+        ['p2', 'p3'].includes(player.id) ? { ...player, relatedTo: 'parent-1' } : player
+      ));
+
+      const { selections, explanations } = run({
+        rosterWithStats: siblings,
+        matches: [{ id: 'm1' }],
+        targetCounts: { m1: 1 }
+      });
+
+      expect(selections.m1).toEqual(['p4']);
+      expect(explanations.p3.matches.m1).toBe(AUTO_SELECT_REASON.SIBLINGS_DID_NOT_FIT);
+    });
+
+    it('should split siblings when needed to reach the minimum squad', () => {
+      const siblings = seasonRoster.map(player => (
+        player.id === 'p4' ? player : { ...player, relatedTo: 'parent-1' }
+      ));
+
+      const { selections, explanations } = run({
+        rosterWithStats: siblings,
+        matches: [{ id: 'm1' }],
+        targetCounts: { m1: 2 },
+        minimumByMatch: { m1: 2 }
+      });
+
+      expect(selections.m1.sort()).toEqual(['p2', 'p3']);
+      expect(explanations.p3.matches.m1).toBe(AUTO_SELECT_REASON.MINIMUM_SQUAD);
+    });
+
+    it('should put a player with goalie experience in every squad', () => {
+      const withGoalies = seasonRoster.map(player => (
+        player.id === 'p1' ? { ...player, goalieMatches: 3 } : player
+      ));
+
+      const { selections, explanations } = run({ rosterWithStats: withGoalies });
+
+      expect(selections.m1).toContain('p1');
+      expect(selections.m2).toContain('p1');
+      expect(explanations.p1.matches.m1).toBe(AUTO_SELECT_REASON.GOALIE_COVER);
+      expect(explanations.p1.goalieMatches).toBe(3);
+    });
+
+    it('should rotate goalie cover between experienced players', () => {
+      const withGoalies = seasonRoster.map(player => {
+        if (player.id === 'p1') return { ...player, seasonMatches: 5, goalieMatches: 1 };
+        if (player.id === 'p4') return { ...player, goalieMatches: 1 };
+        return player;
+      });
+
+      const { selections } = run({ rosterWithStats: withGoalies });
+
+      expect(selections.m1).toContain('p4');
+      expect(selections.m2).toContain('p1');
+    });
+  });
 });
@@ -0,0 +1,83 @@
+import {
+  fromDateTimeInputValue,
+  isAvailabilityRequestOpen,
+  mergeAvailabilityResponses,
+  summarizeAvailabilityRequest,
+  toDateTimeInputValue
+} from '../availabilityRequests';
+
+describe('availabilityRequests', () => {
+  describe('mergeAvailabilityResponses', () => {
+    it('lets in-app answers replace connector statuses and keeps the invite status', () => {
+      const connector = {
+        'um-1': {
+          p1: { availability: 'available', response: 'accepted', inviteStatus: 'invited' },
+          p2: { availability: 'unknown', response: 'no_response', inviteStatus: 'not_invited' }
+        }
+      };
+      const requests = {
+        'um-1': { responses: { p1: { availability: 'unavailable', response: 'declined' } } },
+        'um-2': { responses: { p3: { availability: 'available', response: 'accepted' } } },
+        'um-3': { responses: {} }
+      };
+
+      expect(mergeAvailabilityResponses(connector, requests)).toEqual({
+        'um-1': {
+          p1: { availability: 'unavailable', response: 'declined', inviteStatus: 'invited' },
+          p2: { availability: 'unknown', response: 'no_response', inviteStatus: 'not_invited' }
+        },
+        'um-2': {
+          p3: { availability: 'available', response: 'accepted', inviteStatus: null }
+        }
+      });
+      expect(connector['um-1'].p1.availability).toBe('available');
+    });
+  });
+
+  describe('isAvailabilityRequestOpen', () => {
+    const now = new Date('2026-03-05T12:00:00Z');
+
+    it('is open until the deadline', () => {
+      expect(isAvailabilityRequestOpen({ requestedAt: '2026-03-01T10:00:00Z', deadline: null }, now)).toBe(true);
+      expect(isAvailabilityRequestOpen({ requestedAt: '2026-03-01T10:00:00Z', deadline: '2026-03-05T18:00:00Z' }, now)).toBe(true);
+      expect(isAvailabilityRequestOpen({ requestedAt: '2026-03-01T10:00:00Z', deadline: '2026-03-05T08:00:00Z' }, now)).toBe(false);
+    });
+
+    it('is closed without a request', () => {
+      expect(isAvailabilityRequestOpen(null, now)).toBe(false);
+    });
+  });
+
+  describe('summarizeAvailabilityRequest', () => {
+    it('groups the roster by answer', () => {
+      const roster = [{ id: 'p1' }, { id: 'p2' }, { id: 'p3' }];
+      const request = {
+        responses: {
+          p1: { availability: 'available' },
+          p2: { availability: 'unavailable' },
+          gone: { availability: 'available' }
+        }
+      };
+
+      expect(summarizeAvailabilityRequest(request, roster)).toEqual({
+        available: [{ id: 'p1' }],
+        unavailable: [{ id: 'p2' }],
+        unanswered: [{ id: 'p3' }]
+      });
+    });
+  });
+
+  describe('datetime input values', () => {
+    it('round-trips local time', () => {
+      const value = toDateTimeInputValue(new Date(2026, 2, 5, 18, 30));
+
+      expect(value).toBe('2026-03-05T18:30');
+      expect(new Date(fromDateTimeInputValue(value)).getTime()).toBe(new Date(2026, 2, 5, 18, 30).getTime());
+    });
+
+    it('handles empty values', () => {
+      expect(toDateTimeInputValue(null)).toBe('');
+      expect(fromDateTimeInputValue('')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,143 @@
+import {
+  parseAttendanceMark,
+  parseConnectorExport,
+  parseDelimitedText,
+  parseImportDate,
+  readExportRows
+} from '../connectorFileImport';
+
+describe('connectorFileImport', () => {
+  describe('parseDelimitedText', () => {
+    it('detects the delimiter and keeps quoted delimiters, quotes and line breaks', () => {
+      const text = 'Namn;Kommentar\r\n"Berg, Alva";"Sa ""hej""\nigen"\r\nEbbe Lind;\r\n';
+
+      expect(parseDelimitedText(text)).toEqual([
+        ['Namn', 'Kommentar'],
+        ['Berg, Alva', 'Sa "hej"\nigen'],
+        ['Ebbe Lind', '']
+      ]);
+    });
+
+    it('reads tab separated text', () => {
+      expect(parseDelimitedText('Name\tDate\nAlva\t2026-03-02')).toEqual([
+        ['Name', 'Date'],
+        ['Alva', '2026-03-02']
+      ]);
+    });
+  });
+
+  describe('readExportRows', () => {
+    it('reads the HTML table that providers save as .xls', () => {
+      const html = `
+        <html><body>
+          <table><tr><td>Närvarorapport</td></tr></table>
+          <table>
+            <tr><th>Namn</th><th>Datum</th></tr>
+            <tr><td> Alva  Berg </td><td>2026-03-02</td></tr>
+            <tr><td></td><td></td></tr>
+          </table>
+        </body></html>`;
+
+      expect(readExportRows(html)).toEqual([
+        ['Namn', 'Datum'],
+        ['Alva Berg', '2026-03-02']
+      ]);
+    });
+
+    it('rejects .xlsx workbooks', () => {
+      expect(() => readExportRows('PK\u0003\u0004[Content_Types].xml')).toThrow('Save the export as CSV');
+    });
+  });
+
+  describe('parseImportDate', () => {
+    it.each([
+      ['2026-03-02', '2026-03-02'],
+      ['2026-3-2 18:00', '2026-03-02'],
+      ['2.3.2026', '2026-03-02'],
+      ['02/03/2026', '2026-03-02'],
+      ['31.02.2026', null],
+      ['Totalt', null]
+    ])('parses %p', (value, expected) => {
+      expect(parseImportDate(value)).toBe(expected);
+    });
+  });
+
+  describe('parseAttendanceMark', () => {
+    it('recognises attended, absent and unknown marks', () => {
+      expect(['X', '✓', 'Ja', 'Närvarande', 'kyllä'].map(parseAttendanceMark)).toEqual([true, true, true, true, true]);
+      expect(['', '-', 'Nej', 'Frånvarande', 'poissa'].map(parseAttendanceMark)).toEqual([false, false, false, false, false]);
+      expect(parseAttendanceMark('Sjuk')).toBeNull();
+    });
+  });
+
+  describe('parseConnectorExport', () => {
+    it('reads a roster with first and last name columns', () => {
+      const text = 'Förnamn;Efternamn;Födelsedatum\nAlva;Berg;2015-04-01\nEbbe;Lind;2015-09-12\nalva;berg;\n';
+
+      expect(parseConnectorExport(text)).toEqual({
+        roster: [{ name: 'Alva Berg' }, { name: 'Ebbe Lind' }],
+        attendance: [],
+        upcomingMatches: []
+      });
+    });
+
+    it('reads attendance with one row per player and date', () => {
+      const text = [
+        'Aktivitet,Datum,Namn,Närvaro',
+        'Träning,2026-03-02,Alva Berg,Deltog',
+        'Träning,2026-03-02,Ebbe Lind,Deltog ej',
+        'Träning,2026-03-02,Ebbe Lind,Deltog',
+        'Träning,2026-03-04,Alva Berg,Sjuk'
+      ].join('\n');
+
+      expect(parseConnectorExport(text).attendance).toEqual([
+        { name: 'Alva Berg', date: '2026-03-02', attended: true },
+        { name: 'Ebbe Lind', date: '2026-03-02', attended: true }
+      ]);
+    });
+
+    it('reads an attendance matrix with a column per practice date after a title row', () => {
+      const text = [
+        'Närvaro vår 2026',
+        'Nimi;2.3.2026;4.3.2026;Yhteensä',
+        'Alva Berg;x;;1',
+        'Ebbe Lind;;x;1'
+      ].join('\n');
+
+      const { roster, attendance } = parseConnectorExport(text);
+
+      expect(roster).toEqual([{ name: 'Alva Berg' }, { name: 'Ebbe Lind' }]);
+      expect(attendance).toEqual([
+        { name: 'Alva Berg', date: '2026-03-02', attended: true },
+        { name: 'Alva Berg', date: '2026-03-04', attended: false },
+        { name: 'Ebbe Lind', date: '2026-03-02', attended: false },
+        { name: 'Ebbe Lind', date: '2026-03-04', attended: true }
+      ]);
+    });
+
+    it('reads fixtures and picks the opponent from home and away columns', () => {
+      const text = [
+        'Datum;Hemmalag;Bortalag;Plats',
+        '2026-04-11 10:00;Djurgården P15;IFK Lund;Kämpevallen',
+        '2026-04-18;Malmö FF;Djurgården P15;'
+      ].join('\n');
+
+      expect(parseConnectorExport(text, { teamName: 'Djurgården P15' }).upcomingMatches).toEqual([
+        { date: '2026-04-11', time: '10:00', opponent: 'IFK Lund', venue: 'Kämpevallen' },
+        { date: '2026-04-18', time: null, opponent: 'Malmö FF', venue: null }
+      ]);
+    });
+
+    it('reads fixtures with an opponent column', () => {
+      const text = 'Date,Time,Opponent,Location\n2026-04-11,10:00 - 11:30,IFK Lund,Kämpevallen\n';
+
+      expect(parseConnectorExport(text).upcomingMatches).toEqual([
+        { date: '2026-04-11', time: '10:00 - 11:30', opponent: 'IFK Lund', venue: 'Kämpevallen' }
+      ]);
+    });
+
+    it('returns nothing for files without recognisable columns', () => {
+      expect(parseConnectorExport('a,b,c\n1,2,3')).toEqual({ roster: [], attendance: [], upcomingMatches: [] });
+    });
+  });
+});
@@ -16,7 +16,10 @@ import {
   clearAllEvents,
   validateEventSequence,
   addEventListener,
-  initializeEventLogger
+  initializeEventLogger,
+  replaceEvents,
+  getAllEvents,
+  getMatchStartTime
 } from '../gameEventLogger';
 
 // Mock localStorage
@@ -110,6 +113,16 @@ describe('gameEventLogger', () => {
 
       expect(event.id).toBe(customId);
     });
+
+    test('should flag events after the regular periods as extra time', () => {
+      logEvent(EVENT_TYPES.MATCH_START, { numPeriods: 2 });
+
+      const regularGoal = logEvent(EVENT_TYPES.GOAL_SCORED, { periodNumber: 2 });
+      const extraTimeStart = logEvent(EVENT_TYPES.PERIOD_START, { periodNumber: 3 });
+
+      expect(regularGoal).not.toHaveProperty('isExtraTime');
+      expect(extraTimeStart.isExtraTime).toBe(true);
+    });
   });
 
   describe('Event Retrieval', () => {
@@ -583,6 +596,51 @@ describe('gameEventLogger', () => {
     });
   });
 
+  describe('Replacing Events', () => {
+    const remoteEvent = (id, type, timestamp, sequence) => ({
+      id,
+      type,
+      timestamp,
+      matchTime: '00:00',
+      periodNumber: 1,
+      sequence,
+      data: {},
+      undone: false,
+      relatedEventId: null
+    });
+
+    test('should renumber events from another device in timestamp order', () => {
+      const replaced = replaceEvents([
+        remoteEvent('goal', EVENT_TYPES.GOAL_SCORED, 1640995260000, 2),
+        remoteEvent('start', EVENT_TYPES.MATCH_START, 1640995200000, 1),
+        remoteEvent('sub', EVENT_TYPES.SUBSTITUTION, 1640995230000, 1)
+      ]);
+
+      expect(replaced).toBe(true);
+      expect(getAllEvents().map(event => [event.id, event.sequence])).toEqual([
+        ['start', 1],
+        ['sub', 2],
+        ['goal', 3]
+      ]);
+      expect(validateEventSequence(getAllEvents())).toBe(true);
+      expect(getMatchStartTime()).toBe(1640995200000);
+
+      const next = logEvent(EVENT_TYPES.GOAL_CONCEDED, {});
+      expect(next.sequence).toBe(4);
+    });
+
+    test('should notify listeners without an events_saved notification', () => {
+      const listener = jest.fn();
+      const removeListener = addEventListener(listener);
+
+      replaceEvents([remoteEvent('start', EVENT_TYPES.MATCH_START, 1640995200000, 1)]);
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith('events_replaced', expect.objectContaining({ events: expect.any(Array) }));
+      removeListener();
+    });
+  });
+
   describe('State Clearing', () => {
     test('should clear all events and reset state', () => {
       logEvent(EVENT_TYPES.MATCH_START, {});
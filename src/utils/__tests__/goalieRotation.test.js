@@ -0,0 +1,108 @@
+import {
+  buildGoalieHistory,
+  calculateGoaliePeriods,
+  proposeGoalieAssignments
+} from '../goalieRotation';
+
+describe('goalieRotation', () => {
+  describe('calculateGoaliePeriods', () => {
+    it('converts goalie time to periods rounded to the nearest half', () => {
+      expect(calculateGoaliePeriods(900, 15)).toBe(1);
+      expect(calculateGoaliePeriods(1800, 15)).toBe(2);
+      expect(calculateGoaliePeriods(500, 15)).toBe(0.5);
+      expect(calculateGoaliePeriods(1250, 20)).toBe(1);
+    });
+
+    it('returns zero for missing time or period length', () => {
+      expect(calculateGoaliePeriods(0, 15)).toBe(0);
+      expect(calculateGoaliePeriods(null, 15)).toBe(0);
+      expect(calculateGoaliePeriods(900, 0)).toBe(0);
+      expect(calculateGoaliePeriods(900, undefined)).toBe(0);
+    });
+  });
+
+  describe('buildGoalieHistory', () => {
+    const matches = [
+      { id: 'm1', period_duration_minutes: 15 },
+      { id: 'm2', period_duration_minutes: 20 }
+    ];
+
+    it('sums goalie periods and matches per player', () => {
+      const history = buildGoalieHistory(matches, [
+        { player_id: 'p1', match_id: 'm1', goalie_time_seconds: 900 },
+        { player_id: 'p1', match_id: 'm2', goalie_time_seconds: 2400 },
+        { player_id: 'p2', match_id: 'm2', goalie_time_seconds: 1200 }
+      ]);
+
+      expect(history.get('p1')).toEqual({ goaliePeriods: 3, goalieMatches: 2, goalieSeconds: 3300 });
+      expect(history.get('p2')).toEqual({ goaliePeriods: 1, goalieMatches: 1, goalieSeconds: 1200 });
+    });
+
+    it('ignores rows without goalie time or for unknown matches', () => {
+      const history = buildGoalieHistory(matches, [
+        { player_id: 'p1', match_id: 'm1', goalie_time_seconds: 0 },
+        { player_id: 'p2', match_id: 'm9', goalie_time_seconds: 900 },
+        { player_id: null, match_id: 'm1', goalie_time_seconds: 900 }
+      ]);
+
+      expect(history.size).toBe(0);
+    });
+  });
+
+  describe('proposeGoalieAssignments', () => {
+    const squadPlayers = [{ id: 'p1' }, { id: 'p2' }, { id: 'p3' }, { id: 'p4' }];
+
+    it('gives periods to willing players with the fewest goalie periods', () => {
+      const history = new Map([
+        ['p1', { goaliePeriods: 4, goalieMatches: 3 }],
+        ['p2', { goaliePeriods: 1, goalieMatches: 1 }]
+      ]);
+
+      expect(proposeGoalieAssignments({
+        squadPlayers,
+        numPeriods: 3,
+        history,
+        willingIds: ['p1', 'p2', 'p3']
+      })).toEqual({ 1: 'p3', 2: 'p2', 3: 'p3' });
+    });
+
+    it('breaks ties on goalie matches and then squad order', () => {
+      const history = new Map([
+        ['p1', { goaliePeriods: 2, goalieMatches: 2 }],
+        ['p2', { goaliePeriods: 2, goalieMatches: 1 }],
+        ['p3', { goaliePeriods: 2, goalieMatches: 1 }]
+      ]);
+
+      expect(proposeGoalieAssignments({
+        squadPlayers: squadPlayers.slice(0, 3),
+        numPeriods: 1,
+        history,
+        willingIds: ['p1', 'p2', 'p3']
+      })).toEqual({ 1: 'p2' });
+    });
+
+    it('falls back to the whole squad when nobody in it is willing', () => {
+      const history = new Map([
+        ['p1', { goaliePeriods: 1, goalieMatches: 1 }],
+        ['p2', { goaliePeriods: 1, goalieMatches: 1 }],
+        ['p3', { goaliePeriods: 1, goalieMatches: 1 }]
+      ]);
+
+      expect(proposeGoalieAssignments({
+        squadPlayers,
+        numPeriods: 2,
+        history,
+        willingIds: ['p9']
+      })).toEqual({ 1: 'p4', 2: 'p1' });
+    });
+
+    it('returns no assignments for an empty squad', () => {
+      expect(proposeGoalieAssignments({
+        squadPlayers: [],
+        numPeriods: 3,
+        history: new Map(),
+        willingIds: ['p1']
+      })).toEqual({});
+    });
+  });
+});
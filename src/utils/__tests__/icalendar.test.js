@@ -0,0 +1,152 @@
+import {
+  buildICalendar,
+  escapeText,
+  foldLine,
+  parseDateTimeValue,
+  parseICalendar,
+  unescapeText
+} from '../icalendar';
+
+describe('icalendar', () => {
+  describe('escapeText / unescapeText', () => {
+    it('escapes special characters and round-trips them', () => {
+      const value = 'Hammarby, Plan 2; "A"\nBring water\\bibs';
+      const escaped = escapeText(value);
+
+      expect(escaped).toBe('Hammarby\\, Plan 2\\; "A"\\nBring water\\\\bibs');
+      expect(unescapeText(escaped)).toBe(value);
+    });
+  });
+
+  describe('foldLine', () => {
+    it('keeps short lines intact', () => {
+      expect(foldLine('SUMMARY:Short')).toBe('SUMMARY:Short');
+    });
+
+    it('folds at 75 octets counting multi-byte characters', () => {
+      const line = `SUMMARY:${'å'.repeat(60)}`;
+      const parts = foldLine(line).split('\r\n');
+
+      expect(parts.length).toBeGreaterThan(1);
+      parts.forEach(part => {
+        expect(Buffer.byteLength(part, 'utf8')).toBeLessThanOrEqual(75);
+      });
+      expect(parts.slice(1).every(part => part.startsWith(' '))).toBe(true);
+      expect(parts.map((part, index) => (index === 0 ? part : part.slice(1))).join('')).toBe(line);
+    });
+  });
+
+  describe('buildICalendar', () => {
+    const now = new Date(Date.UTC(2026, 2, 1, 12, 0, 0));
+
+    it('writes timed, all-day and exact-instant events', () => {
+      const ics = buildICalendar([
+        { uid: 'a@test', summary: 'Team - Rivals', startDate: '2026-04-12', startTime: '14:30', durationMinutes: 90, location: 'Arena, Stockholm' },
+        { uid: 'b@test', summary: 'Cup day', startDate: '2026-04-30', startTime: null },
+        { uid: 'c@test', summary: 'Played', startsAt: '2026-03-01T09:15:00Z', durationMinutes: 60, cancelled: true }
+      ], { calendarName: 'Team', now });
+
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(ics).toContain('X-WR-CALNAME:Team');
+      expect(ics).toContain('DTSTAMP:20260301T120000Z');
+      expect(ics).toContain('DTSTART:20260412T143000\r\nDURATION:PT90M');
+      expect(ics).toContain('LOCATION:Arena\\, Stockholm');
+      expect(ics).toContain('DTSTART;VALUE=DATE:20260430\r\nDTEND;VALUE=DATE:20260501');
+      expect(ics).toContain('DTSTART:20260301T091500Z');
+      expect(ics).toContain('STATUS:CANCELLED');
+      expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(3);
+    });
+
+    it('skips events without a uid or date', () => {
+      const ics = buildICalendar([
+        { summary: 'No uid', startDate: '2026-04-12' },
+        { uid: 'x@test', summary: 'No date' }
+      ], { now });
+
+      expect(ics).not.toContain('BEGIN:VEVENT');
+    });
+  });
+
+  describe('parseDateTimeValue', () => {
+    it('reads all-day values', () => {
+      expect(parseDateTimeValue('20260412', ['VALUE=DATE'])).toEqual({ startDate: '2026-04-12', startTime: null });
+    });
+
+    it('reads floating and TZID values as wall-clock time', () => {
+      expect(parseDateTimeValue('20260412T140000', ['TZID=EUROPE/STOCKHOLM'])).toEqual({
+        startDate: '2026-04-12',
+        startTime: '14:00'
+      });
+    });
+
+    it('converts UTC values to local time', () => {
+      const local = new Date(Date.UTC(2026, 3, 12, 12, 0));
+      const expectedTime = `${String(local.getHours()).padStart(2, '0')}:${String(local.getMinutes()).padStart(2, '0')}`;
+
+      expect(parseDateTimeValue('20260412T120000Z').startTime).toBe(expectedTime);
+    });
+
+    it('rejects malformed values', () => {
+      expect(parseDateTimeValue('next tuesday')).toBeNull();
+    });
+  });
+
+  describe('parseICalendar', () => {
+    it('returns nothing for non-calendar text', () => {
+      expect(parseICalendar('hello')).toEqual([]);
+      expect(parseICalendar(null)).toEqual([]);
+    });
+
+    it('parses folded lines, parameters and nested alarms', () => {
+      const text = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'BEGIN:VEVENT',
+        'UID:fixture-1@league',
+        'DTSTART;TZID="Europe/Stockholm":20260412T143000',
+        'SUMMARY:Djurgårdens IF P12 - Hammarby',
+        '  IF P12',
+        'LOCATION:Kristinebergs IP\\, plan 3',
+        'BEGIN:VALARM',
+        'DESCRIPTION:Reminder',
+        'END:VALARM',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:fixture-2@league',
+        'DTSTART;VALUE=DATE:20260419',
+        'SUMMARY:Cancelled game',
+        'STATUS:CANCELLED',
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].join('\r\n');
+
+      const events = parseICalendar(text);
+
+      expect(events).toHaveLength(2);
+      expect(events[0]).toEqual({
+        uid: 'fixture-1@league',
+        summary: 'Djurgårdens IF P12 - Hammarby IF P12',
+        description: '',
+        location: 'Kristinebergs IP, plan 3',
+        startDate: '2026-04-12',
+        startTime: '14:30',
+        cancelled: false
+      });
+      expect(events[1]).toMatchObject({ startDate: '2026-04-19', startTime: null, cancelled: true });
+    });
+
+    it('round-trips events built by buildICalendar', () => {
+      const ics = buildICalendar([
+        { uid: 'r@test', summary: `Team - ${'Långt namn '.repeat(8).trim()}`, startDate: '2026-05-02', startTime: '10:00' }
+      ]);
+
+      const [event] = parseICalendar(ics);
+
+      expect(event.uid).toBe('r@test');
+      expect(event.summary).toBe(`Team - ${'Långt namn '.repeat(8).trim()}`);
+      expect(event.startDate).toBe('2026-05-02');
+      expect(event.startTime).toBe('10:00');
+    });
+  });
+});
@@ -0,0 +1,229 @@
+import { deriveLiveLineup, getPeriodClock } from '../liveMatchState';
+
+const baseTime = Date.parse('2024-01-01T10:00:00Z');
+const MINUTE = 60 * 1000;
+
+let ordinal = 0;
+const buildEvent = (type, offsetMs, overrides = {}) => {
+  ordinal += 1;
+  return {
+    id: `${type}-${ordinal}`,
+    event_type: type,
+    created_at: new Date(baseTime + offsetMs).toISOString(),
+    ordinal,
+    period: overrides.period ?? 1,
+    data: overrides.data || null,
+    player_id: overrides.player_id,
+    correlation_id: overrides.correlation_id,
+    is_extra_time: overrides.is_extra_time
+  };
+};
+
+const startingLineup = [
+  { position: 'goalie', playerId: 'p1', name: 'Alice' },
+  { position: 'leftDefender', playerId: 'p2', name: 'Bea' },
+  { position: 'rightDefender', playerId: 'p3', name: 'Cleo' },
+  { position: 'leftAttacker', playerId: 'p4', name: 'Dina' },
+  { position: 'rightAttacker', playerId: 'p5', name: 'Ella' },
+  { position: 'substitute_1', playerId: 'p6', name: 'Fia' },
+  { position: 'substitute_2', playerId: 'p7', name: 'Gun' }
+];
+
+const byId = (players) => Object.fromEntries(players.map(player => [player.id, player]));
+
+describe('liveMatchState', () => {
+  beforeEach(() => {
+    ordinal = 0;
+  });
+
+  describe('getPeriodClock', () => {
+    it('runs the current period until now while live', () => {
+      const events = [
+        buildEvent('match_started', 0),
+        buildEvent('period_ended', 15 * MINUTE),
+        buildEvent('period_started', 20 * MINUTE, { period: 2 })
+      ];
+
+      expect(getPeriodClock(events, true, baseTime + 27 * MINUTE + 5000)).toEqual({
+        period: 2,
+        isExtraTime: false,
+        isRunning: true,
+        elapsedSeconds: 7 * 60 + 5
+      });
+    });
+
+    it('stops the clock during the break', () => {
+      const events = [
+        buildEvent('match_started', 0),
+        buildEvent('period_ended', 15 * MINUTE)
+      ];
+
+      expect(getPeriodClock(events, true, baseTime + 18 * MINUTE)).toMatchObject({
+        period: 1,
+        isRunning: false,
+        elapsedSeconds: 15 * 60
+      });
+    });
+
+    it('flags extra-time periods', () => {
+      const events = [
+        buildEvent('match_started', 0),
+        buildEvent('period_ended', 15 * MINUTE),
+        buildEvent('period_started', 20 * MINUTE, { period: 3, is_extra_time: true })
+      ];
+
+      expect(getPeriodClock(events, true, baseTime + 21 * MINUTE).isExtraTime).toBe(true);
+    });
+  });
+
+  describe('deriveLiveLineup', () => {
+    it('splits the starting lineup into pitch and bench', () => {
+      const events = [buildEvent('match_started', 0, { data: { startingLineup } })];
+
+      const lineup = deriveLiveLineup(events, { isLive: true, currentTimeMs: baseTime + 10 * MINUTE });
+
+      expect(lineup.hasLineup).toBe(true);
+      expect(lineup.onField.map(player => player.position)).toEqual([
+        'goalie', 'leftDefender', 'rightDefender', 'leftAttacker', 'rightAttacker'
+      ]);
+      expect(lineup.bench.map(player => player.name)).toEqual(['Fia', 'Gun']);
+      expect(byId(lineup.onField).p1.secondsPlayed).toBe(10 * 60);
+      expect(byId(lineup.bench).p6.secondsPlayed).toBe(0);
+    });
+
+    it('applies substitutions and counts minutes on the pitch', () => {
+      const events = [
+        buildEvent('match_started', 0, { data: { startingLineup } }),
+        buildEvent('substitution_out', 4 * MINUTE, { player_id: 'p4', correlation_id: 'sub-1' }),
+        buildEvent('substitution_in', 4 * MINUTE, { player_id: 'p6', correlation_id: 'sub-1' })
+      ];
+
+      const lineup = deriveLiveLineup(events, { isLive: true, currentTimeMs: baseTime + 10 * MINUTE });
+      const onField = byId(lineup.onField);
+      const bench = byId(lineup.bench);
+
+      expect(onField.p6.position).toBe('leftAttacker');
+      expect(onField.p6.secondsPlayed).toBe(6 * 60);
+      expect(bench.p4.position).toBe('substitute_1');
+      expect(bench.p4.secondsPlayed).toBe(4 * 60);
+    });
+
+    it('splits playing time by role and counts bench time', () => {
+      const events = [
+        buildEvent('match_started', 0, { data: { startingLineup } }),
+        buildEvent('substitution_out', 4 * MINUTE, { player_id: 'p4', correlation_id: 'sub-1' }),
+        buildEvent('substitution_in', 4 * MINUTE, { player_id: 'p6', correlation_id: 'sub-1' }),
+        buildEvent('goalie_exits', 5 * MINUTE, { player_id: 'p1', correlation_id: 'g-1' }),
+        buildEvent('goalie_enters', 5 * MINUTE, { player_id: 'p2', correlation_id: 'g-1' })
+      ];
+
+      const lineup = deriveLiveLineup(events, { isLive: true, currentTimeMs: baseTime + 10 * MINUTE });
+      const players = byId([...lineup.onField, ...lineup.bench]);
+
+      expect(players.p4.secondsByRole).toEqual({ ATTACKER: 4 * 60, SUBSTITUTE: 6 * 60 });
+      expect(players.p6.secondsByRole).toEqual({ SUBSTITUTE: 4 * 60, ATTACKER: 6 * 60 });
+      expect(players.p1.secondsByRole).toEqual({ GOALIE: 5 * 60, DEFENDER: 5 * 60 });
+      expect(players.p2.secondsByRole).toEqual({ DEFENDER: 5 * 60, GOALIE: 5 * 60 });
+    });
+
+    it('excludes the break from playing time and uses the new period lineup', () => {
+      const secondPeriodLineup = startingLineup.map(entry => {
+        if (entry.playerId === 'p5') return { ...entry, position: 'substitute_2' };
+        if (entry.playerId === 'p7') return { ...entry, position: 'rightAttacker' };
+        return entry;
+      });
+      const events = [
+        buildEvent('match_started', 0, { data: { startingLineup } }),
+        buildEvent('period_ended', 15 * MINUTE),
+        buildEvent('period_started', 20 * MINUTE, { period: 2, data: { startingLineup: secondPeriodLineup } })
+      ];
+
+      const lineup = deriveLiveLineup(events, { isLive: true, currentTimeMs: baseTime + 25 * MINUTE });
+
+      expect(byId(lineup.onField).p1.secondsPlayed).toBe(20 * 60);
+      expect(byId(lineup.onField).p7.secondsPlayed).toBe(5 * 60);
+      expect(byId(lineup.bench).p5.secondsPlayed).toBe(15 * 60);
+    });
+
+    it('follows goalie switches and position switches', () => {
+      const events = [
+        buildEvent('match_started', 0, { data: { startingLineup } }),
+        buildEvent('goalie_exits', 5 * MINUTE, { player_id: 'p1', correlation_id: 'g-1' }),
+        buildEvent('goalie_enters', 5 * MINUTE, { player_id: 'p2', correlation_id: 'g-1' }),
+        buildEvent('position_switch', 6 * MINUTE, {
+          player_id: 'p4',
+          correlation_id: 'ps-1',
+          data: { old_position: 'leftAttacker', new_position: 'rightAttacker' }
+        }),
+        buildEvent('position_switch', 6 * MINUTE, {
+          player_id: 'p5',
+          correlation_id: 'ps-1',
+          data: { old_position: 'rightAttacker', new_position: 'leftAttacker' }
+        })
+      ];
+
+      const onField = byId(deriveLiveLineup(events, { isLive: true, currentTimeMs: baseTime + 7 * MINUTE }).onField);
+
+      expect(onField.p2.position).toBe('goalie');
+      expect(onField.p1.position).toBe('leftDefender');
+      expect(onField.p4.position).toBe('rightAttacker');
+      expect(onField.p5.position).toBe('leftAttacker');
+    });
+
+    it('handles injuries, sin-bins and red cards', () => {
+      const events = [
+        buildEvent('match_started', 0, { data: { startingLineup } }),
+        buildEvent('player_injured', 2 * MINUTE, {
+          player_id: 'p2',
+          data: { replacementId: 'p6', fieldPosition: 'leftDefender' }
+        }),
+        buildEvent('sin_bin_started', 3 * MINUTE, { player_id: 'p3' }),
+        buildEvent('sin_bin_ended', 5 * MINUTE, { player_id: 'p3' }),
+        buildEvent('red_card', 6 * MINUTE, {
+          player_id: 'p4',
+          data: { replacementId: 'p7', fieldPosition: 'leftAttacker' }
+        })
+      ];
+
+      const lineup = deriveLiveLineup(events, { isLive: true, currentTimeMs: baseTime + 10 * MINUTE });
+      const onField = byId(lineup.onField);
+      const bench = byId(lineup.bench);
+
+      expect(onField.p6.position).toBe('leftDefender');
+      expect(onField.p7.position).toBe('leftAttacker');
+      expect(onField.p3.secondsPlayed).toBe(8 * 60);
+      expect(bench.p2).toMatchObject({ isInjured: true, secondsPlayed: 2 * 60 });
+      expect(lineup.sentOff.map(player => player.id)).toEqual(['p4']);
+      expect(lineup.sentOff[0].secondsPlayed).toBe(6 * 60);
+    });
+
+    it('matches older name-only lineups to player ids from later events', () => {
+      const events = [
+        buildEvent('match_started', 0, {
+          data: { startingLineup: startingLineup.map(({ position, name }) => ({ position, name })) }
+        }),
+        buildEvent('substitution_out', 4 * MINUTE, {
+          player_id: 'p4',
+          correlation_id: 'sub-1',
+          data: { display_name: 'Dina' }
+        }),
+        buildEvent('substitution_in', 4 * MINUTE, {
+          player_id: 'p6',
+          correlation_id: 'sub-1',
+          data: { display_name: 'Fia' }
+        })
+      ];
+
+      const lineup = deriveLiveLineup(events, { isLive: true, currentTimeMs: baseTime + 10 * MINUTE });
+
+      expect(byId(lineup.onField).p6.name).toBe('Fia');
+      expect(byId(lineup.bench).p4.name).toBe('Dina');
+    });
+
+    it('reports a missing lineup', () => {
+      const events = [buildEvent('match_started', 0, { data: {} })];
+
+      expect(deriveLiveLineup(events, { isLive: true, currentTimeMs: baseTime }).hasLineup).toBe(false);
+    });
+  });
+});
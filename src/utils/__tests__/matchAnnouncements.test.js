@@ -0,0 +1,116 @@
+import i18n from '../../locales/i18n';
+import {
+  buildPhoneticNameMap,
+  getSpokenPlayerName,
+  buildSubstitutionAnnouncement,
+  buildMatchTimerAnnouncement,
+  buildMatchAlertAnnouncement
+} from '../matchAnnouncements';
+
+const t = i18n.getFixedT('en', 'game');
+
+const allPlayers = [
+  { id: 'p1', displayName: 'Maja', stats: {} },
+  { id: 'p2', displayName: 'Alva', stats: {} },
+  { id: 'p3', displayName: 'Ines', stats: {} },
+  { id: 'p4', displayName: 'Bo', stats: {} },
+  { id: 'p5', displayName: 'Siri', stats: {} }
+];
+
+const lineup = {
+  formation: {
+    goalie: 'p5',
+    leftDefender: 'p1',
+    attacker: 'p3',
+    substitute_1: 'p2',
+    substitute_2: 'p4'
+  },
+  rotationQueue: ['p1', 'p3'],
+  allPlayers,
+  fieldPositions: ['leftDefender', 'attacker'],
+  substitutePositions: ['substitute_1', 'substitute_2']
+};
+
+describe('matchAnnouncements', () => {
+  describe('buildPhoneticNameMap', () => {
+    it('keeps players with a pronunciation', () => {
+      expect(buildPhoneticNameMap([
+        { id: 'p1', phonetic_name: ' My-ah ' },
+        { id: 'p2', phonetic_name: '' },
+        { id: 'p3', phonetic_name: null }
+      ])).toEqual({ p1: 'My-ah' });
+    });
+  });
+
+  describe('getSpokenPlayerName', () => {
+    it('prefers the pronunciation over the display name', () => {
+      expect(getSpokenPlayerName(allPlayers[0], { p1: 'My-ah' })).toBe('My-ah');
+      expect(getSpokenPlayerName(allPlayers[1], { p1: 'My-ah' })).toBe('Alva');
+      expect(getSpokenPlayerName(null)).toBe('');
+    });
+  });
+
+  describe('buildSubstitutionAnnouncement', () => {
+    it('announces the next substitute and position', () => {
+      expect(buildSubstitutionAnnouncement({ ...lineup, t }))
+        .toBe('Substitution: Alva in for Maja at left defender');
+    });
+
+    it('announces every change of a multi-player substitution', () => {
+      expect(buildSubstitutionAnnouncement({ ...lineup, substitutionCount: 2, t }))
+        .toBe('Substitution: Alva in for Maja at left defender. Bo in for Ines at attacker');
+    });
+
+    it('uses pronunciations and the Swedish texts', () => {
+      expect(buildSubstitutionAnnouncement({
+        ...lineup,
+        phoneticNames: { p2: 'Al-va' },
+        t: i18n.getFixedT('sv', 'game')
+      })).toBe('Byte: Al-va in för Maja som vänster back');
+    });
+
+    it('returns null when nobody is lined up', () => {
+      expect(buildSubstitutionAnnouncement({ ...lineup, rotationQueue: [], t })).toBeNull();
+      expect(buildSubstitutionAnnouncement({
+        ...lineup,
+        formation: { ...lineup.formation, substitute_1: null },
+        t
+      })).toBeNull();
+    });
+  });
+
+  describe('buildMatchTimerAnnouncement', () => {
+    it('builds the match clock warnings for the period', () => {
+      expect(buildMatchTimerAnnouncement('twoMinuteWarning', 2, t)).toBe('Two minutes left of period 2');
+      expect(buildMatchTimerAnnouncement('periodEnd', 1, t)).toBe('Time is up. Period 1 is over');
+      expect(buildMatchTimerAnnouncement('unknown', 1, t)).toBeNull();
+    });
+  });
+
+  describe('buildMatchAlertAnnouncement', () => {
+    const context = { periodNumber: 2, allPlayers, phoneticNames: { p2: 'Ahl-va' }, t };
+
+    it('builds the period clock alerts', () => {
+      expect(buildMatchAlertAnnouncement({ rule: { type: 'periodRemaining' }, minutes: 3 }, context))
+        .toBe('3 minutes left of period 2');
+      expect(buildMatchAlertAnnouncement({ rule: { type: 'periodRemaining' }, minutes: 1 }, context))
+        .toBe('One minute left of period 2');
+      expect(buildMatchAlertAnnouncement({ rule: { type: 'halfway' } }, context))
+        .toBe('Halfway through period 2');
+      expect(buildMatchAlertAnnouncement({ rule: { type: 'periodEnd' } }, context))
+        .toBe('Time is up. Period 2 is over. Remember to log the score');
+    });
+
+    it('names the player for player alerts', () => {
+      expect(buildMatchAlertAnnouncement({ rule: { type: 'playerOnField' }, playerId: 'p2', minutes: 8 }, context))
+        .toBe('Ahl-va has been on for 8 minutes');
+      expect(buildMatchAlertAnnouncement({ rule: { type: 'goalieNotRotated' }, playerId: 'p5', minutes: 20 }, context))
+        .toBe('Siri has been in goal for 20 minutes');
+    });
+
+    it('returns null for unknown alerts and players', () => {
+      expect(buildMatchAlertAnnouncement({ rule: { type: 'unknown' } }, context)).toBeNull();
+      expect(buildMatchAlertAnnouncement({ rule: { type: 'playerOnField' }, playerId: 'missing', minutes: 8 }, context)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import {
+  normalizeOpponentName,
+  areOpponentNamesSimilar,
+  findSimilarOpponents,
+  getMatchesAgainstOpponent,
+  buildHeadToHead
+} from '../opponentUtils';
+
+describe('opponentUtils', () => {
+  describe('normalizeOpponentName', () => {
+    it('lowercases, strips punctuation and collapses whitespace', () => {
+      expect(normalizeOpponentName('  IFK  Sthlm. ')).toBe('ifk sthlm');
+      expect(normalizeOpponentName('Älvsjö AIK-FF')).toBe('älvsjö aik ff');
+      expect(normalizeOpponentName(null)).toBe('');
+    });
+  });
+
+  describe('areOpponentNamesSimilar', () => {
+    it('matches abbreviated words', () => {
+      expect(areOpponentNamesSimilar('IFK Sthlm', 'IFK Stockholm')).toBe(true);
+      expect(areOpponentNamesSimilar('ifk stockholm', 'IFK Stockholm')).toBe(true);
+    });
+
+    it('does not match different teams', () => {
+      expect(areOpponentNamesSimilar('Hammarby P12', 'Hammarby P13')).toBe(false);
+      expect(areOpponentNamesSimilar('Boo FF', 'Bro FF')).toBe(false);
+      expect(areOpponentNamesSimilar('Team A', 'Team B')).toBe(false);
+      expect(areOpponentNamesSimilar('IFK', 'IFK Stockholm')).toBe(false);
+      expect(areOpponentNamesSimilar('', '')).toBe(false);
+    });
+  });
+
+  describe('findSimilarOpponents', () => {
+    it('suggests opponents whose name or alias looks the same', () => {
+      const opponents = [
+        { id: 'o1', name: 'IFK Stockholm', aliases: [] },
+        { id: 'o2', name: 'Stockholm IFK', aliases: ['IFK Sthlm'] },
+        { id: 'o3', name: 'Djurgården', aliases: [] }
+      ];
+
+      expect(findSimilarOpponents(opponents[0], opponents).map(o => o.id)).toEqual(['o2']);
+      expect(findSimilarOpponents(opponents[2], opponents)).toEqual([]);
+    });
+  });
+
+  describe('getMatchesAgainstOpponent', () => {
+    it('uses the opponent link and falls back to names for unlinked matches', () => {
+      const opponent = { id: 'o1', name: 'IFK Stockholm', aliases: ['IFK Sthlm'] };
+      const matches = [
+        { id: 'm1', opponentId: 'o1', opponent: 'Something else' },
+        { id: 'm2', opponentId: null, opponent: 'ifk sthlm' },
+        { id: 'm3', opponentId: 'o2', opponent: 'IFK Stockholm' },
+        { id: 'm4', opponentId: null, opponent: 'Djurgården' }
+      ];
+
+      expect(getMatchesAgainstOpponent(matches, opponent).map(m => m.id)).toEqual(['m1', 'm2']);
+    });
+  });
+
+  describe('buildHeadToHead', () => {
+    it('summarizes results, goals, last meetings and scorers', () => {
+      const matches = [
+        {
+          id: 'm1',
+          date: '2024-03-01T10:00:00Z',
+          outcome: 'W',
+          goalsScored: 3,
+          goalsConceded: 1,
+          scorers: [{ playerId: 'p1', name: 'Alice', goals: 2 }, { playerId: 'p2', name: 'Bea', goals: 1 }]
+        },
+        {
+          id: 'm2',
+          date: '2024-05-01T10:00:00Z',
+          outcome: 'D',
+          goalsScored: 1,
+          goalsConceded: 1,
+          scorers: [{ playerId: 'p2', name: 'Bea', goals: 1 }]
+        },
+        { id: 'm3', date: '2024-04-01T10:00:00Z', outcome: 'L', goalsScored: 0, goalsConceded: 2, scorers: [] }
+      ];
+
+      const result = buildHeadToHead(matches);
+
+      expect(result).toMatchObject({
+        played: 3,
+        wins: 1,
+        draws: 1,
+        losses: 1,
+        goalsFor: 4,
+        goalsAgainst: 4
+      });
+      expect(result.lastMeetings.map(m => m.id)).toEqual(['m2', 'm3', 'm1']);
+      expect(result.scorers).toEqual([
+        { playerId: 'p1', name: 'Alice', goals: 2 },
+        { playerId: 'p2', name: 'Bea', goals: 2 }
+      ]);
+    });
+
+    it('returns an empty record without matches', () => {
+      expect(buildHeadToHead([])).toEqual({
+        played: 0,
+        wins: 0,
+        draws: 0,
+        losses: 0,
+        goalsFor: 0,
+        goalsAgainst: 0,
+        lastMeetings: [],
+        scorers: []
+      });
+    });
+  });
+});
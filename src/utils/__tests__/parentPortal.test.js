@@ -0,0 +1,157 @@
+import { attachAvailabilityRequests, selectParentMatches, summarizeChildStats } from '../parentPortal';
+import { CALENDAR_ENTRY_TYPES } from '../teamCalendar';
+
+const buildRow = (matchOverrides = {}, rowOverrides = {}) => ({
+  player_id: 'p1',
+  goals_scored: 0,
+  goalie_time_seconds: 0,
+  defender_time_seconds: 0,
+  midfielder_time_seconds: 0,
+  attacker_time_seconds: 0,
+  total_field_time_seconds: 0,
+  started_as: 'defender',
+  ...rowOverrides,
+  match: {
+    id: 'm1',
+    opponent: 'Rivals',
+    state: 'finished',
+    started_at: '2026-03-01T10:00:00Z',
+    finished_at: '2026-03-01T11:00:00Z',
+    goals_scored: 2,
+    goals_conceded: 1,
+    deleted_at: null,
+    ...matchOverrides
+  }
+});
+
+describe('parentPortal', () => {
+  describe('summarizeChildStats', () => {
+    it('adds up minutes, goals and time per position over finished matches', () => {
+      const rows = [
+        buildRow({ id: 'm1' }, {
+          goals_scored: 1,
+          defender_time_seconds: 600,
+          attacker_time_seconds: 300,
+          total_field_time_seconds: 900
+        }),
+        buildRow({ id: 'm2', started_at: '2026-03-08T10:00:00Z' }, {
+          goals_scored: 2,
+          goalie_time_seconds: 600,
+          defender_time_seconds: 300,
+          total_field_time_seconds: 300,
+          started_as: 'goalie'
+        })
+      ];
+
+      const summary = summarizeChildStats(rows);
+
+      expect(summary).toMatchObject({ matchesPlayed: 2, secondsPlayed: 1800, goals: 3 });
+      expect(summary.positions).toEqual([
+        { position: 'defender', seconds: 900, percent: 50 },
+        { position: 'goalie', seconds: 600, percent: 33 },
+        { position: 'attacker', seconds: 300, percent: 17 }
+      ]);
+      expect(summary.recentMatches.map(match => match.matchId)).toEqual(['m2', 'm1']);
+      expect(summary.recentMatches[0]).toMatchObject({
+        opponent: 'Rivals',
+        goalsScored: 2,
+        goalsConceded: 1,
+        secondsPlayed: 900,
+        goals: 2,
+        startedAs: 'goalie'
+      });
+    });
+
+    it('ignores running, deleted and missing matches', () => {
+      const rows = [
+        buildRow({ state: 'running' }, { total_field_time_seconds: 600 }),
+        buildRow({ deleted_at: '2026-03-02T00:00:00Z' }, { total_field_time_seconds: 600 }),
+        { ...buildRow(), match: null }
+      ];
+
+      expect(summarizeChildStats(rows)).toEqual({
+        matchesPlayed: 0,
+        secondsPlayed: 0,
+        goals: 0,
+        positions: [],
+        recentMatches: []
+      });
+    });
+
+    it('limits the recent matches', () => {
+      const rows = ['m1', 'm2', 'm3'].map((id, index) => buildRow({
+        id,
+        started_at: `2026-03-0${index + 1}T10:00:00Z`
+      }));
+
+      expect(summarizeChildStats(rows, { recentLimit: 2 }).recentMatches.map(match => match.matchId))
+        .toEqual(['m3', 'm2']);
+    });
+  });
+
+  describe('selectParentMatches', () => {
+    const entries = [
+      { id: 'old', type: CALENDAR_ENTRY_TYPES.UPCOMING, date: '2026-03-01' },
+      { id: 'live', type: CALENDAR_ENTRY_TYPES.MATCH, state: 'running', date: '2026-03-10' },
+      { id: 'done', type: CALENDAR_ENTRY_TYPES.MATCH, state: 'finished', date: '2026-03-10' },
+      { id: 'planned', type: CALENDAR_ENTRY_TYPES.MATCH, state: 'pending', date: '2026-03-12' },
+      { id: 'next', type: CALENDAR_ENTRY_TYPES.UPCOMING, date: '2026-03-14' },
+      { id: 'later', type: CALENDAR_ENTRY_TYPES.UPCOMING, date: '2026-03-21' },
+      { id: 'latest', type: CALENDAR_ENTRY_TYPES.UPCOMING, date: '2026-03-28' }
+    ];
+
+    it('separates running matches from upcoming ones from today on', () => {
+      const { liveMatches, upcomingMatches } = selectParentMatches(entries, { todayKey: '2026-03-10' });
+
+      expect(liveMatches.map(entry => entry.id)).toEqual(['live']);
+      expect(upcomingMatches.map(entry => entry.id)).toEqual(['planned', 'next', 'later']);
+    });
+
+    it('honours the upcoming limit', () => {
+      expect(selectParentMatches(entries, { todayKey: '2026-03-10', limit: 1 }).upcomingMatches)
+        .toHaveLength(1);
+    });
+  });
+
+  describe('attachAvailabilityRequests', () => {
+    const upcoming = [
+      { id: 'u1', type: CALENDAR_ENTRY_TYPES.UPCOMING, date: '2026-03-14' },
+      { id: 'u2', type: CALENDAR_ENTRY_TYPES.UPCOMING, date: '2026-03-21' },
+      { id: 'm1', type: CALENDAR_ENTRY_TYPES.MATCH, state: 'pending', date: '2026-03-12' }
+    ];
+
+    it('adds the request and answer to requested fixtures only', () => {
+      const rows = [
+        {
+          upcoming_match_id: 'u1',
+          availability: 'unavailable',
+          responded_at: '2026-03-10T08:00:00Z',
+          upcoming_match: { availability_requested_at: '2026-03-09T10:00:00Z', availability_deadline: null }
+        },
+        {
+          upcoming_match_id: 'u2',
+          availability: 'unknown',
+          responded_at: null,
+          upcoming_match: [{ availability_requested_at: null, availability_deadline: null }]
+        },
+        {
+          upcoming_match_id: 'm1',
+          availability: 'unknown',
+          responded_at: null,
+          upcoming_match: { availability_requested_at: '2026-03-09T10:00:00Z', availability_deadline: null }
+        }
+      ];
+
+      const result = attachAvailabilityRequests(upcoming, rows);
+
+      expect(result[0].availabilityRequest).toEqual({
+        requestedAt: '2026-03-09T10:00:00Z',
+        deadline: null,
+        availability: 'unavailable',
+        respondedAt: '2026-03-10T08:00:00Z'
+      });
+      expect(result[1]).toBe(upcoming[1]);
+      expect(result[2]).toBe(upcoming[2]);
+    });
+  });
+});
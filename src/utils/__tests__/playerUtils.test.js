@@ -139,6 +139,8 @@ describe('playerUtils', () => {
           timeOnFieldSeconds: 0,
           timeAsSubSeconds: 0,
           timeAsGoalieSeconds: 0,
+          timeInjuredSeconds: 0,
+          timeSinBinnedSeconds: 0,
           timeAsDefenderSeconds: 0,
           timeAsAttackerSeconds: 0,
           timeAsMidfielderSeconds: 0,
@@ -147,6 +149,9 @@ describe('playerUtils', () => {
           lastStintStartTimeEpoch: 0,
           currentPositionKey: null,
           isInactive: false,
+          isInjured: false,
+          isSentOff: false,
+          sinBin: null,
           isCaptain: false,
           goals: 0,
           saves: 0,
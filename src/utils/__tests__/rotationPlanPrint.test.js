@@ -0,0 +1,88 @@
+/**
+ * Tests for Rotation Plan Print Utilities
+ */
+
+import { buildRotationPlanPrintHtml, printRotationPlan } from '../rotationPlanPrint';
+
+describe('rotationPlanPrint', () => {
+  const plan = {
+    periods: [
+      {
+        period: 1,
+        goalieId: 'p1',
+        startingLineup: { leftDefender: 'p2', rightDefender: 'p3' },
+        substitutions: [
+          { atSeconds: 120, playersOff: ['p2'], playersOn: ['p4'], positions: ['leftDefender'] }
+        ]
+      },
+      {
+        period: 2,
+        goalieId: 'p2',
+        startingLineup: { leftDefender: 'p1', rightDefender: 'p4' },
+        substitutions: []
+      }
+    ],
+    expectedFieldSeconds: { p1: 300, p2: 420, p3: 600, p4: 480 }
+  };
+
+  const names = { p1: 'Anna', p2: 'Bo <B>', p3: 'Cleo', p4: 'Dag' };
+
+  const params = {
+    plan,
+    getPlayerName: (id) => names[id],
+    getPositionName: (position) => (position === 'leftDefender' ? 'Left Defender' : 'Right Defender'),
+    labels: {
+      title: 'Rotation plan',
+      period: (period) => `Period ${period}`,
+      goalie: 'Goalie',
+      startingLineup: 'Starting lineup',
+      time: 'Time',
+      off: 'Off',
+      on: 'On',
+      position: 'Position',
+      expectedTime: 'Expected field time',
+      noSubstitutions: 'No substitutions planned'
+    }
+  };
+
+  it('renders every period with its substitutions', () => {
+    const html = buildRotationPlanPrintHtml(params);
+
+    expect(html).toContain('<h2>Period 1</h2>');
+    expect(html).toContain('<h2>Period 2</h2>');
+    expect(html).toContain('<td>02:00</td>');
+    expect(html).toContain('<td>Dag</td>');
+    expect(html).toContain('No substitutions planned');
+    expect(html).toContain('<td>Cleo</td><td>10:00</td>');
+  });
+
+  it('escapes player names', () => {
+    const html = buildRotationPlanPrintHtml(params);
+
+    expect(html).toContain('Bo &lt;B&gt;');
+    expect(html).not.toContain('Bo <B>');
+  });
+
+  it('opens a print window with the plan', () => {
+    const printWindow = {
+      document: { open: jest.fn(), write: jest.fn(), close: jest.fn() },
+      focus: jest.fn(),
+      print: jest.fn()
+    };
+    const openSpy = jest.spyOn(window, 'open').mockReturnValue(printWindow);
+
+    expect(printRotationPlan(params)).toBe(true);
+    expect(printWindow.document.write).toHaveBeenCalledWith(expect.stringContaining('Rotation plan'));
+    expect(printWindow.print).toHaveBeenCalled();
+
+    openSpy.mockRestore();
+  });
+
+  it('reports a blocked print window', () => {
+    const openSpy = jest.spyOn(window, 'open').mockReturnValue(null);
+
+    expect(printRotationPlan(params)).toBe(false);
+
+    openSpy.mockRestore();
+  });
+});
@@ -0,0 +1,97 @@
+import {
+  findSeasonForDate,
+  getSeasonIdFromPresetId,
+  getSeasonPresetId,
+  getSeasonRange,
+  isSeasonPresetId,
+  suggestNextSeason
+} from '../seasonUtils';
+
+describe('seasonUtils', () => {
+  describe('season preset ids', () => {
+    it('round-trips a season id through a preset id', () => {
+      const presetId = getSeasonPresetId('abc');
+
+      expect(presetId).toBe('season:abc');
+      expect(isSeasonPresetId(presetId)).toBe(true);
+      expect(getSeasonIdFromPresetId(presetId)).toBe('abc');
+    });
+
+    it('ignores other presets', () => {
+      expect(isSeasonPresetId('last-30-days')).toBe(false);
+      expect(isSeasonPresetId(null)).toBe(false);
+      expect(getSeasonIdFromPresetId('custom')).toBeNull();
+    });
+  });
+
+  describe('getSeasonRange', () => {
+    it('covers the whole end date', () => {
+      const range = getSeasonRange({ start_date: '2025-08-01', end_date: '2026-06-30' });
+
+      expect(range.start).toEqual(new Date(2025, 7, 1));
+      expect(range.end).toEqual(new Date(2026, 5, 30, 23, 59, 59, 999));
+    });
+
+    it('returns nulls for missing dates', () => {
+      expect(getSeasonRange(null)).toEqual({ start: null, end: null });
+    });
+  });
+
+  describe('findSeasonForDate', () => {
+    const seasons = [
+      { id: 'old', start_date: '2025-01-01', end_date: '2025-12-31', status: 'archived' },
+      { id: 'current', start_date: '2025-08-01', end_date: '2026-06-30', status: 'active' }
+    ];
+
+    it('prefers the active season when seasons overlap', () => {
+      expect(findSeasonForDate(seasons, new Date(2025, 8, 15))?.id).toBe('current');
+    });
+
+    it('falls back to an archived season covering the date', () => {
+      expect(findSeasonForDate(seasons, new Date(2025, 2, 1))?.id).toBe('old');
+    });
+
+    it('returns null when no season covers the date', () => {
+      expect(findSeasonForDate(seasons, new Date(2024, 5, 1))).toBeNull();
+      expect(findSeasonForDate(undefined, new Date(2025, 5, 1))).toBeNull();
+    });
+  });
+
+  describe('suggestNextSeason', () => {
+    it('follows a calendar year season', () => {
+      expect(suggestNextSeason({
+        start_date: '2025-01-01',
+        end_date: '2025-12-31',
+        age_group: 'P14',
+        format: '5v5'
+      })).toEqual({
+        name: '2026',
+        startDate: '2026-01-01',
+        endDate: '2026-12-31',
+        ageGroup: 'P14',
+        format: '5v5'
+      });
+    });
+
+    it('names seasons spanning two years', () => {
+      const next = suggestNextSeason({ start_date: '2025-08-01', end_date: '2026-06-30' });
+
+      expect(next.name).toBe('2026/2027');
+      expect(next.startDate).toBe('2026-08-01');
+      expect(next.endDate).toBe('2027-06-30');
+      expect(next.ageGroup).toBe('');
+    });
+
+    it('falls back to the current year without dates', () => {
+      const year = new Date().getFullYear();
+
+      expect(suggestNextSeason({ format: '7v7' })).toEqual({
+        name: String(year),
+        startDate: `${year}-01-01`,
+        endDate: `${year}-12-31`,
+        ageGroup: '',
+        format: '7v7'
+      });
+    });
+  });
+});
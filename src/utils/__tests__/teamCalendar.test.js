@@ -0,0 +1,101 @@
+import {
+  buildCalendarEntries,
+  calendarEntriesToIcsEvents,
+  CALENDAR_ENTRY_TYPES,
+  extractOpponentFromSummary,
+  icsEventsToFixtures
+} from '../teamCalendar';
+
+describe('teamCalendar', () => {
+  describe('buildCalendarEntries', () => {
+    it('combines upcoming fixtures, matches and trainings sorted by date and time', () => {
+      const entries = buildCalendarEntries({
+        upcomingMatches: [
+          { id: 'u1', opponent: 'Hammarby', match_date: '2026-04-12', match_time: '14:30:00', venue: 'Zinkensdamm', source: 'ics' },
+          { id: 'u2', opponent: 'AIK', match_date: '2026-04-05', match_time: 'Prel. 10.00', planned_match_id: 'm1' }
+        ],
+        matches: [
+          { id: 'm1', opponent: 'AIK', state: 'pending', venue_type: 'away', upcoming_match: [{ match_date: '2026-04-05', match_time: '10:00', venue: 'Skytteholm' }] },
+          { id: 'm2', opponent: 'Brommapojkarna', state: 'finished', venue_type: 'home', started_at: '2026-04-12T08:00:00', goals_scored: 3, goals_conceded: 1 }
+        ],
+        trainingSessions: [
+          { id: 't1', session_date: '2026-04-12', start_time: null, location: 'Hall', status: 'cancelled' }
+        ]
+      });
+
+      expect(entries.map(entry => `${entry.type}:${entry.id}`)).toEqual([
+        'match:m1',
+        'training:t1',
+        'match:m2',
+        'upcoming:u1'
+      ]);
+      expect(entries[0]).toMatchObject({ date: '2026-04-05', time: '10:00', location: 'Skytteholm', venueType: 'away' });
+      expect(entries[1]).toMatchObject({ cancelled: true, time: null });
+      expect(entries[2]).toMatchObject({ date: '2026-04-12', time: '08:00', goalsScored: 3, goalsConceded: 1 });
+      expect(entries[3]).toMatchObject({ time: '14:30', location: 'Zinkensdamm', source: 'ics' });
+    });
+
+    it('ignores free-text fixture times', () => {
+      const [entry] = buildCalendarEntries({
+        upcomingMatches: [{ id: 'u1', opponent: 'AIK', match_date: '2026-04-05', match_time: 'TBA' }]
+      });
+
+      expect(entry.time).toBeNull();
+    });
+  });
+
+  describe('calendarEntriesToIcsEvents', () => {
+    it('builds summaries from venue and team name', () => {
+      const events = calendarEntriesToIcsEvents([
+        { id: 'm1', type: CALENDAR_ENTRY_TYPES.MATCH, date: '2026-04-05', time: '10:00', opponent: 'AIK', venueType: 'away' },
+        { id: 'u1', type: CALENDAR_ENTRY_TYPES.UPCOMING, date: '2026-04-12', time: null, opponent: 'Hammarby' },
+        { id: 't1', type: CALENDAR_ENTRY_TYPES.TRAINING, date: '2026-04-13', time: '18:00', durationMinutes: 75, cancelled: true }
+      ], { teamName: 'Djurgården', trainingLabel: 'Training' });
+
+      expect(events[0]).toMatchObject({ uid: 'match-m1@sportwizard.se', summary: 'AIK - Djurgården', durationMinutes: 90 });
+      expect(events[1]).toMatchObject({ uid: 'upcoming-u1@sportwizard.se', summary: 'Djurgården - Hammarby', startTime: null });
+      expect(events[2]).toMatchObject({ summary: 'Djurgården: Training', durationMinutes: 75, cancelled: true });
+    });
+  });
+
+  describe('extractOpponentFromSummary', () => {
+    it.each([
+      ['Djurgården - Hammarby', 'Hammarby'],
+      ['AIK vs Djurgården', 'AIK'],
+      ['Djurgården IF P12 – IFK Lidingö', 'IFK Lidingö'],
+      ['Cup final', 'Cup final'],
+      ['AIK - Hammarby', 'AIK - Hammarby']
+    ])('reads "%s" as %s', (summary, expected) => {
+      expect(extractOpponentFromSummary(summary, 'Djurgården')).toBe(expected);
+    });
+
+    it('prefers an exact name over a partial match', () => {
+      expect(extractOpponentFromSummary('IFK - IFK Göteborg', 'IFK Göteborg')).toBe('IFK');
+    });
+  });
+
+  describe('icsEventsToFixtures', () => {
+    it('maps events to fixtures, skipping cancelled and duplicate events', () => {
+      const fixtures = icsEventsToFixtures([
+        { uid: 'b', summary: 'Djurgården - AIK', startDate: '2026-04-19', startTime: '12:00', location: 'Stadion' },
+        { uid: 'a', summary: 'Hammarby - Djurgården', startDate: '2026-04-12', startTime: null, location: '' },
+        { uid: 'a', summary: 'Hammarby - Djurgården', startDate: '2026-04-13', startTime: null, location: '' },
+        { uid: 'c', summary: 'Djurgården - BP', startDate: '2026-04-20', cancelled: true },
+        { uid: 'd', summary: '', startDate: '2026-04-21' }
+      ], { teamName: 'Djurgården' });
+
+      expect(fixtures).toEqual([
+        { externalUid: 'a', opponent: 'Hammarby', matchDate: '2026-04-13', matchTime: null, venue: null },
+        { externalUid: 'b', opponent: 'AIK', matchDate: '2026-04-19', matchTime: '12:00', venue: 'Stadion' }
+      ]);
+    });
+
+    it('derives a stable uid when the event has none', () => {
+      const [fixture] = icsEventsToFixtures([
+        { uid: null, summary: 'Djurgården - AIK', startDate: '2026-04-19', startTime: null }
+      ], { teamName: 'Djurgården' });
+
+      expect(fixture.externalUid).toBe('2026-04-19-djurgården - aik');
+    });
+  });
+});
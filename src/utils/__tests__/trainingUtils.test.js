@@ -0,0 +1,75 @@
+import {
+  formatDateKey,
+  generateScheduleDates,
+  MAX_SCHEDULE_SESSIONS,
+  parseDateKey,
+  summarizeTrainingAttendance
+} from '../trainingUtils';
+
+describe('trainingUtils', () => {
+  describe('date keys', () => {
+    it('round-trips local dates', () => {
+      const date = parseDateKey('2025-03-09');
+
+      expect(date.getFullYear()).toBe(2025);
+      expect(date.getMonth()).toBe(2);
+      expect(date.getDate()).toBe(9);
+      expect(formatDateKey(date)).toBe('2025-03-09');
+    });
+
+    it('rejects invalid input', () => {
+      expect(parseDateKey('not a date')).toBeNull();
+      expect(parseDateKey(null)).toBeNull();
+      expect(formatDateKey(new Date('invalid'))).toBeNull();
+    });
+  });
+
+  describe('generateScheduleDates', () => {
+    it('lists every matching weekday between the dates', () => {
+      // 2025-01-01 is a Wednesday; weekday 2 is Tuesday
+      expect(generateScheduleDates({ weekday: 2, startsOn: '2025-01-01', endsOn: '2025-01-31' })).toEqual([
+        '2025-01-07', '2025-01-14', '2025-01-21', '2025-01-28'
+      ]);
+    });
+
+    it('includes the first and last date when they fall on the weekday', () => {
+      expect(generateScheduleDates({ weekday: 3, startsOn: '2025-01-01', endsOn: '2025-01-15' })).toEqual([
+        '2025-01-01', '2025-01-08', '2025-01-15'
+      ]);
+    });
+
+    it('caps long schedules', () => {
+      const dates = generateScheduleDates({ weekday: 1, startsOn: '2025-01-01', endsOn: '2027-12-31' });
+
+      expect(dates).toHaveLength(MAX_SCHEDULE_SESSIONS);
+    });
+
+    it('returns nothing for invalid schedules', () => {
+      expect(generateScheduleDates({ weekday: 7, startsOn: '2025-01-01', endsOn: '2025-01-31' })).toEqual([]);
+      expect(generateScheduleDates({ weekday: 1, startsOn: '2025-02-01', endsOn: '2025-01-01' })).toEqual([]);
+      expect(generateScheduleDates({ weekday: 1, startsOn: '', endsOn: '2025-01-01' })).toEqual([]);
+    });
+  });
+
+  describe('summarizeTrainingAttendance', () => {
+    it('counts sessions per date and attendance per player', () => {
+      const { sessionsByDate, attendanceByPlayer } = summarizeTrainingAttendance([
+        {
+          session_date: '2025-01-07',
+          training_attendance: [
+            { player_id: 'p1', attended: true },
+            { player_id: 'p2', attended: false }
+          ]
+        },
+        {
+          session_date: '2025-01-07',
+          training_attendance: [{ player_id: 'p1', attended: true }]
+        }
+      ]);
+
+      expect(sessionsByDate.get('2025-01-07')).toBe(2);
+      expect(attendanceByPlayer.get('p1').get('2025-01-07')).toBe(2);
+      expect(attendanceByPlayer.get('p2').get('2025-01-07')).toBe(0);
+    });
+  });
+});
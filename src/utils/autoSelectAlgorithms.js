@@ -1,4 +1,4 @@
-import { AUTO_SELECT_STRATEGY } from '../constants/planMatchesConstants';
+import { AUTO_SELECT_REASON, AUTO_SELECT_STRATEGY } from '../constants/planMatchesConstants';
 
 const getMetricValue = (player, metric) => {
   return metric === AUTO_SELECT_STRATEGY.ATTENDANCE
@@ -83,3 +83,204 @@ export const autoSelectMultipleMatches = ({
 
   return nextSelections;
 };
+
+const getSeasonLoad = (player) => {
+  return Number.isFinite(player.seasonMatches) ? player.seasonMatches : 0;
+};
+
+// Players linked to the same parent (player.related_to) form one group
+const buildSiblingGroups = (sortedRoster) => {
+  const groups = new Map();
+  sortedRoster.forEach((player) => {
+    const key = player.relatedTo ? `related:${player.relatedTo}` : `player:${player.id}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(player);
+  });
+  return Array.from(groups.values());
+};
+
+/**
+ * Assign squads across several matches so season match counts even out.
+ *
+ * Players are added one group at a time, always taking the group with the
+ * lowest projected match count (season matches plus matches assigned so far).
+ * Siblings are kept together unless a squad would otherwise fall below the
+ * format minimum, and each squad gets at least one player with goalie
+ * experience when one is available.
+ *
+ * @param {Object} params
+ * @param {Array} params.rosterWithStats - Players with seasonMatches, goalieMatches and relatedTo
+ * @param {string} params.metric - Tie-breaker metric for players with equal load
+ * @param {Array} params.matches - Matches to plan, in play order
+ * @param {Object} params.targetCounts - Requested squad size per match ID
+ * @param {Object} params.unavailableByMatch - Unavailable player IDs per match ID
+ * @param {Object} params.minimumByMatch - Minimum squad size per match ID
+ * @returns {{selections: Object, explanations: Object, shortfalls: Object}}
+ *   selections maps match IDs to player IDs, explanations map player IDs to
+ *   their season load and an AUTO_SELECT_REASON per match, shortfalls list
+ *   matches with fewer available players than the minimum
+ */
+export const autoSelectFairMatches = ({
+  rosterWithStats,
+  metric,
+  matches,
+  targetCounts,
+  unavailableByMatch,
+  minimumByMatch
+}) => {
+  const sorted = buildSortedRoster(rosterWithStats, metric);
+  const rankById = new Map(sorted.map((player, index) => [player.id, index]));
+  const loadById = new Map(sorted.map(player => [player.id, getSeasonLoad(player)]));
+  const groups = buildSiblingGroups(sorted);
+  const matchIds = (matches || []).map(match => match.id);
+
+  const unavailableSets = {};
+  const selectedSets = {};
+  const selections = {};
+  const targets = {};
+  const minimums = {};
+  const shortfalls = {};
+  const siblingBlocked = {};
+
+  matchIds.forEach((matchId) => {
+    unavailableSets[matchId] = new Set(unavailableByMatch?.[matchId] || []);
+    selectedSets[matchId] = new Set();
+    selections[matchId] = [];
+    siblingBlocked[matchId] = new Set();
+
+    const availableCount = sorted.filter(player => !unavailableSets[matchId].has(player.id)).length;
+    const minimum = Math.max(0, minimumByMatch?.[matchId] || 0);
+    minimums[matchId] = minimum;
+    targets[matchId] = Math.min(availableCount, Math.max(targetCounts?.[matchId] || 0, minimum));
+    if (availableCount < minimum) {
+      shortfalls[matchId] = { minimum, available: availableCount };
+    }
+  });
+
+  const reasonsById = new Map(sorted.map(player => [player.id, {}]));
+
+  const byLoad = (a, b) => {
+    const diff = loadById.get(a.id) - loadById.get(b.id);
+    if (diff !== 0) return diff;
+    return rankById.get(a.id) - rankById.get(b.id);
+  };
+
+  const getOpenMembers = (group, matchId) => {
+    return group
+      .filter(player => !unavailableSets[matchId].has(player.id) && !selectedSets[matchId].has(player.id))
+      .sort(byLoad);
+  };
+
+  const getRemaining = matchId => targets[matchId] - selections[matchId].length;
+
+  const addToMatch = (matchId, members, reason) => {
+    members.forEach((player, index) => {
+      selections[matchId].push(player.id);
+      selectedSets[matchId].add(player.id);
+      loadById.set(player.id, loadById.get(player.id) + 1);
+      reasonsById.get(player.id)[matchId] = index === 0 ? reason : AUTO_SELECT_REASON.SIBLING;
+    });
+  };
+
+  const buildCandidate = (matchId, members) => ({
+    matchId,
+    members,
+    score: members.reduce((sum, player) => sum + loadById.get(player.id), 0) / members.length,
+    rank: rankById.get(members[0].id),
+    remaining: getRemaining(matchId)
+  });
+
+  const isBetterCandidate = (candidate, best) => {
+    if (!best) return true;
+    if (candidate.score !== best.score) return candidate.score < best.score;
+    if (candidate.remaining !== best.remaining) return candidate.remaining > best.remaining;
+    return candidate.rank < best.rank;
+  };
+
+  // Make sure every squad has someone who has kept goal before
+  const hasGoalies = sorted.some(player => (player.goalieMatches || 0) > 0);
+  if (hasGoalies) {
+    matchIds.forEach((matchId) => {
+      const goalieCandidates = sorted
+        .filter(player => (player.goalieMatches || 0) > 0 && !unavailableSets[matchId].has(player.id))
+        .sort(byLoad);
+
+      const goalieGroup = goalieCandidates
+        .map(goalie => groups.find(group => group.includes(goalie)))
+        .map(group => getOpenMembers(group, matchId))
+        .find(members => members.length > 0 && members.length <= getRemaining(matchId));
+
+      if (!goalieGroup) return;
+
+      // The goalie leads the group so the reason lands on them
+      const goalie = goalieGroup.find(player => (player.goalieMatches || 0) > 0);
+      addToMatch(matchId, [goalie, ...goalieGroup.filter(player => player !== goalie)], AUTO_SELECT_REASON.GOALIE_COVER);
+    });
+  }
+
+  for (;;) {
+    let best = null;
+    const oversized = [];
+
+    matchIds.forEach((matchId) => {
+      const remaining = getRemaining(matchId);
+      if (remaining <= 0) return;
+      const belowMinimum = selections[matchId].length < minimums[matchId];
+
+      groups.forEach((group) => {
+        const members = getOpenMembers(group, matchId);
+        if (members.length === 0) return;
+
+        if (members.length > remaining) {
+          oversized.push(buildCandidate(matchId, members));
+          if (!belowMinimum) return;
+          const candidate = { ...buildCandidate(matchId, members.slice(0, remaining)), split: true };
+          if (isBetterCandidate(candidate, best)) best = candidate;
+          return;
+        }
+
+        const candidate = buildCandidate(matchId, members);
+        if (isBetterCandidate(candidate, best)) best = candidate;
+      });
+    });
+
+    if (!best) break;
+
+    oversized
+      .filter(candidate => candidate.matchId === best.matchId && isBetterCandidate(candidate, best))
+      .forEach(candidate => candidate.members.forEach(player => siblingBlocked[best.matchId].add(player.id)));
+
+    addToMatch(
+      best.matchId,
+      best.members,
+      best.split ? AUTO_SELECT_REASON.MINIMUM_SQUAD : AUTO_SELECT_REASON.FEWEST_MATCHES
+    );
+  }
+
+  const explanations = {};
+  sorted.forEach((player) => {
+    const reasons = reasonsById.get(player.id);
+    matchIds.forEach((matchId) => {
+      if (reasons[matchId]) return;
+      if (unavailableSets[matchId].has(player.id)) {
+        reasons[matchId] = AUTO_SELECT_REASON.UNAVAILABLE;
+      } else if (siblingBlocked[matchId].has(player.id)) {
+        reasons[matchId] = AUTO_SELECT_REASON.SIBLINGS_DID_NOT_FIT;
+      } else {
+        reasons[matchId] = AUTO_SELECT_REASON.SQUAD_FULL;
+      }
+    });
+
+    const seasonMatches = getSeasonLoad(player);
+    explanations[player.id] = {
+      seasonMatches,
+      plannedMatches: matchIds.filter(matchId => selectedSets[matchId].has(player.id)).length,
+      goalieMatches: player.goalieMatches || 0,
+      matches: reasons
+    };
+  });
+
+  return { selections, explanations, shortfalls };
+};
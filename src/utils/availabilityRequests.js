@@ -0,0 +1,99 @@
+/**
+ * Availability request helpers
+ *
+ * Combine the in-app answers to a coach's availability request with the
+ * statuses scraped by connectors, and summarise who has answered.
+ */
+
+/**
+ * Overlay in-app answers on the connector availability of each match. An app
+ * answer replaces the connector availability and response of the same
+ * player; the connector invite status is kept.
+ * @param {Object} availabilityByMatch - [matchId][playerId] = { availability, response, inviteStatus }
+ * @param {Object} requestsByMatch - [matchId] = { responses: { [playerId]: { availability, response } } }
+ * @returns {Object} Same shape as availabilityByMatch
+ */
+export function mergeAvailabilityResponses(availabilityByMatch = {}, requestsByMatch = {}) {
+  const merged = { ...availabilityByMatch };
+
+  Object.entries(requestsByMatch || {}).forEach(([matchId, request]) => {
+    const responses = Object.entries(request?.responses || {});
+    if (responses.length === 0) {
+      return;
+    }
+
+    const players = { ...(merged[matchId] || {}) };
+    responses.forEach(([playerId, answer]) => {
+      players[playerId] = {
+        inviteStatus: players[playerId]?.inviteStatus || null,
+        availability: answer.availability,
+        response: answer.response
+      };
+    });
+    merged[matchId] = players;
+  });
+
+  return merged;
+}
+
+/**
+ * Whether parents and players can still answer a request
+ * @param {Object|null} request - { requestedAt, deadline }
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isAvailabilityRequestOpen(request, now = new Date()) {
+  if (!request?.requestedAt) {
+    return false;
+  }
+  return !request.deadline || new Date(request.deadline).getTime() >= now.getTime();
+}
+
+/**
+ * Split a roster by its answer to a request
+ * @param {Object|null} request - { responses: { [playerId]: { availability } } }
+ * @param {Array<{id: string}>} roster - Players on the roster
+ * @returns {{available: Array, unavailable: Array, unanswered: Array}} Roster players in each group
+ */
+export function summarizeAvailabilityRequest(request, roster = []) {
+  const responses = request?.responses || {};
+  const summary = { available: [], unavailable: [], unanswered: [] };
+
+  roster.forEach(player => {
+    const availability = responses[player.id]?.availability;
+    if (availability === 'available') {
+      summary.available.push(player);
+    } else if (availability === 'unavailable') {
+      summary.unavailable.push(player);
+    } else {
+      summary.unanswered.push(player);
+    }
+  });
+
+  return summary;
+}
+
+const padTwo = (value) => String(value).padStart(2, '0');
+
+/**
+ * Format a timestamp for a datetime-local input in local time
+ * @param {string|Date|null} value
+ * @returns {string} 'YYYY-MM-DDTHH:mm' or ''
+ */
+export function toDateTimeInputValue(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return `${date.getFullYear()}-${padTwo(date.getMonth() + 1)}-${padTwo(date.getDate())}T${padTwo(date.getHours())}:${padTwo(date.getMinutes())}`;
+}
+
+/**
+ * Parse a datetime-local input value (local time) into an ISO timestamp
+ * @param {string} value - 'YYYY-MM-DDTHH:mm'
+ * @returns {string|null}
+ */
+export function fromDateTimeInputValue(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
@@ -21,6 +21,9 @@ const DEFAULT_FORMAT_BASE = 'inline-flex items-center justify-center px-2 py-1 r
 const FORMAT_VARIANTS = {
   '5v5': 'bg-emerald-900/50 text-emerald-200 border border-emerald-600',
   '7v7': 'bg-blue-900/50 text-blue-200 border border-blue-600',
+  '8v8': 'bg-violet-900/50 text-violet-200 border border-violet-600',
+  '9v9': 'bg-amber-900/50 text-amber-200 border border-amber-600',
+  '11v11': 'bg-rose-900/50 text-rose-200 border border-rose-600',
   default: 'bg-slate-700 text-slate-200 border border-slate-600'
 };
 
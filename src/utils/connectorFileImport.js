@@ -0,0 +1,335 @@
+/**
+ * Connector file import helpers
+ *
+ * Reads the roster, attendance and fixture exports team admins download from
+ * Svenska Lag and MyClub. Both offer CSV and an "Excel" download that is an
+ * HTML table saved as .xls; both are read here. Real workbooks (.xlsx) are zip
+ * archives and are rejected with a request to save the file as CSV.
+ *
+ * Columns are found by header name (Swedish, English and Finnish), so the
+ * column order and extra columns in an export do not matter. Attendance is read
+ * either as one row per player and date, or as a matrix with a column per date.
+ *
+ * Parsed shape:
+ * {
+ *   roster: [{ name }],
+ *   attendance: [{ name, date: 'YYYY-MM-DD', attended: boolean }],
+ *   upcomingMatches: [{ date: 'YYYY-MM-DD', time: string|null, opponent, venue: string|null }]
+ * }
+ */
+
+const DELIMITERS = [';', '\t', ','];
+const HEADER_SEARCH_ROWS = 10;
+
+const COLUMN_ALIASES = {
+  name: ['namn', 'name', 'spelare', 'player', 'deltagare', 'participant', 'medlem', 'member', 'fullständigt namn', 'full name', 'nimi', 'pelaaja', 'osallistuja', 'jäsen'],
+  firstName: ['förnamn', 'first name', 'firstname', 'given name', 'etunimi'],
+  lastName: ['efternamn', 'last name', 'lastname', 'surname', 'family name', 'sukunimi'],
+  date: ['datum', 'date', 'dag', 'day', 'matchdatum', 'match date', 'päivämäärä', 'päivä', 'pvm'],
+  attended: ['närvaro', 'närvarande', 'deltog', 'deltar', 'attended', 'attendance', 'present', 'status', 'svar', 'response', 'läsnäolo', 'läsnä', 'osallistui', 'vastaus'],
+  time: ['tid', 'time', 'starttid', 'start time', 'start', 'avspark', 'kick off', 'aika', 'alkaa', 'alkamisaika'],
+  opponent: ['motståndare', 'motstånd', 'opponent', 'vastustaja'],
+  homeTeam: ['hemmalag', 'hemma', 'home team', 'home', 'kotijoukkue', 'koti'],
+  awayTeam: ['bortalag', 'borta', 'away team', 'away', 'vierasjoukkue', 'vieras'],
+  venue: ['plats', 'arena', 'spelplats', 'anläggning', 'venue', 'location', 'place', 'paikka', 'kenttä']
+};
+
+const ATTENDED_MARKS = ['x', '✓', '✔', '1', 'ja', 'j', 'yes', 'y', 'true', 'närvarande', 'närvaro', 'deltog', 'deltar', 'kommer', 'attended', 'present', 'kyllä', 'k', 'läsnä', 'paikalla', 'osallistui'];
+const ABSENT_MARKS = ['', '-', '0', 'nej', 'n', 'no', 'false', 'frånvarande', 'frånvaro', 'deltog ej', 'kommer inte', 'absent', 'not attended', 'ei', 'poissa'];
+
+const normalizeHeader = (value) => String(value ?? '')
+  .toLowerCase()
+  .replace(/[^a-z0-9åäöéü]+/g, ' ')
+  .trim();
+
+const normalizeText = (value) => String(value ?? '').replace(/\s+/g, ' ').trim();
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Split delimited text (CSV, semicolon separated or tab separated) into rows.
+ * The delimiter is detected from the first lines; quoted fields may contain
+ * delimiters, doubled quotes and line breaks.
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+export function parseDelimitedText(text) {
+  const source = String(text ?? '');
+  // Exports may start with a title line, so count over the first lines
+  const leadingText = source.split(/\r\n|\r|\n/).slice(0, HEADER_SEARCH_ROWS).join('\n').replace(/"[^"]*"/g, '');
+  const delimiter = DELIMITERS.reduce((best, candidate) => (
+    leadingText.split(candidate).length > leadingText.split(best).length ? candidate : best
+  ), ',');
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let index = 0; index < source.length; index += 1) {
+    const character = source[index];
+
+    if (inQuotes) {
+      if (character === '"' && source[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (character === '"') {
+        inQuotes = false;
+      } else {
+        field += character;
+      }
+    } else if (character === '"') {
+      inQuotes = true;
+    } else if (character === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (character === '\r' || character === '\n') {
+      if (character === '\r' && source[index + 1] === '\n') {
+        index += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += character;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Read the largest table of an HTML document (the .xls download of both providers)
+ * @param {string} html
+ * @returns {Array<Array<string>>}
+ */
+export function parseHtmlTable(html) {
+  const doc = new DOMParser().parseFromString(String(html ?? ''), 'text/html');
+  const tables = Array.from(doc.querySelectorAll('table'));
+  const table = tables.reduce((largest, candidate) => (
+    !largest || candidate.rows.length > largest.rows.length ? candidate : largest
+  ), null);
+
+  if (!table) return [];
+
+  return Array.from(table.rows).map(row => (
+    Array.from(row.cells).map(cell => cell.textContent)
+  ));
+}
+
+/**
+ * Read an export file into trimmed rows, dropping empty rows
+ * @param {string} text - File contents
+ * @returns {Array<Array<string>>}
+ * @throws {Error} When the file is an .xlsx workbook or another binary file
+ */
+export function readExportRows(text) {
+  const source = String(text ?? '').replace(/^\uFEFF/, '');
+
+  if (source.startsWith('PK') || source.includes('\u0000')) {
+    throw new Error('Excel workbooks (.xlsx) cannot be read. Save the export as CSV and import that file instead.');
+  }
+
+  const rows = /<table[\s>]/i.test(source) ? parseHtmlTable(source) : parseDelimitedText(source);
+
+  return rows
+    .map(row => row.map(normalizeText))
+    .filter(row => row.some(Boolean));
+}
+
+/**
+ * Parse a date written as YYYY-MM-DD, D.M.YYYY, D/M/YYYY or D-M-YYYY.
+ * A time after the date is ignored.
+ * @param {string} value
+ * @returns {string|null} 'YYYY-MM-DD', or null when the value is not a valid date
+ */
+export function parseImportDate(value) {
+  const text = normalizeText(value);
+  let year;
+  let month;
+  let day;
+
+  const isoMatch = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:$|[\sT])/.exec(text);
+  const dayFirstMatch = /^(\d{1,2})[./-](\d{1,2})[./-](\d{4})(?:$|\s)/.exec(text);
+
+  if (isoMatch) {
+    [, year, month, day] = isoMatch.map(Number);
+  } else if (dayFirstMatch) {
+    [, day, month, year] = dayFirstMatch.map(Number);
+  } else {
+    return null;
+  }
+
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Read a time (HH:MM or HH.MM) following the date in a combined date and time cell
+ * @param {string} value
+ * @returns {string|null} 'HH:MM'
+ */
+const parseTrailingTime = (value) => {
+  const match = /\s(?:kl\.?\s*)?(\d{1,2})[:.](\d{2})(?::\d{2})?/i.exec(normalizeText(value));
+  return match ? `${pad(match[1])}:${match[2]}` : null;
+};
+
+/**
+ * Interpret an attendance cell
+ * @param {string} value - 'X', '✓', 'Ja', 'Närvarande', '0', ... or empty
+ * @returns {boolean|null} true when attended, false when absent, null when unrecognised
+ */
+export function parseAttendanceMark(value) {
+  const mark = normalizeText(value).toLowerCase();
+  if (ATTENDED_MARKS.includes(mark)) return true;
+  if (ABSENT_MARKS.includes(mark)) return false;
+  return null;
+}
+
+const findColumns = (headerRow) => {
+  const headers = headerRow.map(normalizeHeader);
+  const columns = {};
+
+  Object.entries(COLUMN_ALIASES).forEach(([column, aliases]) => {
+    // Exact matches first, so "Date" is not taken by a longer header such as "Match date"
+    const exact = headers.findIndex(header => aliases.includes(header));
+    const index = exact !== -1
+      ? exact
+      : headers.findIndex(header => aliases.some(alias => alias.length > 3 && header.startsWith(alias)));
+
+    if (index !== -1 && !Object.values(columns).includes(index)) {
+      columns[column] = index;
+    }
+  });
+
+  const dateColumns = headerRow
+    .map((header, index) => ({ index, date: parseImportDate(header) }))
+    .filter(entry => entry.date);
+
+  return { columns, dateColumns };
+};
+
+const isHeaderRow = ({ columns, dateColumns }) => (
+  columns.name !== undefined
+  || columns.firstName !== undefined
+  || columns.opponent !== undefined
+  || (columns.homeTeam !== undefined && columns.awayTeam !== undefined)
+  || dateColumns.length > 0
+);
+
+const readName = (row, columns) => {
+  if (columns.firstName !== undefined || columns.lastName !== undefined) {
+    const fullName = normalizeText(`${row[columns.firstName] || ''} ${row[columns.lastName] || ''}`);
+    if (fullName) return fullName;
+  }
+  return columns.name !== undefined ? row[columns.name] || '' : '';
+};
+
+const readOpponent = (row, columns, teamName) => {
+  if (columns.opponent !== undefined) {
+    return row[columns.opponent] || '';
+  }
+  if (columns.homeTeam === undefined || columns.awayTeam === undefined) {
+    return '';
+  }
+
+  const home = row[columns.homeTeam] || '';
+  const away = row[columns.awayTeam] || '';
+  const ownTeam = normalizeText(teamName).toLowerCase();
+
+  if (ownTeam && home.toLowerCase().includes(ownTeam)) return away;
+  if (ownTeam && away.toLowerCase().includes(ownTeam)) return home;
+  return home && away ? `${home} - ${away}` : home || away;
+};
+
+const dedupe = (items, keyOf, merge = (existing) => existing) => {
+  const byKey = new Map();
+  items.forEach(item => {
+    const key = keyOf(item);
+    byKey.set(key, byKey.has(key) ? merge(byKey.get(key), item) : item);
+  });
+  return Array.from(byKey.values());
+};
+
+/**
+ * Parse a provider export into roster, attendance and fixtures. A file usually
+ * holds only one of them; the others come back empty.
+ * @param {string} text - File contents
+ * @param {Object} [options]
+ * @param {string} [options.teamName] - Own team name, used to pick the opponent from home/away columns
+ * @returns {{roster: Array, attendance: Array, upcomingMatches: Array}}
+ */
+export function parseConnectorExport(text, { teamName = '' } = {}) {
+  const rows = readExportRows(text);
+  const headerIndex = rows.slice(0, HEADER_SEARCH_ROWS).findIndex(row => isHeaderRow(findColumns(row)));
+
+  if (headerIndex === -1) {
+    return { roster: [], attendance: [], upcomingMatches: [] };
+  }
+
+  const { columns, dateColumns } = findColumns(rows[headerIndex]);
+  const dataRows = rows.slice(headerIndex + 1);
+  const hasName = columns.name !== undefined || columns.firstName !== undefined || columns.lastName !== undefined;
+  const hasOpponent = columns.opponent !== undefined || (columns.homeTeam !== undefined && columns.awayTeam !== undefined);
+
+  const roster = [];
+  const attendance = [];
+  const upcomingMatches = [];
+
+  dataRows.forEach(row => {
+    if (hasOpponent && columns.date !== undefined) {
+      const date = parseImportDate(row[columns.date]);
+      const opponent = readOpponent(row, columns, teamName);
+      if (date && opponent) {
+        upcomingMatches.push({
+          date,
+          time: (columns.time !== undefined && row[columns.time]) || parseTrailingTime(row[columns.date]),
+          opponent,
+          venue: (columns.venue !== undefined && row[columns.venue]) || null
+        });
+      }
+      return;
+    }
+
+    const name = hasName ? readName(row, columns) : '';
+    if (!name) return;
+
+    roster.push({ name });
+
+    if (columns.date !== undefined) {
+      const date = parseImportDate(row[columns.date]);
+      const attended = columns.attended !== undefined ? parseAttendanceMark(row[columns.attended]) : true;
+      if (date && attended !== null) {
+        attendance.push({ name, date, attended });
+      }
+      return;
+    }
+
+    dateColumns.forEach(({ index, date }) => {
+      const attended = parseAttendanceMark(row[index]);
+      if (attended !== null) {
+        attendance.push({ name, date, attended });
+      }
+    });
+  });
+
+  return {
+    roster: dedupe(roster, player => player.name.toLowerCase()),
+    attendance: dedupe(
+      attendance,
+      record => `${record.name.toLowerCase()}|${record.date}`,
+      (existing, record) => ({ ...existing, attended: existing.attended || record.attended })
+    ),
+    upcomingMatches: dedupe(upcomingMatches, match => `${match.date}|${match.opponent.toLowerCase()}`)
+  };
+}
@@ -9,6 +9,8 @@
 
 import { createPersistenceManager } from './persistenceManager';
 import { STORAGE_KEYS } from '../constants/storageKeys';
+import { getModeDefinition } from '../constants/gameModes';
+import { FORMAT_CONFIGS } from '../constants/teamConfiguration';
 
 // Create persistence manager for debug mode
 const debugModePersistence = createPersistenceManager(STORAGE_KEYS.DEBUG_MODE, { enabled: false });
@@ -98,15 +100,9 @@ export const randomizeFormationPositions = (availablePlayers, teamConfig) => {
   const squadSize = teamConfig?.squadSize || 7;
   const format = teamConfig?.format || '5v5';
 
-  // Individual modes: Handle 5v5 and 7v7 formations
-    let fieldPlayerCount;
-
-    // Determine field player count based on format
-    if (format === '7v7') {
-      fieldPlayerCount = 6; // 7v7 has 6 field players
-    } else {
-      fieldPlayerCount = 4; // 5v5 has 4 field players (default)
-    }
+  // Individual modes: Handle all supported formats
+    // Determine field player count based on format (5v5 has 4 field players by default)
+    const fieldPlayerCount = FORMAT_CONFIGS[format]?.fieldPlayers || 4;
 
     const substituteCount = squadSize - fieldPlayerCount - 1; // Total - field players - goalie = substitutes
 
@@ -161,6 +157,17 @@ export const randomizeFormationPositions = (availablePlayers, teamConfig) => {
       for (let i = 0; i < substituteCount; i++) {
         formation[`substitute_${i + 1}`] = shuffled[6 + i]?.id || null;
       }
+    } else if (getModeDefinition(teamConfig)) {
+      // Remaining formations: fill field positions in layout order + substitutes
+      const { fieldPositions } = getModeDefinition(teamConfig);
+      fieldPositions.forEach((position, index) => {
+        formation[position] = shuffled[index]?.id || null;
+      });
+
+      // Add substitutes
+      for (let i = 0; i < substituteCount; i++) {
+        formation[`substitute_${i + 1}`] = shuffled[fieldPositions.length + i]?.id || null;
+      }
     } else {
       // Fallback to 2-2 Formation for unknown formations
       formation.leftDefender = shuffled[0]?.id || null;
@@ -2,6 +2,8 @@ import { FORMATIONS } from '../constants/teamConfiguration';
 import { getFormationDefinition } from './formationConfigUtils';
 import { PLAYER_ROLES } from '../constants/playerConstants';
 import { roleToDatabase } from '../constants/roleConstants';
+import { SUBSTITUTION_LOGIC_OPTIONS } from '../types/preferences';
+import { isSameRoleLogic, getPlayerRoleGroup, orderSubstitutesByRoleGroup } from '../game/logic/sameRoleRotation';
 
 // Role constants for formation logic (database format for consistency)
 const DB_DEFENDER = roleToDatabase(PLAYER_ROLES.DEFENDER);
@@ -25,6 +27,8 @@ const getDefinition = (teamConfig, selectedFormation = null) => {
  * @param {Array} squad - Array of squad players
  * @param {Object} teamConfig - Team configuration object
  * @param {string} selectedFormation - Formation type (2-2, 1-2-1, etc.)
+ * @param {Object} previousFormation - Formation at the end of the previous period
+ * @param {string} substitutionLogic - Team substitution logic ('equal_time' or 'same_role')
  * @returns {Object} Formation recommendation with formation, rotationQueue, and nextToRotateOff
  */
 const generateIndividualFormationRecommendation = (
@@ -33,7 +37,8 @@ const generateIndividualFormationRecommendation = (
   squad,
   teamConfig,
   selectedFormation = null,
-  previousFormation = null
+  previousFormation = null,
+  substitutionLogic = SUBSTITUTION_LOGIC_OPTIONS.EQUAL_TIME
 ) => {
   const modeDefinition = getDefinition(teamConfig, selectedFormation || teamConfig?.formation);
   if (!modeDefinition) {
@@ -46,15 +51,73 @@ const generateIndividualFormationRecommendation = (
 
   const formationKey = selectedFormation || teamConfig?.formation || FORMATIONS.FORMATION_2_2;
 
-  if (formationKey === FORMATIONS.FORMATION_1_2_1) {
-    return generate121FormationRecommendation(currentGoalieId, playerStats, squad, teamConfig);
+  // Sent-off players leave the lineup for the rest of the match
+  const sentOffIds = squad
+    .filter(p => p && (playerStats.find(s => s.id === p.id)?.stats || p.stats)?.isSentOff)
+    .map(p => p.id);
+  const eligibleSquad = squad.filter(p => !sentOffIds.includes(p?.id));
+
+  let recommendation;
+  if (isSameRoleLogic(substitutionLogic)) {
+    recommendation = generateSameRoleFormationRecommendation(currentGoalieId, playerStats, eligibleSquad, teamConfig, formationKey);
+  } else if (formationKey === FORMATIONS.FORMATION_1_2_1) {
+    recommendation = generate121FormationRecommendation(currentGoalieId, playerStats, eligibleSquad, teamConfig);
+  } else if (formationKey === FORMATIONS.FORMATION_2_2) {
+    recommendation = generate22FormationRecommendation(currentGoalieId, playerStats, eligibleSquad, teamConfig);
+  } else {
+    recommendation = generateFormationRecommendation(currentGoalieId, playerStats, eligibleSquad, teamConfig, formationKey);
   }
 
-  if (formationKey === FORMATIONS.FORMATION_2_2) {
-    return generate22FormationRecommendation(currentGoalieId, playerStats, squad, teamConfig);
+  return keepSentOffSlotsEmpty(recommendation, modeDefinition, previousFormation, sentOffIds.length);
+};
+
+/**
+ * Leave one field slot empty per sent-off player so the team stays short-handed.
+ * The slots left empty at the end of the previous period are the sent-off ones;
+ * without them the last field positions are used. A player recommended for such a
+ * slot moves to an open bench slot and to the back of the rotation queue.
+ */
+const keepSentOffSlotsEmpty = (recommendation, modeDefinition, previousFormation, sentOffCount) => {
+  if (sentOffCount === 0) {
+    return recommendation;
   }
 
-  return generateFormationRecommendation(currentGoalieId, playerStats, squad, teamConfig, formationKey);
+  const fieldPositions = modeDefinition.fieldPositions || [];
+  const substitutePositions = modeDefinition.substitutePositions || [];
+  const previouslyEmpty = previousFormation
+    ? fieldPositions.filter(position => !previousFormation[position])
+    : [];
+  const emptySlots = [...previouslyEmpty, ...[...fieldPositions].reverse()]
+    .filter((position, index, positions) => positions.indexOf(position) === index)
+    .slice(0, sentOffCount);
+
+  const formation = { ...recommendation.formation };
+  const benchedIds = [];
+  emptySlots.forEach(slot => {
+    const playerId = formation[slot];
+    formation[slot] = null;
+    if (!playerId) return;
+
+    const openPosition = [...fieldPositions.filter(position => !emptySlots.includes(position)), ...substitutePositions]
+      .find(position => !formation[position]);
+    if (openPosition) {
+      formation[openPosition] = playerId;
+      if (substitutePositions.includes(openPosition)) {
+        benchedIds.push(playerId);
+      }
+    }
+  });
+
+  const fieldPlayerIds = fieldPositions.map(position => formation[position]).filter(Boolean);
+  const rotationQueue = [
+    ...recommendation.rotationQueue.filter(id => !benchedIds.includes(id)),
+    ...benchedIds.filter(id => recommendation.rotationQueue.includes(id))
+  ];
+  const nextToRotateOff = fieldPlayerIds.includes(recommendation.nextToRotateOff)
+    ? recommendation.nextToRotateOff
+    : rotationQueue.find(id => fieldPlayerIds.includes(id)) || null;
+
+  return { formation, rotationQueue, nextToRotateOff };
 };
 
 /**
@@ -177,6 +240,78 @@ const generateFormationRecommendation = (currentGoalieId, playerStats, squad, te
   };
 };
 
+/**
+ * Generate formation recommendations that keep players in their role groups
+ * Each field position is filled by the member of its role group with the least field time,
+ * remaining slots go to the players with the least time overall, and the bench is ordered
+ * so substitutes come on for players from their own role group.
+ */
+const generateSameRoleFormationRecommendation = (currentGoalieId, playerStats, squad, teamConfig, formation) => {
+  const modeConfig = getDefinition(teamConfig, formation);
+  const fieldPositions = modeConfig?.fieldPositions || [];
+  const substitutePositions = modeConfig?.substitutePositions || [];
+
+  const outfielders = squad
+    .filter(p => p && p.id !== currentGoalieId)
+    .map(p => {
+      const pStats = playerStats.find(s => s.id === p.id);
+      const stats = pStats?.stats || p.stats || {};
+      return {
+        ...p,
+        stats,
+        roleGroup: getPlayerRoleGroup({ stats }),
+        totalOutfieldTime: stats.timeOnFieldSeconds || 0,
+        isInactive: stats.isInactive || false
+      };
+    });
+
+  const activePlayers = outfielders.filter(p => !p.isInactive);
+  const inactivePlayers = outfielders.filter(p => p.isInactive);
+
+  if (activePlayers.length <= fieldPositions.length) {
+    return handleLimitedPlayersFormation(currentGoalieId, activePlayers, inactivePlayers, teamConfig, formation);
+  }
+
+  const remainingPlayers = [...activePlayers].sort((a, b) => a.totalOutfieldTime - b.totalOutfieldTime);
+  const formationResult = { goalie: currentGoalieId };
+
+  fieldPositions.forEach(position => {
+    const role = modeConfig.positions[position]?.role;
+    const groupIndex = remainingPlayers.findIndex(p => p.roleGroup === role);
+    if (groupIndex !== -1) {
+      formationResult[position] = remainingPlayers.splice(groupIndex, 1)[0].id;
+    }
+  });
+
+  fieldPositions
+    .filter(position => !formationResult[position])
+    .forEach(position => {
+      formationResult[position] = remainingPlayers.shift()?.id || null;
+    });
+
+  addSubstitutePositions(formationResult, substitutePositions, remainingPlayers, inactivePlayers);
+
+  const fieldPlayersOrdered = fieldPositions
+    .map(position => activePlayers.find(p => p.id === formationResult[position]))
+    .filter(Boolean)
+    .sort((a, b) => b.totalOutfieldTime - a.totalOutfieldTime);
+  const rotationQueue = [...fieldPlayersOrdered, ...remainingPlayers].map(p => p.id);
+
+  const orderedFormation = orderSubstitutesByRoleGroup({
+    formation: formationResult,
+    allPlayers: outfielders,
+    rotationQueue,
+    fieldPositions,
+    substitutePositions
+  });
+
+  return {
+    formation: orderedFormation,
+    rotationQueue,
+    nextToRotateOff: fieldPlayersOrdered[0]?.id || null
+  };
+};
+
 const buildFormationForMode = (currentGoalieId, modeDefinition, playersForField, substitutesOrdered, inactivePlayers) => {
   const formation = { goalie: currentGoalieId };
   const remainingPlayers = [...playersForField];
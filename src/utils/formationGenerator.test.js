@@ -430,4 +430,175 @@ describe('Formation Generator - Individual Mode', () => {
       expect(result.formation.substitute_2).not.toBe('p6');
     });
   });
+
+  describe('Three-Line 7v7 Formations', () => {
+    test('should fill center defender and center attacker for 3-3', () => {
+      const squad = [
+        create121Player('p1', 'Player 1', 600, 100, 0, 500),
+        create121Player('p2', 'Player 2', 600, 500, 0, 100),
+        create121Player('p3', 'Player 3', 500, 100, 0, 400),
+        create121Player('p4', 'Player 4', 500, 400, 0, 100),
+        create121Player('p5', 'Player 5', 400, 0, 0, 400),
+        create121Player('p6', 'Player 6', 400, 400, 0, 0),
+        create121Player('p7', 'Player 7', 700, 350, 0, 350),
+        create121Player('p8', 'Player 8', 800, 400, 0, 400),
+        create121Player('g1', 'Goalie 1', 0)
+      ];
+
+      const result = generateIndividualFormationRecommendation(
+        'g1',
+        squad,
+        squad,
+        { format: '7v7', squadSize: 9, formation: '3-3' }
+      );
+
+      const defenders = [result.formation.leftDefender, result.formation.centerDefender, result.formation.rightDefender];
+      const attackers = [result.formation.leftAttacker, result.formation.centerAttacker, result.formation.rightAttacker];
+
+      // Players with the most attacker time defend, players with the most defender time attack
+      expect(defenders.sort()).toEqual(['p1', 'p3', 'p5']);
+      expect(attackers.sort()).toEqual(['p2', 'p4', 'p6']);
+      expect(result.formation.substitute_1).toBe('p7');
+      expect(result.formation.substitute_2).toBe('p8');
+    });
+  });
+
+  describe('Same-Role Substitution Logic', () => {
+    const createRolePlayer = (id, timeOnField, status, role, lastFieldRole = null) => ({
+      id,
+      displayName: `Player ${id}`,
+      stats: {
+        timeOnFieldSeconds: timeOnField,
+        timeAsDefenderSeconds: role === 'DEFENDER' ? timeOnField : 0,
+        timeAsAttackerSeconds: role === 'ATTACKER' ? timeOnField : 0,
+        timeAsGoalieSeconds: 0,
+        currentStatus: status,
+        currentRole: role,
+        lastFieldRole,
+        isInactive: false
+      }
+    });
+
+    const createSquad = () => [
+      createRolePlayer('p1', 600, 'on_field', 'DEFENDER'),
+      createRolePlayer('p2', 600, 'on_field', 'DEFENDER'),
+      createRolePlayer('p3', 600, 'on_field', 'ATTACKER'),
+      createRolePlayer('p4', 600, 'on_field', 'ATTACKER'),
+      createRolePlayer('p5', 300, 'substitute', 'SUBSTITUTE', 'DEFENDER'),
+      createRolePlayer('p6', 300, 'substitute', 'SUBSTITUTE', 'ATTACKER'),
+      createRolePlayer('g1', 0, 'goalie', 'GOALIE')
+    ];
+
+    test('keeps players in their role group and lines up substitutes by role', () => {
+      const squad = createSquad();
+
+      const result = generateIndividualFormationRecommendation(
+        'g1',
+        squad,
+        squad,
+        TEAM_CONFIGS.INDIVIDUAL_7,
+        '2-2',
+        null,
+        'same_role'
+      );
+
+      const defenders = [result.formation.leftDefender, result.formation.rightDefender];
+      const attackers = [result.formation.leftAttacker, result.formation.rightAttacker];
+
+      expect(defenders).toContain('p5');
+      expect(attackers).toContain('p6');
+      defenders.forEach(id => expect(['p1', 'p2', 'p5']).toContain(id));
+      attackers.forEach(id => expect(['p3', 'p4', 'p6']).toContain(id));
+
+      // The substitute coming on first replaces a player from their own role group
+      const nextOff = result.nextToRotateOff;
+      const nextOffIsDefender = defenders.includes(nextOff);
+      const firstSubstitute = result.formation.substitute_1;
+      expect(nextOffIsDefender ? ['p1', 'p2'] : ['p3', 'p4']).toContain(firstSubstitute);
+      expect(result.rotationQueue[0]).toBe(nextOff);
+    });
+
+    test('falls back to equal-time recommendation by default', () => {
+      const squad = createSquad();
+
+      const result = generateIndividualFormationRecommendation(
+        'g1',
+        squad,
+        squad,
+        TEAM_CONFIGS.INDIVIDUAL_7
+      );
+
+      const fieldPlayers = ['leftDefender', 'rightDefender', 'leftAttacker', 'rightAttacker']
+        .map(position => result.formation[position]);
+      expect(fieldPlayers).toEqual(expect.arrayContaining(['p5', 'p6']));
+    });
+  });
+
+  describe('Sent-Off Players', () => {
+    const createSquad = () => [
+      createIndividualPlayer('p1', 'Player 1', 600),
+      createIndividualPlayer('p2', 'Player 2', 600),
+      createIndividualPlayer('p3', 'Player 3', 300, true),
+      createIndividualPlayer('p4', 'Player 4', 600),
+      createIndividualPlayer('p5', 'Player 5', 300),
+      createIndividualPlayer('p6', 'Player 6', 300),
+      createIndividualPlayer('g1', 'Goalie 1', 0)
+    ];
+
+    test('keeps the sent-off slot empty and leaves the player out of the lineup', () => {
+      const squad = createSquad();
+      squad[2].stats.isSentOff = true;
+      const previousFormation = {
+        goalie: 'g1',
+        leftDefender: 'p1',
+        rightDefender: 'p2',
+        leftAttacker: null,
+        rightAttacker: 'p4',
+        substitute_1: 'p5',
+        substitute_2: 'p6'
+      };
+
+      const result = generateIndividualFormationRecommendation(
+        'g1',
+        squad,
+        squad,
+        TEAM_CONFIGS.INDIVIDUAL_7,
+        '2-2',
+        previousFormation
+      );
+
+      expect(result.formation.leftAttacker).toBeNull();
+      expect(Object.values(result.formation)).not.toContain('p3');
+      expect(result.rotationQueue).not.toContain('p3');
+
+      const fieldPlayers = ['leftDefender', 'rightDefender', 'rightAttacker'].map(position => result.formation[position]);
+      const substitutes = [result.formation.substitute_1, result.formation.substitute_2];
+      expect(new Set([...fieldPlayers, ...substitutes]).size).toBe(5);
+      expect(substitutes).not.toContain(null);
+      expect(fieldPlayers).toContain(result.nextToRotateOff);
+    });
+
+    test('keeps an empty slot when no substitute is left', () => {
+      const squad = createSquad().filter(player => !['p5', 'p6'].includes(player.id));
+      squad[2].stats.isSentOff = true;
+
+      const result = generateIndividualFormationRecommendation(
+        'g1',
+        squad,
+        squad,
+        { ...TEAM_CONFIGS.INDIVIDUAL_7, squadSize: 5 },
+        '2-2',
+        { goalie: 'g1', leftDefender: 'p1', rightDefender: 'p2', leftAttacker: null, rightAttacker: 'p4' }
+      );
+
+      expect(result.formation).toEqual({
+        goalie: 'g1',
+        leftDefender: expect.any(String),
+        rightDefender: expect.any(String),
+        leftAttacker: null,
+        rightAttacker: expect.any(String)
+      });
+      expect(Object.values(result.formation)).not.toContain('p3');
+    });
+  });
 });
@@ -13,6 +13,7 @@ export const EVENT_TYPES = {
   MATCH_END: 'match_end',
   MATCH_ABANDONED: 'match_abandoned',
   MATCH_SUSPENDED: 'match_suspended',
+  SHOOTOUT_END: 'shootout_end',
   
   // Period events
   PERIOD_START: 'period_start',
@@ -30,6 +31,14 @@ export const EVENT_TYPES = {
   FAIR_PLAY_AWARD: 'fair_play_award',
   PLAYER_INACTIVATED: 'player_inactivated',
   PLAYER_ACTIVATED: 'player_activated',
+  PLAYER_INJURED: 'player_injured',
+  PLAYER_RETURNED: 'player_returned',
+
+  // Disciplinary events
+  YELLOW_CARD: 'yellow_card',
+  RED_CARD: 'red_card',
+  SIN_BIN_STARTED: 'sin_bin_started',
+  SIN_BIN_ENDED: 'sin_bin_ended',
   
   // Scoring events
   GOAL_SCORED: 'goal_scored',
@@ -65,6 +74,8 @@ const eventsPersistence = createPersistenceManager(
 // Global state for event tracking
 let eventSequenceNumber = 0;
 let matchStartTime = null;
+// Regular period count from the match start event; later periods are extra time
+let regulationPeriods = null;
 let currentEvents = [];
 let eventListeners = [];
 
@@ -235,6 +246,7 @@ export const loadEvents = () => {
       const matchStartEvent = currentEvents.find(e => e.type === EVENT_TYPES.MATCH_START);
       if (matchStartEvent) {
         matchStartTime = matchStartEvent.timestamp;
+        regulationPeriods = matchStartEvent.data?.numPeriods || null;
       }
 
       return storage;
@@ -263,17 +275,21 @@ export const logEvent = (type, data = {}, customTimestamp = null) => {
     
     const timestamp = customTimestamp || Date.now();
     eventSequenceNumber++;
+
+    const periodNumber = data.periodNumber || null;
+    const isExtraTime = Boolean(periodNumber && regulationPeriods && periodNumber > regulationPeriods);
     
     const event = {
       id: data.eventId || generateEventId(),
       type,
       timestamp,
       matchTime: calculateMatchTime(timestamp),
-      periodNumber: data.periodNumber || null,
+      periodNumber,
       sequence: eventSequenceNumber,
       data: { ...data },
       undone: false,
-      relatedEventId: data.relatedEventId || null
+      relatedEventId: data.relatedEventId || null,
+      ...(isExtraTime ? { isExtraTime: true } : {})
     };
     
     // Validate event structure
@@ -285,6 +301,7 @@ export const logEvent = (type, data = {}, customTimestamp = null) => {
     // Special handling for match start
     if (type === EVENT_TYPES.MATCH_START) {
       matchStartTime = timestamp;
+      regulationPeriods = data.numPeriods || null;
       event.matchTime = '00:00';
     }
     
@@ -491,6 +508,7 @@ export const clearAllEvents = () => {
     currentEvents = [];
     eventSequenceNumber = 0;
     matchStartTime = null;
+    regulationPeriods = null;
 
     // Clear using PersistenceManager
     eventsPersistence.clearState();
@@ -560,6 +578,41 @@ export const updateEventData = (eventId, newData) => {
   }
 };
 
+/**
+ * Replace all events with events from another device (co-coach match control).
+ * Events are renumbered in timestamp order since each device numbers its own.
+ * Listeners get 'events_replaced' instead of 'events_saved', so the other
+ * device's events are not persisted to the database a second time.
+ */
+export const replaceEvents = (events = []) => {
+  try {
+    const ordered = [...events]
+      .sort((a, b) => (a.timestamp - b.timestamp) || ((a.sequence || 0) - (b.sequence || 0)))
+      .map((event, index) => ({ ...event, sequence: index + 1 }));
+
+    eventSequenceNumber = ordered.length;
+
+    const matchStartEvent = ordered.find(e => e.type === EVENT_TYPES.MATCH_START);
+    matchStartTime = matchStartEvent ? matchStartEvent.timestamp : null;
+    regulationPeriods = matchStartEvent?.data?.numPeriods || null;
+
+    const storage = createEventStorage(ordered);
+    storage.checksum = calculateChecksum(storage);
+
+    if (!eventsPersistence.saveState(storage)) {
+      throw new Error('PersistenceManager failed to save events');
+    }
+
+    currentEvents = ordered;
+    notifyEventListeners('events_replaced', { events: ordered });
+
+    return true;
+  } catch (error) {
+    console.error('Failed to replace events:', error);
+    return false;
+  }
+};
+
 /**
  * Initialize event logger
  */
@@ -0,0 +1,96 @@
+/**
+ * Goalie rotation helpers
+ *
+ * Goalie history comes from goalie_time_seconds in player_match_stats, which
+ * is converted to periods using each match's period length. Proposals hand
+ * out the next match's periods to the players with the fewest goalie periods.
+ */
+
+/**
+ * Convert goalie time to goalie periods, rounded to the nearest half period.
+ * @param {number} goalieSeconds - Time spent in goal
+ * @param {number} periodDurationMinutes - Period length of the match
+ * @returns {number} Goalie periods
+ */
+export const calculateGoaliePeriods = (goalieSeconds, periodDurationMinutes) => {
+  if (!Number.isFinite(goalieSeconds) || goalieSeconds <= 0) return 0;
+  if (!Number.isFinite(periodDurationMinutes) || periodDurationMinutes <= 0) return 0;
+  return Math.round((goalieSeconds / (periodDurationMinutes * 60)) * 2) / 2;
+};
+
+/**
+ * Summarise goalie time per player.
+ * @param {Array} matches - Matches with id and period_duration_minutes
+ * @param {Array} stats - player_match_stats rows with player_id, match_id and goalie_time_seconds
+ * @returns {Map} Player ID to { goaliePeriods, goalieMatches, goalieSeconds }
+ */
+export const buildGoalieHistory = (matches, stats) => {
+  const periodLengthByMatch = new Map(
+    (matches || []).map(match => [match.id, match.period_duration_minutes])
+  );
+  const history = new Map();
+
+  (stats || []).forEach((row) => {
+    const seconds = row?.goalie_time_seconds || 0;
+    if (!row?.player_id || seconds <= 0 || !periodLengthByMatch.has(row.match_id)) return;
+
+    const entry = history.get(row.player_id) || { goaliePeriods: 0, goalieMatches: 0, goalieSeconds: 0 };
+    entry.goaliePeriods += calculateGoaliePeriods(seconds, periodLengthByMatch.get(row.match_id));
+    entry.goalieMatches += 1;
+    entry.goalieSeconds += seconds;
+    history.set(row.player_id, entry);
+  });
+
+  return history;
+};
+
+/**
+ * Propose a goalie for each period of the next match.
+ *
+ * Only squad players marked as willing are considered; when nobody in the
+ * squad is willing, the whole squad is. Each period goes to the candidate with
+ * the fewest goalie periods so far, then the fewest goalie matches, counting
+ * what has already been proposed for this match.
+ *
+ * @param {Object} params
+ * @param {Array} params.squadPlayers - Squad players in display order, each with an id
+ * @param {number} params.numPeriods - Number of periods in the match
+ * @param {Map} params.history - Goalie history from buildGoalieHistory
+ * @param {Array} params.willingIds - IDs of players willing to play goalie
+ * @returns {Object} Period number to player ID, empty when the squad is empty
+ */
+export const proposeGoalieAssignments = ({ squadPlayers, numPeriods, history, willingIds }) => {
+  const squad = squadPlayers || [];
+  const willingSet = new Set(willingIds || []);
+  const willing = squad.filter(player => willingSet.has(player.id));
+  const candidates = willing.length > 0 ? willing : squad;
+  if (candidates.length === 0) return {};
+
+  const periodsById = new Map(candidates.map(player => [
+    player.id,
+    history?.get(player.id)?.goaliePeriods || 0
+  ]));
+  const matchesById = new Map(candidates.map(player => [
+    player.id,
+    history?.get(player.id)?.goalieMatches || 0
+  ]));
+  const orderById = new Map(candidates.map((player, index) => [player.id, index]));
+
+  const assignments = {};
+  for (let period = 1; period <= numPeriods; period++) {
+    const [next] = [...candidates].sort((a, b) => {
+      const periodDiff = periodsById.get(a.id) - periodsById.get(b.id);
+      if (periodDiff !== 0) return periodDiff;
+      const matchDiff = matchesById.get(a.id) - matchesById.get(b.id);
+      if (matchDiff !== 0) return matchDiff;
+      return orderById.get(a.id) - orderById.get(b.id);
+    });
+    if (!Object.values(assignments).includes(next.id)) {
+      matchesById.set(next.id, matchesById.get(next.id) + 1);
+    }
+    assignments[period] = next.id;
+    periodsById.set(next.id, periodsById.get(next.id) + 1);
+  }
+
+  return assignments;
+};
@@ -0,0 +1,292 @@
+/**
+ * iCalendar (RFC 5545) helpers
+ *
+ * Builds the .ics export of the team calendar and parses fixture lists
+ * imported from league sites. Only the VEVENT properties Sport Wizard uses are
+ * handled; everything else is ignored on import.
+ *
+ * Event shape used by both directions:
+ * {
+ *   uid, summary, description, location,
+ *   startDate: 'YYYY-MM-DD',
+ *   startTime: 'HH:MM' | null,   // null for all-day events
+ *   startsAt: ISO string | null, // exact instant, preferred over startDate/startTime
+ *   durationMinutes: number | null,
+ *   cancelled: boolean
+ * }
+ */
+
+const PRODUCT_ID = '-//Sport Wizard//Team Calendar//EN';
+const MAX_LINE_OCTETS = 75;
+const DEFAULT_DURATION_MINUTES = 60;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const utf8Length = (character) => {
+  const codePoint = character.codePointAt(0);
+  if (codePoint < 0x80) return 1;
+  if (codePoint < 0x800) return 2;
+  if (codePoint < 0x10000) return 3;
+  return 4;
+};
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma and newlines)
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Reverse escapeText for imported values
+ * @param {string} value
+ * @returns {string}
+ */
+export function unescapeText(value) {
+  return String(value ?? '').replace(/\\([\\;,nN])/g, (_, escaped) => (
+    escaped === 'n' || escaped === 'N' ? '\n' : escaped
+  ));
+}
+
+/**
+ * Fold a content line at 75 octets, continuation lines start with a space
+ * @param {string} line
+ * @returns {string} Folded line joined with CRLF
+ */
+export function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const character of line) {
+    const octets = utf8Length(character);
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += character;
+    currentOctets += octets;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+const formatDateValue = (dateKey) => dateKey.replace(/-/g, '');
+
+const formatUtcDateTime = (date) => (
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+  `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`
+);
+
+const nextDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const next = new Date(Date.UTC(year, month - 1, day + 1));
+  return `${next.getUTCFullYear()}-${pad(next.getUTCMonth() + 1)}-${pad(next.getUTCDate())}`;
+};
+
+const buildTimingLines = (event) => {
+  const duration = `DURATION:PT${event.durationMinutes || DEFAULT_DURATION_MINUTES}M`;
+
+  if (event.startsAt) {
+    const startsAt = new Date(event.startsAt);
+    if (!Number.isNaN(startsAt.getTime())) {
+      return [`DTSTART:${formatUtcDateTime(startsAt)}`, duration];
+    }
+  }
+
+  if (!event.startDate) return null;
+
+  if (!event.startTime) {
+    return [
+      `DTSTART;VALUE=DATE:${formatDateValue(event.startDate)}`,
+      `DTEND;VALUE=DATE:${formatDateValue(nextDateKey(event.startDate))}`
+    ];
+  }
+
+  // Floating local time: shown at the same wall-clock time on every device
+  const [hours, minutes] = event.startTime.split(':');
+  return [`DTSTART:${formatDateValue(event.startDate)}T${pad(hours)}${pad(minutes)}00`, duration];
+};
+
+/**
+ * Build an iCalendar document
+ * @param {Array<Object>} events - Events in the shape described above
+ * @param {Object} [options]
+ * @param {string} [options.calendarName] - X-WR-CALNAME shown by calendar apps
+ * @param {Date} [options.now] - DTSTAMP for every event (defaults to now)
+ * @returns {string} .ics text with CRLF line endings
+ */
+export function buildICalendar(events = [], { calendarName, now = new Date() } = {}) {
+  const stamp = formatUtcDateTime(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (calendarName) {
+    lines.push(`X-WR-CALNAME:${escapeText(calendarName)}`);
+  }
+
+  events.forEach(event => {
+    const timing = buildTimingLines(event);
+    if (!event?.uid || !timing) return;
+
+    lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${stamp}`, ...timing);
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.location) {
+      lines.push(`LOCATION:${escapeText(event.location)}`);
+    }
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    lines.push(`STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`, 'END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+// Split "NAME;PARAM=x:VALUE" at the first colon outside a quoted parameter
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  for (let index = 0; index < line.length; index += 1) {
+    const character = line[index];
+    if (character === '"') {
+      inQuotes = !inQuotes;
+    } else if (character === ':' && !inQuotes) {
+      const [name, ...params] = line.slice(0, index).split(';');
+      return {
+        name: name.toUpperCase(),
+        params: params.map(param => param.toUpperCase()),
+        value: line.slice(index + 1)
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * Read a DTSTART value as a local date and time
+ *
+ * UTC values (trailing Z) are converted to the device's time zone. TZID and
+ * floating values are read as wall-clock time, which matches league
+ * calendars published in the team's own time zone.
+ * @param {string} value - e.g. 20260412, 20260412T140000 or 20260412T120000Z
+ * @param {Array<string>} params - Upper-cased property parameters
+ * @returns {{ startDate: string, startTime: string|null }|null}
+ */
+export function parseDateTimeValue(value, params = []) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, , utc] = match;
+  if (hours === undefined || params.includes('VALUE=DATE')) {
+    return { startDate: `${year}-${month}-${day}`, startTime: null };
+  }
+
+  if (utc) {
+    const local = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes)));
+    return {
+      startDate: `${local.getFullYear()}-${pad(local.getMonth() + 1)}-${pad(local.getDate())}`,
+      startTime: `${pad(local.getHours())}:${pad(local.getMinutes())}`
+    };
+  }
+
+  return { startDate: `${year}-${month}-${day}`, startTime: `${hours}:${minutes}` };
+}
+
+/**
+ * Parse the VEVENTs of an iCalendar document
+ * @param {string} text - .ics file contents
+ * @returns {Array<Object>} Events in the shape described above (startsAt is not set)
+ */
+export function parseICalendar(text) {
+  if (typeof text !== 'string' || !text.includes('BEGIN:VCALENDAR')) {
+    return [];
+  }
+
+  const lines = text.replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const events = [];
+  let current = null;
+  // Depth of components nested inside the current event (e.g. VALARM)
+  let nestedDepth = 0;
+
+  lines.forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const upperLine = line.toUpperCase();
+    if (upperLine === 'BEGIN:VEVENT') {
+      current = { uid: null, summary: '', description: '', location: '', startDate: null, startTime: null, cancelled: false };
+      nestedDepth = 0;
+      return;
+    }
+    if (!current) return;
+
+    if (upperLine.startsWith('BEGIN:')) {
+      nestedDepth += 1;
+      return;
+    }
+    if (nestedDepth > 0) {
+      if (upperLine.startsWith('END:')) {
+        nestedDepth -= 1;
+      }
+      return;
+    }
+
+    if (upperLine === 'END:VEVENT') {
+      if (current.startDate) {
+        events.push(current);
+      }
+      current = null;
+      return;
+    }
+
+    const property = parseContentLine(line);
+    if (!property) return;
+
+    switch (property.name) {
+      case 'UID':
+        current.uid = property.value.trim();
+        break;
+      case 'SUMMARY':
+        current.summary = unescapeText(property.value).trim();
+        break;
+      case 'DESCRIPTION':
+        current.description = unescapeText(property.value).trim();
+        break;
+      case 'LOCATION':
+        current.location = unescapeText(property.value).trim();
+        break;
+      case 'STATUS':
+        current.cancelled = property.value.trim().toUpperCase() === 'CANCELLED';
+        break;
+      case 'DTSTART': {
+        const start = parseDateTimeValue(property.value, property.params);
+        if (start) {
+          current.startDate = start.startDate;
+          current.startTime = start.startTime;
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  return events;
+}
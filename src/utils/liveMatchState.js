@@ -0,0 +1,453 @@
+import { PLAYER_ROLES } from '../constants/playerConstants';
+import { getPositionRole } from '../game/logic/positionUtils';
+import { buildPlayerNameMap, parseEventTime, sortEventsByOrdinal } from './matchEventConsolidation';
+
+/**
+ * Live match state derived from match_log_event rows only
+ *
+ * Everything here works on the public event feed (get-live-match-events and the
+ * live-match broadcast), so the spectator view needs no authenticated access to
+ * the match, players or formation tables.
+ */
+
+const PERIOD_START_TYPES = ['match_started', 'period_started'];
+const PERIOD_END_TYPES = ['period_ended', 'match_ended'];
+
+/**
+ * Build the active playing-time segments of a match.
+ * Each segment runs from a match/period start to the matching period/match end.
+ * An open period runs until now while live, otherwise until the last event.
+ *
+ * @param {Array} events - Raw match events from Supabase
+ * @param {boolean} isLive - Whether the match is still in progress
+ * @param {number} [currentTimeMs] - Override for "now" (primarily for tests)
+ * @returns {Array<{start: number, end: number}>} Segments in epoch milliseconds
+ */
+export const buildEffectiveTimeSegments = (events = [], isLive = false, currentTimeMs = Date.now()) => {
+  if (!Array.isArray(events) || events.length === 0) return [];
+
+  const sortedEvents = [...events].sort((a, b) => {
+    const timeA = parseEventTime(a);
+    const timeB = parseEventTime(b);
+    if (timeA !== null && timeB !== null && timeA !== timeB) {
+      return timeA - timeB;
+    }
+
+    const ordinalA = typeof a?.ordinal === 'number' ? a.ordinal : 0;
+    const ordinalB = typeof b?.ordinal === 'number' ? b.ordinal : 0;
+    return ordinalA - ordinalB;
+  });
+
+  const segments = [];
+  let currentPeriodStart = null;
+  let lastEventTime = null;
+
+  const closeSegment = (endTime) => {
+    if (currentPeriodStart === null || !Number.isFinite(endTime)) return;
+    if (endTime > currentPeriodStart) {
+      segments.push({ start: currentPeriodStart, end: endTime });
+    }
+    currentPeriodStart = null;
+  };
+
+  sortedEvents.forEach(event => {
+    const eventTime = parseEventTime(event);
+    if (Number.isFinite(eventTime)) {
+      lastEventTime = eventTime;
+    } else {
+      return;
+    }
+
+    if (PERIOD_START_TYPES.includes(event.event_type) && currentPeriodStart === null) {
+      currentPeriodStart = eventTime;
+      return;
+    }
+
+    if (PERIOD_END_TYPES.includes(event.event_type)) {
+      closeSegment(eventTime);
+    }
+  });
+
+  if (currentPeriodStart !== null) {
+    const fallbackEnd = isLive ? currentTimeMs : lastEventTime;
+    if (Number.isFinite(fallbackEnd) && fallbackEnd > currentPeriodStart) {
+      segments.push({ start: currentPeriodStart, end: fallbackEnd });
+    }
+  }
+
+  return segments;
+};
+
+/**
+ * Create a function that converts a timestamp into effective match seconds
+ * (playing time only, intermissions excluded).
+ *
+ * @param {Array} events - Raw match events from Supabase
+ * @param {boolean} isLive - Whether the match is still in progress
+ * @param {number} [currentTimeMs] - Override for "now" (primarily for tests)
+ * @returns {Function} (timestampMs) => seconds or null when there is no playing time
+ */
+export const createEffectiveTimeCalculator = (events = [], isLive = false, currentTimeMs = Date.now()) => {
+  const segments = buildEffectiveTimeSegments(events, isLive, currentTimeMs);
+
+  return (timestampMs) => {
+    if (!Number.isFinite(timestampMs) || segments.length === 0) return null;
+
+    let totalMs = 0;
+    segments.forEach(({ start, end }) => {
+      if (!Number.isFinite(start)) return;
+
+      const segmentEnd = Number.isFinite(end)
+        ? end
+        : (isLive ? currentTimeMs : timestampMs);
+
+      if (timestampMs <= start) return;
+      const effectiveEnd = Math.min(timestampMs, segmentEnd);
+      if (effectiveEnd > start) {
+        totalMs += effectiveEnd - start;
+      }
+    });
+
+    return Math.max(0, Math.floor(totalMs / 1000));
+  };
+};
+
+/**
+ * Calculate effective match duration (playing time only).
+ * Sums active period time using start/end events and excludes intermissions.
+ *
+ * @param {Array} events - Raw match events from Supabase
+ * @param {boolean} isLive - Whether the match is still in progress
+ * @param {number} [currentTimeMs] - Override for "now" (primarily for tests)
+ * @returns {number} Total active play time in seconds
+ */
+export function calculateEffectiveMatchDurationSeconds(events = [], isLive = false, currentTimeMs = Date.now()) {
+  const segments = buildEffectiveTimeSegments(events, isLive, currentTimeMs);
+  if (!segments.length) return 0;
+
+  const totalMs = segments.reduce((sum, segment) => {
+    if (!Number.isFinite(segment?.start) || !Number.isFinite(segment?.end)) return sum;
+    return sum + Math.max(0, segment.end - segment.start);
+  }, 0);
+
+  return Math.max(0, Math.floor(totalMs / 1000));
+}
+
+/**
+ * Derive the period clock shown on the live scoreboard.
+ *
+ * @param {Array} events - Raw match events from Supabase
+ * @param {boolean} isLive - Whether the match is still in progress
+ * @param {number} [currentTimeMs] - Override for "now" (primarily for tests)
+ * @returns {{period: number, isExtraTime: boolean, isRunning: boolean, elapsedSeconds: number}}
+ */
+export function getPeriodClock(events = [], isLive = false, currentTimeMs = Date.now()) {
+  const sortedEvents = sortEventsByOrdinal(Array.isArray(events) ? events : []);
+  let lastStart = null;
+  let periodIsOpen = false;
+
+  sortedEvents.forEach(event => {
+    if (PERIOD_START_TYPES.includes(event.event_type)) {
+      lastStart = event;
+      periodIsOpen = true;
+    } else if (PERIOD_END_TYPES.includes(event.event_type)) {
+      periodIsOpen = false;
+    }
+  });
+
+  const segments = buildEffectiveTimeSegments(events, isLive, currentTimeMs);
+  const lastSegment = segments[segments.length - 1];
+
+  return {
+    period: lastStart?.period || 0,
+    isExtraTime: Boolean(lastStart?.is_extra_time),
+    isRunning: Boolean(isLive && periodIsOpen),
+    elapsedSeconds: lastSegment ? Math.max(0, Math.floor((lastSegment.end - lastSegment.start) / 1000)) : 0
+  };
+}
+
+const isBenchPosition = (position) => getPositionRole(position) === PLAYER_ROLES.SUBSTITUTE;
+
+const getBenchSlot = (position) => {
+  const slot = parseInt(String(position || '').replace(/\D/g, ''), 10);
+  return Number.isFinite(slot) ? slot : Number.MAX_SAFE_INTEGER;
+};
+
+const getDisplayName = (event) => {
+  const data = event?.data || {};
+  return data.display_name || data.playerName || null;
+};
+
+/**
+ * Replay the match log into the current lineup and each player's playing time.
+ *
+ * Lineups come from the startingLineup payload of match_started and
+ * period_started events. Substitutions, position and goalie switches, injuries,
+ * cards and sin-bins are then applied in ordinal order. Playing time is counted
+ * in effective match seconds, so intermissions and sin-bins are excluded, and
+ * split by role (bench time counts as SUBSTITUTE).
+ *
+ * @param {Array} events - Raw match events from Supabase
+ * @param {Object} [options]
+ * @param {boolean} [options.isLive=false] - Whether the match is still in progress
+ * @param {number} [options.currentTimeMs] - Override for "now" (primarily for tests)
+ * @returns {{hasLineup: boolean, onField: Array, bench: Array, sentOff: Array}}
+ */
+export function deriveLiveLineup(events = [], { isLive = false, currentTimeMs = Date.now() } = {}) {
+  const sortedEvents = sortEventsByOrdinal(Array.isArray(events) ? events : []);
+  const effectiveTimeAt = createEffectiveTimeCalculator(sortedEvents, isLive, currentTimeMs);
+  const playerNameMap = buildPlayerNameMap(sortedEvents);
+
+  const players = new Map();
+  const positions = new Map();
+  let hasLineup = false;
+
+  const effectiveSecondsAt = (event) => effectiveTimeAt(parseEventTime(event)) ?? 0;
+
+  const isOnField = (player) => Boolean(
+    player.position &&
+    !isBenchPosition(player.position) &&
+    !player.isSentOff &&
+    !player.isSinBinned &&
+    !player.isInjured
+  );
+
+  // Older lineups only carry names, so players are matched by name until an id shows up
+  const resolveKey = (playerId, name) => {
+    if (playerId && players.has(playerId)) return playerId;
+    const nameKey = name ? `name:${name}` : null;
+    if (nameKey && players.has(nameKey)) {
+      if (!playerId) return nameKey;
+      const player = players.get(nameKey);
+      players.delete(nameKey);
+      player.id = playerId;
+      players.set(playerId, player);
+      if (player.position) positions.set(player.position, playerId);
+      return playerId;
+    }
+    return playerId || nameKey;
+  };
+
+  const getPlayer = (playerId, name = null) => {
+    const key = resolveKey(playerId, name);
+    if (!key) return null;
+    if (!players.has(key)) {
+      players.set(key, {
+        id: playerId || null,
+        name: name || (playerId ? playerNameMap.get(playerId) : null) || null,
+        position: null,
+        secondsPlayed: 0,
+        stintStartSeconds: null,
+        secondsByRole: {},
+        roleStartSeconds: null,
+        isSinBinned: false,
+        isInjured: false,
+        isInactive: false,
+        isSentOff: false
+      });
+    }
+    const player = players.get(key);
+    if (!player.name && name) player.name = name;
+    return player;
+  };
+
+  // Role the player's time currently counts towards, or null when it does not count
+  const timeRoleOf = (player) => {
+    if (isOnField(player)) return getPositionRole(player.position) || PLAYER_ROLES.FIELD_PLAYER;
+    if (player.position && !player.isSentOff && !player.isSinBinned && !player.isInjured) return PLAYER_ROLES.SUBSTITUTE;
+    return null;
+  };
+
+  const keyOf = (player) => player.id || `name:${player.name}`;
+
+  const update = (player, seconds, mutate) => {
+    const wasOnField = isOnField(player);
+    const previousRole = timeRoleOf(player);
+    mutate();
+    const nowOnField = isOnField(player);
+    const nextRole = timeRoleOf(player);
+
+    if (!wasOnField && nowOnField) {
+      player.stintStartSeconds = seconds;
+    } else if (wasOnField && !nowOnField) {
+      player.secondsPlayed += Math.max(0, seconds - (player.stintStartSeconds ?? seconds));
+      player.stintStartSeconds = null;
+    }
+
+    if (previousRole !== nextRole) {
+      if (previousRole) {
+        player.secondsByRole[previousRole] = (player.secondsByRole[previousRole] || 0)
+          + Math.max(0, seconds - (player.roleStartSeconds ?? seconds));
+      }
+      player.roleStartSeconds = nextRole ? seconds : null;
+    }
+  };
+
+  const setPosition = (player, position, seconds) => {
+    update(player, seconds, () => {
+      if (player.position && positions.get(player.position) === keyOf(player)) {
+        positions.delete(player.position);
+      }
+      player.position = position || null;
+      if (position) positions.set(position, keyOf(player));
+    });
+  };
+
+  // Move a player into a position; whoever held it takes the player's old spot
+  const movePlayer = (player, position, seconds) => {
+    if (!player || !position || player.position === position) return;
+    const previousPosition = player.position;
+    const holder = players.get(positions.get(position));
+
+    setPosition(player, position, seconds);
+    if (holder && holder !== player) {
+      setPosition(holder, previousPosition, seconds);
+    }
+  };
+
+  const applyLineup = (lineup, seconds) => {
+    const assigned = new Set();
+    lineup.forEach(entry => {
+      const player = getPlayer(entry?.playerId || null, entry?.name && entry.name !== 'Unknown' ? entry.name : null);
+      if (player && entry?.position) assigned.add(player);
+    });
+
+    players.forEach(player => {
+      if (!assigned.has(player)) setPosition(player, null, seconds);
+    });
+    positions.clear();
+    lineup.forEach(entry => {
+      const player = getPlayer(entry?.playerId || null, entry?.name && entry.name !== 'Unknown' ? entry.name : null);
+      if (!player || !entry?.position) return;
+      update(player, seconds, () => {
+        player.position = entry.position;
+        positions.set(entry.position, keyOf(player));
+      });
+    });
+  };
+
+  const substitutionGroups = new Map();
+  sortedEvents.forEach(event => {
+    if (event.event_type !== 'substitution_out' && event.event_type !== 'substitution_in') return;
+    const groupKey = event.correlation_id || event.id;
+    if (!substitutionGroups.has(groupKey)) {
+      substitutionGroups.set(groupKey, { playersOff: [], playersOn: [] });
+    }
+    const group = substitutionGroups.get(groupKey);
+    (event.event_type === 'substitution_out' ? group.playersOff : group.playersOn).push(event);
+  });
+  const appliedSubstitutions = new Set();
+
+  sortedEvents.forEach(event => {
+    const seconds = effectiveSecondsAt(event);
+    const data = event.data || {};
+
+    switch (event.event_type) {
+      case 'match_started':
+      case 'period_started': {
+        if (Array.isArray(data.startingLineup) && data.startingLineup.length > 0) {
+          hasLineup = true;
+          applyLineup(data.startingLineup, seconds);
+        }
+        break;
+      }
+      case 'substitution_out':
+      case 'substitution_in': {
+        const groupKey = event.correlation_id || event.id;
+        if (appliedSubstitutions.has(groupKey)) break;
+        appliedSubstitutions.add(groupKey);
+
+        const { playersOff, playersOn } = substitutionGroups.get(groupKey);
+        playersOn.forEach((onEvent, index) => {
+          const offEvent = playersOff[index];
+          if (!offEvent) return;
+          const playerOff = getPlayer(offEvent.player_id, getDisplayName(offEvent));
+          const playerOn = getPlayer(onEvent.player_id, getDisplayName(onEvent));
+          if (playerOff?.position) {
+            movePlayer(playerOn, playerOff.position, seconds);
+          }
+        });
+        break;
+      }
+      case 'position_switch': {
+        const newPosition = data.new_position || data.newPosition;
+        movePlayer(getPlayer(event.player_id, getDisplayName(event)), newPosition, seconds);
+        break;
+      }
+      case 'goalie_enters': {
+        movePlayer(getPlayer(event.player_id, getDisplayName(event)), 'goalie', seconds);
+        break;
+      }
+      case 'player_injured':
+      case 'red_card': {
+        const player = getPlayer(event.player_id, getDisplayName(event));
+        if (!player) break;
+        const fieldPosition = data.fieldPosition || player.position;
+        if (data.replacementId && fieldPosition) {
+          movePlayer(getPlayer(data.replacementId, data.replacementName || null), fieldPosition, seconds);
+        }
+        if (event.event_type === 'red_card') {
+          update(player, seconds, () => { player.isSentOff = true; });
+          setPosition(player, null, seconds);
+        } else {
+          update(player, seconds, () => { player.isInjured = true; });
+        }
+        break;
+      }
+      case 'player_returned': {
+        const player = getPlayer(event.player_id, getDisplayName(event));
+        if (player) update(player, seconds, () => { player.isInjured = false; });
+        break;
+      }
+      case 'sin_bin_started':
+      case 'sin_bin_ended': {
+        const player = getPlayer(event.player_id, getDisplayName(event));
+        if (player) update(player, seconds, () => { player.isSinBinned = event.event_type === 'sin_bin_started'; });
+        break;
+      }
+      case 'player_inactivated':
+      case 'player_activated':
+      case 'player_reactivated': {
+        const player = getPlayer(event.player_id, getDisplayName(event));
+        if (player) update(player, seconds, () => { player.isInactive = event.event_type === 'player_inactivated'; });
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  const nowSeconds = effectiveTimeAt(currentTimeMs) ?? 0;
+  const summarizeRoleSeconds = (player) => {
+    const currentRole = timeRoleOf(player);
+    if (!currentRole || player.roleStartSeconds === null) return { ...player.secondsByRole };
+    return {
+      ...player.secondsByRole,
+      [currentRole]: (player.secondsByRole[currentRole] || 0) + Math.max(0, nowSeconds - player.roleStartSeconds)
+    };
+  };
+
+  const summaries = Array.from(players.values()).map(player => ({
+    id: player.id,
+    name: player.name,
+    position: player.position,
+    secondsPlayed: player.secondsPlayed + (player.stintStartSeconds !== null
+      ? Math.max(0, nowSeconds - player.stintStartSeconds)
+      : 0),
+    secondsByRole: summarizeRoleSeconds(player),
+    isSinBinned: player.isSinBinned,
+    isInjured: player.isInjured,
+    isInactive: player.isInactive,
+    isSentOff: player.isSentOff
+  }));
+
+  const onField = summaries.filter(player =>
+    player.position && !isBenchPosition(player.position) && !player.isSentOff && !player.isInjured
+  );
+  const sentOff = summaries.filter(player => player.isSentOff);
+  const bench = summaries
+    .filter(player => !onField.includes(player) && !player.isSentOff)
+    .sort((a, b) => getBenchSlot(a.position) - getBenchSlot(b.position));
+
+  return { hasLineup, onField, bench, sentOff };
+}
@@ -0,0 +1,142 @@
+/**
+ * Match announcement helpers
+ *
+ * Build the sentences spoken by speechAnnouncementService: the upcoming
+ * substitution when the sub timer alert fires, the match clock warnings and
+ * the match alert rules.
+ * Texts come from the game namespace so they follow the app language.
+ */
+
+import { getSubstituteTargetPositions } from '../game/ui/positionUtils';
+import { findPlayerById } from './playerUtils';
+import { MATCH_TIMER_ALERTS } from '../constants/audioAlerts';
+import { MATCH_ALERT_TYPES } from '../game/logic/matchAlerts';
+
+/**
+ * Map player ids to their configured pronunciation
+ * @param {Array<{id: string, phonetic_name?: string|null}>} teamPlayers - Roster players from TeamContext
+ * @returns {Object} { [playerId]: phoneticName } for players with a pronunciation
+ */
+export function buildPhoneticNameMap(teamPlayers = []) {
+  const phoneticNames = {};
+  (teamPlayers || []).forEach(player => {
+    const phoneticName = player?.phonetic_name?.trim();
+    if (player?.id && phoneticName) {
+      phoneticNames[player.id] = phoneticName;
+    }
+  });
+  return phoneticNames;
+}
+
+/**
+ * Name to speak for a game player, preferring the configured pronunciation
+ * @param {Object|null} player - Game player ({ id, displayName, firstName })
+ * @param {Object} [phoneticNames] - { [playerId]: phoneticName }
+ * @returns {string} Spoken name, or '' for an unknown player
+ */
+export function getSpokenPlayerName(player, phoneticNames = {}) {
+  if (!player) return '';
+  return phoneticNames[player.id] || player.displayName || player.firstName || '';
+}
+
+/**
+ * Sentence announcing the next substitution, e.g.
+ * "Substitution: Alva in for Maja at left defender"
+ * @param {Object} params
+ * @param {Object} params.formation - Current formation (position → player id)
+ * @param {Array<string>} params.rotationQueue - On-field players in substitution order
+ * @param {Array} params.allPlayers - Game players
+ * @param {Array<string>} params.fieldPositions - Field position keys of the formation
+ * @param {Array<string>} params.substitutePositions - Substitute position keys of the formation
+ * @param {number} [params.substitutionCount] - Players changed per substitution
+ * @param {Object} [params.phoneticNames] - { [playerId]: phoneticName }
+ * @param {Function} params.t - Translation function for the game namespace
+ * @returns {string|null} Sentence to speak, or null when nobody is lined up
+ */
+export function buildSubstitutionAnnouncement({
+  formation,
+  rotationQueue = [],
+  allPlayers = [],
+  fieldPositions = [],
+  substitutePositions = [],
+  substitutionCount = 1,
+  phoneticNames = {},
+  t
+}) {
+  if (!formation || !Array.isArray(rotationQueue) || rotationQueue.length === 0) {
+    return null;
+  }
+
+  const targetPositions = getSubstituteTargetPositions(
+    rotationQueue,
+    formation,
+    fieldPositions,
+    substitutePositions,
+    substitutionCount
+  );
+
+  const changes = Object.entries(targetPositions)
+    .map(([substitutePosition, fieldPosition]) => {
+      const playerIn = getSpokenPlayerName(findPlayerById(allPlayers, formation[substitutePosition]), phoneticNames);
+      const playerOut = getSpokenPlayerName(findPlayerById(allPlayers, formation[fieldPosition]), phoneticNames);
+      if (!playerIn || !playerOut) {
+        return null;
+      }
+      return t('announcements.change', {
+        playerIn,
+        playerOut,
+        position: t(`formation.positions.${fieldPosition}`, { defaultValue: fieldPosition }).toLowerCase()
+      });
+    })
+    .filter(Boolean);
+
+  if (changes.length === 0) {
+    return null;
+  }
+
+  return t('announcements.substitution', { changes: changes.join('. ') });
+}
+
+/**
+ * Sentence for a match clock alert
+ * @param {string} alertId - Id from MATCH_TIMER_ALERTS
+ * @param {number} periodNumber - Current period
+ * @param {Function} t - Translation function for the game namespace
+ * @returns {string|null} Sentence to speak, or null for an unknown alert
+ */
+export function buildMatchTimerAnnouncement(alertId, periodNumber, t) {
+  const alert = MATCH_TIMER_ALERTS.find(candidate => candidate.id === alertId);
+  return alert ? t(`announcements.${alert.id}`, { period: periodNumber }) : null;
+}
+
+/**
+ * Sentence for a fired match alert rule
+ * @param {Object} alert - Alert from stepMatchAlerts ({ rule, playerId?, minutes? })
+ * @param {Object} context
+ * @param {number} context.periodNumber - Current period
+ * @param {Array} [context.allPlayers] - Game players, used for player alerts
+ * @param {Object} [context.phoneticNames] - { [playerId]: phoneticName }
+ * @param {Function} context.t - Translation function for the game namespace
+ * @returns {string|null} Sentence to speak, or null for an unknown alert
+ */
+export function buildMatchAlertAnnouncement(alert, { periodNumber, allPlayers = [], phoneticNames = {}, t }) {
+  const type = alert?.rule?.type;
+
+  switch (type) {
+    case MATCH_ALERT_TYPES.PERIOD_REMAINING:
+      return alert.minutes === 1
+        ? t('announcements.periodRemainingOneMinute', { period: periodNumber })
+        : t('announcements.periodRemaining', { minutes: alert.minutes, period: periodNumber });
+    case MATCH_ALERT_TYPES.HALFWAY:
+      return t('announcements.halfway', { period: periodNumber });
+    case MATCH_ALERT_TYPES.PERIOD_END:
+      return t('announcements.periodEndReminder', { period: periodNumber });
+    case MATCH_ALERT_TYPES.PLAYER_ON_FIELD:
+    case MATCH_ALERT_TYPES.GOALIE_NOT_ROTATED: {
+      const name = getSpokenPlayerName(findPlayerById(allPlayers, alert.playerId), phoneticNames);
+      return name ? t(`announcements.${type}`, { name, minutes: alert.minutes }) : null;
+    }
+    default:
+      return null;
+  }
+}
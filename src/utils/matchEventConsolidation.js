@@ -1,6 +1,7 @@
 export const EVENT_TYPE_MAPPING = {
   match_started: 'match_start',
   match_ended: 'match_end',
+  shootout_ended: 'shootout_end',
   period_started: 'period_start',
   period_ended: 'period_end',
   goal_scored: 'goal_scored',
@@ -16,6 +17,12 @@ export const EVENT_TYPE_MAPPING = {
   player_inactivated: 'player_inactivated',
   player_activated: 'player_activated',
   player_reactivated: 'player_activated',
+  player_injured: 'player_injured',
+  player_returned: 'player_returned',
+  yellow_card: 'yellow_card',
+  red_card: 'red_card',
+  sin_bin_started: 'sin_bin_started',
+  sin_bin_ended: 'sin_bin_ended',
   fair_play_award: 'fair_play_award'
 };
 
@@ -327,6 +334,8 @@ export function buildPlayerNameMap(events = []) {
     if (data.sourcePlayerId) addName(data.sourcePlayerId, data.sourcePlayerName);
     if (data.targetPlayerId) addName(data.targetPlayerId, data.targetPlayerName);
     if (data.swapPlayerId) addName(data.swapPlayerId, data.swapPlayerName);
+    if (data.assistId) addName(data.assistId, data.assistName);
+    if (data.replacementId) addName(data.replacementId, data.replacementName);
 
     if (data.goalieId) addName(data.goalieId, data.goalieName || primaryName);
     if (data.previousGoalieId || data.oldGoalieId) {
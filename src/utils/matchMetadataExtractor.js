@@ -4,6 +4,7 @@ export function extractMatchMetadata(events = []) {
   const matchStartEvent = events.find(e => e.event_type === 'match_started');
   const matchCreatedEvent = events.find(e => e.event_type === 'match_created');
   const matchEndEvent = events.find(e => e.event_type === 'match_ended');
+  const shootoutEndEvent = events.find(e => e.event_type === 'shootout_ended');
   const periodStartEvents = events.filter(e => e.event_type === 'period_started');
   const goalScoredEvents = events.filter(e => e.event_type === 'goal_scored');
   const goalConcededEvents = events.filter(e => e.event_type === 'goal_conceded');
@@ -24,6 +25,8 @@ export function extractMatchMetadata(events = []) {
   // Calculate scores
   const ownScore = goalScoredEvents.length;
   const opponentScore = goalConcededEvents.length;
+  const ownShootoutScore = shootoutEndEvent ? shootoutEndEvent.data?.ownScore ?? 0 : null;
+  const opponentShootoutScore = shootoutEndEvent ? shootoutEndEvent.data?.opponentScore ?? 0 : null;
 
   // Determine current period
   const currentPeriod = periodStartEvents.length;
@@ -53,6 +56,8 @@ export function extractMatchMetadata(events = []) {
     opponentName,
     ownScore,
     opponentScore,
+    ownShootoutScore,
+    opponentShootoutScore,
     currentPeriod,
     matchStartTime,
     matchEndTime,
@@ -0,0 +1,148 @@
+/**
+ * Opponent directory helpers
+ *
+ * Name matching mirrors the database functions in the opponent directory migration
+ * (normalize_opponent_name / opponent_names_match), so merge suggestions in the UI
+ * agree with how new opponent names are resolved when a match is saved.
+ */
+
+const LAST_MEETINGS_LIMIT = 5;
+
+/**
+ * Lowercase, strip punctuation and collapse whitespace
+ * @param {string} name - Opponent name
+ * @returns {string}
+ */
+export function normalizeOpponentName(name) {
+  if (!name) return '';
+  return String(name)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Whether two name tokens are equal or one abbreviates the other
+ * ("sthlm" abbreviates "stockholm": same first letter, letters appear in order)
+ */
+function tokensMatch(a, b) {
+  if (a === b) return true;
+
+  const [short, long] = a.length < b.length ? [a, b] : [b, a];
+  if (short.length < 2 || short.length === long.length || short[0] !== long[0]) {
+    return false;
+  }
+
+  let position = 0;
+  for (const char of short) {
+    position = long.indexOf(char, position);
+    if (position === -1) return false;
+    position += 1;
+  }
+  return true;
+}
+
+/**
+ * Whether two opponent names most likely refer to the same team
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {boolean}
+ */
+export function areOpponentNamesSimilar(a, b) {
+  const tokensA = normalizeOpponentName(a).split(' ').filter(Boolean);
+  const tokensB = normalizeOpponentName(b).split(' ').filter(Boolean);
+
+  if (tokensA.length === 0 || tokensA.length !== tokensB.length) {
+    return false;
+  }
+
+  return tokensA.every((token, index) => tokensMatch(token, tokensB[index]));
+}
+
+/**
+ * All names an opponent is known by
+ * @param {Object} opponent - Opponent ({ name, aliases })
+ * @returns {string[]}
+ */
+export function getOpponentNames(opponent) {
+  if (!opponent) return [];
+  const aliases = Array.isArray(opponent.aliases) ? opponent.aliases : [];
+  return [opponent.name, ...aliases].filter(Boolean);
+}
+
+/**
+ * Other opponents that look like the same team, as merge suggestions
+ * @param {Object} opponent - Opponent to compare
+ * @param {Array} opponents - All team opponents
+ * @returns {Array} Similar opponents
+ */
+export function findSimilarOpponents(opponent, opponents = []) {
+  if (!opponent) return [];
+  const names = getOpponentNames(opponent);
+
+  return opponents.filter(candidate => (
+    candidate.id !== opponent.id &&
+    getOpponentNames(candidate).some(candidateName => (
+      names.some(name => areOpponentNamesSimilar(name, candidateName))
+    ))
+  ));
+}
+
+/**
+ * Matches played against an opponent
+ * Matches are linked by opponent id; unlinked matches fall back to the opponent names.
+ * @param {Array} matches - Finished matches (getFinishedMatches shape)
+ * @param {Object} opponent - Opponent
+ * @returns {Array}
+ */
+export function getMatchesAgainstOpponent(matches = [], opponent) {
+  if (!opponent) return [];
+  const normalizedNames = new Set(getOpponentNames(opponent).map(normalizeOpponentName));
+
+  return matches.filter(match => (
+    match.opponentId
+      ? match.opponentId === opponent.id
+      : normalizedNames.has(normalizeOpponentName(match.opponent))
+  ));
+}
+
+/**
+ * Head-to-head summary against one opponent
+ * @param {Array} matches - Finished matches against the opponent (getFinishedMatches shape)
+ * @returns {{
+ *   played: number,
+ *   wins: number,
+ *   draws: number,
+ *   losses: number,
+ *   goalsFor: number,
+ *   goalsAgainst: number,
+ *   lastMeetings: Array,
+ *   scorers: Array<{ playerId: string, name: string, goals: number }>
+ * }}
+ */
+export function buildHeadToHead(matches = []) {
+  const sortedMatches = [...matches].sort((a, b) => new Date(b.date) - new Date(a.date));
+  const scorersById = new Map();
+
+  sortedMatches.forEach(match => {
+    (match.scorers || []).forEach(({ playerId, name, goals }) => {
+      if (!playerId || !goals) return;
+      const existing = scorersById.get(playerId) || { playerId, name, goals: 0 };
+      existing.goals += goals;
+      scorersById.set(playerId, existing);
+    });
+  });
+
+  return {
+    played: sortedMatches.length,
+    wins: sortedMatches.filter(m => m.outcome === 'W').length,
+    draws: sortedMatches.filter(m => m.outcome === 'D').length,
+    losses: sortedMatches.filter(m => m.outcome === 'L').length,
+    goalsFor: sortedMatches.reduce((sum, m) => sum + (m.goalsScored || 0), 0),
+    goalsAgainst: sortedMatches.reduce((sum, m) => sum + (m.goalsConceded || 0), 0),
+    lastMeetings: sortedMatches.slice(0, LAST_MEETINGS_LIMIT),
+    scorers: Array.from(scorersById.values())
+      .sort((a, b) => b.goals - a.goals || a.name.localeCompare(b.name))
+  };
+}
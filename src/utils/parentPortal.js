@@ -0,0 +1,138 @@
+/**
+ * Parent portal helpers
+ *
+ * Summarises the player_match_stats of a parent's linked children (minutes,
+ * goals and time per position) and picks the running and upcoming matches of
+ * their teams from the team calendar, with any availability request to answer.
+ */
+
+import { CALENDAR_ENTRY_TYPES } from './teamCalendar';
+
+export const PARENT_PORTAL_POSITIONS = ['goalie', 'defender', 'midfielder', 'attacker'];
+
+const DEFAULT_RECENT_MATCHES = 5;
+const DEFAULT_UPCOMING_MATCHES = 3;
+
+const firstRelation = (relation) => (Array.isArray(relation) ? (relation[0] || null) : (relation || null));
+
+const toSeconds = (value) => (Number.isFinite(value) && value > 0 ? value : 0);
+
+/**
+ * Summarise a player's finished matches.
+ *
+ * Playing time is outfield time plus goalie time; total_field_time_seconds
+ * leaves the goalie out. Rows of unfinished or deleted matches are ignored.
+ * @param {Array} rows - player_match_stats rows with match(id, opponent, state, started_at, finished_at, goals_scored, goals_conceded, deleted_at)
+ * @param {Object} [options]
+ * @param {number} [options.recentLimit=5] - Number of recent matches to list
+ * @returns {{matchesPlayed: number, secondsPlayed: number, goals: number, positions: Array, recentMatches: Array}}
+ */
+export function summarizeChildStats(rows = [], { recentLimit = DEFAULT_RECENT_MATCHES } = {}) {
+  const positionSeconds = Object.fromEntries(PARENT_PORTAL_POSITIONS.map(position => [position, 0]));
+  const matches = [];
+  let secondsPlayed = 0;
+  let goals = 0;
+
+  (rows || []).forEach(row => {
+    const match = firstRelation(row?.match);
+    if (!match || match.state !== 'finished' || match.deleted_at) return;
+
+    const seconds = toSeconds(row.total_field_time_seconds) + toSeconds(row.goalie_time_seconds);
+    const matchGoals = row.goals_scored || 0;
+
+    PARENT_PORTAL_POSITIONS.forEach(position => {
+      positionSeconds[position] += toSeconds(row[`${position}_time_seconds`]);
+    });
+    secondsPlayed += seconds;
+    goals += matchGoals;
+
+    matches.push({
+      matchId: match.id,
+      opponent: match.opponent || null,
+      playedAt: match.started_at || match.finished_at || null,
+      goalsScored: match.goals_scored ?? null,
+      goalsConceded: match.goals_conceded ?? null,
+      secondsPlayed: seconds,
+      goals: matchGoals,
+      startedAs: row.started_as || null
+    });
+  });
+
+  const positionTotal = Object.values(positionSeconds).reduce((sum, seconds) => sum + seconds, 0);
+  const positions = PARENT_PORTAL_POSITIONS
+    .filter(position => positionSeconds[position] > 0)
+    .map(position => ({
+      position,
+      seconds: positionSeconds[position],
+      percent: Math.round((positionSeconds[position] / positionTotal) * 100)
+    }))
+    .sort((a, b) => b.seconds - a.seconds);
+
+  const recentMatches = matches
+    .sort((a, b) => (b.playedAt || '').localeCompare(a.playedAt || ''))
+    .slice(0, recentLimit);
+
+  return {
+    matchesPlayed: matches.length,
+    secondsPlayed,
+    goals,
+    positions,
+    recentMatches
+  };
+}
+
+/**
+ * Pick a team's running and upcoming matches from its calendar entries.
+ * @param {Array} entries - From buildCalendarEntries
+ * @param {Object} options
+ * @param {string} options.todayKey - Today as YYYY-MM-DD
+ * @param {number} [options.limit=3] - Number of upcoming matches to keep
+ * @returns {{liveMatches: Array, upcomingMatches: Array}}
+ */
+export function selectParentMatches(entries = [], { todayKey, limit = DEFAULT_UPCOMING_MATCHES } = {}) {
+  const liveMatches = [];
+  const upcomingMatches = [];
+
+  (entries || []).forEach(entry => {
+    if (entry.type === CALENDAR_ENTRY_TYPES.MATCH && entry.state === 'running') {
+      liveMatches.push(entry);
+      return;
+    }
+
+    const isUpcoming = entry.type === CALENDAR_ENTRY_TYPES.UPCOMING ||
+      (entry.type === CALENDAR_ENTRY_TYPES.MATCH && entry.state === 'pending');
+    if (isUpcoming && (!todayKey || entry.date >= todayKey)) {
+      upcomingMatches.push(entry);
+    }
+  });
+
+  return { liveMatches, upcomingMatches: upcomingMatches.slice(0, limit) };
+}
+
+/**
+ * Add the child's availability request to each upcoming fixture that has one.
+ * @param {Array} upcomingMatches - From selectParentMatches
+ * @param {Array} rows - The child's app rows of upcoming_match_player with upcoming_match(availability_requested_at, availability_deadline)
+ * @returns {Array} Entries, with availabilityRequest { requestedAt, deadline, availability, respondedAt } where requested
+ */
+export function attachAvailabilityRequests(upcomingMatches = [], rows = []) {
+  const rowsByMatch = new Map((rows || []).map(row => [row.upcoming_match_id, row]));
+
+  return upcomingMatches.map(entry => {
+    const row = entry.type === CALENDAR_ENTRY_TYPES.UPCOMING ? rowsByMatch.get(entry.id) : null;
+    const request = firstRelation(row?.upcoming_match);
+    if (!request?.availability_requested_at) {
+      return entry;
+    }
+
+    return {
+      ...entry,
+      availabilityRequest: {
+        requestedAt: request.availability_requested_at,
+        deadline: request.availability_deadline || null,
+        availability: row.responded_at ? row.availability : null,
+        respondedAt: row.responded_at || null
+      }
+    };
+  });
+}
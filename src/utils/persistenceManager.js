@@ -1,5 +1,6 @@
 import { DEFAULT_VENUE_TYPE } from '../constants/matchVenues';
 import { STORAGE_KEYS } from '../constants/storageKeys';
+import { SUBSTITUTION_LOGIC_OPTIONS } from '../types/preferences';
 
 /**
  * Manages localStorage operations for game state persistence
@@ -243,6 +244,11 @@ export class GamePersistenceManager extends PersistenceManager {
       ownScore: 0,
       opponentScore: 0,
       trackGoalScorer: true,
+      trackAssists: false,
+      substitutionLogic: SUBSTITUTION_LOGIC_OPTIONS.EQUAL_TIME,
+      rotationPlan: null,
+      shootout: null,
+      extraTime: null,
       // Match event tracking state for Match Report feature
       matchEvents: [],
       matchStartTime: null,
@@ -331,6 +337,11 @@ export class GamePersistenceManager extends PersistenceManager {
       ownScore: gameState.ownScore ?? defaults.ownScore ?? 0,
       opponentScore: gameState.opponentScore ?? defaults.opponentScore ?? 0,
       trackGoalScorer: gameState.trackGoalScorer ?? defaults.trackGoalScorer ?? true,
+      trackAssists: gameState.trackAssists ?? defaults.trackAssists ?? false,
+      substitutionLogic: gameState.substitutionLogic ?? defaults.substitutionLogic ?? SUBSTITUTION_LOGIC_OPTIONS.EQUAL_TIME,
+      rotationPlan: gameState.rotationPlan ?? defaults.rotationPlan ?? null,
+      shootout: gameState.shootout ?? defaults.shootout ?? null,
+      extraTime: gameState.extraTime ?? defaults.extraTime ?? null,
       // Match event tracking state for Match Report feature
       matchEvents: gameState.matchEvents ?? defaults.matchEvents ?? [],
       matchStartTime: gameState.matchStartTime ?? defaults.matchStartTime ?? null,
@@ -62,6 +62,9 @@ export const getCurrentDefenders = (formation, teamConfig) => {
 
   if (formation.leftDefender) defenders.push(formation.leftDefender);
   if (formation.rightDefender) defenders.push(formation.rightDefender);
+  if (formation.centerDefender) defenders.push(formation.centerDefender); // For 3-defender formations
+  if (formation.leftCenterDefender) defenders.push(formation.leftCenterDefender); // For 4-defender formations
+  if (formation.rightCenterDefender) defenders.push(formation.rightCenterDefender);
   if (formation.defender) defenders.push(formation.defender); // For 1-2-1 formation
 
   return defenders;
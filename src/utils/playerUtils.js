@@ -16,6 +16,8 @@ export const createEmptyPlayerStats = () => ({
   timeOnFieldSeconds: 0, // Total outfield play time
   timeAsSubSeconds: 0,   // Total time as substitute
   timeAsGoalieSeconds: 0, // Total time as goalie
+  timeInjuredSeconds: 0, // Total time sidelined by injury (kept apart from substitute time)
+  timeSinBinnedSeconds: 0, // Total time served in the sin-bin (kept apart from field time)
   // Role-specific time tracking for new points system
   timeAsDefenderSeconds: 0, // Total time spent as defender
   timeAsAttackerSeconds: 0, // Total time spent as attacker
@@ -26,6 +28,9 @@ export const createEmptyPlayerStats = () => ({
   lastStintStartTimeEpoch: 0, // For calculating duration of current stint
   currentPositionKey: null, // Formation slot key (e.g., 'leftDefender', 'substitute_1')
   isInactive: false, // For 7-player individual mode - temporarily removes player from rotation
+  isInjured: false, // Injured players are also inactive until they return to the match
+  isSentOff: false, // Red-carded players stay inactive for the rest of the match
+  sinBin: null, // Active sin-bin suspension: { startedAtSeconds, queueIndex }
   isCaptain: false, // Captain designation for the current game
   goals: 0,
   saves: 0,
@@ -276,6 +281,16 @@ export const getOutfieldPlayers = (allPlayers, selectedSquadIds, goalieId) => {
   );
 };
 
+/**
+ * Counts the players sent off with a red card. Their field slots stay empty
+ * for the rest of the match, so the team plays short-handed.
+ * @param {Array} players - Array of player objects (usually the selected squad)
+ * @returns {number} Number of sent-off players
+ */
+export const countSentOffPlayers = (players = []) => {
+  return players.filter(p => p?.stats?.isSentOff).length;
+};
+
 /**
  * Determine if a player actually participated in the match (took the field or played goalie)
  * @param {Object} player - Player object with stats
@@ -0,0 +1,104 @@
+/**
+ * Rotation Plan Print Utilities
+ *
+ * Renders a rotation plan as a standalone HTML document and opens it in a new
+ * window for printing. Used by PeriodSetupScreen.
+ */
+
+import { formatTime } from './formatUtils';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Build a printable HTML document for a rotation plan
+ * @param {Object} params
+ * @param {Object} params.plan - Rotation plan from generateRotationPlan
+ * @param {Function} params.getPlayerName - Resolves a player ID to a display name
+ * @param {Function} params.getPositionName - Resolves a position key to a display name
+ * @param {Object} params.labels - Translated labels: title, period, goalie, startingLineup, time, off, on, position, expectedTime, noSubstitutions
+ * @returns {string} HTML document
+ */
+export function buildRotationPlanPrintHtml({ plan, getPlayerName, getPositionName, labels }) {
+  const name = (playerId) => escapeHtml(getPlayerName(playerId) || playerId);
+
+  const periodSections = plan.periods.map(periodPlan => {
+    const lineup = Object.entries(periodPlan.startingLineup)
+      .map(([position, playerId]) => `<li>${escapeHtml(getPositionName(position))}: ${name(playerId)}</li>`)
+      .join('');
+
+    const rows = periodPlan.substitutions.map(substitution => `
+        <tr>
+          <td>${formatTime(substitution.atSeconds)}</td>
+          <td>${substitution.playersOff.map(name).join(', ')}</td>
+          <td>${substitution.playersOn.map(name).join(', ')}</td>
+          <td>${substitution.positions.map(position => escapeHtml(getPositionName(position))).join(', ')}</td>
+        </tr>`).join('');
+
+    const table = periodPlan.substitutions.length > 0
+      ? `<table>
+        <thead><tr><th>${escapeHtml(labels.time)}</th><th>${escapeHtml(labels.off)}</th><th>${escapeHtml(labels.on)}</th><th>${escapeHtml(labels.position)}</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>`
+      : `<p>${escapeHtml(labels.noSubstitutions)}</p>`;
+
+    return `
+    <section>
+      <h2>${escapeHtml(labels.period(periodPlan.period))}</h2>
+      <p><strong>${escapeHtml(labels.goalie)}:</strong> ${periodPlan.goalieId ? name(periodPlan.goalieId) : '-'}</p>
+      <p><strong>${escapeHtml(labels.startingLineup)}:</strong></p>
+      <ul>${lineup}</ul>
+      ${table}
+    </section>`;
+  }).join('');
+
+  const expectedRows = Object.entries(plan.expectedFieldSeconds)
+    .sort(([, a], [, b]) => b - a)
+    .map(([playerId, seconds]) => `<tr><td>${name(playerId)}</td><td>${formatTime(seconds)}</td></tr>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(labels.title)}</title>
+  <style>
+    body { font-family: sans-serif; font-size: 12px; margin: 16px; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 12px; }
+    th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; }
+    section { page-break-inside: avoid; margin-bottom: 16px; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(labels.title)}</h1>
+  ${periodSections}
+  <section>
+    <h2>${escapeHtml(labels.expectedTime)}</h2>
+    <table><tbody>${expectedRows}</tbody></table>
+  </section>
+</body>
+</html>`;
+}
+
+/**
+ * Open a rotation plan in a new window and start printing
+ * @param {Object} params - Same parameters as buildRotationPlanPrintHtml
+ * @returns {boolean} False when the browser blocked the print window
+ */
+export function printRotationPlan(params) {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    return false;
+  }
+
+  printWindow.document.open();
+  printWindow.document.write(buildRotationPlanPrintHtml(params));
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+  return true;
+}
@@ -0,0 +1,94 @@
+/**
+ * Season helpers
+ *
+ * Seasons are stored with plain start/end dates. Statistics filters work on
+ * Date ranges, so a season covers its start date from local midnight up to
+ * the very end of its end date.
+ */
+
+import { formatDateKey, parseDateKey } from './trainingUtils';
+
+export const SEASON_STATUS = {
+  ACTIVE: 'active',
+  ARCHIVED: 'archived'
+};
+
+// Time filter preset IDs for seasons are the season ID with this prefix
+export const SEASON_PRESET_PREFIX = 'season:';
+
+export const getSeasonPresetId = (seasonId) => `${SEASON_PRESET_PREFIX}${seasonId}`;
+
+export const isSeasonPresetId = (presetId) => (
+  typeof presetId === 'string' && presetId.startsWith(SEASON_PRESET_PREFIX)
+);
+
+export const getSeasonIdFromPresetId = (presetId) => (
+  isSeasonPresetId(presetId) ? presetId.slice(SEASON_PRESET_PREFIX.length) : null
+);
+
+/**
+ * Date range covered by a season
+ * @param {Object} season - Season row with start_date and end_date
+ * @returns {{start: Date|null, end: Date|null}}
+ */
+export function getSeasonRange(season) {
+  const start = parseDateKey(season?.start_date);
+  const endDay = parseDateKey(season?.end_date);
+  const end = endDay
+    ? new Date(endDay.getFullYear(), endDay.getMonth(), endDay.getDate(), 23, 59, 59, 999)
+    : null;
+  return { start, end };
+}
+
+/**
+ * Find the season covering a date, preferring the active season
+ * @param {Array} seasons - Season rows
+ * @param {Date} date - Date to look up (default: now)
+ * @returns {Object|null}
+ */
+export function findSeasonForDate(seasons, date = new Date()) {
+  const dateKey = formatDateKey(date);
+  if (!dateKey) return null;
+
+  const covering = (seasons || []).filter(season => (
+    season?.start_date && season?.end_date &&
+    season.start_date <= dateKey && season.end_date >= dateKey
+  ));
+
+  return covering.find(season => season.status === SEASON_STATUS.ACTIVE) || covering[0] || null;
+}
+
+/**
+ * Suggest the season that follows another: the same dates one year later,
+ * keeping age group and format
+ * @param {Object} season - Season being rolled over
+ * @returns {{name: string, startDate: string, endDate: string, ageGroup: string, format: string}}
+ */
+export function suggestNextSeason(season) {
+  const start = parseDateKey(season?.start_date);
+  const end = parseDateKey(season?.end_date);
+
+  if (!start || !end) {
+    const year = new Date().getFullYear();
+    return {
+      name: String(year),
+      startDate: `${year}-01-01`,
+      endDate: `${year}-12-31`,
+      ageGroup: season?.age_group || '',
+      format: season?.format || ''
+    };
+  }
+
+  const nextStart = new Date(start.getFullYear() + 1, start.getMonth(), start.getDate());
+  const nextEnd = new Date(end.getFullYear() + 1, end.getMonth(), end.getDate());
+  const startYear = nextStart.getFullYear();
+  const endYear = nextEnd.getFullYear();
+
+  return {
+    name: startYear === endYear ? String(startYear) : `${startYear}/${endYear}`,
+    startDate: formatDateKey(nextStart),
+    endDate: formatDateKey(nextEnd),
+    ageGroup: season.age_group || '',
+    format: season.format || ''
+  };
+}
@@ -0,0 +1,219 @@
+/**
+ * Team calendar helpers
+ *
+ * Combines upcoming fixtures (connector sync or .ics import), Sport Wizard
+ * matches and training sessions into one list of dated entries, and converts
+ * between those entries and iCalendar events.
+ */
+
+import { formatDateKey } from './trainingUtils';
+
+export const CALENDAR_ENTRY_TYPES = {
+  UPCOMING: 'upcoming',
+  MATCH: 'match',
+  TRAINING: 'training'
+};
+
+const MAX_OPPONENT_LENGTH = 200;
+const MAX_VENUE_LENGTH = 200;
+const MAX_UID_LENGTH = 255;
+const UID_DOMAIN = 'sportwizard.se';
+
+// "Home - Away", "Home vs Away", "Home v. Away", "Home – Away"
+const SUMMARY_SEPARATOR = /\s+(?:-|–|—|vs\.?|v\.?)\s+/i;
+
+const normalizeName = (name) => (name || '').trim().toLowerCase();
+
+// Connector match_time is free text; only HH:MM values are treated as times
+const trimTime = (time) => (typeof time === 'string' && /^\d{2}:\d{2}/.test(time) ? time.slice(0, 5) : null);
+
+const toLocalDateAndTime = (timestamp) => {
+  if (!timestamp) return { date: null, time: null };
+  const date = new Date(timestamp);
+  if (Number.isNaN(date.getTime())) return { date: null, time: null };
+  return {
+    date: formatDateKey(date),
+    time: `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`
+  };
+};
+
+const firstRelation = (relation) => (Array.isArray(relation) ? (relation[0] || null) : (relation || null));
+
+const compareEntries = (a, b) => {
+  const dateCompare = a.date.localeCompare(b.date);
+  if (dateCompare !== 0) return dateCompare;
+  if (!a.time && !b.time) return 0;
+  if (!a.time) return -1;
+  if (!b.time) return 1;
+  return a.time.localeCompare(b.time);
+};
+
+/**
+ * Build calendar entries from database rows
+ *
+ * Upcoming matches already linked to a planned match are left out; the match
+ * row shows them, dated from the linked fixture.
+ * @param {Object} rows
+ * @param {Array} rows.upcomingMatches - upcoming_match rows
+ * @param {Array} rows.matches - match rows, optionally with upcoming_match(match_date, match_time, venue)
+ * @param {Array} rows.trainingSessions - training_session rows
+ * @returns {Array<Object>} Entries { id, type, date, time, opponent, location, state, venueType, source, cancelled } sorted by date and time
+ */
+export function buildCalendarEntries({ upcomingMatches = [], matches = [], trainingSessions = [] } = {}) {
+  const entries = [];
+
+  upcomingMatches.forEach(match => {
+    if (!match?.match_date || match.planned_match_id) return;
+    entries.push({
+      id: match.id,
+      type: CALENDAR_ENTRY_TYPES.UPCOMING,
+      date: match.match_date.slice(0, 10),
+      time: trimTime(match.match_time),
+      opponent: match.opponent,
+      location: match.venue || null,
+      source: match.source || 'connector'
+    });
+  });
+
+  matches.forEach(match => {
+    const linkedUpcoming = firstRelation(match?.upcoming_match);
+    let date = linkedUpcoming?.match_date?.slice(0, 10) || null;
+    let time = trimTime(linkedUpcoming?.match_time);
+
+    if (!date) {
+      ({ date, time } = toLocalDateAndTime(match?.started_at || match?.created_at));
+    }
+    if (!date) return;
+
+    entries.push({
+      id: match.id,
+      type: CALENDAR_ENTRY_TYPES.MATCH,
+      date,
+      time,
+      opponent: match.opponent || null,
+      location: linkedUpcoming?.venue || null,
+      state: match.state,
+      venueType: match.venue_type || null,
+      goalsScored: match.goals_scored ?? null,
+      goalsConceded: match.goals_conceded ?? null
+    });
+  });
+
+  trainingSessions.forEach(session => {
+    if (!session?.session_date) return;
+    entries.push({
+      id: session.id,
+      type: CALENDAR_ENTRY_TYPES.TRAINING,
+      date: session.session_date.slice(0, 10),
+      time: trimTime(session.start_time),
+      durationMinutes: session.duration_minutes || null,
+      location: session.location || null,
+      notes: session.notes || null,
+      cancelled: session.status === 'cancelled'
+    });
+  });
+
+  return entries.sort(compareEntries);
+}
+
+/**
+ * Convert calendar entries to iCalendar events
+ * @param {Array<Object>} entries - From buildCalendarEntries
+ * @param {Object} options
+ * @param {string} options.teamName - Own team name used in match summaries
+ * @param {string} options.trainingLabel - Summary for training sessions
+ * @param {number} [options.matchDurationMinutes] - Length of match events
+ * @returns {Array<Object>} Events for buildICalendar
+ */
+export function calendarEntriesToIcsEvents(entries = [], { teamName, trainingLabel, matchDurationMinutes = 90 } = {}) {
+  return entries.map(entry => {
+    const base = {
+      uid: `${entry.type}-${entry.id}@${UID_DOMAIN}`,
+      startDate: entry.date,
+      startTime: entry.time,
+      location: entry.location
+    };
+
+    if (entry.type === CALENDAR_ENTRY_TYPES.TRAINING) {
+      return {
+        ...base,
+        summary: teamName ? `${teamName}: ${trainingLabel}` : trainingLabel,
+        description: entry.notes,
+        durationMinutes: entry.durationMinutes,
+        cancelled: entry.cancelled
+      };
+    }
+
+    const opponent = entry.opponent || '';
+    const isAway = entry.venueType === 'away';
+    const summary = teamName && opponent
+      ? (isAway ? `${opponent} - ${teamName}` : `${teamName} - ${opponent}`)
+      : (opponent || teamName || '');
+
+    return {
+      ...base,
+      summary,
+      durationMinutes: matchDurationMinutes
+    };
+  });
+}
+
+/**
+ * Work out the opponent from an event summary such as "Home - Away"
+ * @param {string} summary
+ * @param {string} teamName - Own team name
+ * @returns {string} Opponent name, or the whole summary when the own team is not part of it
+ */
+export function extractOpponentFromSummary(summary, teamName) {
+  const trimmed = (summary || '').trim();
+  const parts = trimmed.split(SUMMARY_SEPARATOR).map(part => part.trim()).filter(Boolean);
+  if (parts.length !== 2) return trimmed;
+
+  const ownName = normalizeName(teamName);
+  if (!ownName) return trimmed;
+
+  const [home, away] = parts;
+  const homeName = normalizeName(home);
+  const awayName = normalizeName(away);
+  if (homeName === ownName) return away;
+  if (awayName === ownName) return home;
+  // Leagues often add an age group or suffix, e.g. "Djurgårdens IF P12"
+  if (homeName.includes(ownName)) return away;
+  if (awayName.includes(ownName)) return home;
+  return trimmed;
+}
+
+/**
+ * Convert imported iCalendar events to upcoming fixtures
+ *
+ * Cancelled events and events without a summary are skipped; events without
+ * a UID get one derived from date and summary so re-imports update them.
+ * @param {Array<Object>} events - From parseICalendar
+ * @param {Object} options
+ * @param {string} options.teamName - Own team name, removed from summaries
+ * @returns {Array<{ externalUid: string, opponent: string, matchDate: string, matchTime: string|null, venue: string|null }>}
+ */
+export function icsEventsToFixtures(events = [], { teamName } = {}) {
+  const fixtures = new Map();
+
+  events.forEach(event => {
+    if (!event?.startDate || !event.summary || event.cancelled) return;
+
+    const opponent = extractOpponentFromSummary(event.summary, teamName).slice(0, MAX_OPPONENT_LENGTH);
+    if (!opponent) return;
+
+    const externalUid = (event.uid || `${event.startDate}-${normalizeName(event.summary)}`).slice(0, MAX_UID_LENGTH);
+    fixtures.set(externalUid, {
+      externalUid,
+      opponent,
+      matchDate: event.startDate,
+      matchTime: event.startTime || null,
+      venue: event.location ? event.location.slice(0, MAX_VENUE_LENGTH) : null
+    });
+  });
+
+  return [...fixtures.values()].sort((a, b) => compareEntries(
+    { date: a.matchDate, time: a.matchTime },
+    { date: b.matchDate, time: b.matchTime }
+  ));
+}
@@ -0,0 +1,98 @@
+/**
+ * Training session helpers
+ *
+ * Dates are handled as local YYYY-MM-DD keys (the training_session.session_date
+ * column is a plain date), so a session never shifts a day because of the
+ * user's time zone.
+ */
+
+// Upper bound for sessions generated from one schedule (about a year of weekly practice)
+export const MAX_SCHEDULE_SESSIONS = 60;
+
+export const TRAINING_SESSION_STATUS = {
+  SCHEDULED: 'scheduled',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Format a date as a local YYYY-MM-DD key
+ * @param {Date} date
+ * @returns {string|null}
+ */
+export function formatDateKey(date) {
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) return null;
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Parse a YYYY-MM-DD key into a local Date at midnight
+ * @param {string} dateKey
+ * @returns {Date|null}
+ */
+export function parseDateKey(dateKey) {
+  if (typeof dateKey !== 'string') return null;
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(dateKey);
+  if (!match) return null;
+
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * List the session dates for a weekly schedule
+ * @param {Object} schedule
+ * @param {number} schedule.weekday - Day of week (0 = Sunday, as Date.getDay())
+ * @param {string} schedule.startsOn - First date (YYYY-MM-DD)
+ * @param {string} schedule.endsOn - Last date (YYYY-MM-DD), inclusive
+ * @returns {string[]} Date keys in ascending order, capped at MAX_SCHEDULE_SESSIONS
+ */
+export function generateScheduleDates({ weekday, startsOn, endsOn }) {
+  const start = parseDateKey(startsOn);
+  const end = parseDateKey(endsOn);
+  if (!start || !end || end < start || !Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+    return [];
+  }
+
+  const current = new Date(start);
+  current.setDate(current.getDate() + ((weekday - current.getDay() + 7) % 7));
+
+  const dates = [];
+  while (current <= end && dates.length < MAX_SCHEDULE_SESSIONS) {
+    dates.push(formatDateKey(current));
+    current.setDate(current.getDate() + 7);
+  }
+
+  return dates;
+}
+
+/**
+ * Count practices and per-player attendance from recorded training sessions
+ *
+ * Sessions are expected to be held (not cancelled) and to have attendance recorded.
+ * @param {Array} sessions - Rows with session_date and training_attendance [{ player_id, attended }]
+ * @returns {{ sessionsByDate: Map<string, number>, attendanceByPlayer: Map<string, Map<string, number>> }}
+ */
+export function summarizeTrainingAttendance(sessions = []) {
+  const sessionsByDate = new Map();
+  const attendanceByPlayer = new Map();
+
+  sessions.forEach(session => {
+    const dateKey = session?.session_date?.slice(0, 10);
+    if (!dateKey) return;
+
+    sessionsByDate.set(dateKey, (sessionsByDate.get(dateKey) || 0) + 1);
+
+    (session.training_attendance || []).forEach(({ player_id: playerId, attended }) => {
+      if (!playerId) return;
+      if (!attendanceByPlayer.has(playerId)) {
+        attendanceByPlayer.set(playerId, new Map());
+      }
+      const playerDates = attendanceByPlayer.get(playerId);
+      playerDates.set(dateKey, (playerDates.get(dateKey) || 0) + (attended ? 1 : 0));
+    });
+  });
+
+  return { sessionsByDate, attendanceByPlayer };
+}
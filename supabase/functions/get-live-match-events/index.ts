@@ -11,7 +11,7 @@ const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
 const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
 // Explicitly whitelist public fields to avoid exposing internal metadata
 const MATCH_LOG_EVENT_COLUMNS =
-  'id, match_id, event_type, period, occurred_at_seconds, ordinal, data, created_at, correlation_id, player_id'
+  'id, match_id, event_type, period, is_extra_time, occurred_at_seconds, ordinal, data, created_at, correlation_id, player_id'
 
 // Rate limiting configuration
 const RATE_LIMIT_WINDOW_MS = 60 * 1000 // 60 seconds
@@ -0,0 +1,230 @@
+import { createClient } from 'jsr:@supabase/supabase-js@2'
+import { corsHeaders } from '../_shared/cors.ts'
+
+const SUPABASE_URL = Deno.env.get('SUPABASE_URL')!
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+
+// UUID validation regex (RFC 4122 compliant)
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
+
+// Past entries kept in the feed so calendar apps don't drop recent results
+const LOOKBACK_DAYS = 90
+const MATCH_DURATION_MINUTES = 90
+const DEFAULT_TRAINING_MINUTES = 60
+const UID_DOMAIN = 'sportwizard.se'
+
+type FeedEvent = {
+  uid: string
+  summary: string
+  date: string
+  time: string | null
+  startsAt?: string | null
+  durationMinutes: number
+  location?: string | null
+  description?: string | null
+  cancelled?: boolean
+}
+
+const pad = (value: number | string) => String(value).padStart(2, '0')
+
+// Connector match_time is free text; only HH:MM values become timed events
+const toTime = (value: string | null | undefined) =>
+  value && /^\d{2}:\d{2}/.test(value) ? value.slice(0, 5) : null
+
+const escapeText = (value: string) =>
+  value
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n')
+
+// Fold content lines at 75 octets (RFC 5545 section 3.1)
+const foldLine = (line: string) => {
+  const encoder = new TextEncoder()
+  const parts: string[] = []
+  let current = ''
+  for (const character of line) {
+    const limit = parts.length === 0 ? 75 : 74
+    if (encoder.encode(current + character).length > limit) {
+      parts.push(current)
+      current = ''
+    }
+    current += character
+  }
+  parts.push(current)
+  return parts.join('\r\n ')
+}
+
+const formatUtc = (date: Date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+  `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`
+
+const nextDate = (date: string) => {
+  const [year, month, day] = date.split('-').map(Number)
+  const next = new Date(Date.UTC(year, month - 1, day + 1))
+  return `${next.getUTCFullYear()}${pad(next.getUTCMonth() + 1)}${pad(next.getUTCDate())}`
+}
+
+function buildCalendar(calendarName: string, events: FeedEvent[]): string {
+  const stamp = formatUtc(new Date())
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Sport Wizard//Team Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+  ]
+
+  for (const event of events) {
+    lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${stamp}`)
+    if (event.startsAt) {
+      lines.push(`DTSTART:${formatUtc(new Date(event.startsAt))}`, `DURATION:PT${event.durationMinutes}M`)
+    } else if (event.time) {
+      // Floating local time, same wall-clock time as entered by the coach
+      lines.push(
+        `DTSTART:${event.date.replace(/-/g, '')}T${event.time.slice(0, 2)}${event.time.slice(3, 5)}00`,
+        `DURATION:PT${event.durationMinutes}M`
+      )
+    } else {
+      lines.push(`DTSTART;VALUE=DATE:${event.date.replace(/-/g, '')}`, `DTEND;VALUE=DATE:${nextDate(event.date)}`)
+    }
+    lines.push(`SUMMARY:${escapeText(event.summary)}`)
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`)
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`)
+    lines.push(`STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`, 'END:VEVENT')
+  }
+
+  lines.push('END:VCALENDAR')
+  return `${lines.map(foldLine).join('\r\n')}\r\n`
+}
+
+const matchSummary = (teamName: string, opponent: string | null, venueType?: string | null) => {
+  if (!opponent) return teamName
+  return venueType === 'away' ? `${opponent} - ${teamName}` : `${teamName} - ${opponent}`
+}
+
+const jsonError = (status: number, error: string, message: string) =>
+  new Response(JSON.stringify({ error, message }), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  })
+
+Deno.serve(async (req) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const url = new URL(req.url)
+    const token = url.searchParams.get('token')
+
+    // Calendar apps can't send auth headers, the secret token is the only credential
+    if (!token || !UUID_REGEX.test(token)) {
+      return jsonError(400, 'Invalid token', 'token must be a valid calendar feed token')
+    }
+
+    // Create Supabase client with service_role to bypass RLS
+    // CRITICAL: Only rows of the team owning the token are read
+    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY)
+
+    const { data: feed, error: feedError } = await supabase
+      .from('team_calendar_feed')
+      .select('team_id, include_trainings, team:team_id(name)')
+      .eq('token', token)
+      .maybeSingle()
+
+    if (feedError) {
+      console.error('Database error:', feedError)
+      return jsonError(500, 'Database error', feedError.message)
+    }
+    if (!feed) {
+      return jsonError(404, 'Not found', 'Calendar feed not found')
+    }
+
+    const teamName = (Array.isArray(feed.team) ? feed.team[0]?.name : feed.team?.name) || 'Sport Wizard'
+    const since = new Date(Date.now() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+
+    const [upcomingResult, matchResult, trainingResult] = await Promise.all([
+      supabase
+        .from('upcoming_match')
+        .select('id, opponent, match_date, match_time, venue')
+        .eq('team_id', feed.team_id)
+        .is('planned_match_id', null)
+        .gte('match_date', since),
+      supabase
+        .from('match')
+        .select('id, opponent, state, venue_type, created_at, started_at, upcoming_match(match_date, match_time, venue)')
+        .eq('team_id', feed.team_id)
+        .in('state', ['pending', 'running', 'finished'])
+        .is('deleted_at', null)
+        .gte('created_at', since),
+      feed.include_trainings
+        ? supabase
+          .from('training_session')
+          .select('id, session_date, start_time, duration_minutes, location, status')
+          .eq('team_id', feed.team_id)
+          .gte('session_date', since)
+        : Promise.resolve({ data: [], error: null }),
+    ])
+
+    const failed = [upcomingResult, matchResult, trainingResult].find((result) => result.error)
+    if (failed?.error) {
+      console.error('Database error:', failed.error)
+      return jsonError(500, 'Database error', failed.error.message)
+    }
+
+    const events: FeedEvent[] = []
+
+    for (const row of upcomingResult.data || []) {
+      events.push({
+        uid: `upcoming-${row.id}@${UID_DOMAIN}`,
+        summary: matchSummary(teamName, row.opponent),
+        date: row.match_date,
+        time: toTime(row.match_time),
+        durationMinutes: MATCH_DURATION_MINUTES,
+        location: row.venue,
+      })
+    }
+
+    for (const row of matchResult.data || []) {
+      const linked = Array.isArray(row.upcoming_match) ? row.upcoming_match[0] : row.upcoming_match
+      const startsAt = linked?.match_date ? null : (row.started_at || row.created_at)
+      events.push({
+        uid: `match-${row.id}@${UID_DOMAIN}`,
+        summary: matchSummary(teamName, row.opponent, row.venue_type),
+        date: linked?.match_date || '',
+        time: toTime(linked?.match_time),
+        startsAt,
+        durationMinutes: MATCH_DURATION_MINUTES,
+        location: linked?.venue || null,
+      })
+    }
+
+    for (const row of trainingResult.data || []) {
+      events.push({
+        uid: `training-${row.id}@${UID_DOMAIN}`,
+        summary: `${teamName}: Training`,
+        date: row.session_date,
+        time: toTime(row.start_time),
+        durationMinutes: row.duration_minutes || DEFAULT_TRAINING_MINUTES,
+        location: row.location,
+        cancelled: row.status === 'cancelled',
+      })
+    }
+
+    return new Response(buildCalendar(teamName, events), {
+      status: 200,
+      headers: {
+        ...corsHeaders,
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="team-calendar.ics"',
+        'Cache-Control': 'private, max-age=900',
+      },
+    })
+  } catch (error) {
+    console.error('Unexpected error:', error)
+    return jsonError(500, 'Internal server error', error instanceof Error ? error.message : 'Unknown error')
+  }
+})
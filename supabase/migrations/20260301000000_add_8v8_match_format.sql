@@ -0,0 +1,10 @@
+-- ============================================================================
+-- ADD 8V8 MATCH FORMAT - Sport Wizard
+-- ============================================================================
+-- Purpose: Allow matches to be stored in the 8v8 format alongside the existing
+--          3v3, 5v5, 7v7, 9v9 and 11v11 values
+-- ============================================================================
+
+ALTER TYPE public.match_format ADD VALUE IF NOT EXISTS '8v8' AFTER '7v7';
+
+COMMENT ON COLUMN public.match.format IS 'Match format (3v3, 5v5, 7v7, 8v8, 9v9, 11v11) - must be explicitly set, no default';
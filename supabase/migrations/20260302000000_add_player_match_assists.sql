@@ -0,0 +1,13 @@
+-- ============================================================================
+-- PLAYER MATCH ASSISTS - Sport Wizard
+-- ============================================================================
+-- Purpose: Store assists per player and match. Assists are recorded on
+--          goal_scored events (data.assistId) and aggregated when the match
+--          finishes.
+-- ============================================================================
+
+ALTER TABLE public.player_match_stats
+  ADD COLUMN IF NOT EXISTS assists smallint DEFAULT 0
+  CONSTRAINT valid_assists CHECK (assists >= 0);
+
+COMMENT ON COLUMN public.player_match_stats.assists IS 'Number of goals this player assisted in the match';
@@ -0,0 +1,15 @@
+-- ============================================================================
+-- PLAYER INJURY TRACKING - Sport Wizard
+-- ============================================================================
+-- Purpose: Record injuries and returns during a match as match log events and
+--          store time sidelined by injury separately from substitute time.
+-- ============================================================================
+
+ALTER TYPE public.match_event_type ADD VALUE IF NOT EXISTS 'player_injured';
+ALTER TYPE public.match_event_type ADD VALUE IF NOT EXISTS 'player_returned';
+
+ALTER TABLE public.player_match_stats
+  ADD COLUMN IF NOT EXISTS injured_time_seconds integer DEFAULT 0
+  CONSTRAINT valid_injured_time CHECK (injured_time_seconds >= 0);
+
+COMMENT ON COLUMN public.player_match_stats.injured_time_seconds IS 'Seconds the player spent sidelined by injury, not counted as substitute time';
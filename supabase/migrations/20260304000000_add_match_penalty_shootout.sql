@@ -0,0 +1,20 @@
+-- ============================================================================
+-- MATCH PENALTY SHOOTOUT - Sport Wizard
+-- ============================================================================
+-- Purpose: Store the penalty shootout result of drawn cup and tournament
+--          matches separately from the goals scored during regular play, and
+--          log the shootout result as a match log event.
+-- ============================================================================
+
+ALTER TYPE public.match_event_type ADD VALUE IF NOT EXISTS 'shootout_ended';
+
+ALTER TABLE public.match
+  ADD COLUMN IF NOT EXISTS shootout_goals_scored smallint NULL
+  CONSTRAINT valid_shootout_goals_scored CHECK (shootout_goals_scored >= 0);
+
+ALTER TABLE public.match
+  ADD COLUMN IF NOT EXISTS shootout_goals_conceded smallint NULL
+  CONSTRAINT valid_shootout_goals_conceded CHECK (shootout_goals_conceded >= 0);
+
+COMMENT ON COLUMN public.match.shootout_goals_scored IS 'Penalty shootout goals scored, NULL when the match had no shootout';
+COMMENT ON COLUMN public.match.shootout_goals_conceded IS 'Penalty shootout goals conceded, NULL when the match had no shootout';
@@ -0,0 +1,24 @@
+-- ============================================================================
+-- MATCH EXTRA TIME - Sport Wizard
+-- ============================================================================
+-- Purpose: Let cup and tournament matches that end level add one or two
+--          extra-time periods of their own length. The regular period count in
+--          match.periods (and its valid_periods constraint) stays unchanged;
+--          extra-time periods are stored next to it and continue the period
+--          numbering of match_log_event, where they are flagged as extra time.
+-- ============================================================================
+
+ALTER TABLE public.match
+  ADD COLUMN IF NOT EXISTS extra_time_periods smallint NOT NULL DEFAULT 0
+  CONSTRAINT valid_extra_time_periods CHECK (extra_time_periods BETWEEN 0 AND 2);
+
+ALTER TABLE public.match
+  ADD COLUMN IF NOT EXISTS extra_time_period_duration_minutes smallint NULL
+  CONSTRAINT valid_extra_time_period_duration CHECK (extra_time_period_duration_minutes > 0);
+
+ALTER TABLE public.match_log_event
+  ADD COLUMN IF NOT EXISTS is_extra_time boolean NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN public.match.extra_time_periods IS 'Number of extra-time periods played after the regular periods (0-2)';
+COMMENT ON COLUMN public.match.extra_time_period_duration_minutes IS 'Length of each extra-time period in minutes, NULL when no extra time was played';
+COMMENT ON COLUMN public.match_log_event.is_extra_time IS 'Whether the event happened during an extra-time period';
@@ -0,0 +1,27 @@
+-- ============================================================================
+-- DISCIPLINARY CARDS AND SIN-BIN - Sport Wizard
+-- ============================================================================
+-- Purpose: Record yellow cards, red cards and sin-bin suspensions as match
+--          log events and store the counts per player and match. Time spent
+--          in the sin-bin is stored apart from field time.
+-- ============================================================================
+
+ALTER TYPE public.match_event_type ADD VALUE IF NOT EXISTS 'yellow_card';
+ALTER TYPE public.match_event_type ADD VALUE IF NOT EXISTS 'red_card';
+ALTER TYPE public.match_event_type ADD VALUE IF NOT EXISTS 'sin_bin_started';
+ALTER TYPE public.match_event_type ADD VALUE IF NOT EXISTS 'sin_bin_ended';
+
+ALTER TABLE public.player_match_stats
+  ADD COLUMN IF NOT EXISTS yellow_cards smallint DEFAULT 0
+  CONSTRAINT valid_yellow_cards CHECK (yellow_cards >= 0),
+  ADD COLUMN IF NOT EXISTS red_cards smallint DEFAULT 0
+  CONSTRAINT valid_red_cards CHECK (red_cards >= 0 AND red_cards <= 1),
+  ADD COLUMN IF NOT EXISTS sin_bins smallint DEFAULT 0
+  CONSTRAINT valid_sin_bins CHECK (sin_bins >= 0),
+  ADD COLUMN IF NOT EXISTS sin_bin_time_seconds integer DEFAULT 0
+  CONSTRAINT valid_sin_bin_time CHECK (sin_bin_time_seconds >= 0);
+
+COMMENT ON COLUMN public.player_match_stats.yellow_cards IS 'Number of yellow cards the player received in the match';
+COMMENT ON COLUMN public.player_match_stats.red_cards IS 'Whether the player was sent off with a red card (0 or 1)';
+COMMENT ON COLUMN public.player_match_stats.sin_bins IS 'Number of sin-bin suspensions the player served in the match';
+COMMENT ON COLUMN public.player_match_stats.sin_bin_time_seconds IS 'Seconds the player spent in the sin-bin, not counted as field time';
@@ -0,0 +1,413 @@
+-- ============================================================================
+-- OPPONENT DIRECTORY - Sport Wizard
+-- ============================================================================
+-- Purpose: Per-team opponent entities with aliases, home ground and notes
+-- Scope: Team-specific opponent records linked from match.opponent_id
+-- Migration: Existing free-text opponents are grouped into opponents by
+--            similar names ("IFK Sthlm" and "IFK Stockholm" become one opponent
+--            where the less used spelling is kept as an alias)
+-- Security: RLS policies enforce team membership for read, admin/coach for write
+-- ============================================================================
+
+---------------------------------------------------------------------------
+-- TABLE: opponent
+---------------------------------------------------------------------------
+
+CREATE TABLE public.opponent (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  team_id uuid NOT NULL REFERENCES public.team(id) ON DELETE CASCADE,
+
+  -- Opponent details
+  name varchar(200) NOT NULL,
+  aliases text[] NOT NULL DEFAULT '{}',
+  home_ground varchar(200),
+  notes text,
+
+  -- Audit fields
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  created_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  last_updated_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+
+  CONSTRAINT opponent_name_not_blank CHECK (char_length(btrim(name)) > 0)
+);
+
+ALTER TABLE public.match
+  ADD COLUMN opponent_id uuid REFERENCES public.opponent(id) ON DELETE SET NULL;
+
+---------------------------------------------------------------------------
+-- INDEXES
+---------------------------------------------------------------------------
+
+CREATE INDEX idx_opponent_team_id ON public.opponent(team_id);
+CREATE UNIQUE INDEX idx_opponent_team_name_unique ON public.opponent(team_id, lower(name));
+CREATE INDEX idx_match_opponent_id ON public.match(opponent_id) WHERE opponent_id IS NOT NULL;
+
+---------------------------------------------------------------------------
+-- FUNCTIONS: NAME MATCHING
+---------------------------------------------------------------------------
+
+-- Lowercase, strip punctuation and collapse whitespace
+CREATE OR REPLACE FUNCTION public.normalize_opponent_name(p_name text)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT btrim(regexp_replace(
+    regexp_replace(lower(coalesce(p_name, '')), '[^[:alnum:][:space:]]', ' ', 'g'),
+    '\s+', ' ', 'g'
+  ));
+$$;
+
+-- A token matches when it is equal or one is an abbreviation of the other:
+-- same first letter and every letter of the short form appears in order in
+-- the long form ("sthlm" -> "stockholm")
+CREATE OR REPLACE FUNCTION public.opponent_name_tokens_match(p_a text, p_b text)
+RETURNS boolean
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+  v_short text;
+  v_long text;
+  v_pos integer := 1;
+  v_char text;
+BEGIN
+  IF p_a = p_b THEN
+    RETURN true;
+  END IF;
+
+  IF char_length(p_a) < char_length(p_b) THEN
+    v_short := p_a;
+    v_long := p_b;
+  ELSE
+    v_short := p_b;
+    v_long := p_a;
+  END IF;
+
+  IF char_length(v_short) < 2 OR char_length(v_short) = char_length(v_long) OR left(v_short, 1) <> left(v_long, 1) THEN
+    RETURN false;
+  END IF;
+
+  FOR i IN 1..char_length(v_short) LOOP
+    v_char := substr(v_short, i, 1);
+    WHILE v_pos <= char_length(v_long) AND substr(v_long, v_pos, 1) <> v_char LOOP
+      v_pos := v_pos + 1;
+    END LOOP;
+    IF v_pos > char_length(v_long) THEN
+      RETURN false;
+    END IF;
+    v_pos := v_pos + 1;
+  END LOOP;
+
+  RETURN true;
+END;
+$$;
+
+-- Names match when they have the same number of words and every word matches
+CREATE OR REPLACE FUNCTION public.opponent_names_match(p_a text, p_b text)
+RETURNS boolean
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+  v_a text[];
+  v_b text[];
+BEGIN
+  IF public.normalize_opponent_name(p_a) = '' OR public.normalize_opponent_name(p_b) = '' THEN
+    RETURN false;
+  END IF;
+
+  v_a := string_to_array(public.normalize_opponent_name(p_a), ' ');
+  v_b := string_to_array(public.normalize_opponent_name(p_b), ' ');
+
+  IF array_length(v_a, 1) <> array_length(v_b, 1) THEN
+    RETURN false;
+  END IF;
+
+  FOR i IN 1..array_length(v_a, 1) LOOP
+    IF NOT public.opponent_name_tokens_match(v_a[i], v_b[i]) THEN
+      RETURN false;
+    END IF;
+  END LOOP;
+
+  RETURN true;
+END;
+$$;
+
+-- Find the team opponent for a name (exact name or alias first, then similar names),
+-- creating a new opponent when there is none
+CREATE OR REPLACE FUNCTION public.resolve_team_opponent(p_team_id uuid, p_name text)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_name text := btrim(coalesce(p_name, ''));
+  v_opponent_id uuid;
+BEGIN
+  IF p_team_id IS NULL OR v_name = '' THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT o.id
+  INTO v_opponent_id
+  FROM public.opponent o
+  WHERE o.team_id = p_team_id
+    AND (
+      public.normalize_opponent_name(o.name) = public.normalize_opponent_name(v_name)
+      OR EXISTS (
+        SELECT 1 FROM unnest(o.aliases) AS alias
+        WHERE public.normalize_opponent_name(alias) = public.normalize_opponent_name(v_name)
+      )
+    )
+  ORDER BY o.created_at
+  LIMIT 1;
+
+  IF v_opponent_id IS NOT NULL THEN
+    RETURN v_opponent_id;
+  END IF;
+
+  SELECT o.id
+  INTO v_opponent_id
+  FROM public.opponent o
+  WHERE o.team_id = p_team_id
+    AND (
+      public.opponent_names_match(o.name, v_name)
+      OR EXISTS (
+        SELECT 1 FROM unnest(o.aliases) AS alias
+        WHERE public.opponent_names_match(alias, v_name)
+      )
+    )
+  ORDER BY o.created_at
+  LIMIT 1;
+
+  IF v_opponent_id IS NOT NULL THEN
+    UPDATE public.opponent
+    SET aliases = array_append(aliases, v_name)
+    WHERE id = v_opponent_id;
+    RETURN v_opponent_id;
+  END IF;
+
+  INSERT INTO public.opponent (team_id, name)
+  VALUES (p_team_id, left(v_name, 200))
+  RETURNING id INTO v_opponent_id;
+
+  RETURN v_opponent_id;
+END;
+$$;
+
+-- Keep match.opponent_id in sync with the free-text opponent name
+CREATE OR REPLACE FUNCTION public.link_match_opponent()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.opponent IS NULL OR btrim(NEW.opponent) = '' THEN
+    NEW.opponent_id := NULL;
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'INSERT' AND NEW.opponent_id IS NOT NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'UPDATE'
+    AND NEW.opponent IS NOT DISTINCT FROM OLD.opponent
+    AND NEW.opponent_id IS NOT NULL THEN
+    RETURN NEW;
+  END IF;
+
+  NEW.opponent_id := public.resolve_team_opponent(NEW.team_id, NEW.opponent);
+  RETURN NEW;
+END;
+$$;
+
+---------------------------------------------------------------------------
+-- FUNCTIONS: MERGE
+---------------------------------------------------------------------------
+
+-- Merge the source opponent into the target: the source name and aliases become
+-- target aliases, its matches move to the target and the source is deleted
+CREATE OR REPLACE FUNCTION public.merge_opponents(
+  p_target_opponent_id uuid,
+  p_source_opponent_id uuid
+) RETURNS json
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id uuid;
+  v_target public.opponent%ROWTYPE;
+  v_source public.opponent%ROWTYPE;
+  v_aliases text[];
+  v_matches_moved integer;
+BEGIN
+  v_user_id := auth.uid();
+
+  IF v_user_id IS NULL THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'authentication_required',
+      'message', 'You must be logged in to merge opponents.'
+    );
+  END IF;
+
+  IF p_target_opponent_id IS NULL OR p_source_opponent_id IS NULL OR p_target_opponent_id = p_source_opponent_id THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'invalid_input',
+      'message', 'Two different opponents are required.'
+    );
+  END IF;
+
+  SELECT * INTO v_target FROM public.opponent WHERE id = p_target_opponent_id;
+  SELECT * INTO v_source FROM public.opponent WHERE id = p_source_opponent_id;
+
+  IF v_target.id IS NULL OR v_source.id IS NULL THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'not_found',
+      'message', 'Opponent not found.'
+    );
+  END IF;
+
+  IF v_target.team_id <> v_source.team_id THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'mismatch',
+      'message', 'Opponents belong to different teams.'
+    );
+  END IF;
+
+  IF NOT public.is_team_manager(v_target.team_id, v_user_id) THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'forbidden',
+      'message', 'You do not have permission to manage opponents for this team.'
+    );
+  END IF;
+
+  SELECT coalesce(array_agg(alias ORDER BY first_seen), '{}')
+  INTO v_aliases
+  FROM (
+    SELECT alias, min(ordinality) AS first_seen
+    FROM unnest(v_target.aliases || ARRAY[v_source.name::text] || v_source.aliases) WITH ORDINALITY AS a(alias, ordinality)
+    WHERE lower(btrim(alias)) <> lower(btrim(v_target.name))
+    GROUP BY alias
+  ) deduplicated;
+
+  UPDATE public.opponent
+  SET aliases = v_aliases,
+      home_ground = coalesce(home_ground, v_source.home_ground),
+      notes = CASE
+        WHEN v_source.notes IS NULL OR btrim(v_source.notes) = '' THEN notes
+        WHEN notes IS NULL OR btrim(notes) = '' THEN v_source.notes
+        ELSE notes || E'\n\n' || v_source.notes
+      END
+  WHERE id = v_target.id;
+
+  UPDATE public.match
+  SET opponent_id = v_target.id
+  WHERE opponent_id = v_source.id;
+
+  GET DIAGNOSTICS v_matches_moved = ROW_COUNT;
+
+  DELETE FROM public.opponent WHERE id = v_source.id;
+
+  RETURN json_build_object(
+    'success', true,
+    'matches_moved', v_matches_moved
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.merge_opponents(uuid, uuid) TO authenticated;
+
+---------------------------------------------------------------------------
+-- MIGRATE EXISTING OPPONENT NAMES
+---------------------------------------------------------------------------
+
+-- The most used spelling becomes the opponent name, similar spellings become aliases
+DO $$
+DECLARE
+  v_row record;
+  v_opponent_id uuid;
+BEGIN
+  FOR v_row IN
+    SELECT team_id, btrim(opponent) AS name, count(*) AS uses, max(started_at) AS last_played
+    FROM public.match
+    WHERE opponent IS NOT NULL AND btrim(opponent) <> ''
+    GROUP BY team_id, btrim(opponent)
+    ORDER BY team_id, count(*) DESC, max(started_at) DESC NULLS LAST
+  LOOP
+    v_opponent_id := public.resolve_team_opponent(v_row.team_id, v_row.name);
+
+    UPDATE public.match
+    SET opponent_id = v_opponent_id
+    WHERE team_id = v_row.team_id
+      AND btrim(opponent) = v_row.name;
+  END LOOP;
+END;
+$$;
+
+---------------------------------------------------------------------------
+-- TRIGGERS
+---------------------------------------------------------------------------
+
+CREATE TRIGGER insert_opponent_audit
+  BEFORE INSERT ON public.opponent
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_created_by();
+
+CREATE TRIGGER update_opponent_timestamp
+  BEFORE UPDATE ON public.opponent
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_updated_at_and_user();
+
+CREATE TRIGGER link_match_opponent_trigger
+  BEFORE INSERT OR UPDATE OF opponent, opponent_id ON public.match
+  FOR EACH ROW
+  EXECUTE FUNCTION public.link_match_opponent();
+
+---------------------------------------------------------------------------
+-- ROW LEVEL SECURITY
+---------------------------------------------------------------------------
+
+ALTER TABLE public.opponent ENABLE ROW LEVEL SECURITY;
+
+-- Team members can view opponents
+CREATE POLICY opponent_select_policy ON public.opponent
+  FOR SELECT
+  USING (public.is_team_member(team_id));
+
+-- Team admins/coaches can insert opponents
+CREATE POLICY opponent_insert_policy ON public.opponent
+  FOR INSERT
+  WITH CHECK (public.is_team_manager(team_id));
+
+-- Team admins/coaches can update opponents
+CREATE POLICY opponent_update_policy ON public.opponent
+  FOR UPDATE
+  USING (public.is_team_manager(team_id));
+
+-- Team admins/coaches can delete opponents
+CREATE POLICY opponent_delete_policy ON public.opponent
+  FOR DELETE
+  USING (public.is_team_manager(team_id));
+
+---------------------------------------------------------------------------
+-- DOCUMENTATION
+---------------------------------------------------------------------------
+
+COMMENT ON TABLE public.opponent IS 'Opponent teams per team, with aliases for alternative spellings';
+COMMENT ON COLUMN public.opponent.name IS 'Preferred opponent name';
+COMMENT ON COLUMN public.opponent.aliases IS 'Alternative spellings that resolve to this opponent';
+COMMENT ON COLUMN public.opponent.home_ground IS 'Opponent home ground';
+COMMENT ON COLUMN public.opponent.notes IS 'Free-text coach notes about the opponent';
+COMMENT ON COLUMN public.match.opponent_id IS 'Opponent entity resolved from the opponent name';
+COMMENT ON FUNCTION public.merge_opponents IS 'Merge one opponent into another, moving its matches and keeping its names as aliases';
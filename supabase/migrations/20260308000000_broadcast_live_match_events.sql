@@ -0,0 +1,53 @@
+-- ============================================================================
+-- LIVE MATCH EVENT BROADCAST - Sport Wizard
+-- ============================================================================
+-- Purpose: Push new match log events to spectators through Realtime broadcast
+--          instead of having every spectator poll get-live-match-events
+-- Topic: live-match:<match_id> (public channel, the match id is the same public
+--        token the live match link and get-live-match-events already use)
+-- Payload: The same whitelisted columns get-live-match-events returns
+-- Delivery: Best effort. Clients fill gaps with since_ordinal after (re)connecting.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.broadcast_live_match_event()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  BEGIN
+    PERFORM realtime.send(
+      jsonb_build_object(
+        'id', NEW.id,
+        'match_id', NEW.match_id,
+        'event_type', NEW.event_type,
+        'period', NEW.period,
+        'is_extra_time', NEW.is_extra_time,
+        'occurred_at_seconds', NEW.occurred_at_seconds,
+        'ordinal', NEW.ordinal,
+        'data', NEW.data,
+        'created_at', NEW.created_at,
+        'correlation_id', NEW.correlation_id,
+        'player_id', NEW.player_id
+      ),
+      'match_event',
+      'live-match:' || NEW.match_id::text,
+      false
+    );
+  EXCEPTION WHEN OTHERS THEN
+    -- Never block event persistence because of a broadcast failure
+    RAISE WARNING 'Failed to broadcast live match event %: %', NEW.id, SQLERRM;
+  END;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER broadcast_live_match_event_trigger
+  AFTER INSERT ON public.match_log_event
+  FOR EACH ROW
+  EXECUTE FUNCTION public.broadcast_live_match_event();
+
+COMMENT ON FUNCTION public.broadcast_live_match_event IS
+  'Broadcasts inserted match log events on the public live-match:<match_id> Realtime topic';
@@ -0,0 +1,232 @@
+-- ============================================================================
+-- TRAINING SESSIONS - Sport Wizard
+-- ============================================================================
+-- Purpose: Native practice sessions with recurring schedules, notes and
+--          per-player attendance check-in, for teams without a connector
+-- Scope: Team-specific schedules, sessions and attendance rows. Recorded
+--        attendance is merged with connector attendance (player_attendance)
+--        in the attendance statistics
+-- Security: RLS policies enforce team membership for read, admin/coach for write
+-- ============================================================================
+
+---------------------------------------------------------------------------
+-- TABLE: training_schedule
+---------------------------------------------------------------------------
+
+CREATE TABLE public.training_schedule (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  team_id uuid NOT NULL REFERENCES public.team(id) ON DELETE CASCADE,
+
+  -- Recurrence (weekday follows JavaScript Date.getDay(): 0 = Sunday)
+  weekday smallint NOT NULL,
+  start_time time,
+  duration_minutes integer,
+  location varchar(200),
+  starts_on date NOT NULL,
+  ends_on date NOT NULL,
+
+  -- Audit fields
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  created_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  last_updated_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+
+  CONSTRAINT training_schedule_weekday_range CHECK (weekday BETWEEN 0 AND 6),
+  CONSTRAINT training_schedule_duration_positive CHECK (duration_minutes IS NULL OR duration_minutes > 0),
+  CONSTRAINT training_schedule_date_order CHECK (ends_on >= starts_on)
+);
+
+---------------------------------------------------------------------------
+-- TABLE: training_session
+---------------------------------------------------------------------------
+
+CREATE TABLE public.training_session (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  team_id uuid NOT NULL REFERENCES public.team(id) ON DELETE CASCADE,
+  schedule_id uuid REFERENCES public.training_schedule(id) ON DELETE SET NULL,
+
+  -- Session details
+  session_date date NOT NULL,
+  start_time time,
+  duration_minutes integer,
+  location varchar(200),
+  notes text,
+  status text NOT NULL DEFAULT 'scheduled',
+  attendance_recorded_at timestamptz,
+
+  -- Audit fields
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  created_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  last_updated_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+
+  CONSTRAINT training_session_status_check CHECK (status IN ('scheduled', 'cancelled')),
+  CONSTRAINT training_session_duration_positive CHECK (duration_minutes IS NULL OR duration_minutes > 0),
+  CONSTRAINT training_session_schedule_date_unique UNIQUE (schedule_id, session_date)
+);
+
+---------------------------------------------------------------------------
+-- TABLE: training_attendance
+---------------------------------------------------------------------------
+
+CREATE TABLE public.training_attendance (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  session_id uuid NOT NULL REFERENCES public.training_session(id) ON DELETE CASCADE,
+  player_id uuid NOT NULL REFERENCES public.player(id) ON DELETE CASCADE,
+  attended boolean NOT NULL DEFAULT true,
+
+  -- Audit fields
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  created_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  last_updated_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+
+  CONSTRAINT training_attendance_session_player_unique UNIQUE (session_id, player_id)
+);
+
+---------------------------------------------------------------------------
+-- INDEXES
+---------------------------------------------------------------------------
+
+CREATE INDEX idx_training_schedule_team_id ON public.training_schedule(team_id);
+CREATE INDEX idx_training_session_team_date ON public.training_session(team_id, session_date);
+CREATE INDEX idx_training_session_schedule_id ON public.training_session(schedule_id) WHERE schedule_id IS NOT NULL;
+CREATE INDEX idx_training_attendance_player_id ON public.training_attendance(player_id);
+
+---------------------------------------------------------------------------
+-- TRIGGERS
+---------------------------------------------------------------------------
+
+CREATE TRIGGER insert_training_schedule_audit
+  BEFORE INSERT ON public.training_schedule
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_created_by();
+
+CREATE TRIGGER update_training_schedule_timestamp
+  BEFORE UPDATE ON public.training_schedule
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_updated_at_and_user();
+
+CREATE TRIGGER insert_training_session_audit
+  BEFORE INSERT ON public.training_session
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_created_by();
+
+CREATE TRIGGER update_training_session_timestamp
+  BEFORE UPDATE ON public.training_session
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_updated_at_and_user();
+
+CREATE TRIGGER insert_training_attendance_audit
+  BEFORE INSERT ON public.training_attendance
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_created_by();
+
+CREATE TRIGGER update_training_attendance_timestamp
+  BEFORE UPDATE ON public.training_attendance
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_updated_at_and_user();
+
+---------------------------------------------------------------------------
+-- ROW LEVEL SECURITY
+---------------------------------------------------------------------------
+
+ALTER TABLE public.training_schedule ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.training_session ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.training_attendance ENABLE ROW LEVEL SECURITY;
+
+-- Team members can view schedules
+CREATE POLICY training_schedule_select_policy ON public.training_schedule
+  FOR SELECT
+  USING (public.is_team_member(team_id));
+
+-- Team admins/coaches can manage schedules
+CREATE POLICY training_schedule_insert_policy ON public.training_schedule
+  FOR INSERT
+  WITH CHECK (public.is_team_manager(team_id));
+
+CREATE POLICY training_schedule_update_policy ON public.training_schedule
+  FOR UPDATE
+  USING (public.is_team_manager(team_id));
+
+CREATE POLICY training_schedule_delete_policy ON public.training_schedule
+  FOR DELETE
+  USING (public.is_team_manager(team_id));
+
+-- Team members can view sessions
+CREATE POLICY training_session_select_policy ON public.training_session
+  FOR SELECT
+  USING (public.is_team_member(team_id));
+
+-- Team admins/coaches can manage sessions
+CREATE POLICY training_session_insert_policy ON public.training_session
+  FOR INSERT
+  WITH CHECK (public.is_team_manager(team_id));
+
+CREATE POLICY training_session_update_policy ON public.training_session
+  FOR UPDATE
+  USING (public.is_team_manager(team_id));
+
+CREATE POLICY training_session_delete_policy ON public.training_session
+  FOR DELETE
+  USING (public.is_team_manager(team_id));
+
+-- Team members can view attendance for their team's sessions
+CREATE POLICY training_attendance_select_policy ON public.training_attendance
+  FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.training_session ts
+      WHERE ts.id = training_attendance.session_id
+        AND public.is_team_member(ts.team_id)
+    )
+  );
+
+-- Team admins/coaches can record attendance
+CREATE POLICY training_attendance_insert_policy ON public.training_attendance
+  FOR INSERT
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM public.training_session ts
+      JOIN public.player p ON p.id = training_attendance.player_id
+      WHERE ts.id = training_attendance.session_id
+        AND p.team_id = ts.team_id
+        AND public.is_team_manager(ts.team_id)
+    )
+  );
+
+CREATE POLICY training_attendance_update_policy ON public.training_attendance
+  FOR UPDATE
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.training_session ts
+      WHERE ts.id = training_attendance.session_id
+        AND public.is_team_manager(ts.team_id)
+    )
+  );
+
+CREATE POLICY training_attendance_delete_policy ON public.training_attendance
+  FOR DELETE
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.training_session ts
+      WHERE ts.id = training_attendance.session_id
+        AND public.is_team_manager(ts.team_id)
+    )
+  );
+
+---------------------------------------------------------------------------
+-- DOCUMENTATION
+---------------------------------------------------------------------------
+
+COMMENT ON TABLE public.training_schedule IS 'Weekly recurring practice slot used to generate training sessions';
+COMMENT ON COLUMN public.training_schedule.weekday IS 'Day of week, 0 = Sunday through 6 = Saturday';
+COMMENT ON COLUMN public.training_schedule.starts_on IS 'First date sessions are generated for';
+COMMENT ON COLUMN public.training_schedule.ends_on IS 'Last date sessions are generated for';
+COMMENT ON TABLE public.training_session IS 'Practice session created in Sport Wizard, single or generated from a schedule';
+COMMENT ON COLUMN public.training_session.schedule_id IS 'Schedule the session was generated from, null for one-off sessions';
+COMMENT ON COLUMN public.training_session.notes IS 'Free-text coach notes for the session';
+COMMENT ON COLUMN public.training_session.status IS 'scheduled or cancelled; cancelled sessions are ignored in attendance statistics';
+COMMENT ON COLUMN public.training_session.attendance_recorded_at IS 'When check-in was last saved; sessions without it are not counted as held';
+COMMENT ON TABLE public.training_attendance IS 'Per-player check-in for a training session';
+COMMENT ON COLUMN public.training_attendance.attended IS 'Whether the player attended the session';
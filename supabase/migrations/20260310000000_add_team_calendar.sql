@@ -0,0 +1,266 @@
+-- ============================================================================
+-- TEAM CALENDAR - Sport Wizard
+-- ============================================================================
+-- Purpose: Per-team fixture calendar. Upcoming matches can now be imported
+--          from an iCalendar (.ics) file as well as synced by a connector, and
+--          each team gets a secret feed token for subscribing to the calendar
+-- Scope: upcoming_match gains team_id/source/external_uid so imported rows
+--        live without a connector; team_calendar_feed stores the feed token
+--        read by the team-calendar-feed edge function
+-- Security: RLS policies enforce team membership for read, admin/coach for
+--           writing imported fixtures and managing the feed token. Connector
+--           rows stay service_role only
+-- ============================================================================
+
+---------------------------------------------------------------------------
+-- TABLE: upcoming_match (imported fixtures)
+---------------------------------------------------------------------------
+
+ALTER TABLE public.upcoming_match
+  ADD COLUMN team_id uuid REFERENCES public.team(id) ON DELETE CASCADE,
+  ADD COLUMN source text NOT NULL DEFAULT 'connector',
+  ADD COLUMN external_uid varchar(255);
+
+UPDATE public.upcoming_match um
+SET team_id = tc.team_id
+FROM public.connector tc
+WHERE tc.id = um.connector_id;
+
+ALTER TABLE public.upcoming_match
+  ALTER COLUMN team_id SET NOT NULL,
+  ALTER COLUMN connector_id DROP NOT NULL,
+  ADD CONSTRAINT upcoming_match_source_check CHECK (source IN ('connector', 'ics')),
+  ADD CONSTRAINT upcoming_match_connector_source_check CHECK (source <> 'connector' OR connector_id IS NOT NULL),
+  ADD CONSTRAINT upcoming_match_team_external_uid_unique UNIQUE (team_id, external_uid);
+
+---------------------------------------------------------------------------
+-- TABLE: team_calendar_feed
+---------------------------------------------------------------------------
+
+CREATE TABLE public.team_calendar_feed (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  team_id uuid NOT NULL REFERENCES public.team(id) ON DELETE CASCADE,
+
+  -- Secret part of the subscription URL; reset to revoke old links
+  token uuid NOT NULL DEFAULT uuid_generate_v4(),
+  include_trainings boolean NOT NULL DEFAULT true,
+
+  -- Audit fields
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  created_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  last_updated_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+
+  CONSTRAINT team_calendar_feed_team_unique UNIQUE (team_id),
+  CONSTRAINT team_calendar_feed_token_unique UNIQUE (token)
+);
+
+---------------------------------------------------------------------------
+-- INDEXES
+---------------------------------------------------------------------------
+
+CREATE INDEX idx_upcoming_match_team_date ON public.upcoming_match(team_id, match_date);
+
+---------------------------------------------------------------------------
+-- TRIGGERS
+---------------------------------------------------------------------------
+
+-- Connector syncs only know the connector; derive the team from it
+CREATE OR REPLACE FUNCTION public.set_upcoming_match_team_id()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.connector_id IS NOT NULL THEN
+    SELECT team_id INTO NEW.team_id
+    FROM public.connector
+    WHERE id = NEW.connector_id;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER set_upcoming_match_team_id
+  BEFORE INSERT OR UPDATE OF connector_id ON public.upcoming_match
+  FOR EACH ROW
+  EXECUTE FUNCTION public.set_upcoming_match_team_id();
+
+CREATE TRIGGER insert_team_calendar_feed_audit
+  BEFORE INSERT ON public.team_calendar_feed
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_created_by();
+
+CREATE TRIGGER update_team_calendar_feed_timestamp
+  BEFORE UPDATE ON public.team_calendar_feed
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_updated_at_and_user();
+
+---------------------------------------------------------------------------
+-- ROW LEVEL SECURITY
+---------------------------------------------------------------------------
+
+-- Team members can view all upcoming matches for their team
+DROP POLICY IF EXISTS upcoming_match_select_policy ON public.upcoming_match;
+CREATE POLICY upcoming_match_select_policy ON public.upcoming_match
+  FOR SELECT
+  USING (public.is_team_member(team_id));
+
+-- Connector rows are written by the sync (service_role); admins/coaches
+-- manage imported rows
+DROP POLICY IF EXISTS upcoming_match_insert_policy ON public.upcoming_match;
+CREATE POLICY upcoming_match_insert_policy ON public.upcoming_match
+  FOR INSERT
+  WITH CHECK (
+    auth.jwt()->>'role' = 'service_role'
+    OR (source = 'ics' AND connector_id IS NULL AND public.is_team_manager(team_id))
+  );
+
+DROP POLICY IF EXISTS upcoming_match_update_policy ON public.upcoming_match;
+CREATE POLICY upcoming_match_update_policy ON public.upcoming_match
+  FOR UPDATE
+  USING (
+    auth.jwt()->>'role' = 'service_role'
+    OR (source = 'ics' AND public.is_team_manager(team_id))
+  )
+  WITH CHECK (
+    auth.jwt()->>'role' = 'service_role'
+    OR (source = 'ics' AND connector_id IS NULL AND public.is_team_manager(team_id))
+  );
+
+DROP POLICY IF EXISTS upcoming_match_delete_policy ON public.upcoming_match;
+CREATE POLICY upcoming_match_delete_policy ON public.upcoming_match
+  FOR DELETE
+  USING (
+    auth.jwt()->>'role' = 'service_role'
+    OR (source = 'ics' AND public.is_team_manager(team_id))
+  );
+
+ALTER TABLE public.team_calendar_feed ENABLE ROW LEVEL SECURITY;
+
+-- Team members can view the feed link to share it with families
+CREATE POLICY team_calendar_feed_select_policy ON public.team_calendar_feed
+  FOR SELECT
+  USING (public.is_team_member(team_id));
+
+-- Team admins/coaches can create and reset the feed
+CREATE POLICY team_calendar_feed_insert_policy ON public.team_calendar_feed
+  FOR INSERT
+  WITH CHECK (public.is_team_manager(team_id));
+
+CREATE POLICY team_calendar_feed_update_policy ON public.team_calendar_feed
+  FOR UPDATE
+  USING (public.is_team_manager(team_id));
+
+CREATE POLICY team_calendar_feed_delete_policy ON public.team_calendar_feed
+  FOR DELETE
+  USING (public.is_team_manager(team_id));
+
+---------------------------------------------------------------------------
+-- FUNCTIONS
+---------------------------------------------------------------------------
+
+-- Resolve the team from upcoming_match.team_id so imported fixtures can be planned
+CREATE OR REPLACE FUNCTION public.link_upcoming_match_to_planned_match(
+  p_upcoming_match_id uuid,
+  p_planned_match_id uuid
+) RETURNS json
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id uuid;
+  v_team_id uuid;
+  v_match_team_id uuid;
+  v_existing_link uuid;
+BEGIN
+  v_user_id := auth.uid();
+
+  IF v_user_id IS NULL THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'authentication_required',
+      'message', 'You must be logged in to link matches.'
+    );
+  END IF;
+
+  IF p_upcoming_match_id IS NULL OR p_planned_match_id IS NULL THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'invalid_input',
+      'message', 'Upcoming match ID and planned match ID are required.'
+    );
+  END IF;
+
+  SELECT team_id, planned_match_id
+  INTO v_team_id, v_existing_link
+  FROM public.upcoming_match
+  WHERE id = p_upcoming_match_id;
+
+  IF v_team_id IS NULL THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'not_found',
+      'message', 'Upcoming match not found.'
+    );
+  END IF;
+
+  IF NOT public.is_team_manager(v_team_id, v_user_id) THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'forbidden',
+      'message', 'You do not have permission to plan matches for this team.'
+    );
+  END IF;
+
+  SELECT team_id
+  INTO v_match_team_id
+  FROM public.match
+  WHERE id = p_planned_match_id;
+
+  IF v_match_team_id IS NULL THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'not_found',
+      'message', 'Planned match not found.'
+    );
+  END IF;
+
+  IF v_match_team_id <> v_team_id THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'mismatch',
+      'message', 'Planned match does not belong to this team.'
+    );
+  END IF;
+
+  IF v_existing_link IS NOT NULL AND v_existing_link <> p_planned_match_id THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'already_linked',
+      'message', 'Upcoming match is already linked to a planned match.'
+    );
+  END IF;
+
+  UPDATE public.upcoming_match
+  SET planned_match_id = p_planned_match_id
+  WHERE id = p_upcoming_match_id;
+
+  RETURN json_build_object(
+    'success', true
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.link_upcoming_match_to_planned_match(uuid, uuid) TO authenticated;
+
+---------------------------------------------------------------------------
+-- DOCUMENTATION
+---------------------------------------------------------------------------
+
+COMMENT ON TABLE public.upcoming_match IS 'Upcoming fixtures for a team, synced by a connector or imported from an iCalendar file';
+COMMENT ON COLUMN public.upcoming_match.team_id IS 'Owning team; derived from the connector for synced rows';
+COMMENT ON COLUMN public.upcoming_match.connector_id IS 'Connector that synced the row, NULL for imported fixtures';
+COMMENT ON COLUMN public.upcoming_match.source IS 'connector (provider sync) or ics (iCalendar import)';
+COMMENT ON COLUMN public.upcoming_match.external_uid IS 'iCalendar UID of an imported fixture, used to update it on re-import';
+COMMENT ON TABLE public.team_calendar_feed IS 'Secret subscription token for the team iCalendar feed';
+COMMENT ON COLUMN public.team_calendar_feed.token IS 'Token in the feed URL; resetting it revokes existing subscriptions';
+COMMENT ON COLUMN public.team_calendar_feed.include_trainings IS 'Whether training sessions are included in the feed';
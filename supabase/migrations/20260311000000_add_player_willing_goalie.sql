@@ -0,0 +1,7 @@
+-- Add willing_goalie column to player table
+-- Marks players who are happy to keep goal; the goalie planner rotates goalie
+-- periods between them
+ALTER TABLE public.player
+  ADD COLUMN willing_goalie boolean NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN public.player.willing_goalie IS 'Player is willing to play goalie; used by the goalie rotation planner';
@@ -0,0 +1,340 @@
+-- ============================================================================
+-- TEAM SEASONS - Sport Wizard
+-- ============================================================================
+-- Purpose: Named seasons per team (dates, age group, format) used to filter
+--          statistics, and a season rollover that archives the roster into
+--          season_stats, carries players over and optionally bumps jerseys
+-- Scope: Team-specific seasons; season_stats rows are scoped to a season
+-- Security: RLS policies enforce team membership for read, admin/coach for write
+-- ============================================================================
+
+---------------------------------------------------------------------------
+-- TABLE: season
+---------------------------------------------------------------------------
+
+CREATE TABLE public.season (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  team_id uuid NOT NULL REFERENCES public.team(id) ON DELETE CASCADE,
+
+  -- Season details
+  name varchar(100) NOT NULL,
+  start_date date NOT NULL,
+  end_date date NOT NULL,
+  age_group varchar(50),
+  format public.match_format,
+  status text NOT NULL DEFAULT 'active',
+  archived_at timestamptz,
+
+  -- Audit fields
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  created_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  last_updated_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+
+  CONSTRAINT season_name_not_blank CHECK (char_length(btrim(name)) > 0),
+  CONSTRAINT season_date_order CHECK (end_date >= start_date),
+  CONSTRAINT season_status_check CHECK (status IN ('active', 'archived'))
+);
+
+---------------------------------------------------------------------------
+-- TABLE: season_stats (scope aggregates to a season)
+---------------------------------------------------------------------------
+
+-- Teams can play several seasons in one calendar year, so rows are unique per season
+ALTER TABLE public.season_stats
+  DROP CONSTRAINT IF EXISTS season_stats_player_id_season_year_key;
+
+ALTER TABLE public.season_stats
+  ADD COLUMN season_id uuid REFERENCES public.season(id) ON DELETE CASCADE,
+  ADD COLUMN jersey_number integer,
+  ADD COLUMN on_roster boolean NOT NULL DEFAULT true,
+  ADD CONSTRAINT season_stats_player_season_unique UNIQUE (player_id, season_id);
+
+---------------------------------------------------------------------------
+-- INDEXES
+---------------------------------------------------------------------------
+
+CREATE INDEX idx_season_team_start ON public.season(team_id, start_date DESC);
+CREATE UNIQUE INDEX idx_season_one_active_per_team ON public.season(team_id) WHERE status = 'active';
+CREATE INDEX idx_season_stats_season_id ON public.season_stats(season_id);
+
+---------------------------------------------------------------------------
+-- TRIGGERS
+---------------------------------------------------------------------------
+
+CREATE TRIGGER insert_season_audit
+  BEFORE INSERT ON public.season
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_created_by();
+
+CREATE TRIGGER update_season_timestamp
+  BEFORE UPDATE ON public.season
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_updated_at_and_user();
+
+---------------------------------------------------------------------------
+-- ROW LEVEL SECURITY
+---------------------------------------------------------------------------
+
+ALTER TABLE public.season ENABLE ROW LEVEL SECURITY;
+
+-- Team members can view seasons
+CREATE POLICY season_select_policy ON public.season
+  FOR SELECT
+  USING (public.is_team_member(team_id));
+
+-- Team admins/coaches can manage seasons
+CREATE POLICY season_insert_policy ON public.season
+  FOR INSERT
+  WITH CHECK (public.is_team_manager(team_id));
+
+CREATE POLICY season_update_policy ON public.season
+  FOR UPDATE
+  USING (public.is_team_manager(team_id));
+
+CREATE POLICY season_delete_policy ON public.season
+  FOR DELETE
+  USING (public.is_team_manager(team_id));
+
+---------------------------------------------------------------------------
+-- FUNCTION: rollover_team_season
+---------------------------------------------------------------------------
+
+-- Archives a season and starts the next one in a single transaction:
+--   1. Aggregates player_match_stats of the season's finished matches into
+--      season_stats, one row per roster player or player with stats
+--   2. Marks the season archived and creates the next season
+--   3. Keeps the carried-over players on the roster and takes the rest off it
+--   4. Optionally shifts carried-over jersey numbers by p_jersey_offset;
+--      numbers outside 1-99 or already taken are cleared
+CREATE OR REPLACE FUNCTION public.rollover_team_season(
+  p_season_id uuid,
+  p_next_season jsonb,
+  p_carry_over_player_ids uuid[] DEFAULT '{}',
+  p_jersey_offset integer DEFAULT 0
+) RETURNS json
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id uuid;
+  v_season public.season%ROWTYPE;
+  v_next_season public.season%ROWTYPE;
+  v_carry_over uuid[] := coalesce(p_carry_over_player_ids, '{}');
+  v_offset integer := coalesce(p_jersey_offset, 0);
+  v_archived_players integer;
+  v_released_players integer;
+BEGIN
+  v_user_id := auth.uid();
+
+  IF v_user_id IS NULL THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'authentication_required',
+      'message', 'You must be logged in to start a new season.'
+    );
+  END IF;
+
+  SELECT * INTO v_season FROM public.season WHERE id = p_season_id;
+
+  IF v_season.id IS NULL THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'not_found',
+      'message', 'Season not found.'
+    );
+  END IF;
+
+  IF NOT public.is_team_manager(v_season.team_id, v_user_id) THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'forbidden',
+      'message', 'You do not have permission to manage seasons for this team.'
+    );
+  END IF;
+
+  IF v_season.status = 'archived' THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'already_archived',
+      'message', 'Season has already been archived.'
+    );
+  END IF;
+
+  IF p_next_season IS NULL
+    OR coalesce(btrim(p_next_season->>'name'), '') = ''
+    OR (p_next_season->>'start_date') IS NULL
+    OR (p_next_season->>'end_date') IS NULL THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'invalid_input',
+      'message', 'The next season needs a name, start date and end date.'
+    );
+  END IF;
+
+  -- 1. Archive aggregates for the roster and everyone who played in the season
+  INSERT INTO public.season_stats (
+    player_id,
+    season_id,
+    season_year,
+    jersey_number,
+    on_roster,
+    matches_played,
+    goals_scored,
+    captain_count,
+    fair_play_awards,
+    total_field_time_seconds,
+    total_goalie_time_seconds,
+    total_defender_time_seconds,
+    total_midfielder_time_seconds,
+    total_attacker_time_seconds,
+    total_substitute_time_seconds,
+    starts_as_field_player,
+    starts_as_goalie,
+    starts_as_substitute
+  )
+  SELECT
+    p.id,
+    v_season.id,
+    extract(year FROM v_season.start_date)::integer,
+    p.jersey_number,
+    p.on_roster,
+    coalesce(agg.matches_played, 0),
+    coalesce(agg.goals_scored, 0),
+    coalesce(agg.captain_count, 0),
+    coalesce(agg.fair_play_awards, 0),
+    coalesce(agg.field_time, 0),
+    coalesce(agg.goalie_time, 0),
+    coalesce(agg.defender_time, 0),
+    coalesce(agg.midfielder_time, 0),
+    coalesce(agg.attacker_time, 0),
+    coalesce(agg.substitute_time, 0),
+    coalesce(agg.starts_as_field_player, 0),
+    coalesce(agg.starts_as_goalie, 0),
+    coalesce(agg.starts_as_substitute, 0)
+  FROM public.player p
+  LEFT JOIN (
+    SELECT
+      pms.player_id,
+      count(*)::integer AS matches_played,
+      sum(coalesce(pms.goals_scored, 0))::integer AS goals_scored,
+      count(*) FILTER (WHERE pms.was_captain)::integer AS captain_count,
+      count(*) FILTER (WHERE pms.got_fair_play_award)::integer AS fair_play_awards,
+      sum(coalesce(pms.total_field_time_seconds, 0))::integer AS field_time,
+      sum(coalesce(pms.goalie_time_seconds, 0))::integer AS goalie_time,
+      sum(coalesce(pms.defender_time_seconds, 0))::integer AS defender_time,
+      sum(coalesce(pms.midfielder_time_seconds, 0))::integer AS midfielder_time,
+      sum(coalesce(pms.attacker_time_seconds, 0))::integer AS attacker_time,
+      sum(coalesce(pms.substitute_time_seconds, 0))::integer AS substitute_time,
+      count(*) FILTER (WHERE pms.started_as IN ('defender', 'midfielder', 'attacker'))::integer AS starts_as_field_player,
+      count(*) FILTER (WHERE pms.started_as = 'goalie')::integer AS starts_as_goalie,
+      count(*) FILTER (WHERE pms.started_as = 'substitute')::integer AS starts_as_substitute
+    FROM public.player_match_stats pms
+    JOIN public.match m ON m.id = pms.match_id
+    WHERE m.team_id = v_season.team_id
+      AND m.state = 'finished'
+      AND m.deleted_at IS NULL
+      AND m.started_at::date BETWEEN v_season.start_date AND v_season.end_date
+    GROUP BY pms.player_id
+  ) agg ON agg.player_id = p.id
+  WHERE p.team_id = v_season.team_id
+    AND p.match_id IS NULL
+    AND (p.on_roster OR agg.player_id IS NOT NULL)
+  ON CONFLICT (player_id, season_id) DO UPDATE SET
+    jersey_number = EXCLUDED.jersey_number,
+    on_roster = EXCLUDED.on_roster,
+    matches_played = EXCLUDED.matches_played,
+    goals_scored = EXCLUDED.goals_scored,
+    captain_count = EXCLUDED.captain_count,
+    fair_play_awards = EXCLUDED.fair_play_awards,
+    total_field_time_seconds = EXCLUDED.total_field_time_seconds,
+    total_goalie_time_seconds = EXCLUDED.total_goalie_time_seconds,
+    total_defender_time_seconds = EXCLUDED.total_defender_time_seconds,
+    total_midfielder_time_seconds = EXCLUDED.total_midfielder_time_seconds,
+    total_attacker_time_seconds = EXCLUDED.total_attacker_time_seconds,
+    total_substitute_time_seconds = EXCLUDED.total_substitute_time_seconds,
+    starts_as_field_player = EXCLUDED.starts_as_field_player,
+    starts_as_goalie = EXCLUDED.starts_as_goalie,
+    starts_as_substitute = EXCLUDED.starts_as_substitute;
+
+  GET DIAGNOSTICS v_archived_players = ROW_COUNT;
+
+  -- 2. Archive the season and start the next one
+  UPDATE public.season
+  SET status = 'archived',
+      archived_at = now()
+  WHERE id = v_season.id;
+
+  INSERT INTO public.season (team_id, name, start_date, end_date, age_group, format)
+  VALUES (
+    v_season.team_id,
+    btrim(p_next_season->>'name'),
+    (p_next_season->>'start_date')::date,
+    (p_next_season->>'end_date')::date,
+    nullif(btrim(coalesce(p_next_season->>'age_group', '')), ''),
+    nullif(p_next_season->>'format', '')::public.match_format
+  )
+  RETURNING * INTO v_next_season;
+
+  -- 3. Players who are not carried over leave the roster
+  UPDATE public.player
+  SET on_roster = false
+  WHERE team_id = v_season.team_id
+    AND match_id IS NULL
+    AND on_roster
+    AND NOT (id = ANY(v_carry_over));
+
+  GET DIAGNOSTICS v_released_players = ROW_COUNT;
+
+  UPDATE public.player
+  SET on_roster = true
+  WHERE team_id = v_season.team_id
+    AND match_id IS NULL
+    AND id = ANY(v_carry_over);
+
+  -- 4. Shift jersey numbers, using the archived numbers as the source
+  IF v_offset <> 0 THEN
+    UPDATE public.player
+    SET jersey_number = NULL
+    WHERE team_id = v_season.team_id
+      AND id = ANY(v_carry_over);
+
+    UPDATE public.player p
+    SET jersey_number = ss.jersey_number + v_offset
+    FROM public.season_stats ss
+    WHERE ss.season_id = v_season.id
+      AND ss.player_id = p.id
+      AND p.id = ANY(v_carry_over)
+      AND ss.jersey_number IS NOT NULL
+      AND ss.jersey_number + v_offset BETWEEN 1 AND 99
+      AND NOT EXISTS (
+        SELECT 1 FROM public.player other
+        WHERE other.team_id = p.team_id
+          AND other.jersey_number = ss.jersey_number + v_offset
+      );
+  END IF;
+
+  RETURN json_build_object(
+    'success', true,
+    'season_id', v_next_season.id,
+    'archived_players', v_archived_players,
+    'released_players', v_released_players
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.rollover_team_season(uuid, jsonb, uuid[], integer) TO authenticated;
+
+---------------------------------------------------------------------------
+-- DOCUMENTATION
+---------------------------------------------------------------------------
+
+COMMENT ON TABLE public.season IS 'Named season for a team, used to filter statistics and to archive the roster at rollover';
+COMMENT ON COLUMN public.season.age_group IS 'Age group the team plays in this season, e.g. P2015 or U12';
+COMMENT ON COLUMN public.season.format IS 'Match format played this season';
+COMMENT ON COLUMN public.season.status IS 'active or archived; a team has at most one active season';
+COMMENT ON COLUMN public.season.archived_at IS 'When the season was archived by a rollover';
+COMMENT ON COLUMN public.season_stats.season_id IS 'Season the aggregates belong to';
+COMMENT ON COLUMN public.season_stats.jersey_number IS 'Jersey number at the end of the season';
+COMMENT ON COLUMN public.season_stats.on_roster IS 'Whether the player was on the roster when the season was archived';
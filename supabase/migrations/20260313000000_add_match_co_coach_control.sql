@@ -0,0 +1,402 @@
+-- ============================================================================
+-- MATCH CO-COACH CONTROL - Sport Wizard
+-- ============================================================================
+-- Purpose: Let a second coach's device control a running match. One device
+--          holds a renewable lease on the match clock, and every controlling
+--          device publishes the shared match state (lineup, score, events,
+--          clock) so the others can follow and take over if it goes away
+-- Versioning: The shared state carries an ordinal that never falls behind the
+--             match's match_log_event ordinals. A device can only publish on
+--             top of the latest state it has seen, so concurrent edits are
+--             merged on the device instead of silently overwritten
+-- Topic: match-control:<match_id> (private channel, team coaches only)
+-- Security: RLS lets team coaches read control rows; writes go through the
+--           security-definer functions below
+-- ============================================================================
+
+---------------------------------------------------------------------------
+-- TABLE: match_control
+---------------------------------------------------------------------------
+
+CREATE TABLE public.match_control (
+  match_id uuid PRIMARY KEY REFERENCES public.match(id) ON DELETE CASCADE,
+
+  -- Clock lease
+  clock_device_id text,
+  clock_device_name text,
+  clock_user_id uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  clock_lease_expires_at timestamptz,
+
+  -- Shared match state
+  state jsonb,
+  state_ordinal bigint NOT NULL DEFAULT 0,
+  state_device_id text,
+  state_updated_at timestamptz,
+
+  -- Audit fields
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+---------------------------------------------------------------------------
+-- ROW LEVEL SECURITY
+---------------------------------------------------------------------------
+
+ALTER TABLE public.match_control ENABLE ROW LEVEL SECURITY;
+
+-- Team admins/coaches can view the control state of their matches
+CREATE POLICY match_control_select_policy ON public.match_control
+  FOR SELECT TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.match m
+      WHERE m.id = match_control.match_id
+        AND public.is_team_manager(m.team_id, auth.uid())
+    )
+  );
+
+-- Team admins/coaches can receive control broadcasts of their matches
+CREATE POLICY "Team coaches can receive match control broadcasts" ON realtime.messages
+  FOR SELECT TO authenticated
+  USING (
+    realtime.messages.extension = 'broadcast'
+    AND realtime.topic() LIKE 'match-control:%'
+    AND EXISTS (
+      SELECT 1 FROM public.match m
+      WHERE m.id::text = split_part(realtime.topic(), ':', 2)
+        AND public.is_team_manager(m.team_id, auth.uid())
+    )
+  );
+
+---------------------------------------------------------------------------
+-- FUNCTION: claim_match_clock
+---------------------------------------------------------------------------
+
+-- Claims or renews the clock lease for a device. The lease is granted when
+-- nobody holds it, the device already holds it, the previous lease expired
+-- or the caller explicitly takes over. Devices renew well before the lease
+-- runs out, so an expired lease means the holding device went away.
+CREATE OR REPLACE FUNCTION public.claim_match_clock(
+  p_match_id uuid,
+  p_device_id text,
+  p_device_name text DEFAULT NULL,
+  p_take_over boolean DEFAULT false
+) RETURNS json
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id uuid;
+  v_match public.match%ROWTYPE;
+  v_control public.match_control%ROWTYPE;
+  v_acquired boolean := false;
+BEGIN
+  v_user_id := auth.uid();
+
+  IF v_user_id IS NULL THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'authentication_required',
+      'message', 'You must be logged in to control a match.'
+    );
+  END IF;
+
+  IF coalesce(btrim(p_device_id), '') = '' THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'invalid_input',
+      'message', 'A device id is required.'
+    );
+  END IF;
+
+  SELECT * INTO v_match FROM public.match WHERE id = p_match_id AND deleted_at IS NULL;
+
+  IF v_match.id IS NULL THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'not_found',
+      'message', 'Match not found.'
+    );
+  END IF;
+
+  IF NOT public.is_team_manager(v_match.team_id, v_user_id) THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'forbidden',
+      'message', 'You do not have permission to control this match.'
+    );
+  END IF;
+
+  IF v_match.state NOT IN ('pending', 'running') THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'match_not_active',
+      'message', 'Only pending or running matches can be controlled.'
+    );
+  END IF;
+
+  INSERT INTO public.match_control (match_id)
+  VALUES (p_match_id)
+  ON CONFLICT (match_id) DO NOTHING;
+
+  SELECT * INTO v_control FROM public.match_control WHERE match_id = p_match_id FOR UPDATE;
+
+  IF v_control.clock_device_id IS NULL
+    OR v_control.clock_device_id = p_device_id
+    OR v_control.clock_lease_expires_at IS NULL
+    OR v_control.clock_lease_expires_at < now()
+    OR coalesce(p_take_over, false) THEN
+    UPDATE public.match_control
+    SET clock_device_id = p_device_id,
+        clock_device_name = nullif(btrim(coalesce(p_device_name, '')), ''),
+        clock_user_id = v_user_id,
+        clock_lease_expires_at = now() + interval '45 seconds',
+        updated_at = now()
+    WHERE match_id = p_match_id
+    RETURNING * INTO v_control;
+
+    v_acquired := true;
+  END IF;
+
+  RETURN json_build_object(
+    'success', true,
+    'acquired', v_acquired,
+    'clock_device_id', v_control.clock_device_id,
+    'clock_device_name', v_control.clock_device_name,
+    'clock_user_id', v_control.clock_user_id,
+    'clock_lease_expires_at', v_control.clock_lease_expires_at,
+    'state_ordinal', v_control.state_ordinal
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.claim_match_clock(uuid, text, text, boolean) TO authenticated;
+
+---------------------------------------------------------------------------
+-- FUNCTION: release_match_clock
+---------------------------------------------------------------------------
+
+-- Ends the lease early when the holding device leaves the match, so another
+-- device can pick up the clock right away instead of waiting for expiry
+CREATE OR REPLACE FUNCTION public.release_match_clock(
+  p_match_id uuid,
+  p_device_id text
+) RETURNS json
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id uuid;
+  v_team_id uuid;
+  v_released integer;
+BEGIN
+  v_user_id := auth.uid();
+
+  IF v_user_id IS NULL THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'authentication_required',
+      'message', 'You must be logged in to control a match.'
+    );
+  END IF;
+
+  SELECT team_id INTO v_team_id FROM public.match WHERE id = p_match_id;
+
+  IF v_team_id IS NULL OR NOT public.is_team_manager(v_team_id, v_user_id) THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'forbidden',
+      'message', 'You do not have permission to control this match.'
+    );
+  END IF;
+
+  UPDATE public.match_control
+  SET clock_lease_expires_at = now(),
+      updated_at = now()
+  WHERE match_id = p_match_id
+    AND clock_device_id = p_device_id;
+
+  GET DIAGNOSTICS v_released = ROW_COUNT;
+
+  RETURN json_build_object('success', true, 'released', v_released > 0);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.release_match_clock(uuid, text) TO authenticated;
+
+---------------------------------------------------------------------------
+-- FUNCTION: publish_match_state
+---------------------------------------------------------------------------
+
+-- Stores the shared match state published by a controlling device.
+-- p_base_ordinal is the state ordinal the device last saw. When another
+-- device published in the meantime the state is rejected and the latest one
+-- is returned, so the device can merge its own changes and publish again.
+-- Accepted states get an ordinal of at least the match's newest
+-- match_log_event ordinal, so the state version follows the event log.
+CREATE OR REPLACE FUNCTION public.publish_match_state(
+  p_match_id uuid,
+  p_device_id text,
+  p_base_ordinal bigint,
+  p_state jsonb
+) RETURNS json
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id uuid;
+  v_match public.match%ROWTYPE;
+  v_control public.match_control%ROWTYPE;
+  v_event_ordinal bigint;
+  v_next_ordinal bigint;
+BEGIN
+  v_user_id := auth.uid();
+
+  IF v_user_id IS NULL THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'authentication_required',
+      'message', 'You must be logged in to control a match.'
+    );
+  END IF;
+
+  IF p_state IS NULL OR coalesce(btrim(p_device_id), '') = '' THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'invalid_input',
+      'message', 'A device id and match state are required.'
+    );
+  END IF;
+
+  SELECT * INTO v_match FROM public.match WHERE id = p_match_id AND deleted_at IS NULL;
+
+  IF v_match.id IS NULL THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'not_found',
+      'message', 'Match not found.'
+    );
+  END IF;
+
+  IF NOT public.is_team_manager(v_match.team_id, v_user_id) THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'forbidden',
+      'message', 'You do not have permission to control this match.'
+    );
+  END IF;
+
+  INSERT INTO public.match_control (match_id)
+  VALUES (p_match_id)
+  ON CONFLICT (match_id) DO NOTHING;
+
+  SELECT * INTO v_control FROM public.match_control WHERE match_id = p_match_id FOR UPDATE;
+
+  IF v_control.state_ordinal > coalesce(p_base_ordinal, 0) THEN
+    RETURN json_build_object(
+      'success', true,
+      'accepted', false,
+      'state', v_control.state,
+      'state_ordinal', v_control.state_ordinal,
+      'state_device_id', v_control.state_device_id
+    );
+  END IF;
+
+  SELECT max(ordinal) INTO v_event_ordinal
+  FROM public.match_log_event
+  WHERE match_id = p_match_id;
+
+  v_next_ordinal := greatest(coalesce(v_event_ordinal, 0), v_control.state_ordinal + 1);
+
+  UPDATE public.match_control
+  SET state = p_state,
+      state_ordinal = v_next_ordinal,
+      state_device_id = p_device_id,
+      state_updated_at = now(),
+      updated_at = now()
+  WHERE match_id = p_match_id;
+
+  RETURN json_build_object(
+    'success', true,
+    'accepted', true,
+    'state_ordinal', v_next_ordinal
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.publish_match_state(uuid, text, bigint, jsonb) TO authenticated;
+
+---------------------------------------------------------------------------
+-- BROADCAST: match control changes
+---------------------------------------------------------------------------
+
+-- Tells the other controlling devices that the clock holder or the shared
+-- state changed. The state itself is not sent; devices fetch it, so the
+-- payload stays small and RLS decides what they can read.
+CREATE OR REPLACE FUNCTION public.broadcast_match_control_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'UPDATE'
+    AND NEW.clock_device_id IS NOT DISTINCT FROM OLD.clock_device_id
+    AND NEW.clock_lease_expires_at IS NOT DISTINCT FROM OLD.clock_lease_expires_at
+    AND NEW.state_ordinal IS NOT DISTINCT FROM OLD.state_ordinal THEN
+    RETURN NEW;
+  END IF;
+
+  -- Lease renewals only move the expiry forward and are not worth a message
+  IF TG_OP = 'UPDATE'
+    AND NEW.clock_device_id IS NOT DISTINCT FROM OLD.clock_device_id
+    AND NEW.state_ordinal IS NOT DISTINCT FROM OLD.state_ordinal
+    AND OLD.clock_lease_expires_at IS NOT NULL
+    AND NEW.clock_lease_expires_at > OLD.clock_lease_expires_at THEN
+    RETURN NEW;
+  END IF;
+
+  BEGIN
+    PERFORM realtime.send(
+      jsonb_build_object(
+        'match_id', NEW.match_id,
+        'clock_device_id', NEW.clock_device_id,
+        'clock_device_name', NEW.clock_device_name,
+        'clock_lease_expires_at', NEW.clock_lease_expires_at,
+        'state_ordinal', NEW.state_ordinal,
+        'state_device_id', NEW.state_device_id
+      ),
+      'control_changed',
+      'match-control:' || NEW.match_id::text,
+      true
+    );
+  EXCEPTION WHEN OTHERS THEN
+    -- Never block match control because of a broadcast failure
+    RAISE WARNING 'Failed to broadcast match control change for %: %', NEW.match_id, SQLERRM;
+  END;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER broadcast_match_control_change_trigger
+  AFTER INSERT OR UPDATE ON public.match_control
+  FOR EACH ROW
+  EXECUTE FUNCTION public.broadcast_match_control_change();
+
+---------------------------------------------------------------------------
+-- DOCUMENTATION
+---------------------------------------------------------------------------
+
+COMMENT ON TABLE public.match_control IS 'Clock lease and shared match state for matches controlled from more than one device';
+COMMENT ON COLUMN public.match_control.clock_device_id IS 'Device currently holding the match clock lease';
+COMMENT ON COLUMN public.match_control.clock_device_name IS 'Display name of the holding coach, shown on the other devices';
+COMMENT ON COLUMN public.match_control.clock_lease_expires_at IS 'When the clock lease runs out unless the holding device renews it';
+COMMENT ON COLUMN public.match_control.state IS 'Latest shared match state: { game, events, clock }';
+COMMENT ON COLUMN public.match_control.state_ordinal IS 'Version of the shared state, never behind the match''s newest match_log_event ordinal';
+COMMENT ON COLUMN public.match_control.state_device_id IS 'Device that published the current shared state';
+COMMENT ON FUNCTION public.broadcast_match_control_change IS
+  'Broadcasts clock holder and shared state changes on the private match-control:<match_id> Realtime topic';
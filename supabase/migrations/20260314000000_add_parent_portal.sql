@@ -0,0 +1,139 @@
+-- ============================================================================
+-- PARENT PORTAL - Sport Wizard
+-- ============================================================================
+-- Purpose: Give team members with the 'parent' role a home view of the
+--          players linked to them through player.related_to: their upcoming
+--          matches, minutes, goals and positions
+-- Security: Parents only see their own children. Player rows and per-player
+--           data are limited to players whose related_to is the parent's
+--           user_profile; coaches, admins and players keep seeing the whole
+--           team. SELECT policies scoped with can_view_player:
+--             player, player_match_stats, season_stats, training_attendance,
+--             player_loan, player_attendance, match_log_event
+--           A new table with per-player rows needs its SELECT policy added here
+-- ============================================================================
+
+---------------------------------------------------------------------------
+-- HELPER FUNCTION
+---------------------------------------------------------------------------
+
+-- Check if a user may see a player of a team: any member except parents, who
+-- only see the players related to them
+CREATE OR REPLACE FUNCTION public.can_view_player(
+  team_id_param uuid,
+  related_to_param uuid,
+  user_id_param uuid DEFAULT auth.uid()
+)
+RETURNS boolean AS $$
+BEGIN
+  RETURN EXISTS (
+    SELECT 1 FROM public.team_user
+    WHERE team_id = team_id_param
+      AND user_id = user_id_param
+      AND (
+        role <> 'parent'::public.user_role
+        OR related_to_param = user_id_param
+      )
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION public.can_view_player IS 'Helper function to check if a user may see a team player: team members other than parents, or the parent linked through player.related_to. Uses SECURITY DEFINER to bypass RLS.';
+
+---------------------------------------------------------------------------
+-- PLAYER
+---------------------------------------------------------------------------
+
+DROP POLICY IF EXISTS "Team members can view players" ON public.player;
+CREATE POLICY "Team members can view players" ON public.player
+  FOR SELECT TO authenticated
+  USING (
+    public.can_view_player(team_id, related_to, auth.uid())
+  );
+
+COMMENT ON COLUMN public.player.related_to IS 'Links a player to a user_profile: the parent who follows the player in the parent portal, or a coach/admin for match planning purposes';
+
+---------------------------------------------------------------------------
+-- PLAYER DATA
+---------------------------------------------------------------------------
+
+DROP POLICY IF EXISTS "Team members can view player match stats" ON public.player_match_stats;
+CREATE POLICY "Team members can view player match stats" ON public.player_match_stats
+  FOR SELECT TO authenticated
+  USING (
+    player_id IN (
+      SELECT p.id FROM public.player p
+      WHERE public.can_view_player(p.team_id, p.related_to, auth.uid())
+    )
+  );
+
+DROP POLICY IF EXISTS "Team members can view season stats" ON public.season_stats;
+CREATE POLICY "Team members can view season stats" ON public.season_stats
+  FOR SELECT TO authenticated
+  USING (
+    player_id IN (
+      SELECT p.id FROM public.player p
+      WHERE public.can_view_player(p.team_id, p.related_to, auth.uid())
+    )
+  );
+
+-- Team members can view attendance for their team's sessions (parents: their children only)
+DROP POLICY IF EXISTS training_attendance_select_policy ON public.training_attendance;
+CREATE POLICY training_attendance_select_policy ON public.training_attendance
+  FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1
+      FROM public.training_session ts
+      JOIN public.player p ON p.id = training_attendance.player_id
+      WHERE ts.id = training_attendance.session_id
+        AND public.can_view_player(ts.team_id, p.related_to)
+    )
+  );
+
+-- Team members can view loans (parents: their children only)
+DROP POLICY IF EXISTS player_loan_select_policy ON public.player_loan;
+CREATE POLICY player_loan_select_policy ON public.player_loan
+  FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1
+      FROM public.player p
+      WHERE p.id = player_loan.player_id
+        AND p.team_id = player_loan.team_id
+        AND public.can_view_player(p.team_id, p.related_to)
+    )
+  );
+
+-- Provider attendance is per connected player; rows not matched to a roster player
+-- are only visible to non-parent members
+DROP POLICY IF EXISTS player_attendance_select ON public.player_attendance;
+CREATE POLICY player_attendance_select ON public.player_attendance
+  FOR SELECT USING (
+    connected_player_id IN (
+      SELECT cp.id FROM public.connected_player cp
+      JOIN public.connector c ON c.id = cp.connector_id
+      LEFT JOIN public.player p ON p.id = cp.player_id
+      WHERE public.can_view_player(c.team_id, p.related_to, auth.uid())
+    )
+  );
+
+-- Match-wide events (no player_id) stay visible to every member; player events only
+-- for players the member may see. The public live view reads events through the
+-- get-live-match-events function and is not affected.
+DROP POLICY IF EXISTS "Team members can view match events" ON public.match_log_event;
+CREATE POLICY "Team members can view match events" ON public.match_log_event
+  FOR SELECT TO authenticated
+  USING (
+    match_id IN (
+      SELECT m.id FROM public.match m
+      WHERE public.is_team_member(m.team_id, auth.uid())
+    )
+    AND (
+      player_id IS NULL
+      OR player_id IN (
+        SELECT p.id FROM public.player p
+        WHERE public.can_view_player(p.team_id, p.related_to, auth.uid())
+      )
+    )
+  );
@@ -0,0 +1,267 @@
+-- ============================================================================
+-- MATCH AVAILABILITY REQUESTS - Sport Wizard
+-- ============================================================================
+-- Purpose: Let coaches ask the team who can play an upcoming match, and let
+--          parents and players answer in the app. Answers are stored next to
+--          the connector-scraped statuses in upcoming_match_player, keyed by
+--          the roster player instead of a connected_player
+-- Security: Coaches/admins send requests through request_match_availability.
+--           Answers go through respond_match_availability, which only accepts
+--           answers for players whose related_to is the caller and closes at
+--           the request deadline. Parents only see the rows of their own
+--           children
+-- ============================================================================
+
+---------------------------------------------------------------------------
+-- UPCOMING MATCH: REQUEST COLUMNS
+---------------------------------------------------------------------------
+
+ALTER TABLE public.upcoming_match
+  ADD COLUMN availability_requested_at timestamptz,
+  ADD COLUMN availability_requested_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  ADD COLUMN availability_deadline timestamptz;
+
+COMMENT ON COLUMN public.upcoming_match.availability_requested_at IS
+'When a coach last asked the team for availability. NULL when no request was sent.';
+COMMENT ON COLUMN public.upcoming_match.availability_deadline IS
+'Optional time after which parents and players can no longer answer the availability request.';
+
+---------------------------------------------------------------------------
+-- UPCOMING MATCH PLAYER: IN-APP ANSWERS
+---------------------------------------------------------------------------
+
+ALTER TABLE public.upcoming_match_player
+  ALTER COLUMN connected_player_id DROP NOT NULL,
+  ADD COLUMN player_id uuid REFERENCES public.player(id) ON DELETE CASCADE,
+  ADD COLUMN source text NOT NULL DEFAULT 'connector',
+  ADD COLUMN responded_at timestamptz,
+  ADD COLUMN responded_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  ADD CONSTRAINT upcoming_match_player_source_check
+    CHECK (source IN ('connector', 'app')),
+  ADD CONSTRAINT upcoming_match_player_target_check
+    CHECK (connected_player_id IS NOT NULL OR player_id IS NOT NULL);
+
+CREATE UNIQUE INDEX idx_upcoming_match_player_match_player
+  ON public.upcoming_match_player(upcoming_match_id, player_id)
+  WHERE player_id IS NOT NULL;
+
+CREATE INDEX idx_upcoming_match_player_player
+  ON public.upcoming_match_player(player_id)
+  WHERE player_id IS NOT NULL;
+
+COMMENT ON COLUMN public.upcoming_match_player.player_id IS
+'Roster player of an in-app answer (source = app). NULL for connector rows, which use connected_player_id.';
+COMMENT ON COLUMN public.upcoming_match_player.source IS
+'Where the row comes from: connector (provider scrape) or app (availability request answered in the app).';
+
+---------------------------------------------------------------------------
+-- SELECT POLICY
+---------------------------------------------------------------------------
+
+-- The original policy joined through the connector, which hid rows of
+-- imported fixtures. Use the fixture's team, and limit parents to the rows
+-- of their own children
+DROP POLICY IF EXISTS upcoming_match_player_select_policy ON public.upcoming_match_player;
+CREATE POLICY upcoming_match_player_select_policy ON public.upcoming_match_player
+  FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.upcoming_match um
+      WHERE um.id = upcoming_match_player.upcoming_match_id
+        AND public.is_team_member(um.team_id, auth.uid())
+    )
+    AND (
+      upcoming_match_player.player_id IS NULL
+      OR EXISTS (
+        SELECT 1 FROM public.player p
+        WHERE p.id = upcoming_match_player.player_id
+          AND public.can_view_player(p.team_id, p.related_to, auth.uid())
+      )
+    )
+  );
+
+---------------------------------------------------------------------------
+-- FUNCTION: request_match_availability
+---------------------------------------------------------------------------
+
+-- Opens (or re-opens with a new deadline) the availability request of an
+-- upcoming match and adds a row for every roster player who has none yet.
+-- Existing answers are kept.
+CREATE OR REPLACE FUNCTION public.request_match_availability(
+  p_upcoming_match_id uuid,
+  p_deadline timestamptz DEFAULT NULL
+) RETURNS json
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id uuid;
+  v_match public.upcoming_match%ROWTYPE;
+BEGIN
+  v_user_id := auth.uid();
+
+  IF v_user_id IS NULL THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'authentication_required',
+      'message', 'You must be logged in to request availability.'
+    );
+  END IF;
+
+  SELECT * INTO v_match FROM public.upcoming_match WHERE id = p_upcoming_match_id;
+
+  IF v_match.id IS NULL THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'not_found',
+      'message', 'Upcoming match not found.'
+    );
+  END IF;
+
+  IF NOT public.is_team_manager(v_match.team_id, v_user_id) THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'forbidden',
+      'message', 'You do not have permission to request availability for this match.'
+    );
+  END IF;
+
+  IF p_deadline IS NOT NULL AND p_deadline <= now() THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'invalid_deadline',
+      'message', 'The deadline must be in the future.'
+    );
+  END IF;
+
+  UPDATE public.upcoming_match
+  SET availability_requested_at = now(),
+      availability_requested_by = v_user_id,
+      availability_deadline = p_deadline
+  WHERE id = p_upcoming_match_id;
+
+  INSERT INTO public.upcoming_match_player (upcoming_match_id, player_id, source)
+  SELECT p_upcoming_match_id, p.id, 'app'
+  FROM public.player p
+  WHERE p.team_id = v_match.team_id
+    AND p.on_roster = true
+    AND p.match_id IS NULL
+  ON CONFLICT (upcoming_match_id, player_id) WHERE player_id IS NOT NULL DO NOTHING;
+
+  RETURN json_build_object(
+    'success', true,
+    'requested_at', now(),
+    'deadline', p_deadline
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.request_match_availability(uuid, timestamptz) TO authenticated;
+
+---------------------------------------------------------------------------
+-- FUNCTION: respond_match_availability
+---------------------------------------------------------------------------
+
+-- Stores a parent's or player's answer to an open availability request.
+-- The caller must be a team member linked to the player through related_to.
+CREATE OR REPLACE FUNCTION public.respond_match_availability(
+  p_upcoming_match_id uuid,
+  p_player_id uuid,
+  p_available boolean
+) RETURNS json
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id uuid;
+  v_match public.upcoming_match%ROWTYPE;
+  v_player public.player%ROWTYPE;
+BEGIN
+  v_user_id := auth.uid();
+
+  IF v_user_id IS NULL THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'authentication_required',
+      'message', 'You must be logged in to answer.'
+    );
+  END IF;
+
+  IF p_available IS NULL THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'invalid_input',
+      'message', 'An answer is required.'
+    );
+  END IF;
+
+  SELECT * INTO v_match FROM public.upcoming_match WHERE id = p_upcoming_match_id;
+  SELECT * INTO v_player FROM public.player WHERE id = p_player_id;
+
+  IF v_match.id IS NULL OR v_player.id IS NULL OR v_player.team_id <> v_match.team_id THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'not_found',
+      'message', 'Upcoming match or player not found.'
+    );
+  END IF;
+
+  IF v_player.related_to IS DISTINCT FROM v_user_id
+    OR NOT public.is_team_member(v_match.team_id, v_user_id) THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'forbidden',
+      'message', 'You can only answer for players linked to you.'
+    );
+  END IF;
+
+  IF v_match.availability_requested_at IS NULL THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'not_requested',
+      'message', 'Availability has not been requested for this match.'
+    );
+  END IF;
+
+  IF v_match.availability_deadline IS NOT NULL AND v_match.availability_deadline < now() THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'deadline_passed',
+      'message', 'The deadline for answering has passed.'
+    );
+  END IF;
+
+  INSERT INTO public.upcoming_match_player (
+    upcoming_match_id,
+    player_id,
+    source,
+    availability,
+    response,
+    responded_at,
+    responded_by
+  ) VALUES (
+    p_upcoming_match_id,
+    p_player_id,
+    'app',
+    CASE WHEN p_available THEN 'available' ELSE 'unavailable' END::public.upcoming_match_player_availability,
+    CASE WHEN p_available THEN 'accepted' ELSE 'declined' END::public.upcoming_match_player_response,
+    now(),
+    v_user_id
+  )
+  ON CONFLICT (upcoming_match_id, player_id) WHERE player_id IS NOT NULL DO UPDATE
+  SET availability = EXCLUDED.availability,
+      response = EXCLUDED.response,
+      responded_at = EXCLUDED.responded_at,
+      responded_by = EXCLUDED.responded_by;
+
+  RETURN json_build_object(
+    'success', true,
+    'availability', CASE WHEN p_available THEN 'available' ELSE 'unavailable' END,
+    'responded_at', now()
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.respond_match_availability(uuid, uuid, boolean) TO authenticated;
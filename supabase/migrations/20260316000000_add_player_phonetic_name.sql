@@ -0,0 +1,9 @@
+-- Add phonetic_name column to player table
+-- Optional pronunciation used when substitutions are read out with speech
+-- synthesis; the display name is spoken when it is empty
+ALTER TABLE public.player
+  ADD COLUMN phonetic_name text,
+  ADD CONSTRAINT player_phonetic_name_length_check
+    CHECK (phonetic_name IS NULL OR char_length(phonetic_name) BETWEEN 1 AND 50);
+
+COMMENT ON COLUMN public.player.phonetic_name IS 'How to pronounce the player name in spoken announcements; NULL speaks display_name';
@@ -0,0 +1,201 @@
+-- Connector file imports
+-- Svenska Lag and MyClub are connected without credentials: a team admin uploads
+-- the roster, attendance and fixture exports from the provider and the app
+-- imports them through import_connector_file_data, which records each import as
+-- a connector_sync_job. SportAdmin keeps using credentials and the scraper.
+
+ALTER TYPE public.connector_provider ADD VALUE IF NOT EXISTS 'myclub';
+ALTER TYPE public.connector_sync_job_type ADD VALUE IF NOT EXISTS 'file_import';
+
+-- File import connectors have no credentials; scraper connectors still need all four columns
+ALTER TABLE public.connector
+  ALTER COLUMN encrypted_username DROP NOT NULL,
+  ALTER COLUMN encrypted_password DROP NOT NULL,
+  ALTER COLUMN encryption_iv DROP NOT NULL,
+  ALTER COLUMN encryption_salt DROP NOT NULL,
+  ADD CONSTRAINT connector_credentials_complete CHECK (
+    (encrypted_username IS NULL AND encrypted_password IS NULL AND encryption_iv IS NULL AND encryption_salt IS NULL)
+    OR (encrypted_username IS NOT NULL AND encrypted_password IS NOT NULL AND encryption_iv IS NOT NULL AND encryption_salt IS NOT NULL)
+  );
+
+COMMENT ON COLUMN public.connector.encrypted_username IS 'AES-256-GCM encrypted username, decryptable only with master key from Vault; NULL for file import connectors';
+COMMENT ON COLUMN public.connector.encrypted_password IS 'AES-256-GCM encrypted password, decryptable only with master key from Vault; NULL for file import connectors';
+
+-- Import parsed provider exports for a connector
+-- p_players:    [{ "name": text }]
+-- p_attendance: [{ "name": text, "date": "YYYY-MM-DD", "attended": boolean }]
+-- p_matches:    [{ "date": "YYYY-MM-DD", "time": text, "opponent": text, "venue": text }]
+-- Player attendance and connector fixtures are otherwise only written by the
+-- service role, so the import runs as security definer after the admin check.
+CREATE OR REPLACE FUNCTION public.import_connector_file_data(
+  p_connector_id uuid,
+  p_players jsonb DEFAULT '[]'::jsonb,
+  p_attendance jsonb DEFAULT '[]'::jsonb,
+  p_matches jsonb DEFAULT '[]'::jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_team_id uuid;
+  v_job_id uuid;
+  v_players integer := 0;
+  v_attendance integer := 0;
+  v_matches integer := 0;
+BEGIN
+  SELECT tc.team_id INTO v_team_id
+  FROM public.connector tc
+  JOIN public.team_user tu ON tu.team_id = tc.team_id
+  WHERE tc.id = p_connector_id
+    AND tu.user_id = auth.uid()
+    AND tu.role = 'admin';
+
+  IF v_team_id IS NULL THEN
+    RAISE EXCEPTION 'Connector not found or access denied';
+  END IF;
+
+  INSERT INTO public.connector_sync_job (
+    connector_id,
+    job_type,
+    status,
+    last_started_at,
+    created_by
+  ) VALUES (
+    p_connector_id,
+    'file_import',
+    'running',
+    now(),
+    auth.uid()
+  )
+  RETURNING id INTO v_job_id;
+
+  BEGIN
+    -- Players from the roster and from the attendance export
+    INSERT INTO public.connected_player (connector_id, player_name)
+    SELECT DISTINCT p_connector_id, names.player_name
+    FROM (
+      SELECT left(btrim(value->>'name'), 100) AS player_name
+      FROM jsonb_array_elements(COALESCE(p_players, '[]'::jsonb))
+      UNION
+      SELECT left(btrim(value->>'name'), 100)
+      FROM jsonb_array_elements(COALESCE(p_attendance, '[]'::jsonb))
+    ) names
+    WHERE COALESCE(names.player_name, '') <> ''
+    ON CONFLICT (connector_id, player_name) DO UPDATE
+      SET updated_at = now();
+
+    GET DIAGNOSTICS v_players = ROW_COUNT;
+
+    -- One practice per player and date; a date listed twice counts as attended if either row says so
+    INSERT INTO public.player_attendance (
+      connected_player_id,
+      year,
+      month,
+      day_of_month,
+      total_practices,
+      total_attendance,
+      last_synced_at
+    )
+    SELECT DISTINCT ON (cp.id, entries.practice_date)
+      cp.id,
+      EXTRACT(YEAR FROM entries.practice_date)::integer,
+      EXTRACT(MONTH FROM entries.practice_date)::integer,
+      EXTRACT(DAY FROM entries.practice_date)::integer,
+      1,
+      CASE WHEN entries.attended THEN 1 ELSE 0 END,
+      now()
+    FROM (
+      SELECT
+        left(btrim(value->>'name'), 100) AS player_name,
+        (value->>'date')::date AS practice_date,
+        COALESCE((value->>'attended')::boolean, false) AS attended
+      FROM jsonb_array_elements(COALESCE(p_attendance, '[]'::jsonb))
+    ) entries
+    JOIN public.connected_player cp
+      ON cp.connector_id = p_connector_id
+      AND cp.player_name = entries.player_name
+    WHERE EXTRACT(YEAR FROM entries.practice_date) BETWEEN 2020 AND 2099
+    ORDER BY cp.id, entries.practice_date, entries.attended DESC
+    ON CONFLICT (connected_player_id, year, month, day_of_month) DO UPDATE
+      SET total_practices = EXCLUDED.total_practices,
+          total_attendance = EXCLUDED.total_attendance,
+          last_synced_at = now();
+
+    GET DIAGNOSTICS v_attendance = ROW_COUNT;
+
+    INSERT INTO public.upcoming_match (
+      connector_id,
+      source,
+      match_date,
+      match_time,
+      opponent,
+      venue,
+      synced_at
+    )
+    SELECT DISTINCT ON (entries.match_date, entries.opponent)
+      p_connector_id,
+      'connector',
+      entries.match_date,
+      entries.match_time,
+      entries.opponent,
+      entries.venue,
+      now()
+    FROM (
+      SELECT
+        (value->>'date')::date AS match_date,
+        NULLIF(left(btrim(value->>'time'), 50), '') AS match_time,
+        left(btrim(value->>'opponent'), 200) AS opponent,
+        NULLIF(left(btrim(value->>'venue'), 200), '') AS venue
+      FROM jsonb_array_elements(COALESCE(p_matches, '[]'::jsonb))
+    ) entries
+    WHERE COALESCE(entries.opponent, '') <> ''
+    ORDER BY entries.match_date, entries.opponent
+    ON CONFLICT (connector_id, match_date, opponent) DO UPDATE
+      SET match_time = EXCLUDED.match_time,
+          venue = EXCLUDED.venue,
+          synced_at = now();
+
+    GET DIAGNOSTICS v_matches = ROW_COUNT;
+
+    UPDATE public.connector_sync_job
+    SET status = 'completed',
+        last_finished_at = now()
+    WHERE id = v_job_id;
+
+    UPDATE public.connector
+    SET status = 'connected',
+        last_sync_at = now(),
+        last_error = NULL
+    WHERE id = p_connector_id;
+  EXCEPTION WHEN OTHERS THEN
+    -- The imported rows are rolled back; keep the failed job so it shows in the connector card
+    UPDATE public.connector_sync_job
+    SET status = 'failed',
+        last_finished_at = now(),
+        error_message = SQLERRM,
+        error_code = SQLSTATE,
+        failure_count = 1
+    WHERE id = v_job_id;
+
+    UPDATE public.connector
+    SET last_error = SQLERRM
+    WHERE id = p_connector_id;
+
+    RETURN jsonb_build_object('job_id', v_job_id, 'error', SQLERRM);
+  END;
+
+  RETURN jsonb_build_object(
+    'job_id', v_job_id,
+    'players', v_players,
+    'attendance', v_attendance,
+    'matches', v_matches
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.import_connector_file_data(uuid, jsonb, jsonb, jsonb) TO authenticated;
+
+COMMENT ON FUNCTION public.import_connector_file_data(uuid, jsonb, jsonb, jsonb) IS
+  'Imports roster, attendance and fixtures parsed from a provider export and records the import as a file_import sync job';